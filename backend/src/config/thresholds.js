@@ -8,17 +8,26 @@ module.exports = {
   // Proof verification thresholds
   proof: {
     minIncomeThreshold: 30000, // Minimum annual income in USD (configurable per loan)
-    maxProofAge: 30 * 24 * 60 * 60 * 1000 // 30 days in milliseconds
+    maxProofAge: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
+    maxClockSkew: 5 * 60 * 1000 // Tolerated issued_at in the future, 5 minutes
   },
 
   // Dispute window
   dispute: {
-    windowSeconds: parseInt(process.env.DISPUTE_WINDOW_SECONDS) || 604800 // 7 days
+    windowSeconds: parseInt(process.env.DISPUTE_WINDOW_SECONDS) || 604800, // 7 days
+    signatureMaxAge: 5 * 60 // Signed dispute messages are accepted for 5 minutes
+  },
+
+  // Signed API requests (middleware/auth)
+  auth: {
+    nonceTtl: 5 * 60, // Issued nonces are valid for 5 minutes
+    signatureMaxAge: 5 * 60 // Signed requests are accepted for 5 minutes
   },
 
   // Payroll attestation
   payroll: {
     maxAttestationAge: 90 * 24 * 60 * 60 * 1000, // 90 days
+    webhookMaxAge: 5 * 60, // Signed payroll webhooks are accepted for 5 minutes
     requiredFields: ['salary', 'employerName', 'employmentStatus', 'payFrequency']
   }
 };
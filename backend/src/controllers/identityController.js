@@ -1,6 +1,6 @@
 const ipfsService = require('../services/ipfsService');
 const shamirService = require('../services/shamirService');
-const axios = require('axios');
+const trusteeClient = require('../services/trusteeClient');
 const logger = require('../utils/logger');
 
 /**
@@ -26,19 +26,20 @@ class IdentityController {
       // Encrypt identity data
       const encryptedData = ipfsService.encryptData(identityData, encryptionKey);
 
-      // Upload to IPFS
-      const cid = await ipfsService.uploadToIPFS(encryptedData);
-
-      // Split encryption key into shares
-      const { shares, threshold, total, shareIds } = shamirService.splitEncryptionKey(
+      // Split encryption key into verifiable shares
+      const { shares, threshold, total, shareIds, vss } = shamirService.splitEncryptionKey(
         encryptionKey
       );
 
+      // Upload to IPFS; the VSS commitments travel with the ciphertext under the same CID
+      const cid = await ipfsService.uploadToIPFS({ ...encryptedData, vss });
+
       logger.info('Identity encrypted and stored', {
         borrowerAddress,
         cid,
         threshold,
-        totalShares: total
+        totalShares: total,
+        vssScheme: vss.scheme
       });
 
       res.json({
@@ -52,6 +53,7 @@ class IdentityController {
         })),
         threshold,
         total,
+        vss,
         borrowerAddress
       });
     } catch (error) {
@@ -61,15 +63,15 @@ class IdentityController {
   }
 
   /**
-   * Distribute shares to trustees
+   * Distribute shares to trustees (signed requests, see trusteeClient)
    */
   async distributeShares(req, res) {
     try {
-      const { shares, loanId, borrowerAddress } = req.body;
+      const { shares, loanId, borrowerAddress, commitment } = req.body;
 
-      if (!shares || !loanId || !borrowerAddress) {
+      if (!shares || !loanId || !borrowerAddress || !commitment) {
         return res.status(400).json({
-          error: 'Missing required fields: shares, loanId, borrowerAddress'
+          error: 'Missing required fields: shares, loanId, borrowerAddress, commitment'
         });
       }
 
@@ -77,7 +79,9 @@ class IdentityController {
 
       for (const shareData of shares) {
         try {
-          const { shareId, share, trusteeEndpoint } = shareData;
+          const { shareId, share } = shareData;
+          const trusteeIndex = parseInt(String(shareId).replace('trustee_', '')) - 1;
+          const trusteeEndpoint = trusteeClient.getEndpoint(trusteeIndex);
 
           if (!trusteeEndpoint) {
             logger.warn('No trustee endpoint configured', { shareId });
@@ -90,25 +94,17 @@ class IdentityController {
           }
 
           // Send share to trustee
-          const response = await axios.post(
-            trusteeEndpoint,
-            {
-              loanId,
-              borrowerAddress,
-              shareId,
-              share,
-              timestamp: Date.now()
-            },
-            {
-              headers: { 'Content-Type': 'application/json' },
-              timeout: 10000
-            }
-          );
+          const trusteeResponse = await trusteeClient.sendShare(trusteeIndex, {
+            loanId,
+            commitment,
+            borrowerAddress,
+            share
+          });
 
           distributionResults.push({
             shareId,
             status: 'delivered',
-            trusteeResponse: response.data
+            trusteeResponse
           });
 
           logger.info('Share distributed to trustee', {
@@ -119,13 +115,13 @@ class IdentityController {
         } catch (error) {
           logger.error('Failed to distribute share', {
             shareId: shareData.shareId,
-            error: error.message
+            error: error.response?.data?.error || error.message
           });
 
           distributionResults.push({
             shareId: shareData.shareId,
             status: 'failed',
-            error: error.message
+            error: error.response?.data?.error || error.message
           });
         }
       }
@@ -166,29 +162,37 @@ class IdentityController {
         });
       }
 
-      // Reconstruct encryption key
-      const encryptionKey = shamirService.reconstructEncryptionKey(shares);
-
-      // Retrieve encrypted data from IPFS
+      // Retrieve encrypted data (and VSS commitments) from IPFS
       const encryptedData = await ipfsService.retrieveFromIPFS(cid);
 
-      // Decrypt identity data
-      const identityData = ipfsService.decryptData(encryptedData, encryptionKey);
+      // Verify shares, reconstruct the key and decrypt, retrying other share subsets
+      const { data: identityData, used, faulty } = shamirService.recover(
+        shares,
+        encryptedData.vss || null,
+        key => ipfsService.decryptData(encryptedData, key)
+      );
 
       logger.info('Identity reconstructed from shares', {
         cid,
-        sharesUsed: shares.length
+        sharesUsed: used.length,
+        faultyShares: faulty.length
       });
 
       res.json({
         message: 'Identity reconstructed successfully',
         identityData,
-        sharesUsed: shares.length,
+        sharesUsed: used.length,
+        usedShareIds: used.map(index => `trustee_${index}`),
+        faultyShares: faulty,
+        verified: Boolean(encryptedData.vss),
         threshold
       });
     } catch (error) {
       logger.error('Reconstruct identity failed', { error: error.message });
-      res.status(500).json({ error: error.message });
+      res.status(error.faulty ? 422 : 500).json({
+        error: error.message,
+        faultyShares: error.faulty
+      });
     }
   }
 
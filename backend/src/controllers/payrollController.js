@@ -1,12 +1,42 @@
 const plaidAdapter = require('../services/payrollAdapters/plaidAdapter');
 const adpAdapter = require('../services/payrollAdapters/adpAdapter');
 const bankApiAdapter = require('../services/payrollAdapters/bankApiAdapter');
+const incomeAttestationStore = require('../services/incomeAttestationStore');
+const payrollWebhookService = require('../services/payrollWebhookService');
+const payrollOracles = require('../services/payrollOracles');
+const incomeProofService = require('../services/incomeProofService');
+const thresholds = require('../config/thresholds');
 const logger = require('../utils/logger');
 
+// Server-side proving sees the attested income; it can be switched off entirely
+const ALLOW_SERVER_PROVING = process.env.ALLOW_SERVER_PROVING !== 'false';
+
 /**
  * Controller for payroll OAuth flows and attestations
  */
 class PayrollController {
+  /**
+   * Link an attestation to the borrower's wallet so lender policies can check income.
+   * The income routes require the request to be signed by that wallet (requireAuth.wallet);
+   * they still answer when linking fails.
+   * @param {string} walletAddress - Borrower wallet, the signer of the request
+   * @param {object} attestation - Attestation from a payroll adapter
+   * @param {object} subject - Provider subject { employerId, subjectId }, matched by webhooks
+   * @returns {boolean} True if the attestation was linked
+   */
+  async linkToWallet(walletAddress, attestation, subject = {}) {
+    if (!walletAddress) {
+      return false;
+    }
+    try {
+      await incomeAttestationStore.recordAttestation(walletAddress, attestation, subject);
+      return true;
+    } catch (error) {
+      logger.warn('Could not link income attestation to wallet', { error: error.message });
+      return false;
+    }
+  }
+
   /**
    * Start Plaid OAuth flow
    */
@@ -39,7 +69,7 @@ class PayrollController {
    */
   async plaidCallback(req, res) {
     try {
-      const { publicToken, userId } = req.body;
+      const { publicToken, userId, walletAddress } = req.body;
 
       if (!publicToken || !userId) {
         return res.status(400).json({
@@ -52,6 +82,7 @@ class PayrollController {
 
       // Generate income attestation
       const attestation = await plaidAdapter.generateIncomeAttestation(accessToken);
+      const walletLinked = await this.linkToWallet(walletAddress, attestation, { subjectId: itemId });
 
       logger.info('Plaid OAuth completed', { userId, itemId });
 
@@ -60,6 +91,7 @@ class PayrollController {
         provider: 'plaid',
         itemId,
         attestation,
+        walletLinked,
         userId
       });
     } catch (error) {
@@ -73,19 +105,22 @@ class PayrollController {
    */
   async getPlaidIncome(req, res) {
     try {
-      const { accessToken } = req.body;
+      const { accessToken, walletAddress } = req.body;
 
       if (!accessToken) {
         return res.status(400).json({ error: 'Access token required' });
       }
 
       const attestation = await plaidAdapter.generateIncomeAttestation(accessToken);
+      const itemId = walletAddress ? await plaidAdapter.getItemId(accessToken) : null;
+      const walletLinked = await this.linkToWallet(walletAddress, attestation, { subjectId: itemId });
 
       logger.info('Plaid income attestation generated');
 
       res.json({
         provider: 'plaid',
         attestation,
+        walletLinked,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -99,19 +134,21 @@ class PayrollController {
    */
   async getADPIncome(req, res) {
     try {
-      const { workerId } = req.body;
+      const { workerId, walletAddress } = req.body;
 
       if (!workerId) {
         return res.status(400).json({ error: 'Worker ID required' });
       }
 
       const attestation = await adpAdapter.generateIncomeAttestation(workerId);
+      const walletLinked = await this.linkToWallet(walletAddress, attestation, { subjectId: workerId });
 
       logger.info('ADP income attestation generated', { workerId });
 
       res.json({
         provider: 'adp',
         attestation,
+        walletLinked,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -146,7 +183,8 @@ class PayrollController {
       res.json({
         message: 'Employer registered successfully',
         employerId,
-        baseUrl: config.baseUrl
+        baseUrl: config.baseUrl,
+        webhookVerification: config.webhookSecret ? 'hmac' : config.webhookJwk ? 'jwk' : null
       });
     } catch (error) {
       logger.error('Register employer failed', { error: error.message });
@@ -159,7 +197,7 @@ class PayrollController {
    */
   async getCustomIncome(req, res) {
     try {
-      const { employerId, employeeId } = req.body;
+      const { employerId, employeeId, walletAddress } = req.body;
 
       if (!employerId || !employeeId) {
         return res.status(400).json({
@@ -171,6 +209,10 @@ class PayrollController {
         employerId,
         employeeId
       );
+      const walletLinked = await this.linkToWallet(walletAddress, attestation, {
+        employerId,
+        subjectId: employeeId
+      });
 
       logger.info('Custom income attestation generated', {
         employerId,
@@ -181,6 +223,7 @@ class PayrollController {
         provider: 'custom',
         employerId,
         attestation,
+        walletLinked,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
@@ -190,41 +233,108 @@ class PayrollController {
   }
 
   /**
-   * Receive payroll webhook attestation
+   * Receive a signed payroll webhook
+   * POST /webhook/:provider[/:employerId] with the provider's own body and signature headers
    */
   async receiveWebhook(req, res) {
     try {
-      const { provider, data, signature } = req.body;
-
-      if (!provider || !data) {
-        return res.status(400).json({
-          error: 'Missing required fields: provider, data'
-        });
-      }
+      const { provider, employerId } = req.params;
 
-      // In production, verify webhook signature
-      // For now, log the received webhook
-
-      logger.info('Payroll webhook received', {
+      const events = await payrollWebhookService.receive({
         provider,
-        dataKeys: Object.keys(data)
+        employerId,
+        headers: req.headers,
+        rawBody: req.rawBody,
+        body: req.body
       });
 
       res.json({
         message: 'Webhook received successfully',
         provider,
+        events,
         timestamp: new Date().toISOString()
       });
     } catch (error) {
       logger.error('Receive webhook failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * List recently received webhook events
+   */
+  async listWebhookEvents(req, res) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const events = payrollWebhookService.listEvents({ provider: req.query.provider, limit });
+
+      res.json({ events, count: events.length });
+    } catch (error) {
+      logger.error('List webhook events failed', { error: error.message });
       res.status(500).json({ error: error.message });
     }
   }
 
   /**
-   * Validate payroll attestation
+   * Register a payroll oracle key, or rotate it
    */
-  async validateAttestation(req, res) {
+  async registerOracle(req, res) {
+    try {
+      const { oracleId, endpoint, scheme, publicKey } = req.body;
+
+      if (!oracleId || !scheme || !publicKey) {
+        return res.status(400).json({
+          error: 'Missing required fields: oracleId, scheme, publicKey'
+        });
+      }
+
+      const oracle = await payrollOracles.registerOracle(oracleId, { endpoint, scheme, publicKey });
+
+      res.json({
+        message: 'Oracle registered successfully',
+        oracle
+      });
+    } catch (error) {
+      logger.error('Register oracle failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * List registered oracles and their keys
+   */
+  async listOracles(req, res) {
+    try {
+      const oracles = payrollOracles.getRegisteredOracles();
+      res.json({ oracles, count: oracles.length });
+    } catch (error) {
+      logger.error('List oracles failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Revoke an oracle key
+   */
+  async revokeOracle(req, res) {
+    try {
+      const { oracleId } = req.params;
+
+      if (!payrollOracles.revokeOracle(oracleId)) {
+        return res.status(404).json({ error: `No active oracle ${oracleId}` });
+      }
+
+      res.json({ message: 'Oracle revoked', oracleId });
+    } catch (error) {
+      logger.error('Revoke oracle failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Receive a signed oracle attestation: verify, store and anchor it
+   */
+  async receiveAttestation(req, res) {
     try {
       const { attestation } = req.body;
 
@@ -232,33 +342,61 @@ class PayrollController {
         return res.status(400).json({ error: 'Attestation required' });
       }
 
-      const requiredFields = ['provider', 'timestamp', 'identity', 'income'];
-      const missingFields = requiredFields.filter(field => !attestation[field]);
+      const result = await payrollOracles.receiveAttestation(attestation);
 
-      if (missingFields.length > 0) {
-        return res.status(400).json({
-          error: 'Invalid attestation',
-          missingFields
-        });
-      }
+      res.json({
+        message: result.alreadyReceived ? 'Attestation already received' : 'Attestation received',
+        ...result
+      });
+    } catch (error) {
+      logger.error('Receive attestation failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message, chain: error.chain });
+    }
+  }
 
-      // Check attestation age
-      const maxAge = 90 * 24 * 60 * 60 * 1000; // 90 days
-      const attestationDate = new Date(attestation.timestamp);
-      const age = Date.now() - attestationDate.getTime();
+  /**
+   * Revoke an oracle attestation
+   */
+  async revokeAttestation(req, res) {
+    try {
+      const result = await payrollOracles.revokeAttestation(req.params.attestationHash, req.body.reason);
+      res.json({ message: 'Attestation revoked', ...result });
+    } catch (error) {
+      logger.error('Revoke attestation failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
 
-      const isValid = age <= maxAge;
+  /**
+   * Validate a signed oracle attestation
+   * Returns each step of the verification chain: encoding, oracle key, signature,
+   * freshness, revocation and on-chain anchor.
+   */
+  async validateAttestation(req, res) {
+    try {
+      const { attestation } = req.body;
+
+      if (!attestation) {
+        return res.status(400).json({ error: 'Attestation required' });
+      }
+
+      const { valid, attestationHash, chain } = await payrollOracles.verifyAttestation(attestation);
+      const maxAge = thresholds.payroll.maxAttestationAge;
+      const age = Number.isFinite(attestation.issuedAt) ? Date.now() - attestation.issuedAt * 1000 : null;
 
       logger.info('Attestation validated', {
-        provider: attestation.provider,
-        isValid,
-        age
+        oracleId: attestation.oracleId,
+        valid,
+        failed: chain.filter(entry => entry.status === 'failed').map(entry => entry.step)
       });
 
       res.json({
-        valid: isValid,
+        valid,
+        attestationHash,
+        chain,
         age,
         maxAge,
+        oracleId: attestation.oracleId,
         provider: attestation.provider
       });
     } catch (error) {
@@ -266,6 +404,98 @@ class PayrollController {
       res.status(500).json({ error: error.message });
     }
   }
+
+  /**
+   * Income attestations the signing wallet can prove from, with the circuit inputs
+   * the browser prover needs (including the attested income)
+   */
+  async listProvableAttestations(req, res) {
+    try {
+      const attestations = incomeProofService.getProvableAttestations(req.body.walletAddress);
+      res.json({ attestations, count: attestations.length });
+    } catch (error) {
+      logger.error('List provable attestations failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Accept an income proof generated in the browser
+   * Only the proof and its public signals are sent; the income stays in the browser.
+   */
+  async submitIncomeProof(req, res) {
+    try {
+      const { proof, publicSignals, walletAddress } = req.body;
+
+      if (!proof || !publicSignals) {
+        return res.status(400).json({
+          error: 'Missing required fields: proof, publicSignals'
+        });
+      }
+
+      const incomeProof = await incomeProofService.verifyAndRecord(walletAddress, proof, publicSignals, 'browser');
+
+      res.json({
+        message: 'Income proof verified',
+        incomeProof
+      });
+    } catch (error) {
+      logger.error('Submit income proof failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Generate an income proof server-side
+   * Fallback only: the caller must opt in with serverProvingConsent, since the server
+   * reads the attested income to prove it.
+   */
+  async generateIncomeProof(req, res) {
+    try {
+      const { walletAddress, attestationHash, threshold, loanId, serverProvingConsent } = req.body;
+
+      if (!ALLOW_SERVER_PROVING) {
+        return res.status(403).json({
+          error: 'Server-side proving is disabled, generate the proof in the browser'
+        });
+      }
+      if (serverProvingConsent !== true) {
+        return res.status(400).json({
+          error: 'Server-side proving reveals the attested income to the server; set serverProvingConsent to opt in'
+        });
+      }
+      if (!attestationHash || threshold === undefined) {
+        return res.status(400).json({
+          error: 'Missing required fields: attestationHash, threshold'
+        });
+      }
+
+      const result = await incomeProofService.proveOnServer(walletAddress, { attestationHash, threshold, loanId });
+
+      res.json({
+        message: 'Income proof generated',
+        ...result
+      });
+    } catch (error) {
+      logger.error('Generate income proof failed', { error: error.message });
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Income proofs recorded for a wallet (optionally for one loan)
+   */
+  async listIncomeProofs(req, res) {
+    try {
+      const { walletAddress } = req.params;
+      const incomeProofs = incomeProofService.getProofs(walletAddress, req.query.loanId);
+
+      res.json({ walletAddress, incomeProofs, count: incomeProofs.length });
+    } catch (error) {
+      logger.error('List income proofs failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
 }
 
 module.exports = new PayrollController();
@@ -3,6 +3,11 @@ const crypto = require('crypto');
 const logger = require('../utils/logger');
 const commitmentCache = require('../services/commitmentCacheService');
 const identityCommitmentStore = require('../services/identityCommitmentStore');
+const proofAttestationService = require('../services/proofAttestationService');
+const { DEFAULT_MODEL, hasModel } = require('../../../shared/scoring');
+
+// Server-side proving sees the raw activity score; it can be switched off entirely
+const ALLOW_SERVER_PROVING = process.env.ALLOW_SERVER_PROVING !== 'false';
 
 /**
  * Controller for ZK proof generation and verification
@@ -36,7 +41,7 @@ class ProofController {
       const commitment = await zkService.generateCommitment(salary, salt);
 
       // Prepare circuit inputs
-      const inputs = zkService.prepareIncomeProofInputs(salary, threshold, salt);
+      const inputs = zkService.prepareActivityProofInputs(salary, threshold, salt);
 
       logger.info('Proof inputs prepared', {
         threshold,
@@ -59,11 +64,25 @@ class ProofController {
 
   /**
    * Generate ZK proof server-side
-   * NOTE: In production, this should be done client-side for maximum privacy
+   * Fallback only: the browser proves by default (POST /submit) so the score never leaves
+   * the client. The caller must opt in with serverProvingConsent, since this endpoint
+   * receives the raw activity score.
    */
   async generateProof(req, res) {
     try {
-      let { salary, threshold, salt, walletAddress, identityCommitment } = req.body;
+      let { salary, threshold, salt, walletAddress, identityCommitment, scoreModel, serverProvingConsent } = req.body;
+      const loanId = req.body.loanId || 0;
+
+      if (!ALLOW_SERVER_PROVING) {
+        return res.status(403).json({
+          error: 'Server-side proving is disabled, generate the proof in the browser'
+        });
+      }
+      if (serverProvingConsent !== true) {
+        return res.status(400).json({
+          error: 'Server-side proving reveals the activity score to the server; set serverProvingConsent to opt in'
+        });
+      }
 
       if (!salary || !threshold) {
         return res.status(400).json({
@@ -71,6 +90,14 @@ class ProofController {
         });
       }
 
+      // Scoring model the activity score was computed with (shared/scoring)
+      scoreModel = scoreModel || DEFAULT_MODEL;
+      if (!hasModel(scoreModel)) {
+        return res.status(400).json({
+          error: `Unknown scoring model: ${scoreModel}`
+        });
+      }
+
       // Use wallet address or default
       if (!walletAddress) {
         walletAddress = '123456789012345678901234567890';
@@ -111,9 +138,9 @@ class ProofController {
       });
 
       // Prepare inputs for the circuit
-      const inputs = zkService.prepareIncomeProofInputs(salary, threshold, salt, walletAddress);
+      const inputs = zkService.prepareActivityProofInputs(salary, threshold, salt, walletAddress, loanId);
 
-      logger.info('Circuit inputs prepared:', inputs);
+      logger.info('Circuit inputs prepared (server-side proving, user opted in)');
 
       // Generate proof using real Groth16 circuit
       const { proof, publicSignals } = await zkService.generateProof(inputs);
@@ -123,65 +150,21 @@ class ProofController {
         .update(JSON.stringify(proof))
         .digest('hex');
       
-      // Truncate to 63 hex chars (252 bits) to fit in felt252
-      const proofHash = '0x' + proofHashFull.slice(0, 63);
+      // Shift to 250 bits to fit in felt252, like the attested proof keys
+      const proofHash = '0x' + (BigInt('0x' + proofHashFull) >> 6n).toString(16);
 
       // Format for contract submission
       const formattedProof = zkService.exportProofForContract(proof, publicSignals);
 
       logger.info('ZK proof generated', {
         threshold,
-        activityScore: salary,
+        scoreModel,
         publicSignalsCount: publicSignals.length,
         proofHash: proofHash.substring(0, 20) + '...',
         identityCommitment: finalIdentityCommitment.slice(0, 20) + '...'
       });
 
-      // ===== ADD TO COMMITMENT CACHE =====
-      // Cache this borrower's permanent identity so lenders can discover applications
-      commitmentCache.addCommitment(finalIdentityCommitment);
-      logger.info('💾 [CACHE] Commitment cached for future application discovery');
-
-      // ===== STORE ACTIVITY COMMITMENT IN JSON FILE =====
-      // This is the commitment used for loan applications (activity proof)
-      // We store it so we can map it back to the identity_commitment during reveal
-      try {
-        // First, check if there's an existing identity_commitment from Step 2
-        const existingData = await identityCommitmentStore.getCommitmentsByWallet(walletAddress);
-        
-        if (existingData && existingData.identity_commitment) {
-          // User already has identity_commitment from Step 2, preserve it
-          logger.info('✅ [STORE] Found existing identity_commitment, preserving it', {
-            wallet: walletAddress.slice(0, 10) + '...',
-            identity: existingData.identity_commitment.slice(0, 20) + '...'
-          });
-          
-          // Update only the activity_commitment
-          await identityCommitmentStore.storeActivityCommitment(
-            walletAddress,
-            finalIdentityCommitment // This is the activity commitment stored on-chain
-          );
-        } else {
-          // No identity_commitment yet (user skipped Step 2 or did it out of order)
-          // Just store the activity_commitment for now
-          logger.warn('⚠️ [STORE] No identity_commitment found for this wallet. User may not have completed identity verification.', {
-            wallet: walletAddress.slice(0, 10) + '...'
-          });
-          
-          await identityCommitmentStore.storeActivityCommitment(
-            walletAddress,
-            finalIdentityCommitment
-          );
-        }
-        
-        logger.info('💾 [STORE] Activity commitment saved to JSON file', {
-          wallet: walletAddress.slice(0, 10) + '...',
-          activity_commitment: finalIdentityCommitment.slice(0, 20) + '...'
-        });
-      } catch (storeError) {
-        logger.error('❌ [STORE] Failed to save activity commitment:', storeError.message);
-        // Don't fail the request if storage fails - just log it
-      }
+      await this.recordActivityCommitment(walletAddress, finalIdentityCommitment, scoreModel);
 
       res.json({
         message: 'Proof generated successfully',
@@ -193,7 +176,10 @@ class ProofController {
         commitmentHash: finalIdentityCommitment, // For applications - use identity!
         proofHash,
         salt,
-        activityScore: salary
+        activityScore: salary,
+        scoreModel,
+        loanId: inputs.loan_id,
+        issuedAt: Number(inputs.issued_at)
       });
     } catch (error) {
       logger.error('Generate proof failed', { error: error.message, stack: error.stack });
@@ -201,6 +187,143 @@ class ProofController {
     }
   }
 
+  /**
+   * Accept a proof generated in the browser
+   * Only the proof and its public signals are sent:
+   * [commitment, isAboveThreshold, nullifier, threshold, wallet_address, loan_id, issued_at].
+   * The proof is verified against the stored key, and must be fresh and issued for the
+   * submitting wallet, before its commitment is recorded.
+   */
+  async submitProof(req, res) {
+    try {
+      const { proof, publicSignals, walletAddress, identityCommitment } = req.body;
+      const scoreModel = req.body.scoreModel || DEFAULT_MODEL;
+
+      if (!proof || !publicSignals || !walletAddress) {
+        return res.status(400).json({
+          error: 'Missing required fields: proof, publicSignals, walletAddress'
+        });
+      }
+      if (!hasModel(scoreModel)) {
+        return res.status(400).json({
+          error: `Unknown scoring model: ${scoreModel}`
+        });
+      }
+
+      const result = await zkService.verifyActivityProof(proof, publicSignals);
+      if (!result.verified || !result.isAboveThreshold) {
+        logger.warn('Rejected browser proof', { verified: result.verified, isAboveThreshold: result.isAboveThreshold });
+        return res.status(400).json({ error: 'Proof verification failed' });
+      }
+      if (BigInt(result.walletAddress) !== BigInt(walletAddress)) {
+        return res.status(400).json({ error: 'Proof was issued for a different wallet' });
+      }
+
+      const freshness = zkService.checkProofFreshness(result.issuedAt);
+      if (!freshness.fresh) {
+        return res.status(400).json({
+          error: freshness.expired ? 'Proof expired' : 'Proof issued in the future',
+          ageSeconds: freshness.ageSeconds,
+          maxAgeSeconds: freshness.maxAgeSeconds
+        });
+      }
+
+      const commitment = '0x' + result.commitment.toString(16);
+      const finalIdentityCommitment = identityCommitment || commitment;
+
+      const proofHashFull = crypto.createHash('sha256')
+        .update(JSON.stringify(proof))
+        .digest('hex');
+      const proofHash = '0x' + (BigInt('0x' + proofHashFull) >> 6n).toString(16);
+
+      logger.info('Browser-generated proof verified', {
+        threshold: result.threshold.toString(),
+        scoreModel,
+        proofHash: proofHash.substring(0, 20) + '...',
+        identityCommitment: finalIdentityCommitment.slice(0, 20) + '...'
+      });
+
+      await this.recordActivityCommitment(walletAddress, finalIdentityCommitment, scoreModel);
+
+      res.json({
+        message: 'Proof verified successfully',
+        proof: zkService.exportProofForContract(proof, publicSignals),
+        publicSignals,
+        rawProof: proof,
+        commitment,
+        identityCommitment: finalIdentityCommitment,
+        commitmentHash: finalIdentityCommitment,
+        proofHash,
+        threshold: result.threshold.toString(),
+        scoreModel,
+        loanId: result.loanId.toString(),
+        issuedAt: result.issuedAt
+      });
+    } catch (error) {
+      logger.error('Submit proof failed', { error: error.message });
+      const status = /public signals/.test(error.message) ? 400 : 500;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Serve the files needed to prove the activity circuit in the browser
+   * GET /artifacts/:name - activityVerifier.wasm, activityVerifier.zkey, snarkjs.min.js
+   */
+  async getProverArtifact(req, res) {
+    const file = zkService.getProverArtifacts()[req.params.name];
+    if (!file) {
+      return res.status(404).json({ error: 'Unknown prover artifact' });
+    }
+
+    // Loaded by the frontend (another origin) from a Web Worker
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.sendFile(file, (error) => {
+      if (error && !res.headersSent) {
+        logger.error('Prover artifact unavailable', { name: req.params.name, error: error.message });
+        res.status(404).json({ error: 'Prover artifact not available on this server' });
+      }
+    });
+  }
+
+  /**
+   * Cache the commitment for lender discovery and store it for the reveal flow
+   * Storage failures are logged, not fatal.
+   * @param {string} walletAddress - Borrower wallet
+   * @param {string} commitment - Activity commitment used for applications
+   * @param {string} scoreModel - Scoring model the proven score was computed with
+   */
+  async recordActivityCommitment(walletAddress, commitment, scoreModel) {
+    commitmentCache.addCommitment(commitment);
+    logger.info('💾 [CACHE] Commitment cached for future application discovery');
+
+    try {
+      const existingData = await identityCommitmentStore.getCommitmentsByWallet(walletAddress);
+
+      if (existingData && existingData.identity_commitment) {
+        logger.info('✅ [STORE] Found existing identity_commitment, preserving it', {
+          wallet: walletAddress.slice(0, 10) + '...',
+          identity: existingData.identity_commitment.slice(0, 20) + '...'
+        });
+      } else {
+        // User skipped identity verification or did it out of order
+        logger.warn('⚠️ [STORE] No identity_commitment found for this wallet. User may not have completed identity verification.', {
+          wallet: walletAddress.slice(0, 10) + '...'
+        });
+      }
+
+      await identityCommitmentStore.storeActivityCommitment(walletAddress, commitment, scoreModel);
+
+      logger.info('💾 [STORE] Activity commitment saved to JSON file', {
+        wallet: walletAddress.slice(0, 10) + '...',
+        activity_commitment: commitment.slice(0, 20) + '...'
+      });
+    } catch (storeError) {
+      logger.error('❌ [STORE] Failed to save activity commitment:', storeError.message);
+    }
+  }
+
   /**
    * Verify ZK proof
    */
@@ -230,6 +353,142 @@ class ProofController {
     }
   }
 
+  /**
+   * Verify an activity proof and attest it on-chain (verify-then-attest)
+   * Only attested proofs are accepted by LoanEscrowZK.apply_for_loan. Expired proofs,
+   * proofs not bound to a loan and nullifiers already used by an application or holding
+   * a live proof (409) are rejected.
+   */
+  async attestProof(req, res) {
+    try {
+      const { proof, publicSignals } = req.body;
+
+      if (!proof || !publicSignals) {
+        return res.status(400).json({
+          error: 'Missing required fields: proof, publicSignals'
+        });
+      }
+
+      if (!proofAttestationService.isConfigured()) {
+        return res.status(503).json({
+          error: 'Proof attestation is not configured on this server'
+        });
+      }
+
+      const attestation = await proofAttestationService.attest(proof, publicSignals);
+
+      logger.info('Proof attested', {
+        proofHash: attestation.proofHash.substring(0, 20) + '...',
+        threshold: attestation.threshold,
+        alreadyAttested: attestation.alreadyAttested
+      });
+
+      res.json({
+        attested: true,
+        ...attestation,
+        message: attestation.alreadyAttested ? 'Proof was already attested' : 'Proof verified and attested on-chain'
+      });
+    } catch (error) {
+      logger.error('Attest proof failed', { error: error.message });
+      let status = 500;
+      if (/already used|live proof/.test(error.message)) {
+        status = 409;
+      } else if (/verification failed|above threshold|public signals|not bound|expired|in the future/.test(error.message)) {
+        status = 400;
+      }
+      res.status(status).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Generate an activityAuth proof: the score is derived inside the circuit from the
+   * metrics, which are committed to. Like /generate this runs on the server, so it
+   * requires serverProvingConsent and ALLOW_SERVER_PROVING.
+   */
+  async generateActivityAuthProof(req, res) {
+    try {
+      const { metrics, threshold, walletAddress, salt, serverProvingConsent } = req.body;
+
+      if (!ALLOW_SERVER_PROVING) {
+        return res.status(403).json({
+          error: 'Server-side proving is disabled, generate the proof in the browser'
+        });
+      }
+      if (serverProvingConsent !== true) {
+        return res.status(400).json({
+          error: 'Server-side proving reveals the wallet metrics to the server; set serverProvingConsent to opt in'
+        });
+      }
+      if (!metrics || threshold === undefined || !walletAddress || !salt) {
+        return res.status(400).json({
+          error: 'Missing required fields: metrics, threshold, walletAddress, salt'
+        });
+      }
+
+      const { inputs, score } = zkService.prepareActivityAuthInputs(metrics, threshold, salt, walletAddress);
+      if (score.total < Number(threshold)) {
+        return res.status(400).json({
+          error: `Derived ${score.model} score does not cover threshold ${threshold}`
+        });
+      }
+
+      const { proof, publicSignals } = await zkService.generateActivityAuthProof(inputs);
+      const signals = await zkService.verifyActivityAuthProof(proof, publicSignals);
+
+      logger.info('Activity auth proof generated (server-side proving, user opted in)', {
+        threshold,
+        metricsCommitment: signals.metricsCommitment.slice(0, 20) + '...'
+      });
+
+      res.json({
+        proof,
+        publicSignals,
+        metricsCommitment: signals.metricsCommitment,
+        scoreCommitment: signals.scoreCommitment,
+        threshold: signals.threshold.toString(),
+        activityScore: score.total,
+        scoreModel: score.model
+      });
+    } catch (error) {
+      logger.error('Generate activity auth proof failed', { error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  /**
+   * Verify an activityAuth proof
+   * Optional `commitment` (an activity proof commitment) is checked against the proof's
+   * score commitment, showing that score was derived from the committed metrics.
+   */
+  async verifyActivityAuthProof(req, res) {
+    try {
+      const { proof, publicSignals, commitment } = req.body;
+
+      if (!proof || !publicSignals) {
+        return res.status(400).json({
+          error: 'Missing required fields: proof, publicSignals'
+        });
+      }
+
+      const signals = await zkService.verifyActivityAuthProof(proof, publicSignals);
+      const valid = signals.verified && signals.scoreVerified;
+
+      res.json({
+        valid,
+        metricsCommitment: signals.metricsCommitment,
+        scoreCommitment: signals.scoreCommitment,
+        threshold: signals.threshold.toString(),
+        walletAddress: signals.walletAddress,
+        scoreModel: signals.scoreModel,
+        linkedToCommitment: commitment ? valid && BigInt(commitment) === BigInt(signals.scoreCommitment) : null
+      });
+    } catch (error) {
+      logger.error('Verify activity auth proof failed', { error: error.message });
+      const status = /public signals/.test(error.message) ? 400 : 500;
+      res.status(status).json({ error: error.message });
+    }
+  }
+
   /**
    * Generate commitment from salary and salt
    */
@@ -0,0 +1,243 @@
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./index');
+const identityCommitmentRepository = require('../repositories/identityCommitmentRepository');
+const incomeAttestationRepository = require('../repositories/incomeAttestationRepository');
+const disputeRepository = require('../repositories/disputeRepository');
+const deadlineApplicationRepository = require('../repositories/deadlineApplicationRepository');
+const escrowEventRepository = require('../repositories/escrowEventRepository');
+const loanPolicyRepository = require('../repositories/loanPolicyRepository');
+const activityBlockCacheRepository = require('../repositories/activityBlockCacheRepository');
+const logger = require('../utils/logger');
+
+const LEGACY_COMMITMENTS_FILE = path.join(__dirname, '../data/identity_commitments.json');
+const LEGACY_ATTESTATIONS_FILE = process.env.INCOME_ATTESTATIONS_FILE || path.join(__dirname, '../data/income_attestations.json');
+const LEGACY_DISPUTES_FILE = process.env.DISPUTES_FILE || path.join(__dirname, '../data/disputes.json');
+const LEGACY_DEADLINES_FILE = process.env.DEADLINE_SCHEDULER_FILE || path.join(__dirname, '../data/deadline_scheduler.json');
+const LEGACY_ESCROW_INDEX_FILE = process.env.ESCROW_INDEX_FILE || path.join(__dirname, '../data/escrow_event_index.json');
+const LEGACY_POLICIES_FILE = process.env.LOAN_POLICIES_FILE || path.join(__dirname, '../data/loan_policies.json');
+const LEGACY_ACTIVITY_CACHE_FILE = process.env.ACTIVITY_CACHE_FILE || path.join(__dirname, '../data/activity_block_cache.json');
+
+/**
+ * Normalize a felt to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeFelt(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+/**
+ * One-time import of the legacy identity commitments JSON file into SQLite
+ * All records are imported in one transaction. Safe to run again: a wallet that is
+ * already in the database is only overwritten by a record with a later updated_at.
+ *
+ * Usage: npm run db:import [-- path/to/identity_commitments.json]
+ * (also imports the other legacy JSON stores below from their old locations, if present)
+ *
+ * @param {string} file - Legacy JSON file
+ * @returns {object} { inserted, updated, skipped }
+ */
+function importIdentityCommitments(file = LEGACY_COMMITMENTS_FILE) {
+  const { commitments = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const counts = { inserted: 0, updated: 0, skipped: 0 };
+
+  db.transaction(() => {
+    for (const [walletAddress, record] of Object.entries(commitments)) {
+      counts[identityCommitmentRepository.importRecord(walletAddress, record)] += 1;
+    }
+  });
+
+  logger.info(`📥 [DB] Imported identity commitments from ${file}`, counts);
+  return counts;
+}
+
+/**
+ * One-time import of the legacy income attestations JSON file into SQLite
+ * Legacy records have no provider subject, so payroll webhooks cannot revoke them;
+ * they still age out after thresholds.payroll.maxAttestationAge. Safe to run again:
+ * an attestation already stored for the wallet, provider and time is skipped.
+ *
+ * @param {string} file - Legacy JSON file
+ * @returns {object} { inserted, skipped }
+ */
+function importIncomeAttestations(file = LEGACY_ATTESTATIONS_FILE) {
+  const { wallets = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const counts = { inserted: 0, skipped: 0 };
+
+  db.transaction(() => {
+    for (const [walletAddress, records] of Object.entries(wallets)) {
+      const walletFelt = '0x' + BigInt(walletAddress).toString(16);
+      for (const record of records) {
+        counts[incomeAttestationRepository.importRecord(walletFelt, record)] += 1;
+      }
+    }
+  });
+
+  logger.info(`📥 [DB] Imported income attestations from ${file}`, counts);
+  return counts;
+}
+
+/**
+ * One-time import of the legacy disputes JSON file into SQLite
+ * Safe to run again: a dispute id that is already stored is skipped.
+ *
+ * @param {string} file - Legacy JSON file
+ * @returns {object} { inserted, skipped }
+ */
+function importDisputes(file = LEGACY_DISPUTES_FILE) {
+  const { disputes = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const counts = { inserted: 0, skipped: 0 };
+
+  db.transaction(() => {
+    for (const dispute of Object.values(disputes)) {
+      counts[disputeRepository.importRecord(dispute)] += 1;
+    }
+  });
+
+  logger.info(`📥 [DB] Imported disputes from ${file}`, counts);
+  return counts;
+}
+
+/**
+ * One-time import of the legacy deadline scheduler state into SQLite
+ * Entries from before release notices ('collecting') are imported as 'releasable'.
+ * Safe to run again: an application the scheduler already tracks is skipped.
+ *
+ * @param {string} file - Legacy JSON file
+ * @returns {object} { inserted, skipped }
+ */
+function importDeadlineScheduler(file = LEGACY_DEADLINES_FILE) {
+  const { contractAddress, applications = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const counts = { inserted: 0, skipped: 0 };
+
+  db.transaction(() => {
+    for (const entry of Object.values(applications)) {
+      const status = entry.status === 'collecting' ? 'releasable' : entry.status;
+      counts[deadlineApplicationRepository.importRecord(normalizeFelt(contractAddress), { ...entry, status })] += 1;
+    }
+  });
+
+  logger.info(`📥 [DB] Imported deadline scheduler state from ${file}`, counts);
+  return counts;
+}
+
+/**
+ * One-time import of the legacy escrow event index into SQLite
+ * The cursor is only taken over when the contract has none yet, so an index that has
+ * moved on since is not rewound. Safe to run again: stored events are skipped.
+ *
+ * @param {string} file - Legacy JSON file
+ * @returns {object} { inserted, skipped }
+ */
+function importEscrowEventIndex(file = LEGACY_ESCROW_INDEX_FILE) {
+  const { contractAddress, cursor, blocks = {}, events = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const contract = normalizeFelt(contractAddress);
+  let inserted = 0;
+
+  db.transaction(() => {
+    if (!escrowEventRepository.getCursor(contract)) {
+      // The legacy file only holds the recent block window, so all of it is kept
+      escrowEventRepository.saveBlocks(contract, blocks, Math.max(Object.keys(blocks).length, 1));
+      escrowEventRepository.setCursor(contract, cursor);
+    }
+    inserted = escrowEventRepository.insertEvents(contract, events).length;
+  });
+
+  const counts = { inserted, skipped: events.length - inserted };
+  logger.info(`📥 [DB] Imported escrow event index from ${file}`, counts);
+  return counts;
+}
+
+/**
+ * One-time import of the legacy loan policy registry into SQLite
+ * Safe to run again: a policy hash that is already stored is skipped.
+ *
+ * @param {string} file - Legacy JSON file
+ * @returns {object} { inserted, skipped }
+ */
+function importLoanPolicies(file = LEGACY_POLICIES_FILE) {
+  const { policies = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const counts = { inserted: 0, skipped: 0 };
+
+  db.transaction(() => {
+    for (const [policyHash, record] of Object.entries(policies)) {
+      counts[loanPolicyRepository.insert({ ...record, policyHash }) ? 'inserted' : 'skipped'] += 1;
+    }
+  });
+
+  logger.info(`📥 [DB] Imported loan policies from ${file}`, counts);
+  return counts;
+}
+
+/**
+ * One-time import of the legacy activity block cache into SQLite
+ * Safe to run again: a wallet and token that already have scanned ranges are skipped.
+ *
+ * @param {string} file - Legacy JSON file
+ * @returns {object} { inserted, skipped } - wallet and token pairs
+ */
+function importActivityBlockCache(file = LEGACY_ACTIVITY_CACHE_FILE) {
+  const { wallets = {}, firstSeen = {} } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const counts = { inserted: 0, skipped: 0 };
+
+  db.transaction(() => {
+    for (const [walletAddress, tokens] of Object.entries(wallets)) {
+      for (const [tokenAddress, { ranges = [], transfers = [] }] of Object.entries(tokens)) {
+        const wallet = normalizeFelt(walletAddress);
+        const token = normalizeFelt(tokenAddress);
+        if (activityBlockCacheRepository.findRanges(wallet, token).length > 0) {
+          counts.skipped += 1;
+          continue;
+        }
+        activityBlockCacheRepository.saveScan(wallet, token, ranges, transfers);
+        counts.inserted += 1;
+      }
+    }
+    for (const [walletAddress, { firstBlock, firstSeenAt, scannedAt }] of Object.entries(firstSeen)) {
+      activityBlockCacheRepository.saveFirstSeen(normalizeFelt(walletAddress), firstBlock, firstSeenAt, scannedAt);
+    }
+  });
+
+  logger.info(`📥 [DB] Imported activity block cache from ${file}`, counts);
+  return counts;
+}
+
+// Other legacy stores, imported when their file is still present
+const LEGACY_STORES = [
+  ['Income attestations', LEGACY_ATTESTATIONS_FILE, importIncomeAttestations],
+  ['Disputes', LEGACY_DISPUTES_FILE, importDisputes],
+  ['Deadline scheduler', LEGACY_DEADLINES_FILE, importDeadlineScheduler],
+  ['Escrow event index', LEGACY_ESCROW_INDEX_FILE, importEscrowEventIndex],
+  ['Loan policies', LEGACY_POLICIES_FILE, importLoanPolicies],
+  ['Activity block cache', LEGACY_ACTIVITY_CACHE_FILE, importActivityBlockCache]
+];
+
+if (require.main === module) {
+  try {
+    const counts = importIdentityCommitments(process.argv[2] || LEGACY_COMMITMENTS_FILE);
+    logger.info(`✅ Import complete: ${counts.inserted} inserted, ${counts.updated} updated, ${counts.skipped} unchanged`);
+    for (const [label, file, importStore] of LEGACY_STORES) {
+      if (fs.existsSync(file)) {
+        const storeCounts = importStore(file);
+        logger.info(`✅ ${label}: ${storeCounts.inserted} inserted, ${storeCounts.skipped} unchanged`);
+      }
+    }
+    db.close();
+  } catch (error) {
+    logger.error('❌ Import failed', { error: error.message });
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  importIdentityCommitments,
+  importIncomeAttestations,
+  importDisputes,
+  importDeadlineScheduler,
+  importEscrowEventIndex,
+  importLoanPolicies,
+  importActivityBlockCache
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('../utils/logger');
+
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(__dirname, '../data/loanzy.db');
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+/**
+ * Embedded SQLite database shared by the repositories
+ *
+ * Opened on first use. Pending migrations (migrations/NNN_name.sql, applied in order,
+ * each in its own transaction) run before the connection is handed out, and the
+ * applied versions are recorded in schema_migrations.
+ *
+ * WAL mode lets readers run while a write is in progress; busy_timeout makes a second
+ * process (workers, the importer) wait for the write lock instead of failing.
+ */
+
+let db = null;
+
+/**
+ * Migration files in version order
+ * @returns {Array<object>} [{ version, name, file }]
+ */
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.sql$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, file }))
+    .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Apply pending migrations
+ * @param {Database} database - Open connection
+ * @returns {Array<number>} Versions applied by this call
+ */
+function migrate(database) {
+  database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(database.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const record = database.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  const newlyApplied = [];
+
+  for (const migration of listMigrations()) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, migration.file), 'utf8');
+    database.transaction(() => {
+      database.exec(sql);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+
+    newlyApplied.push(migration.version);
+    logger.info(`🗄️ [DB] Applied migration ${migration.file}`);
+  }
+
+  return newlyApplied;
+}
+
+/**
+ * Shared connection, opened and migrated on first call
+ * @returns {Database} better-sqlite3 connection
+ */
+function getDb() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(DATABASE_FILE), { recursive: true });
+
+    const database = new Database(DATABASE_FILE);
+    database.pragma('journal_mode = WAL');
+    database.pragma('busy_timeout = 5000');
+    database.pragma('foreign_keys = ON');
+    migrate(database);
+
+    db = database;
+    logger.info(`🗄️ [DB] Opened ${DATABASE_FILE}`);
+  }
+  return db;
+}
+
+/**
+ * Run a function in a transaction (rolled back if it throws)
+ * @param {Function} fn - Synchronous work using the repositories
+ * @returns {*} Result of fn
+ */
+function transaction(fn) {
+  return getDb().transaction(fn)();
+}
+
+/**
+ * Close the shared connection
+ */
+function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  DATABASE_FILE,
+  getDb,
+  migrate,
+  transaction,
+  close
+};
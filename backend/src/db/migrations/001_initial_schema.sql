@@ -0,0 +1,57 @@
+-- Identity and activity commitments per wallet (was data/identity_commitments.json)
+-- *_felt columns hold the canonical hex of the value so lookups match whatever
+-- format (decimal, padded or unpadded hex) the address or commitment was stored in.
+CREATE TABLE identity_commitments (
+  wallet_address TEXT PRIMARY KEY,
+  wallet_felt TEXT,
+  identity_commitment TEXT,
+  identity_felt TEXT,
+  activity_commitment TEXT,
+  activity_felt TEXT,
+  activity_score_model TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_identity_commitments_wallet_felt ON identity_commitments (wallet_felt);
+CREATE INDEX idx_identity_commitments_identity_felt ON identity_commitments (identity_felt);
+CREATE INDEX idx_identity_commitments_activity_felt ON identity_commitments (activity_felt);
+
+-- Known borrower commitments and the loans they applied to (was commitmentCacheService)
+CREATE TABLE known_commitments (
+  commitment TEXT PRIMARY KEY,
+  first_seen_at TEXT NOT NULL
+);
+
+CREATE TABLE loan_commitments (
+  loan_id TEXT NOT NULL,
+  commitment TEXT NOT NULL REFERENCES known_commitments (commitment) ON DELETE CASCADE,
+  added_at TEXT NOT NULL,
+  PRIMARY KEY (loan_id, commitment)
+);
+
+-- Loans tracked by the legacy loan monitor (was loanMonitor.activeLoans)
+CREATE TABLE monitored_loans (
+  loan_id TEXT PRIMARY KEY,
+  borrower_address TEXT NOT NULL,
+  lender_address TEXT NOT NULL,
+  status TEXT NOT NULL,
+  deadline INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_monitored_loans_status ON monitored_loans (status);
+CREATE INDEX idx_monitored_loans_borrower ON monitored_loans (borrower_address COLLATE NOCASE);
+CREATE INDEX idx_monitored_loans_lender ON monitored_loans (lender_address COLLATE NOCASE);
+
+-- Transactions submitted through the relayer (was relayerService.pendingTxs)
+CREATE TABLE relayer_transactions (
+  tx_hash TEXT PRIMARY KEY,
+  relayer_id TEXT,
+  status TEXT NOT NULL,
+  submitted_at INTEGER NOT NULL,
+  updated_at INTEGER
+);
+
+CREATE INDEX idx_relayer_transactions_submitted_at ON relayer_transactions (submitted_at);
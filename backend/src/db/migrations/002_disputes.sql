@@ -0,0 +1,35 @@
+-- Borrower disputes of a default (was data/disputes.json)
+-- At most one open or upheld dispute per application; a rejected one does not block a new one
+CREATE TABLE disputes (
+  id TEXT PRIMARY KEY,
+  loan_id TEXT NOT NULL,
+  commitment TEXT NOT NULL,
+  borrower_felt TEXT NOT NULL,
+  lender_felt TEXT NOT NULL,
+  status TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  evidence TEXT NOT NULL,
+  evidence_hash TEXT NOT NULL,
+  window_ends_at TEXT NOT NULL,
+  opened_at TEXT NOT NULL,
+  resolved_at TEXT,
+  resolution TEXT,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_disputes_application ON disputes (loan_id, commitment);
+CREATE UNIQUE INDEX idx_disputes_active ON disputes (loan_id, commitment) WHERE status != 'rejected';
+
+-- State changes of a dispute; message_hash makes each signed message usable once
+CREATE TABLE dispute_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  dispute_id TEXT NOT NULL REFERENCES disputes (id),
+  action TEXT NOT NULL,
+  actor TEXT NOT NULL,
+  status TEXT NOT NULL,
+  at TEXT NOT NULL,
+  message_hash TEXT UNIQUE,
+  details TEXT NOT NULL
+);
+
+CREATE INDEX idx_dispute_history_dispute ON dispute_history (dispute_id);
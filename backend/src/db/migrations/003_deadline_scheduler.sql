@@ -0,0 +1,18 @@
+-- Deadline scheduler progress per application (was data/deadline_scheduler.json)
+-- Keyed by contract so switching LOAN_ESCROW_ZK_ADDRESS starts from a clean slate
+CREATE TABLE deadline_applications (
+  contract_address TEXT NOT NULL,
+  loan_id TEXT NOT NULL,
+  commitment TEXT NOT NULL,
+  borrower_felt TEXT,
+  repayment_deadline INTEGER,
+  status TEXT NOT NULL,
+  mark_tx_hash TEXT,
+  defaulted_at INTEGER,
+  dispute_ends_at INTEGER,
+  job_ids TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  PRIMARY KEY (contract_address, loan_id, commitment)
+);
+
+CREATE INDEX idx_deadline_applications_status ON deadline_applications (contract_address, status);
@@ -0,0 +1,33 @@
+-- LoanEscrowZK event index (was data/escrow_event_index.json)
+-- Raw decoded events are kept as JSON; projections are rebuilt from them in memory
+
+-- Last fully indexed block per contract
+CREATE TABLE escrow_index_cursors (
+  contract_address TEXT PRIMARY KEY,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT,
+  updated_at TEXT NOT NULL
+);
+
+-- Recent block hashes used for reorg detection (a window of the newest blocks)
+CREATE TABLE escrow_blocks (
+  contract_address TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  hash TEXT NOT NULL,
+  timestamp INTEGER,
+  PRIMARY KEY (contract_address, block_number)
+);
+
+CREATE TABLE escrow_events (
+  contract_address TEXT NOT NULL,
+  id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  loan_id TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  event_index INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (contract_address, id)
+);
+
+CREATE INDEX idx_escrow_events_block ON escrow_events (contract_address, block_number, event_index);
+CREATE INDEX idx_escrow_events_name ON escrow_events (contract_address, name);
@@ -0,0 +1,7 @@
+-- Lender loan policies by on-chain policy hash (was data/loan_policies.json)
+CREATE TABLE loan_policies (
+  policy_hash TEXT PRIMARY KEY,
+  cid TEXT NOT NULL,
+  policy TEXT NOT NULL,
+  created_at TEXT NOT NULL
+);
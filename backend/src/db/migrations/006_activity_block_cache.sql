@@ -0,0 +1,29 @@
+-- Transfer scans per wallet and token (was data/activity_block_cache.json)
+-- Ranges are inclusive, merged and non-overlapping; transfers are raw JSON (amount in the
+-- token's smallest unit)
+CREATE TABLE activity_scanned_ranges (
+  wallet_felt TEXT NOT NULL,
+  token_felt TEXT NOT NULL,
+  from_block INTEGER NOT NULL,
+  to_block INTEGER NOT NULL,
+  PRIMARY KEY (wallet_felt, token_felt, from_block)
+);
+
+CREATE TABLE activity_transfers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wallet_felt TEXT NOT NULL,
+  token_felt TEXT NOT NULL,
+  block_number INTEGER NOT NULL,
+  data TEXT NOT NULL
+);
+
+CREATE INDEX idx_activity_transfers_wallet ON activity_transfers (wallet_felt, token_felt, block_number);
+
+-- Oldest transfer found for a wallet across tokens, kept as older blocks get scanned; the
+-- first_* columns are NULL for a wallet scanned without finding any transfer
+CREATE TABLE activity_wallet_first_seen (
+  wallet_felt TEXT PRIMARY KEY,
+  first_block INTEGER,
+  first_seen_at INTEGER,
+  scanned_at INTEGER NOT NULL
+);
@@ -0,0 +1,10 @@
+-- Single-use nonces for signed API requests (middleware/auth)
+CREATE TABLE auth_nonces (
+  nonce TEXT PRIMARY KEY,
+  wallet_felt TEXT NOT NULL,
+  issued_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  used_at INTEGER
+);
+
+CREATE INDEX idx_auth_nonces_expires_at ON auth_nonces (expires_at);
@@ -0,0 +1,51 @@
+-- Income attestations linked to borrower wallets (was data/income_attestations.json)
+-- subject_key is a hash of the provider's subject (Plaid item, ADP worker, employer
+-- and employee id) so webhooks can find the attestations they affect without the
+-- identifiers themselves being stored.
+CREATE TABLE income_attestations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wallet_felt TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  subject_key TEXT,
+  annual_income REAL NOT NULL,
+  currency TEXT NOT NULL,
+  attested_at TEXT NOT NULL,
+  recorded_at TEXT NOT NULL,
+  revoked_at TEXT,
+  revoked_reason TEXT,
+  revoked_by_event TEXT
+);
+
+CREATE INDEX idx_income_attestations_wallet ON income_attestations (wallet_felt, attested_at);
+CREATE INDEX idx_income_attestations_subject ON income_attestations (subject_key);
+
+-- Verified payroll webhook deliveries, one row per provider event
+CREATE TABLE payroll_webhook_events (
+  event_id TEXT PRIMARY KEY,
+  provider TEXT NOT NULL,
+  employer_id TEXT,
+  type TEXT NOT NULL,
+  subject_key TEXT,
+  payload TEXT NOT NULL,
+  received_at TEXT NOT NULL,
+  processed_at TEXT,
+  outcome TEXT,
+  error TEXT
+);
+
+CREATE INDEX idx_payroll_webhook_events_received_at ON payroll_webhook_events (received_at);
+
+-- Active loan applications whose income attestation was revoked or lowered
+CREATE TABLE application_flags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  loan_id TEXT NOT NULL,
+  commitment TEXT NOT NULL,
+  borrower_felt TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  attestation_id INTEGER REFERENCES income_attestations (id),
+  event_id TEXT REFERENCES payroll_webhook_events (event_id),
+  created_at TEXT NOT NULL,
+  UNIQUE (loan_id, commitment, event_id)
+);
+
+CREATE INDEX idx_application_flags_loan ON application_flags (loan_id);
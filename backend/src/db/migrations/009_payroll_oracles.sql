@@ -0,0 +1,29 @@
+-- Payroll oracles and the keys their attestations are signed with (payrollOracles)
+-- scheme is 'stark' (public_key is the Stark public key felt) or 'ecdsa'
+-- (public_key is a PEM SPKI P-256 or secp256k1 key).
+CREATE TABLE payroll_oracles (
+  oracle_id TEXT PRIMARY KEY,
+  endpoint TEXT,
+  scheme TEXT NOT NULL,
+  public_key TEXT NOT NULL,
+  registered_at TEXT NOT NULL,
+  revoked_at TEXT
+);
+
+-- Signed oracle attestations received by the backend, keyed by their Poseidon hash
+CREATE TABLE oracle_attestations (
+  attestation_hash TEXT PRIMARY KEY,
+  oracle_id TEXT NOT NULL REFERENCES payroll_oracles (oracle_id),
+  subject_felt TEXT NOT NULL,
+  attestation TEXT NOT NULL,
+  issued_at INTEGER NOT NULL,
+  expires_at INTEGER NOT NULL,
+  received_at TEXT NOT NULL,
+  anchor_tx_hash TEXT,
+  anchored_at TEXT,
+  revoked_at TEXT,
+  revoked_reason TEXT,
+  revoke_tx_hash TEXT
+);
+
+CREATE INDEX idx_oracle_attestations_subject ON oracle_attestations (subject_felt);
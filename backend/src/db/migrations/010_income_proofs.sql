@@ -0,0 +1,23 @@
+-- BN254 Poseidon hash of an attestation, what 'eddsa' oracles sign and the income
+-- circuit outputs as attestation_id (payrollOracles, incomeProofService)
+ALTER TABLE oracle_attestations ADD COLUMN message_hash TEXT;
+
+CREATE INDEX idx_oracle_attestations_message_hash ON oracle_attestations (message_hash);
+
+-- Verified income proofs: annual income >= threshold for a wallet and loan, income kept private
+CREATE TABLE income_proofs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wallet_felt TEXT NOT NULL,
+  loan_id TEXT NOT NULL,
+  attestation_hash TEXT NOT NULL REFERENCES oracle_attestations (attestation_hash),
+  oracle_id TEXT NOT NULL,
+  threshold TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  income_commitment TEXT NOT NULL,
+  issued_at INTEGER NOT NULL,
+  proven_by TEXT NOT NULL,
+  verified_at TEXT NOT NULL,
+  UNIQUE (wallet_felt, loan_id, attestation_hash, threshold)
+);
+
+CREATE INDEX idx_income_proofs_wallet ON income_proofs (wallet_felt);
@@ -0,0 +1,29 @@
+-- Document attributes the backend read (MRZ nationality, expiry), committed to as
+-- Poseidon(identity_commitment, nationality, expiry_timestamp); the values are not stored
+CREATE TABLE identity_attributes (
+  attributes_commitment TEXT PRIMARY KEY,
+  wallet_felt TEXT NOT NULL,
+  identity_commitment TEXT NOT NULL,
+  recorded_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_identity_attributes_wallet ON identity_attributes (wallet_felt);
+
+-- Verified identity predicate proofs, the latest per wallet and loan (identityPredicateService)
+CREATE TABLE identity_predicate_proofs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  wallet_felt TEXT NOT NULL,
+  loan_id TEXT NOT NULL,
+  identity_commitment TEXT NOT NULL,
+  attributes_commitment TEXT NOT NULL REFERENCES identity_attributes (attributes_commitment),
+  min_age_seconds INTEGER NOT NULL,
+  max_age_seconds INTEGER NOT NULL,
+  expires_after INTEGER NOT NULL,
+  sanctions_root TEXT NOT NULL,
+  issued_at INTEGER NOT NULL,
+  proven_by TEXT NOT NULL,
+  verified_at TEXT NOT NULL,
+  UNIQUE (wallet_felt, loan_id)
+);
+
+CREATE INDEX idx_identity_predicate_proofs_wallet ON identity_predicate_proofs (wallet_felt);
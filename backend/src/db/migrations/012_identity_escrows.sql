@@ -0,0 +1,31 @@
+-- Encrypted identity packages escrowed per loan application (identityEscrowService).
+-- escrow_hash is the value the borrower attaches on-chain (LoanEscrowZK.attach_identity_escrow)
+CREATE TABLE identity_escrows (
+  loan_id TEXT NOT NULL,
+  commitment TEXT NOT NULL,
+  borrower_felt TEXT NOT NULL,
+  cid TEXT NOT NULL,
+  threshold INTEGER NOT NULL,
+  total_shares INTEGER NOT NULL,
+  escrow_hash TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  revealed_at TEXT,
+  PRIMARY KEY (loan_id, commitment)
+);
+
+CREATE INDEX idx_identity_escrows_borrower ON identity_escrows (borrower_felt);
+
+-- Share deliveries of a package; delivered shares carry the trustee's signed receipt
+CREATE TABLE identity_escrow_receipts (
+  loan_id TEXT NOT NULL,
+  commitment TEXT NOT NULL,
+  share_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  share_hash TEXT,
+  received_at TEXT,
+  audit_seq INTEGER,
+  signature TEXT,
+  error TEXT,
+  PRIMARY KEY (loan_id, commitment, share_id),
+  FOREIGN KEY (loan_id, commitment) REFERENCES identity_escrows (loan_id, commitment)
+);
@@ -2,6 +2,7 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const logger = require('./utils/logger');
+const { requireAuth, assertAuthDeclared } = require('./middleware/auth');
 
 // Import routes - Using ON-CHAIN routes (no in-memory cache)
 const loanRoutes = require('./routes/loanRoutes_onchain'); // ✅ On-chain blockchain queries
@@ -10,6 +11,9 @@ const identityRoutes = require('./routes/identityRoutes');
 const payrollRoutes = require('./routes/payrollRoutes');
 // ✅ NEW: Real transaction activity routes (uses Blast API)
 const activityRoutes = require('./routes/activityRoutes');
+const reputationRoutes = require('./routes/reputationRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const authRoutes = require('./routes/authRoutes');
 
 // Create Express app
 const app = express();
@@ -17,8 +21,13 @@ const app = express();
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Signed requests bind the exact body bytes (middleware/auth), so every body parser keeps them;
+// other bodies (multipart uploads) are refused on signed routes
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -30,12 +39,12 @@ app.use((req, res, next) => {
 });
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', requireAuth.public, (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
 // Debug endpoint to check commitment cache
-app.get('/api/debug/cache', (req, res) => {
+app.get('/api/debug/cache', requireAuth.admin, (req, res) => {
   const commitmentCache = require('./services/commitmentCacheService');
   const stats = commitmentCache.getStats();
   res.json({
@@ -46,11 +55,23 @@ app.get('/api/debug/cache', (req, res) => {
 });
 
 // API routes
-app.use('/api/loan', loanRoutes);
-app.use('/api/proof', proofRoutes);
-app.use('/api/identity', identityRoutes);
-app.use('/api/payroll', payrollRoutes);
-app.use('/api/activity', activityRoutes); // ✅ NEW: Real transaction activity
+const apiRoutes = {
+  '/api/auth': authRoutes,
+  '/api/loan': loanRoutes,
+  '/api/proof': proofRoutes,
+  '/api/identity': identityRoutes,
+  '/api/payroll': payrollRoutes,
+  '/api/activity': activityRoutes, // ✅ NEW: Real transaction activity
+  '/api/reputation': reputationRoutes,
+  '/api/disputes': disputeRoutes
+};
+
+// Every route must declare its auth level (public, wallet or admin)
+assertAuthDeclared(app._router);
+for (const [mountPath, router] of Object.entries(apiRoutes)) {
+  assertAuthDeclared(router, mountPath);
+  app.use(mountPath, router);
+}
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,129 @@
+const requestAuthService = require('../services/requestAuthService');
+
+/**
+ * Route auth levels
+ *   requireAuth.public             anyone
+ *   requireAuth.wallet(options)    request signed by a Starknet wallet (see requestAuthService)
+ *   requireAuth.admin              request signed by a wallet listed in ADMIN_WALLETS
+ *
+ * Every route declares one of them; assertAuthDeclared() refuses to start the app
+ * if a route does not. Signed requests carry these headers:
+ *   X-Wallet-Address  signing account
+ *   X-Signature       signature felts, comma-separated (or a JSON array)
+ *   X-Nonce           nonce from POST /api/auth/nonce
+ *   X-Issued-At       Unix seconds the request was signed at
+ */
+
+const HEADERS = {
+  walletAddress: 'x-wallet-address',
+  signature: 'x-signature',
+  nonce: 'x-nonce',
+  issuedAt: 'x-issued-at'
+};
+
+function declare(level, middleware) {
+  middleware.authLevel = level;
+  return middleware;
+}
+
+/**
+ * Signature header to an array of felts
+ */
+function parseSignature(header) {
+  if (!header) {
+    return null;
+  }
+  try {
+    return header.trim().startsWith('[') ? JSON.parse(header) : header.split(',').map(value => value.trim());
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Value at a dotted path of the request body (e.g. 'identityInputs.wallet_address')
+ */
+function readField(body, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), body);
+}
+
+/**
+ * Whether the request has a body that no raw-body-capturing parser read (e.g. multipart)
+ */
+function hasUnsignedBody(req) {
+  const hasBody = req.get('transfer-encoding') !== undefined || Number(req.get('content-length') || 0) > 0;
+  return hasBody && req.rawBody === undefined;
+}
+
+function sameFelt(a, b) {
+  try {
+    return BigInt(a) === BigInt(b);
+  } catch (parseError) {
+    return false;
+  }
+}
+
+/**
+ * Middleware that verifies a signed request
+ * @param {string} level - 'wallet' or 'admin'
+ * @param {object} options - { walletField } body field that must hold the signing wallet
+ */
+function signedRequest(level, { walletField } = {}) {
+  return declare(level, async (req, res, next) => {
+    // The signature covers req.rawBody; a body that was not captured would go unsigned
+    if (hasUnsignedBody(req)) {
+      return res.status(415).json({ success: false, error: 'Signed requests must send a JSON or urlencoded body' });
+    }
+
+    try {
+      const auth = await requestAuthService.authenticate({
+        walletAddress: req.get(HEADERS.walletAddress),
+        signature: parseSignature(req.get(HEADERS.signature)),
+        nonce: req.get(HEADERS.nonce),
+        issuedAt: req.get(HEADERS.issuedAt),
+        method: req.method,
+        path: req.originalUrl,
+        rawBody: req.rawBody
+      });
+
+      if (level === 'admin' && !auth.isAdmin) {
+        return res.status(403).json({ success: false, error: 'Admin role required' });
+      }
+      if (walletField && !sameFelt(readField(req.body, walletField), auth.walletAddress)) {
+        return res.status(403).json({ success: false, error: `${walletField} must be the signing wallet` });
+      }
+
+      req.auth = { level, ...auth };
+      next();
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+}
+
+const requireAuth = {
+  public: declare('public', (req, res, next) => next()),
+  wallet: (options) => signedRequest('wallet', options),
+  admin: signedRequest('admin')
+};
+
+/**
+ * Throw if any route of a router (or app) does not declare an auth level
+ * @param {object} router - Express router, or app._router
+ * @param {string} mountPath - Prefix for the error message
+ */
+function assertAuthDeclared(router, mountPath = '') {
+  const undeclared = router.stack
+    .filter(layer => layer.route && !layer.route.stack.some(handler => handler.handle.authLevel))
+    .map(layer => `${Object.keys(layer.route.methods).join(',').toUpperCase()} ${mountPath}${layer.route.path}`);
+
+  if (undeclared.length > 0) {
+    throw new Error(`Routes without an auth level (use requireAuth): ${undeclared.join(', ')}`);
+  }
+}
+
+module.exports = {
+  HEADERS,
+  requireAuth,
+  assertAuthDeclared
+};
@@ -0,0 +1,94 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for the activity block cache: scanned block ranges and the
+ * transfers found in them, per wallet and token, and the oldest transfer per wallet
+ */
+class ActivityBlockCacheRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * @param {string} walletFelt - Normalized wallet address
+   * @param {string} tokenFelt - Normalized token address
+   * @returns {Array<Array<number>>} Inclusive [from, to] ranges, oldest first
+   */
+  findRanges(walletFelt, tokenFelt) {
+    return this.db.prepare(`
+      SELECT from_block, to_block FROM activity_scanned_ranges
+      WHERE wallet_felt = ? AND token_felt = ? ORDER BY from_block
+    `).raw().all(walletFelt, tokenFelt);
+  }
+
+  /**
+   * Replace the ranges of a wallet and token and add transfers, in one transaction
+   * @param {string} walletFelt - Normalized wallet address
+   * @param {string} tokenFelt - Normalized token address
+   * @param {Array<Array<number>>} ranges - Merged ranges
+   * @param {Array<object>} transfers - Raw transfers with blockNumber
+   */
+  saveScan(walletFelt, tokenFelt, ranges, transfers) {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM activity_scanned_ranges WHERE wallet_felt = ? AND token_felt = ?')
+        .run(walletFelt, tokenFelt);
+
+      const insertRange = this.db.prepare(`
+        INSERT INTO activity_scanned_ranges (wallet_felt, token_felt, from_block, to_block) VALUES (?, ?, ?, ?)
+      `);
+      for (const [from, to] of ranges) {
+        insertRange.run(walletFelt, tokenFelt, from, to);
+      }
+
+      const insertTransfer = this.db.prepare(`
+        INSERT INTO activity_transfers (wallet_felt, token_felt, block_number, data) VALUES (?, ?, ?, ?)
+      `);
+      for (const transfer of transfers) {
+        insertTransfer.run(walletFelt, tokenFelt, transfer.blockNumber, JSON.stringify(transfer));
+      }
+    })();
+  }
+
+  /**
+   * Transfers inside [fromBlock, toBlock]
+   * @returns {Array<object>} Raw transfers in the order they were found
+   */
+  findTransfers(walletFelt, tokenFelt, fromBlock, toBlock) {
+    return this.db.prepare(`
+      SELECT data FROM activity_transfers
+      WHERE wallet_felt = ? AND token_felt = ? AND block_number BETWEEN ? AND ? ORDER BY id
+    `).pluck().all(walletFelt, tokenFelt, fromBlock, toBlock).map(data => JSON.parse(data));
+  }
+
+  /**
+   * @param {string} walletFelt - Normalized wallet address
+   * @returns {object|null} { firstBlock, firstSeenAt, scannedAt }
+   */
+  findFirstSeen(walletFelt) {
+    const row = this.db.prepare(`
+      SELECT first_block, first_seen_at, scanned_at FROM activity_wallet_first_seen WHERE wallet_felt = ?
+    `).get(walletFelt);
+    return row ? { firstBlock: row.first_block, firstSeenAt: row.first_seen_at, scannedAt: row.scanned_at } : null;
+  }
+
+  /**
+   * Record a scan of a wallet, keeping the older of the stored and the new first transfer
+   * @param {string} walletFelt - Normalized wallet address
+   * @param {number|null} firstBlock - Block of the oldest transfer found, null if none
+   * @param {number|null} firstSeenAt - Unix time of that block
+   * @param {number} scannedAt - Unix time of the scan
+   */
+  saveFirstSeen(walletFelt, firstBlock, firstSeenAt, scannedAt) {
+    this.db.prepare(`
+      INSERT INTO activity_wallet_first_seen (wallet_felt, first_block, first_seen_at, scanned_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (wallet_felt) DO UPDATE SET
+        first_seen_at = CASE WHEN first_block IS NULL OR excluded.first_block < first_block
+          THEN excluded.first_seen_at ELSE first_seen_at END,
+        first_block = CASE WHEN first_block IS NULL OR excluded.first_block < first_block
+          THEN excluded.first_block ELSE first_block END,
+        scanned_at = excluded.scanned_at
+    `).run(walletFelt, firstBlock, firstSeenAt, scannedAt);
+  }
+}
+
+module.exports = new ActivityBlockCacheRepository();
@@ -0,0 +1,38 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for flags raised on loan applications
+ */
+class ApplicationFlagRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Flag an application (once per event)
+   * @param {object} flag - { loanId, commitment, borrowerFelt, reason, attestationId, eventId, createdAt }
+   * @returns {boolean} True if the flag is new
+   */
+  insert({ loanId, commitment, borrowerFelt, reason, attestationId, eventId, createdAt }) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO application_flags
+        (loan_id, commitment, borrower_felt, reason, attestation_id, event_id, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(loanId, commitment, borrowerFelt, reason, attestationId || null, eventId || null, createdAt).changes > 0;
+  }
+
+  /**
+   * Flags on a loan's applications, oldest first
+   * @param {string} loanId - Loan ID (decimal string)
+   * @returns {Array<object>} [{ loanId, commitment, borrower, reason, attestationId, eventId, createdAt }]
+   */
+  findByLoan(loanId) {
+    return this.db.prepare(`
+      SELECT loan_id AS loanId, commitment, borrower_felt AS borrower, reason,
+             attestation_id AS attestationId, event_id AS eventId, created_at AS createdAt
+      FROM application_flags WHERE loan_id = ? ORDER BY id
+    `).all(loanId);
+  }
+}
+
+module.exports = new ApplicationFlagRepository();
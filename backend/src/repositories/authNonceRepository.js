@@ -0,0 +1,44 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for single-use request nonces
+ * Times are Unix seconds.
+ */
+class AuthNonceRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Record a nonce issued to a wallet
+   * @param {object} params - { nonce, walletFelt, issuedAt, expiresAt }
+   */
+  insert({ nonce, walletFelt, issuedAt, expiresAt }) {
+    this.db.prepare(
+      'INSERT INTO auth_nonces (nonce, wallet_felt, issued_at, expires_at) VALUES (?, ?, ?, ?)'
+    ).run(nonce, walletFelt, issuedAt, expiresAt);
+  }
+
+  /**
+   * Mark a nonce used. Succeeds once per nonce, only for the wallet it was issued to
+   * and only before it expires.
+   * @returns {boolean} True if the nonce was valid and is now used
+   */
+  consume(nonce, walletFelt, now) {
+    return this.db.prepare(`
+      UPDATE auth_nonces SET used_at = ?
+      WHERE nonce = ? AND wallet_felt = ? AND used_at IS NULL AND expires_at > ?
+    `).run(now, nonce, walletFelt, now).changes > 0;
+  }
+
+  /**
+   * Delete nonces that expired before a time
+   * @param {number} before - Unix seconds
+   * @returns {number} Rows deleted
+   */
+  deleteExpired(before) {
+    return this.db.prepare('DELETE FROM auth_nonces WHERE expires_at < ?').run(before).changes;
+  }
+}
+
+module.exports = new AuthNonceRepository();
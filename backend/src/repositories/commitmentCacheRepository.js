@@ -0,0 +1,81 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for known borrower commitments and the loans they applied to
+ */
+class CommitmentCacheRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Add a commitment, and link it to a loan if one is given
+   * @param {string} commitment - Normalized commitment (0x...)
+   * @param {string|null} loanId - Loan id
+   * @returns {object} { isNew, linked } whether the commitment / loan link was new
+   */
+  add(commitment, loanId = null) {
+    return this.db.transaction(() => {
+      const now = new Date().toISOString();
+      const isNew = this.db.prepare(
+        'INSERT OR IGNORE INTO known_commitments (commitment, first_seen_at) VALUES (?, ?)'
+      ).run(commitment, now).changes > 0;
+
+      let linked = false;
+      if (loanId !== null) {
+        linked = this.db.prepare(
+          'INSERT OR IGNORE INTO loan_commitments (loan_id, commitment, added_at) VALUES (?, ?, ?)'
+        ).run(loanId, commitment, now).changes > 0;
+      }
+
+      return { isNew, linked };
+    })();
+  }
+
+  /**
+   * @returns {Array<string>} All known commitments, oldest first
+   */
+  findAll() {
+    return this.db.prepare('SELECT commitment FROM known_commitments ORDER BY rowid').pluck().all();
+  }
+
+  /**
+   * @param {string} loanId - Loan id
+   * @returns {Array<string>} Commitments that applied to the loan
+   */
+  findByLoan(loanId) {
+    return this.db.prepare(
+      'SELECT commitment FROM loan_commitments WHERE loan_id = ? ORDER BY added_at, rowid'
+    ).pluck().all(loanId);
+  }
+
+  /**
+   * @param {string} commitment - Normalized commitment (0x...)
+   * @returns {boolean} True if known
+   */
+  has(commitment) {
+    return !!this.db.prepare('SELECT 1 FROM known_commitments WHERE commitment = ?').get(commitment);
+  }
+
+  /**
+   * @returns {object} { totalCommitments, loansWithApplications }
+   */
+  getCounts() {
+    return {
+      totalCommitments: this.db.prepare('SELECT COUNT(*) FROM known_commitments').pluck().get(),
+      loansWithApplications: this.db.prepare('SELECT COUNT(DISTINCT loan_id) FROM loan_commitments').pluck().get()
+    };
+  }
+
+  /**
+   * Remove every commitment and loan link
+   */
+  clear() {
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM loan_commitments').run();
+      this.db.prepare('DELETE FROM known_commitments').run();
+    })();
+  }
+}
+
+module.exports = new CommitmentCacheRepository();
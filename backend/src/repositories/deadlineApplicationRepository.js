@@ -0,0 +1,122 @@
+const { getDb } = require('../db');
+
+const COLUMNS = `
+  loan_id AS loanId, commitment, borrower_felt AS borrower, repayment_deadline AS repaymentDeadline, status,
+  mark_tx_hash AS markTxHash, defaulted_at AS defaultedAt, dispute_ends_at AS disputeEndsAt,
+  job_ids AS jobIds, updated_at AS updatedAt
+`;
+
+/**
+ * SQLite repository for the deadline scheduler's progress per application
+ * Entries are scoped to the LoanEscrowZK contract they were scheduled for.
+ */
+class DeadlineApplicationRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Insert or replace an entry
+   * @param {string} contractAddress - Normalized contract address
+   * @param {object} entry - { loanId, commitment, borrower, repaymentDeadline, status, markTxHash,
+   *   defaultedAt, disputeEndsAt, jobIds, updatedAt }
+   */
+  save(contractAddress, entry) {
+    this.db.prepare(`
+      INSERT INTO deadline_applications
+        (contract_address, loan_id, commitment, borrower_felt, repayment_deadline, status, mark_tx_hash,
+         defaulted_at, dispute_ends_at, job_ids, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (contract_address, loan_id, commitment) DO UPDATE SET
+        borrower_felt = excluded.borrower_felt,
+        repayment_deadline = excluded.repayment_deadline,
+        status = excluded.status,
+        mark_tx_hash = excluded.mark_tx_hash,
+        defaulted_at = excluded.defaulted_at,
+        dispute_ends_at = excluded.dispute_ends_at,
+        job_ids = excluded.job_ids,
+        updated_at = excluded.updated_at
+    `).run(
+      contractAddress,
+      entry.loanId,
+      entry.commitment,
+      entry.borrower || null,
+      entry.repaymentDeadline ?? null,
+      entry.status,
+      entry.markTxHash || null,
+      entry.defaultedAt ?? null,
+      entry.disputeEndsAt ?? null,
+      JSON.stringify(entry.jobIds || []),
+      entry.updatedAt || new Date().toISOString()
+    );
+  }
+
+  /**
+   * @param {string} contractAddress - Normalized contract address
+   * @param {string} loanId - Loan ID (decimal string)
+   * @param {string} commitment - Normalized commitment
+   * @returns {object|null} Entry
+   */
+  find(contractAddress, loanId, commitment) {
+    const row = this.db.prepare(`
+      SELECT ${COLUMNS} FROM deadline_applications WHERE contract_address = ? AND loan_id = ? AND commitment = ?
+    `).get(contractAddress, loanId, commitment);
+    return row ? { ...row, jobIds: JSON.parse(row.jobIds) } : null;
+  }
+
+  /**
+   * @param {string} contractAddress - Normalized contract address
+   * @param {string} status - Only entries in this status (optional)
+   * @returns {Array<object>} Entries, oldest update first
+   */
+  findAll(contractAddress, status) {
+    const rows = status
+      ? this.db.prepare(`
+          SELECT ${COLUMNS} FROM deadline_applications WHERE contract_address = ? AND status = ? ORDER BY updated_at
+        `).all(contractAddress, status)
+      : this.db.prepare(`
+          SELECT ${COLUMNS} FROM deadline_applications WHERE contract_address = ? ORDER BY updated_at
+        `).all(contractAddress);
+    return rows.map(row => ({ ...row, jobIds: JSON.parse(row.jobIds) }));
+  }
+
+  /**
+   * Number of entries per status
+   * @param {string} contractAddress - Normalized contract address
+   * @returns {object} status -> count
+   */
+  countByStatus(contractAddress) {
+    const counts = {};
+    for (const { status, count } of this.db.prepare(`
+      SELECT status, COUNT(*) AS count FROM deadline_applications WHERE contract_address = ? GROUP BY status
+    `).all(contractAddress)) {
+      counts[status] = count;
+    }
+    return counts;
+  }
+
+  /**
+   * @param {string} contractAddress - Normalized contract address
+   * @param {string} loanId - Loan ID (decimal string)
+   * @param {string} commitment - Normalized commitment
+   */
+  delete(contractAddress, loanId, commitment) {
+    this.db.prepare(`
+      DELETE FROM deadline_applications WHERE contract_address = ? AND loan_id = ? AND commitment = ?
+    `).run(contractAddress, loanId, commitment);
+  }
+
+  /**
+   * Import a legacy JSON entry unless the application is already tracked
+   * @returns {string} 'inserted' or 'skipped'
+   */
+  importRecord(contractAddress, entry) {
+    if (this.find(contractAddress, entry.loanId, entry.commitment)) {
+      return 'skipped';
+    }
+    this.save(contractAddress, entry);
+    return 'inserted';
+  }
+}
+
+module.exports = new DeadlineApplicationRepository();
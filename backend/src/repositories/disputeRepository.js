@@ -0,0 +1,149 @@
+const { getDb } = require('../db');
+
+const DISPUTE_COLUMNS = `
+  id, loan_id AS loanId, commitment, borrower_felt AS borrower, lender_felt AS lender, status, reason,
+  evidence, evidence_hash AS evidenceHash, window_ends_at AS windowEndsAt, opened_at AS openedAt,
+  resolved_at AS resolvedAt, resolution, updated_at AS updatedAt
+`;
+
+/**
+ * SQLite repository for borrower disputes and their history
+ * Evidence, resolution and the extra details of each history entry are kept as JSON.
+ */
+class DisputeRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Store a new dispute with its history
+   * @param {object} dispute - Dispute as built by disputeService.openDispute
+   */
+  insert(dispute) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO disputes
+          (id, loan_id, commitment, borrower_felt, lender_felt, status, reason, evidence, evidence_hash,
+           window_ends_at, opened_at, resolved_at, resolution, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(dispute.id, dispute.loanId, dispute.commitment, dispute.borrower, dispute.lender, dispute.status,
+        dispute.reason, JSON.stringify(dispute.evidence), dispute.evidenceHash, dispute.windowEndsAt,
+        dispute.openedAt, dispute.resolvedAt || null, dispute.resolution ? JSON.stringify(dispute.resolution) : null,
+        dispute.updatedAt);
+
+      for (const entry of dispute.history) {
+        this.insertHistory(dispute.id, entry);
+      }
+    })();
+  }
+
+  /**
+   * Record the resolution of an open dispute
+   * @param {object} dispute - Dispute with its new status, resolution and history entry appended
+   * @returns {boolean} False if the dispute was no longer open
+   */
+  resolve(dispute) {
+    return this.db.transaction(() => {
+      const updated = this.db.prepare(`
+        UPDATE disputes SET status = ?, resolved_at = ?, resolution = ?, updated_at = ?
+        WHERE id = ? AND status = 'open'
+      `).run(dispute.status, dispute.resolvedAt, JSON.stringify(dispute.resolution), dispute.updatedAt, dispute.id);
+      if (updated.changes === 0) {
+        return false;
+      }
+
+      this.insertHistory(dispute.id, dispute.history[dispute.history.length - 1]);
+      return true;
+    })();
+  }
+
+  /**
+   * @param {string} disputeId - Dispute id
+   * @param {object} entry - { action, actor, status, at, messageHash, ...details }
+   */
+  insertHistory(disputeId, { action, actor, status, at, messageHash, ...details }) {
+    this.db.prepare(`
+      INSERT INTO dispute_history (dispute_id, action, actor, status, at, message_hash, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(disputeId, action, actor, status, at, messageHash || null, JSON.stringify(details));
+  }
+
+  /**
+   * @param {string} disputeId - Dispute id
+   * @returns {object|null} Dispute with its history, oldest entry first
+   */
+  find(disputeId) {
+    const row = this.db.prepare(`SELECT ${DISPUTE_COLUMNS} FROM disputes WHERE id = ?`).get(disputeId);
+    return row ? this.toDispute(row) : null;
+  }
+
+  /**
+   * @param {object} filter - { loanId, commitment, statuses } (all optional)
+   * @returns {Array<object>} Disputes, newest first
+   */
+  findAll({ loanId, commitment, statuses } = {}) {
+    const where = [];
+    const params = [];
+    if (loanId) {
+      where.push('loan_id = ?');
+      params.push(loanId);
+    }
+    if (commitment) {
+      where.push('commitment = ?');
+      params.push(commitment);
+    }
+    if (statuses) {
+      where.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+
+    const sql = `SELECT ${DISPUTE_COLUMNS} FROM disputes ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY opened_at DESC`;
+    return this.db.prepare(sql).all(...params).map(row => this.toDispute(row));
+  }
+
+  /**
+   * Whether a signed message is already recorded in any dispute's history
+   * @param {string} messageHash - Message hash
+   * @returns {boolean}
+   */
+  isMessageUsed(messageHash) {
+    return !!this.db.prepare('SELECT 1 FROM dispute_history WHERE message_hash = ?').get(messageHash);
+  }
+
+  /**
+   * Import a legacy JSON dispute unless it is already stored
+   * @param {object} dispute - Dispute from data/disputes.json
+   * @returns {string} 'inserted' or 'skipped'
+   */
+  importRecord(dispute) {
+    if (this.db.prepare('SELECT 1 FROM disputes WHERE id = ?').get(dispute.id)) {
+      return 'skipped';
+    }
+    this.insert(dispute);
+    return 'inserted';
+  }
+
+  /**
+   * Dispute object as used by disputeService (key, parsed JSON, history)
+   */
+  toDispute(row) {
+    const history = this.db.prepare(`
+      SELECT action, actor, status, at, message_hash AS messageHash, details
+      FROM dispute_history WHERE dispute_id = ? ORDER BY id
+    `).all(row.id).map(({ messageHash, details, ...entry }) => ({
+      ...entry,
+      ...JSON.parse(details),
+      ...(messageHash ? { messageHash } : {})
+    }));
+
+    return {
+      ...row,
+      key: `${row.loanId}:${row.commitment}`,
+      evidence: JSON.parse(row.evidence),
+      resolution: row.resolution ? JSON.parse(row.resolution) : null,
+      history
+    };
+  }
+}
+
+module.exports = new DisputeRepository();
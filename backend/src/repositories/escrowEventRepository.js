@@ -0,0 +1,155 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for the LoanEscrowZK event index: raw decoded events, the block
+ * cursor and the window of recent block hashes, all scoped to a contract address
+ */
+class EscrowEventRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * @param {string} contractAddress - Normalized contract address
+   * @returns {object|null} { blockNumber, blockHash, updatedAt }
+   */
+  getCursor(contractAddress) {
+    return this.db.prepare(`
+      SELECT block_number AS blockNumber, block_hash AS blockHash, updated_at AS updatedAt
+      FROM escrow_index_cursors WHERE contract_address = ?
+    `).get(contractAddress) || null;
+  }
+
+  /**
+   * Set the cursor, or clear it with null
+   * @param {string} contractAddress - Normalized contract address
+   * @param {object|null} cursor - { blockNumber, blockHash }
+   */
+  setCursor(contractAddress, cursor) {
+    if (!cursor) {
+      this.db.prepare('DELETE FROM escrow_index_cursors WHERE contract_address = ?').run(contractAddress);
+      return;
+    }
+    this.db.prepare(`
+      INSERT INTO escrow_index_cursors (contract_address, block_number, block_hash, updated_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (contract_address) DO UPDATE SET
+        block_number = excluded.block_number,
+        block_hash = excluded.block_hash,
+        updated_at = excluded.updated_at
+    `).run(contractAddress, cursor.blockNumber, cursor.blockHash || null, new Date().toISOString());
+  }
+
+  /**
+   * Store events that are not indexed yet
+   * @param {string} contractAddress - Normalized contract address
+   * @param {Array<object>} events - Decoded events
+   * @returns {Array<object>} Events that were new
+   */
+  insertEvents(contractAddress, events) {
+    const insert = this.db.prepare(`
+      INSERT OR IGNORE INTO escrow_events (contract_address, id, name, loan_id, block_number, event_index, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    return events.filter(event => insert.run(
+      contractAddress, event.id, event.name, event.loanId, event.blockNumber, event.eventIndex, JSON.stringify(event)
+    ).changes > 0);
+  }
+
+  /**
+   * Events in block order, optionally filtered
+   * @param {string} contractAddress - Normalized contract address
+   * @param {object} filter - { loanId, name } (both optional)
+   * @returns {Array<object>} Decoded events
+   */
+  findEvents(contractAddress, { loanId, name } = {}) {
+    const where = ['contract_address = ?'];
+    const params = [contractAddress];
+    if (loanId) {
+      where.push('loan_id = ?');
+      params.push(loanId);
+    }
+    if (name) {
+      where.push('name = ?');
+      params.push(name);
+    }
+
+    return this.db.prepare(`
+      SELECT data FROM escrow_events WHERE ${where.join(' AND ')} ORDER BY block_number, event_index
+    `).pluck().all(...params).map(data => JSON.parse(data));
+  }
+
+  /**
+   * Number of events per name
+   * @param {string} contractAddress - Normalized contract address
+   * @returns {object} name -> count
+   */
+  countByName(contractAddress) {
+    const counts = {};
+    for (const { name, count } of this.db.prepare(`
+      SELECT name, COUNT(*) AS count FROM escrow_events WHERE contract_address = ? GROUP BY name
+    `).all(contractAddress)) {
+      counts[name] = count;
+    }
+    return counts;
+  }
+
+  /**
+   * Delete every event above a block
+   * @returns {number} Events deleted
+   */
+  deleteEventsAbove(contractAddress, blockNumber) {
+    return this.db.prepare(`
+      DELETE FROM escrow_events WHERE contract_address = ? AND block_number > ?
+    `).run(contractAddress, blockNumber).changes;
+  }
+
+  /**
+   * Record block hashes, then keep only the newest `window` blocks
+   * @param {string} contractAddress - Normalized contract address
+   * @param {object} blocks - blockNumber -> { hash, timestamp }
+   * @param {number} window - Number of blocks to keep
+   */
+  saveBlocks(contractAddress, blocks, window) {
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO escrow_blocks (contract_address, block_number, hash, timestamp) VALUES (?, ?, ?, ?)
+    `);
+    for (const [blockNumber, block] of Object.entries(blocks)) {
+      insert.run(contractAddress, Number(blockNumber), block.hash, block.timestamp ?? null);
+    }
+
+    this.db.prepare(`
+      DELETE FROM escrow_blocks WHERE contract_address = ? AND block_number NOT IN (
+        SELECT block_number FROM escrow_blocks WHERE contract_address = ? ORDER BY block_number DESC LIMIT ?
+      )
+    `).run(contractAddress, contractAddress, window);
+  }
+
+  /**
+   * @returns {string|null} Stored hash of a recent block
+   */
+  getBlockHash(contractAddress, blockNumber) {
+    return this.db.prepare(`
+      SELECT hash FROM escrow_blocks WHERE contract_address = ? AND block_number = ?
+    `).pluck().get(contractAddress, blockNumber) || null;
+  }
+
+  /**
+   * @returns {Array<number>} Recent block numbers, newest first
+   */
+  getBlockNumbers(contractAddress) {
+    return this.db.prepare(`
+      SELECT block_number FROM escrow_blocks WHERE contract_address = ? ORDER BY block_number DESC
+    `).pluck().all(contractAddress);
+  }
+
+  /**
+   * Delete the stored hashes above a block
+   */
+  deleteBlocksAbove(contractAddress, blockNumber) {
+    this.db.prepare('DELETE FROM escrow_blocks WHERE contract_address = ? AND block_number > ?')
+      .run(contractAddress, blockNumber);
+  }
+}
+
+module.exports = new EscrowEventRepository();
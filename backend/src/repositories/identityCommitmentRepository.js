@@ -0,0 +1,234 @@
+const { getDb } = require('../db');
+
+/**
+ * Canonical hex of a felt, or null if the value is not one
+ * @param {string|null} value - Hex or decimal
+ * @returns {string|null} 0x-prefixed lowercase hex without padding
+ */
+function toFelt(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  try {
+    return '0x' + BigInt(value).toString(16);
+  } catch (parseError) {
+    return null;
+  }
+}
+
+/**
+ * Row to the record shape the JSON store used
+ */
+function toRecord(row) {
+  return {
+    identity_commitment: row.identity_commitment,
+    activity_commitment: row.activity_commitment,
+    activity_score_model: row.activity_score_model,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * SQLite repository for wallet -> identity / activity commitments
+ * Writes are read-modify-write inside a transaction, so concurrent requests for the
+ * same wallet cannot lose each other's update.
+ */
+class IdentityCommitmentRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Record stored under exactly this wallet address
+   * @param {string} walletAddress - Wallet address as stored
+   * @returns {object|null} Record
+   */
+  findByWallet(walletAddress) {
+    const row = this.db.prepare('SELECT * FROM identity_commitments WHERE wallet_address = ?').get(walletAddress);
+    return row ? toRecord(row) : null;
+  }
+
+  /**
+   * First record (in insertion order) whose wallet is the same felt, whatever its format
+   * @param {string} walletAddress - Wallet address (hex or decimal)
+   * @returns {object|null} { walletAddress, ...record }
+   */
+  findByWalletFelt(walletAddress) {
+    const row = this.db.prepare(
+      'SELECT * FROM identity_commitments WHERE wallet_felt = ? ORDER BY rowid LIMIT 1'
+    ).get(toFelt(walletAddress));
+    return row ? { walletAddress: row.wallet_address, ...toRecord(row) } : null;
+  }
+
+  /**
+   * First record whose activity commitment is the given felt
+   * @param {string} activityCommitment - Activity commitment (hex or decimal)
+   * @returns {object|null} { walletAddress, ...record }
+   */
+  findByActivityCommitment(activityCommitment) {
+    const row = this.db.prepare(
+      'SELECT * FROM identity_commitments WHERE activity_felt = ? ORDER BY rowid LIMIT 1'
+    ).get(toFelt(activityCommitment));
+    return row ? { walletAddress: row.wallet_address, ...toRecord(row) } : null;
+  }
+
+  /**
+   * Wallets whose identity or activity commitment is the given felt
+   * @param {string} commitment - Commitment (hex or decimal)
+   * @returns {Array<string>} Wallet addresses as stored
+   */
+  findWalletsByCommitment(commitment) {
+    const felt = toFelt(commitment);
+    return this.db.prepare(
+      'SELECT wallet_address FROM identity_commitments WHERE identity_felt = ? OR activity_felt = ? ORDER BY rowid'
+    ).all(felt, felt).map(row => row.wallet_address);
+  }
+
+  /**
+   * All records keyed by wallet address
+   * @returns {object} { [walletAddress]: record }
+   */
+  findAll() {
+    const records = {};
+    for (const row of this.db.prepare('SELECT * FROM identity_commitments ORDER BY rowid').all()) {
+      records[row.wallet_address] = toRecord(row);
+    }
+    return records;
+  }
+
+  /**
+   * Store a wallet's identity commitment (and activity commitment, if given)
+   * @returns {boolean} True if the wallet was new
+   */
+  saveIdentityCommitment(walletAddress, identityCommitment, activityCommitment = null) {
+    return this.db.transaction(() => {
+      const now = new Date().toISOString();
+      const existing = this.findByWallet(walletAddress);
+
+      if (!existing) {
+        this.insert(walletAddress, {
+          identity_commitment: identityCommitment,
+          activity_commitment: activityCommitment || null,
+          activity_score_model: null,
+          created_at: now,
+          updated_at: now
+        });
+        return true;
+      }
+
+      this.update(walletAddress, {
+        ...existing,
+        identity_commitment: identityCommitment,
+        activity_commitment: activityCommitment || existing.activity_commitment,
+        updated_at: now
+      });
+      return false;
+    })();
+  }
+
+  /**
+   * Store a wallet's activity commitment and the scoring model it was proven with
+   * @returns {boolean} True if the wallet was new
+   */
+  saveActivityCommitment(walletAddress, activityCommitment, activityScoreModel = null) {
+    return this.db.transaction(() => {
+      const now = new Date().toISOString();
+      const existing = this.findByWallet(walletAddress);
+
+      if (!existing) {
+        this.insert(walletAddress, {
+          identity_commitment: null,
+          activity_commitment: activityCommitment,
+          activity_score_model: activityScoreModel,
+          created_at: now,
+          updated_at: now
+        });
+        return true;
+      }
+
+      this.update(walletAddress, {
+        ...existing,
+        activity_commitment: activityCommitment,
+        activity_score_model: activityScoreModel,
+        updated_at: now
+      });
+      return false;
+    })();
+  }
+
+  /**
+   * Import a record from the legacy JSON store
+   * An existing row is only replaced by a record that was updated later.
+   * @returns {string} 'inserted' | 'updated' | 'skipped'
+   */
+  importRecord(walletAddress, record) {
+    return this.db.transaction(() => {
+      const now = new Date().toISOString();
+      const imported = {
+        identity_commitment: record.identity_commitment || null,
+        activity_commitment: record.activity_commitment || null,
+        activity_score_model: record.activity_score_model || null,
+        created_at: record.created_at || now,
+        updated_at: record.updated_at || record.created_at || now
+      };
+      const existing = this.findByWallet(walletAddress);
+
+      if (!existing) {
+        this.insert(walletAddress, imported);
+        return 'inserted';
+      }
+      if (imported.updated_at > existing.updated_at) {
+        this.update(walletAddress, { ...imported, created_at: existing.created_at });
+        return 'updated';
+      }
+      return 'skipped';
+    })();
+  }
+
+  /**
+   * Counts for the stats endpoint
+   * @returns {object} { totalWallets, walletsWithIdentity, walletsWithActivity, walletsWithBoth }
+   */
+  getStats() {
+    return this.db.prepare(`
+      SELECT
+        COUNT(*) AS totalWallets,
+        COUNT(identity_commitment) AS walletsWithIdentity,
+        COUNT(activity_commitment) AS walletsWithActivity,
+        COALESCE(SUM(identity_commitment IS NOT NULL AND activity_commitment IS NOT NULL), 0) AS walletsWithBoth
+      FROM identity_commitments
+    `).get();
+  }
+
+  insert(walletAddress, record) {
+    this.db.prepare(`
+      INSERT INTO identity_commitments (
+        wallet_address, wallet_felt, identity_commitment, identity_felt,
+        activity_commitment, activity_felt, activity_score_model, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      walletAddress, toFelt(walletAddress),
+      record.identity_commitment, toFelt(record.identity_commitment),
+      record.activity_commitment, toFelt(record.activity_commitment),
+      record.activity_score_model, record.created_at, record.updated_at
+    );
+  }
+
+  update(walletAddress, record) {
+    this.db.prepare(`
+      UPDATE identity_commitments SET
+        identity_commitment = ?, identity_felt = ?,
+        activity_commitment = ?, activity_felt = ?,
+        activity_score_model = ?, created_at = ?, updated_at = ?
+      WHERE wallet_address = ?
+    `).run(
+      record.identity_commitment, toFelt(record.identity_commitment),
+      record.activity_commitment, toFelt(record.activity_commitment),
+      record.activity_score_model, record.created_at, record.updated_at,
+      walletAddress
+    );
+  }
+}
+
+module.exports = new IdentityCommitmentRepository();
@@ -0,0 +1,91 @@
+const { getDb } = require('../db');
+
+const ESCROW_COLUMNS = `
+  loan_id AS loanId, commitment, borrower_felt AS borrower, cid, threshold, total_shares AS total,
+  escrow_hash AS escrowHash, created_at AS createdAt, revealed_at AS revealedAt
+`;
+
+const RECEIPT_COLUMNS = `
+  share_id AS shareId, status, share_hash AS shareHash, received_at AS receivedAt,
+  audit_seq AS auditSeq, signature, error
+`;
+
+/**
+ * SQLite repository for per-application identity escrow packages and their share receipts
+ */
+class IdentityEscrowRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Store a package with the outcome of each share delivery
+   * @param {object} escrow - { loanId, commitment, borrowerFelt, cid, threshold, total, escrowHash, createdAt }
+   * @param {Array<object>} receipts - [{ shareId, status, shareHash, receivedAt, auditSeq, signature, error }]
+   * @returns {object} Stored package with receipts
+   */
+  insert({ loanId, commitment, borrowerFelt, cid, threshold, total, escrowHash, createdAt }, receipts) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO identity_escrows
+          (loan_id, commitment, borrower_felt, cid, threshold, total_shares, escrow_hash, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(loanId, commitment, borrowerFelt, cid, threshold, total, escrowHash, createdAt);
+
+      const insertReceipt = this.db.prepare(`
+        INSERT INTO identity_escrow_receipts
+          (loan_id, commitment, share_id, status, share_hash, received_at, audit_seq, signature, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const receipt of receipts) {
+        insertReceipt.run(loanId, commitment, receipt.shareId, receipt.status, receipt.shareHash || null,
+          receipt.receivedAt || null, receipt.auditSeq ?? null, receipt.signature || null, receipt.error || null);
+      }
+    })();
+
+    return this.find(loanId, commitment);
+  }
+
+  /**
+   * Package of an application, with its receipts in share order
+   * @param {string} loanId - Loan ID (decimal string)
+   * @param {string} commitment - Normalized commitment (0x...)
+   * @returns {object|null}
+   */
+  find(loanId, commitment) {
+    const escrow = this.db.prepare(`
+      SELECT ${ESCROW_COLUMNS} FROM identity_escrows WHERE loan_id = ? AND commitment = ?
+    `).get(loanId, commitment);
+    if (!escrow) {
+      return null;
+    }
+
+    escrow.receipts = this.db.prepare(`
+      SELECT ${RECEIPT_COLUMNS} FROM identity_escrow_receipts
+      WHERE loan_id = ? AND commitment = ? ORDER BY share_id
+    `).all(loanId, commitment);
+    return escrow;
+  }
+
+  /**
+   * Whether each of a loan's applications has a package (without receipts)
+   * @param {string} loanId - Loan ID (decimal string)
+   * @returns {Array<object>}
+   */
+  findByLoan(loanId) {
+    return this.db.prepare(`
+      SELECT ${ESCROW_COLUMNS} FROM identity_escrows WHERE loan_id = ? ORDER BY created_at
+    `).all(loanId);
+  }
+
+  /**
+   * Record the first reveal of a package
+   */
+  markRevealed(loanId, commitment, revealedAt) {
+    this.db.prepare(`
+      UPDATE identity_escrows SET revealed_at = COALESCE(revealed_at, ?) WHERE loan_id = ? AND commitment = ?
+    `).run(revealedAt, loanId, commitment);
+  }
+}
+
+module.exports = new IdentityEscrowRepository();
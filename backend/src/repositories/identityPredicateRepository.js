@@ -0,0 +1,90 @@
+const { getDb } = require('../db');
+
+const PROOF_COLUMNS = `
+  id, wallet_felt AS walletAddress, loan_id AS loanId, identity_commitment AS identityCommitment,
+  attributes_commitment AS attributesCommitment, min_age_seconds AS minAgeSeconds,
+  max_age_seconds AS maxAgeSeconds, expires_after AS expiresAfter, sanctions_root AS sanctionsRoot,
+  issued_at AS issuedAt, proven_by AS provenBy, verified_at AS verifiedAt
+`;
+
+/**
+ * SQLite repository for committed document attributes and verified identity predicate proofs
+ */
+class IdentityPredicateRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Record the attributes commitment of a document read for a wallet
+   * @param {object} record - { attributesCommitment, walletFelt, identityCommitment, recordedAt }
+   */
+  saveAttributes({ attributesCommitment, walletFelt, identityCommitment, recordedAt }) {
+    this.db.prepare(`
+      INSERT INTO identity_attributes (attributes_commitment, wallet_felt, identity_commitment, recorded_at)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT (attributes_commitment) DO NOTHING
+    `).run(attributesCommitment, walletFelt, identityCommitment, recordedAt);
+  }
+
+  /**
+   * Attributes commitment record
+   * @param {string} attributesCommitment - Canonical hex
+   * @returns {object|null} { attributesCommitment, walletAddress, identityCommitment, recordedAt }
+   */
+  findAttributes(attributesCommitment) {
+    return this.db.prepare(`
+      SELECT attributes_commitment AS attributesCommitment, wallet_felt AS walletAddress,
+        identity_commitment AS identityCommitment, recorded_at AS recordedAt
+      FROM identity_attributes WHERE attributes_commitment = ?
+    `).get(attributesCommitment) || null;
+  }
+
+  /**
+   * Store a verified proof, replacing the wallet's earlier proof for the same loan
+   * @param {object} record - { walletFelt, loanId, identityCommitment, attributesCommitment, minAgeSeconds,
+   *   maxAgeSeconds, expiresAfter, sanctionsRoot, issuedAt, provenBy, verifiedAt }
+   * @returns {object} Stored proof
+   */
+  saveProof({ walletFelt, loanId, identityCommitment, attributesCommitment, minAgeSeconds, maxAgeSeconds, expiresAfter, sanctionsRoot, issuedAt, provenBy, verifiedAt }) {
+    this.db.prepare(`
+      INSERT INTO identity_predicate_proofs
+        (wallet_felt, loan_id, identity_commitment, attributes_commitment, min_age_seconds, max_age_seconds,
+         expires_after, sanctions_root, issued_at, proven_by, verified_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (wallet_felt, loan_id) DO UPDATE SET
+        identity_commitment = excluded.identity_commitment, attributes_commitment = excluded.attributes_commitment,
+        min_age_seconds = excluded.min_age_seconds, max_age_seconds = excluded.max_age_seconds,
+        expires_after = excluded.expires_after, sanctions_root = excluded.sanctions_root,
+        issued_at = excluded.issued_at, proven_by = excluded.proven_by, verified_at = excluded.verified_at
+    `).run(walletFelt, loanId, identityCommitment, attributesCommitment, minAgeSeconds, maxAgeSeconds,
+      expiresAfter, sanctionsRoot, issuedAt, provenBy, verifiedAt);
+
+    return this.findProof(walletFelt, loanId);
+  }
+
+  /**
+   * A wallet's proof for a loan
+   * @param {string} walletFelt - Canonical wallet hex
+   * @param {string} loanId - Loan ID (decimal string)
+   * @returns {object|null}
+   */
+  findProof(walletFelt, loanId) {
+    return this.db.prepare(`
+      SELECT ${PROOF_COLUMNS} FROM identity_predicate_proofs WHERE wallet_felt = ? AND loan_id = ?
+    `).get(walletFelt, loanId) || null;
+  }
+
+  /**
+   * Proofs for a wallet, newest first
+   * @param {string} walletFelt - Canonical wallet hex
+   * @returns {Array<object>}
+   */
+  findByWallet(walletFelt) {
+    return this.db.prepare(`
+      SELECT ${PROOF_COLUMNS} FROM identity_predicate_proofs WHERE wallet_felt = ? ORDER BY issued_at DESC, id DESC
+    `).all(walletFelt);
+  }
+}
+
+module.exports = new IdentityPredicateRepository();
@@ -0,0 +1,100 @@
+const { getDb } = require('../db');
+
+const COLUMNS = `
+  id, wallet_felt AS walletAddress, provider, annual_income AS annualIncome, currency,
+  attested_at AS attestedAt, recorded_at AS recordedAt, revoked_at AS revokedAt,
+  revoked_reason AS revokedReason
+`;
+
+/**
+ * SQLite repository for income attestations linked to wallets
+ * Times are ISO strings.
+ */
+class IncomeAttestationRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Store an attestation
+   * @param {object} record - { walletFelt, provider, subjectKey, annualIncome, currency, attestedAt, recordedAt }
+   * @returns {number} Row id
+   */
+  insert({ walletFelt, provider, subjectKey, annualIncome, currency, attestedAt, recordedAt }) {
+    return Number(this.db.prepare(`
+      INSERT INTO income_attestations
+        (wallet_felt, provider, subject_key, annual_income, currency, attested_at, recorded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(walletFelt, provider, subjectKey || null, annualIncome, currency, attestedAt, recordedAt).lastInsertRowid);
+  }
+
+  /**
+   * Import a legacy JSON record unless the same attestation is already stored
+   * @param {string} walletFelt - Canonical wallet hex
+   * @param {object} record - { provider, annualIncome, currency, attestedAt, recordedAt }
+   * @returns {string} 'inserted' or 'skipped'
+   */
+  importRecord(walletFelt, record) {
+    const attestedAt = new Date(record.attestedAt).toISOString();
+    const existing = this.db.prepare(`
+      SELECT 1 FROM income_attestations WHERE wallet_felt = ? AND provider = ? AND attested_at = ?
+    `).get(walletFelt, record.provider, attestedAt);
+    if (existing) {
+      return 'skipped';
+    }
+
+    this.insert({ ...record, walletFelt, attestedAt, currency: record.currency || 'USD' });
+    return 'inserted';
+  }
+
+  /**
+   * Newest unrevoked attestation for a wallet attested at or after a time
+   * @param {string} walletFelt - Canonical wallet hex
+   * @param {string} since - ISO time
+   * @returns {object|undefined}
+   */
+  findLatestValid(walletFelt, since) {
+    return this.db.prepare(`
+      SELECT ${COLUMNS} FROM income_attestations
+      WHERE wallet_felt = ? AND revoked_at IS NULL AND attested_at >= ?
+      ORDER BY attested_at DESC, id DESC LIMIT 1
+    `).get(walletFelt, since);
+  }
+
+  /**
+   * Unrevoked attestations from a provider subject
+   * @param {string} subjectKey - Subject hash
+   * @returns {Array<object>}
+   */
+  findActiveBySubject(subjectKey) {
+    return this.db.prepare(`
+      SELECT ${COLUMNS} FROM income_attestations
+      WHERE subject_key = ? AND revoked_at IS NULL
+      ORDER BY attested_at
+    `).all(subjectKey);
+  }
+
+  /**
+   * All attestations for a wallet, newest first
+   * @param {string} walletFelt - Canonical wallet hex
+   * @returns {Array<object>}
+   */
+  findByWallet(walletFelt) {
+    return this.db.prepare(`
+      SELECT ${COLUMNS} FROM income_attestations WHERE wallet_felt = ? ORDER BY attested_at DESC, id DESC
+    `).all(walletFelt);
+  }
+
+  /**
+   * Revoke an attestation
+   * @returns {boolean} True if it was not revoked yet
+   */
+  revoke(id, { revokedAt, reason, eventId }) {
+    return this.db.prepare(`
+      UPDATE income_attestations SET revoked_at = ?, revoked_reason = ?, revoked_by_event = ?
+      WHERE id = ? AND revoked_at IS NULL
+    `).run(revokedAt, reason, eventId || null, id).changes > 0;
+  }
+}
+
+module.exports = new IncomeAttestationRepository();
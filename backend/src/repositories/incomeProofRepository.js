@@ -0,0 +1,67 @@
+const { getDb } = require('../db');
+
+const COLUMNS = `
+  p.id, p.wallet_felt AS walletAddress, p.loan_id AS loanId, p.attestation_hash AS attestationHash,
+  p.oracle_id AS oracleId, p.threshold, p.currency, p.income_commitment AS incomeCommitment,
+  p.issued_at AS issuedAt, p.proven_by AS provenBy, p.verified_at AS verifiedAt,
+  a.expires_at AS attestationExpiresAt, a.revoked_at AS attestationRevokedAt, o.revoked_at AS oracleRevokedAt
+`;
+
+const FROM = `
+  income_proofs p
+  JOIN oracle_attestations a ON a.attestation_hash = p.attestation_hash
+  JOIN payroll_oracles o ON o.oracle_id = p.oracle_id
+`;
+
+/**
+ * SQLite repository for verified income proofs
+ * Rows are joined with their oracle attestation and oracle so revocations show up on read.
+ */
+class IncomeProofRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Store a verified proof; proving the same attestation, loan and threshold again replaces it
+   * @param {object} record - { walletFelt, loanId, attestationHash, oracleId, threshold, currency,
+   *   incomeCommitment, issuedAt, provenBy, verifiedAt }
+   * @returns {object} Stored proof
+   */
+  save({ walletFelt, loanId, attestationHash, oracleId, threshold, currency, incomeCommitment, issuedAt, provenBy, verifiedAt }) {
+    this.db.prepare(`
+      INSERT INTO income_proofs
+        (wallet_felt, loan_id, attestation_hash, oracle_id, threshold, currency, income_commitment, issued_at, proven_by, verified_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (wallet_felt, loan_id, attestation_hash, threshold) DO UPDATE SET
+        income_commitment = excluded.income_commitment, issued_at = excluded.issued_at,
+        proven_by = excluded.proven_by, verified_at = excluded.verified_at
+    `).run(walletFelt, loanId, attestationHash, oracleId, threshold, currency, incomeCommitment, issuedAt, provenBy, verifiedAt);
+
+    return this.db.prepare(`
+      SELECT ${COLUMNS} FROM ${FROM}
+      WHERE p.wallet_felt = ? AND p.loan_id = ? AND p.attestation_hash = ? AND p.threshold = ?
+    `).get(walletFelt, loanId, attestationHash, threshold);
+  }
+
+  /**
+   * Proofs for a wallet, newest first
+   * @param {string} walletFelt - Canonical wallet hex
+   * @param {string} loanId - Only proofs bound to this loan (decimal string), optional
+   * @returns {Array<object>}
+   */
+  findByWallet(walletFelt, loanId) {
+    if (loanId !== undefined) {
+      return this.db.prepare(`
+        SELECT ${COLUMNS} FROM ${FROM}
+        WHERE p.wallet_felt = ? AND p.loan_id = ? ORDER BY p.issued_at DESC, p.id DESC
+      `).all(walletFelt, loanId);
+    }
+    return this.db.prepare(`
+      SELECT ${COLUMNS} FROM ${FROM}
+      WHERE p.wallet_felt = ? ORDER BY p.issued_at DESC, p.id DESC
+    `).all(walletFelt);
+  }
+}
+
+module.exports = new IncomeProofRepository();
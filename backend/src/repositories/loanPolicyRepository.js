@@ -0,0 +1,34 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for published loan policies, keyed by their on-chain hash
+ */
+class LoanPolicyRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Store a policy; the first record for a hash is kept
+   * @param {object} record - { policyHash, cid, policy, createdAt }
+   * @returns {boolean} True if the policy was new
+   */
+  insert({ policyHash, cid, policy, createdAt }) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO loan_policies (policy_hash, cid, policy, created_at) VALUES (?, ?, ?, ?)
+    `).run(policyHash, cid, JSON.stringify(policy), createdAt || new Date().toISOString()).changes > 0;
+  }
+
+  /**
+   * @param {string} policyHash - Policy hash (hex)
+   * @returns {object|null} { policyHash, cid, policy, createdAt }
+   */
+  find(policyHash) {
+    const row = this.db.prepare(`
+      SELECT policy_hash AS policyHash, cid, policy, created_at AS createdAt FROM loan_policies WHERE policy_hash = ?
+    `).get(policyHash);
+    return row ? { ...row, policy: JSON.parse(row.policy) } : null;
+  }
+}
+
+module.exports = new LoanPolicyRepository();
@@ -0,0 +1,80 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for loans tracked by the legacy loan monitor
+ * The full loan object is kept as JSON; status, parties and deadline are
+ * columns so they can be queried.
+ */
+class MonitoredLoanRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Insert or replace a loan
+   * @param {object} loan - Loan data (loanId, borrowerAddress, lenderAddress, status, deadline, ...)
+   */
+  save(loan) {
+    this.db.prepare(`
+      INSERT INTO monitored_loans (loan_id, borrower_address, lender_address, status, deadline, data, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (loan_id) DO UPDATE SET
+        borrower_address = excluded.borrower_address,
+        lender_address = excluded.lender_address,
+        status = excluded.status,
+        deadline = excluded.deadline,
+        data = excluded.data,
+        updated_at = excluded.updated_at
+    `).run(
+      String(loan.loanId),
+      loan.borrowerAddress,
+      loan.lenderAddress,
+      loan.status,
+      Number(loan.deadline),
+      JSON.stringify(loan),
+      new Date().toISOString()
+    );
+  }
+
+  /**
+   * @param {string} loanId - Loan id
+   * @returns {object|null} Loan data
+   */
+  find(loanId) {
+    const data = this.db.prepare('SELECT data FROM monitored_loans WHERE loan_id = ?').pluck().get(String(loanId));
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * @param {object} filter - { status, borrowerAddress, lenderAddress } (all optional)
+   * @returns {Array<object>} Loans, oldest first
+   */
+  findAll({ status, borrowerAddress, lenderAddress } = {}) {
+    const where = [];
+    const params = [];
+    if (status) {
+      where.push('status = ?');
+      params.push(status);
+    }
+    if (borrowerAddress) {
+      where.push('borrower_address = ? COLLATE NOCASE');
+      params.push(borrowerAddress);
+    }
+    if (lenderAddress) {
+      where.push('lender_address = ? COLLATE NOCASE');
+      params.push(lenderAddress);
+    }
+
+    const sql = `SELECT data FROM monitored_loans ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY rowid`;
+    return this.db.prepare(sql).pluck().all(...params).map(data => JSON.parse(data));
+  }
+
+  /**
+   * @param {string} loanId - Loan id
+   */
+  delete(loanId) {
+    this.db.prepare('DELETE FROM monitored_loans WHERE loan_id = ?').run(String(loanId));
+  }
+}
+
+module.exports = new MonitoredLoanRepository();
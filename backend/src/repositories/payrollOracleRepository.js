@@ -0,0 +1,148 @@
+const { getDb } = require('../db');
+
+const ORACLE_COLUMNS = `
+  oracle_id AS oracleId, endpoint, scheme, public_key AS publicKey,
+  registered_at AS registeredAt, revoked_at AS revokedAt
+`;
+
+const ATTESTATION_COLUMNS = `
+  attestation_hash AS attestationHash, oracle_id AS oracleId, subject_felt AS subject,
+  attestation, issued_at AS issuedAt, expires_at AS expiresAt, received_at AS receivedAt,
+  anchor_tx_hash AS anchorTxHash, anchored_at AS anchoredAt, revoked_at AS revokedAt,
+  revoked_reason AS revokedReason, revoke_tx_hash AS revokeTxHash, message_hash AS messageHash
+`;
+
+/**
+ * Parse the stored attestation JSON of a row
+ */
+function toAttestation(row) {
+  return row ? { ...row, attestation: JSON.parse(row.attestation) } : row;
+}
+
+/**
+ * SQLite repository for payroll oracle keys and the attestations they signed
+ * Registration and revocation times are ISO strings; attestation validity is in Unix seconds.
+ */
+class PayrollOracleRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Register an oracle or rotate its key (clears a previous revocation)
+   * @param {object} oracle - { oracleId, endpoint, scheme, publicKey, registeredAt }
+   */
+  saveOracle({ oracleId, endpoint, scheme, publicKey, registeredAt }) {
+    this.db.prepare(`
+      INSERT INTO payroll_oracles (oracle_id, endpoint, scheme, public_key, registered_at, revoked_at)
+      VALUES (?, ?, ?, ?, ?, NULL)
+      ON CONFLICT (oracle_id) DO UPDATE SET
+        endpoint = excluded.endpoint, scheme = excluded.scheme, public_key = excluded.public_key,
+        registered_at = excluded.registered_at, revoked_at = NULL
+    `).run(oracleId, endpoint || null, scheme, publicKey, registeredAt);
+  }
+
+  /**
+   * @param {string} oracleId - Oracle identifier
+   * @returns {object|undefined}
+   */
+  findOracle(oracleId) {
+    return this.db.prepare(`SELECT ${ORACLE_COLUMNS} FROM payroll_oracles WHERE oracle_id = ?`).get(oracleId);
+  }
+
+  /**
+   * @returns {Array<object>} All oracles, oldest registration first
+   */
+  findAllOracles() {
+    return this.db.prepare(`SELECT ${ORACLE_COLUMNS} FROM payroll_oracles ORDER BY registered_at`).all();
+  }
+
+  /**
+   * Revoke an oracle's key
+   * @returns {boolean} True if the oracle was active
+   */
+  revokeOracle(oracleId, revokedAt) {
+    return this.db.prepare(
+      'UPDATE payroll_oracles SET revoked_at = ? WHERE oracle_id = ? AND revoked_at IS NULL'
+    ).run(revokedAt, oracleId).changes > 0;
+  }
+
+  /**
+   * Store a verified attestation
+   * @param {object} record - { attestationHash, oracleId, subject, attestation, issuedAt, expiresAt, receivedAt, messageHash }
+   * @returns {boolean} False if it was already stored
+   */
+  insertAttestation({ attestationHash, oracleId, subject, attestation, issuedAt, expiresAt, receivedAt, messageHash }) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO oracle_attestations
+        (attestation_hash, oracle_id, subject_felt, attestation, issued_at, expires_at, received_at, message_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      attestationHash, oracleId, subject, JSON.stringify(attestation), issuedAt, expiresAt, receivedAt, messageHash || null
+    ).changes > 0;
+  }
+
+  /**
+   * @param {string} attestationHash - Attestation hash (hex)
+   * @returns {object|undefined}
+   */
+  findAttestation(attestationHash) {
+    return toAttestation(this.db.prepare(
+      `SELECT ${ATTESTATION_COLUMNS} FROM oracle_attestations WHERE attestation_hash = ?`
+    ).get(attestationHash));
+  }
+
+  /**
+   * @param {string} messageHash - BN254 Poseidon hash signed by an 'eddsa' oracle (hex)
+   * @returns {object|undefined}
+   */
+  findAttestationByMessageHash(messageHash) {
+    return toAttestation(this.db.prepare(
+      `SELECT ${ATTESTATION_COLUMNS} FROM oracle_attestations WHERE message_hash = ?`
+    ).get(messageHash));
+  }
+
+  /**
+   * Attestations about a subject, newest first
+   * @param {string} subject - Canonical wallet hex
+   * @returns {Array<object>}
+   */
+  findAttestationsBySubject(subject) {
+    return this.db.prepare(
+      `SELECT ${ATTESTATION_COLUMNS} FROM oracle_attestations WHERE subject_felt = ? ORDER BY issued_at DESC`
+    ).all(subject).map(toAttestation);
+  }
+
+  /**
+   * Unrevoked attestations signed by an oracle
+   * @param {string} oracleId - Oracle identifier
+   * @returns {Array<object>}
+   */
+  findActiveAttestationsByOracle(oracleId) {
+    return this.db.prepare(
+      `SELECT ${ATTESTATION_COLUMNS} FROM oracle_attestations WHERE oracle_id = ? AND revoked_at IS NULL`
+    ).all(oracleId).map(toAttestation);
+  }
+
+  /**
+   * Record the transaction that anchored an attestation
+   */
+  markAnchored(attestationHash, txHash, anchoredAt) {
+    this.db.prepare(
+      'UPDATE oracle_attestations SET anchor_tx_hash = ?, anchored_at = ? WHERE attestation_hash = ?'
+    ).run(txHash, anchoredAt, attestationHash);
+  }
+
+  /**
+   * Revoke an attestation
+   * @returns {boolean} True if it was not revoked yet
+   */
+  revokeAttestation(attestationHash, { revokedAt, reason, txHash }) {
+    return this.db.prepare(`
+      UPDATE oracle_attestations SET revoked_at = ?, revoked_reason = ?, revoke_tx_hash = ?
+      WHERE attestation_hash = ? AND revoked_at IS NULL
+    `).run(revokedAt, reason, txHash || null, attestationHash).changes > 0;
+  }
+}
+
+module.exports = new PayrollOracleRepository();
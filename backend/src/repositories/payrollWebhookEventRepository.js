@@ -0,0 +1,63 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for verified payroll webhook events
+ * Times are ISO strings.
+ */
+class PayrollWebhookEventRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Store a received event
+   * @param {object} event - { eventId, provider, employerId, type, subjectKey, payload, receivedAt }
+   * @returns {boolean} False if an event with this id was already stored
+   */
+  insert({ eventId, provider, employerId, type, subjectKey, payload, receivedAt }) {
+    return this.db.prepare(`
+      INSERT OR IGNORE INTO payroll_webhook_events
+        (event_id, provider, employer_id, type, subject_key, payload, received_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(eventId, provider, employerId || null, type, subjectKey || null, JSON.stringify(payload), receivedAt).changes > 0;
+  }
+
+  /**
+   * @param {string} eventId - Event id
+   * @returns {object|undefined} { eventId, provider, type, outcome, processedAt }
+   */
+  find(eventId) {
+    return this.db.prepare(`
+      SELECT event_id AS eventId, provider, type, outcome, processed_at AS processedAt
+      FROM payroll_webhook_events WHERE event_id = ?
+    `).get(eventId);
+  }
+
+  /**
+   * Record how an event was handled
+   * @param {string} eventId - Event id
+   * @param {object} result - { processedAt, outcome, error }
+   */
+  markProcessed(eventId, { processedAt, outcome, error }) {
+    this.db.prepare(`
+      UPDATE payroll_webhook_events SET processed_at = ?, outcome = ?, error = ? WHERE event_id = ?
+    `).run(processedAt, outcome, error || null, eventId);
+  }
+
+  /**
+   * Most recent events, newest first
+   * @param {object} filter - { provider, limit }
+   * @returns {Array<object>}
+   */
+  findRecent({ provider, limit = 50 } = {}) {
+    return this.db.prepare(`
+      SELECT event_id AS eventId, provider, employer_id AS employerId, type, received_at AS receivedAt,
+             processed_at AS processedAt, outcome, error
+      FROM payroll_webhook_events
+      WHERE (? IS NULL OR provider = ?)
+      ORDER BY received_at DESC LIMIT ?
+    `).all(provider || null, provider || null, limit);
+  }
+}
+
+module.exports = new PayrollWebhookEventRepository();
@@ -0,0 +1,52 @@
+const { getDb } = require('../db');
+
+/**
+ * SQLite repository for transactions submitted through the relayer
+ */
+class RelayerTransactionRepository {
+  get db() {
+    return getDb();
+  }
+
+  /**
+   * Record a submitted transaction
+   * @param {object} tx - { txHash, relayerId, status, submittedAt }
+   */
+  insert({ txHash, relayerId, status, submittedAt }) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO relayer_transactions (tx_hash, relayer_id, status, submitted_at, updated_at)
+      VALUES (?, ?, ?, ?, NULL)
+    `).run(txHash, relayerId || null, status, submittedAt);
+  }
+
+  /**
+   * Update the status of a known transaction
+   * @returns {boolean} True if the transaction was known
+   */
+  updateStatus(txHash, status, updatedAt) {
+    return this.db.prepare(
+      'UPDATE relayer_transactions SET status = ?, updated_at = ? WHERE tx_hash = ?'
+    ).run(status, updatedAt, txHash).changes > 0;
+  }
+
+  /**
+   * @returns {Array<object>} [{ txHash, relayerId, submittedAt, status, updatedAt }], oldest first
+   */
+  findAll() {
+    return this.db.prepare(`
+      SELECT tx_hash AS txHash, relayer_id AS relayerId, submitted_at AS submittedAt, status, updated_at AS updatedAt
+      FROM relayer_transactions ORDER BY submitted_at
+    `).all().map(({ updatedAt, ...tx }) => (updatedAt === null ? tx : { ...tx, updatedAt }));
+  }
+
+  /**
+   * Delete transactions submitted before a time
+   * @param {number} cutoff - Unix ms
+   * @returns {number} Rows deleted
+   */
+  deleteSubmittedBefore(cutoff) {
+    return this.db.prepare('DELETE FROM relayer_transactions WHERE submitted_at < ?').run(cutoff).changes;
+  }
+}
+
+module.exports = new RelayerTransactionRepository();
@@ -4,23 +4,101 @@
  */
 
 const express = require('express');
-const { fetchRealActivityData, getActivityScore } = require('../services/transactionFetcher');
+const { fetchRealActivityData } = require('../services/transactionFetcher');
+const { DEFAULT_MODEL, hasModel, listModels } = require('../../../shared/scoring');
 const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
 /**
- * GET /api/activity/:walletAddress
- * Get complete activity data with transaction history
+ * Read and validate the ?model= query parameter
+ * @returns {string|null} Model id, or null if unknown (response already sent)
  */
-router.get('/:walletAddress', async (req, res) => {
+function resolveModel(req, res) {
+  const model = req.query.model || DEFAULT_MODEL;
+  if (!hasModel(model)) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown scoring model: ${model}`,
+      models: listModels().map(m => m.id)
+    });
+    return null;
+  }
+  return model;
+}
+
+/**
+ * GET /api/activity/models
+ * List available scoring models
+ */
+router.get('/models', requireAuth.public, (req, res) => {
+  res.json({
+    success: true,
+    defaultModel: DEFAULT_MODEL,
+    models: listModels()
+  });
+});
+
+/**
+ * Check whether the client asked for a Server-Sent Events stream
+ */
+function wantsStream(req) {
+  return req.query.stream === 'true' || (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Stream activity analysis as Server-Sent Events
+ * Events: `progress` ({ stage, ... }), then `result` (activity data) or `error`
+ */
+async function streamActivity(req, res, walletAddress, maxBlocks, model) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  let closed = false;
+  req.on('close', () => {
+    // The scan keeps going so completed windows still land in the block cache
+    closed = true;
+  });
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  try {
+    const activityData = await fetchRealActivityData(walletAddress, maxBlocks, model, (progress) => send('progress', progress));
+    send('result', activityData);
+  } catch (error) {
+    logger.error('❌ Error streaming activity data:', error);
+    send('error', { error: error.message });
+  }
+  res.end();
+}
+
+/**
+ * GET /api/activity/:walletAddress?model=v1-legacy&stream=true
+ * Get complete activity data with transaction history.
+ * With ?stream=true (or Accept: text/event-stream) progress is streamed as SSE.
+ */
+router.get('/:walletAddress', requireAuth.public, async (req, res) => {
   try {
     const { walletAddress } = req.params;
     const maxBlocks = parseInt(req.query.maxBlocks) || 1000;
+    const model = resolveModel(req, res);
+    if (!model) return;
     
-    logger.info(`📊 Fetching activity data for wallet: ${walletAddress}`);
+    logger.info(`📊 Fetching activity data for wallet: ${walletAddress} (model: ${model})`);
+
+    if (wantsStream(req)) {
+      return streamActivity(req, res, walletAddress, maxBlocks, model);
+    }
     
-    const activityData = await fetchRealActivityData(walletAddress, maxBlocks);
+    const activityData = await fetchRealActivityData(walletAddress, maxBlocks, model);
     
     res.json({
       success: true,
@@ -37,20 +115,24 @@ router.get('/:walletAddress', async (req, res) => {
 });
 
 /**
- * GET /api/activity/:walletAddress/score
+ * GET /api/activity/:walletAddress/score?model=v1-legacy
  * Get just the activity score (lightweight)
  */
-router.get('/:walletAddress/score', async (req, res) => {
+router.get('/:walletAddress/score', requireAuth.public, async (req, res) => {
   try {
     const { walletAddress } = req.params;
+    const model = resolveModel(req, res);
+    if (!model) return;
     
-    logger.info(`🔢 Fetching activity score for wallet: ${walletAddress}`);
+    logger.info(`🔢 Fetching activity score for wallet: ${walletAddress} (model: ${model})`);
     
-    const score = await getActivityScore(walletAddress);
+    const activityData = await fetchRealActivityData(walletAddress, undefined, model);
     
     res.json({
       success: true,
-      score,
+      score: activityData.score,
+      model: activityData.scoreModel,
+      breakdown: activityData.scoreBreakdown,
       walletAddress
     });
     
@@ -67,7 +149,7 @@ router.get('/:walletAddress/score', async (req, res) => {
  * GET /api/activity/:walletAddress/transactions
  * Get transaction breakdown (sent vs received)
  */
-router.get('/:walletAddress/transactions', async (req, res) => {
+router.get('/:walletAddress/transactions', requireAuth.public, async (req, res) => {
   try {
     const { walletAddress } = req.params;
     const maxBlocks = parseInt(req.query.maxBlocks) || 1000;
@@ -84,7 +166,8 @@ router.get('/:walletAddress/transactions', async (req, res) => {
       summary: {
         totalTransactions: activityData.totalTransactions,
         totalVolume: activityData.totalVolumeFormatted,
-        score: activityData.score
+        score: activityData.score,
+        tokens: activityData.tokens
       }
     });
     
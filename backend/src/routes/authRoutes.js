@@ -0,0 +1,35 @@
+/**
+ * Auth Routes
+ * Nonces for signed requests (see middleware/auth)
+ */
+
+const express = require('express');
+const requestAuthService = require('../services/requestAuthService');
+const { requireAuth } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/nonce
+ * Single-use nonce for the next signed request of a wallet
+ * Body: { walletAddress }
+ */
+router.post('/nonce', requireAuth.public, async (req, res) => {
+  try {
+    const { walletAddress } = req.body;
+    try {
+      BigInt(walletAddress);
+    } catch (parseError) {
+      return res.status(400).json({ success: false, error: 'walletAddress must be a hex or decimal felt' });
+    }
+
+    const issued = await requestAuthService.issueNonce(walletAddress);
+    res.json({ success: true, ...issued });
+  } catch (error) {
+    logger.error('❌ Error issuing nonce:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
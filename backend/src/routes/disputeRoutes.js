@@ -0,0 +1,158 @@
+/**
+ * Dispute Routes
+ * Borrowers dispute a default inside the dispute window; the loan's lender resolves it.
+ * Both sides sign SNIP-12 typed data prepared by the /prepare endpoints. The signature
+ * travels in the body and is checked by disputeService, so the routes themselves are public.
+ */
+
+const express = require('express');
+const disputeService = require('../services/disputeService');
+const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * Send a dispute service error with its HTTP status
+ */
+function sendError(res, error, action) {
+  if (!error.status) {
+    logger.error(`❌ Error ${action}:`, error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.message
+  });
+}
+
+/**
+ * Check the loanId / commitment pair of a request
+ * @returns {string|null} Error message
+ */
+function validateApplicationRef(loanId, commitment) {
+  if (loanId === undefined || !commitment) {
+    return 'loanId and commitment are required';
+  }
+  try {
+    BigInt(loanId);
+    BigInt(commitment);
+  } catch (parseError) {
+    return 'loanId and commitment must be hex or decimal felts';
+  }
+  return null;
+}
+
+/**
+ * POST /api/disputes/prepare
+ * Typed data for the borrower to sign
+ * Body: { loanId, commitment, reason, evidence: { repaymentTxHash, note } }
+ */
+router.post('/prepare', requireAuth.public, async (req, res) => {
+  try {
+    const { loanId, commitment, reason, evidence } = req.body;
+    const invalid = validateApplicationRef(loanId, commitment);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const prepared = await disputeService.buildOpenTypedData({ loanId, commitment, reason, evidence });
+    res.json({ success: true, ...prepared });
+  } catch (error) {
+    sendError(res, error, 'preparing dispute');
+  }
+});
+
+/**
+ * POST /api/disputes
+ * Open a dispute. The signature must come from the wallet that made the application.
+ * Body: { loanId, commitment, reason, evidence, issuedAt, signature }
+ */
+router.post('/', requireAuth.public, async (req, res) => {
+  try {
+    const { loanId, commitment, signature } = req.body;
+    const invalid = validateApplicationRef(loanId, commitment);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    if (!signature) {
+      return res.status(400).json({ success: false, error: 'signature is required' });
+    }
+
+    logger.info(`⚖️ Opening dispute for loan ${loanId}`, { commitment: commitment.slice(0, 20) + '...' });
+
+    const dispute = await disputeService.openDispute(req.body);
+    res.status(201).json({ success: true, dispute });
+  } catch (error) {
+    sendError(res, error, 'opening dispute');
+  }
+});
+
+/**
+ * GET /api/disputes?loanId=&commitment=&status=
+ */
+router.get('/', requireAuth.public, async (req, res) => {
+  try {
+    const { loanId, commitment, status } = req.query;
+    const disputes = await disputeService.listDisputes({ loanId, commitment, status });
+    res.json({ success: true, disputes, count: disputes.length });
+  } catch (error) {
+    sendError(res, error, 'listing disputes');
+  }
+});
+
+/**
+ * GET /api/disputes/:disputeId
+ */
+router.get('/:disputeId', requireAuth.public, async (req, res) => {
+  try {
+    const dispute = await disputeService.getDispute(req.params.disputeId);
+    if (!dispute) {
+      return res.status(404).json({ success: false, error: 'Dispute not found' });
+    }
+    res.json({ success: true, dispute });
+  } catch (error) {
+    sendError(res, error, 'fetching dispute');
+  }
+});
+
+/**
+ * POST /api/disputes/:disputeId/resolution/prepare
+ * Typed data for the lender to sign
+ * Body: { decision: 'upheld' | 'rejected', note }
+ */
+router.post('/:disputeId/resolution/prepare', requireAuth.public, async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    const dispute = await disputeService.getDispute(req.params.disputeId);
+    if (!dispute) {
+      return res.status(404).json({ success: false, error: 'Dispute not found' });
+    }
+
+    const prepared = await disputeService.buildResolveTypedData({ disputeId: dispute.id, decision, note });
+    res.json({ success: true, ...prepared });
+  } catch (error) {
+    sendError(res, error, 'preparing dispute resolution');
+  }
+});
+
+/**
+ * POST /api/disputes/:disputeId/resolve
+ * Resolve an open dispute. The signature must come from the loan's lender.
+ * Body: { decision, note, issuedAt, signature }
+ */
+router.post('/:disputeId/resolve', requireAuth.public, async (req, res) => {
+  try {
+    if (!req.body.signature) {
+      return res.status(400).json({ success: false, error: 'signature is required' });
+    }
+
+    logger.info(`⚖️ Resolving dispute ${req.params.disputeId}`, { decision: req.body.decision });
+
+    const dispute = await disputeService.resolveDispute(req.params.disputeId, req.body);
+    res.json({ success: true, dispute });
+  } catch (error) {
+    sendError(res, error, 'resolving dispute');
+  }
+});
+
+module.exports = router;
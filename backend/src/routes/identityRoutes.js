@@ -5,7 +5,11 @@ const documentService = require('../services/documentService');
 const zkService = require('../services/zkService');
 const commitmentCache = require('../services/commitmentCacheService');
 const identityCommitmentStore = require('../services/identityCommitmentStore');
+const identityPredicateService = require('../services/identityPredicateService');
+const identityEscrowService = require('../services/identityEscrowService');
+const loanPolicyService = require('../services/loanPolicyService');
 const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
 
 // ====== STAGE 1: Document Verification (NEW) ======
 
@@ -13,7 +17,7 @@ const logger = require('../utils/logger');
  * POST /api/identity/verify-document
  * Upload passport/document and prepare ZK proof inputs for Stage 1
  */
-router.post('/verify-document', documentService.upload.single('document'), async (req, res) => {
+router.post('/verify-document', requireAuth.public, documentService.upload.single('document'), async (req, res) => {
   try {
     logger.info('🔐 Stage 1: Identity verification request', {
       wallet: req.body.walletAddress
@@ -60,7 +64,8 @@ router.post('/verify-document', documentService.upload.single('document'), async
       {
         passportNumber: req.body.passportNumber,
         address: req.body.address,
-        dateOfBirth: req.body.dateOfBirth
+        dateOfBirth: req.body.dateOfBirth,
+        expiryDate: req.body.expiryDate
       },
       req.file.path,
       req.body.walletAddress
@@ -69,6 +74,13 @@ router.post('/verify-document', documentService.upload.single('document'), async
     // Delete uploaded document immediately (privacy protection)
     documentService.deleteDocument(req.file.path);
     
+    // Commit to the nationality and expiry read from the document, for predicate proofs
+    try {
+      await identityPredicateService.recordDocumentAttributes(result.zkInputs.wallet_address, result.zkInputs);
+    } catch (attributesError) {
+      logger.error('❌ Failed to record document attributes', { error: attributesError.message });
+    }
+    
     logger.info('✅ Stage 1: Identity verified', {
       wallet: req.body.walletAddress,
       age: result.metadata.age
@@ -82,7 +94,14 @@ router.post('/verify-document', documentService.upload.single('document'), async
       metadata: {
         age: result.metadata.age,
         ageVerified: result.metadata.age >= 18,
-        timestamp: result.metadata.timestamp
+        expiryDate: result.metadata.expiryDate,
+        timestamp: result.metadata.timestamp,
+        validation: {
+          mrz: result.metadata.validation.mrz,
+          fieldConfidence: result.metadata.validation.fieldConfidence,
+          matches: result.metadata.validation.matches,
+          warnings: result.metadata.validation.warnings
+        }
       }
     });
     
@@ -107,7 +126,7 @@ router.post('/verify-document', documentService.upload.single('document'), async
       error.message.includes('could not be read')
     )) {
       errorResponse.validation = {
-        errors: [error.message],
+        errors: error.validationErrors || [error.message],
         warnings: [],
         hints: [
           'Ensure document is clear and well-lit',
@@ -118,7 +137,7 @@ router.post('/verify-document', documentService.upload.single('document'), async
       };
     }
     
-    res.status(400).json(errorResponse);
+    res.status(error.status || 400).json(errorResponse);
   }
 });
 
@@ -126,7 +145,7 @@ router.post('/verify-document', documentService.upload.single('document'), async
  * POST /api/identity/generate-proof
  * Generate ZK proof from identity inputs
  */
-router.post('/generate-proof', async (req, res) => {
+router.post('/generate-proof', requireAuth.wallet({ walletField: 'identityInputs.wallet_address' }), async (req, res) => {
   try {
     const { identityInputs } = req.body;
     
@@ -202,7 +221,7 @@ router.post('/generate-proof', async (req, res) => {
  * POST /api/identity/verify-age-only
  * Quick age verification without document upload (for testing)
  */
-router.post('/verify-age-only', async (req, res) => {
+router.post('/verify-age-only', requireAuth.public, async (req, res) => {
   try {
     const { dateOfBirth } = req.body;
     
@@ -234,11 +253,118 @@ router.post('/verify-age-only', async (req, res) => {
   }
 });
 
+// ====== Selective disclosure: identity predicates per loan ======
+
+/**
+ * Verified policy of a loan offer, null when it has none
+ * Throws with status 409 when the offer has a policy whose body cannot be verified.
+ */
+async function getVerifiedPolicy(loanId, cid) {
+  const policy = await loanPolicyService.getLoanPolicy(loanId, cid || null);
+  if (!policy) {
+    return null;
+  }
+  if (!policy.policy || !policy.verified) {
+    const error = new Error('Loan policy body unavailable or does not match the on-chain hash');
+    error.status = 409;
+    throw error;
+  }
+  return policy.policy;
+}
+
+/**
+ * GET /api/identity/predicates/:loanId?policyCid=...
+ * Predicates the loan asks for, as the public inputs of an idPredicates proof
+ */
+router.get('/predicates/:loanId', requireAuth.public, async (req, res) => {
+  try {
+    const policy = await getVerifiedPolicy(req.params.loanId, req.query.policyCid);
+    const request = await identityPredicateService.getProofRequest(req.params.loanId, policy);
+
+    res.json({ success: true, ...request });
+  } catch (error) {
+    logger.error('❌ Failed to build identity predicate request', { error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/identity/predicate-proof/generate
+ * Prove a loan's identity predicates from the identity inputs of /verify-document
+ */
+router.post('/predicate-proof/generate', requireAuth.wallet({ walletField: 'identityInputs.wallet_address' }), async (req, res) => {
+  try {
+    const { identityInputs, loanId, policyCid } = req.body;
+
+    if (!identityInputs || loanId === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: identityInputs, loanId'
+      });
+    }
+
+    const policy = await getVerifiedPolicy(loanId, policyCid);
+    const result = await identityPredicateService.proveOnServer(identityInputs, loanId, policy);
+
+    res.json({
+      success: true,
+      message: 'Identity predicate proof generated',
+      ...result
+    });
+  } catch (error) {
+    logger.error('❌ Identity predicate proof generation failed', { error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /api/identity/predicate-proof/submit
+ * Verify an idPredicates proof generated elsewhere against the loan's requirements
+ */
+router.post('/predicate-proof/submit', requireAuth.wallet({ walletField: 'walletAddress' }), async (req, res) => {
+  try {
+    const { walletAddress, loanId, proof, publicSignals, policyCid } = req.body;
+
+    if (loanId === undefined || !proof || !publicSignals) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: loanId, proof, publicSignals'
+      });
+    }
+
+    const policy = await getVerifiedPolicy(loanId, policyCid);
+    const predicateProof = await identityPredicateService.verifyAndRecord(walletAddress, loanId, proof, publicSignals, policy, 'browser');
+
+    res.json({
+      success: true,
+      message: 'Identity predicate proof verified',
+      predicateProof
+    });
+  } catch (error) {
+    logger.error('❌ Identity predicate proof rejected', { error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/identity/predicate-proofs/:walletAddress
+ * Identity predicate proofs recorded for a wallet (predicates only, no identity data)
+ */
+router.get('/predicate-proofs/:walletAddress', requireAuth.public, (req, res) => {
+  try {
+    const predicateProofs = identityPredicateService.getProofs(req.params.walletAddress);
+    res.json({ success: true, walletAddress: req.params.walletAddress, predicateProofs, count: predicateProofs.length });
+  } catch (error) {
+    logger.error('❌ Failed to list identity predicate proofs', { error: error.message });
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 /**
  * GET /api/identity/current-timestamp
  * Get current timestamp for ZK proof verification
  */
-router.get('/current-timestamp', (req, res) => {
+router.get('/current-timestamp', requireAuth.public, (req, res) => {
   const timestamp = Math.floor(Date.now() / 1000);
   
   res.json({
@@ -250,26 +376,77 @@ router.get('/current-timestamp', (req, res) => {
 
 // ====== STAGE 3: Identity Reveal (Existing - for overdue loans) ======
 
-// Encrypt and store identity
-router.post('/encrypt-and-store', identityController.encryptAndStore.bind(identityController));
+/**
+ * POST /api/identity/escrow
+ * Escrow the borrower's identity for one pending application: encrypted to IPFS, key shares
+ * delivered to the trustees against (loanId, commitment). Returns the package with the trustee
+ * receipts and the attach_identity_escrow call that anchors its hash on-chain.
+ * Body: { loanId, commitment, borrowerAddress, identityData }
+ */
+router.post('/escrow', requireAuth.wallet({ walletField: 'borrowerAddress' }), async (req, res) => {
+  try {
+    const { loanId, commitment, borrowerAddress, identityData } = req.body;
+
+    if (loanId === undefined || !commitment || !identityData) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: loanId, commitment, borrowerAddress, identityData'
+      });
+    }
+
+    const identityEscrow = await identityEscrowService.createPackage({ loanId, commitment, borrowerAddress, identityData });
+
+    res.json({
+      success: true,
+      message: identityEscrow.escrowed
+        ? 'Identity escrowed for the application'
+        : `Only ${identityEscrow.delivered} of ${identityEscrow.threshold} required shares were delivered`,
+      identityEscrow
+    });
+  } catch (error) {
+    logger.error('❌ Identity escrow failed', { error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /api/identity/escrow/:loanId/:commitment
+ * Identity package of an application: CID, trustee receipts and on-chain anchor (no identity data)
+ */
+router.get('/escrow/:loanId/:commitment', requireAuth.public, async (req, res) => {
+  try {
+    const identityEscrow = await identityEscrowService.getPackage(req.params.loanId, req.params.commitment);
+    if (!identityEscrow) {
+      return res.status(404).json({ success: false, error: 'No identity package escrowed for this application' });
+    }
+
+    res.json({ success: true, identityEscrow });
+  } catch (error) {
+    logger.error('❌ Failed to read identity escrow', { error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Encrypt and store identity (not tied to an application, see POST /escrow)
+router.post('/encrypt-and-store', requireAuth.wallet({ walletField: 'borrowerAddress' }), identityController.encryptAndStore.bind(identityController));
 
 // Distribute shares to trustees
-router.post('/distribute-shares', identityController.distributeShares.bind(identityController));
+router.post('/distribute-shares', requireAuth.wallet({ walletField: 'borrowerAddress' }), identityController.distributeShares.bind(identityController));
 
 // Reconstruct identity from shares
-router.post('/reconstruct', identityController.reconstructIdentity.bind(identityController));
+router.post('/reconstruct', requireAuth.admin, identityController.reconstructIdentity.bind(identityController));
 
 // Get share status
-router.get('/share-status/:loanId', identityController.getShareStatus.bind(identityController));
+router.get('/share-status/:loanId', requireAuth.public, identityController.getShareStatus.bind(identityController));
 
 // Decrypt identity from IPFS
-router.post('/decrypt-from-ipfs', identityController.decryptFromIPFS.bind(identityController));
+router.post('/decrypt-from-ipfs', requireAuth.admin, identityController.decryptFromIPFS.bind(identityController));
 
 /**
  * GET /api/identity/cache-stats
  * Debug endpoint to check commitment cache status
  */
-router.get('/cache-stats', (req, res) => {
+router.get('/cache-stats', requireAuth.admin, (req, res) => {
   try {
     const stats = commitmentCache.getStats();
     logger.info('📊 [DEBUG] Cache stats requested', stats);
@@ -290,7 +467,7 @@ router.get('/cache-stats', (req, res) => {
  * POST /api/identity/cache-add
  * Debug endpoint to manually add commitment to cache
  */
-router.post('/cache-add', (req, res) => {
+router.post('/cache-add', requireAuth.admin, (req, res) => {
   try {
     const { commitment } = req.body;
     
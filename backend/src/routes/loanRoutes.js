@@ -2,39 +2,40 @@ const express = require('express');
 const router = express.Router();
 const loanController = require('../controllers/loanController');
 const blockchainLoanController = require('../controllers/blockchainLoanController');
+const { requireAuth } = require('../middleware/auth');
 
 // Apply for a loan
-router.post('/apply', loanController.applyForLoan);
+router.post('/apply', requireAuth.wallet({ walletField: 'borrowerAddress' }), loanController.applyForLoan);
 
 // Repay a loan
-router.post('/repay', loanController.repayLoan);
+router.post('/repay', requireAuth.wallet({ walletField: 'borrowerAddress' }), loanController.repayLoan);
 
 // Get loan status
-router.get('/status/:loanId', loanController.getLoanStatus);
+router.get('/status/:loanId', requireAuth.public, loanController.getLoanStatus);
 
 // Force default (testing/admin)
-router.post('/default/:loanId', loanController.forceDefault);
+router.post('/default/:loanId', requireAuth.admin, loanController.forceDefault);
 
 // Get all active loans
-router.get('/active', loanController.getActiveLoans);
+router.get('/active', requireAuth.public, loanController.getActiveLoans);
 
 // Get available loans (for borrowers)
-router.get('/available', loanController.getAvailableLoans);
+router.get('/available', requireAuth.public, loanController.getAvailableLoans);
 
 // Get loans by borrower
-router.get('/borrower/:address', loanController.getLoansByBorrower);
+router.get('/borrower/:address', requireAuth.public, loanController.getLoansByBorrower);
 
 // Get loans by lender (from blockchain)
-router.get('/lender/:address', loanController.getLoansByLender);
+router.get('/lender/:address', requireAuth.public, loanController.getLoansByLender);
 
 // Get loan applications
-router.get('/:loanId/applications', loanController.getLoanApplications);
+router.get('/:loanId/applications', requireAuth.public, loanController.getLoanApplications);
 
 // Get monitoring stats
-router.get('/stats', loanController.getStats);
+router.get('/stats', requireAuth.public, loanController.getStats);
 
 // Test endpoint to verify backend is running latest code
-router.get('/test-version', (req, res) => {
+router.get('/test-version', requireAuth.public, (req, res) => {
   res.json({ version: 'v2.0-with-blockchain-query', timestamp: new Date().toISOString() });
 });
 
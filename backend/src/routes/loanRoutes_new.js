@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { Contract, RpcProvider } = require('starknet');
 const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
 
 // Contract addresses from environment
 const LOAN_ESCROW_ADDRESS = process.env.STARKNET_LOAN_ESCROW_CONTRACT;
@@ -18,7 +19,7 @@ const provider = new RpcProvider({ nodeUrl: RPC_URL });
  * GET /api/loan/available
  * Get all available loans (with slots remaining)
  */
-router.get('/available', async (req, res) => {
+router.get('/available', requireAuth.public, async (req, res) => {
   try {
     logger.info('📋 Fetching available loans');
 
@@ -54,7 +55,7 @@ router.get('/available', async (req, res) => {
  * GET /api/loan/lender/:lenderAddress
  * Get all loans created by a specific lender
  */
-router.get('/lender/:lenderAddress', async (req, res) => {
+router.get('/lender/:lenderAddress', requireAuth.public, async (req, res) => {
   try {
     const { lenderAddress } = req.params;
     logger.info(`📋 Fetching loans for lender: ${lenderAddress}`);
@@ -94,7 +95,7 @@ router.get('/lender/:lenderAddress', async (req, res) => {
  * GET /api/loan/:loanId/applications
  * Get all applications for a specific loan
  */
-router.get('/:loanId/applications', async (req, res) => {
+router.get('/:loanId/applications', requireAuth.public, async (req, res) => {
   try {
     const { loanId } = req.params;
     logger.info(`📬 Fetching applications for loan: ${loanId}`);
@@ -123,7 +124,7 @@ router.get('/:loanId/applications', async (req, res) => {
  * GET /api/loan/borrower/:commitmentHash/applications
  * Get all applications submitted by a borrower (by commitment hash)
  */
-router.get('/borrower/:commitmentHash/applications', async (req, res) => {
+router.get('/borrower/:commitmentHash/applications', requireAuth.public, async (req, res) => {
   try {
     const { commitmentHash } = req.params;
     logger.info(`📬 Fetching applications for borrower: ${commitmentHash}`);
@@ -162,7 +163,7 @@ router.get('/borrower/:commitmentHash/applications', async (req, res) => {
  * GET /api/loan/borrower/:commitmentHash/active
  * Get all active loans for a borrower
  */
-router.get('/borrower/:commitmentHash/active', async (req, res) => {
+router.get('/borrower/:commitmentHash/active', requireAuth.public, async (req, res) => {
   try {
     const { commitmentHash } = req.params;
     logger.info(`💼 Fetching active loans for borrower: ${commitmentHash}`);
@@ -204,7 +205,7 @@ router.get('/borrower/:commitmentHash/active', async (req, res) => {
  * POST /api/loan/apply
  * Submit a loan application
  */
-router.post('/apply', async (req, res) => {
+router.post('/apply', requireAuth.public, async (req, res) => {
   try {
     const { loanId, borrowerCommitment, proofHash, activityScore } = req.body;
     
@@ -315,7 +316,7 @@ function updateApplicationStatus(loanId, borrowerCommitment, status, additionalD
 /**
  * Helper: Get cache stats (for debugging)
  */
-router.get('/cache/stats', (req, res) => {
+router.get('/cache/stats', requireAuth.admin, (req, res) => {
   res.json({
     success: true,
     stats: {
@@ -332,7 +333,7 @@ router.get('/cache/stats', (req, res) => {
 /**
  * Helper: Clear cache (for testing)
  */
-router.post('/cache/clear', (req, res) => {
+router.post('/cache/clear', requireAuth.admin, (req, res) => {
   loansCache = [];
   applicationsCache = [];
   logger.info('🗑️ Cache cleared');
@@ -342,7 +343,7 @@ router.post('/cache/clear', (req, res) => {
 /**
  * Helper: Manually add test loan (for testing)
  */
-router.post('/test/create-loan', (req, res) => {
+router.post('/test/create-loan', requireAuth.admin, (req, res) => {
   const testLoan = {
     id: `loan_${Date.now()}`,
     lenderAddress: req.body.lenderAddress || '0x123...',
@@ -363,7 +364,7 @@ router.post('/test/create-loan', (req, res) => {
 });
 
 // Approve borrower
-router.post('/approve-borrower', (req, res) => {
+router.post('/approve-borrower', requireAuth.wallet({ walletField: 'lenderAddress' }), (req, res) => {
   const { loanId, borrowerCommitment, lenderAddress } = req.body;
 
   if (!loanId || !borrowerCommitment || !lenderAddress) {
@@ -412,7 +413,7 @@ router.post('/approve-borrower', (req, res) => {
 });
 
 // Repay loan
-router.post('/repay', (req, res) => {
+router.post('/repay', requireAuth.wallet({ walletField: 'borrowerAddress' }), (req, res) => {
   const { loanId, borrowerAddress, borrowerCommitment } = req.body;
 
   if (!loanId || !borrowerAddress) {
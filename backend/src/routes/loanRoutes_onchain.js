@@ -4,6 +4,18 @@ const logger = require('../utils/logger');
 const { RpcProvider, Contract, CallData, uint256, hash } = require('starknet');
 const commitmentCache = require('../services/commitmentCacheService'); // Import at top!
 const identityCommitmentStore = require('../services/identityCommitmentStore');
+const escrowEventStore = require('../services/escrowEventStore');
+const escrowIndexer = require('../workers/escrowIndexer');
+const deadlineScheduler = require('../workers/deadlineScheduler');
+const repaymentService = require('../services/repaymentService');
+const lenderPortfolioService = require('../services/lenderPortfolioService');
+const proofAttestationService = require('../services/proofAttestationService');
+const loanPolicyService = require('../services/loanPolicyService');
+const thresholds = require('../config/thresholds');
+const disputeService = require('../services/disputeService');
+const identityEscrowService = require('../services/identityEscrowService');
+const payrollWebhookService = require('../services/payrollWebhookService');
+const { requireAuth } = require('../middleware/auth');
 
 // Contract addresses (update after deployment)
 const LOAN_ESCROW_ZK_ADDRESS = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
@@ -13,6 +25,94 @@ const RPC_URL = process.env.STARKNET_RPC || 'https://starknet-sepolia.public.bla
 
 const provider = new RpcProvider({ nodeUrl: RPC_URL });
 
+const APPLICATION_STATUS = ['pending', 'approved', 'repaid', 'defaulted'];
+
+/**
+ * Get the LoanEscrowZK event index (loaded from disk on first use)
+ */
+function getEventIndex() {
+  escrowEventStore.load(LOAN_ESCROW_ZK_ADDRESS);
+  return escrowEventStore;
+}
+
+/**
+ * Commitment variants to look up: full hex plus the legacy truncated (63 hex chars) form
+ * @param {string} commitment - Commitment as hex or decimal string
+ * @returns {Array<string>} Commitment variants
+ */
+function getCommitmentVariants(commitment) {
+  const commitmentHex = commitment.startsWith('0x')
+    ? commitment
+    : `0x${BigInt(commitment).toString(16)}`;
+  const variants = [commitmentHex];
+  if (commitmentHex.length === 66) { // 0x + 64 hex chars
+    variants.push('0x' + commitmentHex.slice(2, 65));
+  }
+  return variants;
+}
+
+/**
+ * Fetch the activity score registered for a proof hash
+ */
+async function getProofScore(proofHash) {
+  try {
+    const scoreResult = await provider.callContract({
+      contractAddress: ACTIVITY_VERIFIER_ADDRESS,
+      entrypoint: 'get_proof_score',
+      calldata: [proofHash]
+    });
+    return uint256.uint256ToBN({
+      low: scoreResult.result[0],
+      high: scoreResult.result[1]
+    }).toString();
+  } catch (scoreError) {
+    logger.warn(`Could not fetch activity score for ${proofHash}`);
+    return 0;
+  }
+}
+
+/**
+ * Fetch the terms of a loan offer needed for repayment maths
+ * @param {string} loanId - Loan ID
+ * @returns {object} { lender, amountPerBorrower, interestRateBps }
+ */
+async function getLoanTerms(loanId) {
+  const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(loanId));
+  const loanRawResult = await provider.callContract({
+    contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+    entrypoint: 'get_loan_details',
+    calldata: [loanLow, loanHigh]
+  });
+
+  return {
+    lender: loanRawResult.result[0],
+    amountPerBorrower: uint256.uint256ToBN({ low: loanRawResult.result[1], high: loanRawResult.result[2] }),
+    interestRateBps: uint256.uint256ToBN({ low: loanRawResult.result[5], high: loanRawResult.result[6] })
+  };
+}
+
+/**
+ * Read an application and its loan terms from the contract
+ * @param {string} loanId - Loan ID
+ * @param {string} commitment - Borrower commitment as stored on-chain
+ * @returns {object|null} { application, loanTerms } or null if not found
+ */
+async function getRepaymentState(loanId, commitment) {
+  const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(loanId));
+  const loanTerms = await getLoanTerms(loanId);
+  const appRawResult = await provider.callContract({
+    contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+    entrypoint: 'get_application',
+    calldata: [loanLow, loanHigh, commitment]
+  });
+
+  const application = repaymentService.parseApplication(appRawResult.result, loanTerms);
+  if (!application.borrower || BigInt(application.borrower) === 0n) {
+    return null;
+  }
+  return { application, loanTerms };
+}
+
 // ABI for LoanEscrowZK contract
 const ESCROW_ABI = [
   {
@@ -41,73 +141,21 @@ const ESCROW_ABI = [
   }
 ];
 
-// ABI for ActivityVerifier contract
-const VERIFIER_ABI = [
-  {
-    name: 'register_proof',
-    type: 'function',
-    inputs: [
-      { name: 'proof_hash', type: 'felt252' },
-      { name: 'commitment', type: 'felt252' },
-      { name: 'activity_score', type: 'u256' }
-    ],
-    outputs: [],
-    stateMutability: 'external'
-  },
-  {
-    name: 'get_proof_score',
-    type: 'function',
-    inputs: [{ name: 'proof_hash', type: 'felt252' }],
-    outputs: [{ name: 'score', type: 'u256' }],
-    stateMutability: 'view'
-  }
-];
-
 /**
- * Register ZK proof on-chain (called by backend after generating proof)
- * This allows the contract to verify it later
+ * Self-registered proofs are no longer accepted by ActivityVerifier.
+ * Proofs are verified and attested by the backend: POST /api/proof/attest
  */
-router.post('/register-proof', async (req, res) => {
-  try {
-    const { proofHash, commitment, activityScore } = req.body;
-
-    if (!proofHash || !commitment || !activityScore) {
-      return res.status(400).json({
-        error: 'Missing required fields: proofHash, commitment, activityScore'
-      });
-    }
-
-    logger.info('📝 Registering ZK proof on-chain', {
-      proofHash,
-      commitment: commitment.slice(0, 20) + '...',
-      activityScore
-    });
-
-    // In production, you'd use a wallet to sign this transaction
-    // For now, we return the transaction data for the frontend to execute
-    res.json({
-      success: true,
-      message: 'Proof registration data prepared',
-      data: {
-        contractAddress: ACTIVITY_VERIFIER_ADDRESS,
-        entrypoint: 'register_proof',
-        calldata: {
-          proof_hash: proofHash,
-          commitment,
-          activity_score: activityScore
-        }
-      }
-    });
-  } catch (error) {
-    logger.error('❌ Error registering proof:', error);
-    res.status(500).json({ error: error.message });
-  }
+router.post('/register-proof', requireAuth.public, (req, res) => {
+  res.status(410).json({
+    error: 'register_proof was replaced by verify-then-attest',
+    attestEndpoint: '/api/proof/attest'
+  });
 });
 
 /**
  * Get all loan offers from blockchain events
  */
-router.get('/available', async (req, res) => {
+router.get('/available', requireAuth.public, async (req, res) => {
   try {
     logger.info('📋 Fetching available loans from blockchain');
 
@@ -215,7 +263,7 @@ router.get('/available', async (req, res) => {
 /**
  * Get loans created by a specific lender
  */
-router.get('/lender/:lenderAddress', async (req, res) => {
+router.get('/lender/:lenderAddress', requireAuth.public, async (req, res) => {
   try {
     const { lenderAddress } = req.params;
     logger.info(`� [ONCHAIN-V1] Fetching loans for lender: ${lenderAddress}`);
@@ -333,10 +381,31 @@ router.get('/lender/:lenderAddress', async (req, res) => {
   }
 });
 
+/**
+ * Portfolio analytics across all of a lender's loan offers
+ * GET /api/loan/lender/:lenderAddress/portfolio
+ * Capital deployed, outstanding principal, expected/realized interest, default rate,
+ * slot utilisation and time-to-repay distribution, from on-chain application states
+ */
+router.get('/lender/:lenderAddress/portfolio', requireAuth.public, async (req, res) => {
+  try {
+    const { lenderAddress } = req.params;
+    logger.info(`📊 Building portfolio for lender: ${lenderAddress}`);
+
+    const portfolio = await lenderPortfolioService.getPortfolio(lenderAddress);
+
+    logger.info(`✅ Portfolio built: ${portfolio.totals.loans} loans, ${portfolio.totals.fundedApplications} funded applications`);
+    res.json({ success: true, ...portfolio });
+  } catch (error) {
+    logger.error('❌ Error building lender portfolio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * Get application details for a specific loan and commitment
  */
-router.get('/application/:loanId/:commitment', async (req, res) => {
+router.get('/application/:loanId/:commitment', requireAuth.public, async (req, res) => {
   try {
     const { loanId, commitment } = req.params;
     
@@ -372,7 +441,7 @@ router.get('/application/:loanId/:commitment', async (req, res) => {
       borrower: application.borrower,
       commitment: application.commitment,
       proofHash: application.proof_hash,
-      status: application.status === 0 ? 'pending' : application.status === 1 ? 'approved' : 'repaid',
+      status: APPLICATION_STATUS[application.status] || 'unknown',
       appliedAt: new Date(application.applied_at * 1000).toISOString(),
       approvedAt: application.approved_at > 0 ? new Date(application.approved_at * 1000).toISOString() : null,
       repaidAt: application.repaid_at > 0 ? new Date(application.repaid_at * 1000).toISOString() : null,
@@ -389,16 +458,16 @@ router.get('/application/:loanId/:commitment', async (req, res) => {
 
 /**
  * Get all applications for a specific loan
- * Queries LoanApplicationSubmitted events from blockchain
+ * Reads LoanApplicationSubmitted state from the LoanEscrowZK event index. When the offer
+ * has an eligibility policy each application carries eligibility: { eligible, reasons, checks };
+ * identityEscrow is the application's escrowed identity package (null when none was escrowed)
  */
-router.get('/:loanId/applications', async (req, res) => {
+router.get('/:loanId/applications', requireAuth.public, async (req, res) => {
   try {
     const { loanId } = req.params;
     
     logger.info('📬 Fetching applications for loan:', loanId);
 
-    const escrowContract = new Contract(ESCROW_ABI, LOAN_ESCROW_ZK_ADDRESS, provider);
-    
     // Get loan details first to verify loan exists
     const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(loanId));
     
@@ -417,286 +486,178 @@ router.get('/:loanId/applications', async (req, res) => {
     
     logger.info('✅ Loan found', { loanId, lender: loanDetails.lender });
     
-    // NEW APPROACH: Query blockchain events for LoanApplicationSubmitted
+    // Applications come from the persistent LoanEscrowZK event index
     const applications = [];
-    
-    try {
-      logger.info('🔍 Querying blockchain events for loan applications...');
-      
-      // Get the event selector for LoanApplicationSubmitted
-      const { hash } = require('starknet');
-      const eventKey = hash.getSelectorFromName('LoanApplicationSubmitted');
-      
-      logger.info(`� Event key: ${eventKey}, Loan ID: ${loanId}`);
-      
-      // Get current block and query recent blocks (last 10k blocks to avoid RPC limits)
-      const currentBlock = await provider.getBlockNumber();
-      const fromBlock = Math.max(0, currentBlock - 10000);
-      logger.info(`Querying events from block ${fromBlock} to ${currentBlock}`);
-      
-      // Query events from the blockchain
-      // Event keys structure: [event_selector, loan_id.low, loan_id.high, commitment]
-      const events = await provider.getEvents({
-        address: LOAN_ESCROW_ZK_ADDRESS,
-        keys: [[eventKey]], // Just filter by event type, we'll filter by loan_id manually
-        from_block: { block_number: fromBlock },
-        to_block: 'latest',
-        chunk_size: 1000,
-        continuation_token: undefined
+    for (const app of getEventIndex().getApplicationsForLoan(loanId)) {
+      applications.push({
+        loanId: app.loanId,
+        borrower: app.borrower,
+        borrowerCommitment: app.commitment,
+        commitment: app.commitment,
+        proofHash: app.proofHash,
+        activityScore: await getProofScore(app.proofHash),
+        status: app.status,
+        timestamp: app.appliedAt,
+        appliedAt: app.appliedAt,
+        approvedAt: app.approvedAt,
+        repaidAt: app.repaidAt,
+        repaymentDeadline: app.repaymentDeadline,
+        defaultedAt: app.defaultedAt,
+        identityEscrowHash: app.identityEscrowHash || null,
+        blockNumber: app.blockNumber,
+        transactionHash: app.transactionHash
       });
+    }
 
-      logger.info(`📦 Found ${events.events.length} total LoanApplicationSubmitted events`);
+    logger.info(`✅ Found ${applications.length} applications for loan ${loanId}`);
 
-      // Parse events and filter by loan_id
-      for (const event of events.events) {
-        try {
-          // Event structure:
-          // keys: [event_selector, loan_id.low, loan_id.high, commitment]
-          // data: [borrower, proof_hash]
-          
-          // Extract loan_id from event keys (indices 1 and 2)
-          const eventLoanIdLow = event.keys[1];
-          const eventLoanIdHigh = event.keys[2] || '0x0';
-          const eventLoanId = uint256.uint256ToBN({ 
-            low: eventLoanIdLow, 
-            high: eventLoanIdHigh 
-          }).toString();
-          
-          // Only process events for THIS loan
-          if (eventLoanId !== loanId) {
-            continue;
-          }
-          
-          const commitment = event.keys[3];
-          const borrower = event.data[0];
-          const proof_hash = event.data[1];
-          
-          logger.info(`✅ Found application event!`, { 
-            loanId: eventLoanId,
-            borrower,
-            commitment: commitment?.slice(0, 20) + '...',
-            txHash: event.transaction_hash
-          });
-          
-          // Get activity score from verifier
-          let activityScore = 0;
-          try {
-            const scoreResult = await provider.callContract({
-              contractAddress: ACTIVITY_VERIFIER_ADDRESS,
-              entrypoint: 'get_proof_score',
-              calldata: [proof_hash]
-            });
-            activityScore = uint256.uint256ToBN({ 
-              low: scoreResult.result[0], 
-              high: scoreResult.result[1] 
-            }).toString();
-          } catch (scoreError) {
-            logger.warn('Could not fetch activity score:', scoreError.message);
-          }
-          
-          // Get application details from contract
-          let appStatus = 'pending';
-          let appliedAt = null;
-          let approvedAt = null;
-          let repaidAt = null;
-          let repaymentDeadline = null;
-          
-          try {
-            const appRawResult = await provider.callContract({
-              contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-              entrypoint: 'get_application',
-              calldata: [loanLow, loanHigh, commitment]
-            });
+    // Flags raised by payroll webhooks when an applicant's income attestation was revoked or lowered
+    const flags = payrollWebhookService.getFlagsForLoan(loanId);
+    applications.forEach(app => { app.flags = flags.filter(flag => flag.commitment === app.commitment); });
 
-            const appDetails = {
-              status: Number(appRawResult.result[3]),
-              applied_at: Number(appRawResult.result[4]),
-              approved_at: Number(appRawResult.result[5]),
-              repaid_at: Number(appRawResult.result[6]),
-              repayment_deadline: Number(appRawResult.result[7])
-            };
-            
-            appStatus = appDetails.status === 0 ? 'pending' : appDetails.status === 1 ? 'approved' : 'repaid';
-            appliedAt = appDetails.applied_at > 0 ? new Date(appDetails.applied_at * 1000).toISOString() : null;
-            approvedAt = appDetails.approved_at > 0 ? new Date(appDetails.approved_at * 1000).toISOString() : null;
-            repaidAt = appDetails.repaid_at > 0 ? new Date(appDetails.repaid_at * 1000).toISOString() : null;
-            repaymentDeadline = appDetails.repayment_deadline > 0 ? new Date(appDetails.repayment_deadline * 1000).toISOString() : null;
-          } catch (error_) {
-            logger.warn('Could not fetch application details:', error_.message);
-          }
+    // Identity package escrowed for each application, and whether its hash is attached on-chain
+    const escrows = identityEscrowService.getLoanSummary(loanId);
+    applications.forEach(app => {
+      const escrow = escrows.get(app.commitment);
+      app.identityEscrow = escrow
+        ? { ...escrow, anchored: escrow.escrowHash === app.identityEscrowHash }
+        : null;
+    });
 
-          applications.push({
-            loanId: eventLoanId,
-            borrower,
-            borrowerCommitment: commitment,
-            commitment,
-            proofHash: proof_hash,
-            activityScore,
-            status: appStatus,
-            timestamp: appliedAt || new Date(event.block_number * 6000).toISOString(),
-            appliedAt,
-            approvedAt,
-            repaidAt,
-            repaymentDeadline,
-            blockNumber: event.block_number,
-            transactionHash: event.transaction_hash
-          });
-          
-        } catch (parseError) {
-          logger.error('Error parsing event:', parseError.message);
-        }
-      }
-      
-      logger.info(`✅ Found ${applications.length} applications for loan ${loanId}`);
-      
-    } catch (eventError) {
-      logger.error('❌ Event query failed:', eventError.message);
-      logger.error('Error stack:', eventError.stack);
-      logger.info('⚠️ Returning loan details without applications');
+    // Mark each applicant eligible or ineligible under the lender's policy, if the offer has one
+    let policy = null;
+    try {
+      policy = await loanPolicyService.getLoanPolicy(loanId, req.query.policyCid || null);
+    } catch (policyError) {
+      logger.warn('⚠️ Could not load loan policy:', { loanId, error: policyError.message });
+    }
+    if (policy?.policy && policy.verified) {
+      const results = await loanPolicyService.evaluateApplications(policy.policy, applications);
+      applications.forEach((app, i) => { app.eligibility = results[i]; });
+    } else if (policy) {
+      logger.warn('⚠️ Policy body unavailable or does not match the on-chain hash', { loanId, policyHash: policy.policyHash });
     }
 
-  res.json({
-    success: true,
-    loanId,
-    loanDetails: {
-      lender: loanDetails.lender,
-      amount: loanDetails.amount_per_borrower.toString(),
-      interestRate: loanDetails.interest_rate_bps.toString(),
-      minActivityScore: loanDetails.min_activity_score.toString()
-    },
-    applications,
-    message: applications.length === 0 
-      ? 'No applications found for this loan' 
-      : `Found ${applications.length} application(s)`
-  });
-} catch (error) {
-  logger.error('❌ Error fetching loan applications:', { 
-    error: error.message, 
-    stack: error.stack,
-    loanId: req.params.loanId 
-  });
-  res.status(500).json({ error: error.message || 'Failed to fetch applications' });
-}
+    res.json({
+      success: true,
+      loanId,
+      loanDetails: {
+        lender: loanDetails.lender,
+        amount: loanDetails.amount_per_borrower.toString(),
+        interestRate: loanDetails.interest_rate_bps.toString(),
+        minActivityScore: loanDetails.min_activity_score.toString()
+      },
+      policy,
+      applications,
+      indexedThroughBlock: getEventIndex().getCursor()?.blockNumber ?? null,
+      message: applications.length === 0 
+        ? 'No applications found for this loan' 
+        : `Found ${applications.length} application(s)`
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching loan applications:', { 
+      error: error.message, 
+      stack: error.stack,
+      loanId: req.params.loanId 
+    });
+    res.status(500).json({ error: error.message || 'Failed to fetch applications' });
+  }
+});
+
+/**
+ * Publish a loan eligibility policy before creating the offer
+ * POST /api/loan/policies { policy: { minActivityScore?, requireVerifiedAge?, minWalletAgeDays?,
+ *                                     maxActiveLoans?, minAnnualIncome?, minAge?, maxAge?,
+ *                                     excludedNationalities?, requireDocumentValidThroughDeadline? } }
+ * Returns the policy hash to pass to create_loan_offer_with_policy and the IPFS CID of the body
+ * Signed by the lender's wallet: every call pins the body to IPFS and stores it.
+ */
+router.post('/policies', requireAuth.wallet(), async (req, res) => {
+  try {
+    const { errors } = loanPolicyService.normalizePolicy(req.body.policy);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, error: 'Invalid loan policy', errors });
+    }
+
+    const published = await loanPolicyService.publishPolicy(req.body.policy);
+
+    res.json({ success: true, ...published });
+  } catch (error) {
+    logger.error('❌ Error publishing loan policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Get the eligibility policy attached to a loan offer
+ * GET /api/loan/:loanId/policy?cid=...
+ * verified is true when the policy body hashes to the on-chain policy hash
+ */
+router.get('/:loanId/policy', requireAuth.public, async (req, res) => {
+  try {
+    const { loanId } = req.params;
+    const policy = await loanPolicyService.getLoanPolicy(loanId, req.query.cid || null);
+
+    if (!policy) {
+      return res.status(404).json({ success: false, error: 'Loan offer has no policy', loanId });
+    }
+
+    res.json({ success: true, loanId, ...policy });
+  } catch (error) {
+    logger.error('❌ Error fetching loan policy:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 /**
  * Get all applications for a borrower (by commitment)
- * Note: This requires scanning all loans - not efficient
- * In production, use event indexing service
+ * Reads from the LoanEscrowZK event index
  */
-router.get('/borrower/:commitment/applications', async (req, res) => {
+router.get('/borrower/:commitment/applications', requireAuth.public, async (req, res) => {
   try {
     const { commitment } = req.params;
     
     logger.info('📬 Fetching applications for borrower commitment:', commitment.slice(0, 30) + '...');
-    logger.info('📬 Commitment length:', commitment.length, 'Full:', commitment);
 
     // Handle both truncated (63 hex chars) and full (64 hex chars) commitments
     // for backwards compatibility with old applications
-    const commitments = [commitment];
-    if (commitment.length === 66) { // 0x + 64 hex chars
-      const truncated = '0x' + commitment.slice(2, 65); // Keep first 63 hex chars
-      commitments.push(truncated);
-      logger.info('📬 Also checking truncated commitment:', truncated);
-    }
+    const commitments = getCommitmentVariants(commitment);
+    const indexed = getEventIndex().getApplicationsByCommitment(commitments);
 
-    const escrowContract = new Contract(ESCROW_ABI, LOAN_ESCROW_ZK_ADDRESS, provider);
-    const loanCountRaw = await escrowContract.get_loan_count();
-    
-    // Parse loan count
-    let loanCount;
-    if (loanCountRaw?.count) {
-      if (typeof loanCountRaw.count === 'bigint') {
-        loanCount = Number(loanCountRaw.count);
-      } else if (loanCountRaw.count?.low !== undefined) {
-        loanCount = Number(loanCountRaw.count.low);
-      }
-    }
-    
     const applications = [];
-    
-    // Scan all loans for applications with ANY of the commitment variants
-    logger.info(`🔍 Scanning ${loanCount} loans for applications with ${commitments.length} commitment variants...`);
-    for (let i = 1; i <= Number(loanCount); i++) {
-      // Try each commitment variant (full and truncated)
-      for (const commitmentVariant of commitments) {
-        try {
-          // Use callContract for u256 parameter
-          const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(i));
-          const appRawResult = await provider.callContract({
-            contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-            entrypoint: 'get_application',
-            calldata: [loanLow, loanHigh, commitmentVariant]
-          });
-          
-          // Parse Application struct
-          // [borrower, commitment, proof_hash, status, applied_at, approved_at, repayment_deadline]
-          const application = {
-            borrower: appRawResult.result[0],
-            commitment: appRawResult.result[1],
-            proof_hash: appRawResult.result[2],
-            status: Number(appRawResult.result[3]),
-            applied_at: Number(appRawResult.result[4]),
-            approved_at: Number(appRawResult.result[5]),
-            repaid_at: Number(appRawResult.result[6]),
-            repayment_deadline: Number(appRawResult.result[7])
-          };
-          
-          // Log for loan 3 (the one you applied to) to see what the contract returns
-          if (i === 3) {
-            logger.info(`🔍 Loan #3 application data (variant: ${commitmentVariant.slice(0, 20)}...):`, {
-              borrower: application.borrower,
-              commitment_from_contract: application.commitment,
-              commitment_queried: commitmentVariant,
-              match: application.commitment === commitmentVariant,
-              borrower_is_zero: application.borrower === '0x0'
-            });
-          }
-          
-          if (application.borrower !== '0x0' && application.borrower) {
-            logger.info(`✅ Found application for loan ${i} with commitment variant ${commitmentVariant.slice(0, 20)}...!`, {
-              borrower: application.borrower,
-              commitment: application.commitment,
-              status: application.status
-            });
+    for (const app of indexed) {
+      const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(app.loanId));
+      const loanRawResult = await provider.callContract({
+        contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+        entrypoint: 'get_loan_details',
+        calldata: [loanLow, loanHigh]
+      });
+      
+      const loanDetails = {
+        lender: loanRawResult.result[0],
+        amount_per_borrower: uint256.uint256ToBN({ low: loanRawResult.result[1], high: loanRawResult.result[2] }),
+        interest_rate_bps: uint256.uint256ToBN({ low: loanRawResult.result[5], high: loanRawResult.result[6] })
+      };
 
-            // ===== ADD TO COMMITMENT CACHE =====
-            // Cache this borrower's commitment for lender discovery
-            commitmentCache.addCommitment(commitmentVariant, i);
-            logger.info(`💾 [CACHE] Commitment cached for loan #${i} discovery`);
+      // Cache this borrower's commitment for lender discovery
+      commitmentCache.addCommitment(app.commitment, app.loanId);
 
-          const loanRawResult = await provider.callContract({
-            contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-            entrypoint: 'get_loan_details',
-            calldata: [loanLow, loanHigh]
-          });
-          
-          const loanDetails = {
-            lender: loanRawResult.result[0],
-            amount_per_borrower: uint256.uint256ToBN({ low: loanRawResult.result[1], high: loanRawResult.result[2] }),
-            interest_rate_bps: uint256.uint256ToBN({ low: loanRawResult.result[5], high: loanRawResult.result[6] })
-          };
-          
-          applications.push({
-            loanId: i.toString(),
-            lender: loanDetails.lender,
-            amount: loanDetails.amount_per_borrower.toString(),
-            interestRate: loanDetails.interest_rate_bps.toString(),
-            borrower: application.borrower,
-            commitment: application.commitment,
-            proofHash: application.proof_hash,
-            status: application.status === 0 ? 'pending' : application.status === 1 ? 'approved' : 'repaid',
-            appliedAt: new Date(Number(application.applied_at) * 1000).toISOString(),
-            approvedAt: application.approved_at > 0 ? new Date(Number(application.approved_at) * 1000).toISOString() : null,
-            repaymentDeadline: application.repayment_deadline > 0 ? new Date(Number(application.repayment_deadline) * 1000).toISOString() : null
-          });
-          break; // Found application with this commitment variant, don't try other variants
-        }
-        } catch (error) {
-          // Application doesn't exist for this loan+commitment combination, try next variant
-        }
-      } // End commitmentVariant loop
-    } // End loan loop
+      applications.push({
+        loanId: app.loanId,
+        lender: loanDetails.lender,
+        amount: loanDetails.amount_per_borrower.toString(),
+        interestRate: loanDetails.interest_rate_bps.toString(),
+        borrower: app.borrower,
+        commitment: app.commitment,
+        proofHash: app.proofHash,
+        status: app.status,
+        appliedAt: app.appliedAt,
+        approvedAt: app.approvedAt,
+        repaidAt: app.repaidAt,
+        repaymentDeadline: app.repaymentDeadline,
+        defaultedAt: app.defaultedAt
+      });
+    }
 
     logger.info(`✅ Found ${applications.length} applications`);
     res.json(applications);
@@ -707,271 +668,189 @@ router.get('/borrower/:commitment/applications', async (req, res) => {
 });
 
 /**
- * Get applications for a borrower (all statuses: pending, approved, repaid)
- * DUPLICATE ROUTE - Should be removed, keeping first one above
+ * Prepare a repayment transaction (full outstanding balance or one instalment)
+ * POST /api/loan/repay { loanId, commitment, amount? }
+ * The borrower's wallet signs and executes the returned calls
+ * Public on purpose: it only reads chain state and builds calldata; nothing is submitted or
+ * stored, and the repayment itself is authorized by the borrower's wallet on-chain.
  */
-router.get('/borrower/:commitment/applications_OLD', async (req, res) => {
+router.post('/repay', requireAuth.public, async (req, res) => {
   try {
-    const { commitment } = req.params;
-    
-    logger.info('📬 Fetching applications for borrower commitment:', commitment.slice(0, 20) + '...');
-    logger.info('📬 Commitment length:', commitment.length, 'Type:', typeof commitment);
+    const { loanId, commitment, amount } = req.body;
 
-    const escrowContract = new Contract(ESCROW_ABI, LOAN_ESCROW_ZK_ADDRESS, provider);
-    const loanCountRaw = await escrowContract.get_loan_count();
-    
-    // Parse loan count
-    let loanCount;
-    if (loanCountRaw?.count) {
-      if (typeof loanCountRaw.count === 'bigint') {
-        loanCount = Number(loanCountRaw.count);
-      } else if (loanCountRaw.count?.low !== undefined) {
-        loanCount = Number(loanCountRaw.count.low);
-      }
+    if (!loanId || !commitment) {
+      return res.status(400).json({
+        error: 'Missing required fields: loanId, commitment'
+      });
+    }
+    const isUint = (value) => /^(0x[0-9a-fA-F]+|\d+)$/.test(String(value));
+    if (!isUint(loanId) || !isUint(commitment)) {
+      return res.status(400).json({ error: 'loanId and commitment must be hex or decimal felts' });
+    }
+    if (amount !== undefined && amount !== null && amount !== '' && !isUint(amount)) {
+      return res.status(400).json({ error: 'amount must be a non-negative integer (wei, hex or decimal)' });
     }
-    
-    logger.info(`🔍 Scanning ${loanCount} loans for applications with commitment ${commitment.slice(0, 20)}...`);
 
-    const applications = [];
-    
-    // Scan all loans to find applications with this commitment
-    for (let i = 1; i <= Number(loanCount); i++) {
-      try {
-        const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(i));
-        const appRawResult = await provider.callContract({
-          contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-          entrypoint: 'get_application',
-          calldata: [loanLow, loanHigh, commitment]
-        });
-        
-        const application = {
-          borrower: appRawResult.result[0],
-          commitment: appRawResult.result[1],
-          proof_hash: appRawResult.result[2],
-          status: Number(appRawResult.result[3]),
-          applied_at: Number(appRawResult.result[4]),
-          approved_at: Number(appRawResult.result[5]),
-          repaid_at: Number(appRawResult.result[6]),
-          repayment_deadline: Number(appRawResult.result[7])
-        };
-        
-        // Include if application exists (borrower is not 0x0)
-        if (application.borrower !== '0x0') {
-          // Get loan details
-          const loanRawResult = await provider.callContract({
-            contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-            entrypoint: 'get_loan_details',
-            calldata: [loanLow, loanHigh]
-          });
-          
-          const loanDetails = {
-            lender: loanRawResult.result[0],
-            amount_per_borrower: uint256.uint256ToBN({ low: loanRawResult.result[1], high: loanRawResult.result[2] }),
-            interest_rate_bps: uint256.uint256ToBN({ low: loanRawResult.result[5], high: loanRawResult.result[6] })
-          };
-          
-          applications.push({
-            loanId: i.toString(),
-            lender: loanDetails.lender,
-            amount: loanDetails.amount_per_borrower.toString(),
-            interestRate: loanDetails.interest_rate_bps.toString(),
-            borrower: application.borrower,
-            commitment: application.commitment,
-            proofHash: application.proof_hash,
-            status: application.status === 0 ? 'pending' : application.status === 1 ? 'approved' : 'repaid',
-            appliedAt: new Date(Number(application.applied_at) * 1000).toISOString(),
-            approvedAt: application.approved_at > 0 ? new Date(Number(application.approved_at) * 1000).toISOString() : null,
-            repaidAt: application.repaid_at > 0 ? new Date(Number(application.repaid_at) * 1000).toISOString() : null,
-            repaymentDeadline: application.repayment_deadline > 0 ? new Date(Number(application.repayment_deadline) * 1000).toISOString() : null
-          });
-        }
-      } catch (error) {
-        // Application doesn't exist for this loan, continue
+    logger.info('💸 Preparing repayment', {
+      loanId,
+      commitment: commitment.slice(0, 20) + '...',
+      amount: amount ?? 'full'
+    });
+
+    const state = await getRepaymentState(loanId, commitment);
+    if (!state) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    // Defaulted loans stay repayable
+    if (state.application.status !== 1 && state.application.status !== 3) {
+      return res.status(400).json({ error: 'Application is not an active loan' });
+    }
+
+    const { payment, outstanding, isFinal } = repaymentService.resolvePayment(state.application, amount);
+
+    const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(loanId));
+    const { low: amountLow, high: amountHigh } = uint256.bnToUint256(payment);
+
+    res.json({
+      success: true,
+      message: 'Repayment data prepared',
+      data: {
+        amount: payment.toString(),
+        outstanding: outstanding.toString(),
+        remainingAfter: (outstanding - payment).toString(),
+        isFinal,
+        calls: [
+          {
+            contractAddress: STRK_TOKEN_ADDRESS,
+            entrypoint: 'approve',
+            calldata: [LOAN_ESCROW_ZK_ADDRESS, amountLow.toString(), amountHigh.toString()]
+          },
+          isFinal
+            ? {
+              contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+              entrypoint: 'repay_loan',
+              calldata: [loanLow.toString(), loanHigh.toString(), commitment]
+            }
+            : {
+              contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+              entrypoint: 'repay_instalment',
+              calldata: [loanLow.toString(), loanHigh.toString(), commitment, amountLow.toString(), amountHigh.toString()]
+            }
+        ]
       }
+    });
+  } catch (error) {
+    logger.error('❌ Error preparing repayment:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get the outstanding balance and instalment schedule of an application
+ * GET /api/loan/:loanId/repayment/:commitment?instalments=4
+ * The schedule is a suggestion computed here; the contract does not enforce it
+ */
+router.get('/:loanId/repayment/:commitment', requireAuth.public, async (req, res) => {
+  try {
+    const { loanId, commitment } = req.params;
+
+    logger.info(`📆 Fetching repayment status for loan ${loanId}`);
+
+    const state = await getRepaymentState(loanId, commitment);
+    if (!state) {
+      return res.status(404).json({ error: 'Application not found' });
     }
 
-    logger.info(`✅ Found ${applications.length} applications`);
-    res.json(applications);
+    const { application, loanTerms } = state;
+    res.json({
+      success: true,
+      loanId,
+      commitment,
+      status: APPLICATION_STATUS[application.status] || 'unknown',
+      approvedAt: application.approvedAt > 0 ? new Date(application.approvedAt * 1000).toISOString() : null,
+      repaymentDeadline: application.repaymentDeadline > 0 ? new Date(application.repaymentDeadline * 1000).toISOString() : null,
+      repaidAt: application.repaidAt > 0 ? new Date(application.repaidAt * 1000).toISOString() : null,
+      ...repaymentService.summarize(application, loanTerms, req.query.instalments)
+    });
   } catch (error) {
-    logger.error('❌ Error fetching applications:', error);
+    logger.error('❌ Error fetching repayment status:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get repayment history (instalments paid) of an application
+ * Reads InstalmentPaid/LoanRepaid state from the LoanEscrowZK event index
+ * GET /api/loan/:loanId/repayment/:commitment/history
+ */
+router.get('/:loanId/repayment/:commitment/history', requireAuth.public, async (req, res) => {
+  try {
+    const { loanId, commitment } = req.params;
+
+    logger.info(`🧾 Fetching repayment history for loan ${loanId}`);
+
+    const index = getEventIndex();
+    const app = getCommitmentVariants(commitment)
+      .map(variant => index.getApplication(loanId, variant))
+      .find(Boolean);
+
+    if (!app) {
+      return res.status(404).json({ error: 'Application not found in event index' });
+    }
+
+    res.json({
+      success: true,
+      loanId,
+      commitment: app.commitment,
+      status: app.status,
+      amountRepaid: app.amountRepaid,
+      payments: app.payments,
+      count: app.payments.length,
+      indexedThroughBlock: index.getCursor()?.blockNumber ?? null
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching repayment history:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * Get active loans for a borrower (approved but not repaid)
+ * Get active loans for a borrower (approved or defaulted, not repaid)
  */
-router.get('/borrower/:commitment/active', async (req, res) => {
+router.get('/borrower/:commitment/active', requireAuth.public, async (req, res) => {
   try {
     const { commitment } = req.params;
     
     logger.info('💼 Fetching active loans for borrower commitment:', commitment.slice(0, 20) + '...');
 
-    const escrowContract = new Contract(ESCROW_ABI, LOAN_ESCROW_ZK_ADDRESS, provider);
-    const loanCountRaw = await escrowContract.get_loan_count();
-    
-    // Parse loan count
-    let loanCount;
-    if (loanCountRaw?.count) {
-      if (typeof loanCountRaw.count === 'bigint') {
-        loanCount = Number(loanCountRaw.count);
-      } else if (loanCountRaw.count?.low !== undefined) {
-        loanCount = Number(loanCountRaw.count.low);
-      }
-    }
-    
+    const commitments = getCommitmentVariants(commitment);
+    const approved = getEventIndex()
+      .getApplicationsByCommitment(commitments)
+      .filter(app => app.status === 'approved' || app.status === 'defaulted');
+
     const activeLoans = [];
-    
-    logger.info(`✅ Total loans on-chain: ${loanCount}`);
-    logger.info(`📥 Received commitment (first 30 chars): ${commitment.slice(0, 30)}...`);
-    logger.info(`📏 Received commitment length: ${commitment.length}`);
-    
-    // Normalize commitment to hex format - handle both hex and decimal input
-    let commitmentHex;
-    if (commitment.startsWith('0x')) {
-      // Already in hex format
-      commitmentHex = commitment;
-      logger.info(`🔍 Commitment already in hex format: ${commitmentHex.slice(0, 20)}...`);
-    } else {
-      // Convert from decimal to hex
-      commitmentHex = `0x${BigInt(commitment).toString(16)}`;
-      logger.info(`🔍 Converted commitment from decimal to hex: ${commitment.slice(0, 20)}... → ${commitmentHex.slice(0, 20)}...`);
-    }
-    
-    // CRITICAL: Query ALL applications from blockchain events to find matching ones
-    // This is more reliable than trying to guess the commitment format
-    logger.info(`🔎 Querying blockchain for all applications to find matches...`);
-    
-    const { hash } = require('starknet');
-    const eventKey = hash.getSelectorFromName('LoanApplicationSubmitted');
-    const currentBlock = await provider.getBlockNumber();
-    const fromBlock = Math.max(0, currentBlock - 10000);
-    
-    const events = await provider.getEvents({
-      address: LOAN_ESCROW_ZK_ADDRESS,
-      keys: [[eventKey]],
-      from_block: { block_number: fromBlock },
-      to_block: 'latest',
-      chunk_size: 1000
-    });
-    
-    logger.info(`📦 Found ${events.events.length} total application events`);
-    
-    // Try to match using multiple commitment formats
-    const commitmentVariants = [
-      commitmentHex,
-      commitmentHex.slice(0, 65), // Truncated version
-      commitment, // Original (might be decimal)
-      commitment.slice(0, 65) // Truncated original
-    ];
-    
-    logger.info(`🔍 Will try ${commitmentVariants.length} commitment variant(s)`);
-    
-    // Find all applications from this borrower by matching commitment in events
-    const borrowerLoanIds = new Set();
-    
-    for (const event of events.events) {
-      try {
-        const eventCommitment = event.keys[3]; // Commitment is the 4th key
-        
-        // Check if this event's commitment matches any of our variants
-        for (const variant of commitmentVariants) {
-          if (eventCommitment === variant || 
-              eventCommitment === variant.slice(0, 65) ||
-              variant === eventCommitment ||
-              variant.slice(0, 65) === eventCommitment) {
-            
-            // Extract loan_id from event
-            const eventLoanIdLow = event.keys[1];
-            const eventLoanIdHigh = event.keys[2] || '0x0';
-            const loanId = uint256.uint256ToBN({ 
-              low: eventLoanIdLow, 
-              high: eventLoanIdHigh 
-            }).toString();
-            
-            borrowerLoanIds.add(loanId);
-            logger.info(`✅ Found matching application! Loan #${loanId}, Commitment: ${eventCommitment.slice(0, 20)}...`);
-            break; // Found a match, no need to try other variants
-          }
-        }
-      } catch (err) {
-        // Skip malformed events
-      }
-    }
-    
-    logger.info(`📋 Found ${borrowerLoanIds.size} loans with applications from this borrower`);
-    
-    // Now query only the loans we found
-    for (const loanId of borrowerLoanIds) {
-      const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(loanId));
+    for (const app of approved) {
+      const loanTerms = await getLoanTerms(app.loanId);
+      const totalDue = repaymentService.calculateTotalDue(loanTerms.amountPerBorrower, loanTerms.interestRateBps);
+      const amountRepaid = BigInt(app.amountRepaid || 0);
       
-      // Try each commitment variant
-      for (const commitmentVariant of commitmentVariants) {
-        try {
-          const appRawResult = await provider.callContract({
-            contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-            entrypoint: 'get_application',
-            calldata: [loanLow, loanHigh, commitmentVariant]
-          });
-        
-        // Parse Application struct
-        // Application { borrower, commitment, proof_hash, status, applied_at, approved_at, repaid_at, repayment_deadline }
-        const application = {
-          borrower: appRawResult.result[0],
-          commitment: appRawResult.result[1],
-          proof_hash: appRawResult.result[2],
-          status: Number(appRawResult.result[3]),
-          applied_at: Number(appRawResult.result[4]),
-          approved_at: Number(appRawResult.result[5]),
-          repaid_at: Number(appRawResult.result[6]),
-          repayment_deadline: Number(appRawResult.result[7])
-        };
-        
-        // Log application details for debugging
-        if (application.borrower !== '0x0') {
-          logger.info(`📋 Loan #${loanId} application found:`, {
-            borrower: application.borrower,
-            commitment: application.commitment,
-            status: application.status,
-            statusText: application.status === 0 ? 'pending' : application.status === 1 ? 'approved' : 'repaid',
-            approved_at: application.approved_at,
-            repayment_deadline: application.repayment_deadline
-          });
-        }
-        
-        // Only include approved loans (status = 1)
-        if (application.borrower !== '0x0' && application.status === 1) {
-          const loanRawResult = await provider.callContract({
-            contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-            entrypoint: 'get_loan_details',
-            calldata: [loanLow, loanHigh]
-          });
-          
-          const loanDetails = {
-            lender: loanRawResult.result[0],
-            amount_per_borrower: uint256.uint256ToBN({ low: loanRawResult.result[1], high: loanRawResult.result[2] }),
-            interest_rate_bps: uint256.uint256ToBN({ low: loanRawResult.result[5], high: loanRawResult.result[6] })
-          };
-          
-          activeLoans.push({
-            loanId: loanId.toString(),
-            lender: loanDetails.lender,
-            amount: loanDetails.amount_per_borrower.toString(),
-            interestRate: loanDetails.interest_rate_bps.toString(),
-            borrower: application.borrower,
-            commitment: application.commitment,
-            status: 'approved',
-            approvedAt: new Date(Number(application.approved_at) * 1000).toISOString(),
-            repaymentDeadline: new Date(Number(application.repayment_deadline) * 1000).toISOString()
-          });
-          
-          break; // Found application with this commitment variant, exit inner loop
-        }
-      } catch (error) {
-        // This commitment variant didn't work, try next one
-      }
-    } // End of commitment variants loop
-    } // End of borrower loans loop
+      activeLoans.push({
+        loanId: app.loanId,
+        lender: loanTerms.lender,
+        amount: loanTerms.amountPerBorrower.toString(),
+        interestRate: loanTerms.interestRateBps.toString(),
+        totalDue: totalDue.toString(),
+        amountRepaid: amountRepaid.toString(),
+        outstanding: (totalDue - amountRepaid).toString(),
+        payments: app.payments,
+        borrower: app.borrower,
+        commitment: app.commitment,
+        status: app.status,
+        approvedAt: app.approvedAt,
+        repaymentDeadline: app.repaymentDeadline,
+        defaultedAt: app.defaultedAt
+      });
+    }
 
     logger.info(`✅ Found ${activeLoans.length} active loans`);
     res.json({ loans: activeLoans, count: activeLoans.length });
@@ -983,20 +862,22 @@ router.get('/borrower/:commitment/active', async (req, res) => {
 
 /**
  * Get proof verification status
+ * Reports the attested loan and borrower, the proof's age against the verifier's
+ * max proof age and whether an application already used it
  */
-router.get('/proof/:proofHash/verify', async (req, res) => {
+router.get('/proof/:proofHash/verify', requireAuth.public, async (req, res) => {
   try {
     const { proofHash } = req.params;
     
     logger.info('🔍 Checking proof verification:', proofHash.slice(0, 20) + '...');
 
-    const verifierContract = new Contract(VERIFIER_ABI, ACTIVITY_VERIFIER_ADDRESS, provider);
-    const score = await verifierContract.get_proof_score(proofHash);
+    const status = await proofAttestationService.getProofStatus(proofHash);
 
     res.json({
-      proofHash,
-      verified: score > 0,
-      activityScore: score.toString()
+      ...status,
+      // Proven lower bound, kept under its previous name
+      activityScore: status.threshold || '0',
+      usable: status.verified && !status.expired && !status.used
     });
   } catch (error) {
     logger.error('❌ Error checking proof:', error);
@@ -1005,10 +886,13 @@ router.get('/proof/:proofHash/verify', async (req, res) => {
 });
 
 /**
- * Reveal borrower identity (only if loan is overdue)
+ * Reveal borrower identity (only if loan is overdue), signed by the loan's lender
+ * Uses chain time; reports the on-chain default (mark_defaulted) and its dispute window when set.
+ * When an identity package was escrowed for the application, its shares are collected from the
+ * trustees and the package is decrypted (the trustees only release after the dispute window).
  * GET /api/loan/:loanId/reveal/:commitment
  */
-router.get('/:loanId/reveal/:commitment', async (req, res) => {
+router.get('/:loanId/reveal/:commitment', requireAuth.wallet(), async (req, res) => {
   try {
     const { loanId, commitment } = req.params;
     
@@ -1016,12 +900,28 @@ router.get('/:loanId/reveal/:commitment', async (req, res) => {
     
     const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(loanId));
     
-    // Get application details
-    const appRawResult = await provider.callContract({
-      contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-      entrypoint: 'get_application',
-      calldata: [loanLow, loanHigh, commitment]
-    });
+    // Get application and loan details
+    const [appRawResult, loanRawResult] = await Promise.all([
+      provider.callContract({
+        contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+        entrypoint: 'get_application',
+        calldata: [loanLow, loanHigh, commitment]
+      }),
+      provider.callContract({
+        contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+        entrypoint: 'get_loan_details',
+        calldata: [loanLow, loanHigh]
+      })
+    ]);
+    
+    // Only the lender of the loan may reveal
+    if (BigInt(loanRawResult.result[0]) !== BigInt(req.auth.walletAddress)) {
+      return res.status(403).json({
+        success: false,
+        canReveal: false,
+        message: 'Only the lender of this loan can reveal the borrower identity.'
+      });
+    }
     
     const application = {
       borrower: appRawResult.result[0],
@@ -1043,18 +943,19 @@ router.get('/:loanId/reveal/:commitment', async (req, res) => {
       });
     }
     
-    // Check if loan is approved
-    if (application.status !== 1) {
+    // Check if loan is approved or already marked defaulted
+    if (application.status !== 1 && application.status !== 3) {
       return res.status(403).json({
         success: false,
         canReveal: false,
-        message: 'Loan is not in approved status. Cannot reveal borrower identity.',
+        message: 'Loan is not in approved or defaulted status. Cannot reveal borrower identity.',
         status: application.status
       });
     }
     
-    // Check if overdue
-    const now = Math.floor(Date.now() / 1000);
+    // Check if overdue (chain time, the contract enforces the same)
+    const latestBlock = await provider.getBlock('latest');
+    const now = Number(latestBlock.timestamp);
     const isOverdue = now > application.repayment_deadline;
     
     if (!isOverdue) {
@@ -1069,12 +970,48 @@ router.get('/:loanId/reveal/:commitment', async (req, res) => {
       });
     }
     
+    let defaultedAt = null;
+    if (application.status === 3) {
+      const defaultedRaw = await provider.callContract({
+        contractAddress: LOAN_ESCROW_ZK_ADDRESS,
+        entrypoint: 'get_defaulted_at',
+        calldata: [loanLow, loanHigh, commitment]
+      });
+      defaultedAt = Number(defaultedRaw.result[0]);
+    }
+    
+    // An open or upheld borrower dispute blocks the reveal
+    const dispute = await disputeService.getBlockingDispute(loanId, commitment);
+    if (dispute) {
+      return res.status(409).json({
+        success: false,
+        canReveal: false,
+        message: `Borrower dispute is ${dispute.status}. Cannot reveal borrower identity.`,
+        disputeId: dispute.id,
+        disputeStatus: dispute.status
+      });
+    }
+    
     // If overdue, return BOTH borrower wallet address AND ZK identity commitment
     logger.info(`✅ [REVEAL] Loan is overdue. Revealing borrower identity:`, {
       wallet: application.borrower,
       commitment: application.commitment
     });
     
+    // Collect, reconstruct and decrypt the identity package escrowed for this application
+    let identityEscrow;
+    try {
+      identityEscrow = await identityEscrowService.revealPackage(loanId, application.commitment);
+    } catch (error) {
+      logger.error('❌ [REVEAL] Identity package reveal failed:', error.message);
+      return res.status(error.faultyTrustees ? 422 : error.status || 500).json({
+        success: false,
+        canReveal: true,
+        error: error.message,
+        faultyTrustees: error.faultyTrustees
+      });
+    }
+    
     res.json({
       success: true,
       canReveal: true,
@@ -1086,7 +1023,15 @@ router.get('/:loanId/reveal/:commitment', async (req, res) => {
       overdueDays: Math.floor((now - application.repayment_deadline) / 86400),
       approvedAt: new Date(application.approved_at * 1000).toISOString(),
       repaymentDeadline: new Date(application.repayment_deadline * 1000).toISOString(),
-      message: 'Borrower identity revealed due to loan default - ZK commitment is the permanent reputation identity'
+      defaulted: application.status === 3,
+      defaultedAt: defaultedAt ? new Date(defaultedAt * 1000).toISOString() : null,
+      disputeEndsAt: defaultedAt ? new Date((defaultedAt + thresholds.dispute.windowSeconds) * 1000).toISOString() : null,
+      identityEscrow,
+      message: !identityEscrow
+        ? 'Borrower identity revealed due to loan default - no identity package was escrowed for this application'
+        : identityEscrow.revealed
+          ? 'Borrower identity revealed due to loan default - escrowed identity package decrypted'
+          : 'Borrower identity revealed due to loan default - trustees have not released enough shares for the identity package yet'
     });
     
   } catch (error) {
@@ -1102,19 +1047,14 @@ router.get('/:loanId/reveal/:commitment', async (req, res) => {
 // REMOVED: /identity-by-activity endpoint. All commitment lookups must be on-chain only.
 
 /**
- * NEW ENDPOINT: Get all applications for a specific loan by scanning known commitments
- * This endpoint discovers applications by:
- * 1. Collecting all known commitments from the commitment cache
- * 2. Testing each commitment against the target loan
- * 3. Returning applications with their VISIBLE permanent identity commitments
- * 
- * This solves the visibility issue where lenders couldn't see borrower identities
+ * Get all applications for a specific loan with their VISIBLE permanent identity commitments
+ * Reads from the LoanEscrowZK event index instead of probing get_application per known commitment
  */
-router.get('/:loanId/applications/scan', async (req, res) => {
+router.get('/:loanId/applications/scan', requireAuth.public, async (req, res) => {
   try {
     const { loanId } = req.params;
     
-    logger.info(`🔎 [NEW-SCAN] Starting application scan for loan #${loanId}`);
+    logger.info(`🔎 [INDEX-SCAN] Reading applications for loan #${loanId}`);
 
     // Step 1: Get loan details and verify it exists
     const { low: loanLow, high: loanHigh } = uint256.bnToUint256(BigInt(loanId));
@@ -1135,102 +1075,34 @@ router.get('/:loanId/applications/scan', async (req, res) => {
       status: Number(loanRawResult.result[10])
     };
     
-    logger.info(`✅ [NEW-SCAN] Loan #${loanId} found`, { 
+    logger.info(`✅ [INDEX-SCAN] Loan #${loanId} found`, { 
       lender: loanDetails.lender.slice(0, 20) + '...',
       filled_slots: loanDetails.filled_slots,
       total_slots: loanDetails.total_slots
     });
 
-    // Step 2: Get all known commitments from cache
-    const knownCommitments = commitmentCache.getAllCommitments();
-    logger.info(`📊 [NEW-SCAN] Testing ${knownCommitments.length} known commitments from cache`);
-    
-    if (knownCommitments.length === 0) {
-      logger.warn(`⚠️ [NEW-SCAN] No commitments in cache yet. Commitments are added when borrowers generate proofs.`);
-    }
-
-    // Step 3: Test each commitment against this loan
+    // Step 2: Read every indexed application for this loan
+    const index = getEventIndex();
     const applications = [];
-    
-    for (const commitment of knownCommitments) {
-      try {
-        // Also try truncated version for backwards compatibility
-        const commitmentVariants = [commitment];
-        if (commitment.length === 66) { // 0x + 64 hex chars
-          const truncated = '0x' + commitment.slice(2, 65);
-          commitmentVariants.push(truncated);
-        }
 
-        for (const commitmentVariant of commitmentVariants) {
-          try {
-            const appRawResult = await provider.callContract({
-              contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-              entrypoint: 'get_application',
-              calldata: [loanLow, loanHigh, commitmentVariant]
-            });
-            
-            // Parse Application struct
-            const appDetails = {
-              borrower: appRawResult.result[0],
-              commitment: appRawResult.result[1],
-              proof_hash: appRawResult.result[2],
-              status: Number(appRawResult.result[3]),
-              applied_at: Number(appRawResult.result[4]),
-              approved_at: Number(appRawResult.result[5]),
-              repaid_at: Number(appRawResult.result[6]),
-              repayment_deadline: Number(appRawResult.result[7])
-            };
-
-            // If borrower is not zero address, we found an application!
-            if (appDetails.borrower !== '0x0' && appDetails.borrower) {
-              logger.info(`✅ [NEW-SCAN] Found application from commitment ${commitmentVariant.slice(0, 20)}...!`, {
-                borrower: appDetails.borrower.slice(0, 20) + '...',
-                status: appDetails.status
-              });
-
-              // Get activity score
-              let activityScore = 0;
-              try {
-                const scoreResult = await provider.callContract({
-                  contractAddress: ACTIVITY_VERIFIER_ADDRESS,
-                  entrypoint: 'get_proof_score',
-                  calldata: [appDetails.proof_hash]
-                });
-                activityScore = uint256.uint256ToBN({ 
-                  low: scoreResult.result[0], 
-                  high: scoreResult.result[1] 
-                }).toString();
-              } catch (scoreError) {
-                logger.warn(`Could not fetch activity score for ${appDetails.proof_hash}`);
-              }
-
-              applications.push({
-                loanId,
-                borrowerAddress: appDetails.borrower,
-                permanentIdentity: commitmentVariant, // THIS IS WHAT LENDERS SEE!
-                proofHash: appDetails.proof_hash,
-                activityScore,
-                status: appDetails.status === 0 ? 'pending' : appDetails.status === 1 ? 'approved' : 'repaid',
-                appliedAt: new Date(appDetails.applied_at * 1000).toISOString(),
-                approvedAt: appDetails.approved_at > 0 ? new Date(appDetails.approved_at * 1000).toISOString() : null,
-                repaymentDeadline: appDetails.repayment_deadline > 0 ? new Date(appDetails.repayment_deadline * 1000).toISOString() : null
-              });
-
-              // Cache the loan->commitment mapping for future
-              commitmentCache.addCommitment(commitmentVariant, loanId);
-              
-              break; // Found it, no need to try other variants
-            }
-          } catch (err) {
-            // Silent fail - commitment doesn't have application for this loan
-          }
-        }
-      } catch (err) {
-        // Silent fail for individual commitment tests
-      }
+    for (const app of index.getApplicationsForLoan(loanId)) {
+      applications.push({
+        loanId,
+        borrowerAddress: app.borrower,
+        permanentIdentity: app.commitment, // THIS IS WHAT LENDERS SEE!
+        proofHash: app.proofHash,
+        activityScore: await getProofScore(app.proofHash),
+        status: app.status,
+        appliedAt: app.appliedAt,
+        approvedAt: app.approvedAt,
+        repaymentDeadline: app.repaymentDeadline
+      });
+
+      // Keep the commitment cache warm for other consumers
+      commitmentCache.addCommitment(app.commitment, loanId);
     }
     
-    logger.info(`✅ [NEW-SCAN] Found ${applications.length} applications for loan #${loanId}`);
+    logger.info(`✅ [INDEX-SCAN] Found ${applications.length} applications for loan #${loanId}`);
 
     // Return applications with visible permanent identities
     res.json({
@@ -1246,14 +1118,31 @@ router.get('/:loanId/applications/scan', async (req, res) => {
         status: loanDetails.status === 0 ? 'active' : loanDetails.status === 1 ? 'funded' : 'cancelled'
       },
       applications,
-      cacheInfo: {
-        totalKnownCommitments: knownCommitments.length,
+      indexInfo: {
+        indexedThroughBlock: index.getCursor()?.blockNumber ?? null,
         applicationsFound: applications.length,
-        message: 'Commitments are cached when borrowers generate ZK proofs'
+        message: 'Applications are read from the LoanEscrowZK event index'
       }
     });
   } catch (error) {
-    logger.error('❌ [NEW-SCAN] Error:', { error: error.message, stack: error.stack });
+    logger.error('❌ [INDEX-SCAN] Error:', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get LoanEscrowZK event indexer status
+ */
+router.get('/index/status', requireAuth.public, async (req, res) => {
+  try {
+    getEventIndex();
+    res.json({
+      success: true,
+      indexer: escrowIndexer.getStatus(),
+      deadlines: deadlineScheduler.getStatus()
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching indexer status:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -1262,7 +1151,7 @@ router.get('/:loanId/applications/scan', async (req, res) => {
  * NEW ENDPOINT: Get commitment cache statistics
  * Useful for debugging and monitoring
  */
-router.get('/cache/stats', async (req, res) => {
+router.get('/cache/stats', requireAuth.admin, async (req, res) => {
   try {
     const stats = commitmentCache.getStats();
     
@@ -1,29 +1,60 @@
 const express = require('express');
 const router = express.Router();
 const payrollController = require('../controllers/payrollController');
+const { requireAuth } = require('../middleware/auth');
 
 // Start Plaid OAuth flow
-router.post('/plaid/start', payrollController.startPlaidOAuth.bind(payrollController));
+router.post('/plaid/start', requireAuth.public, payrollController.startPlaidOAuth.bind(payrollController));
 
-// Handle Plaid callback
-router.post('/plaid/callback', payrollController.plaidCallback.bind(payrollController));
+// Handle Plaid callback (signed by the wallet the attestation is linked to)
+router.post('/plaid/callback', requireAuth.wallet({ walletField: 'walletAddress' }), payrollController.plaidCallback.bind(payrollController));
 
-// Get Plaid income attestation
-router.post('/plaid/income', payrollController.getPlaidIncome.bind(payrollController));
+// Get Plaid income attestation (signed by the wallet the attestation is linked to)
+router.post('/plaid/income', requireAuth.wallet({ walletField: 'walletAddress' }), payrollController.getPlaidIncome.bind(payrollController));
 
-// Get ADP income attestation
-router.post('/adp/income', payrollController.getADPIncome.bind(payrollController));
+// Get ADP income attestation (signed by the wallet the attestation is linked to)
+router.post('/adp/income', requireAuth.wallet({ walletField: 'walletAddress' }), payrollController.getADPIncome.bind(payrollController));
 
 // Register custom employer API
-router.post('/custom/register', payrollController.registerEmployer.bind(payrollController));
+router.post('/custom/register', requireAuth.admin, payrollController.registerEmployer.bind(payrollController));
 
-// Get custom income attestation
-router.post('/custom/income', payrollController.getCustomIncome.bind(payrollController));
+// Get custom income attestation (signed by the wallet the attestation is linked to)
+router.post('/custom/income', requireAuth.wallet({ walletField: 'walletAddress' }), payrollController.getCustomIncome.bind(payrollController));
 
-// Receive webhook
-router.post('/webhook', payrollController.receiveWebhook.bind(payrollController));
+// Receive webhook (public: each provider signs its deliveries, see payrollWebhookService)
+router.post('/webhook/:provider/:employerId?', requireAuth.public, payrollController.receiveWebhook.bind(payrollController));
 
-// Validate attestation
-router.post('/validate', payrollController.validateAttestation.bind(payrollController));
+// List received webhook events
+router.get('/webhook/events', requireAuth.admin, payrollController.listWebhookEvents.bind(payrollController));
+
+// Register or rotate a payroll oracle key
+router.post('/oracles', requireAuth.admin, payrollController.registerOracle.bind(payrollController));
+
+// List payroll oracles
+router.get('/oracles', requireAuth.public, payrollController.listOracles.bind(payrollController));
+
+// Revoke a payroll oracle key
+router.post('/oracles/:oracleId/revoke', requireAuth.admin, payrollController.revokeOracle.bind(payrollController));
+
+// Receive a signed oracle attestation (public: verified against the oracle's registered key)
+router.post('/attestations', requireAuth.public, payrollController.receiveAttestation.bind(payrollController));
+
+// Revoke an oracle attestation
+router.post('/attestations/:attestationHash/revoke', requireAuth.admin, payrollController.revokeAttestation.bind(payrollController));
+
+// Validate attestation and return its verification chain
+router.post('/validate', requireAuth.public, payrollController.validateAttestation.bind(payrollController));
+
+// Income attestations the wallet can prove from (includes the attested income)
+router.post('/income-proof/attestations', requireAuth.wallet({ walletField: 'walletAddress' }), payrollController.listProvableAttestations.bind(payrollController));
+
+// Submit a browser-generated income proof
+router.post('/income-proof/submit', requireAuth.wallet({ walletField: 'walletAddress' }), payrollController.submitIncomeProof.bind(payrollController));
+
+// Generate an income proof server-side (opt-in fallback)
+router.post('/income-proof/generate', requireAuth.wallet({ walletField: 'walletAddress' }), payrollController.generateIncomeProof.bind(payrollController));
+
+// Income proofs recorded for a wallet (no income revealed)
+router.get('/income-proof/:walletAddress', requireAuth.public, payrollController.listIncomeProofs.bind(payrollController));
 
 module.exports = router;
@@ -1,23 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const proofController = require('../controllers/proofController');
+const { requireAuth } = require('../middleware/auth');
 
 // Prepare proof inputs
-router.post('/prepare-inputs', proofController.prepareProofInputs.bind(proofController));
+router.post('/prepare-inputs', requireAuth.public, proofController.prepareProofInputs.bind(proofController));
 
-// Generate ZK proof (server-side - use with caution)
-router.post('/generate', proofController.generateProof.bind(proofController));
+// Generate ZK proof (server-side fallback, requires serverProvingConsent)
+router.post('/generate', requireAuth.wallet({ walletField: 'walletAddress' }), proofController.generateProof.bind(proofController));
+
+// Submit a browser-generated proof (proof + public signals only)
+router.post('/submit', requireAuth.wallet({ walletField: 'walletAddress' }), proofController.submitProof.bind(proofController));
+
+// Circuit files and snarkjs bundle for in-browser proving
+router.get('/artifacts/:name', requireAuth.public, proofController.getProverArtifact.bind(proofController));
 
 // Verify ZK proof
-router.post('/verify', proofController.verifyProof.bind(proofController));
+router.post('/verify', requireAuth.public, proofController.verifyProof.bind(proofController));
+
+// Verify ZK proof and attest it on-chain (the attester pays gas, so only the proof's own
+// wallet, public signal 4, may ask for it)
+router.post('/attest', requireAuth.wallet({ walletField: 'publicSignals.4' }), proofController.attestProof.bind(proofController));
+
+// Activity score derived in-circuit from committed metrics (activityAuth)
+router.post('/activity-auth/generate', requireAuth.public, proofController.generateActivityAuthProof.bind(proofController));
+router.post('/activity-auth/verify', requireAuth.public, proofController.verifyActivityAuthProof.bind(proofController));
 
 // Generate commitment
-router.post('/commitment', proofController.generateCommitment.bind(proofController));
+router.post('/commitment', requireAuth.public, proofController.generateCommitment.bind(proofController));
 
 // Get proof status from blockchain
-router.get('/status/:proofHash', proofController.getProofStatus.bind(proofController));
+router.get('/status/:proofHash', requireAuth.public, proofController.getProofStatus.bind(proofController));
 
 // Hash proof for on-chain storage
-router.post('/hash', proofController.hashProof.bind(proofController));
+router.post('/hash', requireAuth.public, proofController.hashProof.bind(proofController));
 
 module.exports = router;
@@ -0,0 +1,48 @@
+/**
+ * Borrower Reputation Routes
+ * Credit history across loans, keyed by the borrower's permanent commitment
+ */
+
+const express = require('express');
+const reputationService = require('../services/reputationService');
+const logger = require('../utils/logger');
+const { requireAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/reputation/:commitment
+ * Aggregate counts only: applications, loans taken, active, repaid on time, repaid late,
+ * defaulted and revealed. No loan ids, lenders, amounts or dates are returned.
+ */
+router.get('/:commitment', requireAuth.public, async (req, res) => {
+  try {
+    const { commitment } = req.params;
+
+    try {
+      BigInt(commitment);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Commitment must be a hex or decimal felt'
+      });
+    }
+
+    logger.info(`📒 Fetching reputation for commitment: ${commitment.slice(0, 20)}...`);
+
+    const reputation = await reputationService.getReputation(commitment);
+
+    res.json({
+      success: true,
+      ...reputation
+    });
+  } catch (error) {
+    logger.error('❌ Error fetching reputation:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,10 @@ require('dotenv').config();
 const app = require('./index');
 const logger = require('./utils/logger');
 const eventWatcher = require('./workers/eventWatcher');
+const escrowIndexer = require('./workers/escrowIndexer');
+const deadlineScheduler = require('./workers/deadlineScheduler');
+const loanMonitor = require('./services/loanMonitor');
+const db = require('./db');
 
 const PORT = process.env.PORT || 3000;
 
@@ -25,6 +29,16 @@ if (process.env.NODE_ENV !== 'test') {
   eventWatcher.start().catch(err => {
     logger.error('Event watcher failed to start', { error: err.message });
   });
+
+  escrowIndexer.start().catch(err => {
+    logger.error('Escrow indexer failed to start', { error: err.message });
+  });
+
+  deadlineScheduler.start().catch(err => {
+    logger.error('Deadline scheduler failed to start', { error: err.message });
+  });
+
+  loanMonitor.resume();
 }
 
 // Graceful shutdown
@@ -33,6 +47,9 @@ process.on('SIGTERM', () => {
   server.close(() => {
     logger.info('Server closed');
     eventWatcher.stop();
+    escrowIndexer.stop();
+    deadlineScheduler.stop();
+    db.close();
     process.exit(0);
   });
 });
@@ -42,6 +59,9 @@ process.on('SIGINT', () => {
   server.close(() => {
     logger.info('Server closed');
     eventWatcher.stop();
+    escrowIndexer.stop();
+    deadlineScheduler.stop();
+    db.close();
     process.exit(0);
   });
 });
@@ -0,0 +1,142 @@
+/**
+ * Activity Block Cache
+ *
+ * Per-wallet, per-token record of block ranges already scanned for Transfer events,
+ * together with the wallet's transfers found in them. Repeat activity requests only
+ * scan the blocks that are not covered yet, and an interrupted scan resumes from the
+ * last completed window.
+ *
+ * Transfers are stored raw (amounts in the token's smallest unit); formatting and
+ * USD conversion happen when they are read so price updates apply to cached data.
+ * The oldest transfer seen for a wallet across tokens is kept as well, so its age can be
+ * read without scanning again (eligibility policies check it for every applicant).
+ * Stored in SQLite (activityBlockCacheRepository); each scanned window is saved in one
+ * transaction together with its transfers.
+ */
+
+const activityBlockCacheRepository = require('../repositories/activityBlockCacheRepository');
+
+/**
+ * Normalize an address to lowercase 0x-prefixed hex without leading zeros
+ * @param {string} address - Address (hex or decimal string)
+ * @returns {string} Normalized address
+ */
+function normalizeAddress(address) {
+  return '0x' + BigInt(address).toString(16);
+}
+
+/**
+ * Merge overlapping or adjacent [from, to] ranges
+ * @param {Array<Array<number>>} ranges - Inclusive block ranges
+ * @returns {Array<Array<number>>} Sorted, merged ranges
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .map(([from, to]) => [from, to])
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+  }
+  return merged;
+}
+
+class ActivityBlockCache {
+  /**
+   * Scanned ranges for a wallet and token
+   * @param {string} walletAddress - Wallet address
+   * @param {string} tokenAddress - Token contract address
+   * @returns {Array<Array<number>>} Inclusive [from, to] ranges, oldest first
+   */
+  getRanges(walletAddress, tokenAddress) {
+    return activityBlockCacheRepository.findRanges(normalizeAddress(walletAddress), normalizeAddress(tokenAddress));
+  }
+
+  /**
+   * Block ranges inside [fromBlock, toBlock] that have not been scanned yet
+   * @returns {Array<Array<number>>} Inclusive gaps, oldest first
+   */
+  getMissingRanges(walletAddress, tokenAddress, fromBlock, toBlock) {
+    const ranges = this.getRanges(walletAddress, tokenAddress);
+    const gaps = [];
+    let next = fromBlock;
+
+    for (const [from, to] of ranges) {
+      if (to < next) continue;
+      if (from > toBlock) break;
+      if (from > next) {
+        gaps.push([next, Math.min(from - 1, toBlock)]);
+      }
+      next = Math.max(next, to + 1);
+    }
+    if (next <= toBlock) {
+      gaps.push([next, toBlock]);
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Record a fully scanned range and the wallet's transfers found in it
+   * @param {string} walletAddress - Wallet address
+   * @param {string} tokenAddress - Token contract address
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   * @param {Array<object>} transfers - Raw transfers { type, txHash, blockNumber, from, to, amount }
+   */
+  addRange(walletAddress, tokenAddress, fromBlock, toBlock, transfers) {
+    const ranges = mergeRanges([...this.getRanges(walletAddress, tokenAddress), [fromBlock, toBlock]]);
+    activityBlockCacheRepository.saveScan(normalizeAddress(walletAddress), normalizeAddress(tokenAddress), ranges, transfers);
+  }
+
+  /**
+   * Cached transfers inside [fromBlock, toBlock]
+   * @returns {Array<object>} Raw transfers
+   */
+  getTransfers(walletAddress, tokenAddress, fromBlock, toBlock) {
+    return activityBlockCacheRepository.findTransfers(
+      normalizeAddress(walletAddress), normalizeAddress(tokenAddress), fromBlock, toBlock
+    );
+  }
+
+  /**
+   * Number of cached blocks inside [fromBlock, toBlock]
+   * @returns {number} Block count
+   */
+  getCoverage(walletAddress, tokenAddress, fromBlock, toBlock) {
+    return this.getRanges(walletAddress, tokenAddress).reduce((count, [from, to]) => {
+      const overlap = Math.min(to, toBlock) - Math.max(from, fromBlock) + 1;
+      return count + Math.max(0, overlap);
+    }, 0);
+  }
+
+  /**
+   * Oldest transfer recorded for a wallet
+   * @param {string} walletAddress - Wallet address
+   * @returns {object|null} { firstBlock, firstSeenAt, scannedAt } (first* null if the wallet
+   *   was scanned without transfers), null if it was never scanned
+   */
+  getFirstSeen(walletAddress) {
+    return activityBlockCacheRepository.findFirstSeen(normalizeAddress(walletAddress));
+  }
+
+  /**
+   * Record a completed activity scan of a wallet; an older first transfer already on record is kept
+   * @param {string} walletAddress - Wallet address
+   * @param {number|null} firstBlock - Block of the oldest transfer found, null if none
+   * @param {number|null} firstSeenAt - Unix time of that block
+   */
+  recordFirstSeen(walletAddress, firstBlock, firstSeenAt) {
+    activityBlockCacheRepository.saveFirstSeen(
+      normalizeAddress(walletAddress), firstBlock, firstSeenAt, Math.floor(Date.now() / 1000)
+    );
+  }
+}
+
+module.exports = new ActivityBlockCache();
@@ -11,19 +11,16 @@
  * 3. Manual addition when borrowers generate proofs
  * 
  * This allows lenders to see WHO applied to their loans by their commitment hash.
+ *
+ * Persisted in the known_commitments / loan_commitments tables
+ * (see repositories/commitmentCacheRepository), so it survives restarts.
  */
 
 const logger = require('../utils/logger');
+const commitmentCacheRepository = require('../repositories/commitmentCacheRepository');
 
 class CommitmentCacheService {
   constructor() {
-    // In-memory cache: Set of known commitments
-    // In production, use Redis or database
-    this.knownCommitments = new Set();
-    
-    // Map: loan_id -> Set of commitments
-    this.loanApplications = new Map();
-    
     logger.info('💾 Commitment Cache Service initialized');
   }
 
@@ -39,20 +36,13 @@ class CommitmentCacheService {
 
     // Normalize commitment (ensure 0x prefix)
     const normalizedCommitment = commitment.startsWith('0x') ? commitment : `0x${commitment}`;
-    
-    // Add to global known commitments
-    if (!this.knownCommitments.has(normalizedCommitment)) {
-      this.knownCommitments.add(normalizedCommitment);
+    const loanIdStr = loanId ? loanId.toString() : null;
+
+    const { isNew, linked } = commitmentCacheRepository.add(normalizedCommitment, loanIdStr);
+    if (isNew) {
       logger.info(`✅ [CACHE] New commitment added: ${normalizedCommitment.slice(0, 20)}...`);
     }
-
-    // If loan ID provided, add to loan-specific mapping
-    if (loanId) {
-      const loanIdStr = loanId.toString();
-      if (!this.loanApplications.has(loanIdStr)) {
-        this.loanApplications.set(loanIdStr, new Set());
-      }
-      this.loanApplications.get(loanIdStr).add(normalizedCommitment);
+    if (linked) {
       logger.info(`✅ [CACHE] Commitment linked to loan #${loanIdStr}`);
     }
   }
@@ -72,7 +62,7 @@ class CommitmentCacheService {
    * @returns {Array<string>} Array of all known commitment hashes
    */
   getAllCommitments() {
-    return Array.from(this.knownCommitments);
+    return commitmentCacheRepository.findAll();
   }
 
   /**
@@ -81,9 +71,7 @@ class CommitmentCacheService {
    * @returns {Array<string>} Array of commitments that applied to this loan
    */
   getCommitmentsForLoan(loanId) {
-    const loanIdStr = loanId.toString();
-    const commitments = this.loanApplications.get(loanIdStr);
-    return commitments ? Array.from(commitments) : [];
+    return commitmentCacheRepository.findByLoan(loanId.toString());
   }
 
   /**
@@ -93,7 +81,7 @@ class CommitmentCacheService {
    */
   hasCommitment(commitment) {
     const normalizedCommitment = commitment.startsWith('0x') ? commitment : `0x${commitment}`;
-    return this.knownCommitments.has(normalizedCommitment);
+    return commitmentCacheRepository.has(normalizedCommitment);
   }
 
   /**
@@ -102,9 +90,8 @@ class CommitmentCacheService {
    */
   getStats() {
     return {
-      totalCommitments: this.knownCommitments.size,
-      loansWithApplications: this.loanApplications.size,
-      commitmentsList: Array.from(this.knownCommitments).map(c => c.slice(0, 20) + '...')
+      ...commitmentCacheRepository.getCounts(),
+      commitmentsList: commitmentCacheRepository.findAll().map(c => c.slice(0, 20) + '...')
     };
   }
 
@@ -112,8 +99,7 @@ class CommitmentCacheService {
    * Clear cache (for testing or reset)
    */
   clear() {
-    this.knownCommitments.clear();
-    this.loanApplications.clear();
+    commitmentCacheRepository.clear();
     logger.info('🗑️ [CACHE] Cache cleared');
   }
 }
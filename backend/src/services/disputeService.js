@@ -0,0 +1,468 @@
+const crypto = require('crypto');
+const { RpcProvider, uint256, typedData } = require('starknet');
+const thresholds = require('../config/thresholds');
+const disputeRepository = require('../repositories/disputeRepository');
+const { buildTypedData, normalizeSignature, verifyTypedDataSignature } = require('../utils/starknetSignature');
+const logger = require('../utils/logger');
+
+const MAX_REASON_LENGTH = 500;
+const MAX_NOTE_LENGTH = 1000;
+const DECISIONS = ['upheld', 'rejected'];
+
+const OPEN_DISPUTE_FIELDS = [
+  { name: 'loanId', type: 'u128' },
+  { name: 'commitment', type: 'felt' },
+  { name: 'reason', type: 'string' },
+  { name: 'evidenceHash', type: 'felt' },
+  { name: 'issuedAt', type: 'timestamp' }
+];
+
+const RESOLVE_DISPUTE_FIELDS = [
+  { name: 'disputeId', type: 'felt' },
+  { name: 'decision', type: 'shortstring' },
+  { name: 'note', type: 'string' },
+  { name: 'issuedAt', type: 'timestamp' }
+];
+
+/**
+ * Error with an HTTP status for the dispute routes
+ */
+function disputeError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize a felt to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeFelt(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+/**
+ * Borrower disputes of a default, before shares are collected and the identity revealed.
+ *
+ * The borrower opens a dispute inside the dispute window by signing (SNIP-12) with the
+ * wallet that made the application, attaching evidence such as a repayment tx hash.
+ * The lender of the loan resolves it, also by signature:
+ *   open      share collection and reveal are blocked
+ *   upheld    lender accepts the borrower's claim; collection and reveal stay blocked
+ *   rejected  default stands; collection and reveal proceed
+ *
+ * Every state change is appended to the dispute's history and logged. Disputes are stored
+ * in SQLite (disputeRepository); a unique index on the history's message hashes and a
+ * partial unique index on active disputes back up the checks made here.
+ */
+class DisputeService {
+  constructor() {
+    this.escrowAddress = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+    this.provider = new RpcProvider({
+      nodeUrl: process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7'
+    });
+    this.disputeWindowSeconds = thresholds.dispute.windowSeconds;
+    this.signatureMaxAge = thresholds.dispute.signatureMaxAge;
+    this.chainId = null;
+  }
+
+  /**
+   * Chain id of the configured network (cached)
+   */
+  async getChainId() {
+    if (!this.chainId) {
+      this.chainId = await this.provider.getChainId();
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Current chain time (latest block timestamp)
+   */
+  async getChainTime() {
+    const block = await this.provider.getBlock('latest');
+    return Number(block.timestamp);
+  }
+
+  /**
+   * Read an application, its loan's lender and its default time from LoanEscrowZK
+   * @returns {Promise<object|null>} Application, or null if none exists
+   */
+  async getApplication(loanId, commitment) {
+    const { low, high } = uint256.bnToUint256(BigInt(loanId));
+    const [app, loan] = await Promise.all([
+      this.provider.callContract({
+        contractAddress: this.escrowAddress,
+        entrypoint: 'get_application',
+        calldata: [low, high, commitment]
+      }),
+      this.provider.callContract({
+        contractAddress: this.escrowAddress,
+        entrypoint: 'get_loan_details',
+        calldata: [low, high]
+      })
+    ]);
+
+    const result = app.result;
+    if (BigInt(result[0]) === 0n) {
+      return null;
+    }
+
+    const status = Number(result[3]);
+    let defaultedAt = 0;
+    if (status === 3) {
+      const defaulted = await this.provider.callContract({
+        contractAddress: this.escrowAddress,
+        entrypoint: 'get_defaulted_at',
+        calldata: [low, high, commitment]
+      });
+      defaultedAt = Number(defaulted.result[0]);
+    }
+
+    return {
+      borrower: normalizeFelt(result[0]),
+      lender: normalizeFelt(loan.result[0]),
+      status,
+      repaymentDeadline: Number(result[7]),
+      totalDue: uint256.uint256ToBN({ low: result[8], high: result[9] }),
+      amountRepaid: uint256.uint256ToBN({ low: result[10], high: result[11] }),
+      defaultedAt
+    };
+  }
+
+  /**
+   * Validate the borrower's reason and evidence
+   * @param {string} reason - Why the default is disputed
+   * @param {object} evidence - { repaymentTxHash, note }
+   * @returns {object} { reason, evidence }
+   */
+  normalizeClaim(reason, evidence = {}) {
+    if (typeof reason !== 'string' || !reason.trim()) {
+      throw disputeError(400, 'reason is required');
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      throw disputeError(400, `reason must be at most ${MAX_REASON_LENGTH} characters`);
+    }
+
+    const normalized = {};
+    if (evidence.repaymentTxHash) {
+      try {
+        normalized.repaymentTxHash = normalizeFelt(evidence.repaymentTxHash);
+      } catch (parseError) {
+        throw disputeError(400, 'evidence.repaymentTxHash must be a transaction hash');
+      }
+    }
+    if (evidence.note) {
+      if (typeof evidence.note !== 'string' || evidence.note.length > MAX_NOTE_LENGTH) {
+        throw disputeError(400, `evidence.note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+      }
+      normalized.note = evidence.note;
+    }
+
+    return { reason: reason.trim(), evidence: normalized };
+  }
+
+  /**
+   * Evidence hash signed by the borrower: sha256 of the canonical JSON, shifted to fit a felt252
+   * @param {object} evidence - Normalized evidence
+   * @returns {string} Hash (hex)
+   */
+  hashEvidence(evidence) {
+    const canonical = JSON.stringify({ repaymentTxHash: evidence.repaymentTxHash || null, note: evidence.note || null });
+    const digest = crypto.createHash('sha256').update(canonical).digest('hex');
+    return '0x' + (BigInt('0x' + digest) >> 6n).toString(16);
+  }
+
+  /**
+   * Typed data the borrower signs to open a dispute
+   * @param {object} params - { loanId, commitment, reason, evidence, issuedAt }
+   * @returns {Promise<object>} { typedData, issuedAt, evidenceHash }
+   */
+  async buildOpenTypedData({ loanId, commitment, reason, evidence, issuedAt }) {
+    const claim = this.normalizeClaim(reason, evidence);
+    const evidenceHash = this.hashEvidence(claim.evidence);
+    const signedAt = issuedAt ? Number(issuedAt) : Math.floor(Date.now() / 1000);
+
+    return {
+      typedData: buildTypedData(await this.getChainId(), 'OpenDispute', OPEN_DISPUTE_FIELDS, {
+        loanId: BigInt(loanId).toString(),
+        commitment: normalizeFelt(commitment),
+        reason: claim.reason,
+        evidenceHash,
+        issuedAt: signedAt
+      }),
+      issuedAt: signedAt,
+      evidenceHash
+    };
+  }
+
+  /**
+   * Typed data the lender signs to resolve a dispute
+   * @param {object} params - { disputeId, decision, note, issuedAt }
+   * @returns {Promise<object>} { typedData, issuedAt }
+   */
+  async buildResolveTypedData({ disputeId, decision, note, issuedAt }) {
+    if (!DECISIONS.includes(decision)) {
+      throw disputeError(400, `decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+    if (note && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      throw disputeError(400, `note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+    }
+    const signedAt = issuedAt ? Number(issuedAt) : Math.floor(Date.now() / 1000);
+
+    return {
+      typedData: buildTypedData(await this.getChainId(), 'ResolveDispute', RESOLVE_DISPUTE_FIELDS, {
+        disputeId,
+        decision,
+        note: note || '',
+        issuedAt: signedAt
+      }),
+      issuedAt: signedAt
+    };
+  }
+
+  /**
+   * Reject stale or future-dated signatures
+   * @param {number} issuedAt - Unix seconds from the signed message
+   */
+  checkFreshness(issuedAt) {
+    const now = Math.floor(Date.now() / 1000);
+    const skew = thresholds.proof.maxClockSkew / 1000;
+    if (!Number.isInteger(issuedAt) || issuedAt > now + skew || now - issuedAt > this.signatureMaxAge) {
+      throw disputeError(401, 'Signature expired or issuedAt is invalid, sign again');
+    }
+  }
+
+  /**
+   * Check a signature and make sure it has not been used before
+   * @returns {Promise<string>} Message hash
+   */
+  async checkSignature(signer, data, signature) {
+    const messageHash = normalizeFelt(typedData.getMessageHash(data, signer));
+    this.assertSignatureUnused(messageHash);
+
+    let felts;
+    try {
+      felts = normalizeSignature(signature);
+    } catch (error) {
+      throw disputeError(400, error.message);
+    }
+    if (!(await verifyTypedDataSignature(this.provider, signer, data, felts))) {
+      throw disputeError(401, 'Invalid signature');
+    }
+    return messageHash;
+  }
+
+  /**
+   * Throw if a signed message was already recorded in a dispute's history
+   * @param {string} messageHash - Message hash
+   */
+  assertSignatureUnused(messageHash) {
+    if (disputeRepository.isMessageUsed(messageHash)) {
+      throw disputeError(409, 'Signature was already used');
+    }
+  }
+
+  /**
+   * Application's dispute that is still open or upheld
+   * @param {string} loanId - Loan ID (decimal string)
+   * @param {string} commitment - Normalized commitment
+   * @returns {object|null}
+   */
+  findActiveDispute(loanId, commitment) {
+    return disputeRepository.findAll({ loanId, commitment, statuses: ['open', 'upheld'] })[0] || null;
+  }
+
+  /**
+   * Write a dispute change; a unique index violation means a concurrent writer won
+   * @param {Function} write - Repository call
+   */
+  persist(write) {
+    try {
+      return write();
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw disputeError(409, 'Signature was already used or the application already has an active dispute');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Append a state change to a dispute's history and log it
+   */
+  recordChange(dispute, action, actor, details = {}) {
+    const entry = { action, actor, status: dispute.status, at: new Date().toISOString(), ...details };
+    dispute.history.push(entry);
+    dispute.updatedAt = entry.at;
+
+    logger.info(`⚖️ [DISPUTE] ${action}`, {
+      disputeId: dispute.id,
+      loanId: dispute.loanId,
+      commitment: dispute.commitment.slice(0, 20) + '...',
+      actor,
+      status: dispute.status
+    });
+  }
+
+  /**
+   * Status of a claimed repayment transaction, recorded as evidence for the lender
+   * @param {string} txHash - Transaction hash
+   * @returns {Promise<object>} { found, finalityStatus, executionStatus }
+   */
+  async checkRepaymentTx(txHash) {
+    try {
+      const receipt = await this.provider.getTransactionReceipt(txHash);
+      return {
+        found: true,
+        finalityStatus: receipt.finality_status || receipt.status || null,
+        executionStatus: receipt.execution_status || null
+      };
+    } catch (error) {
+      return { found: false, finalityStatus: null, executionStatus: null };
+    }
+  }
+
+  /**
+   * Open a dispute for a defaulted application
+   * @param {object} params - { loanId, commitment, reason, evidence, issuedAt, signature }
+   * @returns {Promise<object>} Dispute
+   */
+  async openDispute({ loanId, commitment, reason, evidence, issuedAt, signature }) {
+    const signedAt = Number(issuedAt);
+    this.checkFreshness(signedAt);
+
+    const application = await this.getApplication(loanId, commitment);
+    if (!application) {
+      throw disputeError(404, 'Application not found');
+    }
+
+    const chainTime = await this.getChainTime();
+    const overdue = application.status === 3 ||
+      (application.status === 1 && chainTime > application.repaymentDeadline);
+    if (!overdue || application.amountRepaid >= application.totalDue) {
+      throw disputeError(409, 'Only an overdue or defaulted loan can be disputed');
+    }
+
+    const windowEndsAt = (application.defaultedAt || application.repaymentDeadline) + this.disputeWindowSeconds;
+    if (chainTime >= windowEndsAt) {
+      throw disputeError(409, `Dispute window closed at ${new Date(windowEndsAt * 1000).toISOString()}`);
+    }
+
+    const ref = { loanId: BigInt(loanId).toString(), commitment: normalizeFelt(commitment) };
+    const assertNoActiveDispute = () => {
+      const existing = this.findActiveDispute(ref.loanId, ref.commitment);
+      if (existing) {
+        throw disputeError(409, `Application already has an ${existing.status} dispute (${existing.id})`);
+      }
+    };
+    assertNoActiveDispute();
+
+    const { typedData: data, evidenceHash } = await this.buildOpenTypedData({
+      loanId, commitment, reason, evidence, issuedAt: signedAt
+    });
+    const messageHash = await this.checkSignature(application.borrower, data, signature);
+
+    const claim = this.normalizeClaim(reason, evidence);
+    if (claim.evidence.repaymentTxHash) {
+      claim.evidence.repaymentTx = await this.checkRepaymentTx(claim.evidence.repaymentTxHash);
+    }
+
+    // Another request may have opened a dispute or used this signature while we awaited the chain
+    assertNoActiveDispute();
+    this.assertSignatureUnused(messageHash);
+
+    const now = new Date().toISOString();
+    const dispute = {
+      id: '0x' + crypto.randomBytes(16).toString('hex'),
+      key: `${ref.loanId}:${ref.commitment}`,
+      ...ref,
+      borrower: application.borrower,
+      lender: application.lender,
+      status: 'open',
+      reason: claim.reason,
+      evidence: claim.evidence,
+      evidenceHash,
+      windowEndsAt: new Date(windowEndsAt * 1000).toISOString(),
+      openedAt: now,
+      resolvedAt: null,
+      resolution: null,
+      history: [],
+      updatedAt: now
+    };
+    this.recordChange(dispute, 'opened', application.borrower, { messageHash, signedAt });
+
+    this.persist(() => disputeRepository.insert(dispute));
+    return dispute;
+  }
+
+  /**
+   * Resolve an open dispute as the loan's lender
+   * @param {string} disputeId - Dispute id
+   * @param {object} params - { decision, note, issuedAt, signature }
+   * @returns {Promise<object>} Dispute
+   */
+  async resolveDispute(disputeId, { decision, note, issuedAt, signature }) {
+    const signedAt = Number(issuedAt);
+    this.checkFreshness(signedAt);
+
+    const dispute = disputeRepository.find(disputeId);
+    if (!dispute) {
+      throw disputeError(404, 'Dispute not found');
+    }
+    if (dispute.status !== 'open') {
+      throw disputeError(409, `Dispute is already ${dispute.status}`);
+    }
+
+    const { typedData: data } = await this.buildResolveTypedData({ disputeId, decision, note, issuedAt: signedAt });
+    const messageHash = await this.checkSignature(dispute.lender, data, signature);
+
+    this.assertSignatureUnused(messageHash);
+
+    dispute.status = decision;
+    dispute.resolvedAt = new Date().toISOString();
+    dispute.resolution = { decision, note: note || null, resolvedBy: dispute.lender };
+    this.recordChange(dispute, 'resolved', dispute.lender, { decision, messageHash, signedAt });
+
+    // The update only applies while the dispute is open: a concurrent resolve may have
+    // landed while the signature was checked
+    if (!this.persist(() => disputeRepository.resolve(dispute))) {
+      throw disputeError(409, `Dispute is already ${disputeRepository.find(disputeId).status}`);
+    }
+    return dispute;
+  }
+
+  /**
+   * Get a dispute
+   * @param {string} disputeId - Dispute id
+   * @returns {Promise<object|null>} Dispute
+   */
+  async getDispute(disputeId) {
+    return disputeRepository.find(disputeId);
+  }
+
+  /**
+   * List disputes, optionally for one loan or application
+   * @param {object} filter - { loanId, commitment, status }
+   * @returns {Promise<Array<object>>} Disputes, newest first
+   */
+  async listDisputes(filter = {}) {
+    return disputeRepository.findAll({
+      loanId: filter.loanId ? BigInt(filter.loanId).toString() : undefined,
+      commitment: filter.commitment ? normalizeFelt(filter.commitment) : undefined,
+      statuses: filter.status ? [filter.status] : undefined
+    });
+  }
+
+  /**
+   * Dispute that blocks share collection and reveal for an application (open or upheld)
+   * @param {string} loanId - Loan ID
+   * @param {string} commitment - Application commitment
+   * @returns {Promise<object|null>} Blocking dispute
+   */
+  async getBlockingDispute(loanId, commitment) {
+    return this.findActiveDispute(BigInt(loanId).toString(), normalizeFelt(commitment));
+  }
+}
+
+// Export singleton instance
+module.exports = new DisputeService();
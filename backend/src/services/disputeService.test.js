@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ec, typedData, uint256 } = require('starknet');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dispute-service-test-'));
+process.env.DATABASE_FILE = path.join(dataDir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+
+const db = require('../db');
+const disputeService = require('./disputeService');
+
+const BORROWER = '0xb0b';
+const LENDER = '0x1e4d';
+const STRANGER = '0x5e7';
+const KEYS = {
+  [BORROWER]: '0x1234567890abcdef1234567890abcdef',
+  [LENDER]: '0xfedcba0987654321fedcba0987654321',
+  [STRANGER]: '0x0badc0ffee0badc0ffee0badc0ffee'
+};
+const DEFAULTED_AT = 1700000000;
+const LOAN_ID = '7';
+const COMMITMENT = '0xc0ffee';
+const OTHER_COMMITMENT = '0xc0ffef';
+
+/**
+ * Stand-in for the RPC provider: defaulted applications of one borrower and an account contract per key,
+ * whose is_valid_signature checks a Stark signature like an Argent or Braavos account
+ */
+function mockChain() {
+  const chain = { time: DEFAULTED_AT + 60, status: 3, amountRepaid: 0n };
+  disputeService.chainId = 'SN_SEPOLIA';
+  disputeService.provider = {
+    getBlock: jest.fn(async () => ({ timestamp: chain.time })),
+    getTransactionReceipt: jest.fn(async () => ({ finality_status: 'ACCEPTED_ON_L2', execution_status: 'SUCCEEDED' })),
+    callContract: jest.fn(async ({ contractAddress, entrypoint, calldata }) => {
+      switch (entrypoint) {
+        case 'get_application': {
+          const due = uint256.bnToUint256(110n);
+          const repaid = uint256.bnToUint256(chain.amountRepaid);
+          return {
+            result: [BORROWER, calldata[2], '0xf1', String(chain.status), '0', '0', '0', String(DEFAULTED_AT - 100),
+              due.low.toString(), due.high.toString(), repaid.low.toString(), repaid.high.toString()]
+          };
+        }
+        case 'get_loan_details':
+          return { result: [LENDER] };
+        case 'get_defaulted_at':
+          return { result: [String(DEFAULTED_AT)] };
+        case 'is_valid_signature': {
+          const [messageHash, , r, s] = calldata;
+          const publicKey = ec.starkCurve.getPublicKey(KEYS[contractAddress]);
+          const valid = ec.starkCurve.verify(new ec.starkCurve.Signature(BigInt(r), BigInt(s)), messageHash, publicKey);
+          return { result: [valid ? '0x56414c4944' : '0x0'] };
+        }
+        default:
+          throw new Error(`Unexpected call ${entrypoint}`);
+      }
+    })
+  };
+  return chain;
+}
+
+function sign(signer, data) {
+  const { r, s } = ec.starkCurve.sign(typedData.getMessageHash(data, signer), KEYS[signer]);
+  return ['0x' + r.toString(16), '0x' + s.toString(16)];
+}
+
+async function openRequest(signer = BORROWER, fields = {}) {
+  const claim = { loanId: LOAN_ID, commitment: COMMITMENT, reason: 'Repaid before the deadline', evidence: { repaymentTxHash: '0xabc' }, ...fields };
+  const { typedData: data, issuedAt } = await disputeService.buildOpenTypedData(claim);
+  return { ...claim, issuedAt, signature: sign(signer, data) };
+}
+
+async function resolveRequest(disputeId, decision, signer = LENDER) {
+  const { typedData: data, issuedAt } = await disputeService.buildResolveTypedData({ disputeId, decision, note: 'checked' });
+  return { decision, note: 'checked', issuedAt, signature: sign(signer, data) };
+}
+
+describe('disputeService', () => {
+  let chain;
+
+  beforeEach(() => {
+    chain = mockChain();
+  });
+
+  afterAll(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('refuses a dispute not signed by the borrower', async () => {
+    await expect(disputeService.openDispute(await openRequest(STRANGER))).rejects.toMatchObject({ status: 401 });
+    await expect(disputeService.getBlockingDispute(LOAN_ID, COMMITMENT)).resolves.toBeNull();
+  });
+
+  it('refuses stale or future-dated signatures', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const stale = await openRequest(BORROWER, { issuedAt: now - disputeService.signatureMaxAge - 1 });
+    const future = await openRequest(BORROWER, { issuedAt: now + 3600 });
+
+    await expect(disputeService.openDispute(stale)).rejects.toMatchObject({ status: 401 });
+    await expect(disputeService.openDispute(future)).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('refuses a dispute once the window has closed or the debt is settled', async () => {
+    chain.time = DEFAULTED_AT + disputeService.disputeWindowSeconds;
+    await expect(disputeService.openDispute(await openRequest())).rejects.toMatchObject({
+      status: 409,
+      message: expect.stringContaining('Dispute window closed')
+    });
+
+    chain.time = DEFAULTED_AT + 60;
+    chain.amountRepaid = 110n;
+    await expect(disputeService.openDispute(await openRequest())).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('opens a dispute signed by the borrower and blocks the reveal', async () => {
+    const dispute = await disputeService.openDispute(await openRequest());
+
+    expect(dispute).toMatchObject({ status: 'open', borrower: BORROWER, lender: LENDER, loanId: LOAN_ID, commitment: COMMITMENT });
+    expect(dispute.evidence.repaymentTx).toMatchObject({ found: true, executionStatus: 'SUCCEEDED' });
+    expect(dispute.windowEndsAt).toBe(new Date((DEFAULTED_AT + disputeService.disputeWindowSeconds) * 1000).toISOString());
+    expect((await disputeService.getBlockingDispute(LOAN_ID, COMMITMENT)).id).toBe(dispute.id);
+
+    await expect(disputeService.openDispute(await openRequest())).rejects.toMatchObject({
+      status: 409,
+      message: expect.stringContaining('already has an open dispute')
+    });
+  });
+
+  it('lets only the lender resolve, once', async () => {
+    const [dispute] = await disputeService.listDisputes({ loanId: LOAN_ID });
+
+    await expect(disputeService.resolveDispute(dispute.id, await resolveRequest(dispute.id, 'rejected', BORROWER)))
+      .rejects.toMatchObject({ status: 401 });
+
+    const request = await resolveRequest(dispute.id, 'upheld');
+    const resolved = await disputeService.resolveDispute(dispute.id, request);
+    expect(resolved).toMatchObject({ status: 'upheld', resolution: { decision: 'upheld', resolvedBy: LENDER } });
+    expect((await disputeService.getBlockingDispute(LOAN_ID, COMMITMENT)).status).toBe('upheld');
+
+    await expect(disputeService.resolveDispute(dispute.id, request)).rejects.toMatchObject({ status: 409 });
+    expect((await disputeService.getDispute(dispute.id)).history.map(entry => entry.action)).toEqual(['opened', 'resolved']);
+  });
+
+  it('unblocks the reveal when the lender rejects a dispute and refuses a replayed signature', async () => {
+    const request = await openRequest(BORROWER, { commitment: OTHER_COMMITMENT });
+    const dispute = await disputeService.openDispute(request);
+
+    await disputeService.resolveDispute(dispute.id, await resolveRequest(dispute.id, 'rejected'));
+    await expect(disputeService.getBlockingDispute(LOAN_ID, OTHER_COMMITMENT)).resolves.toBeNull();
+
+    await expect(disputeService.openDispute(request)).rejects.toMatchObject({
+      status: 409,
+      message: 'Signature was already used'
+    });
+  });
+});
@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const { findMrz } = require('../utils/mrz');
+const { encodeNationality } = require('../utils/nationalityTree');
 const Tesseract = require('tesseract.js');
 const sharp = require('sharp');
 const { PDFParse } = require('pdf-parse'); // ✅ v2 API
@@ -123,6 +125,16 @@ function dobToTimestamp(dobString) {
   return timestamp;
 }
 
+/**
+ * Normalize a date string to YYYY-MM-DD
+ * @param {string} dateString - Date from the form
+ * @returns {string|null} - ISO date, or null if not a date
+ */
+function toIsoDate(dateString) {
+  const date = new Date(dateString);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
 /**
  * Calculate age from timestamp
  * @param {number} dobTimestamp - DOB as Unix timestamp
@@ -262,7 +274,8 @@ async function parsePDFDocument(filePath) {
 
 /**
  * Extract identity information from parsed text
- * Searches for passport number, address, and DOB patterns
+ * Reads the machine-readable zone (MRZ) when present, and searches for passport number,
+ * address, and DOB patterns as a fallback
  * @param {Object} parsedData - Parsed document text
  * @returns {Object} - Extracted identity data
  */
@@ -276,9 +289,18 @@ function extractIdentityData(parsedData) {
     passportNumbers: [],
     addresses: [],
     dates: [],
-    names: []
+    names: [],
+    mrz: findMrz(lines.length > 0 ? lines : text.split('\n'))
   };
 
+  if (extracted.mrz) {
+    logger.info('🛂 MRZ found', {
+      format: extracted.mrz.format,
+      valid: extracted.mrz.valid,
+      errors: extracted.mrz.errors
+    });
+  }
+
   // Passport number patterns (various formats)
   const passportPatterns = [
     /\b[A-Z]{1,2}\d{6,9}\b/g,  // US: A12345678
@@ -460,6 +482,7 @@ function extractIdentityData(parsedData) {
   }
 
   logger.info('📋 Extraction results:', {
+    mrz: extracted.mrz ? extracted.mrz.format : null,
     passportNumbers: extracted.passportNumbers.length,
     dates: extracted.dates.length,
     addresses: extracted.addresses.length,
@@ -471,7 +494,10 @@ function extractIdentityData(parsedData) {
 
 /**
  * Validate user input against parsed document data
- * Ensures uploaded document matches provided information
+ * Ensures uploaded document matches provided information. Passport number, DOB and
+ * expiry are compared exactly against a valid MRZ when the document has one, and
+ * fuzzy-matched against the OCR text otherwise. An MRZ that fails its check digits
+ * rejects the document.
  * @param {Object} userInput - Data from form
  * @param {Object} extractedData - Data parsed from document
  * @param {number} minConfidence - Minimum OCR confidence (default: 60)
@@ -485,8 +511,12 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
     confidence: parsedData.confidence || 100,
     errors: [],
     warnings: [],
-    matches: {}
+    matches: {},
+    fieldConfidence: {},
+    mrz: null
   };
+  const ocrConfidence = Math.round(validationResult.confidence);
+  const mrz = extractedData.mrz;
 
   // Check OCR confidence
   if (parsedData.confidence && parsedData.confidence < minConfidence) {
@@ -495,8 +525,66 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
     );
   }
 
-  // Validate passport number with OCR-tolerant fuzzy matching
-  if (userInput.passportNumber) {
+  // ✅ STRICT VALIDATION: Machine-readable zone (check digits verified by utils/mrz)
+  if (mrz) {
+    validationResult.mrz = {
+      format: mrz.format,
+      valid: mrz.valid,
+      errors: mrz.errors,
+      documentCode: mrz.documentCode,
+      issuingState: mrz.issuingState,
+      nationality: mrz.nationality,
+      expiryDate: mrz.expiryDate
+    };
+
+    if (!mrz.valid) {
+      validationResult.errors.push(`MRZ validation failed: ${mrz.errors.join('; ')}`);
+      logger.error('❌ MRZ validation FAILED', { format: mrz.format, errors: mrz.errors });
+    } else {
+      validationResult.fieldConfidence = {
+        passportNumber: mrz.confidence.documentNumber,
+        dateOfBirth: mrz.confidence.dateOfBirth,
+        expiryDate: mrz.confidence.expiryDate,
+        nationality: mrz.confidence.nationality
+      };
+
+      if (userInput.passportNumber) {
+        const inputPassport = userInput.passportNumber.trim().toUpperCase().replace(/[\s-]/g, '');
+        if (inputPassport === mrz.documentNumber) {
+          validationResult.matches.passport = true;
+        } else {
+          validationResult.errors.push(
+            `Passport number MISMATCH. Provided: ${inputPassport}, MRZ: ${mrz.documentNumber}`
+          );
+        }
+      }
+
+      if (userInput.dateOfBirth) {
+        if (toIsoDate(userInput.dateOfBirth) === mrz.dateOfBirth) {
+          validationResult.matches.dateOfBirth = true;
+        } else {
+          validationResult.errors.push(
+            `Date of birth MISMATCH. Input: ${userInput.dateOfBirth}, MRZ: ${mrz.dateOfBirth}`
+          );
+        }
+      }
+
+      if (userInput.expiryDate) {
+        if (toIsoDate(userInput.expiryDate) === mrz.expiryDate) {
+          validationResult.matches.expiryDate = true;
+        } else {
+          validationResult.errors.push(
+            `Expiry date MISMATCH. Input: ${userInput.expiryDate}, MRZ: ${mrz.expiryDate}`
+          );
+        }
+      }
+
+      logger.info('🛂 MRZ fields compared', { format: mrz.format, matches: validationResult.matches });
+    }
+  }
+
+  // Validate passport number with OCR-tolerant fuzzy matching (no MRZ)
+  if (userInput.passportNumber && !mrz) {
     const inputPassport = userInput.passportNumber.trim().toUpperCase().replace(/[\s-]/g, '');
     
     // Helper: Calculate Levenshtein distance for OCR errors
@@ -524,6 +612,7 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
              cleanExtracted.includes(inputPassport) || 
              inputPassport.includes(cleanExtracted);
     });
+    let matchDistance = 0;
 
     // If no exact match, try fuzzy matching (allow 1-2 OCR errors)
     if (!found) {
@@ -532,6 +621,7 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
         const cleanExtracted = extracted.toUpperCase().replace(/[\s-]/g, '');
         const distance = levenshtein(inputPassport, cleanExtracted);
         if (distance <= maxErrors) {
+          matchDistance = distance;
           logger.info('✅ Passport matched with fuzzy matching', { 
             input: inputPassport, 
             extracted: cleanExtracted, 
@@ -545,6 +635,8 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
 
     if (found) {
       validationResult.matches.passport = true;
+      // Each tolerated OCR error lowers the confidence in the field
+      validationResult.fieldConfidence.passportNumber = Math.max(0, ocrConfidence - matchDistance * 15);
       logger.info('✅ Passport number validated');
     } else if (extractedData.passportNumbers.length > 0) {
       validationResult.errors.push(
@@ -561,8 +653,8 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
     }
   }
 
-  // ✅ STRICT VALIDATION: Date of Birth (with OCR tolerance)
-  if (userInput.dateOfBirth && extractedData.dates.length > 0) {
+  // ✅ STRICT VALIDATION: Date of Birth (with OCR tolerance, no MRZ)
+  if (userInput.dateOfBirth && !mrz && extractedData.dates.length > 0) {
     const inputDOB = new Date(userInput.dateOfBirth);
     const inputYear = inputDOB.getFullYear();
     const inputMonth = inputDOB.getMonth();
@@ -614,6 +706,7 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
     };
 
     // Try multiple date formats and allow ±1 day tolerance for OCR errors
+    let minDayDiff = Infinity;
     const dateFound = extractedData.dates.some(dateStr => {
       const extractedDate = parseDateString(dateStr);
       
@@ -630,6 +723,7 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
       const isMatch = yearMatch && monthMatch && dayDiff <= 1;
       
       if (isMatch) {
+        minDayDiff = dayDiff;
         logger.info('✅ DOB matched', { 
           input: userInput.dateOfBirth, 
           extracted: dateStr,
@@ -655,6 +749,7 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
 
     if (dateFound) {
       validationResult.matches.dateOfBirth = true;
+      validationResult.fieldConfidence.dateOfBirth = Math.max(0, ocrConfidence - minDayDiff * 15);
     } else {
       // ❌ STRICT: DOB mismatch is a critical error
       validationResult.errors.push(
@@ -730,6 +825,7 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
     // ✅ Require at least 50% match (lowered from 60% to handle OCR errors better)
     if (bestMatchScore >= 0.5) {
       validationResult.matches.address = true;
+      validationResult.fieldConfidence.address = Math.round(ocrConfidence * bestMatchScore);
       logger.info('✅ Address validated', { 
         matchScore: Math.round(bestMatchScore * 100) + '%'
       });
@@ -752,7 +848,8 @@ function validateDocumentData(userInput, extractedData, parsedData, minConfidenc
   const requiredFields = [
     userInput.passportNumber ? 'passport' : null,
     userInput.dateOfBirth ? 'dateOfBirth' : null,
-    userInput.address ? 'address' : null
+    userInput.address ? 'address' : null,
+    userInput.expiryDate && mrz ? 'expiryDate' : null
   ].filter(Boolean).length;
 
   // ❌ FAIL if ANY critical field has errors
@@ -846,6 +943,15 @@ async function processIdentityDocument(formData, documentPath, walletAddress) {
               logger.info('Document deleted due to validation failure', { path: documentPath });
             }
             
+            // 🛂 A failed MRZ checksum or MRZ mismatch is reported with its reason
+            const mrzReason = validation.errors.find(error => error.includes('MRZ'));
+            if (mrzReason) {
+              const mrzError = new Error(mrzReason);
+              mrzError.status = 422;
+              mrzError.validationErrors = validation.errors;
+              throw mrzError;
+            }
+
             // 🚫 THROW ERROR with simple message for frontend
             throw new Error('Document validation failed.');
           } else {
@@ -871,6 +977,7 @@ async function processIdentityDocument(formData, documentPath, walletAddress) {
             ocrError.message.includes('DOCUMENT VALIDATION FAILED') ||
             ocrError.message.includes('could not be read') ||
             ocrError.message.includes('MISMATCH') ||
+            ocrError.message.includes('MRZ') ||
             ocrError.message.includes('REJECTING')) {
           
           logger.error('🚫 CRITICAL: Document validation failed - STOPPING identity verification', {
@@ -916,18 +1023,30 @@ async function processIdentityDocument(formData, documentPath, walletAddress) {
       throw new Error(`Age verification failed. Must be 18+. Current age: ${age}`);
     }
     
-    // STEP 9: Generate salt
+    // STEP 9: Document expiry - from the MRZ when read, otherwise as entered
+    const expiryDate = validation?.mrz?.expiryDate || toIsoDate(formData.expiryDate);
+    if (!expiryDate) {
+      throw new Error('Document expiry date is required when the document has no readable MRZ');
+    }
+    const expiryTimestamp = dobToTimestamp(expiryDate);
+    if (expiryTimestamp <= Math.floor(Date.now() / 1000)) {
+      throw new Error(`Document expired on ${expiryDate}`);
+    }
+    
+    // STEP 10: Generate salt
     const salt = generateSalt();
     
-    // STEP 10: Current timestamp for proof verification
+    // STEP 11: Current timestamp for proof verification
     const currentTimestamp = Math.floor(Date.now() / 1000);
     
-    // STEP 11: Convert all hashes to felt252-compatible format
+    // STEP 12: Convert all hashes to felt252-compatible format
     const zkInputs = {
       // Private inputs
       passport_number: hexToFelt(passportHash),
       address_hash: hexToFelt(addressHash),
       dob_timestamp: dobTimestamp.toString(),
+      expiry_timestamp: expiryTimestamp.toString(),
+      nationality: encodeNationality(validation?.mrz?.nationality).toString(), // 0 without an MRZ
       document_photo_hash: hexToFelt(documentPhotoHash),
       salt: hexToFelt(salt),
       wallet_address: hexToFelt(walletAddress), // Convert wallet address to felt252
@@ -957,13 +1076,18 @@ async function processIdentityDocument(formData, documentPath, walletAddress) {
         documentHash: documentPhotoHash,
         passportHash: passportHash,
         addressHash: addressHash,
+        expiryDate: expiryDate,
         timestamp: currentTimestamp,
         validation: validation ? {
           ocrConfidence: parsedData?.confidence || null,
+          mrz: validation.mrz,
+          fieldConfidence: validation.fieldConfidence,
           matches: validation.matches || {},
           warnings: validation.warnings || []
         } : {
           ocrConfidence: null,
+          mrz: null,
+          fieldConfidence: {},
           matches: {},
           warnings: ['OCR validation skipped - using hash-based verification only']
         }
@@ -997,6 +1121,7 @@ module.exports = {
   hashPassportNumber,
   hashAddress,
   dobToTimestamp,
+  toIsoDate,
   calculateAge,
   generateSalt,
   hexToFelt,
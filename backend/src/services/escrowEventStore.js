@@ -0,0 +1,446 @@
+/**
+ * Escrow Event Store
+ *
+ * Durable index of LoanEscrowZK events. Raw events are stored in SQLite
+ * (escrowEventRepository) together with the block cursor and a window of recent
+ * block hashes (used for reorg detection), all scoped to the indexed contract.
+ * Loan and application projections are rebuilt in memory from the raw events, so
+ * rolling back a reorged block is just dropping its events.
+ *
+ * Each batch and each rollback is one transaction: events, block hashes and the
+ * cursor always move together, and only the new events of a batch are written.
+ */
+
+const db = require('../db');
+const escrowEventRepository = require('../repositories/escrowEventRepository');
+const logger = require('../utils/logger');
+
+const BLOCK_HASH_WINDOW = 128; // Recent block hashes kept for reorg detection
+
+const APPLICATION_STATUS = ['pending', 'approved', 'repaid', 'defaulted'];
+const LOAN_STATUS = ['active', 'funded', 'cancelled'];
+
+/**
+ * Normalize a felt (hex or decimal string) to lowercase 0x-prefixed hex without leading zeros
+ * @param {string|bigint} value - Felt value
+ * @returns {string} Normalized hex string
+ */
+function normalizeFelt(value) {
+  if (value === undefined || value === null || value === '') {
+    return '0x0';
+  }
+  return '0x' + BigInt(value).toString(16);
+}
+
+class EscrowEventStore {
+  constructor() {
+    this.contractAddress = null; // Normalized address of the indexed contract
+    this.loans = new Map(); // loanId -> loan projection
+    this.applications = new Map(); // `${loanId}:${commitment}` -> application projection
+  }
+
+  /**
+   * Load the projections of a contract's index (once)
+   * @param {string} contractAddress - LoanEscrowZK address being indexed
+   */
+  load(contractAddress) {
+    if (this.contractAddress) {
+      return;
+    }
+
+    this.contractAddress = normalizeFelt(contractAddress);
+    this.rebuildProjections();
+    logger.info('💾 [INDEX] Escrow event index loaded', {
+      applications: this.applications.size,
+      cursor: this.getCursor()
+    });
+  }
+
+  /**
+   * Get the block cursor
+   * @returns {object|null} { blockNumber, blockHash }
+   */
+  getCursor() {
+    const cursor = this.contractAddress && escrowEventRepository.getCursor(this.contractAddress);
+    return cursor ? { blockNumber: cursor.blockNumber, blockHash: cursor.blockHash } : null;
+  }
+
+  /**
+   * Get the stored hash for a recent block
+   * @param {number} blockNumber - Block number
+   * @returns {string|null} Block hash
+   */
+  getBlockHash(blockNumber) {
+    return escrowEventRepository.getBlockHash(this.contractAddress, blockNumber);
+  }
+
+  /**
+   * Recent block numbers known to the index, newest first
+   * @returns {Array<number>}
+   */
+  getRecentBlockNumbers() {
+    return escrowEventRepository.getBlockNumbers(this.contractAddress);
+  }
+
+  /**
+   * Store a batch of decoded events and advance the cursor in one transaction
+   * @param {Array<object>} events - Decoded events (see escrowIndexer.decodeEvent)
+   * @param {object} blocks - blockNumber -> { hash, timestamp }
+   * @param {object} cursor - { blockNumber, blockHash }
+   * @returns {number} Number of events that were not indexed yet
+   */
+  appendBatch(events, blocks, cursor) {
+    const fresh = db.transaction(() => {
+      const inserted = escrowEventRepository.insertEvents(this.contractAddress, events);
+      escrowEventRepository.saveBlocks(this.contractAddress, blocks, BLOCK_HASH_WINDOW);
+      escrowEventRepository.setCursor(this.contractAddress, cursor);
+      return inserted;
+    });
+
+    for (const event of fresh) {
+      this.applyEvent(event);
+    }
+    return fresh.length;
+  }
+
+  /**
+   * Drop every event above the given block (reorg rollback) in one transaction
+   * @param {number} blockNumber - Last block that is still canonical
+   * @returns {number} Number of events removed
+   */
+  rollbackTo(blockNumber) {
+    const removed = db.transaction(() => {
+      const deleted = escrowEventRepository.deleteEventsAbove(this.contractAddress, blockNumber);
+      escrowEventRepository.deleteBlocksAbove(this.contractAddress, blockNumber);
+
+      const hash = escrowEventRepository.getBlockHash(this.contractAddress, blockNumber);
+      escrowEventRepository.setCursor(this.contractAddress, blockNumber >= 0 ? { blockNumber, blockHash: hash } : null);
+      return deleted;
+    });
+
+    this.rebuildProjections();
+
+    logger.warn('🔄 [INDEX] Rolled back index', { toBlock: blockNumber, removedEvents: removed });
+    return removed;
+  }
+
+  /**
+   * Rebuild loan/application projections by replaying all stored events in order
+   */
+  rebuildProjections() {
+    this.loans.clear();
+    this.applications.clear();
+
+    for (const event of escrowEventRepository.findEvents(this.contractAddress)) {
+      this.applyEvent(event);
+    }
+  }
+
+  /**
+   * Apply a single event to the projections
+   * @param {object} event - Decoded event
+   */
+  applyEvent(event) {
+    const loanId = event.loanId;
+
+    switch (event.name) {
+      case 'LoanOfferCreated': {
+        this.loans.set(loanId, {
+          loanId,
+          lender: event.lender,
+          amountPerBorrower: event.amountPerBorrower,
+          totalSlots: event.totalSlots,
+          filledSlots: 0,
+          minActivityScore: event.minActivityScore,
+          policyHash: null,
+          status: 0,
+          createdAt: event.timestamp,
+          createdBlock: event.blockNumber
+        });
+        break;
+      }
+
+      case 'LoanApplicationSubmitted': {
+        this.applications.set(`${loanId}:${event.commitment}`, {
+          loanId,
+          commitment: event.commitment,
+          borrower: event.borrower,
+          proofHash: event.proofHash,
+          status: 0,
+          appliedAt: event.timestamp,
+          approvedAt: null,
+          repaidAt: null,
+          repaymentDeadline: null,
+          defaultedAt: null,
+          amount: null,
+          repaidAmount: null,
+          amountRepaid: '0',
+          payments: [],
+          identityRevealed: false,
+          identityEscrowHash: null,
+          blockNumber: event.blockNumber,
+          transactionHash: event.txHash
+        });
+        break;
+      }
+
+      case 'BorrowerApproved': {
+        const app = this.applications.get(`${loanId}:${event.commitment}`);
+        if (app) {
+          app.status = 1;
+          app.approvedAt = event.timestamp;
+          app.repaymentDeadline = event.repaymentDeadline;
+          app.amount = event.amount;
+        }
+        const loan = this.loans.get(loanId);
+        if (loan) {
+          loan.filledSlots += 1;
+          if (loan.filledSlots === loan.totalSlots) {
+            loan.status = 1;
+          }
+        }
+        break;
+      }
+
+      case 'LoanRepaid': {
+        const app = event.commitment
+          ? this.applications.get(`${loanId}:${event.commitment}`)
+          : this.findApprovedApplication(loanId, event.borrower);
+        if (app) {
+          app.status = 2;
+          app.repaidAt = event.repaidAt;
+          app.repaidAmount = event.amount;
+          // Contracts before instalment support only emit LoanRepaid
+          if (app.payments.length === 0) {
+            app.amountRepaid = event.amount;
+            app.payments.push({
+              amount: event.amount,
+              amountRepaid: event.amount,
+              outstanding: '0',
+              paidAt: event.repaidAt,
+              blockNumber: event.blockNumber,
+              transactionHash: event.txHash
+            });
+          }
+        }
+        const loan = this.loans.get(loanId);
+        if (loan && loan.filledSlots > 0) {
+          loan.filledSlots -= 1;
+        }
+        break;
+      }
+
+      case 'InstalmentPaid': {
+        const app = this.applications.get(`${loanId}:${event.commitment}`);
+        if (app) {
+          app.amountRepaid = event.amountRepaid;
+          app.payments.push({
+            amount: event.amount,
+            amountRepaid: event.amountRepaid,
+            outstanding: event.outstanding,
+            paidAt: event.paidAt,
+            blockNumber: event.blockNumber,
+            transactionHash: event.txHash
+          });
+        }
+        break;
+      }
+
+      case 'LoanOfferCancelled': {
+        const loan = this.loans.get(loanId);
+        if (loan) {
+          loan.status = 2;
+        }
+        break;
+      }
+
+      case 'LoanPolicyAttached': {
+        const loan = this.loans.get(loanId);
+        if (loan) {
+          loan.policyHash = event.policyHash;
+        }
+        break;
+      }
+
+      case 'LoanDefaulted': {
+        const app = this.applications.get(`${loanId}:${event.commitment}`);
+        if (app) {
+          app.status = 3;
+          app.defaultedAt = event.defaultedAt;
+        }
+        break;
+      }
+
+      case 'IdentityEscrowAttached': {
+        const app = this.applications.get(`${loanId}:${event.commitment}`);
+        if (app) {
+          app.identityEscrowHash = event.escrowHash;
+        }
+        break;
+      }
+
+      case 'IdentityRevealed': {
+        const app = this.applications.get(`${loanId}:${event.commitment}`);
+        if (app) {
+          app.identityRevealed = true;
+          app.revealedAt = event.timestamp;
+        }
+        break;
+      }
+
+      default:
+        logger.debug('[INDEX] Ignoring unknown event', { name: event.name });
+    }
+  }
+
+  /**
+   * Find the approved (or defaulted, still repayable) application of a borrower on a loan,
+   * for LoanRepaid events without a commitment. A borrower with several open applications
+   * on the loan cannot be matched, so nothing is returned then.
+   */
+  findApprovedApplication(loanId, borrower) {
+    const matches = Array.from(this.applications.values())
+      .filter(app => app.loanId === loanId && app.borrower === borrower && (app.status === 1 || app.status === 3));
+    if (matches.length > 1) {
+      logger.warn('[INDEX] LoanRepaid without commitment matches several applications, skipping', { loanId, borrower });
+      return null;
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * Format an application projection for API responses
+   */
+  formatApplication(app) {
+    const iso = (ts) => (ts ? new Date(ts * 1000).toISOString() : null);
+    return {
+      ...app,
+      statusCode: app.status,
+      status: APPLICATION_STATUS[app.status] || 'unknown',
+      appliedAt: iso(app.appliedAt),
+      approvedAt: iso(app.approvedAt),
+      repaidAt: iso(app.repaidAt),
+      repaymentDeadline: iso(app.repaymentDeadline),
+      defaultedAt: iso(app.defaultedAt),
+      revealedAt: iso(app.revealedAt),
+      payments: (app.payments || []).map(payment => ({ ...payment, paidAt: iso(payment.paidAt) }))
+    };
+  }
+
+  /**
+   * Get all applications for a loan
+   * @param {string} loanId - Loan ID (decimal string)
+   * @returns {Array<object>} Applications ordered by application block
+   */
+  getApplicationsForLoan(loanId) {
+    const id = loanId.toString();
+    return Array.from(this.applications.values())
+      .filter(app => app.loanId === id)
+      .sort((a, b) => a.blockNumber - b.blockNumber)
+      .map(app => this.formatApplication(app));
+  }
+
+  /**
+   * Get all applications made with a commitment (any of the given variants)
+   * @param {Array<string>} commitments - Commitment variants
+   * @returns {Array<object>} Applications ordered by application block
+   */
+  getApplicationsByCommitment(commitments) {
+    const wanted = new Set(commitments.map(normalizeFelt));
+    return Array.from(this.applications.values())
+      .filter(app => wanted.has(app.commitment))
+      .sort((a, b) => a.blockNumber - b.blockNumber)
+      .map(app => this.formatApplication(app));
+  }
+
+  /**
+   * Get all applications made by a borrower address across loans
+   * @param {string} borrower - Borrower address (hex or decimal)
+   * @returns {Array<object>} Applications ordered by application block
+   */
+  getApplicationsByBorrower(borrower) {
+    const wanted = normalizeFelt(borrower);
+    return Array.from(this.applications.values())
+      .filter(app => normalizeFelt(app.borrower) === wanted)
+      .sort((a, b) => a.blockNumber - b.blockNumber)
+      .map(app => this.formatApplication(app));
+  }
+
+  /**
+   * Approved applications whose repayment deadline has passed and that are not yet marked defaulted
+   * @param {number} chainTime - Unix seconds
+   * @returns {Array<object>} Raw application projections (unix-second timestamps), oldest deadline first
+   */
+  getOverdueApplications(chainTime) {
+    return Array.from(this.applications.values())
+      .filter(app => app.status === 1 && app.repaymentDeadline && chainTime > app.repaymentDeadline)
+      .sort((a, b) => a.repaymentDeadline - b.repaymentDeadline)
+      .map(app => ({ ...app }));
+  }
+
+  /**
+   * Get a single application
+   */
+  getApplication(loanId, commitment) {
+    const app = this.applications.get(`${loanId.toString()}:${normalizeFelt(commitment)}`);
+    return app ? this.formatApplication(app) : null;
+  }
+
+  /**
+   * Get a loan projection
+   */
+  getLoan(loanId) {
+    const loan = this.loans.get(loanId.toString());
+    if (!loan) {
+      return null;
+    }
+    return {
+      ...loan,
+      status: LOAN_STATUS[loan.status] || 'unknown',
+      createdAt: loan.createdAt ? new Date(loan.createdAt * 1000).toISOString() : null
+    };
+  }
+
+  /**
+   * Raw events, optionally filtered
+   * @param {object} filter - { loanId, name }
+   */
+  getEvents(filter = {}) {
+    if (!this.contractAddress) {
+      return [];
+    }
+    return escrowEventRepository.findEvents(this.contractAddress, {
+      loanId: filter.loanId ? filter.loanId.toString() : undefined,
+      name: filter.name
+    });
+  }
+
+  /**
+   * Normalize a felt for index lookups
+   * @param {string} value - Hex or decimal felt
+   * @returns {string} Normalized hex string
+   */
+  normalizeFelt(value) {
+    return normalizeFelt(value);
+  }
+
+  /**
+   * Index statistics
+   */
+  getStats() {
+    const byName = this.contractAddress ? escrowEventRepository.countByName(this.contractAddress) : {};
+    const cursor = this.contractAddress ? escrowEventRepository.getCursor(this.contractAddress) : null;
+    return {
+      contractAddress: this.contractAddress,
+      cursor: this.getCursor(),
+      totalEvents: Object.values(byName).reduce((total, count) => total + count, 0),
+      eventsByName: byName,
+      loans: this.loans.size,
+      applications: this.applications.size,
+      updatedAt: cursor?.updatedAt || null
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new EscrowEventStore();
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'escrow-index-test-'));
+process.env.DATABASE_FILE = path.join(dataDir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+
+const db = require('../db');
+const escrowEventStore = require('./escrowEventStore');
+
+const CONTRACT = '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+
+function event(id, name, blockNumber, fields = {}) {
+  return { id, name, loanId: '1', blockNumber, blockHash: `0xb${blockNumber}`, timestamp: 1700000000 + blockNumber, txHash: id, eventIndex: 0, ...fields };
+}
+
+function block(blockNumber) {
+  return { [blockNumber]: { hash: `0xb${blockNumber}`, timestamp: 1700000000 + blockNumber } };
+}
+
+const offer = event('0xa1:0', 'LoanOfferCreated', 10, { lender: '0x2', amountPerBorrower: '100', totalSlots: 1, minActivityScore: '300' });
+const application = event('0xa2:0', 'LoanApplicationSubmitted', 20, { commitment: '0xc1', borrower: '0xb1', proofHash: '0xf1' });
+const approval = event('0xa3:0', 'BorrowerApproved', 30, { commitment: '0xc1', repaymentDeadline: 1700009999, amount: '100' });
+
+afterAll(() => {
+  db.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('escrowEventStore rollback', () => {
+  beforeAll(() => {
+    escrowEventStore.load(CONTRACT);
+    escrowEventStore.appendBatch([offer], block(10), { blockNumber: 10, blockHash: '0xb10' });
+    escrowEventStore.appendBatch([application], block(20), { blockNumber: 20, blockHash: '0xb20' });
+    escrowEventStore.appendBatch([approval], block(30), { blockNumber: 30, blockHash: '0xb30' });
+  });
+
+  it('skips events that are already indexed', () => {
+    expect(escrowEventStore.appendBatch([approval], block(30), { blockNumber: 30, blockHash: '0xb30' })).toBe(0);
+    expect(escrowEventStore.getStats().totalEvents).toBe(3);
+    expect(escrowEventStore.getApplication('1', '0xc1').status).toBe('approved');
+  });
+
+  it('drops events, block hashes and projections above the canonical block', () => {
+    expect(escrowEventStore.rollbackTo(20)).toBe(1);
+
+    expect(escrowEventStore.getCursor()).toEqual({ blockNumber: 20, blockHash: '0xb20' });
+    expect(escrowEventStore.getRecentBlockNumbers()).toEqual([20, 10]);
+    expect(escrowEventStore.getEvents({ name: 'BorrowerApproved' })).toEqual([]);
+    expect(escrowEventStore.getApplication('1', '0xc1').status).toBe('pending');
+    expect(escrowEventStore.getLoan('1').filledSlots).toBe(0);
+  });
+
+  it('re-indexes the rolled-back range from the new cursor', () => {
+    const canonical = { ...approval, id: '0xa4:0', blockNumber: 31, blockHash: '0xb31' };
+    expect(escrowEventStore.appendBatch([canonical], block(31), { blockNumber: 31, blockHash: '0xb31' })).toBe(1);
+
+    expect(escrowEventStore.getApplication('1', '0xc1').status).toBe('approved');
+    expect(escrowEventStore.getLoan('1')).toMatchObject({ filledSlots: 1, status: 'funded' });
+  });
+
+  it('keeps the index across a restart', () => {
+    escrowEventStore.contractAddress = null;
+    escrowEventStore.load(CONTRACT);
+
+    expect(escrowEventStore.getCursor()).toEqual({ blockNumber: 31, blockHash: '0xb31' });
+    expect(escrowEventStore.getApplication('1', '0xc1').status).toBe('approved');
+  });
+
+  it('clears the cursor when rolling back below the first block', () => {
+    expect(escrowEventStore.rollbackTo(-1)).toBe(3);
+
+    expect(escrowEventStore.getCursor()).toBeNull();
+    expect(escrowEventStore.getRecentBlockNumbers()).toEqual([]);
+    expect(escrowEventStore.getApplicationsForLoan('1')).toEqual([]);
+    expect(escrowEventStore.getLoan('1')).toBeNull();
+  });
+});
+
+describe('escrowEventStore LoanRepaid', () => {
+  const borrower = { borrower: '0xb1', proofHash: '0xf1' };
+  const offerTwoSlots = event('0xc1:0', 'LoanOfferCreated', 40, { loanId: '2', lender: '0x2', amountPerBorrower: '100', totalSlots: 2, minActivityScore: '300' });
+
+  beforeAll(() => {
+    escrowEventStore.appendBatch([
+      offerTwoSlots,
+      event('0xc2:0', 'LoanApplicationSubmitted', 40, { loanId: '2', commitment: '0xd1', ...borrower }),
+      event('0xc3:0', 'LoanApplicationSubmitted', 40, { loanId: '2', commitment: '0xd2', ...borrower }),
+      event('0xc4:0', 'BorrowerApproved', 40, { loanId: '2', commitment: '0xd1', repaymentDeadline: 1700009999, amount: '100' }),
+      event('0xc5:0', 'BorrowerApproved', 40, { loanId: '2', commitment: '0xd2', repaymentDeadline: 1700009999, amount: '100' })
+    ], block(40), { blockNumber: 40, blockHash: '0xb40' });
+  });
+
+  it('marks the repaid commitment when one borrower holds two approved applications', () => {
+    escrowEventStore.appendBatch([
+      event('0xc6:0', 'LoanRepaid', 41, { loanId: '2', commitment: '0xd2', borrower: '0xb1', amount: '110', repaidAt: 1700000041 })
+    ], block(41), { blockNumber: 41, blockHash: '0xb41' });
+
+    expect(escrowEventStore.getApplication('2', '0xd1').status).toBe('approved');
+    expect(escrowEventStore.getApplication('2', '0xd2').status).toBe('repaid');
+  });
+
+  it('does not guess between applications when LoanRepaid has no commitment', () => {
+    escrowEventStore.appendBatch([
+      event('0xc7:0', 'LoanApplicationSubmitted', 42, { loanId: '2', commitment: '0xd3', ...borrower }),
+      event('0xc8:0', 'BorrowerApproved', 42, { loanId: '2', commitment: '0xd3', repaymentDeadline: 1700009999, amount: '100' }),
+      event('0xc9:0', 'LoanRepaid', 43, { loanId: '2', commitment: null, borrower: '0xb1', amount: '110', repaidAt: 1700000043 })
+    ], { ...block(42), ...block(43) }, { blockNumber: 43, blockHash: '0xb43' });
+
+    expect(escrowEventStore.getApplication('2', '0xd1').status).toBe('approved');
+    expect(escrowEventStore.getApplication('2', '0xd3').status).toBe('approved');
+  });
+});
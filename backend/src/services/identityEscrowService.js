@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const { RpcProvider, uint256 } = require('starknet');
+const ipfsService = require('./ipfsService');
+const shamirService = require('./shamirService');
+const trusteeClient = require('./trusteeClient');
+const disputeService = require('./disputeService');
+const shareCollector = require('../workers/shareCollector');
+const identityEscrowRepository = require('../repositories/identityEscrowRepository');
+const logger = require('../utils/logger');
+const { canonicalJson, hashShare } = require('../../../shared/trusteeProtocol');
+
+const PACKAGE_VERSION = 1;
+
+/**
+ * Error with an HTTP status for the identity escrow routes
+ */
+function escrowError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize a felt to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeFelt(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+/**
+ * Canonical (loanId, commitment) of an application
+ * @returns {object} { loanId, commitment } - decimal loan ID, normalized commitment
+ */
+function applicationRef(loanId, commitment) {
+  try {
+    return { loanId: BigInt(loanId).toString(), commitment: normalizeFelt(commitment) };
+  } catch (parseError) {
+    throw escrowError(400, 'loanId and commitment must be hex or decimal felts');
+  }
+}
+
+/**
+ * Identity escrow packages, one per loan application
+ *
+ * When a borrower has applied, their identity is encrypted under a fresh key, the ciphertext
+ * (with the VSS commitments) goes to IPFS and the key is split into one share per trustee.
+ * Each trustee returns a signed receipt for the share it stored against (loanId, commitment).
+ * The CID and the receipts are recorded against the application, and the package hash
+ * (sha256 of the canonical package, shifted to 250 bits like loan policy hashes) is what the
+ * borrower attaches on-chain with LoanEscrowZK.attach_identity_escrow while the application is
+ * pending.
+ *
+ * On default the lender's reveal collects the shares of exactly that package, checks them
+ * against the receipts and the VSS commitments, and decrypts the CID recorded for it.
+ */
+class IdentityEscrowService {
+  constructor() {
+    this.escrowAddress = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+    this.provider = new RpcProvider({
+      nodeUrl: process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7'
+    });
+  }
+
+  /**
+   * Package hash committed on-chain
+   * @param {object} escrow - { loanId, commitment, cid, threshold, total }
+   * @param {Array<object>} receipts - [{ shareId, shareHash }], one per share
+   * @returns {string} Escrow hash (hex)
+   */
+  hashPackage({ loanId, commitment, cid, threshold, total }, receipts) {
+    const shareHashes = {};
+    for (const receipt of receipts) {
+      shareHashes[receipt.shareId] = receipt.shareHash;
+    }
+
+    const digest = crypto.createHash('sha256').update(canonicalJson({
+      version: PACKAGE_VERSION,
+      loanId,
+      commitment,
+      cid,
+      threshold,
+      total,
+      shareHashes
+    })).digest('hex');
+    return '0x' + (BigInt('0x' + digest) >> 6n).toString(16);
+  }
+
+  /**
+   * Escrow hash attached to an application on-chain
+   * @returns {Promise<string|null>} Escrow hash (hex), null if none is attached
+   */
+  async getAnchoredHash(loanId, commitment) {
+    const { low, high } = uint256.bnToUint256(BigInt(loanId));
+    const result = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'get_identity_escrow',
+      calldata: [low, high, commitment]
+    });
+    const escrowHash = BigInt(result.result[0]);
+    return escrowHash === 0n ? null : normalizeFelt(escrowHash);
+  }
+
+  /**
+   * Encrypt a borrower's identity for one application and escrow the key with the trustees
+   * @param {object} request - { loanId, commitment, borrowerAddress, identityData }
+   * @returns {Promise<object>} Package (see describe) with the calldata to anchor it
+   */
+  async createPackage({ loanId, commitment, borrowerAddress, identityData }) {
+    const ref = applicationRef(loanId, commitment);
+
+    const application = await disputeService.getApplication(ref.loanId, ref.commitment);
+    if (!application) {
+      throw escrowError(404, 'Application not found for this loan and commitment');
+    }
+    if (application.borrower !== normalizeFelt(borrowerAddress)) {
+      throw escrowError(403, 'Only the borrower of the application can escrow its identity');
+    }
+    if (application.status !== 0) {
+      throw escrowError(409, 'Identity can only be escrowed while the application is pending');
+    }
+    if (identityEscrowRepository.find(ref.loanId, ref.commitment)) {
+      throw escrowError(409, 'An identity package is already escrowed for this application');
+    }
+
+    const encryptionKey = shamirService.generateRandomSecret(32);
+    const encryptedData = ipfsService.encryptData(identityData, encryptionKey);
+    const { shares, threshold, total, shareIds, vss } = shamirService.splitEncryptionKey(encryptionKey);
+
+    // The VSS commitments travel with the ciphertext under the same CID
+    const cid = await ipfsService.uploadToIPFS({ ...encryptedData, vss });
+
+    const receipts = [];
+    for (let i = 0; i < shares.length; i++) {
+      const shareHash = hashShare(shares[i]);
+      if (!trusteeClient.getEndpoint(i)) {
+        receipts.push({ shareId: shareIds[i], status: 'skipped', shareHash, error: 'No endpoint configured' });
+        continue;
+      }
+
+      try {
+        const receipt = await trusteeClient.sendShare(i, {
+          loanId: ref.loanId,
+          commitment: ref.commitment,
+          borrowerAddress: application.borrower,
+          share: shares[i]
+        });
+        receipts.push({ shareId: shareIds[i], status: 'delivered', ...receipt });
+      } catch (error) {
+        const reason = error.response?.data?.error || error.message;
+        logger.error('Failed to escrow identity share', { loanId: ref.loanId, shareId: shareIds[i], error: reason });
+        receipts.push({ shareId: shareIds[i], status: 'failed', shareHash, error: reason });
+      }
+    }
+
+    const escrow = {
+      ...ref,
+      borrowerFelt: application.borrower,
+      cid,
+      threshold,
+      total,
+      escrowHash: this.hashPackage({ ...ref, cid, threshold, total }, receipts),
+      createdAt: new Date().toISOString()
+    };
+    const stored = identityEscrowRepository.insert(escrow, receipts);
+
+    logger.info('🔐 Identity escrowed for application', {
+      loanId: ref.loanId,
+      commitment: ref.commitment.slice(0, 10) + '...',
+      cid,
+      delivered: receipts.filter(receipt => receipt.status === 'delivered').length,
+      threshold
+    });
+
+    const { low, high } = uint256.bnToUint256(BigInt(ref.loanId));
+    return {
+      ...this.describe(stored, null),
+      anchorCall: {
+        contractAddress: this.escrowAddress,
+        entrypoint: 'attach_identity_escrow',
+        calldata: [BigInt(low).toString(), BigInt(high).toString(), BigInt(ref.commitment).toString(), BigInt(escrow.escrowHash).toString()]
+      }
+    };
+  }
+
+  /**
+   * Package of an application with its on-chain anchor
+   * @returns {Promise<object|null>} See describe
+   */
+  async getPackage(loanId, commitment) {
+    const ref = applicationRef(loanId, commitment);
+    const stored = identityEscrowRepository.find(ref.loanId, ref.commitment);
+    if (!stored) {
+      return null;
+    }
+    return this.describe(stored, await this.getAnchoredHash(stored.loanId, stored.commitment));
+  }
+
+  /**
+   * Public view of a package; receipts keep the trustee signatures so they can be re-checked
+   * @param {object} stored - From identityEscrowRepository.find
+   * @param {string|null} anchoredHash - Hash attached on-chain
+   * @returns {object} { loanId, commitment, borrower, cid, gatewayUrl, threshold, total, escrowHash,
+   *   delivered, escrowed, anchored, anchoredHash, receipts, createdAt, revealedAt }
+   */
+  describe(stored, anchoredHash) {
+    const delivered = stored.receipts.filter(receipt => receipt.status === 'delivered').length;
+    return {
+      loanId: stored.loanId,
+      commitment: stored.commitment,
+      borrower: stored.borrower,
+      cid: stored.cid,
+      gatewayUrl: ipfsService.getGatewayURL(stored.cid),
+      threshold: stored.threshold,
+      total: stored.total,
+      escrowHash: stored.escrowHash,
+      delivered,
+      escrowed: delivered >= stored.threshold,
+      anchored: anchoredHash === stored.escrowHash,
+      anchoredHash,
+      receipts: stored.receipts,
+      createdAt: stored.createdAt,
+      revealedAt: stored.revealedAt
+    };
+  }
+
+  /**
+   * Collect, reconstruct and decrypt the package escrowed for a defaulted application
+   * The caller has checked that the requester is the lender and the loan is overdue; the
+   * trustees check the default and dispute window on-chain before releasing their shares.
+   * Packages whose hash is not attached on-chain are refused with 409.
+   * @returns {Promise<object|null>} { package, revealed, identityData, sharesUsed, usedShareIds,
+   *   faultyTrustees, collection }, null if no package was escrowed for the application
+   */
+  async revealPackage(loanId, commitment) {
+    const ref = applicationRef(loanId, commitment);
+    const stored = identityEscrowRepository.find(ref.loanId, ref.commitment);
+    if (!stored) {
+      return null;
+    }
+
+    if (this.hashPackage(stored, stored.receipts) !== stored.escrowHash) {
+      throw escrowError(500, 'Recorded identity package does not match its escrow hash');
+    }
+    // The on-chain hash is what binds the package to the application; without it the
+    // recorded package could have been swapped, so nothing is collected
+    const anchoredHash = await this.getAnchoredHash(stored.loanId, stored.commitment);
+    if (!anchoredHash) {
+      throw escrowError(409, 'Identity package was never attached on-chain for this application');
+    }
+    if (anchoredHash !== stored.escrowHash) {
+      throw escrowError(409, 'Identity package hash attached on-chain does not match the recorded package');
+    }
+
+    const collection = await shareCollector.collectShares(stored.loanId, stored.commitment);
+
+    // Only shares matching the receipt of the trustee that returned them are used
+    const receipts = new Map(stored.receipts.map(receipt => [receipt.shareId, receipt]));
+    const collected = collection.results.filter(result => result.status === 'collected');
+    const shares = [];
+    const faultyTrustees = [];
+    collected.forEach((result, i) => {
+      const receipt = receipts.get(result.shareId);
+      if (receipt?.status === 'delivered' && receipt.shareHash === hashShare(collection.shares[i])) {
+        shares.push(collection.shares[i]);
+      } else {
+        faultyTrustees.push({ shareId: result.shareId, reason: 'Share does not match the trustee receipt' });
+      }
+    });
+
+    const pkg = this.describe(stored, anchoredHash);
+    if (shares.length < stored.threshold) {
+      return {
+        package: pkg,
+        revealed: false,
+        identityData: null,
+        faultyTrustees,
+        collection: collection.results
+      };
+    }
+
+    const recovered = await shareCollector.reconstructAndReveal(stored.loanId, shares, stored.cid);
+    identityEscrowRepository.markRevealed(stored.loanId, stored.commitment, recovered.reconstructedAt);
+
+    logger.info('🔓 Identity package revealed', {
+      loanId: stored.loanId,
+      commitment: stored.commitment.slice(0, 10) + '...',
+      cid: stored.cid,
+      sharesUsed: recovered.sharesUsed
+    });
+
+    return {
+      package: { ...pkg, revealedAt: pkg.revealedAt || recovered.reconstructedAt },
+      revealed: true,
+      identityData: recovered.identityData,
+      sharesUsed: recovered.sharesUsed,
+      usedShareIds: recovered.usedShareIds,
+      faultyTrustees: [...faultyTrustees, ...recovered.faultyTrustees],
+      collection: collection.results
+    };
+  }
+
+  /**
+   * Escrow state of a loan's applications, for lenders
+   * @param {string} loanId - Loan ID
+   * @returns {Map<string, object>} commitment -> { cid, escrowHash, createdAt, revealedAt }
+   */
+  getLoanSummary(loanId) {
+    const summary = new Map();
+    for (const escrow of identityEscrowRepository.findByLoan(BigInt(loanId).toString())) {
+      summary.set(escrow.commitment, {
+        cid: escrow.cid,
+        escrowHash: escrow.escrowHash,
+        createdAt: escrow.createdAt,
+        revealedAt: escrow.revealedAt
+      });
+    }
+    return summary;
+  }
+}
+
+module.exports = new IdentityEscrowService();
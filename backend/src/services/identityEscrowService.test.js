@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-escrow-test-'));
+process.env.DATABASE_FILE = path.join(dataDir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+process.env.IPFS_PROVIDER = 'filesystem';
+process.env.IPFS_FS_DIR = path.join(dataDir, 'ipfs');
+process.env.TRUSTEE_THRESHOLD = '2';
+process.env.TRUSTEE_TOTAL = '3';
+
+const { generateKeyPair, loadKey, signPayload, hashShare } = require('../../../shared/trusteeProtocol');
+
+const TRUSTEES = [0, 1, 2].map(i => {
+  const { privateKey, publicKey } = generateKeyPair();
+  process.env[`TRUSTEE_${i + 1}_ENDPOINT`] = `http://trustee-${i + 1}.test/api`;
+  process.env[`TRUSTEE_${i + 1}_PUBLIC_KEY`] = publicKey;
+  return { signingKey: loadKey(privateKey, 'private'), shares: new Map(), release: share => share, signReceipt: true };
+});
+
+const db = require('../db');
+const disputeService = require('./disputeService');
+const trusteeClient = require('./trusteeClient');
+const vssService = require('./vssService');
+const identityEscrowService = require('./identityEscrowService');
+
+const BORROWER = '0xb0b';
+const LOAN_ID = '9';
+const IDENTITY = { fullName: 'Anna Maria Eriksson', passportNumber: 'L898902C3' };
+
+/**
+ * Stand-in for the trustee network: each trustee stores the share it is sent, signs its receipt
+ * with its own key (or another key when signReceipt is false) and releases what release returns
+ */
+async function trusteeSend(trusteeIndex, method, route, body) {
+  const trustee = TRUSTEES[trusteeIndex];
+  const trusteeId = `trustee_${trusteeIndex + 1}`;
+  const key = `${body.loanId}:${body.commitment}`;
+
+  if (route === '/receive-share') {
+    trustee.shares.set(key, body.share);
+    const receipt = {
+      trusteeId,
+      loanId: body.loanId,
+      commitment: body.commitment,
+      shareId: body.shareId,
+      shareHash: hashShare(body.share),
+      receivedAt: new Date().toISOString()
+    };
+    const signingKey = trustee.signReceipt ? trustee.signingKey : crypto.generateKeyPairSync('ed25519').privateKey;
+    return { success: true, ...receipt, auditSeq: 1, signature: signPayload(signingKey, receipt) };
+  }
+
+  const payload = {
+    trusteeId,
+    loanId: body.loanId,
+    commitment: body.commitment,
+    shareId: trusteeId,
+    share: trustee.release(trustee.shares.get(key)),
+    releasedAt: new Date().toISOString()
+  };
+  return { ...payload, auditSeq: 2, signature: signPayload(trustee.signingKey, payload) };
+}
+
+/**
+ * Share with the same index as an honest one but another value
+ */
+function tamper(share) {
+  const { x, y } = vssService.decodeShare(share);
+  return vssService.encodeShare(x, y > 0n ? y - 1n : 1n);
+}
+
+describe('identityEscrowService', () => {
+  const anchored = new Map();
+  let application;
+
+  function anchor(pkg) {
+    anchored.set(`${pkg.loanId}:${pkg.commitment}`, pkg.escrowHash);
+  }
+
+  beforeAll(() => {
+    identityEscrowService.provider = {
+      callContract: jest.fn(async ({ entrypoint, calldata }) => {
+        expect(entrypoint).toBe('get_identity_escrow');
+        const loanId = (BigInt(calldata[0]) + (BigInt(calldata[1]) << 128n)).toString();
+        return { result: [anchored.get(`${loanId}:${calldata[2]}`) || '0x0'] };
+      })
+    };
+    jest.spyOn(trusteeClient, 'send').mockImplementation(trusteeSend);
+    jest.spyOn(disputeService, 'getApplication').mockImplementation(async () => application);
+    jest.spyOn(disputeService, 'getBlockingDispute').mockResolvedValue(null);
+  });
+
+  beforeEach(() => {
+    application = { borrower: BORROWER, status: 0 };
+    for (const trustee of TRUSTEES) {
+      trustee.release = share => share;
+      trustee.signReceipt = true;
+    }
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('escrows only for the borrower of a pending application', async () => {
+    const request = { loanId: LOAN_ID, commitment: '0xc1', borrowerAddress: '0xe4e', identityData: IDENTITY };
+    await expect(identityEscrowService.createPackage(request)).rejects.toMatchObject({ status: 403 });
+
+    application.status = 1;
+    await expect(identityEscrowService.createPackage({ ...request, borrowerAddress: BORROWER })).rejects.toMatchObject({
+      status: 409,
+      message: expect.stringContaining('pending')
+    });
+    await expect(identityEscrowService.getPackage(LOAN_ID, '0xc1')).resolves.toBeNull();
+  });
+
+  it('records a failed receipt for a trustee whose receipt is not signed by its key', async () => {
+    TRUSTEES[2].signReceipt = false;
+
+    const pkg = await identityEscrowService.createPackage({
+      loanId: LOAN_ID, commitment: '0x00c2', borrowerAddress: BORROWER, identityData: IDENTITY
+    });
+
+    expect(pkg).toMatchObject({ commitment: '0xc2', delivered: 2, escrowed: true, anchored: false, anchoredHash: null });
+    expect(pkg.receipts.map(receipt => receipt.status)).toEqual(['delivered', 'delivered', 'failed']);
+    expect(pkg.receipts[2].error).toBe('Trustee receipt signature is invalid');
+    expect(pkg.receipts[0].signature).toEqual(expect.any(String));
+    expect(pkg.escrowHash).toBe(identityEscrowService.hashPackage(pkg, pkg.receipts));
+    expect(BigInt(pkg.escrowHash) < 2n ** 250n).toBe(true);
+    expect(pkg.anchorCall).toMatchObject({
+      entrypoint: 'attach_identity_escrow',
+      calldata: [LOAN_ID, '0', String(0xc2), BigInt(pkg.escrowHash).toString()]
+    });
+
+    await expect(identityEscrowService.createPackage({
+      loanId: LOAN_ID, commitment: '0xc2', borrowerAddress: BORROWER, identityData: IDENTITY
+    })).rejects.toMatchObject({ status: 409 });
+  });
+
+  it('refuses to reveal a package that is not anchored on-chain, or anchored under another hash', async () => {
+    trusteeClient.send.mockClear();
+
+    await expect(identityEscrowService.revealPackage(LOAN_ID, '0xc2')).rejects.toMatchObject({
+      status: 409,
+      message: expect.stringContaining('never attached')
+    });
+
+    anchored.set(`${LOAN_ID}:0xc2`, '0x1234');
+    await expect(identityEscrowService.revealPackage(LOAN_ID, '0xc2')).rejects.toMatchObject({
+      status: 409,
+      message: expect.stringContaining('does not match')
+    });
+    expect(trusteeClient.send).not.toHaveBeenCalled();
+    await expect(identityEscrowService.revealPackage(LOAN_ID, '0xc9')).resolves.toBeNull();
+  });
+
+  it('uses only shares matching a delivered receipt', async () => {
+    anchor(await identityEscrowService.getPackage(LOAN_ID, '0xc2'));
+    TRUSTEES[1].release = tamper;
+
+    const result = await identityEscrowService.revealPackage(LOAN_ID, '0xc2');
+
+    expect(result).toMatchObject({ revealed: false, identityData: null });
+    expect(result.faultyTrustees.map(faulty => faulty.shareId)).toEqual(['trustee_2', 'trustee_3']);
+    expect((await identityEscrowService.getPackage(LOAN_ID, '0xc2')).revealedAt).toBeNull();
+  });
+
+  it('decrypts an anchored package from the shares of its receipts', async () => {
+    const pkg = await identityEscrowService.createPackage({
+      loanId: LOAN_ID, commitment: '0xc3', borrowerAddress: BORROWER, identityData: IDENTITY
+    });
+    anchor(pkg);
+    TRUSTEES[0].release = tamper;
+
+    const result = await identityEscrowService.revealPackage(LOAN_ID, '0xc3');
+
+    expect(result).toMatchObject({ revealed: true, identityData: IDENTITY, sharesUsed: 2 });
+    expect(result.package.anchored).toBe(true);
+    expect(result.usedShareIds).toEqual(['trustee_2', 'trustee_3']);
+    expect(result.faultyTrustees).toEqual([{ shareId: 'trustee_1', reason: 'Share does not match the trustee receipt' }]);
+    expect(identityEscrowService.getLoanSummary(LOAN_ID).get('0xc3').revealedAt).toEqual(expect.any(String));
+  });
+});
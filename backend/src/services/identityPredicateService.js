@@ -0,0 +1,302 @@
+const zkService = require('./zkService');
+const lenderPortfolioService = require('./lenderPortfolioService');
+const logger = require('../utils/logger');
+const { buildNationalityTree, nonMembershipWitness } = require('../utils/nationalityTree');
+const identityPredicateRepository = require('../repositories/identityPredicateRepository');
+
+// 365.25 days, as in the idAuth circuit
+const YEAR = 31557600;
+const DEFAULT_MIN_AGE = 18;
+const DEFAULT_MAX_AGE = 150;
+
+/**
+ * Error with an HTTP status for the identity predicate routes
+ */
+function predicateError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize a felt to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeFelt(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+/**
+ * Selective-disclosure identity proofs
+ *
+ * The idPredicates circuit proves the predicates a lender asks for (age range, nationality
+ * outside an excluded set, document valid past the loan deadline) over the same document
+ * data as idAuth. The predicates are public inputs, taken from the loan's eligibility policy
+ * (minAge, maxAge, excludedNationalities, requireDocumentValidThroughDeadline); loans without
+ * a policy only ask for age >= 18 and an unexpired document.
+ *
+ * Nationality and expiry come from the document the backend read. When it reads one it records
+ * Poseidon(identity_commitment, nationality, expiry) for the wallet, and a proof is only accepted
+ * for an attributes commitment recorded for the proving wallet, so a borrower cannot prove over
+ * values they typed in.
+ */
+class IdentityPredicateService {
+  constructor() {
+    this.trees = new Map(); // sorted codes -> excluded nationality tree
+  }
+
+  /**
+   * Record the attributes commitment of a document read for a wallet
+   * @param {string} walletAddress - Wallet the document was verified for
+   * @param {object} zkInputs - From documentService.processIdentityDocument()
+   * @returns {Promise<object>} { identityCommitment, attributesCommitment }
+   */
+  async recordDocumentAttributes(walletAddress, zkInputs) {
+    const identityCommitment = normalizeFelt(await zkService.poseidonHash([
+      zkInputs.passport_number,
+      zkInputs.address_hash,
+      zkInputs.dob_timestamp,
+      zkInputs.expiry_timestamp,
+      zkInputs.document_photo_hash,
+      zkInputs.salt
+    ]));
+    const attributesCommitment = normalizeFelt(await zkService.poseidonHash([
+      identityCommitment,
+      zkInputs.nationality || '0',
+      zkInputs.expiry_timestamp
+    ]));
+
+    identityPredicateRepository.saveAttributes({
+      attributesCommitment,
+      walletFelt: normalizeFelt(walletAddress),
+      identityCommitment,
+      recordedAt: new Date().toISOString()
+    });
+
+    return { identityCommitment, attributesCommitment };
+  }
+
+  /**
+   * Identity predicates of a loan policy, with defaults for the ones it does not set
+   * @param {object|null} policy - Verified, normalized loan policy
+   * @returns {object} { minAge, maxAge, excludedNationalities, documentValidThroughDeadline }
+   */
+  getRequirements(policy) {
+    return {
+      minAge: policy?.minAge ?? DEFAULT_MIN_AGE,
+      maxAge: policy?.maxAge ?? DEFAULT_MAX_AGE,
+      excludedNationalities: policy?.excludedNationalities || [],
+      documentValidThroughDeadline: !!policy?.requireDocumentValidThroughDeadline
+    };
+  }
+
+  /**
+   * Excluded nationality tree, cached per set
+   * @param {Array<string>} codes - Excluded nationality codes
+   * @returns {Promise<object>} From buildNationalityTree
+   */
+  async getNationalityTree(codes) {
+    const key = [...codes].sort().join(',');
+    if (!this.trees.has(key)) {
+      await zkService.initialize();
+      this.trees.set(key, buildNationalityTree(codes, zkService.poseidon));
+    }
+    return this.trees.get(key);
+  }
+
+  /**
+   * Public inputs a proof for this loan must use
+   * expires_after is the proof's current_timestamp plus expiresAfterOffset, the offer's
+   * repayment period when the policy requires the document to outlive the loan.
+   * @param {string} loanId - Loan ID
+   * @param {object|null} policy - Verified, normalized loan policy
+   * @returns {Promise<object>} { loanId, minAgeSeconds, maxAgeSeconds, expiresAfterOffset,
+   *   sanctionsRoot, excludedNationalities, requirements }
+   */
+  async getProofRequest(loanId, policy) {
+    const requirements = this.getRequirements(policy);
+    const tree = await this.getNationalityTree(requirements.excludedNationalities);
+
+    let expiresAfterOffset = 0;
+    if (requirements.documentValidThroughDeadline) {
+      const offer = await lenderPortfolioService.getLoanOffer(loanId);
+      expiresAfterOffset = offer.repaymentPeriod;
+    }
+
+    return {
+      loanId: BigInt(loanId).toString(),
+      minAgeSeconds: requirements.minAge * YEAR,
+      // maxAge is inclusive: anyone who has not yet turned maxAge + 1
+      maxAgeSeconds: (requirements.maxAge + 1) * YEAR - 1,
+      expiresAfterOffset,
+      sanctionsRoot: tree.root,
+      excludedNationalities: requirements.excludedNationalities,
+      requirements
+    };
+  }
+
+  /**
+   * Prove the loan's predicates on the server from the caller's identity inputs
+   * @param {object} identityInputs - zkInputs from /identity/verify-document
+   * @param {string} loanId - Loan ID
+   * @param {object|null} policy - Verified, normalized loan policy
+   * @returns {Promise<object>} { predicateProof, proof, publicSignals }
+   */
+  async proveOnServer(identityInputs, loanId, policy) {
+    const request = await this.getProofRequest(loanId, policy);
+    const tree = await this.getNationalityTree(request.excludedNationalities);
+
+    let witness;
+    try {
+      witness = nonMembershipWitness(tree, BigInt(identityInputs.nationality || 0));
+    } catch (error) {
+      throw predicateError(400, `Nationality predicate cannot be met: ${error.message}`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const inputs = zkService.prepareIdentityPredicateInputs(
+      identityInputs,
+      { ...request, expiresAfter: now + request.expiresAfterOffset },
+      witness,
+      now
+    );
+    const { proof, publicSignals } = await zkService.generateIdentityPredicateProof(inputs);
+
+    const predicateProof = await this.verifyAndRecord(identityInputs.wallet_address, loanId, proof, publicSignals, policy, 'server');
+    return { predicateProof, proof, publicSignals };
+  }
+
+  /**
+   * Verify an identity predicate proof against the loan's requirements and record it
+   * @param {string} walletAddress - Wallet that submitted the proof
+   * @param {string} loanId - Loan the proof is for
+   * @param {object} proof - Raw snarkjs proof
+   * @param {array} publicSignals - Public signals
+   * @param {object|null} policy - Verified, normalized loan policy
+   * @param {string} provenBy - 'browser' or 'server'
+   * @returns {Promise<object>} Recorded proof
+   */
+  async verifyAndRecord(walletAddress, loanId, proof, publicSignals, policy, provenBy = 'browser') {
+    let result;
+    try {
+      result = await zkService.verifyIdentityPredicateProof(proof, publicSignals);
+    } catch (error) {
+      throw predicateError(400, error.message);
+    }
+
+    if (!result.verified) {
+      throw predicateError(400, 'Proof verification failed');
+    }
+    if (BigInt(result.walletAddress) !== BigInt(walletAddress)) {
+      throw predicateError(403, 'Proof was issued for a different wallet');
+    }
+    if (result.loanId !== BigInt(loanId)) {
+      throw predicateError(400, `Proof was issued for loan ${result.loanId}, not ${loanId}`);
+    }
+    const freshness = zkService.checkProofFreshness(result.issuedAt);
+    if (!freshness.fresh) {
+      throw predicateError(400, freshness.expired
+        ? `Proof expired (${freshness.ageSeconds}s old, max ${freshness.maxAgeSeconds}s)`
+        : 'Proof issued in the future');
+    }
+
+    const request = await this.getProofRequest(loanId, policy);
+    const failures = [];
+    if (result.minAgeSeconds < request.minAgeSeconds) {
+      failures.push(`minimum age ${result.minAgeSeconds}s is below the required ${request.minAgeSeconds}s`);
+    }
+    if (result.maxAgeSeconds > request.maxAgeSeconds) {
+      failures.push(`maximum age ${result.maxAgeSeconds}s is above the required ${request.maxAgeSeconds}s`);
+    }
+    if (request.sanctionsRoot !== '0' && result.sanctionsRoot !== request.sanctionsRoot) {
+      failures.push('nationality was checked against a different excluded set');
+    }
+    if (result.expiresAfter < result.issuedAt + request.expiresAfterOffset) {
+      failures.push(`document validity was proven until ${result.expiresAfter}, the loan needs ${result.issuedAt + request.expiresAfterOffset}`);
+    }
+    if (failures.length > 0) {
+      throw predicateError(422, `Proof does not meet the loan's requirements: ${failures.join('; ')}`);
+    }
+
+    const attributes = identityPredicateRepository.findAttributes(result.attributesCommitment);
+    if (!attributes || attributes.walletAddress !== normalizeFelt(walletAddress)) {
+      throw predicateError(422, 'Proof is over document attributes this server did not record for the wallet');
+    }
+    if (attributes.identityCommitment !== result.identityCommitment) {
+      throw predicateError(422, 'Proof identity commitment does not match the recorded document');
+    }
+
+    const record = identityPredicateRepository.saveProof({
+      walletFelt: normalizeFelt(walletAddress),
+      loanId: result.loanId.toString(),
+      identityCommitment: result.identityCommitment,
+      attributesCommitment: result.attributesCommitment,
+      minAgeSeconds: result.minAgeSeconds,
+      maxAgeSeconds: result.maxAgeSeconds,
+      expiresAfter: result.expiresAfter,
+      sanctionsRoot: result.sanctionsRoot,
+      issuedAt: result.issuedAt,
+      provenBy,
+      verifiedAt: new Date().toISOString()
+    });
+
+    logger.info('🪪 Identity predicate proof verified', {
+      wallet: walletAddress.slice(0, 10) + '...',
+      loanId: record.loanId,
+      sanctionsChecked: record.sanctionsRoot !== '0',
+      provenBy
+    });
+
+    return record;
+  }
+
+  /**
+   * Check an applicant's recorded proof against a policy's identity predicates
+   * Once the application is approved the document must also outlive its actual deadline.
+   * @param {object} policy - Normalized loan policy
+   * @param {object} app - Application with loanId, borrower and repaymentDeadline
+   * @returns {Promise<object>} { passed, proof, reason }
+   */
+  async evaluateApplication(policy, app) {
+    const proof = identityPredicateRepository.findProof(normalizeFelt(app.borrower), BigInt(app.loanId).toString());
+    if (!proof) {
+      return { passed: false, proof: null, reason: 'No identity predicate proof for this loan' };
+    }
+
+    const requirements = this.getRequirements(policy);
+    const tree = await this.getNationalityTree(requirements.excludedNationalities);
+    const reasons = [];
+    if (proof.minAgeSeconds < requirements.minAge * YEAR) {
+      reasons.push(`proof covers a minimum age below ${requirements.minAge}`);
+    }
+    if (proof.maxAgeSeconds > (requirements.maxAge + 1) * YEAR - 1) {
+      reasons.push(`proof covers a maximum age above ${requirements.maxAge}`);
+    }
+    if (tree.root !== '0' && proof.sanctionsRoot !== tree.root) {
+      reasons.push('nationality was not checked against the excluded set');
+    }
+    // Deadlines come as unix seconds from the event store and as ISO strings from the API
+    const deadline = typeof app.repaymentDeadline === 'number'
+      ? app.repaymentDeadline
+      : app.repaymentDeadline ? Math.floor(Date.parse(app.repaymentDeadline) / 1000) : null;
+    if (requirements.documentValidThroughDeadline && deadline && proof.expiresAfter < deadline) {
+      reasons.push('document is not proven valid through the repayment deadline');
+    }
+
+    return {
+      passed: reasons.length === 0,
+      proof,
+      reason: reasons.length ? `Identity predicate proof does not match the policy: ${reasons.join('; ')}` : null
+    };
+  }
+
+  /**
+   * Identity predicate proofs recorded for a wallet
+   * @param {string} walletAddress - Borrower wallet
+   * @returns {Array<object>}
+   */
+  getProofs(walletAddress) {
+    return identityPredicateRepository.findByWallet(normalizeFelt(walletAddress));
+  }
+}
+
+module.exports = new IdentityPredicateService();
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const thresholds = require('../config/thresholds');
+const incomeAttestationRepository = require('../repositories/incomeAttestationRepository');
+
+/**
+ * Normalize a wallet address to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeWallet(walletAddress) {
+  return '0x' + BigInt(walletAddress).toString(16);
+}
+
+/**
+ * Income attestations linked to borrower wallets
+ * Only the provider, annual income and attestation time are kept; identity and payroll
+ * details from the provider response are not stored. The provider subject (Plaid item,
+ * ADP worker, custom employer and employee) is kept as a hash so payroll webhooks can
+ * revoke or refresh the attestations it produced.
+ */
+class IncomeAttestationStore {
+  /**
+   * Hash identifying a provider subject
+   * @param {object} subject - { provider, employerId, subjectId }
+   * @returns {string|null} Hex sha256, or null without a subject id
+   */
+  subjectKey({ provider, employerId, subjectId } = {}) {
+    if (!provider || !subjectId) {
+      return null;
+    }
+    return crypto.createHash('sha256')
+      .update(`${provider}:${employerId || ''}:${subjectId}`)
+      .digest('hex');
+  }
+
+  /**
+   * Record a payroll income attestation for a wallet
+   * @param {string} walletAddress - Wallet address (hex or decimal)
+   * @param {object} attestation - Attestation from a payroll adapter
+   * @param {object} subject - Provider subject { employerId, subjectId } (optional)
+   * @returns {object} Stored record
+   */
+  async recordAttestation(walletAddress, attestation, subject = {}) {
+    const income = attestation.income || {};
+    const annualIncome = Number(income.annualIncome ?? income.annualSalary ?? income.projectedYearlyIncome);
+    if (!Number.isFinite(annualIncome)) {
+      throw new Error('Attestation has no annual income');
+    }
+
+    const wallet = normalizeWallet(walletAddress);
+    const record = {
+      provider: attestation.provider,
+      annualIncome,
+      currency: income.currency || 'USD',
+      attestedAt: new Date(attestation.timestamp || Date.now()).toISOString(),
+      recordedAt: new Date().toISOString()
+    };
+    const id = incomeAttestationRepository.insert({
+      ...record,
+      walletFelt: wallet,
+      subjectKey: this.subjectKey({ provider: attestation.provider, ...subject })
+    });
+
+    logger.info('💾 Recorded income attestation for wallet:', {
+      wallet: wallet.slice(0, 10) + '...',
+      provider: record.provider
+    });
+
+    return { id, ...record };
+  }
+
+  /**
+   * Latest unrevoked attestation for a wallet that is still within the max attestation age
+   * @param {string} walletAddress - Wallet address (hex or decimal)
+   * @returns {object|null} { id, provider, annualIncome, currency, attestedAt, recordedAt }
+   */
+  async getLatestAttestation(walletAddress) {
+    const since = new Date(Date.now() - thresholds.payroll.maxAttestationAge).toISOString();
+    const record = incomeAttestationRepository.findLatestValid(normalizeWallet(walletAddress), since);
+    if (!record) {
+      return null;
+    }
+    const { id, provider, annualIncome, currency, attestedAt, recordedAt } = record;
+    return { id, provider, annualIncome, currency, attestedAt, recordedAt };
+  }
+
+  /**
+   * Unrevoked attestations produced for a provider subject
+   * @param {object} subject - { provider, employerId, subjectId }
+   * @returns {Array<object>} Records including walletAddress
+   */
+  findBySubject(subject) {
+    const key = this.subjectKey(subject);
+    return key ? incomeAttestationRepository.findActiveBySubject(key) : [];
+  }
+
+  /**
+   * Revoke an attestation before it ages out
+   * @param {number} id - Attestation id
+   * @param {string} reason - Why (e.g. employment_terminated)
+   * @param {string} eventId - Webhook event that caused it (optional)
+   * @returns {boolean} True if it was still valid
+   */
+  revokeAttestation(id, reason, eventId = null) {
+    const revoked = incomeAttestationRepository.revoke(id, {
+      revokedAt: new Date().toISOString(),
+      reason,
+      eventId
+    });
+    if (revoked) {
+      logger.info('🚫 Revoked income attestation', { id, reason });
+    }
+    return revoked;
+  }
+}
+
+// Export singleton instance
+module.exports = new IncomeAttestationStore();
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const zkService = require('./zkService');
+const payrollOracles = require('./payrollOracles');
+const thresholds = require('../config/thresholds');
+const logger = require('../utils/logger');
+const payrollOracleRepository = require('../repositories/payrollOracleRepository');
+const incomeProofRepository = require('../repositories/incomeProofRepository');
+
+/**
+ * Error with an HTTP status for the income proof routes
+ */
+function incomeProofError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize a felt to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeFelt(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+/**
+ * Zero-knowledge income proofs over signed payroll oracle attestations
+ *
+ * The incomeVerifier circuit proves annual income >= threshold for an attestation
+ * signed by an 'eddsa' oracle (see payrollOracles) and issued for the proving wallet,
+ * without revealing the income or the payroll provider. The attestation's message hash
+ * is public so revoked attestations can be rejected.
+ * The borrower proves in the browser from the attestation it fetched here; server-side
+ * proving is an opt-in fallback since it handles the income.
+ *
+ * Verified proofs are recorded per wallet and loan. A proof stays valid only while its
+ * attestation is unexpired and unrevoked, so revoking the attestation or its oracle
+ * also invalidates the proofs built on it.
+ */
+class IncomeProofService {
+  /**
+   * Attestations a wallet can prove income from, with their circuit inputs
+   * Includes the attested income: only return these to the wallet itself.
+   * @param {string} walletAddress - Borrower wallet
+   * @returns {Array<object>} [{ attestationHash, oracleId, provider, annualIncome, currency, issuedAt, expiresAt, circuitInputs }]
+   */
+  getProvableAttestations(walletAddress) {
+    const now = Math.floor(Date.now() / 1000);
+    const maxAge = thresholds.payroll.maxAttestationAge / 1000;
+
+    return payrollOracleRepository.findAttestationsBySubject(normalizeFelt(walletAddress))
+      .filter(stored => stored.messageHash && !stored.revokedAt && stored.expiresAt > now && now - stored.issuedAt <= maxAge)
+      .map(stored => ({ stored, oracle: payrollOracleRepository.findOracle(stored.oracleId) }))
+      .filter(({ oracle }) => oracle && !oracle.revokedAt && oracle.scheme === 'eddsa')
+      .map(({ stored, oracle }) => ({
+        attestationHash: stored.attestationHash,
+        oracleId: stored.oracleId,
+        provider: stored.attestation.provider,
+        annualIncome: stored.attestation.annualIncome,
+        currency: stored.attestation.currency,
+        issuedAt: stored.issuedAt,
+        expiresAt: stored.expiresAt,
+        circuitInputs: zkService.prepareIncomeAttestationInputs(
+          payrollOracles.encodeAttestation(stored.attestation),
+          stored.attestation.signature,
+          JSON.parse(oracle.publicKey)
+        )
+      }));
+  }
+
+  /**
+   * Prove income on the server (the caller opted in to revealing the attestation to it)
+   * @param {string} walletAddress - Borrower wallet
+   * @param {object} request - { attestationHash, threshold, loanId }
+   * @returns {Promise<object>} { incomeProof, proof, publicSignals, salt } (salt of the income commitment)
+   */
+  async proveOnServer(walletAddress, { attestationHash, threshold, loanId = 0 }) {
+    const attestation = this.getProvableAttestations(walletAddress)
+      .find(candidate => candidate.attestationHash === normalizeFelt(attestationHash));
+    if (!attestation) {
+      throw incomeProofError(404, 'No valid income attestation with that hash for this wallet');
+    }
+    if (BigInt(attestation.annualIncome) < BigInt(threshold)) {
+      throw incomeProofError(400, 'Attested income does not meet the threshold');
+    }
+
+    // 31 bytes keeps the salt below the BN254 field size
+    const salt = crypto.randomBytes(31).toString('hex');
+    const inputs = zkService.prepareIncomeProofInputs(attestation.circuitInputs, threshold, salt, loanId);
+    const { proof, publicSignals } = await zkService.generateIncomeProof(inputs);
+
+    const incomeProof = await this.verifyAndRecord(walletAddress, proof, publicSignals, 'server');
+    return { incomeProof, proof, publicSignals, salt };
+  }
+
+  /**
+   * Verify an income proof and record it for the wallet
+   * @param {string} walletAddress - Wallet that submitted the proof
+   * @param {object} proof - Raw snarkjs proof
+   * @param {array} publicSignals - Public signals
+   * @param {string} provenBy - 'browser' or 'server'
+   * @returns {Promise<object>} Recorded proof
+   */
+  async verifyAndRecord(walletAddress, proof, publicSignals, provenBy = 'browser') {
+    let result;
+    try {
+      result = await zkService.verifyIncomeProof(proof, publicSignals);
+    } catch (error) {
+      throw incomeProofError(400, error.message);
+    }
+
+    if (!result.verified) {
+      throw incomeProofError(400, 'Proof verification failed');
+    }
+    if (BigInt(result.walletAddress) !== BigInt(walletAddress)) {
+      throw incomeProofError(403, 'Proof was issued for a different wallet');
+    }
+    const freshness = zkService.checkProofFreshness(result.issuedAt);
+    if (!freshness.fresh) {
+      throw incomeProofError(400, freshness.expired
+        ? `Proof expired (${freshness.ageSeconds}s old, max ${freshness.maxAgeSeconds}s)`
+        : 'Proof issued in the future');
+    }
+
+    const stored = payrollOracleRepository.findAttestationByMessageHash(result.attestationId);
+    if (!stored) {
+      throw incomeProofError(422, 'Proof is for an attestation this server has not received');
+    }
+    if (stored.revokedAt) {
+      throw incomeProofError(422, `Attestation revoked at ${stored.revokedAt}: ${stored.revokedReason}`);
+    }
+    const oracle = payrollOracleRepository.findOracle(stored.oracleId);
+    if (!oracle || oracle.revokedAt || oracle.scheme !== 'eddsa') {
+      throw incomeProofError(422, `Oracle ${stored.oracleId} is not an active EdDSA oracle`);
+    }
+    const registeredKey = JSON.parse(oracle.publicKey);
+    if (registeredKey.some((coordinate, i) => BigInt(coordinate) !== BigInt(result.oracleKey[i]))) {
+      throw incomeProofError(422, `Proof was signed with a key that is not ${stored.oracleId}'s registered key`);
+    }
+
+    const record = incomeProofRepository.save({
+      walletFelt: normalizeFelt(walletAddress),
+      loanId: result.loanId.toString(),
+      attestationHash: stored.attestationHash,
+      oracleId: stored.oracleId,
+      threshold: result.threshold.toString(),
+      currency: result.currency,
+      incomeCommitment: result.incomeCommitment,
+      issuedAt: result.issuedAt,
+      provenBy,
+      verifiedAt: new Date().toISOString()
+    });
+
+    logger.info('💵 Income proof verified', {
+      wallet: walletAddress.slice(0, 10) + '...',
+      loanId: record.loanId,
+      threshold: record.threshold,
+      currency: record.currency,
+      oracleId: record.oracleId,
+      provenBy
+    });
+
+    return this.formatProof(record);
+  }
+
+  /**
+   * Income proofs recorded for a wallet
+   * @param {string} walletAddress - Borrower wallet
+   * @param {string} loanId - Only proofs bound to this loan, optional
+   * @returns {Array<object>}
+   */
+  getProofs(walletAddress, loanId) {
+    return incomeProofRepository.findByWallet(normalizeFelt(walletAddress), loanId === undefined ? undefined : BigInt(loanId).toString())
+      .map(record => this.formatProof(record));
+  }
+
+  /**
+   * Proof as returned by the API: valid while its attestation is unexpired and neither
+   * it nor its oracle is revoked
+   */
+  formatProof(record) {
+    const { attestationExpiresAt, attestationRevokedAt, oracleRevokedAt, ...proof } = record;
+    return {
+      ...proof,
+      attestationExpiresAt,
+      valid: !attestationRevokedAt && !oracleRevokedAt && attestationExpiresAt > Math.floor(Date.now() / 1000)
+    };
+  }
+}
+
+module.exports = new IncomeProofService();
@@ -1,22 +1,29 @@
-const axios = require('axios');
-const FormData = require('form-data');
+const path = require('path');
 const forge = require('node-forge');
 const logger = require('../utils/logger');
+const { storageFromEnv } = require('../../../shared/ipfsStorage');
 
+const DEFAULT_FS_DIR = path.join(__dirname, '../data/ipfs');
+
+/**
+ * Encrypted identity storage on IPFS
+ * The provider (Pinata, a local Kubo node or a filesystem store) comes from IPFS_PROVIDER;
+ * see shared/ipfsStorage. CIDs are computed locally and checked on every read.
+ */
 class IPFSService {
   constructor() {
-    this.pinataApiKey = process.env.IPFS_API_KEY;
-    this.pinataSecretKey = process.env.IPFS_API_SECRET;
-    this.pinataJWT = process.env.IPFS_JWT;
-    this.gateway = process.env.IPFS_GATEWAY || 'https://gateway.pinata.cloud/ipfs/';
-    this.pinataBaseUrl = 'https://api.pinata.cloud';
+    this.storage = null;
   }
 
   /**
-   * Initialize IPFS client (no-op for Pinata HTTP API)
+   * Storage for the configured provider (created on first use)
    */
   initialize() {
-    logger.info('IPFS service initialized with Pinata');
+    if (!this.storage) {
+      this.storage = storageFromEnv(process.env, { fsDir: DEFAULT_FS_DIR });
+      logger.info('IPFS service initialized', { provider: this.storage.name });
+    }
+    return this.storage;
   }
 
   /**
@@ -90,32 +97,18 @@ class IPFSService {
   }
 
   /**
-   * Upload encrypted data to IPFS via Pinata
+   * Upload encrypted data to IPFS
    * @param {object} encryptedData - Encrypted data to upload
-   * @returns {string} IPFS CID
+   * @returns {string} IPFS CID (verified against the locally computed CID)
    */
   async uploadToIPFS(encryptedData) {
     try {
-      const data = JSON.stringify({
-        pinataContent: encryptedData,
-        pinataMetadata: {
-          name: `loan-data-${Date.now()}.json`
-        }
+      const storage = this.initialize();
+      const cid = await storage.putJSON(encryptedData, {
+        name: `loan-data-${Date.now()}.json`
       });
 
-      const response = await axios.post(
-        `${this.pinataBaseUrl}/pinning/pinJSONToIPFS`,
-        data,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.pinataJWT}`
-          }
-        }
-      );
-
-      const cid = response.data.IpfsHash;
-      logger.info('Uploaded to IPFS via Pinata', { cid });
+      logger.info('Uploaded to IPFS', { cid, provider: storage.name });
 
       return cid;
     } catch (error) {
@@ -125,18 +118,21 @@ class IPFSService {
   }
 
   /**
-   * Retrieve data from IPFS via Pinata gateway
+   * Retrieve data from IPFS and check it against its CID
    * @param {string} cid - IPFS CID
    * @returns {object} Retrieved data
    */
   async retrieveFromIPFS(cid) {
     try {
-      const url = `${this.gateway}${cid}`;
-      const response = await axios.get(url);
+      const storage = this.initialize();
+      const { data, verified } = await storage.getJSON(cid);
 
-      logger.info('Retrieved from IPFS', { cid });
+      if (!verified) {
+        logger.warn('Retrieved legacy CID that cannot be verified locally', { cid });
+      }
+      logger.info('Retrieved from IPFS', { cid, provider: storage.name, verified });
 
-      return response.data;
+      return data;
     } catch (error) {
       logger.error('IPFS retrieval failed', { cid, error: error.message });
       throw new Error(`IPFS retrieval failed: ${error.message}`);
@@ -150,8 +146,7 @@ class IPFSService {
    */
   async pinCID(cid) {
     try {
-      this.initialize();
-      await this.client.pin.add(cid);
+      await this.initialize().pin(cid);
       logger.info('Pinned CID', { cid });
       return true;
     } catch (error) {
@@ -163,10 +158,10 @@ class IPFSService {
   /**
    * Get IPFS gateway URL for a CID
    * @param {string} cid - IPFS CID
-   * @returns {string} Gateway URL
+   * @returns {string|null} Gateway URL (null for a filesystem store without IPFS_GATEWAY)
    */
   getGatewayURL(cid) {
-    return `${this.gateway}${cid}`;
+    return this.initialize().gatewayUrl(cid);
   }
 }
 
@@ -0,0 +1,327 @@
+const { RpcProvider, uint256 } = require('starknet');
+const logger = require('../utils/logger');
+const thresholds = require('../config/thresholds');
+const escrowEventStore = require('./escrowEventStore');
+const repaymentService = require('./repaymentService');
+
+const LOAN_ESCROW_ZK_ADDRESS = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+const RPC_URL = process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7';
+
+const LOAN_STATUS = ['active', 'funded', 'cancelled'];
+const DAY = 24 * 60 * 60;
+
+// Time-to-repay histogram buckets (days, upper bound inclusive)
+const REPAY_BUCKETS = [
+  { label: '0-7d', maxDays: 7 },
+  { label: '8-14d', maxDays: 14 },
+  { label: '15-30d', maxDays: 30 },
+  { label: '31-60d', maxDays: 60 },
+  { label: '61-90d', maxDays: 90 },
+  { label: '>90d', maxDays: Infinity }
+];
+
+/**
+ * Lender portfolio analytics
+ * Aggregates every LoanOffer of a lender from on-chain state: offers come from
+ * get_loan_details, the list of applications from the LoanEscrowZK event index and
+ * each application's status / amounts from get_application.
+ *
+ * Classification of funded applications (chain time, not server time):
+ *   repaid     status repaid
+ *   active     approved, before the repayment deadline
+ *   overdue    approved or marked defaulted, past the deadline but inside the dispute window
+ *   defaulted  approved or marked defaulted, past the dispute window, still owing
+ * The dispute window runs from the on-chain default when the application was marked
+ * defaulted (mark_defaulted), otherwise from the repayment deadline.
+ * Outstanding principal is the unpaid share of the total due, pro rata between
+ * principal and interest.
+ */
+class LenderPortfolioService {
+  constructor() {
+    this.provider = new RpcProvider({ nodeUrl: RPC_URL });
+    this.escrowAddress = LOAN_ESCROW_ZK_ADDRESS;
+    this.disputeWindowSeconds = thresholds.dispute.windowSeconds;
+  }
+
+  /**
+   * Number of loan offers on the contract
+   */
+  async getLoanCount() {
+    const { result } = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'get_loan_count',
+      calldata: []
+    });
+    return Number(uint256.uint256ToBN({ low: result[0], high: result[1] || '0x0' }));
+  }
+
+  /**
+   * Read a LoanOffer
+   * @param {number|string} loanId - Loan ID
+   * @returns {Promise<object>} Offer terms
+   */
+  async getLoanOffer(loanId) {
+    const { low, high } = uint256.bnToUint256(BigInt(loanId));
+    const { result } = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'get_loan_details',
+      calldata: [low, high]
+    });
+
+    return {
+      loanId: loanId.toString(),
+      lender: result[0],
+      amountPerBorrower: uint256.uint256ToBN({ low: result[1], high: result[2] }),
+      totalSlots: Number(result[3]),
+      filledSlots: Number(result[4]),
+      interestRateBps: uint256.uint256ToBN({ low: result[5], high: result[6] }),
+      repaymentPeriod: Number(result[7]),
+      status: Number(result[10]),
+      createdAt: Number(result[11])
+    };
+  }
+
+  /**
+   * Read an application's current state
+   * @returns {Promise<object|null>} Parsed application (see repaymentService.parseApplication)
+   */
+  async getApplicationState(offer, commitment) {
+    const { low, high } = uint256.bnToUint256(BigInt(offer.loanId));
+    const { result } = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'get_application',
+      calldata: [low, high, commitment]
+    });
+
+    const application = repaymentService.parseApplication(result, offer);
+    return application.borrower && BigInt(application.borrower) !== 0n ? application : null;
+  }
+
+  /**
+   * Current chain time (latest block timestamp)
+   */
+  async getChainTime() {
+    const block = await this.provider.getBlock('latest');
+    return Number(block.timestamp);
+  }
+
+  /**
+   * Classify a funded application
+   */
+  classify(application, chainTime) {
+    if (application.status === 2) return 'repaid';
+    if (application.status !== 1 && application.status !== 3) return 'pending';
+    if (application.totalDue > 0n && application.amountRepaid >= application.totalDue) return 'repaid';
+    if (chainTime <= application.repaymentDeadline) return 'active';
+    const windowStart = application.defaultedAt || application.repaymentDeadline;
+    return chainTime < windowStart + this.disputeWindowSeconds ? 'overdue' : 'defaulted';
+  }
+
+  /**
+   * Build the portfolio of a lender
+   * @param {string} lenderAddress - Lender address
+   * @returns {Promise<object>} Totals, per-loan breakdown and time-to-repay distribution
+   */
+  async getPortfolio(lenderAddress) {
+    const lender = BigInt(lenderAddress);
+    escrowEventStore.load(this.escrowAddress);
+
+    const [loanCount, chainTime] = await Promise.all([this.getLoanCount(), this.getChainTime()]);
+
+    const offers = [];
+    for (let i = 1; i <= loanCount; i++) {
+      try {
+        const offer = await this.getLoanOffer(i);
+        if (BigInt(offer.lender) === lender) {
+          offers.push(offer);
+        }
+      } catch (error) {
+        logger.error(`❌ [PORTFOLIO] Error fetching loan ${i}`, { error: error.message });
+      }
+    }
+
+    logger.info(`📊 [PORTFOLIO] ${offers.length} of ${loanCount} loans belong to lender`, { lenderAddress });
+
+    const loans = [];
+    const repayDurations = [];
+    for (const offer of offers) {
+      const indexed = escrowEventStore.getApplicationsForLoan(offer.loanId);
+      const applications = [];
+      for (const app of indexed) {
+        const state = await this.getApplicationState(offer, app.commitment);
+        if (state) {
+          state.defaultedAt = app.defaultedAt ? Math.floor(new Date(app.defaultedAt).getTime() / 1000) : null;
+          applications.push({ ...state, classification: this.classify(state, chainTime) });
+        }
+      }
+      loans.push(this.summarizeLoan(offer, applications, repayDurations));
+    }
+
+    const totals = this.aggregate(loans);
+
+    return {
+      lender: lenderAddress,
+      chainTime: new Date(chainTime * 1000).toISOString(),
+      disputeWindowSeconds: this.disputeWindowSeconds,
+      indexedThroughBlock: escrowEventStore.getCursor()?.blockNumber ?? null,
+      token: { symbol: 'STRK', decimals: 18 },
+      totals,
+      timeToRepay: this.distribution(repayDurations),
+      loans
+    };
+  }
+
+  /**
+   * Per-loan figures
+   * @param {object} offer - LoanOffer
+   * @param {Array<object>} applications - Application states with classification
+   * @param {Array<object>} repayDurations - Collects { days, termDays } of repaid applications
+   */
+  summarizeLoan(offer, applications, repayDurations) {
+    const principal = offer.amountPerBorrower;
+    const counts = { pending: 0, active: 0, overdue: 0, defaulted: 0, repaid: 0 };
+    let deployed = 0n;
+    let outstandingPrincipal = 0n;
+    let expectedInterest = 0n;
+    let realizedInterest = 0n;
+    let repaidPrincipal = 0n;
+    let collected = 0n;
+    let defaultedPrincipal = 0n;
+
+    for (const app of applications) {
+      counts[app.classification] += 1;
+      if (app.status === 0) continue;
+
+      const totalDue = app.totalDue;
+      const repaid = app.amountRepaid;
+      const interest = totalDue > principal ? totalDue - principal : 0n;
+      const owed = totalDue > repaid ? totalDue - repaid : 0n;
+      const unpaidPrincipal = totalDue > 0n ? (principal * owed) / totalDue : 0n;
+
+      deployed += principal;
+      collected += repaid;
+
+      if (app.classification === 'repaid') {
+        realizedInterest += repaid > principal ? repaid - principal : 0n;
+        repaidPrincipal += principal;
+        if (app.repaidAt && app.approvedAt) {
+          repayDurations.push({
+            days: (app.repaidAt - app.approvedAt) / DAY,
+            termDays: (app.repaymentDeadline - app.approvedAt) / DAY
+          });
+        }
+      } else {
+        outstandingPrincipal += unpaidPrincipal;
+        if (app.classification === 'defaulted') {
+          defaultedPrincipal += unpaidPrincipal;
+        } else {
+          expectedInterest += interest;
+        }
+      }
+    }
+
+    const funded = counts.active + counts.overdue + counts.defaulted + counts.repaid;
+
+    return {
+      loanId: offer.loanId,
+      status: LOAN_STATUS[offer.status] || 'unknown',
+      amountPerBorrower: principal.toString(),
+      interestRateBps: offer.interestRateBps.toString(),
+      repaymentPeriod: offer.repaymentPeriod,
+      createdAt: offer.createdAt ? new Date(offer.createdAt * 1000).toISOString() : null,
+      totalSlots: offer.totalSlots,
+      filledSlots: offer.filledSlots,
+      fundedApplications: funded,
+      slotUtilisation: offer.totalSlots > 0 ? funded / offer.totalSlots : 0,
+      applications: counts,
+      capitalCommitted: (principal * BigInt(offer.totalSlots)).toString(),
+      capitalDeployed: deployed.toString(),
+      outstandingPrincipal: outstandingPrincipal.toString(),
+      expectedInterest: expectedInterest.toString(),
+      realizedInterest: realizedInterest.toString(),
+      repaidPrincipal: repaidPrincipal.toString(),
+      defaultedPrincipal: defaultedPrincipal.toString(),
+      collected: collected.toString()
+    };
+  }
+
+  /**
+   * Portfolio totals over all loans
+   */
+  aggregate(loans) {
+    const sum = (field) => loans.reduce((total, loan) => total + BigInt(loan[field]), 0n);
+    const count = (status) => loans.reduce((total, loan) => total + loan.applications[status], 0);
+
+    const repaidPrincipal = sum('repaidPrincipal');
+    const realizedInterest = sum('realizedInterest');
+    const totalSlots = loans.reduce((total, loan) => total + loan.totalSlots, 0);
+    const fundedApplications = loans.reduce((total, loan) => total + loan.fundedApplications, 0);
+    const defaulted = count('defaulted');
+    const repaid = count('repaid');
+
+    return {
+      loans: loans.length,
+      activeOffers: loans.filter(loan => loan.status === 'active').length,
+      capitalCommitted: sum('capitalCommitted').toString(),
+      capitalDeployed: sum('capitalDeployed').toString(),
+      outstandingPrincipal: sum('outstandingPrincipal').toString(),
+      expectedInterest: sum('expectedInterest').toString(),
+      realizedInterest: realizedInterest.toString(),
+      collected: sum('collected').toString(),
+      defaultedPrincipal: sum('defaultedPrincipal').toString(),
+      // Interest earned on closed loans relative to their principal
+      realizedYield: repaidPrincipal > 0n ? ratio(realizedInterest, repaidPrincipal) : 0,
+      // Defaults among loans that reached an outcome (repaid or defaulted)
+      defaultRate: defaulted + repaid > 0 ? defaulted / (defaulted + repaid) : 0,
+      totalSlots,
+      fundedApplications,
+      slotUtilisation: totalSlots > 0 ? fundedApplications / totalSlots : 0,
+      applications: {
+        pending: count('pending'),
+        active: count('active'),
+        overdue: count('overdue'),
+        defaulted,
+        repaid
+      }
+    };
+  }
+
+  /**
+   * Time-to-repay histogram and summary statistics
+   * @param {Array<object>} durations - { days, termDays }
+   */
+  distribution(durations) {
+    const days = durations.map(d => d.days).sort((a, b) => a - b);
+    const buckets = REPAY_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+    for (const value of days) {
+      const index = REPAY_BUCKETS.findIndex(bucket => value <= bucket.maxDays);
+      buckets[index].count += 1;
+    }
+
+    const percentile = (p) => {
+      if (days.length === 0) return null;
+      return round(days[Math.min(days.length - 1, Math.floor(p * days.length))]);
+    };
+    const termUsed = durations.filter(d => d.termDays > 0).map(d => d.days / d.termDays);
+
+    return {
+      count: days.length,
+      buckets,
+      meanDays: days.length ? round(days.reduce((a, b) => a + b, 0) / days.length) : null,
+      medianDays: percentile(0.5),
+      p90Days: percentile(0.9),
+      // Share of the repayment term used before repaying (1 = on the deadline)
+      meanTermUsed: termUsed.length ? round(termUsed.reduce((a, b) => a + b, 0) / termUsed.length) : null
+    };
+  }
+}
+
+function ratio(numerator, denominator) {
+  return Number((numerator * 1000000n) / denominator) / 1000000;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = new LenderPortfolioService();
@@ -1,18 +1,66 @@
 /**
  * Loan Monitor Service
  * Tracks active loans and handles default/repayment logic
+ *
+ * Used by the legacy loanController flow. LoanEscrowZK deadlines are handled by
+ * workers/deadlineScheduler, which marks defaults on-chain.
+ *
+ * Loans are persisted in the monitored_loans table (see repositories/monitoredLoanRepository)
+ * and kept there as history once repaid or defaulted. Deadline timers are in memory;
+ * resume() re-arms them after a restart.
  */
 
 const EventEmitter = require('events');
 const logger = require('../utils/logger');
+const monitoredLoanRepository = require('../repositories/monitoredLoanRepository');
 
 class LoanMonitor extends EventEmitter {
   constructor() {
     super();
-    this.activeLoans = new Map(); // loanId -> loan data
     this.timers = new Map(); // loanId -> timeout reference
   }
 
+  /**
+   * Re-arm deadline timers for loans that were active before a restart
+   * Loans whose deadline passed while the process was down default immediately.
+   * @returns {number} Number of loans resumed
+   */
+  resume() {
+    const loans = monitoredLoanRepository.findAll({ status: 'active' })
+      .filter(loan => !this.timers.has(loan.loanId));
+    for (const loan of loans) {
+      this.scheduleDefault(loan.loanId, loan.deadline);
+    }
+
+    if (loans.length > 0) {
+      logger.info(`📊 Resumed monitoring for ${loans.length} active loan(s)`);
+    }
+    return loans.length;
+  }
+
+  /**
+   * Default the loan at its deadline (or now, if already past)
+   * @param {string} loanId - Loan ID
+   * @param {number} deadline - Unix ms
+   * @returns {number} Milliseconds until the deadline
+   */
+  scheduleDefault(loanId, deadline) {
+    const timeUntilDeadline = deadline - Date.now();
+
+    if (timeUntilDeadline <= 0) {
+      logger.warn(`Loan ${loanId} deadline has already passed`);
+      this.handleDefault(loanId);
+      return timeUntilDeadline;
+    }
+
+    const timer = setTimeout(() => {
+      this.handleDefault(loanId);
+    }, timeUntilDeadline);
+
+    this.timers.set(loanId, timer);
+    return timeUntilDeadline;
+  }
+
   /**
    * Register a new loan for monitoring
    * @param {Object} loanData - Loan details
@@ -28,35 +76,24 @@ class LoanMonitor extends EventEmitter {
   startMonitoring(loanData) {
     const { loanId, deadline, borrowerAddress, lenderAddress } = loanData;
 
-    if (this.activeLoans.has(loanId)) {
+    if (monitoredLoanRepository.find(loanId)) {
       logger.warn(`Loan ${loanId} is already being monitored`);
       return;
     }
 
     // Store loan data
-    this.activeLoans.set(loanId, {
+    monitoredLoanRepository.save({
       ...loanData,
       status: 'active',
       monitoringStartedAt: Date.now()
     });
 
-    // Calculate time until deadline
-    const timeUntilDeadline = deadline - Date.now();
-
+    // Set timeout for automatic default handling (defaults now if already past)
+    const timeUntilDeadline = this.scheduleDefault(loanId, deadline);
     if (timeUntilDeadline <= 0) {
-      // Already past deadline
-      logger.warn(`Loan ${loanId} deadline has already passed`);
-      this.handleDefault(loanId);
       return;
     }
 
-    // Set timeout for automatic default handling
-    const timer = setTimeout(() => {
-      this.handleDefault(loanId);
-    }, timeUntilDeadline);
-
-    this.timers.set(loanId, timer);
-
     logger.info(`📊 Monitoring started for loan ${loanId}`, {
       borrower: borrowerAddress,
       lender: lenderAddress,
@@ -74,7 +111,7 @@ class LoanMonitor extends EventEmitter {
    * @param {string} txHash - Transaction hash of repayment
    */
   handleRepayment(loanId, txHash) {
-    const loan = this.activeLoans.get(loanId);
+    const loan = monitoredLoanRepository.find(loanId);
 
     if (!loan) {
       logger.warn(`Attempt to repay non-existent loan: ${loanId}`);
@@ -97,6 +134,7 @@ class LoanMonitor extends EventEmitter {
     loan.status = 'repaid';
     loan.repaidAt = Date.now();
     loan.repaymentTxHash = txHash;
+    monitoredLoanRepository.save(loan);
 
     logger.info(`✅ Loan repaid successfully`, {
       loanId,
@@ -116,12 +154,6 @@ class LoanMonitor extends EventEmitter {
       repaidAt: loan.repaidAt
     });
 
-    // Remove from active monitoring after 1 minute (keep in history)
-    setTimeout(() => {
-      this.activeLoans.delete(loanId);
-      logger.info(`Loan ${loanId} removed from monitoring (repaid)`);
-    }, 60000);
-
     return loan;
   }
 
@@ -130,7 +162,7 @@ class LoanMonitor extends EventEmitter {
    * @param {string} loanId - Loan ID
    */
   handleDefault(loanId) {
-    const loan = this.activeLoans.get(loanId);
+    const loan = monitoredLoanRepository.find(loanId);
 
     if (!loan) {
       logger.warn(`Attempt to default non-existent loan: ${loanId}`);
@@ -152,6 +184,7 @@ class LoanMonitor extends EventEmitter {
     // Update loan status
     loan.status = 'defaulted';
     loan.defaultedAt = Date.now();
+    monitoredLoanRepository.save(loan);
 
     // **IDENTITY REVEAL - Console Logging**
     console.log('\n' + '='.repeat(80));
@@ -192,12 +225,6 @@ class LoanMonitor extends EventEmitter {
       commitment: loan.commitment
     });
 
-    // Keep in history for a while, then remove
-    setTimeout(() => {
-      this.activeLoans.delete(loanId);
-      logger.info(`Loan ${loanId} removed from monitoring (defaulted)`);
-    }, 300000); // 5 minutes
-
     return loan;
   }
 
@@ -207,7 +234,7 @@ class LoanMonitor extends EventEmitter {
    * @returns {Object|null} Loan data or null if not found
    */
   getLoanStatus(loanId) {
-    return this.activeLoans.get(loanId) || null;
+    return monitoredLoanRepository.find(loanId);
   }
 
   /**
@@ -215,7 +242,7 @@ class LoanMonitor extends EventEmitter {
    * @returns {Array} Array of active loan data
    */
   getActiveLoans() {
-    return Array.from(this.activeLoans.values()).filter(loan => loan.status === 'active');
+    return monitoredLoanRepository.findAll({ status: 'active' });
   }
 
   /**
@@ -224,9 +251,7 @@ class LoanMonitor extends EventEmitter {
    * @returns {Array} Array of loans for this borrower
    */
   getLoansByBorrower(borrowerAddress) {
-    return Array.from(this.activeLoans.values()).filter(
-      loan => loan.borrowerAddress.toLowerCase() === borrowerAddress.toLowerCase()
-    );
+    return monitoredLoanRepository.findAll({ borrowerAddress });
   }
 
   /**
@@ -235,9 +260,7 @@ class LoanMonitor extends EventEmitter {
    * @returns {Array} Array of loans for this lender
    */
   getLoansByLender(lenderAddress) {
-    return Array.from(this.activeLoans.values()).filter(
-      loan => loan.lenderAddress.toLowerCase() === lenderAddress.toLowerCase()
-    );
+    return monitoredLoanRepository.findAll({ lenderAddress });
   }
 
   /**
@@ -260,10 +283,9 @@ class LoanMonitor extends EventEmitter {
       this.timers.delete(loanId);
     }
 
-    const loan = this.activeLoans.get(loanId);
+    const loan = monitoredLoanRepository.find(loanId);
     if (loan) {
-      loan.status = 'canceled';
-      this.activeLoans.delete(loanId);
+      monitoredLoanRepository.delete(loanId);
       logger.info(`Monitoring stopped for loan ${loanId} (canceled)`);
     }
   }
@@ -273,7 +295,7 @@ class LoanMonitor extends EventEmitter {
    * @returns {Object} Statistics about monitored loans
    */
   getStats() {
-    const loans = Array.from(this.activeLoans.values());
+    const loans = monitoredLoanRepository.findAll();
     return {
       totalLoans: loans.length,
       activeLoans: loans.filter(l => l.status === 'active').length,
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const { RpcProvider, uint256 } = require('starknet');
+const ipfsService = require('./ipfsService');
+const identityCommitmentStore = require('./identityCommitmentStore');
+const incomeAttestationStore = require('./incomeAttestationStore');
+const escrowEventStore = require('./escrowEventStore');
+const identityPredicateService = require('./identityPredicateService');
+const loanPolicyRepository = require('../repositories/loanPolicyRepository');
+const activityBlockCache = require('./activityBlockCache');
+const { fetchRealActivityData } = require('./transactionFetcher');
+const logger = require('../utils/logger');
+const { isNationalityCode } = require('../utils/mrz');
+
+const POLICY_VERSION = 1;
+const DAY = 24 * 60 * 60;
+
+// Policy criteria, in the order they are evaluated and shown to lenders
+const CRITERIA = {
+  minActivityScore: { type: 'integer', min: 0, max: 1000 },
+  requireVerifiedAge: { type: 'boolean' },
+  minWalletAgeDays: { type: 'integer', min: 0, max: 36500 },
+  maxActiveLoans: { type: 'integer', min: 1, max: 1000 },
+  minAnnualIncome: { type: 'number', min: 0 },
+  minAge: { type: 'integer', min: 18, max: 150 },
+  maxAge: { type: 'integer', min: 18, max: 150 },
+  excludedNationalities: { type: 'codes', max: 255 },
+  requireDocumentValidThroughDeadline: { type: 'boolean' }
+};
+
+// Criteria proven with an identity predicate proof (identityPredicateService)
+const IDENTITY_PREDICATE_CRITERIA = ['minAge', 'maxAge', 'excludedNationalities', 'requireDocumentValidThroughDeadline'];
+
+/**
+ * Lender-defined eligibility policies for loan offers.
+ * The policy body is stored on IPFS and in a local registry (SQLite) keyed by its hash;
+ * only the hash goes on-chain (LoanEscrowZK.create_loan_offer_with_policy), so anyone
+ * holding the body can check it is the one the lender committed to.
+ *
+ * Policies are advisory: the contract still only enforces min_activity_score, and the
+ * lender decides whether to approve an applicant the backend marks ineligible.
+ */
+class LoanPolicyService {
+  constructor() {
+    this.escrowAddress = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+    this.provider = new RpcProvider({
+      nodeUrl: process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7'
+    });
+  }
+
+  /**
+   * Validate a policy and return it in canonical form (known criteria only, fixed key order)
+   * @param {object} input - Policy criteria from the lender
+   * @returns {object} { policy, errors }
+   */
+  normalizePolicy(input) {
+    const errors = [];
+    const policy = { version: POLICY_VERSION };
+
+    if (!input || typeof input !== 'object') {
+      return { policy: null, errors: ['Policy must be an object'] };
+    }
+
+    for (const key of Object.keys(input)) {
+      if (key !== 'version' && !CRITERIA[key]) {
+        errors.push(`Unknown criterion: ${key}`);
+      }
+    }
+
+    for (const [key, rule] of Object.entries(CRITERIA)) {
+      const value = input[key];
+      if (value === undefined || value === null || value === '') {
+        continue;
+      }
+
+      if (rule.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+          errors.push(`${key} must be true or false`);
+        } else if (value) {
+          policy[key] = true;
+        }
+        continue;
+      }
+
+      if (rule.type === 'codes') {
+        const codes = Array.isArray(value) ? value.map(code => String(code).trim().toUpperCase()) : null;
+        const unknown = codes ? codes.filter(code => !isNationalityCode(code)) : [];
+        if (!codes) {
+          errors.push(`${key} must be a list of nationality codes`);
+        } else if (unknown.length > 0) {
+          errors.push(`${key} has unknown nationality codes: ${unknown.join(', ')}`);
+        } else if (new Set(codes).size > rule.max) {
+          errors.push(`${key} can hold at most ${rule.max} codes`);
+        } else if (codes.length > 0) {
+          policy[key] = [...new Set(codes)].sort();
+        }
+        continue;
+      }
+
+      const number = Number(value);
+      if (!Number.isFinite(number) || (rule.type === 'integer' && !Number.isInteger(number))) {
+        errors.push(`${key} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'}`);
+      } else if (number < rule.min || (rule.max !== undefined && number > rule.max)) {
+        errors.push(`${key} must be between ${rule.min} and ${rule.max ?? 'any amount'}`);
+      } else {
+        policy[key] = number;
+      }
+    }
+
+    if (policy.minAge !== undefined && policy.maxAge !== undefined && policy.minAge > policy.maxAge) {
+      errors.push('minAge must not be above maxAge');
+    }
+
+    if (Object.keys(policy).length === 1 && errors.length === 0) {
+      errors.push('Policy has no criteria');
+    }
+
+    return { policy: errors.length ? null : policy, errors };
+  }
+
+  /**
+   * On-chain policy hash: sha256 of the canonical JSON, shifted to 250 bits so it fits a felt252
+   * @param {object} policy - Normalized policy
+   * @returns {string} Policy hash (hex)
+   */
+  hashPolicy(policy) {
+    const digest = crypto.createHash('sha256').update(JSON.stringify(policy)).digest('hex');
+    return '0x' + (BigInt('0x' + digest) >> 6n).toString(16);
+  }
+
+  /**
+   * Store a policy on IPFS and in the registry
+   * @param {object} input - Policy criteria from the lender
+   * @returns {object} { policy, policyHash, cid, gatewayUrl }
+   */
+  async publishPolicy(input) {
+    const { policy, errors } = this.normalizePolicy(input);
+    if (!policy) {
+      const error = new Error(`Invalid loan policy: ${errors.join('; ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    const policyHash = this.hashPolicy(policy);
+    const storage = ipfsService.initialize();
+    const cid = await storage.putJSON(policy, { name: `loan-policy-${policyHash}.json` });
+
+    loanPolicyRepository.insert({ policyHash, cid, policy });
+
+    logger.info('📜 Published loan policy', { policyHash, cid });
+
+    return { policy, policyHash, cid, gatewayUrl: ipfsService.getGatewayURL(cid) };
+  }
+
+  /**
+   * Policy hash committed for a loan offer (null if the offer has no policy)
+   * @param {string} loanId - Loan ID
+   * @returns {string|null} Policy hash (hex)
+   */
+  async getLoanPolicyHash(loanId) {
+    const { low, high } = uint256.bnToUint256(BigInt(loanId));
+    const result = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'get_loan_policy',
+      calldata: [low, high]
+    });
+    const policyHash = BigInt(result.result[0]);
+    return policyHash === 0n ? null : '0x' + policyHash.toString(16);
+  }
+
+  /**
+   * Policy attached to a loan offer. The body comes from the registry, or from IPFS by
+   * CID when the registry lacks it, and is checked against the on-chain hash.
+   * @param {string} loanId - Loan ID
+   * @param {string} cid - Policy CID to fall back to (optional)
+   * @returns {object|null} { policyHash, cid, policy, verified }
+   */
+  async getLoanPolicy(loanId, cid = null) {
+    const policyHash = await this.getLoanPolicyHash(loanId);
+    if (!policyHash) {
+      return null;
+    }
+
+    const entry = loanPolicyRepository.find(policyHash);
+    if (entry) {
+      return { policyHash, cid: entry.cid, policy: entry.policy, verified: this.hashPolicy(entry.policy) === policyHash };
+    }
+
+    if (cid) {
+      const policy = await ipfsService.retrieveFromIPFS(cid);
+      const verified = this.hashPolicy(policy) === policyHash;
+      if (verified) {
+        loanPolicyRepository.insert({ policyHash, cid, policy });
+      }
+      return { policyHash, cid, policy, verified };
+    }
+
+    return { policyHash, cid: null, policy: null, verified: false };
+  }
+
+  /**
+   * Evaluate applications against a policy
+   * @param {object} policy - Normalized policy
+   * @param {Array<object>} applications - Applications with loanId, borrower, activityScore, status
+   * @returns {Array<object>} { eligible, reasons, checks } per application, in the same order
+   */
+  async evaluateApplications(policy, applications) {
+    const walletAges = new Map(); // borrower -> Promise<days>, shared by a borrower's applications
+    const results = [];
+
+    for (const app of applications) {
+      results.push(await this.evaluateApplication(policy, app, walletAges));
+    }
+
+    return results;
+  }
+
+  /**
+   * Age of a wallet in days, from its oldest transfer in the activity block cache.
+   * A wallet the backend has never scanned is scanned once here; after that its age
+   * is read from the cache, and later activity scans keep it up to date.
+   * @param {string} walletAddress - Borrower wallet
+   * @returns {Promise<number>} Whole days since the first transfer, 0 if none was found
+   */
+  async getWalletAgeDays(walletAddress) {
+    let firstSeen = activityBlockCache.getFirstSeen(walletAddress);
+    if (!firstSeen) {
+      const data = await fetchRealActivityData(walletAddress);
+      firstSeen = activityBlockCache.getFirstSeen(walletAddress);
+      if (!firstSeen) {
+        throw new Error(data.error || 'Activity scan failed');
+      }
+    }
+    if (firstSeen.firstSeenAt === null) {
+      return 0;
+    }
+    return Math.floor(Math.max(0, Math.floor(Date.now() / 1000) - firstSeen.firstSeenAt) / DAY);
+  }
+
+  /**
+   * Evaluate one application. A criterion that cannot be checked counts as failed.
+   * @returns {object} { eligible, reasons, checks: [{ criterion, passed, required, actual, reason }] }
+   */
+  async evaluateApplication(policy, app, walletAges = new Map()) {
+    const checks = [];
+    const check = (criterion, required, actual, passed, reason) => {
+      checks.push({ criterion, required, actual, passed, reason: passed ? null : reason });
+    };
+
+    if (policy.minActivityScore !== undefined) {
+      const proven = Number(app.activityScore) || 0;
+      check('minActivityScore', policy.minActivityScore, proven, proven >= policy.minActivityScore,
+        `Proof covers a score of ${proven}, policy requires ${policy.minActivityScore}`);
+    }
+
+    if (policy.requireVerifiedAge) {
+      try {
+        const record = await identityCommitmentStore.findCommitmentsForWallet(app.borrower);
+        const verified = !!record?.identity_commitment;
+        check('requireVerifiedAge', true, verified, verified, 'No age-verified identity commitment for this wallet');
+      } catch (error) {
+        check('requireVerifiedAge', true, null, false, `Could not check identity commitment: ${error.message}`);
+      }
+    }
+
+    if (policy.minWalletAgeDays !== undefined) {
+      try {
+        if (!walletAges.has(app.borrower)) {
+          walletAges.set(app.borrower, this.getWalletAgeDays(app.borrower));
+        }
+        const days = await walletAges.get(app.borrower);
+        check('minWalletAgeDays', policy.minWalletAgeDays, days, days >= policy.minWalletAgeDays,
+          `Wallet is ${days} days old, policy requires ${policy.minWalletAgeDays}`);
+      } catch (error) {
+        check('minWalletAgeDays', policy.minWalletAgeDays, null, false, `Could not determine wallet age: ${error.message}`);
+      }
+    }
+
+    if (policy.maxActiveLoans !== undefined) {
+      const activeElsewhere = escrowEventStore.getApplicationsByBorrower(app.borrower)
+        .filter(other => (other.status === 'approved' || other.status === 'defaulted') && other.loanId !== app.loanId.toString())
+        .length;
+      check('maxActiveLoans', policy.maxActiveLoans, activeElsewhere, activeElsewhere < policy.maxActiveLoans,
+        `Borrower has ${activeElsewhere} active loan(s), policy allows ${policy.maxActiveLoans} at a time including this one`);
+    }
+
+    if (policy.minAnnualIncome !== undefined) {
+      try {
+        const attestation = await incomeAttestationStore.getLatestAttestation(app.borrower);
+        const income = attestation ? attestation.annualIncome : null;
+        check('minAnnualIncome', policy.minAnnualIncome, income, income !== null && income >= policy.minAnnualIncome,
+          income === null
+            ? 'No current income attestation linked to this wallet'
+            : `Attested annual income ${income} is below ${policy.minAnnualIncome}`);
+      } catch (error) {
+        check('minAnnualIncome', policy.minAnnualIncome, null, false, `Could not check income attestation: ${error.message}`);
+      }
+    }
+
+    if (IDENTITY_PREDICATE_CRITERIA.some(key => policy[key] !== undefined)) {
+      const required = IDENTITY_PREDICATE_CRITERIA.filter(key => policy[key] !== undefined)
+        .reduce((criteria, key) => ({ ...criteria, [key]: policy[key] }), {});
+      try {
+        const result = await identityPredicateService.evaluateApplication(policy, app);
+        check('identityPredicates', required, !!result.proof, result.passed, result.reason);
+      } catch (error) {
+        check('identityPredicates', required, null, false, `Could not check identity predicate proof: ${error.message}`);
+      }
+    }
+
+    const reasons = checks.filter(c => !c.passed).map(c => c.reason);
+    return { eligible: reasons.length === 0, reasons, checks };
+  }
+}
+
+module.exports = new LoanPolicyService();
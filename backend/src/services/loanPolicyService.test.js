@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loan-policy-test-'));
+process.env.DATABASE_FILE = path.join(dataDir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+
+// Stand-in for the RPC scan: records the wallet's oldest transfer like fetchRealActivityData does
+const scans = { firstSeenAt: {}, fail: false };
+jest.mock('./transactionFetcher', () => {
+  const activityBlockCache = require('./activityBlockCache');
+  return {
+    fetchRealActivityData: jest.fn(async walletAddress => {
+      if (scans.fail) {
+        return { score: 0, error: 'RPC unavailable', dataSource: 'fallback' };
+      }
+      const firstSeenAt = scans.firstSeenAt[walletAddress] ?? null;
+      activityBlockCache.recordFirstSeen(walletAddress, firstSeenAt === null ? null : 1000, firstSeenAt);
+      return { score: 500 };
+    })
+  };
+});
+
+const db = require('../db');
+const activityBlockCache = require('./activityBlockCache');
+const { fetchRealActivityData } = require('./transactionFetcher');
+const loanPolicyService = require('./loanPolicyService');
+
+const DAY = 24 * 60 * 60;
+
+function daysAgo(days) {
+  return Math.floor(Date.now() / 1000) - days * DAY;
+}
+
+function walletAgeCheck(result) {
+  return result.checks.find(check => check.criterion === 'minWalletAgeDays');
+}
+
+describe('loanPolicyService wallet age', () => {
+  const policy = { version: 1, minWalletAgeDays: 30 };
+
+  beforeEach(() => {
+    fetchRealActivityData.mockClear();
+    scans.fail = false;
+  });
+
+  afterAll(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('scans a wallet the backend has never seen once, then reads its age from the block cache', async () => {
+    scans.firstSeenAt['0xb1'] = daysAgo(40);
+    const applications = [{ loanId: 1, borrower: '0xb1' }, { loanId: 2, borrower: '0xb1' }];
+
+    const results = await loanPolicyService.evaluateApplications(policy, applications);
+    expect(results.map(result => result.eligible)).toEqual([true, true]);
+    expect(walletAgeCheck(results[0])).toMatchObject({ actual: 40, passed: true });
+    expect(fetchRealActivityData).toHaveBeenCalledTimes(1);
+
+    await loanPolicyService.evaluateApplications(policy, applications);
+    expect(fetchRealActivityData).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the oldest transfer recorded for a wallet', async () => {
+    activityBlockCache.recordFirstSeen('0x00b2', 500, daysAgo(20));
+    activityBlockCache.recordFirstSeen('0xb2', 900, daysAgo(2));
+
+    const [result] = await loanPolicyService.evaluateApplications(policy, [{ loanId: 1, borrower: '0xb2' }]);
+
+    expect(walletAgeCheck(result)).toMatchObject({
+      actual: 20,
+      passed: false,
+      reason: 'Wallet is 20 days old, policy requires 30'
+    });
+    expect(activityBlockCache.getFirstSeen('0xb2')).toMatchObject({ firstBlock: 500 });
+    expect(fetchRealActivityData).not.toHaveBeenCalled();
+  });
+
+  it('counts a wallet scanned without transfers as new without scanning it again', async () => {
+    await loanPolicyService.evaluateApplications(policy, [{ loanId: 1, borrower: '0xb3' }]);
+    const [result] = await loanPolicyService.evaluateApplications(policy, [{ loanId: 1, borrower: '0xb3' }]);
+
+    expect(walletAgeCheck(result)).toMatchObject({ actual: 0, passed: false });
+    expect(fetchRealActivityData).toHaveBeenCalledTimes(1);
+  });
+
+  it('fails the check when the scan fails and retries on the next evaluation', async () => {
+    scans.fail = true;
+    const [failed] = await loanPolicyService.evaluateApplications(policy, [{ loanId: 1, borrower: '0xb4' }]);
+    expect(walletAgeCheck(failed)).toMatchObject({
+      actual: null,
+      passed: false,
+      reason: 'Could not determine wallet age: RPC unavailable'
+    });
+
+    scans.fail = false;
+    scans.firstSeenAt['0xb4'] = daysAgo(31);
+    const [result] = await loanPolicyService.evaluateApplications(policy, [{ loanId: 1, borrower: '0xb4' }]);
+    expect(result.eligible).toBe(true);
+    expect(fetchRealActivityData).toHaveBeenCalledTimes(2);
+  });
+});
@@ -9,6 +9,7 @@ class ADPAdapter {
   constructor() {
     this.clientId = process.env.ADP_CLIENT_ID;
     this.clientSecret = process.env.ADP_CLIENT_SECRET;
+    this.webhookSecret = process.env.ADP_WEBHOOK_SECRET;
     this.baseUrl = 'https://api.adp.com';
     this.accessToken = null;
     this.tokenExpiry = null;
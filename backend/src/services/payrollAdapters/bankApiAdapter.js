@@ -12,6 +12,8 @@ class BankApiAdapter {
 
   /**
    * Register a custom employer endpoint
+   * Webhooks from the employer are verified with webhookSecret (HMAC) or webhookJwk
+   * (public key of a signed JWT), whichever is configured.
    * @param {string} employerId - Employer identifier
    * @param {object} config - API configuration
    */
@@ -20,7 +22,9 @@ class BankApiAdapter {
       baseUrl: config.baseUrl,
       apiKey: config.apiKey,
       authType: config.authType || 'bearer',
-      headers: config.headers || {}
+      headers: config.headers || {},
+      webhookSecret: config.webhookSecret || null,
+      webhookJwk: config.webhookJwk || null
     });
 
     logger.info('Registered employer endpoint', { employerId });
@@ -14,6 +14,7 @@ class PlaidAdapter {
     });
 
     this.client = new PlaidApi(configuration);
+    this.webhookKeys = new Map();
   }
 
   /**
@@ -67,6 +68,53 @@ class PlaidAdapter {
     }
   }
 
+  /**
+   * Get the item an access token belongs to
+   * @param {string} accessToken - Plaid access token
+   * @returns {string} Item ID
+   */
+  async getItemId(accessToken) {
+    try {
+      const response = await this.client.itemGet({
+        access_token: accessToken,
+      });
+
+      return response.data.item.item_id;
+    } catch (error) {
+      logger.error('Failed to get Plaid item', {
+        error: error.message
+      });
+      throw new Error(`Item retrieval failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the public JWK Plaid signed a webhook with (cached by key ID)
+   * @param {string} keyId - kid from the Plaid-Verification JWT header
+   * @returns {object} JWK, with expired_at set once Plaid rotated it out
+   */
+  async getWebhookVerificationKey(keyId) {
+    if (this.webhookKeys.has(keyId)) {
+      return this.webhookKeys.get(keyId);
+    }
+
+    try {
+      const response = await this.client.webhookVerificationKeyGet({
+        key_id: keyId,
+      });
+
+      const key = response.data.key;
+      this.webhookKeys.set(keyId, key);
+      return key;
+    } catch (error) {
+      logger.error('Failed to get Plaid webhook verification key', {
+        keyId,
+        error: error.message
+      });
+      throw new Error(`Webhook key retrieval failed: ${error.message}`);
+    }
+  }
+
   /**
    * Get income verification data
    * @param {string} accessToken - Plaid access token
@@ -1,59 +1,481 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { Account, RpcProvider, CallData, ec, hash, shortString } = require('starknet');
+const { buildEddsa } = require('circomlibjs');
+const thresholds = require('../config/thresholds');
 const logger = require('../utils/logger');
+const incomeAttestationStore = require('./incomeAttestationStore');
+const payrollOracleRepository = require('../repositories/payrollOracleRepository');
+
+const DOMAIN = 'LOANZY_INCOME_V1';
+const SCHEMES = ['stark', 'ecdsa', 'eddsa'];
+// Curves accepted for ECDSA oracle keys
+const ECDSA_CURVES = ['prime256v1', 'secp256k1'];
+const MAX_CLOCK_SKEW = thresholds.proof.maxClockSkew / 1000;
+
+/**
+ * Error with an HTTP status for the payroll routes
+ */
+function oracleError(status, message, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
 
 /**
- * Payroll oracle service for on-chain attestations
- * Placeholder for oracle integration
+ * Normalize a felt to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeFelt(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+/**
+ * Payroll oracle service for signed, on-chain anchored income attestations
+ *
+ * Each oracle is registered with a public key: a Stark key ('stark' scheme), a
+ * P-256 / secp256k1 key ('ecdsa' scheme) or a BabyJubJub key ('eddsa' scheme). An attestation
+ *   { oracleId, subject, provider, annualIncome, currency, issuedAt, expiresAt, nonce, signature }
+ * is encoded as felts
+ *   [domain, oracleId, subject, provider, annualIncome, currency, issuedAt, expiresAt, nonce]
+ * (short strings for the text fields, Unix seconds for times, subject is the borrower
+ * wallet) and identified by the Poseidon hash of that encoding. Stark oracles sign the
+ * hash; ECDSA oracles sign its 32 bytes with SHA-256. EdDSA oracles sign the BN254
+ * Poseidon hash of the same encoding (the message hash) with EdDSA-Poseidon, which the
+ * incomeVerifier circuit can check, so their attestations can back income proofs.
+ *
+ * Received attestations are verified, stored, linked to the subject wallet as an
+ * income attestation and their hash anchored in the AttestationRegistry contract
+ * (ATTESTATION_REGISTRY_ADDRESS) from the attester account. Revoking an attestation
+ * invalidates it locally, in the income store and on-chain.
  */
 class PayrollOracles {
   constructor() {
-    this.oracleEndpoints = new Map();
+    this.registryAddress = process.env.ATTESTATION_REGISTRY_ADDRESS || null;
+    this.provider = new RpcProvider({
+      nodeUrl: process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7'
+    });
+    this.anchorerAddress = process.env.ATTESTER_ACCOUNT_ADDRESS;
+    this.anchorerPrivateKey = process.env.ATTESTER_PRIVATE_KEY;
+    this.account = null;
+    this.eddsa = null;
   }
 
   /**
-   * Register an oracle endpoint
-   * @param {string} oracleId - Oracle identifier
-   * @param {string} endpoint - Oracle API endpoint
+   * circomlibjs EdDSA (BabyJubJub, Poseidon), built on first use
+   */
+  async getEddsa() {
+    if (!this.eddsa) {
+      this.eddsa = await buildEddsa();
+    }
+    return this.eddsa;
+  }
+
+  /**
+   * Check if attestations can be anchored on-chain
+   * @returns {boolean} True if the registry and the anchoring account are configured
+   */
+  isAnchoringConfigured() {
+    return !!(this.registryAddress && this.anchorerAddress && this.anchorerPrivateKey);
+  }
+
+  /**
+   * Get the anchoring account
+   */
+  getAccount() {
+    if (!this.isAnchoringConfigured()) {
+      throw new Error('Attestation anchoring not configured (ATTESTATION_REGISTRY_ADDRESS, ATTESTER_ACCOUNT_ADDRESS, ATTESTER_PRIVATE_KEY)');
+    }
+    if (!this.account) {
+      this.account = new Account(this.provider, this.anchorerAddress, this.anchorerPrivateKey);
+    }
+    return this.account;
+  }
+
+  /**
+   * Register an oracle and its public key, or rotate the key of a registered one
+   * @param {string} oracleId - Oracle identifier (at most 31 ASCII characters)
+   * @param {object} config - { endpoint, scheme: 'stark' | 'ecdsa' | 'eddsa', publicKey }
+   *   publicKey is a felt for 'stark', a PEM or JWK for 'ecdsa', [Ax, Ay] for 'eddsa'
+   * @returns {Promise<object>} Registered oracle, with the onchainKey to register in AttestationRegistry
    */
-  registerOracle(oracleId, endpoint) {
-    this.oracleEndpoints.set(oracleId, {
+  async registerOracle(oracleId, { endpoint, scheme, publicKey }) {
+    if (!oracleId || oracleId.length > 31 || !shortString.isASCII(oracleId)) {
+      throw oracleError(400, 'oracleId must be 1-31 ASCII characters');
+    }
+    if (!SCHEMES.includes(scheme)) {
+      throw oracleError(400, `scheme must be one of: ${SCHEMES.join(', ')}`);
+    }
+
+    let storedKey;
+    try {
+      if (scheme === 'stark') {
+        storedKey = normalizeFelt(publicKey);
+      } else if (scheme === 'eddsa') {
+        storedKey = JSON.stringify(await this.parseEddsaKey(publicKey));
+      } else {
+        const key = crypto.createPublicKey(typeof publicKey === 'string' ? publicKey : { key: publicKey, format: 'jwk' });
+        if (key.asymmetricKeyType !== 'ec' || !ECDSA_CURVES.includes(key.asymmetricKeyDetails.namedCurve)) {
+          throw new Error(`ECDSA keys must be on ${ECDSA_CURVES.join(' or ')}`);
+        }
+        storedKey = key.export({ type: 'spki', format: 'pem' });
+      }
+    } catch (error) {
+      throw oracleError(400, `Invalid public key: ${error.message}`);
+    }
+
+    payrollOracleRepository.saveOracle({
+      oracleId,
       endpoint,
-      registeredAt: Date.now()
+      scheme,
+      publicKey: storedKey,
+      registeredAt: new Date().toISOString()
+    });
+
+    logger.info('🔑 Registered payroll oracle', { oracleId, scheme, endpoint });
+    return this.formatOracle(payrollOracleRepository.findOracle(oracleId));
+  }
+
+  /**
+   * Validate a BabyJubJub public key
+   * @param {*} publicKey - [Ax, Ay] or { x, y }, decimal or hex
+   * @returns {Promise<Array<string>>} [Ax, Ay] as decimal strings
+   */
+  async parseEddsaKey(publicKey) {
+    const [x, y] = Array.isArray(publicKey) ? publicKey : [publicKey?.x, publicKey?.y];
+    const point = [BigInt(x), BigInt(y)];
+    const { babyJub } = await this.getEddsa();
+    if (!babyJub.inCurve([babyJub.F.e(point[0]), babyJub.F.e(point[1])])) {
+      throw new Error('EdDSA key is not a BabyJubJub point');
+    }
+    return point.map(coordinate => coordinate.toString());
+  }
+
+  /**
+   * Revoke an oracle key: its attestations stop verifying and the income attestations
+   * linked from them are revoked
+   * @param {string} oracleId - Oracle identifier
+   * @returns {boolean} True if the oracle was active
+   */
+  revokeOracle(oracleId) {
+    const revoked = payrollOracleRepository.revokeOracle(oracleId, new Date().toISOString());
+    if (revoked) {
+      for (const stored of payrollOracleRepository.findActiveAttestationsByOracle(oracleId)) {
+        this.revokeLinkedIncome(stored, 'oracle_revoked');
+      }
+      logger.warn('🚫 Revoked payroll oracle key', { oracleId });
+    }
+    return revoked;
+  }
+
+  /**
+   * Revoke the income attestations recorded from an oracle attestation
+   * @param {object} stored - Stored oracle attestation
+   * @param {string} reason - Revocation reason
+   * @returns {number} Income attestations revoked
+   */
+  revokeLinkedIncome(stored, reason) {
+    const subject = { provider: stored.attestation.provider, employerId: stored.oracleId, subjectId: stored.attestationHash };
+    return incomeAttestationStore.findBySubject(subject)
+      .filter(record => incomeAttestationStore.revokeAttestation(record.id, reason))
+      .length;
+  }
+
+  /**
+   * Oracle as returned by the API
+   * onchainKey is the value to register in AttestationRegistry: the Stark key itself,
+   * or starknetKeccak of the stored key (PEM for ECDSA, [Ax, Ay] JSON for EdDSA oracles).
+   */
+  formatOracle(oracle) {
+    return {
+      ...oracle,
+      active: !oracle.revokedAt,
+      onchainKey: oracle.scheme === 'stark' ? oracle.publicKey : normalizeFelt(hash.starknetKeccak(oracle.publicKey))
+    };
+  }
+
+  /**
+   * Canonical felt encoding of an attestation
+   * @param {object} attestation - Attestation fields
+   * @returns {Array<string>} Felts (hex)
+   */
+  encodeAttestation(attestation) {
+    const { oracleId, subject, provider, annualIncome, currency, issuedAt, expiresAt, nonce } = attestation;
+    const text = (value, name) => {
+      if (typeof value !== 'string' || !value || value.length > 31 || !shortString.isASCII(value)) {
+        throw new Error(`${name} must be 1-31 ASCII characters`);
+      }
+      return shortString.encodeShortString(value);
+    };
+    const integer = (value, name) => {
+      if (!Number.isSafeInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative integer`);
+      }
+      return normalizeFelt(value);
+    };
+
+    return [
+      shortString.encodeShortString(DOMAIN),
+      text(oracleId, 'oracleId'),
+      normalizeFelt(subject),
+      text(provider, 'provider'),
+      integer(annualIncome, 'annualIncome'),
+      text(currency, 'currency'),
+      integer(issuedAt, 'issuedAt'),
+      integer(expiresAt, 'expiresAt'),
+      normalizeFelt(nonce)
+    ];
+  }
+
+  /**
+   * Poseidon hash of the canonical encoding (what the oracle signs and the registry stores)
+   * @param {object} attestation - Attestation fields
+   * @returns {string} Attestation hash (hex)
+   */
+  hashAttestation(attestation) {
+    return normalizeFelt(hash.computePoseidonHashOnElements(this.encodeAttestation(attestation)));
+  }
+
+  /**
+   * BN254 Poseidon hash of the canonical encoding (what 'eddsa' oracles sign)
+   * @param {object} attestation - Attestation fields
+   * @returns {Promise<string>} Message hash (hex)
+   */
+  async hashAttestationMessage(attestation) {
+    const { poseidon } = await this.getEddsa();
+    const message = poseidon(this.encodeAttestation(attestation).map(felt => BigInt(felt)));
+    return normalizeFelt(poseidon.F.toObject(message));
+  }
+
+  /**
+   * Check an attestation signature against an oracle key
+   * @param {object} oracle - Registered oracle
+   * @param {object} attestation - Signed attestation
+   * @param {string} attestationHash - Attestation hash (hex)
+   * @returns {Promise<boolean>}
+   *   signature is [r, s] or { r, s } (stark), base64 or hex DER (ecdsa), { R8x, R8y, S } (eddsa)
+   */
+  async verifySignature(oracle, attestation, attestationHash) {
+    const { signature } = attestation;
+    if (oracle.scheme === 'stark') {
+      const [r, s] = Array.isArray(signature) ? signature : [signature?.r, signature?.s];
+      const starkSignature = new ec.starkCurve.Signature(BigInt(r), BigInt(s));
+      // The Stark key is the x coordinate; like check_ecdsa_signature, accept either y
+      const x = BigInt(oracle.publicKey).toString(16).padStart(64, '0');
+      return ['02', '03'].some(prefix => ec.starkCurve.verify(starkSignature, attestationHash, prefix + x));
+    }
+
+    if (oracle.scheme === 'eddsa') {
+      const eddsa = await this.getEddsa();
+      const { F } = eddsa.babyJub;
+      const [ax, ay] = JSON.parse(oracle.publicKey);
+      const message = F.e(BigInt(await this.hashAttestationMessage(attestation)));
+      return eddsa.verifyPoseidon(message, {
+        R8: [F.e(BigInt(signature.R8x)), F.e(BigInt(signature.R8y))],
+        S: BigInt(signature.S)
+      }, [F.e(BigInt(ax)), F.e(BigInt(ay))]);
+    }
+
+    const der = /^(0x)?[0-9a-fA-F]+$/.test(signature)
+      ? Buffer.from(signature.replace(/^0x/, ''), 'hex')
+      : Buffer.from(signature, 'base64');
+    const message = Buffer.from(BigInt(attestationHash).toString(16).padStart(64, '0'), 'hex');
+    return crypto.verify('sha256', message, oracle.publicKey, der);
+  }
+
+  /**
+   * Verify an attestation step by step
+   * @param {object} attestation - Signed attestation
+   * @param {object} options - { checkAnchor } to also check the on-chain registry
+   * @returns {Promise<object>} { valid, attestationHash, chain: [{ step, status, detail }] }
+   */
+  async verifyAttestation(attestation, { checkAnchor = true } = {}) {
+    const chain = [];
+    const step = (name, status, detail) => {
+      chain.push({ step: name, status, detail });
+      return status !== 'failed';
+    };
+    const result = () => ({
+      valid: chain.every(entry => entry.status !== 'failed'),
+      attestationHash,
+      chain
     });
 
-    logger.info('Registered payroll oracle', { oracleId, endpoint });
+    let attestationHash = null;
+    try {
+      attestationHash = this.hashAttestation(attestation || {});
+      step('encoding', 'passed', 'Canonical encoding hashed');
+    } catch (error) {
+      step('encoding', 'failed', error.message);
+      return result();
+    }
+
+    const oracle = payrollOracleRepository.findOracle(attestation.oracleId);
+    if (!step('oracle', !oracle || oracle.revokedAt ? 'failed' : 'passed',
+      !oracle ? 'Oracle not registered' : oracle.revokedAt ? `Oracle key revoked at ${oracle.revokedAt}` : `${oracle.scheme} key registered ${oracle.registeredAt}`)) {
+      return result();
+    }
+
+    let signatureValid = false;
+    try {
+      signatureValid = !!attestation.signature && await this.verifySignature(oracle, attestation, attestationHash);
+    } catch (error) {
+      logger.warn('Attestation signature could not be parsed', { oracleId: oracle.oracleId, error: error.message });
+    }
+    if (!step('signature', signatureValid ? 'passed' : 'failed',
+      signatureValid ? `Signed by ${oracle.oracleId}` : 'Signature missing or invalid for the registered key')) {
+      return result();
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const maxAge = thresholds.payroll.maxAttestationAge / 1000;
+    const fresh = attestation.issuedAt <= now + MAX_CLOCK_SKEW && now < attestation.expiresAt && now - attestation.issuedAt <= maxAge;
+    step('freshness', fresh ? 'passed' : 'failed', fresh
+      ? `Issued ${new Date(attestation.issuedAt * 1000).toISOString()}, expires ${new Date(attestation.expiresAt * 1000).toISOString()}`
+      : 'Attestation is expired, older than the max attestation age or issued in the future');
+
+    const stored = payrollOracleRepository.findAttestation(attestationHash);
+    step('revocation', stored?.revokedAt ? 'failed' : 'passed',
+      stored?.revokedAt ? `Revoked at ${stored.revokedAt}: ${stored.revokedReason}` : 'Not revoked');
+
+    if (!checkAnchor) {
+      return result();
+    }
+    if (!this.registryAddress) {
+      step('anchor', 'skipped', 'No attestation registry configured');
+      return result();
+    }
+    try {
+      const anchor = await this.getAnchoredAttestation(attestationHash);
+      if (!anchor.anchoredAt) {
+        step('anchor', 'skipped', 'Not anchored on-chain yet');
+      } else {
+        step('anchor', anchor.valid ? 'passed' : 'failed', anchor.valid
+          ? `Anchored ${new Date(anchor.anchoredAt * 1000).toISOString()}${stored?.anchorTxHash ? ` (tx ${stored.anchorTxHash})` : ''}`
+          : 'Registry reports the attestation revoked, expired or from a revoked oracle');
+      }
+    } catch (error) {
+      step('anchor', 'skipped', `Could not read the registry: ${error.message}`);
+    }
+
+    return result();
+  }
+
+  /**
+   * Read an attestation from the AttestationRegistry contract
+   * @param {string} attestationHash - Attestation hash (hex)
+   * @returns {Promise<object>} { valid, oracleId, subject, issuedAt, expiresAt, anchoredAt, revoked }
+   */
+  async getAnchoredAttestation(attestationHash) {
+    const [{ result }, { result: validResult }] = await Promise.all([
+      this.provider.callContract({
+        contractAddress: this.registryAddress,
+        entrypoint: 'get_attestation',
+        calldata: [attestationHash]
+      }),
+      this.provider.callContract({
+        contractAddress: this.registryAddress,
+        entrypoint: 'is_valid',
+        calldata: [attestationHash]
+      })
+    ]);
+
+    // AnchoredAttestation: oracle_id, subject, issued_at, expires_at, anchored_at, anchored_by, revoked, revoked_reason
+    return {
+      valid: BigInt(validResult[0]) === 1n,
+      oracleId: result[0],
+      subject: result[1],
+      issuedAt: Number(result[2]),
+      expiresAt: Number(result[3]),
+      anchoredAt: Number(result[4]),
+      revoked: BigInt(result[6]) === 1n
+    };
+  }
+
+  /**
+   * Verify, store and anchor a signed attestation received from an oracle
+   * @param {object} attestation - Signed attestation
+   * @returns {Promise<object>} { attestationHash, chain, alreadyReceived, walletLinked, anchor }
+   */
+  async receiveAttestation(attestation) {
+    const { valid, attestationHash, chain } = await this.verifyAttestation(attestation, { checkAnchor: false });
+    if (!valid) {
+      throw oracleError(422, 'Attestation failed verification', { chain });
+    }
+
+    const subject = normalizeFelt(attestation.subject);
+    const oracle = payrollOracleRepository.findOracle(attestation.oracleId);
+    const inserted = payrollOracleRepository.insertAttestation({
+      attestationHash,
+      oracleId: attestation.oracleId,
+      subject,
+      attestation,
+      issuedAt: attestation.issuedAt,
+      expiresAt: attestation.expiresAt,
+      receivedAt: new Date().toISOString(),
+      messageHash: oracle.scheme === 'eddsa' ? await this.hashAttestationMessage(attestation) : null
+    });
+
+    let walletLinked = false;
+    if (inserted) {
+      try {
+        await incomeAttestationStore.recordAttestation(subject, {
+          provider: attestation.provider,
+          timestamp: new Date(attestation.issuedAt * 1000).toISOString(),
+          income: { annualIncome: attestation.annualIncome, currency: attestation.currency }
+        }, { employerId: attestation.oracleId, subjectId: attestationHash });
+        walletLinked = true;
+      } catch (error) {
+        logger.warn('Could not link oracle attestation to wallet', { attestationHash, error: error.message });
+      }
+      logger.info('📜 Received oracle attestation', { oracleId: attestation.oracleId, attestationHash });
+    }
+
+    let anchor = { anchored: false, reason: 'Anchoring not configured' };
+    const stored = payrollOracleRepository.findAttestation(attestationHash);
+    if (stored.anchorTxHash) {
+      anchor = { anchored: true, txHash: stored.anchorTxHash };
+    } else if (this.isAnchoringConfigured()) {
+      try {
+        anchor = await this.submitToChain(attestation);
+      } catch (error) {
+        anchor = { anchored: false, reason: error.message };
+      }
+    }
+
+    return { attestationHash, chain, alreadyReceived: !inserted, walletLinked, anchor };
   }
 
   /**
    * Request attestation from oracle
+   * The oracle endpoint is POSTed the attestation data and answers with a signed attestation.
    * @param {string} oracleId - Oracle identifier
    * @param {object} attestationData - Data to attest
-   * @returns {object} Oracle attestation
+   * @returns {Promise<object>} Result of receiveAttestation
    */
   async requestAttestation(oracleId, attestationData) {
     try {
-      const oracle = this.oracleEndpoints.get(oracleId);
-      
-      if (!oracle) {
-        throw new Error(`Oracle ${oracleId} not registered`);
+      const oracle = payrollOracleRepository.findOracle(oracleId);
+
+      if (!oracle || oracle.revokedAt) {
+        throw oracleError(404, `Oracle ${oracleId} not registered`);
+      }
+      if (!oracle.endpoint) {
+        throw oracleError(400, `Oracle ${oracleId} has no endpoint`);
       }
 
-      // In production, this would make an actual API call to the oracle
-      // For now, we create a signed attestation structure
-      
-      const attestation = {
-        oracleId,
-        timestamp: Date.now(),
-        data: attestationData,
-        signature: null, // Would be signed by oracle's private key
-        verified: false
-      };
+      const response = await axios.post(oracle.endpoint, attestationData, { timeout: 30000 });
+      const attestation = response.data.attestation || response.data;
+      if (attestation.oracleId !== oracleId) {
+        throw oracleError(502, `Oracle ${oracleId} answered with an attestation from ${attestation.oracleId}`);
+      }
 
       logger.info('Requested oracle attestation', {
         oracleId,
         dataKeys: Object.keys(attestationData)
       });
 
-      return attestation;
+      return this.receiveAttestation(attestation);
     } catch (error) {
       logger.error('Failed to request oracle attestation', {
         oracleId,
@@ -64,68 +486,88 @@ class PayrollOracles {
   }
 
   /**
-   * Verify oracle attestation signature
-   * @param {object} attestation - Attestation object
-   * @returns {boolean} True if signature is valid
+   * Anchor an attestation hash in the AttestationRegistry contract
+   * @param {object} attestation - Verified, stored attestation
+   * @returns {Promise<object>} { anchored, txHash, attestationHash }
    */
-  async verifyAttestation(attestation) {
+  async submitToChain(attestation) {
     try {
-      // In production, verify the oracle's signature
-      // For now, basic validation
-      
-      if (!attestation.oracleId || !attestation.timestamp || !attestation.data) {
-        return false;
-      }
+      const attestationHash = this.hashAttestation(attestation);
+      const oracle = payrollOracleRepository.findOracle(attestation.oracleId);
+      const [r, s] = oracle.scheme === 'stark'
+        ? (Array.isArray(attestation.signature) ? attestation.signature : [attestation.signature.r, attestation.signature.s])
+        : [0, 0];
 
-      const maxAge = 90 * 24 * 60 * 60 * 1000; // 90 days
-      const age = Date.now() - attestation.timestamp;
+      const account = this.getAccount();
+      const tx = await account.execute({
+        contractAddress: this.registryAddress,
+        entrypoint: 'anchor_attestation',
+        calldata: CallData.compile({
+          fields: this.encodeAttestation(attestation),
+          signature_r: normalizeFelt(r),
+          signature_s: normalizeFelt(s)
+        })
+      });
+      await this.provider.waitForTransaction(tx.transaction_hash);
 
-      if (age > maxAge) {
-        logger.warn('Attestation expired', {
-          oracleId: attestation.oracleId,
-          age
-        });
-        return false;
-      }
+      payrollOracleRepository.markAnchored(attestationHash, tx.transaction_hash, new Date().toISOString());
 
-      logger.info('Attestation verified', {
-        oracleId: attestation.oracleId
+      logger.info('⛓️ Anchored attestation on-chain', {
+        oracleId: attestation.oracleId,
+        attestationHash,
+        txHash: tx.transaction_hash
       });
 
-      return true;
+      return {
+        anchored: true,
+        txHash: tx.transaction_hash,
+        attestationHash
+      };
     } catch (error) {
-      logger.error('Attestation verification failed', {
+      logger.error('Failed to submit attestation to chain', {
         error: error.message
       });
-      return false;
+      throw error;
     }
   }
 
   /**
-   * Submit attestation to on-chain oracle contract
-   * @param {object} attestation - Attestation to submit
-   * @returns {object} Transaction result
+   * Revoke an attestation before it expires
+   * @param {string} attestationHash - Attestation hash (hex)
+   * @param {string} reason - Short reason (stored on-chain as a short string, max 31 characters)
+   * @returns {Promise<object>} { attestationHash, revoked, incomeAttestationsRevoked, txHash }
    */
-  async submitToChain(attestation) {
-    try {
-      // This would interact with the on-chain oracle contract
-      // to record the attestation
-      
-      logger.info('Submitted attestation to chain', {
-        oracleId: attestation.oracleId
-      });
+  async revokeAttestation(attestationHash, reason) {
+    const id = normalizeFelt(attestationHash);
+    const stored = payrollOracleRepository.findAttestation(id);
+    if (!stored) {
+      throw oracleError(404, 'Attestation not found');
+    }
+    if (stored.revokedAt) {
+      throw oracleError(409, `Attestation already revoked at ${stored.revokedAt}`);
+    }
+    const shortReason = String(reason || 'revoked').slice(0, 31);
+    if (!shortString.isASCII(shortReason)) {
+      throw oracleError(400, 'reason must be ASCII');
+    }
 
-      return {
-        success: true,
-        txHash: null, // Would be actual transaction hash
-        attestationId: `attest_${Date.now()}`
-      };
-    } catch (error) {
-      logger.error('Failed to submit attestation to chain', {
-        error: error.message
+    let txHash = null;
+    if (stored.anchorTxHash && this.isAnchoringConfigured()) {
+      const tx = await this.getAccount().execute({
+        contractAddress: this.registryAddress,
+        entrypoint: 'revoke_attestation',
+        calldata: [id, shortString.encodeShortString(shortReason)]
       });
-      throw error;
+      await this.provider.waitForTransaction(tx.transaction_hash);
+      txHash = tx.transaction_hash;
     }
+
+    payrollOracleRepository.revokeAttestation(id, { revokedAt: new Date().toISOString(), reason: shortReason, txHash });
+
+    const incomeAttestationsRevoked = this.revokeLinkedIncome(stored, shortReason);
+
+    logger.warn('🚫 Revoked oracle attestation', { attestationHash: id, reason: shortReason, txHash });
+    return { attestationHash: id, revoked: true, incomeAttestationsRevoked, txHash };
   }
 
   /**
@@ -133,10 +575,7 @@ class PayrollOracles {
    * @returns {array} List of registered oracles
    */
   getRegisteredOracles() {
-    return Array.from(this.oracleEndpoints.entries()).map(([id, data]) => ({
-      oracleId: id,
-      ...data
-    }));
+    return payrollOracleRepository.findAllOracles().map(oracle => this.formatOracle(oracle));
   }
 }
 
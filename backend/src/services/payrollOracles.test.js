@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ec } = require('starknet');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'payroll-oracles-test-'));
+process.env.DATABASE_FILE = path.join(dataDir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+delete process.env.ATTESTATION_REGISTRY_ADDRESS;
+
+const db = require('../db');
+const payrollOracles = require('./payrollOracles');
+const incomeAttestationStore = require('./incomeAttestationStore');
+
+const WALLET = '0x04a3c1e8d2b7f6a5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1';
+const STARK_PRIVATE_KEY = '0x0139fe4d6f02e666e86a6f58e65060f115cd3c185bd9e98bd829636931458f79';
+
+let nonce = 0;
+
+function unsigned(oracleId, fields = {}) {
+  const issuedAt = Math.floor(Date.now() / 1000) - 60;
+  return {
+    oracleId,
+    subject: WALLET,
+    provider: 'gusto',
+    annualIncome: 85000,
+    currency: 'USD',
+    issuedAt,
+    expiresAt: issuedAt + 30 * 24 * 60 * 60,
+    nonce: ++nonce,
+    ...fields
+  };
+}
+
+function signEcdsa(privateKey, attestation) {
+  const message = Buffer.from(BigInt(payrollOracles.hashAttestation(attestation)).toString(16).padStart(64, '0'), 'hex');
+  return { ...attestation, signature: crypto.sign('sha256', message, privateKey).toString('base64') };
+}
+
+function signStark(attestation) {
+  const { r, s } = ec.starkCurve.sign(payrollOracles.hashAttestation(attestation), STARK_PRIVATE_KEY);
+  return { ...attestation, signature: ['0x' + r.toString(16), '0x' + s.toString(16)] };
+}
+
+function failedStep(chain) {
+  return chain.find(entry => entry.status === 'failed')?.step;
+}
+
+describe('payrollOracles attestation signatures and revocation', () => {
+  const ecdsaKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const otherKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+  beforeAll(async () => {
+    await payrollOracles.registerOracle('acme-payroll', {
+      endpoint: null,
+      scheme: 'ecdsa',
+      publicKey: ecdsaKeys.publicKey.export({ type: 'spki', format: 'pem' })
+    });
+    await payrollOracles.registerOracle('stark-payroll', {
+      endpoint: null,
+      scheme: 'stark',
+      publicKey: ec.starkCurve.getStarkKey(STARK_PRIVATE_KEY)
+    });
+  });
+
+  afterAll(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('accepts an attestation signed by the registered ECDSA key', async () => {
+    const { valid, chain } = await payrollOracles.verifyAttestation(signEcdsa(ecdsaKeys.privateKey, unsigned('acme-payroll')));
+
+    expect(valid).toBe(true);
+    expect(chain.map(entry => entry.step)).toEqual(['encoding', 'oracle', 'signature', 'freshness', 'revocation', 'anchor']);
+    expect(chain.find(entry => entry.step === 'anchor').status).toBe('skipped');
+  });
+
+  it('accepts an attestation signed by the registered Stark key', async () => {
+    const { valid } = await payrollOracles.verifyAttestation(signStark(unsigned('stark-payroll')));
+
+    expect(valid).toBe(true);
+  });
+
+  it('rejects an attestation whose fields were changed after signing', async () => {
+    const signed = signEcdsa(ecdsaKeys.privateKey, unsigned('acme-payroll'));
+    const { valid, chain } = await payrollOracles.verifyAttestation({ ...signed, annualIncome: 185000 });
+
+    expect(valid).toBe(false);
+    expect(failedStep(chain)).toBe('signature');
+  });
+
+  it('rejects an attestation signed by another key', async () => {
+    const ecdsa = await payrollOracles.verifyAttestation(signEcdsa(otherKeys.privateKey, unsigned('acme-payroll')));
+    const stark = await payrollOracles.verifyAttestation({ ...signStark(unsigned('stark-payroll')), oracleId: 'acme-payroll' });
+
+    expect(failedStep(ecdsa.chain)).toBe('signature');
+    expect(failedStep(stark.chain)).toBe('signature');
+  });
+
+  it('rejects an unregistered oracle and an expired attestation', async () => {
+    const unknown = await payrollOracles.verifyAttestation(signEcdsa(ecdsaKeys.privateKey, unsigned('unknown-payroll')));
+    const issuedAt = Math.floor(Date.now() / 1000) - 3600;
+    const expired = await payrollOracles.verifyAttestation(
+      signEcdsa(ecdsaKeys.privateKey, unsigned('acme-payroll', { issuedAt, expiresAt: issuedAt + 60 }))
+    );
+
+    expect(failedStep(unknown.chain)).toBe('oracle');
+    expect(failedStep(expired.chain)).toBe('freshness');
+  });
+
+  it('stores a received attestation once and links it to the wallet', async () => {
+    const signed = signEcdsa(ecdsaKeys.privateKey, unsigned('acme-payroll'));
+
+    const received = await payrollOracles.receiveAttestation(signed);
+    expect(received).toMatchObject({ alreadyReceived: false, walletLinked: true, anchor: { anchored: false } });
+    expect((await incomeAttestationStore.getLatestAttestation(WALLET)).annualIncome).toBe(85000);
+
+    expect((await payrollOracles.receiveAttestation(signed)).alreadyReceived).toBe(true);
+  });
+
+  it('refuses to store an attestation that fails verification', async () => {
+    const signed = signEcdsa(otherKeys.privateKey, unsigned('acme-payroll'));
+
+    await expect(payrollOracles.receiveAttestation(signed)).rejects.toMatchObject({ status: 422 });
+  });
+
+  it('revokes an attestation and the income attestation linked from it', async () => {
+    const signed = signStark(unsigned('stark-payroll', { annualIncome: 64000 }));
+    const { attestationHash } = await payrollOracles.receiveAttestation(signed);
+
+    const revoked = await payrollOracles.revokeAttestation(attestationHash, 'employment_terminated');
+    expect(revoked).toMatchObject({ attestationHash, revoked: true, incomeAttestationsRevoked: 1, txHash: null });
+
+    const { valid, chain } = await payrollOracles.verifyAttestation(signed);
+    expect(valid).toBe(false);
+    expect(failedStep(chain)).toBe('revocation');
+
+    await expect(payrollOracles.revokeAttestation(attestationHash, 'again')).rejects.toMatchObject({ status: 409 });
+    await expect(payrollOracles.revokeAttestation('0x1234', 'missing')).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('stops accepting attestations from a revoked oracle key', async () => {
+    const signed = signEcdsa(ecdsaKeys.privateKey, unsigned('acme-payroll'));
+    await payrollOracles.receiveAttestation(signed);
+
+    expect(payrollOracles.revokeOracle('acme-payroll')).toBe(true);
+    expect(payrollOracles.revokeOracle('acme-payroll')).toBe(false);
+
+    const { valid, chain } = await payrollOracles.verifyAttestation(signed);
+    expect(valid).toBe(false);
+    expect(failedStep(chain)).toBe('oracle');
+    expect(await incomeAttestationStore.getLatestAttestation(WALLET)).toBeNull();
+    expect(payrollOracles.getRegisteredOracles().find(oracle => oracle.oracleId === 'acme-payroll').active).toBe(false);
+  });
+});
@@ -0,0 +1,314 @@
+const thresholds = require('../config/thresholds');
+const logger = require('../utils/logger');
+const plaidAdapter = require('./payrollAdapters/plaidAdapter');
+const adpAdapter = require('./payrollAdapters/adpAdapter');
+const bankApiAdapter = require('./payrollAdapters/bankApiAdapter');
+const incomeAttestationStore = require('./incomeAttestationStore');
+const escrowEventStore = require('./escrowEventStore');
+const payrollWebhookEventRepository = require('../repositories/payrollWebhookEventRepository');
+const applicationFlagRepository = require('../repositories/applicationFlagRepository');
+const { sha256Hex, verifyHmacSignature, decodeJwtHeader, verifyJwtSignature } = require('../utils/webhookSignature');
+
+const PROVIDERS = ['plaid', 'adp', 'custom'];
+
+// Normalized event types and what they do to the attestations of the subject
+const EVENT_ACTIONS = {
+  'employment.terminated': 'revoke',
+  'access.revoked': 'revoke',
+  'income.updated': 'refresh'
+};
+
+const PLAID_EVENT_TYPES = {
+  'ITEM.USER_PERMISSION_REVOKED': 'access.revoked',
+  'ITEM.USER_ACCOUNT_REVOKED': 'access.revoked'
+};
+
+const ADP_EVENT_TYPES = {
+  'worker.terminate': 'employment.terminated',
+  'worker.base-remuneration.change': 'income.updated',
+  'worker.rehire': 'income.updated'
+};
+
+/**
+ * Error with an HTTP status for the webhook route
+ */
+function webhookError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Payroll webhook ingestion
+ *
+ * Each provider signs its deliveries differently:
+ *   plaid   Plaid-Verification JWT (ES256), key fetched from Plaid by kid
+ *   adp     X-Payroll-Signature HMAC with ADP_WEBHOOK_SECRET
+ *   custom  X-Payroll-Signature HMAC with the employer's webhookSecret, or an
+ *           X-Payroll-Verification JWT checked against its webhookJwk
+ *
+ * Verified events are stored (deduplicated by event id) and applied to the income
+ * attestations of the provider subject they concern:
+ *   employment.terminated, access.revoked  attestations are revoked before they age
+ *                                          out and the borrower's active applications
+ *                                          are flagged for their lenders
+ *   income.updated                         a fresh attestation is pulled from the
+ *                                          provider API and replaces the old one;
+ *                                          applications are flagged if income dropped
+ */
+class PayrollWebhookService {
+  constructor() {
+    this.escrowAddress = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+    this.maxAge = thresholds.payroll.webhookMaxAge;
+  }
+
+  /**
+   * Verify the signature of a delivery
+   * @param {string} provider - plaid | adp | custom
+   * @param {string} employerId - Custom employer (custom only)
+   * @param {object} headers - Request headers (lowercased)
+   * @param {string} rawBody - Body as received
+   */
+  async verify(provider, employerId, headers, rawBody) {
+    try {
+      if (provider === 'plaid') {
+        const token = headers['plaid-verification'];
+        const { kid } = decodeJwtHeader(token);
+        const key = await plaidAdapter.getWebhookVerificationKey(kid);
+        if (key.expired_at) {
+          throw new Error('Plaid webhook key has expired');
+        }
+        verifyJwtSignature(token, key, rawBody, this.maxAge);
+      } else if (provider === 'adp') {
+        if (!adpAdapter.webhookSecret) {
+          throw new Error('ADP_WEBHOOK_SECRET is not configured');
+        }
+        verifyHmacSignature(adpAdapter.webhookSecret, headers['x-payroll-signature'], rawBody, this.maxAge);
+      } else {
+        const config = bankApiAdapter.getEmployerConfig(employerId);
+        if (config.webhookSecret) {
+          verifyHmacSignature(config.webhookSecret, headers['x-payroll-signature'], rawBody, this.maxAge);
+        } else if (config.webhookJwk) {
+          verifyJwtSignature(headers['x-payroll-verification'], config.webhookJwk, rawBody, this.maxAge);
+        } else {
+          throw new Error(`Employer ${employerId} has no webhook secret or key`);
+        }
+      }
+    } catch (error) {
+      logger.warn('🔐 [PAYROLL] Rejected webhook', { provider, employerId, error: error.message });
+      throw webhookError(401, error.message);
+    }
+  }
+
+  /**
+   * Normalize a verified delivery into events
+   * @param {string} provider - plaid | adp | custom
+   * @param {string} employerId - Custom employer (custom only)
+   * @param {object} body - Parsed body
+   * @param {string} rawBody - Body as received
+   * @returns {Array<object>} [{ eventId, type, subject, payload }]
+   */
+  parseEvents(provider, employerId, body, rawBody) {
+    if (provider === 'plaid') {
+      // Plaid sends no event id; identical redeliveries hash to the same id
+      const code = `${body.webhook_type}.${body.webhook_code}`;
+      return [{
+        eventId: `plaid:${sha256Hex(rawBody)}`,
+        type: PLAID_EVENT_TYPES[code] || `plaid.${code}`,
+        subject: { provider, subjectId: body.item_id },
+        payload: body
+      }];
+    }
+
+    if (provider === 'adp') {
+      return (body.events || []).map(event => {
+        const code = event.eventNameCode?.codeValue;
+        return {
+          eventId: `adp:${event.eventID}`,
+          type: ADP_EVENT_TYPES[code] || `adp.${code}`,
+          subject: { provider, subjectId: event.data?.eventContext?.worker?.associateOID },
+          payload: event
+        };
+      });
+    }
+
+    return (body.events || [body]).map(event => ({
+      eventId: `custom:${employerId}:${event.eventId}`,
+      type: event.type,
+      subject: { provider, employerId, subjectId: event.employeeId },
+      payload: event
+    }));
+  }
+
+  /**
+   * Verify, store and apply a webhook delivery
+   * @param {object} delivery - { provider, employerId, headers, rawBody, body }
+   * @returns {Promise<Array<object>>} Per event: { eventId, type, outcome, ... }
+   */
+  async receive({ provider, employerId, headers, rawBody, body }) {
+    if (!PROVIDERS.includes(provider)) {
+      throw webhookError(404, `Unknown payroll provider: ${provider}`);
+    }
+    if (provider === 'custom' && !employerId) {
+      throw webhookError(400, 'Custom webhooks are posted to /webhook/custom/:employerId');
+    }
+
+    await this.verify(provider, employerId, headers, rawBody);
+
+    const events = this.parseEvents(provider, employerId, body || {}, rawBody);
+    if (events.length === 0 || events.some(event => !event.eventId || !event.type)) {
+      throw webhookError(400, 'Webhook body has no events or an event without id and type');
+    }
+
+    const results = [];
+    for (const event of events) {
+      const stored = payrollWebhookEventRepository.insert({
+        eventId: event.eventId,
+        provider,
+        employerId,
+        type: event.type,
+        subjectKey: incomeAttestationStore.subjectKey(event.subject),
+        payload: event.payload,
+        receivedAt: new Date().toISOString()
+      });
+
+      // Redeliveries are acknowledged without being applied twice, unless applying failed
+      const previous = stored ? null : payrollWebhookEventRepository.find(event.eventId);
+      if (previous && previous.outcome !== 'failed') {
+        results.push({ eventId: event.eventId, type: event.type, outcome: 'duplicate' });
+        continue;
+      }
+
+      results.push({ eventId: event.eventId, type: event.type, ...(await this.processEvent(event)) });
+    }
+
+    logger.info('📨 [PAYROLL] Webhook processed', {
+      provider,
+      employerId,
+      outcomes: results.map(result => result.outcome)
+    });
+
+    return results;
+  }
+
+  /**
+   * Apply one stored event to the attestations of its subject
+   * @param {object} event - { eventId, type, subject }
+   * @returns {Promise<object>} { outcome, revoked, refreshed, flagged }
+   */
+  async processEvent(event) {
+    const action = EVENT_ACTIONS[event.type];
+    const attestations = action ? incomeAttestationStore.findBySubject(event.subject) : [];
+    const result = { outcome: 'ignored', revoked: 0, refreshed: 0, flagged: 0 };
+
+    try {
+      if (action && attestations.length === 0) {
+        result.outcome = 'no_matching_attestation';
+      } else if (action === 'revoke') {
+        for (const attestation of attestations) {
+          if (incomeAttestationStore.revokeAttestation(attestation.id, event.type, event.eventId)) {
+            result.revoked += 1;
+            result.flagged += this.flagApplications(attestation, 'income_attestation_revoked', event.eventId);
+          }
+        }
+        result.outcome = 'revoked';
+      } else if (action === 'refresh') {
+        const fresh = await this.fetchAttestation(event.subject);
+        const latestByWallet = new Map(attestations.map(attestation => [attestation.walletAddress, attestation]));
+
+        for (const [walletAddress, previous] of latestByWallet) {
+          const record = await incomeAttestationStore.recordAttestation(walletAddress, fresh, event.subject);
+          result.refreshed += 1;
+          if (record.annualIncome < previous.annualIncome) {
+            result.flagged += this.flagApplications(previous, 'income_decreased', event.eventId);
+          }
+        }
+        for (const attestation of attestations) {
+          incomeAttestationStore.revokeAttestation(attestation.id, 'superseded', event.eventId);
+        }
+        result.outcome = 'refreshed';
+      }
+    } catch (error) {
+      logger.error('❌ [PAYROLL] Failed to apply webhook event', { eventId: event.eventId, error: error.message });
+      result.outcome = 'failed';
+      result.error = error.message;
+    }
+
+    payrollWebhookEventRepository.markProcessed(event.eventId, {
+      processedAt: new Date().toISOString(),
+      outcome: result.outcome,
+      error: result.error
+    });
+
+    return result;
+  }
+
+  /**
+   * Pull a new attestation for a subject from the provider API
+   * Plaid access tokens are not kept, so Plaid attestations are refreshed by the
+   * borrower linking again.
+   * @param {object} subject - { provider, employerId, subjectId }
+   * @returns {Promise<object>} Attestation from the payroll adapter
+   */
+  async fetchAttestation({ provider, employerId, subjectId }) {
+    if (provider === 'adp') {
+      return adpAdapter.generateIncomeAttestation(subjectId);
+    }
+    if (provider === 'custom') {
+      return bankApiAdapter.generateIncomeAttestation(employerId, subjectId);
+    }
+    throw new Error(`${provider} attestations cannot be refreshed from a webhook`);
+  }
+
+  /**
+   * Flag the pending and approved applications of the wallet an attestation belongs to
+   * @param {object} attestation - Attestation record (with walletAddress)
+   * @param {string} reason - Flag reason
+   * @param {string} eventId - Webhook event
+   * @returns {number} Applications newly flagged
+   */
+  flagApplications(attestation, reason, eventId) {
+    escrowEventStore.load(this.escrowAddress);
+
+    let flagged = 0;
+    for (const app of escrowEventStore.getApplicationsByBorrower(attestation.walletAddress)) {
+      if (app.status !== 'pending' && app.status !== 'approved') {
+        continue;
+      }
+      const inserted = applicationFlagRepository.insert({
+        loanId: app.loanId,
+        commitment: app.commitment,
+        borrowerFelt: attestation.walletAddress,
+        reason,
+        attestationId: attestation.id,
+        eventId,
+        createdAt: new Date().toISOString()
+      });
+      if (inserted) {
+        flagged += 1;
+        logger.warn('🚩 [PAYROLL] Flagged application', { loanId: app.loanId, reason });
+      }
+    }
+    return flagged;
+  }
+
+  /**
+   * Flags raised on a loan's applications
+   * @param {string} loanId - Loan ID (decimal string)
+   * @returns {Array<object>}
+   */
+  getFlagsForLoan(loanId) {
+    return applicationFlagRepository.findByLoan(loanId.toString());
+  }
+
+  /**
+   * Recently received events
+   * @param {object} filter - { provider, limit }
+   * @returns {Array<object>}
+   */
+  listEvents(filter) {
+    return payrollWebhookEventRepository.findRecent(filter);
+  }
+}
+
+module.exports = new PayrollWebhookService();
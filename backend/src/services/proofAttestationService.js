@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const { Account, RpcProvider, uint256 } = require('starknet');
+const zkService = require('./zkService');
+const { computeVkHash } = require('../utils/verificationKey');
+const logger = require('../utils/logger');
+
+// felt252 field prime
+const STARK_PRIME = 2n ** 251n + 17n * 2n ** 192n + 1n;
+
+/**
+ * Verify-then-attest for activity proofs.
+ * Verifies the Groth16 proof against the activityVerifier key, checks the key matches
+ * the one stored in the ActivityVerifier contract, then records the proof's public
+ * signals on-chain from the attester account.
+ *
+ * Only proofs bound to a loan and inside the max proof age are attested. A nullifier
+ * (one per wallet and loan) has one live proof at a time and is consumed by
+ * LoanEscrowZK when an application is accepted with it.
+ */
+class ProofAttestationService {
+  constructor() {
+    this.verifierAddress = process.env.ACTIVITY_VERIFIER_ADDRESS || '0x071b94eb84b81868b61fb0ec1bbb59df47bb508583bc79325e5fa997ee3eb4be';
+    this.escrowAddress = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+    this.provider = new RpcProvider({
+      nodeUrl: process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7'
+    });
+    this.attesterAddress = process.env.ATTESTER_ACCOUNT_ADDRESS;
+    this.attesterPrivateKey = process.env.ATTESTER_PRIVATE_KEY;
+    this.account = null;
+    this.vkHash = null;
+  }
+
+  /**
+   * Check if an attester account is configured
+   * @returns {boolean} True if attestation transactions can be sent
+   */
+  isConfigured() {
+    return !!(this.attesterAddress && this.attesterPrivateKey);
+  }
+
+  /**
+   * Get the attester account
+   */
+  getAccount() {
+    if (!this.isConfigured()) {
+      throw new Error('Attester account not configured (ATTESTER_ACCOUNT_ADDRESS, ATTESTER_PRIVATE_KEY)');
+    }
+    if (!this.account) {
+      this.account = new Account(this.provider, this.attesterAddress, this.attesterPrivateKey);
+    }
+    return this.account;
+  }
+
+  /**
+   * Hash of the local verification key, checked once against the contract
+   * @returns {string} vk hash (hex)
+   */
+  async getVkHash() {
+    if (this.vkHash) {
+      return this.vkHash;
+    }
+
+    const localHash = computeVkHash(await zkService.getVerificationKey());
+    const result = await this.provider.callContract({
+      contractAddress: this.verifierAddress,
+      entrypoint: 'get_vk_hash',
+      calldata: []
+    });
+    const onchainHash = '0x' + BigInt(result.result[0]).toString(16);
+
+    if (onchainHash !== localHash) {
+      throw new Error(`Verification key mismatch: contract has ${onchainHash}, backend has ${localHash}`);
+    }
+
+    this.vkHash = localHash;
+    return localHash;
+  }
+
+  /**
+   * On-chain keys for a proof, derived the same way as the borrower frontend:
+   * commitment = sha256(commitment hex) >> 6, stable across loans,
+   * proof_hash = sha256(commitment hex + ':' + nullifier hex) >> 6, one per loan,
+   * nullifier = nullifier mod P
+   * Digests are shifted to 250 bits so they always fit a felt252.
+   * @param {bigint} commitment - Commitment public signal
+   * @param {bigint} nullifier - Nullifier public signal
+   * @returns {object} { proofHash, commitment, nullifier }
+   */
+  deriveOnchainKeys(commitment, nullifier) {
+    const sha256Felt = (text) => '0x' + (BigInt('0x' + crypto.createHash('sha256').update(text).digest('hex')) >> 6n).toString(16);
+    const commitmentHex = commitment.toString(16);
+
+    return {
+      proofHash: sha256Felt(`${commitmentHex}:${nullifier.toString(16)}`),
+      commitment: sha256Felt(commitmentHex),
+      nullifier: '0x' + (nullifier % STARK_PRIME).toString(16)
+    };
+  }
+
+  /**
+   * Read an attested proof from ActivityVerifier
+   * @param {string} proofHash - On-chain proof hash
+   * @returns {object} { verified, commitment, threshold, borrower, loanId, issuedAt, nullifier, registeredAt }
+   */
+  async getAttestedProof(proofHash) {
+    const { result } = await this.provider.callContract({
+      contractAddress: this.verifierAddress,
+      entrypoint: 'get_proof',
+      calldata: [proofHash]
+    });
+
+    // AttestedProof: commitment, threshold (u256), verified, borrower, loan_id (u256), issued_at, nullifier, registered_at
+    return {
+      commitment: result[0],
+      threshold: uint256.uint256ToBN({ low: result[1], high: result[2] }),
+      verified: BigInt(result[3]) === 1n,
+      borrower: result[4],
+      loanId: uint256.uint256ToBN({ low: result[5], high: result[6] }),
+      issuedAt: Number(result[7]),
+      nullifier: result[8],
+      registeredAt: Number(result[9])
+    };
+  }
+
+  /**
+   * Latest proof hash attested for a nullifier, or null
+   */
+  async getNullifierProof(nullifier) {
+    const { result } = await this.provider.callContract({
+      contractAddress: this.verifierAddress,
+      entrypoint: 'get_nullifier_proof',
+      calldata: [nullifier]
+    });
+    return BigInt(result[0]) === 0n ? null : '0x' + BigInt(result[0]).toString(16);
+  }
+
+  /**
+   * Max proof age enforced by ActivityVerifier (seconds)
+   */
+  async getMaxProofAge() {
+    const { result } = await this.provider.callContract({
+      contractAddress: this.verifierAddress,
+      entrypoint: 'get_max_proof_age',
+      calldata: []
+    });
+    return Number(result[0]);
+  }
+
+  /**
+   * Whether LoanEscrowZK already accepted an application with this proof
+   */
+  async isProofUsed(proofHash) {
+    const { result } = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'is_proof_used',
+      calldata: [proofHash]
+    });
+    return BigInt(result[0]) === 1n;
+  }
+
+  /**
+   * Whether LoanEscrowZK already accepted an application with this nullifier
+   */
+  async isNullifierUsed(nullifier) {
+    const { result } = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'is_nullifier_used',
+      calldata: [nullifier]
+    });
+    return BigInt(result[0]) === 1n;
+  }
+
+  /**
+   * Attestation state, age and usage of a proof
+   * @param {string} proofHash - On-chain proof hash
+   * @returns {object} Proof status for GET /api/loan/proof/:proofHash/verify
+   */
+  async getProofStatus(proofHash) {
+    const [proof, maxAgeSeconds, used, block] = await Promise.all([
+      this.getAttestedProof(proofHash),
+      this.getMaxProofAge(),
+      this.isProofUsed(proofHash),
+      this.provider.getBlock('latest')
+    ]);
+
+    if (!proof.verified) {
+      return { proofHash, verified: false, used };
+    }
+
+    const ageSeconds = Number(block.timestamp) - proof.issuedAt;
+    return {
+      proofHash,
+      verified: true,
+      threshold: proof.threshold.toString(),
+      borrower: proof.borrower,
+      loanId: proof.loanId.toString(),
+      nullifier: proof.nullifier,
+      issuedAt: new Date(proof.issuedAt * 1000).toISOString(),
+      attestedAt: new Date(proof.registeredAt * 1000).toISOString(),
+      ageSeconds,
+      maxAgeSeconds,
+      expired: ageSeconds > maxAgeSeconds,
+      used
+    };
+  }
+
+  /**
+   * Verify an activity proof and attest it on-chain
+   * @param {object} proof - Raw snarkjs proof
+   * @param {array} publicSignals - [commitment, isAboveThreshold, nullifier, threshold, wallet_address, loan_id, issued_at]
+   * @returns {object} { proofHash, commitment, nullifier, threshold, loanId, issuedAt, vkHash, transactionHash, alreadyAttested }
+   */
+  async attest(proof, publicSignals) {
+    const signals = await zkService.verifyActivityProof(proof, publicSignals);
+
+    if (!signals.verified) {
+      throw new Error('Groth16 proof verification failed');
+    }
+    if (!signals.isAboveThreshold) {
+      throw new Error('Proof does not show score above threshold');
+    }
+    if (signals.loanId === 0n) {
+      throw new Error('Proof is not bound to a loan (loan_id 0)');
+    }
+
+    const freshness = zkService.checkProofFreshness(signals.issuedAt);
+    if (freshness.expired) {
+      throw new Error(`Proof expired: issued ${freshness.ageSeconds}s ago, max age ${freshness.maxAgeSeconds}s`);
+    }
+    if (freshness.issuedInFuture) {
+      throw new Error('Proof issued in the future');
+    }
+
+    const vkHash = await this.getVkHash();
+    const { proofHash, commitment, nullifier } = this.deriveOnchainKeys(signals.commitment, signals.nullifier);
+    const threshold = signals.threshold.toString();
+    const loanId = signals.loanId.toString();
+    const keys = { proofHash, commitment, nullifier, threshold, loanId, issuedAt: signals.issuedAt, vkHash };
+
+    const [claimedBy, consumed] = await Promise.all([
+      this.getNullifierProof(nullifier),
+      this.isNullifierUsed(nullifier)
+    ]);
+    if (claimedBy !== null && BigInt(claimedBy) === BigInt(proofHash)) {
+      logger.info('✅ [ATTEST] Proof already attested', { proofHash: proofHash.slice(0, 20) + '...' });
+      return { ...keys, transactionHash: null, alreadyAttested: true };
+    }
+    if (consumed) {
+      throw new Error(`Nullifier already used by an application to loan ${loanId}`);
+    }
+    if (claimedBy !== null) {
+      // The contract accepts a new proof for the nullifier once the earlier one has expired
+      const status = await this.getProofStatus(claimedBy);
+      if (!status.expired) {
+        throw new Error(`Nullifier has a live proof ${claimedBy} for loan ${loanId}, apply with it or wait until it expires`);
+      }
+    }
+
+    const { low, high } = uint256.bnToUint256(signals.threshold);
+    const { low: loanLow, high: loanHigh } = uint256.bnToUint256(signals.loanId);
+    const account = this.getAccount();
+    const tx = await account.execute({
+      contractAddress: this.verifierAddress,
+      entrypoint: 'attest_proof',
+      calldata: [
+        proofHash, commitment, low, high,
+        signals.walletAddress, loanLow, loanHigh, signals.issuedAt.toString(),
+        nullifier, vkHash
+      ]
+    });
+
+    logger.info('📤 [ATTEST] Attestation submitted', {
+      proofHash: proofHash.slice(0, 20) + '...',
+      threshold,
+      loanId,
+      txHash: tx.transaction_hash
+    });
+
+    await this.provider.waitForTransaction(tx.transaction_hash);
+
+    return {
+      ...keys,
+      transactionHash: tx.transaction_hash,
+      alreadyAttested: false
+    };
+  }
+}
+
+module.exports = new ProofAttestationService();
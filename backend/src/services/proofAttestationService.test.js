@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { uint256 } = require('starknet');
+
+process.env.LOG_LEVEL = 'error';
+
+const zkService = require('./zkService');
+const proofAttestationService = require('./proofAttestationService');
+const { computeVkHash } = require('../utils/verificationKey');
+
+const WALLET = '0xa11ce';
+const MAX_AGE = 30 * 24 * 60 * 60;
+const BUILD_DIR = path.join(__dirname, '../../../contracts/zk/build');
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Public signals of an activityVerifier proof (the Groth16 check itself is stubbed)
+ */
+function signals({ commitment = 0xc0ffeen, nullifier = 0x5eedn, loanId = 1n, issuedAt = now() - 60 } = {}) {
+  return [commitment, '1', nullifier, '500', BigInt(WALLET), loanId, issuedAt].map(String);
+}
+
+/**
+ * Stand-in for ActivityVerifier and LoanEscrowZK: attest_proof records the proof,
+ * applications consume its nullifier
+ */
+function mockChain(vkHash) {
+  const chain = { time: now(), proofs: new Map(), nullifierProofs: new Map(), usedNullifiers: new Set() };
+  const read = (proofHash) => chain.proofs.get(BigInt(proofHash).toString(16));
+
+  proofAttestationService.vkHash = null;
+  proofAttestationService.provider = {
+    getBlock: jest.fn(async () => ({ timestamp: chain.time })),
+    waitForTransaction: jest.fn(async () => {}),
+    callContract: jest.fn(async ({ entrypoint, calldata }) => {
+      switch (entrypoint) {
+        case 'get_vk_hash':
+          return { result: [vkHash] };
+        case 'get_max_proof_age':
+          return { result: [String(MAX_AGE)] };
+        case 'get_nullifier_proof':
+          return { result: [chain.nullifierProofs.get(calldata[0]) || '0x0'] };
+        case 'is_nullifier_used':
+          return { result: [chain.usedNullifiers.has(calldata[0]) ? '0x1' : '0x0'] };
+        case 'is_proof_used':
+          return { result: ['0x0'] };
+        case 'get_proof': {
+          const proof = read(calldata[0]);
+          return {
+            result: proof
+              ? [proof.commitment, '500', '0', '1', WALLET, '1', '0', String(proof.issuedAt), proof.nullifier, String(chain.time)]
+              : ['0', '0', '0', '0', '0', '0', '0', '0', '0', '0']
+          };
+        }
+        default:
+          throw new Error(`Unexpected call ${entrypoint}`);
+      }
+    })
+  };
+  proofAttestationService.account = {
+    execute: jest.fn(async ({ calldata }) => {
+      const [proofHash, commitment, , , , , , issuedAt, nullifier] = calldata;
+      chain.proofs.set(BigInt(proofHash).toString(16), { commitment, issuedAt: Number(issuedAt), nullifier });
+      chain.nullifierProofs.set(nullifier, proofHash);
+      return { transaction_hash: `0x${chain.proofs.size}` };
+    })
+  };
+  return chain;
+}
+
+describe('proofAttestationService', () => {
+  let chain;
+
+  beforeEach(async () => {
+    proofAttestationService.attesterAddress = '0xa77e';
+    proofAttestationService.attesterPrivateKey = '0x1';
+    chain = mockChain(computeVkHash(await zkService.getVerificationKey()));
+    jest.spyOn(zkService, 'verifyProof').mockResolvedValue(true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    // snarkjs keeps the bn128 curve and its worker threads alive
+    await globalThis.curve_bn128?.terminate();
+  });
+
+  it('ships a verification key for the seven public signals of activityVerifier.circom', async () => {
+    zkService.verifyProof.mockRestore();
+    const proof = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, 'proof.json'), 'utf8'));
+    const publicSignals = JSON.parse(fs.readFileSync(path.join(BUILD_DIR, 'public.json'), 'utf8'));
+
+    expect((await zkService.getVerificationKey()).nPublic).toBe(7);
+    await expect(zkService.verifyActivityProof(proof, publicSignals)).resolves.toMatchObject({
+      verified: true,
+      isAboveThreshold: true,
+      loanId: 1n
+    });
+  });
+
+  it('attests a fresh proof bound to a loan with the wallet, loan and issue time as calldata', async () => {
+    const issuedAt = now() - 60;
+    const result = await proofAttestationService.attest({}, signals({ issuedAt, loanId: 2n ** 128n + 3n }));
+
+    expect(result).toMatchObject({ alreadyAttested: false, loanId: (2n ** 128n + 3n).toString(), issuedAt, transactionHash: '0x1' });
+    const { calldata } = proofAttestationService.account.execute.mock.calls[0][0];
+    const loan = uint256.bnToUint256(2n ** 128n + 3n);
+    expect(calldata.slice(4)).toEqual([WALLET, loan.low, loan.high, String(issuedAt), '0x5eed', result.vkHash]);
+    expect(BigInt(result.proofHash) < 2n ** 250n).toBe(true);
+  });
+
+  it('refuses expired, future-dated and unbound proofs without sending a transaction', async () => {
+    const maxAge = zkService.checkProofFreshness(now()).maxAgeSeconds;
+
+    await expect(proofAttestationService.attest({}, signals({ issuedAt: now() - maxAge - 60 }))).rejects.toThrow('Proof expired');
+    await expect(proofAttestationService.attest({}, signals({ issuedAt: now() + 3600 }))).rejects.toThrow('issued in the future');
+    await expect(proofAttestationService.attest({}, signals({ loanId: 0n }))).rejects.toThrow('not bound to a loan');
+    expect(proofAttestationService.account.execute).not.toHaveBeenCalled();
+  });
+
+  it('refuses a verification key that differs from the contract', async () => {
+    mockChain('0x1234');
+
+    await expect(proofAttestationService.attest({}, signals())).rejects.toThrow('Verification key mismatch');
+  });
+
+  it('reports a proof attested twice as already attested', async () => {
+    const first = await proofAttestationService.attest({}, signals());
+    const second = await proofAttestationService.attest({}, signals());
+
+    expect(second).toMatchObject({ proofHash: first.proofHash, alreadyAttested: true, transactionHash: null });
+    expect(proofAttestationService.account.execute).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps one live proof per nullifier and accepts a new one once the earlier expired unused', async () => {
+    await proofAttestationService.attest({}, signals());
+
+    await expect(proofAttestationService.attest({}, signals({ commitment: 0xbeefn }))).rejects.toThrow('live proof');
+
+    chain.time = now() + MAX_AGE;
+    const renewed = await proofAttestationService.attest({}, signals({ commitment: 0xbeefn, issuedAt: now() }));
+    expect(renewed.alreadyAttested).toBe(false);
+    expect(proofAttestationService.account.execute).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses a nullifier consumed by an application', async () => {
+    chain.usedNullifiers.add('0x5eed');
+
+    await expect(proofAttestationService.attest({}, signals())).rejects.toThrow('already used by an application');
+    expect(proofAttestationService.account.execute).not.toHaveBeenCalled();
+  });
+});
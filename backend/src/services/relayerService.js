@@ -1,16 +1,17 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const relayerTransactionRepository = require('../repositories/relayerTransactionRepository');
 
 /**
  * Optional relayer service for meta-transactions
  * Allows users to interact without gas fees
+ * Submitted transactions are tracked in the relayer_transactions table
  */
 class RelayerService {
   constructor() {
     this.endpoint = process.env.RELAYER_ENDPOINT;
     this.feeAccount = process.env.RELAYER_FEE_ACCOUNT;
     this.enabled = process.env.USE_RELAYER === 'true';
-    this.pendingTxs = new Map();
   }
 
   /**
@@ -53,7 +54,8 @@ class RelayerService {
 
       const { txHash, relayerId } = response.data;
 
-      this.pendingTxs.set(txHash, {
+      relayerTransactionRepository.insert({
+        txHash,
         relayerId,
         submittedAt: Date.now(),
         status: 'pending'
@@ -95,14 +97,8 @@ class RelayerService {
 
       const status = response.data;
 
-      // Update local cache
-      if (this.pendingTxs.has(txHash)) {
-        this.pendingTxs.set(txHash, {
-          ...this.pendingTxs.get(txHash),
-          status: status.status,
-          updatedAt: Date.now()
-        });
-      }
+      // Update the tracked transaction
+      relayerTransactionRepository.updateStatus(txHash, status.status, Date.now());
 
       logger.info('Retrieved transaction status from relayer', {
         txHash,
@@ -159,10 +155,7 @@ class RelayerService {
    * @returns {array} Array of pending transactions
    */
   getPendingTransactions() {
-    return Array.from(this.pendingTxs.entries()).map(([txHash, data]) => ({
-      txHash,
-      ...data
-    }));
+    return relayerTransactionRepository.findAll();
   }
 
   /**
@@ -170,15 +163,7 @@ class RelayerService {
    * @param {number} maxAge - Maximum age in milliseconds (default 24 hours)
    */
   cleanupOldTransactions(maxAge = 24 * 60 * 60 * 1000) {
-    const now = Date.now();
-    let cleaned = 0;
-
-    for (const [txHash, data] of this.pendingTxs.entries()) {
-      if (now - data.submittedAt > maxAge) {
-        this.pendingTxs.delete(txHash);
-        cleaned++;
-      }
-    }
+    const cleaned = relayerTransactionRepository.deleteSubmittedBefore(Date.now() - maxAge);
 
     if (cleaned > 0) {
       logger.info('Cleaned up old pending transactions', { cleaned });
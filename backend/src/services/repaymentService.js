@@ -0,0 +1,163 @@
+const { uint256 } = require('starknet');
+
+const BPS_DENOMINATOR = 10000n;
+const MAX_INSTALMENTS = 52;
+
+/**
+ * Repayment maths for LoanEscrowZK applications.
+ * Mirrors the contract: total due = principal + principal * interest_rate_bps / 10000,
+ * outstanding = total due - amount repaid.
+ */
+class RepaymentService {
+  /**
+   * Principal plus interest, rounded down like the contract
+   * @param {string|bigint} principal - Amount per borrower (wei)
+   * @param {string|bigint} interestRateBps - Interest in basis points
+   * @returns {bigint} Total due (wei)
+   */
+  calculateTotalDue(principal, interestRateBps) {
+    const amount = BigInt(principal);
+    return amount + (amount * BigInt(interestRateBps)) / BPS_DENOMINATOR;
+  }
+
+  /**
+   * Parse a raw get_application result.
+   * Contracts deployed before instalment support return 8 felts; total_due and
+   * amount_repaid are then derived from the loan terms and the repayment status.
+   * @param {Array<string>} result - Raw callContract result
+   * @param {object} loanTerms - { amountPerBorrower, interestRateBps }
+   * @returns {object} Application with totalDue/amountRepaid as bigint
+   */
+  parseApplication(result, loanTerms) {
+    const application = {
+      borrower: result[0],
+      commitment: result[1],
+      proofHash: result[2],
+      status: Number(result[3]),
+      appliedAt: Number(result[4]),
+      approvedAt: Number(result[5]),
+      repaidAt: Number(result[6]),
+      repaymentDeadline: Number(result[7])
+    };
+
+    if (result.length >= 12) {
+      application.totalDue = uint256.uint256ToBN({ low: result[8], high: result[9] });
+      application.amountRepaid = uint256.uint256ToBN({ low: result[10], high: result[11] });
+    } else {
+      application.totalDue = application.status >= 1
+        ? this.calculateTotalDue(loanTerms.amountPerBorrower, loanTerms.interestRateBps)
+        : 0n;
+      application.amountRepaid = application.status === 2 ? application.totalDue : 0n;
+    }
+
+    return application;
+  }
+
+  /**
+   * Amount of a repayment: the outstanding balance when no amount is given, otherwise the
+   * amount itself, which must be between 1 and the outstanding balance
+   * @param {object} application - Parsed application (see parseApplication)
+   * @param {string|number|bigint} amount - Requested amount in wei (optional)
+   * @returns {object} { payment, outstanding, isFinal } (bigint amounts)
+   */
+  resolvePayment(application, amount) {
+    const outstanding = BigInt(application.totalDue) - BigInt(application.amountRepaid);
+    const payment = amount === undefined || amount === null || amount === '' ? outstanding : BigInt(amount);
+    if (payment <= 0n || payment > outstanding) {
+      const error = new Error(`Repayment amount must be between 1 and the outstanding balance (${outstanding.toString()})`);
+      error.status = 400;
+      throw error;
+    }
+    return { payment, outstanding, isFinal: payment === outstanding };
+  }
+
+  /**
+   * Split the total due into equal instalments spread over the repayment period.
+   * The last instalment absorbs rounding and falls on the repayment deadline.
+   * Advisory only: LoanEscrowZK accepts any amount up to the outstanding balance at any time
+   * and only enforces the repayment deadline.
+   * @param {object} params - { totalDue, amountRepaid, approvedAt, repaymentDeadline, instalments }
+   * @returns {Array<object>} Schedule entries
+   */
+  buildSchedule({ totalDue, amountRepaid, approvedAt, repaymentDeadline, instalments }) {
+    const count = this.normalizeInstalments(instalments);
+    const total = BigInt(totalDue);
+    const repaid = BigInt(amountRepaid);
+    const period = Math.max(0, repaymentDeadline - approvedAt);
+    const perInstalment = total / BigInt(count);
+
+    const schedule = [];
+    let cumulative = 0n;
+    for (let i = 1; i <= count; i++) {
+      const amount = i === count ? total - cumulative : perInstalment;
+      cumulative += amount;
+      const dueAt = i === count
+        ? repaymentDeadline
+        : approvedAt + Math.floor((period * i) / count);
+
+      const stillOwed = repaid >= cumulative ? 0n : cumulative - repaid;
+      schedule.push({
+        number: i,
+        amount: amount.toString(),
+        cumulativeDue: cumulative.toString(),
+        dueAt: dueAt > 0 ? new Date(dueAt * 1000).toISOString() : null,
+        paid: stillOwed === 0n,
+        remaining: (stillOwed < amount ? stillOwed : amount).toString()
+      });
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Repayment summary for an application
+   * @param {object} application - Parsed application (see parseApplication)
+   * @param {object} loanTerms - { amountPerBorrower, interestRateBps }
+   * @param {number} instalments - Number of instalments for the suggested schedule
+   * @returns {object} Summary with outstanding balance and schedule
+   */
+  summarize(application, loanTerms, instalments) {
+    const principal = BigInt(loanTerms.amountPerBorrower);
+    const totalDue = BigInt(application.totalDue);
+    const amountRepaid = BigInt(application.amountRepaid);
+    // Approved and defaulted applications both still owe the balance
+    const open = application.status === 1 || application.status === 3;
+    const outstanding = open ? totalDue - amountRepaid : 0n;
+    const now = Math.floor(Date.now() / 1000);
+
+    const schedule = application.status >= 1
+      ? this.buildSchedule({
+        totalDue,
+        amountRepaid,
+        approvedAt: application.approvedAt,
+        repaymentDeadline: application.repaymentDeadline,
+        instalments
+      })
+      : [];
+    const nextInstalment = schedule.find(entry => !entry.paid) || null;
+
+    return {
+      principal: principal.toString(),
+      interest: (totalDue > principal ? totalDue - principal : 0n).toString(),
+      interestRateBps: loanTerms.interestRateBps.toString(),
+      totalDue: totalDue.toString(),
+      amountRepaid: amountRepaid.toString(),
+      outstanding: outstanding.toString(),
+      isOverdue: open && outstanding > 0n && now > application.repaymentDeadline,
+      nextInstalment,
+      schedule
+    };
+  }
+
+  /**
+   * Clamp the instalment count to a sane range
+   * @param {number|string} instalments - Requested count
+   * @returns {number} Instalment count between 1 and MAX_INSTALMENTS
+   */
+  normalizeInstalments(instalments) {
+    const count = parseInt(instalments) || 1;
+    return Math.min(Math.max(count, 1), MAX_INSTALMENTS);
+  }
+}
+
+module.exports = new RepaymentService();
@@ -0,0 +1,112 @@
+const { uint256 } = require('starknet');
+const repaymentService = require('./repaymentService');
+
+const LOAN_TERMS = { amountPerBorrower: '1000000', interestRateBps: 1250 };
+const APPROVED_AT = 1700000000;
+const DEADLINE = APPROVED_AT + 30 * 24 * 60 * 60;
+
+function rawApplication(status, totalDue, amountRepaid) {
+  const result = ['0xb0', '0xc0', '0xf0', String(status), String(APPROVED_AT - 60), String(APPROVED_AT), '0', String(DEADLINE)];
+  if (totalDue === undefined) {
+    return result;
+  }
+  const due = uint256.bnToUint256(totalDue);
+  const repaid = uint256.bnToUint256(amountRepaid);
+  return [...result, due.low.toString(), due.high.toString(), repaid.low.toString(), repaid.high.toString()];
+}
+
+describe('repaymentService', () => {
+  it('charges principal plus interest rounded down like the contract', () => {
+    expect(repaymentService.calculateTotalDue('1000000', 1250)).toBe(1125000n);
+    expect(repaymentService.calculateTotalDue('999', 1)).toBe(999n);
+    expect(repaymentService.calculateTotalDue(10n ** 18n, 10000)).toBe(2n * 10n ** 18n);
+  });
+
+  it('reads total due and amount repaid from the application', () => {
+    const application = repaymentService.parseApplication(rawApplication(1, 1125000n, 125000n), LOAN_TERMS);
+
+    expect(application).toMatchObject({ status: 1, approvedAt: APPROVED_AT, repaymentDeadline: DEADLINE });
+    expect(application.totalDue).toBe(1125000n);
+    expect(application.amountRepaid).toBe(125000n);
+  });
+
+  it('derives the balance of applications from contracts without instalment support', () => {
+    const approved = repaymentService.parseApplication(rawApplication(1), LOAN_TERMS);
+    const repaid = repaymentService.parseApplication(rawApplication(2), LOAN_TERMS);
+    const pending = repaymentService.parseApplication(rawApplication(0), LOAN_TERMS);
+
+    expect([approved.totalDue, approved.amountRepaid]).toEqual([1125000n, 0n]);
+    expect([repaid.totalDue, repaid.amountRepaid]).toEqual([1125000n, 1125000n]);
+    expect([pending.totalDue, pending.amountRepaid]).toEqual([0n, 0n]);
+  });
+
+  describe('resolvePayment', () => {
+    const application = { totalDue: 1125000n, amountRepaid: 125000n };
+
+    it('repays the outstanding balance only when no amount is given', () => {
+      for (const amount of [undefined, null, '']) {
+        expect(repaymentService.resolvePayment(application, amount)).toEqual({
+          payment: 1000000n,
+          outstanding: 1000000n,
+          isFinal: true
+        });
+      }
+    });
+
+    it('pays an instalment below the outstanding balance', () => {
+      expect(repaymentService.resolvePayment(application, '250000')).toEqual({
+        payment: 250000n,
+        outstanding: 1000000n,
+        isFinal: false
+      });
+      expect(repaymentService.resolvePayment(application, '0xf4240').isFinal).toBe(true);
+    });
+
+    it('rejects a zero amount instead of repaying in full', () => {
+      for (const amount of [0, '0', '0x0']) {
+        expect(() => repaymentService.resolvePayment(application, amount)).toThrow(
+          expect.objectContaining({ status: 400 })
+        );
+      }
+    });
+
+    it('rejects more than the outstanding balance and repaid applications', () => {
+      expect(() => repaymentService.resolvePayment(application, '1000001')).toThrow('outstanding balance (1000000)');
+      expect(() => repaymentService.resolvePayment({ totalDue: 10n, amountRepaid: 10n })).toThrow(
+        expect.objectContaining({ status: 400 })
+      );
+    });
+  });
+
+  it('spreads the schedule over the repayment period and puts rounding on the last instalment', () => {
+    const schedule = repaymentService.buildSchedule({
+      totalDue: 1000001n,
+      amountRepaid: 500000n,
+      approvedAt: APPROVED_AT,
+      repaymentDeadline: DEADLINE,
+      instalments: 4
+    });
+
+    expect(schedule.map(entry => entry.amount)).toEqual(['250000', '250000', '250000', '250001']);
+    expect(schedule.map(entry => entry.paid)).toEqual([true, true, false, false]);
+    expect(schedule[3].dueAt).toBe(new Date(DEADLINE * 1000).toISOString());
+    expect(schedule[3].cumulativeDue).toBe('1000001');
+  });
+
+  it('clamps the instalment count', () => {
+    expect(repaymentService.normalizeInstalments('abc')).toBe(1);
+    expect(repaymentService.normalizeInstalments(0)).toBe(1);
+    expect(repaymentService.normalizeInstalments(500)).toBe(52);
+  });
+
+  it('keeps the balance of a defaulted loan outstanding and overdue', () => {
+    const summary = repaymentService.summarize(
+      { status: 3, totalDue: 1125000n, amountRepaid: 125000n, approvedAt: APPROVED_AT, repaymentDeadline: DEADLINE },
+      LOAN_TERMS,
+      2
+    );
+
+    expect(summary).toMatchObject({ interest: '125000', outstanding: '1000000', isOverdue: true });
+    expect(summary.nextInstalment.number).toBe(1);
+  });
+});
@@ -0,0 +1,179 @@
+const { RpcProvider } = require('starknet');
+const logger = require('../utils/logger');
+const thresholds = require('../config/thresholds');
+const escrowEventStore = require('./escrowEventStore');
+const identityCommitmentStore = require('./identityCommitmentStore');
+const proofAttestationService = require('./proofAttestationService');
+
+const LOAN_ESCROW_ZK_ADDRESS = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+const RPC_URL = process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7';
+
+/**
+ * Borrower credit history across loans
+ * Aggregates every application tied to a borrower's permanent commitment from the
+ * LoanEscrowZK event index. Applications are matched by:
+ *   - the commitment itself (full hex and legacy 63-char truncation)
+ *   - its on-chain application key (sha256 of the commitment, see proofAttestationService)
+ *   - the borrower address of any wallet whose identity or activity commitment it is
+ *
+ * Only counts are returned, never loan ids, lenders, amounts or dates, so lenders
+ * see the borrower's record without being able to link individual loans.
+ *
+ * Outcomes (chain time, same rules as the lender portfolio):
+ *   repaidOnTime  repaid at or before the repayment deadline
+ *   repaidLate    repaid after the deadline
+ *   active        approved, not repaid, inside the dispute window
+ *   defaulted     approved, not repaid, past the dispute window or identity revealed
+ * The dispute window starts at the on-chain default (mark_defaulted) when there is one,
+ * otherwise at the repayment deadline.
+ *   revealed      identity revealed by the lender (the contract only allows it once overdue)
+ */
+class ReputationService {
+  constructor() {
+    this.provider = new RpcProvider({ nodeUrl: RPC_URL });
+    this.escrowAddress = LOAN_ESCROW_ZK_ADDRESS;
+    this.disputeWindowSeconds = thresholds.dispute.windowSeconds;
+  }
+
+  /**
+   * Current chain time (latest block timestamp)
+   */
+  async getChainTime() {
+    const block = await this.provider.getBlock('latest');
+    return Number(block.timestamp);
+  }
+
+  /**
+   * On-chain commitments an application by this borrower may have been stored under
+   * @param {string} commitment - Permanent commitment (hex or decimal)
+   * @returns {Array<string>} Commitment variants
+   */
+  getCommitmentVariants(commitment) {
+    const value = BigInt(commitment);
+    const hex = '0x' + value.toString(16).padStart(64, '0');
+    const variants = [hex, '0x' + hex.slice(2, 65)];
+    variants.push(proofAttestationService.deriveOnchainKeys(value, 0n).commitment);
+    return variants;
+  }
+
+  /**
+   * All indexed applications tied to a commitment, deduplicated
+   * @param {string} commitment - Permanent commitment (hex or decimal)
+   * @returns {Promise<Array<object>>} Formatted applications
+   */
+  async findApplications(commitment) {
+    escrowEventStore.load(this.escrowAddress);
+
+    const byKey = new Map();
+    const add = (apps) => apps.forEach(app => byKey.set(`${app.loanId}:${app.commitment}`, app));
+
+    add(escrowEventStore.getApplicationsByCommitment(this.getCommitmentVariants(commitment)));
+    for (const wallet of await identityCommitmentStore.findWalletsByCommitment(commitment)) {
+      add(escrowEventStore.getApplicationsByBorrower(wallet));
+    }
+
+    return Array.from(byKey.values());
+  }
+
+  /**
+   * Aggregate counts over a borrower's applications
+   * @param {Array<object>} applications - Formatted applications (ISO dates)
+   * @param {number} chainTime - Unix seconds
+   * @returns {object} Counts
+   */
+  summarize(applications, chainTime) {
+    const seconds = (iso) => (iso ? Math.floor(new Date(iso).getTime() / 1000) : null);
+    const counts = {
+      applications: applications.length,
+      loansTaken: 0,
+      active: 0,
+      repaidOnTime: 0,
+      repaidLate: 0,
+      defaulted: 0,
+      revealed: 0
+    };
+
+    for (const app of applications) {
+      if (app.identityRevealed) {
+        counts.revealed += 1;
+      }
+      if (app.status === 'pending') {
+        continue;
+      }
+
+      counts.loansTaken += 1;
+      const deadline = seconds(app.repaymentDeadline);
+
+      if (app.status === 'repaid') {
+        const repaidAt = seconds(app.repaidAt);
+        if (deadline !== null && repaidAt !== null && repaidAt > deadline) {
+          counts.repaidLate += 1;
+        } else {
+          counts.repaidOnTime += 1;
+        }
+      } else if (app.identityRevealed || (deadline !== null && chainTime >= (seconds(app.defaultedAt) || deadline) + this.disputeWindowSeconds)) {
+        counts.defaulted += 1;
+      } else {
+        counts.active += 1;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Reputation for a permanent borrower commitment
+   * @param {string} commitment - Commitment (hex or decimal)
+   * @returns {Promise<object>} { commitment, counts, chainTime, indexedThroughBlock }
+   */
+  async getReputation(commitment) {
+    const [applications, chainTime] = await Promise.all([
+      this.findApplications(commitment),
+      this.getChainTime()
+    ]);
+
+    const counts = this.summarize(applications, chainTime);
+    logger.info('📒 [REPUTATION] Computed borrower history', {
+      commitment: commitment.slice(0, 20) + '...',
+      loansTaken: counts.loansTaken
+    });
+
+    return {
+      commitment,
+      counts,
+      disputeWindowSeconds: this.disputeWindowSeconds,
+      chainTime: new Date(chainTime * 1000).toISOString(),
+      indexedThroughBlock: escrowEventStore.getCursor()?.blockNumber ?? null
+    };
+  }
+
+  /**
+   * Repayment metrics for the scoring engine (models with usesRepaymentHistory)
+   * @param {string} walletAddress - Borrower wallet
+   * @returns {Promise<object>} { loansRepaidOnTime, loansRepaidLate, loansDefaulted }
+   */
+  async getRepaymentMetrics(walletAddress) {
+    escrowEventStore.load(this.escrowAddress);
+
+    const byKey = new Map();
+    for (const app of escrowEventStore.getApplicationsByBorrower(walletAddress)) {
+      byKey.set(`${app.loanId}:${app.commitment}`, app);
+    }
+    const record = await identityCommitmentStore.findCommitmentsForWallet(walletAddress);
+    const commitment = record?.activity_commitment;
+    if (commitment) {
+      for (const app of escrowEventStore.getApplicationsByCommitment(this.getCommitmentVariants(commitment))) {
+        byKey.set(`${app.loanId}:${app.commitment}`, app);
+      }
+    }
+
+    const counts = this.summarize(Array.from(byKey.values()), await this.getChainTime());
+    return {
+      loansRepaidOnTime: counts.repaidOnTime,
+      loansRepaidLate: counts.repaidLate,
+      loansDefaulted: counts.defaulted
+    };
+  }
+}
+
+module.exports = new ReputationService();
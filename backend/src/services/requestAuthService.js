@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { RpcProvider, hash, typedData } = require('starknet');
+const logger = require('../utils/logger');
+const thresholds = require('../config/thresholds');
+const authNonceRepository = require('../repositories/authNonceRepository');
+const { buildTypedData, verifyTypedDataSignature } = require('../utils/starknetSignature');
+
+const RPC_URL = process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7';
+
+// SNIP-12 message signed for every authenticated request
+const REQUEST_FIELDS = [
+  { name: 'method', type: 'shortstring' },
+  { name: 'path', type: 'string' },
+  { name: 'bodyHash', type: 'felt' },
+  { name: 'nonce', type: 'felt' },
+  { name: 'issuedAt', type: 'timestamp' }
+];
+
+/**
+ * Error with the HTTP status to answer with
+ */
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Normalize a felt to lowercase 0x-prefixed hex without leading zeros
+ */
+function normalizeFelt(value) {
+  return '0x' + BigInt(value).toString(16);
+}
+
+/**
+ * Signed-request authentication
+ *
+ * A caller first asks for a nonce for its wallet, then signs (SNIP-12, Loanzy domain) a
+ * Request message binding the HTTP method, the path (with query string), the
+ * starknetKeccak of the raw body, the nonce and the signing time. The signature is
+ * checked by the wallet's account contract, so any account type works.
+ *
+ * Nonces are single-use, bound to the wallet they were issued to and expire after
+ * thresholds.auth.nonceTtl; they are stored in SQLite so a restart does not reopen
+ * replays. Admin wallets are listed in ADMIN_WALLETS (comma-separated).
+ */
+class RequestAuthService {
+  constructor() {
+    this.provider = new RpcProvider({ nodeUrl: RPC_URL });
+    this.nonceTtl = thresholds.auth.nonceTtl;
+    this.signatureMaxAge = thresholds.auth.signatureMaxAge;
+    this.adminWallets = new Set(
+      (process.env.ADMIN_WALLETS || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean)
+        .map(normalizeFelt)
+    );
+    this.chainId = null;
+  }
+
+  /**
+   * Chain id of the connected network (cached)
+   */
+  async getChainId() {
+    if (!this.chainId) {
+      this.chainId = await this.provider.getChainId();
+    }
+    return this.chainId;
+  }
+
+  /**
+   * Issue a single-use nonce for a wallet
+   * @param {string} walletAddress - Wallet that will sign the request
+   * @returns {Promise<object>} { nonce, expiresAt, chainId }
+   */
+  async issueNonce(walletAddress) {
+    const now = Math.floor(Date.now() / 1000);
+    // 31 random bytes always fit in a felt; stored normalized, the form authenticate looks up
+    const nonce = normalizeFelt('0x' + crypto.randomBytes(31).toString('hex'));
+
+    authNonceRepository.deleteExpired(now);
+    authNonceRepository.insert({
+      nonce,
+      walletFelt: normalizeFelt(walletAddress),
+      issuedAt: now,
+      expiresAt: now + this.nonceTtl
+    });
+
+    return {
+      nonce,
+      expiresAt: new Date((now + this.nonceTtl) * 1000).toISOString(),
+      chainId: await this.getChainId()
+    };
+  }
+
+  /**
+   * starknetKeccak of a raw request body (empty string when there is none)
+   * @param {string|undefined} rawBody - Body as received
+   * @returns {string} Felt (hex)
+   */
+  hashBody(rawBody) {
+    return normalizeFelt(hash.starknetKeccak(rawBody || ''));
+  }
+
+  /**
+   * Typed data a wallet signs for one request
+   * @param {object} request - { method, path, bodyHash, nonce, issuedAt }
+   * @returns {Promise<object>} Typed data
+   */
+  async buildRequestTypedData({ method, path, bodyHash, nonce, issuedAt }) {
+    return buildTypedData(await this.getChainId(), 'Request', REQUEST_FIELDS, {
+      method: method.toUpperCase(),
+      path,
+      bodyHash,
+      nonce,
+      issuedAt
+    });
+  }
+
+  /**
+   * Verify a signed request and consume its nonce
+   * @param {object} request - { walletAddress, signature, nonce, issuedAt, method, path, rawBody }
+   * @returns {Promise<object>} { walletAddress, isAdmin }
+   */
+  async authenticate({ walletAddress, signature, nonce, issuedAt, method, path, rawBody }) {
+    if (!walletAddress || !signature || !nonce || !issuedAt) {
+      throw authError(401, 'Signed request required: wallet address, signature, nonce and issuedAt headers');
+    }
+
+    let wallet;
+    let normalizedNonce;
+    try {
+      wallet = normalizeFelt(walletAddress);
+      normalizedNonce = normalizeFelt(nonce);
+    } catch (parseError) {
+      throw authError(401, 'Wallet address and nonce must be felts');
+    }
+
+    const signedAt = Number(issuedAt);
+    const now = Math.floor(Date.now() / 1000);
+    const skew = thresholds.proof.maxClockSkew / 1000;
+    if (!Number.isInteger(signedAt) || signedAt > now + skew || now - signedAt > this.signatureMaxAge) {
+      throw authError(401, 'Signature expired or issuedAt is invalid, sign again');
+    }
+
+    const data = await this.buildRequestTypedData({
+      method,
+      path,
+      bodyHash: this.hashBody(rawBody),
+      nonce: normalizedNonce,
+      issuedAt: signedAt
+    });
+
+    let valid = false;
+    try {
+      valid = await verifyTypedDataSignature(this.provider, wallet, data, signature);
+    } catch (signatureError) {
+      throw authError(401, signatureError.message);
+    }
+    if (!valid) {
+      logger.warn('🔐 [AUTH] Invalid request signature', { wallet: wallet.slice(0, 10) + '...', method, path });
+      throw authError(401, 'Invalid signature for this wallet');
+    }
+
+    // Checked after the signature so that unsigned calls cannot burn someone else's nonce
+    if (!authNonceRepository.consume(normalizedNonce, wallet, now)) {
+      logger.warn('🔐 [AUTH] Rejected nonce', { wallet: wallet.slice(0, 10) + '...', method, path });
+      throw authError(401, 'Nonce is unknown, expired, already used or issued to another wallet');
+    }
+
+    return {
+      walletAddress: wallet,
+      messageHash: normalizeFelt(typedData.getMessageHash(data, wallet)),
+      isAdmin: this.adminWallets.has(wallet)
+    };
+  }
+}
+
+module.exports = new RequestAuthService();
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ec, typedData } = require('starknet');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-auth-test-'));
+process.env.DATABASE_FILE = path.join(dataDir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+process.env.ADMIN_WALLETS = '0x00ad';
+
+const db = require('../db');
+const requestAuthService = require('./requestAuthService');
+
+const WALLET = '0xa11ce';
+const ADMIN = '0xad';
+const KEYS = {
+  [WALLET]: '0x1234567890abcdef1234567890abcdef',
+  [ADMIN]: '0xfedcba0987654321fedcba0987654321'
+};
+
+/**
+ * Stand-in for the RPC provider: an account contract per key whose is_valid_signature
+ * checks a Stark signature
+ */
+function mockProvider() {
+  requestAuthService.chainId = 'SN_SEPOLIA';
+  requestAuthService.provider = {
+    callContract: jest.fn(async ({ contractAddress, entrypoint, calldata }) => {
+      if (entrypoint !== 'is_valid_signature' || !KEYS[contractAddress]) {
+        throw new Error('Entrypoint not found');
+      }
+      const [messageHash, , r, s] = calldata;
+      const publicKey = ec.starkCurve.getPublicKey(KEYS[contractAddress]);
+      const valid = ec.starkCurve.verify(new ec.starkCurve.Signature(BigInt(r), BigInt(s)), messageHash, publicKey);
+      return { result: [valid ? '0x56414c4944' : '0x0'] };
+    })
+  };
+}
+
+/**
+ * Sign a request the way the frontend does
+ */
+async function signedRequest(signer, { method = 'POST', path: route = '/api/loan/policies', rawBody = '{"a":1}', nonce, issuedAt } = {}) {
+  const request = {
+    walletAddress: signer,
+    nonce: nonce || (await requestAuthService.issueNonce(signer)).nonce,
+    issuedAt: String(issuedAt || Math.floor(Date.now() / 1000)),
+    method,
+    path: route,
+    rawBody
+  };
+  const data = await requestAuthService.buildRequestTypedData({
+    method,
+    path: route,
+    bodyHash: requestAuthService.hashBody(rawBody),
+    nonce: request.nonce,
+    issuedAt: Number(request.issuedAt)
+  });
+  const { r, s } = ec.starkCurve.sign(typedData.getMessageHash(data, signer), KEYS[signer]);
+  return { ...request, signature: ['0x' + r.toString(16), '0x' + s.toString(16)] };
+}
+
+describe('requestAuthService', () => {
+  beforeAll(() => {
+    mockProvider();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  afterAll(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('authenticates a request signed by the wallet', async () => {
+    const result = await requestAuthService.authenticate(await signedRequest(WALLET));
+
+    expect(result).toMatchObject({ walletAddress: WALLET, isAdmin: false });
+    expect(result.messageHash).toMatch(/^0x[0-9a-f]+$/);
+  });
+
+  it('recognizes admin wallets whatever their zero padding', async () => {
+    await expect(requestAuthService.authenticate(await signedRequest(ADMIN))).resolves.toMatchObject({ isAdmin: true });
+  });
+
+  it('accepts a nonce whose random bytes start with a zero', async () => {
+    const bytes = Buffer.alloc(31, 0xab);
+    bytes[0] = 0;
+    const randomBytes = jest.spyOn(crypto, 'randomBytes').mockReturnValueOnce(bytes);
+
+    try {
+      await expect(requestAuthService.authenticate(await signedRequest(WALLET))).resolves.toMatchObject({ walletAddress: WALLET });
+    } finally {
+      randomBytes.mockRestore();
+    }
+  });
+
+  it('refuses a replayed request', async () => {
+    const request = await signedRequest(WALLET);
+    await requestAuthService.authenticate(request);
+
+    await expect(requestAuthService.authenticate(request)).rejects.toMatchObject({
+      status: 401,
+      message: expect.stringContaining('already used')
+    });
+  });
+
+  it('refuses a nonce issued to another wallet', async () => {
+    const { nonce } = await requestAuthService.issueNonce(ADMIN);
+
+    await expect(requestAuthService.authenticate(await signedRequest(WALLET, { nonce }))).rejects.toMatchObject({
+      status: 401,
+      message: expect.stringContaining('issued to another wallet')
+    });
+  });
+
+  it('refuses an expired nonce', async () => {
+    jest.useFakeTimers({ now: Date.now() - (requestAuthService.nonceTtl + 60) * 1000 });
+    const { nonce } = await requestAuthService.issueNonce(WALLET);
+    jest.useRealTimers();
+
+    await expect(requestAuthService.authenticate(await signedRequest(WALLET, { nonce }))).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('refuses a request whose body, path or method differs from what was signed', async () => {
+    const request = await signedRequest(WALLET);
+
+    for (const changed of [{ rawBody: '{"a":2}' }, { path: '/api/loan/repay' }, { method: 'PUT' }]) {
+      await expect(requestAuthService.authenticate({ ...request, ...changed })).rejects.toMatchObject({
+        status: 401,
+        message: 'Invalid signature for this wallet'
+      });
+    }
+    // A rejected signature does not burn the nonce
+    await expect(requestAuthService.authenticate(request)).resolves.toMatchObject({ walletAddress: WALLET });
+  });
+
+  it('refuses a signature from another wallet', async () => {
+    const request = await signedRequest(ADMIN, { nonce: (await requestAuthService.issueNonce(WALLET)).nonce });
+
+    await expect(requestAuthService.authenticate({ ...request, walletAddress: WALLET })).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('refuses stale, future-dated and incomplete requests', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const stale = await signedRequest(WALLET, { issuedAt: now - requestAuthService.signatureMaxAge - 1 });
+    const future = await signedRequest(WALLET, { issuedAt: now + 3600 });
+
+    await expect(requestAuthService.authenticate(stale)).rejects.toMatchObject({ status: 401, message: expect.stringContaining('expired') });
+    await expect(requestAuthService.authenticate(future)).rejects.toMatchObject({ status: 401, message: expect.stringContaining('expired') });
+    await expect(requestAuthService.authenticate({ ...stale, signature: undefined })).rejects.toMatchObject({
+      status: 401,
+      message: expect.stringContaining('Signed request required')
+    });
+  });
+});
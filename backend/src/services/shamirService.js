@@ -1,7 +1,23 @@
 const secrets = require('secrets.js-34r7h');
 const crypto = require('crypto');
+const vssService = require('./vssService');
 const logger = require('../utils/logger');
 
+const MAX_RECOVERY_ATTEMPTS = 20;
+
+/**
+ * All k-element subsets of items, in order
+ */
+function* combinations(items, k, start = 0, prefix = []) {
+  if (prefix.length === k) {
+    yield prefix;
+    return;
+  }
+  for (let i = start; i < items.length; i++) {
+    yield* combinations(items, k, i + 1, [...prefix, items[i]]);
+  }
+}
+
 class ShamirService {
   /**
    * Split a secret into shares using Shamir's Secret Sharing
@@ -76,37 +92,89 @@ class ShamirService {
   }
 
   /**
-   * Split encryption key for identity data
-   * @param {string} encryptionKey - Encryption key to split
-   * @returns {object} { shares: array, threshold: number, total: number }
+   * Split encryption key for identity data into Feldman VSS shares
+   * The `vss` commitments are published with the encrypted identity so every share
+   * can be checked before reconstruction.
+   * @param {string} encryptionKey - Encryption key to split (hex)
+   * @returns {object} { shares, threshold, total, shareIds, vss: { scheme, threshold, commitments } }
    */
   splitEncryptionKey(encryptionKey) {
     const threshold = parseInt(process.env.TRUSTEE_THRESHOLD) || 2;
     const total = parseInt(process.env.TRUSTEE_TOTAL) || 3;
 
-    const shares = this.splitSecret(encryptionKey, total, threshold);
+    const { shares, commitments, scheme } = vssService.split(encryptionKey, total, threshold);
 
     return {
       shares,
       threshold,
       total,
-      shareIds: shares.map((_, idx) => `trustee_${idx + 1}`)
+      shareIds: shares.map((_, idx) => `trustee_${idx + 1}`),
+      vss: { scheme, threshold, commitments }
     };
   }
 
   /**
    * Reconstruct encryption key from trustee shares
    * @param {array} shares - Array of shares from trustees
+   * @param {object} vss - VSS commitments ({ threshold, commitments }); omit for legacy shares
    * @returns {string} Reconstructed encryption key
    */
-  reconstructEncryptionKey(shares) {
-    const threshold = parseInt(process.env.TRUSTEE_THRESHOLD) || 2;
+  reconstructEncryptionKey(shares, vss = null) {
+    const threshold = vss?.threshold || parseInt(process.env.TRUSTEE_THRESHOLD) || 2;
 
     if (shares.length < threshold) {
       throw new Error(`Insufficient shares: need ${threshold}, got ${shares.length}`);
     }
 
-    return this.combineShares(shares);
+    return vss ? vssService.combine(shares, vss).secret : this.combineShares(shares);
+  }
+
+  /**
+   * Reconstruct the key and open the encrypted payload with it
+   * VSS shares are verified first and faulty trustees reported. If a combination still
+   * fails to open the payload (or the shares are legacy, unverifiable ones), other
+   * threshold-sized subsets are tried while more shares than the threshold are available.
+   * @param {array} shares - Shares from trustees
+   * @param {object} vss - VSS commitments, or null for legacy shares
+   * @param {function} open - key => decrypted data, throws if the key is wrong
+   * @returns {object} { data, used, faulty, attempts }
+   */
+  recover(shares, vss, open) {
+    const threshold = vss?.threshold || parseInt(process.env.TRUSTEE_THRESHOLD) || 2;
+    const { valid, faulty } = vss
+      ? vssService.verifyShares(shares, vss.commitments)
+      : { valid: shares.filter(share => this.validateShare(share)), faulty: [] };
+
+    if (valid.length < threshold) {
+      throw Object.assign(
+        new Error(`Insufficient valid shares: need ${threshold}, got ${valid.length}`),
+        { faulty }
+      );
+    }
+
+    let attempts = 0;
+    for (const subset of combinations(valid, threshold)) {
+      if (attempts >= MAX_RECOVERY_ATTEMPTS) break;
+      attempts++;
+
+      try {
+        const key = vss ? vssService.reconstruct(subset) : this.combineShares(subset);
+        const data = open(key);
+        const used = subset.map(share => vssService.getShareIndex(share) || valid.indexOf(share) + 1);
+
+        if (attempts > 1) {
+          logger.warn('Recovered after retrying share combinations', { attempts, used });
+        }
+        return { data, used, faulty, attempts };
+      } catch (error) {
+        logger.warn('Share combination failed, trying another', { attempt: attempts, error: error.message });
+      }
+    }
+
+    throw Object.assign(
+      new Error(`No combination of ${valid.length} shares opened the payload (${attempts} attempts)`),
+      { faulty }
+    );
   }
 
   /**
@@ -116,8 +184,9 @@ class ShamirService {
    */
   validateShare(share) {
     try {
-      // Basic validation: shares should be hex strings with specific format
-      return typeof share === 'string' && share.length > 0;
+      // Feldman VSS shares (fv1-x-y), or legacy secrets.js shares: bits (base36 char) + id + data
+      return vssService.isVerifiableShare(share) ||
+        (typeof share === 'string' && /^[0-9a-z][0-9a-f]{3,}$/i.test(share));
     } catch (error) {
       return false;
     }
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const REGISTRY_FILE = process.env.TOKEN_REGISTRY_FILE || path.join(__dirname, '../config/tokens.json');
+const PRICES_FILE = process.env.TOKEN_PRICES_FILE || path.join(__dirname, '../data/token_prices.json');
+
+/**
+ * Token registry for activity analysis
+ * Token addresses/decimals come from config/tokens.json, USD prices from a local
+ * price file that is re-read whenever it changes on disk.
+ */
+class TokenRegistry {
+  constructor() {
+    this.tokens = this.loadTokens();
+    this.prices = {};
+    this.pricesUpdatedAt = null;
+    this.pricesMtime = 0;
+  }
+
+  /**
+   * Load and validate the token list
+   * @returns {Array<object>} [{ symbol, name, address, decimals }]
+   */
+  loadTokens() {
+    const { tokens = [] } = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+
+    const loaded = tokens.map(token => {
+      if (!token.symbol || !token.address || !Number.isInteger(token.decimals)) {
+        throw new Error(`Invalid token registry entry: ${JSON.stringify(token)}`);
+      }
+      // Keep STRK in line with the escrow routes when the address is overridden
+      const address = token.symbol === 'STRK' && process.env.STRK_TOKEN_ADDRESS
+        ? process.env.STRK_TOKEN_ADDRESS
+        : token.address;
+
+      return {
+        symbol: token.symbol,
+        name: token.name || token.symbol,
+        address: address.toLowerCase(),
+        decimals: token.decimals
+      };
+    });
+
+    logger.info('🪙 Token registry loaded', { tokens: loaded.map(t => t.symbol).join(', ') });
+    return loaded;
+  }
+
+  /**
+   * Reload USD prices if the price file changed
+   */
+  refreshPrices() {
+    try {
+      const { mtimeMs } = fs.statSync(PRICES_FILE);
+      if (mtimeMs === this.pricesMtime) {
+        return;
+      }
+
+      const data = JSON.parse(fs.readFileSync(PRICES_FILE, 'utf8'));
+      this.prices = data.prices || {};
+      this.pricesUpdatedAt = data.updatedAt || null;
+      this.pricesMtime = mtimeMs;
+      logger.info('💲 Token prices loaded', { updatedAt: this.pricesUpdatedAt });
+    } catch (error) {
+      logger.warn('⚠️ Token price file unavailable, USD values will be 0', { error: error.message });
+      this.prices = {};
+      this.pricesUpdatedAt = null;
+      this.pricesMtime = 0;
+    }
+  }
+
+  /**
+   * Get all registered tokens
+   * @returns {Array<object>} Tokens
+   */
+  getTokens() {
+    return this.tokens;
+  }
+
+  /**
+   * Get a token by symbol
+   * @param {string} symbol - Token symbol (e.g. 'ETH')
+   * @returns {object|null} Token
+   */
+  getToken(symbol) {
+    return this.tokens.find(token => token.symbol === symbol) || null;
+  }
+
+  /**
+   * Get the USD price of a token from the local price file
+   * @param {string} symbol - Token symbol
+   * @returns {number} Price in USD (0 if unknown)
+   */
+  getPrice(symbol) {
+    this.refreshPrices();
+    const price = Number(this.prices[symbol]);
+    return Number.isFinite(price) && price > 0 ? price : 0;
+  }
+
+  /**
+   * Metadata of the price file in use
+   * @returns {object} { updatedAt, prices }
+   */
+  getPriceInfo() {
+    this.refreshPrices();
+    return { updatedAt: this.pricesUpdatedAt, prices: { ...this.prices } };
+  }
+
+  /**
+   * Convert a raw token amount to a decimal number
+   * @param {bigint} amount - Raw amount (smallest unit)
+   * @param {number} decimals - Token decimals
+   * @returns {number} Amount in whole tokens
+   */
+  toUnits(amount, decimals) {
+    return Number(amount) / 10 ** decimals;
+  }
+
+  /**
+   * Convert a raw token amount to USD
+   * @param {string} symbol - Token symbol
+   * @param {bigint} amount - Raw amount (smallest unit)
+   * @returns {number} Value in USD
+   */
+  toUsd(symbol, amount) {
+    const token = this.getToken(symbol);
+    if (!token) {
+      return 0;
+    }
+    return this.toUnits(amount, token.decimals) * this.getPrice(symbol);
+  }
+}
+
+module.exports = new TokenRegistry();
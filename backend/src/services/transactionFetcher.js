@@ -1,25 +1,277 @@
 /**
  * Real Transaction Fetcher using Starknet RPC (Blast API)
- * Fetches actual wallet transactions and calculates activity score
+ * Fetches actual wallet transactions (all tokens in the token registry)
+ * and calculates activity score
  * Based on working test frontend implementation
  */
 
-const { RpcProvider, constants, hash } = require('starknet');
+const { RpcProvider, constants, hash, num, uint256 } = require('starknet');
 const logger = require('../utils/logger');
+const tokenRegistry = require('./tokenRegistry');
+const activityBlockCache = require('./activityBlockCache');
+const reputationService = require('./reputationService');
+const { scoreActivity, getModel, DEFAULT_MODEL } = require('../../../shared/scoring');
 
 const STARKNET_RPC = process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7';
-const STRK_TOKEN_ADDRESS = process.env.STRK_TOKEN_ADDRESS || 
-  '0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d';
 
 const provider = new RpcProvider({ nodeUrl: STARKNET_RPC });
 
+const SEVEN_DAYS = 7 * 24 * 60 * 60;
+const EVENTS_CHUNK_SIZE = parseInt(process.env.ACTIVITY_EVENTS_CHUNK_SIZE) || 1000;
+const SCAN_WINDOW = parseInt(process.env.ACTIVITY_SCAN_BLOCK_RANGE) || 10000; // Blocks cached per completed window
+const CACHE_CONFIRMATIONS = parseInt(process.env.ACTIVITY_CACHE_CONFIRMATIONS) || 10; // Recent blocks never cached
+
 /**
- * Fetch transaction history for a wallet address
+ * Fetch a wallet's balance of a token
+ * @param {object} token - Token registry entry
+ * @param {string} walletAddress - Wallet address
+ * @returns {Promise<bigint>} Raw balance
+ */
+async function fetchTokenBalance(token, walletAddress) {
+  try {
+    const result = await provider.callContract({
+      contractAddress: token.address,
+      entrypoint: 'balanceOf',
+      calldata: [walletAddress]
+    });
+    return uint256.uint256ToBN({ low: result.result[0], high: result.result[1] || '0x0' });
+  } catch (error) {
+    console.warn(`⚠️  Failed to fetch ${token.symbol} balance:`, error.message);
+    return BigInt(0);
+  }
+}
+
+/**
+ * Decode a Transfer event
+ * Cairo 1 tokens emit keys [selector, from, to] / data [low, high],
+ * legacy Cairo 0 tokens emit keys [selector] / data [from, to, low, high]
+ * @param {object} event - RPC event
+ * @returns {object} { from, to, value }
+ */
+function decodeTransfer(event) {
+  const [from, to, low, high] = event.keys.length >= 3
+    ? [event.keys[1], event.keys[2], event.data[0], event.data[1]]
+    : [event.data[0], event.data[1], event.data[2], event.data[3]];
+
+  return {
+    from,
+    to,
+    value: BigInt(low) + (BigInt(high || 0) << BigInt(128))
+  };
+}
+
+/**
+ * Fetch every event matching a filter, following continuation tokens
+ * @param {object} filter - getEvents filter (address, keys, block range)
+ * @param {Function} onPage - Called with (page, eventsSoFar) after each page
+ * @returns {Promise<Array<object>>} Raw events
+ */
+async function fetchAllEvents(filter, onPage) {
+  const events = [];
+  let continuationToken;
+  let page = 0;
+
+  do {
+    const result = await provider.getEvents({
+      ...filter,
+      chunk_size: EVENTS_CHUNK_SIZE,
+      continuation_token: continuationToken
+    });
+
+    events.push(...(result.events || []));
+    continuationToken = result.continuation_token;
+    page++;
+    onPage(page, events.length);
+  } while (continuationToken);
+
+  return events;
+}
+
+/**
+ * Scan one block window for a wallet's transfers of a token
+ * Cairo 1 tokens are filtered by the from/to keys on the node; tokens flagged
+ * `legacyEvents` in the registry are scanned unfiltered and matched client-side.
+ * @returns {Promise<Array<object>>} Raw transfers { type, txHash, blockNumber, from, to, amount }
+ */
+async function scanTransferWindow(token, walletAddress, fromBlock, toBlock, onProgress) {
+  const selector = hash.getSelectorFromName('Transfer');
+  const wallet = num.toHex(walletAddress);
+  const queries = token.legacyEvents
+    ? [{ keys: [[selector]], directions: ['sent', 'received'] }]
+    : [
+      { keys: [[selector], [wallet]], directions: ['sent'] },
+      { keys: [[selector], [], [wallet]], directions: ['received'] }
+    ];
+
+  const transfers = [];
+  for (const query of queries) {
+    const events = await fetchAllEvents({
+      address: token.address,
+      from_block: { block_number: fromBlock },
+      to_block: { block_number: toBlock },
+      keys: query.keys
+    }, (page, count) => onProgress({ stage: 'scan', token: token.symbol, fromBlock, toBlock, page, events: count }));
+
+    for (const event of events) {
+      try {
+        const { from, to, value } = decodeTransfer(event);
+        const matches = {
+          sent: num.toHex(from) === wallet,
+          received: num.toHex(to) === wallet
+        };
+
+        for (const type of query.directions) {
+          if (matches[type]) {
+            transfers.push({
+              type,
+              txHash: event.transaction_hash,
+              blockNumber: event.block_number,
+              from,
+              to,
+              amount: value.toString()
+            });
+          }
+        }
+      } catch (parseError) {
+        console.warn('⚠️  Failed to parse event:', parseError.message);
+      }
+    }
+  }
+
+  return transfers;
+}
+
+/**
+ * Fetch a wallet's transfers of one token
+ * Blocks already in the activity cache are not rescanned; new blocks are scanned in
+ * windows that are cached as each one completes. The last few blocks below the head
+ * are always rescanned and never cached.
+ * @param {object} token - Token registry entry
+ * @param {string} walletAddress - Wallet address
+ * @param {number} fromBlock - First block of the analysis range
+ * @param {number} toBlock - Last block of the analysis range (chain head)
+ * @param {Function} onProgress - Progress callback
+ * @returns {Promise<object>} { sent, received, totalSent, totalReceived, cachedBlocks, scannedBlocks }
+ */
+async function fetchTokenTransfers(token, walletAddress, fromBlock, toBlock, onProgress) {
+  const safeHead = Math.min(toBlock, Math.max(fromBlock - 1, toBlock - CACHE_CONFIRMATIONS));
+  const cachedBlocks = activityBlockCache.getCoverage(walletAddress, token.address, fromBlock, safeHead);
+  let scannedBlocks = 0;
+  const tail = [];
+
+  try {
+    for (const [gapFrom, gapTo] of activityBlockCache.getMissingRanges(walletAddress, token.address, fromBlock, safeHead)) {
+      for (let windowFrom = gapFrom; windowFrom <= gapTo; windowFrom += SCAN_WINDOW) {
+        const windowTo = Math.min(windowFrom + SCAN_WINDOW - 1, gapTo);
+        const found = await scanTransferWindow(token, walletAddress, windowFrom, windowTo, onProgress);
+        activityBlockCache.addRange(walletAddress, token.address, windowFrom, windowTo, found);
+        scannedBlocks += windowTo - windowFrom + 1;
+      }
+    }
+
+    if (toBlock > safeHead) {
+      tail.push(...await scanTransferWindow(token, walletAddress, safeHead + 1, toBlock, onProgress));
+      scannedBlocks += toBlock - safeHead;
+    }
+  } catch (error) {
+    // Whatever was scanned before the failure stays cached; report what we have
+    console.error(`Error fetching ${token.symbol} Transfer events:`, error.message);
+  }
+
+  const sent = [];
+  const received = [];
+  let totalSent = BigInt(0);
+  let totalReceived = BigInt(0);
+
+  for (const raw of [...activityBlockCache.getTransfers(walletAddress, token.address, fromBlock, safeHead), ...tail]) {
+    const value = BigInt(raw.amount);
+    const tx = {
+      ...raw,
+      token: token.symbol,
+      amountFormatted: tokenRegistry.toUnits(value, token.decimals).toFixed(4) + ' ' + token.symbol,
+      amountUsd: tokenRegistry.toUsd(token.symbol, value),
+      timestamp: null
+    };
+
+    if (raw.type === 'sent') {
+      totalSent += value;
+      sent.push(tx);
+    } else {
+      totalReceived += value;
+      received.push(tx);
+    }
+  }
+
+  console.log(`📨 ${token.symbol}: ${sent.length + received.length} transfers (${cachedBlocks} blocks cached, ${scannedBlocks} scanned)`);
+  onProgress({ stage: 'token', token: token.symbol, transfers: sent.length + received.length, cachedBlocks, scannedBlocks });
+
+  return { sent, received, totalSent, totalReceived, cachedBlocks, scannedBlocks };
+}
+
+/**
+ * Estimate block timestamps by interpolating between two known blocks
+ * (avoids one RPC call per event block)
+ * @param {number} fromBlock - First block of the scanned range
+ * @param {number} toBlock - Last block of the scanned range
+ * @returns {Promise<Function>} blockNumber => unix timestamp (seconds)
+ */
+async function buildBlockTimeEstimator(fromBlock, toBlock) {
+  const [first, last] = await Promise.all([
+    provider.getBlockWithTxHashes(fromBlock),
+    provider.getBlockWithTxHashes(toBlock)
+  ]);
+  const firstTs = Number(first.timestamp);
+  const lastTs = Number(last.timestamp);
+  const secondsPerBlock = toBlock > fromBlock ? (lastTs - firstTs) / (toBlock - fromBlock) : 0;
+
+  return (blockNumber) => Math.round(firstTs + (blockNumber - fromBlock) * secondsPerBlock);
+}
+
+/**
+ * Summarize one token's activity for the per-token breakdown
+ */
+function summarizeToken(token, balance, transfers) {
+  const units = (amount) => tokenRegistry.toUnits(amount, token.decimals);
+  const sentUsd = tokenRegistry.toUsd(token.symbol, transfers.totalSent);
+  const receivedUsd = tokenRegistry.toUsd(token.symbol, transfers.totalReceived);
+
+  return {
+    symbol: token.symbol,
+    name: token.name,
+    address: token.address,
+    decimals: token.decimals,
+    priceUsd: tokenRegistry.getPrice(token.symbol),
+    balance: balance.toString(),
+    balanceFormatted: units(balance).toFixed(4) + ' ' + token.symbol,
+    balanceUsd: tokenRegistry.toUsd(token.symbol, balance),
+    transferCount: transfers.sent.length + transfers.received.length,
+    cachedBlocks: transfers.cachedBlocks,
+    scannedBlocks: transfers.scannedBlocks,
+    sent: {
+      count: transfers.sent.length,
+      totalAmount: transfers.totalSent.toString(),
+      totalAmountFormatted: units(transfers.totalSent).toFixed(4) + ' ' + token.symbol,
+      totalUsd: sentUsd
+    },
+    received: {
+      count: transfers.received.length,
+      totalAmount: transfers.totalReceived.toString(),
+      totalAmountFormatted: units(transfers.totalReceived).toFixed(4) + ' ' + token.symbol,
+      totalUsd: receivedUsd
+    },
+    volumeUsd: sentUsd + receivedUsd
+  };
+}
+
+/**
+ * Fetch transaction history for a wallet address across all registered tokens
  * @param {string} walletAddress - The wallet address to analyze
  * @param {number} maxBlocks - Maximum number of blocks to scan (default: 50000)
- * @returns {Promise<Object>} Activity data with transactions
+ * @param {string} scoreModel - Scoring model id (shared/scoring)
+ * @param {Function} onProgress - Optional progress callback ({ stage, ... }) for streaming responses
+ * @returns {Promise<Object>} Activity data with transactions and per-token breakdown
  */
-async function fetchRealActivityData(walletAddress, maxBlocks = 50000) {
+async function fetchRealActivityData(walletAddress, maxBlocks = 50000, scoreModel = DEFAULT_MODEL, onProgress = () => {}) {
   try {
     console.log('🔍 Fetching real transactions for:', walletAddress);
     
@@ -30,145 +282,135 @@ async function fetchRealActivityData(walletAddress, maxBlocks = 50000) {
     ]);
     
     const startBlock = Math.max(0, latestBlock - maxBlocks);
+    const tokens = tokenRegistry.getTokens();
     
     console.log(`📦 Scanning blocks ${startBlock} to ${latestBlock} (${maxBlocks} blocks)`);
+    console.log(`🪙 Tokens: ${tokens.map(t => t.symbol).join(', ')}`);
     console.log(`📊 Wallet nonce (total txs): ${nonce}`);
+    onProgress({ stage: 'start', fromBlock: startBlock, toBlock: latestBlock, tokens: tokens.map(t => t.symbol) });
     
-    // Fetch Transfer events
-    const sentTransactions = [];
-    const receivedTransactions = [];
-    let totalSent = BigInt(0);
-    let totalReceived = BigInt(0);
-    
-    // Get Transfer event selector
-    const transferEventKey = hash.getSelectorFromName('Transfer');
-    console.log(`🔑 Transfer event key: ${transferEventKey}`);
-    
-    try {
-      // Query all Transfer events (we'll filter client-side)
-      const events = await provider.getEvents({
-        from_block: { block_number: startBlock },
-        to_block: { block_number: latestBlock },
-        address: STRK_TOKEN_ADDRESS,
-        keys: [[transferEventKey]], // Filter by Transfer event
-        chunk_size: 1000
-      });
-      
-      console.log(`� Found ${events.events?.length || 0} total Transfer events`);
-      
-      if (events.events && events.events.length > 0) {
-        // Process each event
-        for (const event of events.events) {
-          try {
-            // StarkNet Transfer event structure:
-            // keys: [event_selector, from, to]
-            // data: [value_low, value_high]
-            const from = event.keys[1];
-            const to = event.keys[2];
-            const valueLow = BigInt(event.data[0]);
-            const valueHigh = BigInt(event.data[1] || 0);
-            const value = valueLow + (valueHigh << BigInt(128));
-            
-            // Normalize addresses for comparison
-            const normalizedWallet = walletAddress.toLowerCase();
-            const normalizedFrom = from.toLowerCase();
-            const normalizedTo = to.toLowerCase();
-            
-            // Check if this wallet is involved
-            const isSender = normalizedFrom === normalizedWallet;
-            const isReceiver = normalizedTo === normalizedWallet;
-            
-            if (isSender) {
-              totalSent += value;
-              sentTransactions.push({
-                type: 'sent',
-                txHash: event.transaction_hash,
-                blockNumber: event.block_number,
-                from: from,
-                to: to,
-                amount: value.toString(),
-                amountFormatted: (Number(value) / 1e18).toFixed(4) + ' STRK',
-                timestamp: null
-              });
-            }
-            
-            if (isReceiver) {
-              totalReceived += value;
-              receivedTransactions.push({
-                type: 'received',
-                txHash: event.transaction_hash,
-                blockNumber: event.block_number,
-                from: from,
-                to: to,
-                amount: value.toString(),
-                amountFormatted: (Number(value) / 1e18).toFixed(4) + ' STRK',
-                timestamp: null
-              });
-            }
-          } catch (parseError) {
-            console.warn('⚠️  Failed to parse event:', parseError.message);
-          }
-        }
-      }
-      
-      console.log(`📤 Sent: ${sentTransactions.length} transactions`);
-      console.log(`📥 Received: ${receivedTransactions.length} transactions`);
-      
-    } catch (error) {
-      console.error('Error fetching Transfer events:', error.message);
+    const breakdown = await Promise.all(tokens.map(async (token) => {
+      const [balance, transfers] = await Promise.all([
+        fetchTokenBalance(token, walletAddress),
+        fetchTokenTransfers(token, walletAddress, startBlock, latestBlock, onProgress)
+      ]);
+      return { token, balance, transfers, summary: summarizeToken(token, balance, transfers) };
+    }));
+
+    const sentTransactions = breakdown.flatMap(entry => entry.transfers.sent);
+    const receivedTransactions = breakdown.flatMap(entry => entry.transfers.received);
+    const transfers = [...sentTransactions, ...receivedTransactions];
+    const latestFirst = (a, b) => b.blockNumber - a.blockNumber;
+
+    console.log(`📤 Sent: ${sentTransactions.length} transactions`);
+    console.log(`📥 Received: ${receivedTransactions.length} transactions`);
+
+    // Aggregate in USD, then express balance/volume in STRK so the scoring
+    // models keep their STRK-denominated curves
+    const sum = (values) => values.reduce((acc, value) => acc + value, 0);
+    const balanceUsd = sum(breakdown.map(entry => entry.summary.balanceUsd));
+    const sentUsd = sum(breakdown.map(entry => entry.summary.sent.totalUsd));
+    const receivedUsd = sum(breakdown.map(entry => entry.summary.received.totalUsd));
+    const totalVolumeUsd = sentUsd + receivedUsd;
+    const strkPrice = tokenRegistry.getPrice('STRK');
+    const strkEntry = breakdown.find(entry => entry.token.symbol === 'STRK');
+    const strkUnits = (amount) => Number(amount) / 1e18;
+
+    const balanceInSTRK = strkPrice > 0
+      ? balanceUsd / strkPrice
+      : strkUnits(strkEntry ? strkEntry.balance : 0);
+    const volumeInSTRK = strkPrice > 0
+      ? totalVolumeUsd / strkPrice
+      : strkUnits(strkEntry ? strkEntry.transfers.totalSent + strkEntry.transfers.totalReceived : 0);
+
+    for (const entry of breakdown) {
+      entry.summary.shareOfVolume = totalVolumeUsd > 0 ? entry.summary.volumeUsd / totalVolumeUsd : 0;
     }
     
-    // Calculate activity score
     // Use nonce (total transactions) as primary count
     // Fall back to Transfer events if nonce is 0
-    const actualTxCount = Number(nonce) > 0 ? Number(nonce) : (sentTransactions.length + receivedTransactions.length);
-    const transferCount = sentTransactions.length + receivedTransactions.length;
-    const totalVolume = totalSent + totalReceived;
-    const volumeInSTRK = Number(totalVolume) / 1e18;
-    
-    // Score calculation (matching test frontend logic):
-    // - 10 points per transaction (using nonce for actual tx count)
-    // - 1 point per STRK in total volume
-    // - Bonus for balanced activity (both sending and receiving)
-    const balanceBonus = (sentTransactions.length > 0 && receivedTransactions.length > 0) ? 100 : 0;
+    const transferCount = transfers.length;
+    const actualTxCount = Number(nonce) > 0 ? Number(nonce) : transferCount;
     
-    const score = Math.min(1000, Math.round(
-      (actualTxCount * 10) +     // Transaction count weight (using nonce)
-      volumeInSTRK +              // Volume weight
-      balanceBonus                // Activity balance bonus
-    ));
+    // Metrics for the shared scoring engine
+    let walletAge = 0;
+    let recentTxCount = 0;
+    if (transfers.length > 0) {
+      const estimateTime = await buildBlockTimeEstimator(startBlock, latestBlock);
+      const now = Math.floor(Date.now() / 1000);
+      const oldestBlock = Math.min(...transfers.map(tx => tx.blockNumber));
+      walletAge = Math.max(0, now - estimateTime(oldestBlock));
+      recentTxCount = transfers.filter(tx => estimateTime(tx.blockNumber) > now - SEVEN_DAYS).length;
+      activityBlockCache.recordFirstSeen(walletAddress, oldestBlock, estimateTime(oldestBlock));
+    } else {
+      activityBlockCache.recordFirstSeen(walletAddress, null, null);
+    }
+    const uniqueCounterparties = new Set(
+      transfers.map(tx => (tx.type === 'sent' ? tx.to : tx.from).toLowerCase())
+    ).size;
+
+    // Repayment record across loans, only for models that score it
+    let repaymentMetrics = {};
+    if (getModel(scoreModel).usesRepaymentHistory) {
+      try {
+        repaymentMetrics = await reputationService.getRepaymentMetrics(walletAddress);
+      } catch (error) {
+        console.warn('⚠️ Could not load repayment history, scoring without it:', error.message);
+      }
+    }
+
+    onProgress({ stage: 'score', model: scoreModel });
+    const scoring = scoreActivity({
+      balance: balanceInSTRK,
+      txCount: actualTxCount,
+      totalVolume: volumeInSTRK,
+      walletAge,
+      recentTxCount,
+      uniqueCounterparties,
+      ...repaymentMetrics
+    }, scoreModel);
+    const score = scoring.total;
     
     console.log('✅ Activity score calculated:', {
       score,
+      model: scoring.model,
       actualTxCount,
       transferCount,
       sent: sentTransactions.length,
       received: receivedTransactions.length,
-      totalVolume: volumeInSTRK.toFixed(4),
-      source: Number(nonce) > 0 ? 'wallet nonce' : 'STRK transfers'
+      totalVolumeUsd: totalVolumeUsd.toFixed(2),
+      source: Number(nonce) > 0 ? 'wallet nonce' : 'token transfers'
     });
     
     return {
       score,
+      scoreModel: scoring.model,
+      scoreBreakdown: scoring.components,
+      metrics: scoring.metrics,
       totalTransactions: actualTxCount,
-      transferCount, // STRK transfers only
+      transferCount, // Transfers across all registered tokens
       nonce: Number(nonce), // Keep raw nonce
+      tokens: breakdown.map(entry => entry.summary),
+      prices: tokenRegistry.getPriceInfo(),
       sentTransactions: {
         count: sentTransactions.length,
-        totalAmount: totalSent.toString(),
-        totalAmountFormatted: (Number(totalSent) / 1e18).toFixed(4) + ' STRK',
-        transactions: sentTransactions.slice(0, 20) // Latest 20
+        totalUsd: sentUsd,
+        totalAmountFormatted: sentUsd.toFixed(2) + ' USD',
+        transactions: sentTransactions.sort(latestFirst).slice(0, 20) // Latest 20
       },
       receivedTransactions: {
         count: receivedTransactions.length,
-        totalAmount: totalReceived.toString(),
-        totalAmountFormatted: (Number(totalReceived) / 1e18).toFixed(4) + ' STRK',
-        transactions: receivedTransactions.slice(0, 20) // Latest 20
+        totalUsd: receivedUsd,
+        totalAmountFormatted: receivedUsd.toFixed(2) + ' USD',
+        transactions: receivedTransactions.sort(latestFirst).slice(0, 20) // Latest 20
       },
-      totalVolume: totalVolume.toString(),
-      totalVolumeFormatted: volumeInSTRK.toFixed(4) + ' STRK',
+      balanceUsd,
+      totalVolume: totalVolumeUsd.toFixed(2),
+      totalVolumeUsd,
+      totalVolumeFormatted: totalVolumeUsd.toFixed(2) + ' USD',
       walletAddress,
       scannedBlocks: maxBlocks,
+      scan: { fromBlock: startBlock, toBlock: latestBlock }, // Per-token cache use is in tokens[].cachedBlocks/scannedBlocks
       timestamp: new Date().toISOString(),
       dataSource: 'starknet-rpc-blast-api-v2'
     };
@@ -180,13 +422,17 @@ async function fetchRealActivityData(walletAddress, maxBlocks = 50000) {
     // Fallback to minimal data
     return {
       score: 0,
+      scoreModel,
       totalTransactions: 0,
       transferCount: 0,
       nonce: 0,
-      sentTransactions: { count: 0, totalAmount: '0', totalAmountFormatted: '0.0000 STRK', transactions: [] },
-      receivedTransactions: { count: 0, totalAmount: '0', totalAmountFormatted: '0.0000 STRK', transactions: [] },
+      tokens: [],
+      sentTransactions: { count: 0, totalUsd: 0, totalAmountFormatted: '0.00 USD', transactions: [] },
+      receivedTransactions: { count: 0, totalUsd: 0, totalAmountFormatted: '0.00 USD', transactions: [] },
+      balanceUsd: 0,
       totalVolume: '0',
-      totalVolumeFormatted: '0.0000 STRK',
+      totalVolumeUsd: 0,
+      totalVolumeFormatted: '0.00 USD',
       walletAddress,
       error: error.message,
       dataSource: 'fallback',
@@ -198,10 +444,11 @@ async function fetchRealActivityData(walletAddress, maxBlocks = 50000) {
 /**
  * Get simplified activity score (backward compatible)
  * @param {string} walletAddress 
+ * @param {string} scoreModel - Scoring model id (shared/scoring)
  * @returns {Promise<number>} Activity score (0-1000)
  */
-async function getActivityScore(walletAddress) {
-  const data = await fetchRealActivityData(walletAddress);
+async function getActivityScore(walletAddress, scoreModel = DEFAULT_MODEL) {
+  const data = await fetchRealActivityData(walletAddress, undefined, scoreModel);
   return data.score;
 }
 
@@ -0,0 +1,183 @@
+const axios = require('axios');
+const shamirService = require('./shamirService');
+const vssService = require('./vssService');
+const logger = require('../utils/logger');
+const { loadKey, signRequest, verifyPayload, hashShare } = require('../../../shared/trusteeProtocol');
+
+/**
+ * Signed client for the trustee network
+ * Requests are signed with the platform's Ed25519 key (PLATFORM_SIGNING_KEY); share
+ * receipts and released shares are only accepted with a valid signature from the trustee
+ * that holds them (TRUSTEE_<n>_PUBLIC_KEY) and when they are bound to the requested loan
+ * and commitment.
+ */
+class TrusteeClient {
+  constructor() {
+    this.total = parseInt(process.env.TRUSTEE_TOTAL) || 3;
+    this.platformKey = null;
+    this.trusteeKeys = new Map();
+  }
+
+  /**
+   * Platform signing key (loaded on first use)
+   */
+  getPlatformKey() {
+    if (!this.platformKey) {
+      this.platformKey = loadKey(process.env.PLATFORM_SIGNING_KEY, 'private');
+    }
+    return this.platformKey;
+  }
+
+  /**
+   * Public key of a trustee (loaded on first use)
+   * @param {number} trusteeIndex - 0-based trustee index
+   */
+  getTrusteeKey(trusteeIndex) {
+    if (!this.trusteeKeys.has(trusteeIndex)) {
+      const value = process.env[`TRUSTEE_${trusteeIndex + 1}_PUBLIC_KEY`];
+      if (!value) {
+        throw new Error(`TRUSTEE_${trusteeIndex + 1}_PUBLIC_KEY not configured`);
+      }
+      this.trusteeKeys.set(trusteeIndex, loadKey(value, 'public'));
+    }
+    return this.trusteeKeys.get(trusteeIndex);
+  }
+
+  /**
+   * Base URL of a trustee API (e.g. http://localhost:4001/api)
+   * @param {number} trusteeIndex - 0-based trustee index
+   * @returns {string|null} Endpoint
+   */
+  getEndpoint(trusteeIndex) {
+    return process.env[`TRUSTEE_${trusteeIndex + 1}_ENDPOINT`] || null;
+  }
+
+  /**
+   * Share id held by a trustee
+   */
+  getShareId(trusteeIndex) {
+    return `trustee_${trusteeIndex + 1}`;
+  }
+
+  /**
+   * Send a signed request to a trustee
+   * @param {number} trusteeIndex - 0-based trustee index
+   * @param {string} method - HTTP method
+   * @param {string} route - Route below the trustee endpoint (e.g. '/request-share')
+   * @param {object} body - JSON body
+   * @returns {Promise<object>} Response data
+   */
+  async send(trusteeIndex, method, route, body) {
+    const endpoint = this.getEndpoint(trusteeIndex);
+    if (!endpoint) {
+      throw new Error(`Trustee ${trusteeIndex} endpoint not configured`);
+    }
+
+    const url = `${endpoint.replace(/\/$/, '')}${route}`;
+    const { pathname, search } = new URL(url);
+    const { headers, rawBody } = signRequest(this.getPlatformKey(), {
+      method,
+      path: pathname + search,
+      body
+    });
+
+    const response = await axios({
+      method,
+      url,
+      data: rawBody || undefined,
+      headers: { ...headers, 'Content-Type': 'application/json' },
+      timeout: 30000,
+      transformRequest: [(data) => data] // send the signed bytes untouched
+    });
+    return response.data;
+  }
+
+  /**
+   * Deliver a share to the trustee that holds it and verify its receipt
+   * @param {number} trusteeIndex - 0-based trustee index
+   * @param {object} shareData - { loanId, commitment, borrowerAddress, share }
+   * @returns {Promise<object>} Signed receipt { trusteeId, loanId, commitment, shareId, shareHash,
+   *   receivedAt, auditSeq, signature }
+   */
+  async sendShare(trusteeIndex, { loanId, commitment, borrowerAddress, share }) {
+    const data = await this.send(trusteeIndex, 'POST', '/receive-share', {
+      loanId: String(loanId),
+      commitment,
+      borrowerAddress,
+      shareId: this.getShareId(trusteeIndex),
+      share
+    });
+
+    const { success, signature, auditSeq, ...receipt } = data;
+    const shareId = this.getShareId(trusteeIndex);
+
+    if (!verifyPayload(this.getTrusteeKey(trusteeIndex), receipt, signature)) {
+      throw new Error('Trustee receipt signature is invalid');
+    }
+    if (receipt.trusteeId !== shareId || receipt.shareId !== shareId) {
+      throw new Error(`Receipt is for ${receipt.trusteeId}/${receipt.shareId}, expected ${shareId}`);
+    }
+    if (receipt.loanId !== String(loanId) || receipt.commitment !== commitment) {
+      throw new Error('Receipt is for a different loan application');
+    }
+    if (receipt.shareHash !== hashShare(share)) {
+      throw new Error('Receipt does not match the share sent');
+    }
+
+    return { ...receipt, auditSeq, signature };
+  }
+
+  /**
+   * Request a released share and verify it
+   * @param {number} trusteeIndex - 0-based trustee index
+   * @param {object} request - { loanId, commitment, reason }
+   * @returns {Promise<string>} Share
+   */
+  async requestShare(trusteeIndex, { loanId, commitment, reason }) {
+    const data = await this.send(trusteeIndex, 'POST', '/request-share', {
+      loanId: String(loanId),
+      commitment,
+      reason
+    });
+
+    const { signature, auditSeq, ...payload } = data;
+    const expected = {
+      trusteeId: this.getShareId(trusteeIndex),
+      loanId: String(loanId)
+    };
+
+    if (!verifyPayload(this.getTrusteeKey(trusteeIndex), payload, signature)) {
+      throw new Error('Trustee response signature is invalid');
+    }
+    if (payload.trusteeId !== expected.trusteeId || payload.shareId !== expected.trusteeId) {
+      throw new Error(`Response is for ${payload.trusteeId}/${payload.shareId}, expected ${expected.trusteeId}`);
+    }
+    if (payload.loanId !== expected.loanId || (commitment && BigInt(payload.commitment) !== BigInt(commitment))) {
+      throw new Error('Released share is bound to a different loan application');
+    }
+    if (!shamirService.validateShare(payload.share)) {
+      throw new Error('Released share has an invalid format');
+    }
+    const shareIndex = vssService.getShareIndex(payload.share);
+    if (shareIndex !== null && shareIndex !== trusteeIndex + 1) {
+      throw new Error(`Released share is for trustee_${shareIndex}, not ${expected.trusteeId}`);
+    }
+
+    logger.info('Verified share from trustee', {
+      loanId: payload.loanId,
+      trusteeId: payload.trusteeId,
+      auditSeq
+    });
+
+    return payload.share;
+  }
+
+  /**
+   * Share metadata held by a trustee for a loan
+   */
+  async getShareStatus(trusteeIndex, loanId) {
+    return this.send(trusteeIndex, 'GET', `/share-status/${encodeURIComponent(loanId)}`);
+  }
+}
+
+module.exports = new TrusteeClient();
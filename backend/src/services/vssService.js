@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * Feldman verifiable secret sharing
+ *
+ * Shamir sharing over Z_q with public commitments C_j = g^a_j mod p to the polynomial
+ * coefficients, in the RFC 3526 2048-bit MODP group (p = 2q + 1 safe prime, g = 2
+ * generates the order-q subgroup). Anyone holding the commitments can check a share
+ * (x, y) with g^y == prod(C_j^(x^j)) mod p before it is used, so a corrupted share is
+ * pinned on the trustee that returned it instead of surfacing as a failed decrypt.
+ *
+ * Share strings: `fv1-<x hex>-<y hex>`; x is the trustee number (1-based).
+ */
+
+const SCHEME = 'feldman-modp2048';
+const SHARE_PREFIX = 'fv1';
+
+// RFC 3526, 2048-bit MODP group (id 14)
+const P = BigInt('0x' +
+  'FFFFFFFFFFFFFFFFC90FDAA22168C234C4C6628B80DC1CD1' +
+  '29024E088A67CC74020BBEA63B139B22514A08798E3404DD' +
+  'EF9519B3CD3A431B302B0A6DF25F14374FE1356D6D51C245' +
+  'E485B576625E7EC6F44C42E9A637ED6B0BFF5CB6F406B7ED' +
+  'EE386BFB5A899FA5AE9F24117C4B1FE649286651ECE45B3D' +
+  'C2007CB8A163BF0598DA48361C55D39A69163FA8FD24CF5F' +
+  '83655D23DCA3AD961C62F356208552BB9ED529077096966D' +
+  '670C354E4ABC9804F1746C08CA18217C32905E462E36CE3B' +
+  'E39E772C180E86039B2783A2EC07A28FB5C55DF06F4C52C9' +
+  'DE2BCBF6955817183995497CEA956AE515D2261898FA0510' +
+  '15728E5A8AACAA68FFFFFFFFFFFFFFFF');
+const Q = (P - 1n) / 2n;
+const G = 2n;
+
+function mod(a, m) {
+  const r = a % m;
+  return r < 0n ? r + m : r;
+}
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  let b = mod(base, modulus);
+  let e = exponent;
+  while (e > 0n) {
+    if (e & 1n) result = (result * b) % modulus;
+    b = (b * b) % modulus;
+    e >>= 1n;
+  }
+  return result;
+}
+
+// Inverse mod prime (Fermat)
+function modInverse(a, m) {
+  return modPow(mod(a, m), m - 2n, m);
+}
+
+function randomScalar() {
+  // 320 random bits reduced mod q: bias is negligible
+  return mod(BigInt('0x' + crypto.randomBytes(40).toString('hex')), Q);
+}
+
+class VSSService {
+  constructor() {
+    this.scheme = SCHEME;
+  }
+
+  /**
+   * Split a secret into verifiable shares
+   * @param {string} secretHex - Secret (hex, must be < q)
+   * @param {number} total - Number of shares
+   * @param {number} threshold - Shares needed to reconstruct
+   * @returns {object} { shares, commitments, threshold, total, scheme }
+   */
+  split(secretHex, total, threshold) {
+    if (threshold < 2 || threshold > total) {
+      throw new Error('Threshold must be between 2 and the number of shares');
+    }
+
+    const secret = BigInt('0x' + secretHex);
+    if (secret >= Q) {
+      throw new Error('Secret too large for the VSS group');
+    }
+
+    const coefficients = [secret];
+    for (let j = 1; j < threshold; j++) {
+      coefficients.push(randomScalar());
+    }
+
+    const shares = [];
+    for (let x = 1n; x <= BigInt(total); x++) {
+      // Horner evaluation of f(x) mod q
+      let y = 0n;
+      for (let j = coefficients.length - 1; j >= 0; j--) {
+        y = mod(y * x + coefficients[j], Q);
+      }
+      shares.push(this.encodeShare(x, y));
+    }
+
+    const commitments = coefficients.map(a => modPow(G, a, P).toString(16));
+
+    logger.info('Secret split into verifiable shares', { total, threshold, scheme: SCHEME });
+
+    return { shares, commitments, threshold, total, scheme: SCHEME };
+  }
+
+  encodeShare(x, y) {
+    return `${SHARE_PREFIX}-${x.toString(16)}-${y.toString(16)}`;
+  }
+
+  /**
+   * Parse a share string
+   * @param {string} share - `fv1-<x>-<y>`
+   * @returns {object|null} { x, y } or null if malformed
+   */
+  decodeShare(share) {
+    const match = typeof share === 'string' && share.match(/^fv1-([0-9a-f]+)-([0-9a-f]+)$/i);
+    if (!match) {
+      return null;
+    }
+    const x = BigInt('0x' + match[1]);
+    const y = BigInt('0x' + match[2]);
+    return x > 0n && y < Q ? { x, y } : null;
+  }
+
+  /**
+   * Check whether a string is a VSS share
+   */
+  isVerifiableShare(share) {
+    return this.decodeShare(share) !== null;
+  }
+
+  /**
+   * Trustee number a share belongs to
+   * @returns {number|null} 1-based trustee number
+   */
+  getShareIndex(share) {
+    const decoded = this.decodeShare(share);
+    return decoded ? Number(decoded.x) : null;
+  }
+
+  /**
+   * Verify a share against the published commitments
+   * @param {string} share - Share string
+   * @param {Array<string>} commitments - Hex commitments C_0..C_{t-1}
+   * @returns {boolean} True if the share lies on the committed polynomial
+   */
+  verifyShare(share, commitments) {
+    const decoded = this.decodeShare(share);
+    if (!decoded || !Array.isArray(commitments) || commitments.length < 2) {
+      return false;
+    }
+
+    const { x, y } = decoded;
+    let expected = 1n;
+    let power = 1n; // x^j mod q
+    for (const commitment of commitments) {
+      expected = (expected * modPow(BigInt('0x' + commitment), power, P)) % P;
+      power = mod(power * x, Q);
+    }
+
+    return modPow(G, y, P) === expected;
+  }
+
+  /**
+   * Verify a batch of shares, separating the faulty ones
+   * @param {Array<string>} shares - Share strings
+   * @param {Array<string>} commitments - Hex commitments
+   * @returns {object} { valid, faulty } - faulty: [{ index, reason }] with 1-based trustee numbers
+   */
+  verifyShares(shares, commitments) {
+    const valid = [];
+    const faulty = [];
+    const seen = new Set();
+
+    for (const share of shares) {
+      const index = this.getShareIndex(share);
+      if (index === null) {
+        faulty.push({ index: null, reason: 'malformed share' });
+      } else if (seen.has(index)) {
+        faulty.push({ index, reason: 'duplicate share index' });
+      } else if (!this.verifyShare(share, commitments)) {
+        faulty.push({ index, reason: 'share does not match VSS commitments' });
+      } else {
+        seen.add(index);
+        valid.push(share);
+      }
+    }
+
+    if (faulty.length > 0) {
+      logger.warn('Rejected invalid shares', { faulty });
+    }
+
+    return { valid, faulty };
+  }
+
+  /**
+   * Reconstruct the secret from already verified shares
+   * @param {Array<string>} shares - Exactly `threshold` verified share strings
+   * @returns {string} Secret (hex, 64 chars)
+   */
+  reconstruct(shares) {
+    const secret = this.interpolateAtZero(shares.map(share => this.decodeShare(share)));
+    return secret.toString(16).padStart(64, '0');
+  }
+
+  /**
+   * Verify shares, then reconstruct from the first `threshold` valid ones
+   * @param {Array<string>} shares - Share strings
+   * @param {object} vss - { commitments, threshold }
+   * @returns {object} { secret, used, faulty }
+   */
+  combine(shares, { commitments, threshold }) {
+    const { valid, faulty } = this.verifyShares(shares, commitments);
+
+    if (valid.length < threshold) {
+      throw Object.assign(
+        new Error(`Insufficient valid shares: need ${threshold}, got ${valid.length}`),
+        { faulty }
+      );
+    }
+
+    const used = valid.slice(0, threshold);
+    return {
+      secret: this.reconstruct(used),
+      used: used.map(share => this.getShareIndex(share)),
+      faulty
+    };
+  }
+
+  /**
+   * Lagrange interpolation of f(0) mod q
+   */
+  interpolateAtZero(points) {
+    let secret = 0n;
+    for (const { x: xi, y: yi } of points) {
+      let numerator = 1n;
+      let denominator = 1n;
+      for (const { x: xj } of points) {
+        if (xj === xi) continue;
+        numerator = mod(numerator * -xj, Q);
+        denominator = mod(denominator * (xi - xj), Q);
+      }
+      secret = mod(secret + yi * numerator * modInverse(denominator, Q), Q);
+    }
+    return secret;
+  }
+}
+
+module.exports = new VSSService();
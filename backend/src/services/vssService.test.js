@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+process.env.LOG_LEVEL = 'error';
+
+const vssService = require('./vssService');
+
+const SECRET = crypto.randomBytes(32).toString('hex');
+
+/**
+ * Same share with its y value changed by one
+ */
+function corrupt(share) {
+  const [prefix, x, y] = share.split('-');
+  return `${prefix}-${x}-${(BigInt('0x' + y) + 1n).toString(16)}`;
+}
+
+describe('vssService', () => {
+  let vss;
+
+  beforeAll(() => {
+    vss = vssService.split(SECRET, 5, 3);
+  });
+
+  describe('split', () => {
+    it('returns one share per trustee and one commitment per coefficient', () => {
+      expect(vss).toMatchObject({ total: 5, threshold: 3, scheme: 'feldman-modp2048' });
+      expect(vss.shares).toHaveLength(5);
+      expect(vss.commitments).toHaveLength(3);
+      expect(vss.shares.map(share => vssService.getShareIndex(share))).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('rejects thresholds outside 2..total', () => {
+      expect(() => vssService.split(SECRET, 3, 1)).toThrow('Threshold must be between 2 and the number of shares');
+      expect(() => vssService.split(SECRET, 3, 4)).toThrow('Threshold must be between 2 and the number of shares');
+    });
+  });
+
+  describe('verify', () => {
+    it('accepts every share against its commitments', () => {
+      for (const share of vss.shares) {
+        expect(vssService.verifyShare(share, vss.commitments)).toBe(true);
+      }
+    });
+
+    it('rejects a corrupted share, a malformed share and a share of another split', () => {
+      const other = vssService.split(SECRET, 5, 3);
+
+      expect(vssService.verifyShare(corrupt(vss.shares[0]), vss.commitments)).toBe(false);
+      expect(vssService.verifyShare('not-a-share', vss.commitments)).toBe(false);
+      expect(vssService.verifyShare(other.shares[0], vss.commitments)).toBe(false);
+    });
+
+    it('names the faulty and duplicate shares in a batch', () => {
+      const { valid, faulty } = vssService.verifyShares(
+        [vss.shares[0], corrupt(vss.shares[1]), vss.shares[0], 'garbage'],
+        vss.commitments
+      );
+
+      expect(valid).toEqual([vss.shares[0]]);
+      expect(faulty).toEqual([
+        { index: 2, reason: 'share does not match VSS commitments' },
+        { index: 1, reason: 'duplicate share index' },
+        { index: null, reason: 'malformed share' }
+      ]);
+    });
+  });
+
+  describe('recover', () => {
+    it('reconstructs the secret from any threshold of shares', () => {
+      expect(vssService.reconstruct(vss.shares.slice(0, 3))).toBe(SECRET);
+      expect(vssService.reconstruct([vss.shares[4], vss.shares[1], vss.shares[3]])).toBe(SECRET);
+    });
+
+    it('does not reconstruct the secret from fewer than threshold shares', () => {
+      expect(vssService.reconstruct(vss.shares.slice(0, 2))).not.toBe(SECRET);
+    });
+
+    it('skips faulty shares and reports the trustees used', () => {
+      const shares = [corrupt(vss.shares[0]), vss.shares[1], vss.shares[2], vss.shares[3]];
+      const result = vssService.combine(shares, vss);
+
+      expect(result.secret).toBe(SECRET);
+      expect(result.used).toEqual([2, 3, 4]);
+      expect(result.faulty).toEqual([{ index: 1, reason: 'share does not match VSS commitments' }]);
+    });
+
+    it('refuses to combine when too few shares are valid', () => {
+      const shares = [corrupt(vss.shares[0]), vss.shares[1], vss.shares[2]];
+
+      expect(() => vssService.combine(shares, vss)).toThrow('Insufficient valid shares: need 3, got 2');
+    });
+  });
+});
@@ -1,8 +1,14 @@
 const snarkjs = require('snarkjs');
 const { buildPoseidon } = require('circomlibjs');
+const { shortString } = require('starknet');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
+const thresholds = require('../config/thresholds');
+const { getModel, normalizeMetrics, scoreActivity } = require('../../../shared/scoring');
+
+// Scoring model enforced by the activityAuth circuit
+const ACTIVITY_AUTH_MODEL = 'v3-circuit';
 
 /**
  * ZK Proof Service for wallet activity verification
@@ -24,10 +30,25 @@ class ZKService {
     this.zkeyPath = path.join(__dirname, '../zk/activityVerifier_final.zkey');
     this.vkeyPath = path.join(__dirname, '../zk/verification_key.json');
     
+    // Activity score derivation circuit files (score computed from committed metrics)
+    this.authWasmPath = path.join(__dirname, '../zk/activityAuth.wasm');
+    this.authZkeyPath = path.join(__dirname, '../zk/activityAuth_final.zkey');
+    this.authVkeyPath = path.join(__dirname, '../zk/verification_key_auth.json');
+    
+    // Income verification circuit files (income >= threshold from a signed oracle attestation)
+    this.incomeWasmPath = path.join(__dirname, '../zk/incomeVerifier.wasm');
+    this.incomeZkeyPath = path.join(__dirname, '../zk/incomeVerifier_final.zkey');
+    this.incomeVkeyPath = path.join(__dirname, '../zk/verification_key_income.json');
+    
     // Identity verification circuit files
     this.idWasmPath = path.join(__dirname, '../zk/idAuth.wasm');
     this.idZkeyPath = path.join(__dirname, '../zk/idAuth_final.zkey');
     this.idVkeyPath = path.join(__dirname, '../zk/verification_key_id.json');
+    
+    // Identity predicate circuit files (age range, excluded nationalities, document expiry)
+    this.predicatesWasmPath = path.join(__dirname, '../zk/idPredicates.wasm');
+    this.predicatesZkeyPath = path.join(__dirname, '../zk/idPredicates_final.zkey');
+    this.predicatesVkeyPath = path.join(__dirname, '../zk/verification_key_predicates.json');
   }
 
   /**
@@ -123,6 +144,75 @@ class ZKService {
     }
   }
 
+  /**
+   * Verify an activityVerifier proof and decode its public signals.
+   * Signal order (outputs first, then public inputs):
+   * [commitment, isAboveThreshold, nullifier, threshold, wallet_address, loan_id, issued_at]
+   * @param {object} proof - Raw snarkjs proof (pi_a, pi_b, pi_c)
+   * @param {array} publicSignals - Public signals
+   * @returns {object} { verified, commitment, isAboveThreshold, nullifier, threshold, walletAddress, loanId, issuedAt }
+   */
+  async verifyActivityProof(proof, publicSignals) {
+    if (!Array.isArray(publicSignals) || publicSignals.length !== 7) {
+      throw new Error(`Expected 7 public signals, got ${publicSignals?.length}`);
+    }
+
+    const verified = await this.verifyProof(proof, publicSignals);
+
+    return {
+      verified,
+      commitment: BigInt(publicSignals[0]),
+      isAboveThreshold: publicSignals[1] === '1',
+      nullifier: BigInt(publicSignals[2]),
+      threshold: BigInt(publicSignals[3]),
+      walletAddress: '0x' + BigInt(publicSignals[4]).toString(16),
+      loanId: BigInt(publicSignals[5]),
+      issuedAt: Number(publicSignals[6])
+    };
+  }
+
+  /**
+   * Check the issue time of an activity proof against thresholds.proof
+   * @param {number} issuedAt - issued_at public signal (unix seconds)
+   * @param {number} now - Current time in ms
+   * @returns {object} { ageSeconds, maxAgeSeconds, expired, issuedInFuture, fresh }
+   */
+  checkProofFreshness(issuedAt, now = Date.now()) {
+    const ageSeconds = Math.floor(now / 1000) - issuedAt;
+    const maxAgeSeconds = Math.floor(thresholds.proof.maxProofAge / 1000);
+    const issuedInFuture = ageSeconds < -Math.floor(thresholds.proof.maxClockSkew / 1000);
+    const expired = ageSeconds > maxAgeSeconds;
+
+    return { ageSeconds, maxAgeSeconds, expired, issuedInFuture, fresh: !expired && !issuedInFuture };
+  }
+
+  /**
+   * Load the activity circuit verification key
+   * @returns {object} Parsed verification_key.json
+   */
+  async getVerificationKey() {
+    return JSON.parse(await fs.readFile(this.vkeyPath, 'utf8'));
+  }
+
+  /**
+   * Files a browser needs to prove the activity circuit itself
+   * (witness generator, proving key and the snarkjs browser bundle)
+   * @returns {object} name -> absolute path
+   */
+  getProverArtifacts() {
+    return {
+      'activityVerifier.wasm': this.wasmPath,
+      'activityVerifier.zkey': this.zkeyPath,
+      'activityAuth.wasm': this.authWasmPath,
+      'activityAuth.zkey': this.authZkeyPath,
+      'incomeVerifier.wasm': this.incomeWasmPath,
+      'incomeVerifier.zkey': this.incomeZkeyPath,
+      'idPredicates.wasm': this.predicatesWasmPath,
+      'idPredicates.zkey': this.predicatesZkeyPath,
+      'snarkjs.min.js': path.join(path.dirname(require.resolve('snarkjs')), 'snarkjs.min.js')
+    };
+  }
+
   /**
    * Hash inputs using Poseidon hash function
    * @param {array} inputs - Array of field elements to hash
@@ -148,14 +238,17 @@ class ZKService {
   }
 
   /**
-   * Prepare circuit inputs for activity/income verification
-   * @param {number} salary - Activity score or annual salary
-   * @param {number} threshold - Minimum required score/salary
+   * Prepare activityVerifier circuit inputs
+   * Income is proven with the incomeVerifier circuit instead (prepareIncomeProofInputs).
+   * @param {number} activityScore - Activity score (0-1000)
+   * @param {number} threshold - Minimum required score
    * @param {string} salt - Random salt for privacy
    * @param {string} walletAddress - Wallet address (optional, defaults to placeholder)
+   * @param {number|string} loanId - Loan the proof is bound to (0 = none)
+   * @param {number} issuedAt - Issue time in unix seconds (defaults to now)
    * @returns {object} Circuit inputs ready for proof generation
    */
-  prepareIncomeProofInputs(salary, threshold, salt, walletAddress = '12345678901234567890') {
+  prepareActivityProofInputs(activityScore, threshold, salt, walletAddress = '12345678901234567890', loanId = 0, issuedAt = Math.floor(Date.now() / 1000)) {
     // Convert wallet address to BigInt for circuit
     const addressBigInt = walletAddress.startsWith('0x') 
       ? BigInt(walletAddress).toString()
@@ -165,10 +258,12 @@ class ZKService {
     const saltBigInt = BigInt(salt.startsWith('0x') ? salt : '0x' + salt).toString();
 
     return {
-      activity_score: salary.toString(),
+      activity_score: activityScore.toString(),
       threshold: threshold.toString(),
       salt: saltBigInt,
-      wallet_address: addressBigInt
+      wallet_address: addressBigInt,
+      loan_id: BigInt(loanId).toString(),
+      issued_at: issuedAt.toString()
     };
   }
 
@@ -227,6 +322,7 @@ class ZKService {
         passport_number,
         address_hash,
         dob_timestamp,
+        expiry_timestamp,
         document_photo_hash,
         salt,
         wallet_address,
@@ -238,6 +334,7 @@ class ZKService {
         passport_number: passport_number.toString(),
         address_hash: address_hash.toString(),
         dob_timestamp: dob_timestamp.toString(),
+        expiry_timestamp: expiry_timestamp.toString(),
         document_photo_hash: document_photo_hash.toString(),
         salt: salt.toString(),
         wallet_address: wallet_address.toString(),
@@ -285,6 +382,275 @@ class ZKService {
     }
   }
 
+  /**
+   * Prepare activityAuth circuit inputs from raw wallet metrics
+   * Metrics are converted to the whole units the circuit scores (v3-circuit model).
+   * @param {object} metrics - Wallet metrics (balance, txCount, totalVolume, walletAge, recentTxCount, uniqueCounterparties)
+   * @param {number} threshold - Minimum required score
+   * @param {string} salt - Salt (hex); reuse the activity proof's salt to link the score commitment
+   * @param {string} walletAddress - Wallet the metrics belong to
+   * @returns {object} { inputs, score } - circuit inputs and the score the circuit will derive
+   */
+  prepareActivityAuthInputs(metrics, threshold, salt, walletAddress) {
+    const normalized = normalizeMetrics(metrics);
+    const circuitMetrics = getModel(ACTIVITY_AUTH_MODEL).toCircuitMetrics(normalized);
+    const score = scoreActivity(normalized, ACTIVITY_AUTH_MODEL);
+
+    const inputs = {
+      threshold: threshold.toString(),
+      wallet_address: BigInt(walletAddress).toString(),
+      salt: BigInt(salt.startsWith('0x') ? salt : '0x' + salt).toString()
+    };
+    for (const [name, value] of Object.entries(circuitMetrics)) {
+      inputs[name] = value.toString();
+    }
+
+    return { inputs, score };
+  }
+
+  /**
+   * Generate an activityAuth proof (score derived in-circuit from the committed metrics)
+   * @param {object} inputs - From prepareActivityAuthInputs
+   * @returns {object} { proof, publicSignals }
+   */
+  async generateActivityAuthProof(inputs) {
+    try {
+      await this.initialize();
+
+      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+        inputs,
+        this.authWasmPath,
+        this.authZkeyPath
+      );
+
+      logger.info('Activity auth proof generated', {
+        publicSignalsCount: publicSignals.length
+      });
+
+      return { proof, publicSignals };
+    } catch (error) {
+      logger.error('Activity auth proof generation failed', { error: error.message });
+      throw new Error(`Activity auth proof generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify an activityAuth proof and decode its public signals.
+   * Signal order: [metrics_commitment, score_commitment, score_verified, threshold, wallet_address]
+   * @param {object} proof - Raw snarkjs proof
+   * @param {array} publicSignals - Public signals
+   * @returns {object} { verified, metricsCommitment, scoreCommitment, scoreVerified, threshold, walletAddress, scoreModel }
+   */
+  async verifyActivityAuthProof(proof, publicSignals) {
+    if (!Array.isArray(publicSignals) || publicSignals.length !== 5) {
+      throw new Error(`Expected 5 public signals, got ${publicSignals?.length}`);
+    }
+
+    const vkey = JSON.parse(await fs.readFile(this.authVkeyPath, 'utf8'));
+    const verified = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+
+    logger.info('Activity auth proof verification completed', { verified });
+
+    return {
+      verified,
+      metricsCommitment: '0x' + BigInt(publicSignals[0]).toString(16),
+      scoreCommitment: '0x' + BigInt(publicSignals[1]).toString(16),
+      scoreVerified: publicSignals[2] === '1',
+      threshold: BigInt(publicSignals[3]),
+      walletAddress: '0x' + BigInt(publicSignals[4]).toString(16),
+      scoreModel: ACTIVITY_AUTH_MODEL
+    };
+  }
+
+  /**
+   * incomeVerifier inputs taken from a signed 'eddsa' oracle attestation
+   * Includes the income and the signature: only ever handed to the attestation's subject.
+   * @param {Array<string>} fields - Canonical encoding (payrollOracles.encodeAttestation)
+   * @param {object} signature - { R8x, R8y, S }
+   * @param {Array<string>} oracleKey - Oracle public key [Ax, Ay]
+   * @returns {object} Circuit inputs, without threshold, loan_id, issued_at and salt
+   */
+  prepareIncomeAttestationInputs(fields, signature, oracleKey) {
+    const [, oracleId, subject, provider, annualIncome, currency, attestedAt, expiresAt, nonce] =
+      fields.map(felt => BigInt(felt).toString());
+
+    return {
+      currency,
+      wallet_address: subject,
+      oracle_ax: BigInt(oracleKey[0]).toString(),
+      oracle_ay: BigInt(oracleKey[1]).toString(),
+      oracle_id: oracleId,
+      provider,
+      annual_income: annualIncome,
+      attested_at: attestedAt,
+      expires_at: expiresAt,
+      nonce,
+      sig_r8x: BigInt(signature.R8x).toString(),
+      sig_r8y: BigInt(signature.R8y).toString(),
+      sig_s: BigInt(signature.S).toString()
+    };
+  }
+
+  /**
+   * Prepare incomeVerifier circuit inputs
+   * @param {object} attestationInputs - From prepareIncomeAttestationInputs
+   * @param {number} threshold - Minimum required annual income, in the attestation's currency
+   * @param {string} salt - Random salt for the income commitment (hex)
+   * @param {number|string} loanId - Loan the proof is bound to (0 = none)
+   * @param {number} issuedAt - Issue time in unix seconds (defaults to now)
+   * @returns {object} Circuit inputs ready for proof generation
+   */
+  prepareIncomeProofInputs(attestationInputs, threshold, salt, loanId = 0, issuedAt = Math.floor(Date.now() / 1000)) {
+    return {
+      ...attestationInputs,
+      threshold: BigInt(threshold).toString(),
+      loan_id: BigInt(loanId).toString(),
+      issued_at: issuedAt.toString(),
+      salt: BigInt(salt.startsWith('0x') ? salt : '0x' + salt).toString()
+    };
+  }
+
+  /**
+   * Generate an incomeVerifier proof
+   * @param {object} inputs - From prepareIncomeProofInputs
+   * @returns {object} { proof, publicSignals }
+   */
+  async generateIncomeProof(inputs) {
+    try {
+      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+        inputs,
+        this.incomeWasmPath,
+        this.incomeZkeyPath
+      );
+
+      logger.info('Income proof generated', {
+        publicSignalsCount: publicSignals.length
+      });
+
+      return { proof, publicSignals };
+    } catch (error) {
+      logger.error('Income proof generation failed', { error: error.message });
+      throw new Error(`Income proof generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify an incomeVerifier proof and decode its public signals.
+   * Signal order: [income_commitment, attestation_id, threshold, currency, wallet_address,
+   *                loan_id, issued_at, oracle_ax, oracle_ay]
+   * @param {object} proof - Raw snarkjs proof
+   * @param {array} publicSignals - Public signals
+   * @returns {object} { verified, incomeCommitment, attestationId, threshold, currency, walletAddress, loanId, issuedAt, oracleKey }
+   */
+  async verifyIncomeProof(proof, publicSignals) {
+    if (!Array.isArray(publicSignals) || publicSignals.length !== 9) {
+      throw new Error(`Expected 9 public signals, got ${publicSignals?.length}`);
+    }
+
+    const vkey = JSON.parse(await fs.readFile(this.incomeVkeyPath, 'utf8'));
+    const verified = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+
+    logger.info('Income proof verification completed', { verified });
+
+    return {
+      verified,
+      incomeCommitment: '0x' + BigInt(publicSignals[0]).toString(16),
+      attestationId: '0x' + BigInt(publicSignals[1]).toString(16),
+      threshold: BigInt(publicSignals[2]),
+      currency: shortString.decodeShortString('0x' + BigInt(publicSignals[3]).toString(16)),
+      walletAddress: '0x' + BigInt(publicSignals[4]).toString(16),
+      loanId: BigInt(publicSignals[5]),
+      issuedAt: Number(publicSignals[6]),
+      oracleKey: [publicSignals[7], publicSignals[8]]
+    };
+  }
+
+  /**
+   * Prepare idPredicates circuit inputs
+   * @param {object} identityInputs - zkInputs from documentService.processIdentityDocument()
+   * @param {object} publicInputs - { loanId, minAgeSeconds, maxAgeSeconds, expiresAfter, sanctionsRoot }
+   * @param {object} nationalityWitness - From nationalityTree.nonMembershipWitness
+   * @param {number} currentTimestamp - Proof time in unix seconds (defaults to now)
+   * @returns {object} Circuit inputs ready for proof generation
+   */
+  prepareIdentityPredicateInputs(identityInputs, publicInputs, nationalityWitness, currentTimestamp = Math.floor(Date.now() / 1000)) {
+    return {
+      current_timestamp: currentTimestamp.toString(),
+      wallet_address: BigInt(identityInputs.wallet_address).toString(),
+      loan_id: BigInt(publicInputs.loanId).toString(),
+      min_age_seconds: publicInputs.minAgeSeconds.toString(),
+      max_age_seconds: publicInputs.maxAgeSeconds.toString(),
+      expires_after: publicInputs.expiresAfter.toString(),
+      sanctions_root: publicInputs.sanctionsRoot.toString(),
+      passport_number: identityInputs.passport_number.toString(),
+      address_hash: identityInputs.address_hash.toString(),
+      dob_timestamp: identityInputs.dob_timestamp.toString(),
+      expiry_timestamp: identityInputs.expiry_timestamp.toString(),
+      document_photo_hash: identityInputs.document_photo_hash.toString(),
+      salt: identityInputs.salt.toString(),
+      nationality: (identityInputs.nationality || 0).toString(),
+      ...nationalityWitness
+    };
+  }
+
+  /**
+   * Generate an idPredicates proof
+   * @param {object} inputs - From prepareIdentityPredicateInputs
+   * @returns {object} { proof, publicSignals }
+   */
+  async generateIdentityPredicateProof(inputs) {
+    try {
+      const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+        inputs,
+        this.predicatesWasmPath,
+        this.predicatesZkeyPath
+      );
+
+      logger.info('Identity predicate proof generated', {
+        publicSignalsCount: publicSignals.length
+      });
+
+      return { proof, publicSignals };
+    } catch (error) {
+      logger.error('Identity predicate proof generation failed', { error: error.message });
+      throw new Error(`Identity predicate proof generation failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify an idPredicates proof and decode its public signals.
+   * Signal order: [identity_commitment, attributes_commitment, wallet_commitment, current_timestamp,
+   *                wallet_address, loan_id, min_age_seconds, max_age_seconds, expires_after, sanctions_root]
+   * @param {object} proof - Raw snarkjs proof
+   * @param {array} publicSignals - Public signals
+   * @returns {object} { verified, identityCommitment, attributesCommitment, walletCommitment, issuedAt,
+   *   walletAddress, loanId, minAgeSeconds, maxAgeSeconds, expiresAfter, sanctionsRoot }
+   */
+  async verifyIdentityPredicateProof(proof, publicSignals) {
+    if (!Array.isArray(publicSignals) || publicSignals.length !== 10) {
+      throw new Error(`Expected 10 public signals, got ${publicSignals?.length}`);
+    }
+
+    const vkey = JSON.parse(await fs.readFile(this.predicatesVkeyPath, 'utf8'));
+    const verified = await snarkjs.groth16.verify(vkey, publicSignals, proof);
+
+    logger.info('Identity predicate proof verification completed', { verified });
+
+    return {
+      verified,
+      identityCommitment: '0x' + BigInt(publicSignals[0]).toString(16),
+      attributesCommitment: '0x' + BigInt(publicSignals[1]).toString(16),
+      walletCommitment: '0x' + BigInt(publicSignals[2]).toString(16),
+      issuedAt: Number(publicSignals[3]),
+      walletAddress: '0x' + BigInt(publicSignals[4]).toString(16),
+      loanId: BigInt(publicSignals[5]),
+      minAgeSeconds: Number(publicSignals[6]),
+      maxAgeSeconds: Number(publicSignals[7]),
+      expiresAfter: Number(publicSignals[8]),
+      sanctionsRoot: publicSignals[9]
+    };
+  }
+
   /**
    * Prepare identity proof inputs from document service data
    * @param {object} processedData - Data from documentService.processIdentityDocument()
@@ -295,6 +661,7 @@ class ZKService {
       passport_number: processedData.passport_number_felt,
       address_hash: processedData.address_felt,
       dob_timestamp: processedData.dob_timestamp,
+      expiry_timestamp: processedData.expiry_timestamp,
       document_photo_hash: processedData.document_hash_felt,
       salt: processedData.salt,
       wallet_address: processedData.wallet_felt,
@@ -0,0 +1,363 @@
+/**
+ * Machine-readable zone (MRZ) parser for ICAO 9303 travel documents.
+ * Three formats are supported:
+ * - TD1: ID cards, 3 lines of 30 characters
+ * - TD2: ID cards and visas, 2 lines of 36 characters
+ * - TD3: passports, 2 lines of 44 characters
+ * Document number, birth date, expiry date and (TD3) personal number carry check
+ * digits, plus a composite check digit over all of them. OCR commonly confuses
+ * characters like O/0 and I/1; where only digits can occur (dates, check digits) or
+ * only letters (country codes, sex) those are corrected, and a field that passes its
+ * check digit only after correction gets a lower confidence. Document numbers mix
+ * both, so they are never corrected. Any check digit failure makes the MRZ invalid.
+ */
+
+const CHECK_WEIGHTS = [7, 3, 1];
+
+// Field confidence (0-100): check digit passed as read, passed after OCR correction, no check digit
+const CONFIDENCE = { valid: 100, corrected: 85, unchecked: 70 };
+
+// Characters OCR confuses in MRZ fonts, read in a numeric or an alphabetic position
+const TO_DIGIT = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+const TO_LETTER = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 6: 'G', 8: 'B' };
+
+// ISO 3166-1 alpha-3 codes plus the ICAO 9303 codes for Germany, British nationals,
+// the EU, UN organizations, other issuers and stateless persons
+const NATIONALITY_CODES = new Set(`
+  ABW AFG AGO AIA ALA ALB AND ARE ARG ARM ASM ATA ATF ATG AUS AUT AZE BDI BEL BEN BES BFA BGD BGR BHR
+  BHS BIH BLM BLR BLZ BMU BOL BRA BRB BRN BTN BVT BWA CAF CAN CCK CHE CHL CHN CIV CMR COD COG COK COL
+  COM CPV CRI CUB CUW CXR CYM CYP CZE DEU DJI DMA DNK DOM DZA ECU EGY ERI ESH ESP EST ETH FIN FJI FLK
+  FRA FRO FSM GAB GBR GEO GGY GHA GIB GIN GLP GMB GNB GNQ GRC GRD GRL GTM GUF GUM GUY HKG HMD HND HRV
+  HTI HUN IDN IMN IND IOT IRL IRN IRQ ISL ISR ITA JAM JEY JOR JPN KAZ KEN KGZ KHM KIR KNA KOR KWT LAO
+  LBN LBR LBY LCA LIE LKA LSO LTU LUX LVA MAC MAF MAR MCO MDA MDG MDV MEX MHL MKD MLI MLT MMR MNE MNG
+  MNP MOZ MRT MSR MTQ MUS MWI MYS MYT NAM NCL NER NFK NGA NIC NIU NLD NOR NPL NRU NZL OMN PAK PAN PCN
+  PER PHL PLW PNG POL PRI PRK PRT PRY PSE PYF QAT REU ROU RUS RWA SAU SDN SEN SGP SGS SHN SJM SLB SLE
+  SLV SMR SOM SPM SRB SSD STP SUR SVK SVN SWE SWZ SXM SYC SYR TCA TCD TGO THA TJK TKL TKM TLS TON TTO
+  TUN TUR TUV TWN TZA UGA UKR UMI URY USA UZB VAT VCT VEN VGB VIR VNM VUT WLF WSM YEM ZAF ZMB ZWE
+  D GBD GBN GBO GBP GBS EUE UNO UNA UNK XBA XIM XCC XCE XCO XEC XPO XES XMP XOM XDC XXA XXB XXC XXX RKS
+`.trim().split(/\s+/));
+
+// Line lengths per format, and the first character of line 1 (document code)
+const FORMATS = {
+  TD3: { lines: 2, length: 44, documentCodes: 'P' },
+  TD2: { lines: 2, length: 36, documentCodes: 'ACIPV' },
+  TD1: { lines: 3, length: 30, documentCodes: 'ACI' }
+};
+// OCR often drops trailing fillers; lines this much shorter are padded with '<'
+const MAX_MISSING_FILLERS = 4;
+
+/**
+ * ICAO 9303 check digit of a field
+ * @param {string} value - Field characters (0-9, A-Z, '<')
+ * @returns {string} Check digit
+ */
+function checkDigit(value) {
+  let sum = 0;
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    const code = char === '<' ? 0 : /[0-9]/.test(char) ? Number(char) : char.charCodeAt(0) - 55;
+    sum += code * CHECK_WEIGHTS[i % 3];
+  }
+  return String(sum % 10);
+}
+
+/**
+ * Replace OCR confusions for a numeric or alphabetic position
+ */
+function asDigits(value) {
+  return value.replace(/[A-Z]/g, char => TO_DIGIT[char] || char);
+}
+
+function asLetters(value) {
+  return value.replace(/[0-9]/g, char => TO_LETTER[char] || char);
+}
+
+/**
+ * Check a numeric field (dates) against its check digit
+ * @returns {object} { value, check: 'valid' | 'corrected' | 'invalid' }
+ */
+function checkNumericField(raw, rawCheck) {
+  const value = asDigits(raw);
+  const check = asDigits(rawCheck);
+  if (checkDigit(value) !== check) {
+    return { value: raw, check: 'invalid' };
+  }
+  return { value, check: value === raw && check === rawCheck ? 'valid' : 'corrected' };
+}
+
+/**
+ * Check an alphanumeric field (document or personal number) against its check digit
+ * An empty optional field may have '<' as its check digit.
+ * @returns {object} { value, check: 'valid' | 'corrected' | 'invalid' }
+ */
+function checkAlphanumericField(raw, rawCheck, { optional = false } = {}) {
+  const check = asDigits(rawCheck);
+  if (optional && /^<*$/.test(raw) && (rawCheck === '<' || check === '0')) {
+    return { value: raw, check: 'valid' };
+  }
+  if (checkDigit(raw) !== check) {
+    return { value: raw, check: 'invalid' };
+  }
+  return { value: raw, check: rawCheck === check ? 'valid' : 'corrected' };
+}
+
+/**
+ * YYMMDD to an ISO date
+ * @param {string} value - Six digits
+ * @param {string} kind - 'birth' (never in the future) or 'expiry' (at most 50 years ahead)
+ * @returns {string|null} YYYY-MM-DD, or null if not a calendar date
+ */
+function parseDate(value, kind) {
+  if (!/^\d{6}$/.test(value)) {
+    return null;
+  }
+  const yy = Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  const now = new Date();
+  const currentYear = now.getUTCFullYear();
+
+  let year = 2000 + yy;
+  if (kind === 'birth' && year > currentYear) {
+    year -= 100;
+  } else if (kind === 'expiry' && year > currentYear + 50) {
+    year -= 100;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Surname and given names from the name field ('SURNAME<<GIVEN<NAMES')
+ */
+function parseNames(value) {
+  const [surname, given = ''] = value.replace(/<+$/, '').split('<<');
+  return {
+    surname: surname.replace(/</g, ' ').trim(),
+    givenNames: given.replace(/</g, ' ').trim()
+  };
+}
+
+/**
+ * Split the lines of a format into raw fields (positions from ICAO 9303 parts 4-6)
+ */
+function splitFields(format, lines) {
+  if (format === 'TD1') {
+    const [line1, line2, line3] = lines;
+    let documentNumber = line1.slice(5, 14);
+    let documentNumberCheck = line1.slice(14, 15);
+    let optionalData = line1.slice(15, 30);
+    // Document numbers longer than 9 characters continue in the optional data,
+    // with their check digit as the last character before the filler
+    if (documentNumberCheck === '<') {
+      const extension = optionalData.replace(/<+$/, '');
+      documentNumber += extension.slice(0, -1);
+      documentNumberCheck = extension.slice(-1);
+      optionalData = optionalData.slice(extension.length);
+    }
+    return {
+      documentCode: line1.slice(0, 2),
+      issuingState: line1.slice(2, 5),
+      documentNumber,
+      documentNumberCheck,
+      optionalData: optionalData + line2.slice(18, 29),
+      dateOfBirth: line2.slice(0, 6),
+      dateOfBirthCheck: line2.slice(6, 7),
+      sex: line2.slice(7, 8),
+      expiryDate: line2.slice(8, 14),
+      expiryDateCheck: line2.slice(14, 15),
+      nationality: line2.slice(15, 18),
+      compositeCheck: line2.slice(29, 30),
+      compositeTail: line2.slice(18, 29),
+      longDocumentNumber: line1.slice(14, 15) === '<',
+      line1Tail: line1.slice(14, 30),
+      names: line3
+    };
+  }
+
+  const [line1, line2] = lines;
+  const length = FORMATS[format].length;
+  const fields = {
+    documentCode: line1.slice(0, 2),
+    issuingState: line1.slice(2, 5),
+    names: line1.slice(5),
+    documentNumber: line2.slice(0, 9),
+    documentNumberCheck: line2.slice(9, 10),
+    nationality: line2.slice(10, 13),
+    dateOfBirth: line2.slice(13, 19),
+    dateOfBirthCheck: line2.slice(19, 20),
+    sex: line2.slice(20, 21),
+    expiryDate: line2.slice(21, 27),
+    expiryDateCheck: line2.slice(27, 28),
+    compositeCheck: line2.slice(length - 1)
+  };
+
+  if (format === 'TD3') {
+    fields.optionalData = line2.slice(28, 42);
+    fields.optionalDataCheck = line2.slice(42, 43);
+  } else {
+    fields.optionalData = line2.slice(28, 35);
+  }
+  return fields;
+}
+
+/**
+ * Parse and check an MRZ
+ * @param {Array<string>} lines - MRZ lines, normalized (A-Z, 0-9, '<') and of the format's length
+ * @param {string} format - 'TD1', 'TD2' or 'TD3'
+ * @returns {object} { format, valid, errors, documentCode, issuingState, documentNumber, dateOfBirth,
+ *   expiryDate, nationality, sex, surname, givenNames, optionalData, confidence: { field: 0-100 }, checks }
+ */
+function parseMrz(lines, format) {
+  const raw = splitFields(format, lines);
+  const errors = [];
+  const checks = {};
+  const confidence = {};
+
+  const record = (field, label, result) => {
+    checks[field] = result.check;
+    confidence[field] = result.check === 'invalid' ? 0 : CONFIDENCE[result.check];
+    if (result.check === 'invalid') {
+      errors.push(`${label} check digit mismatch`);
+    }
+    return result.value;
+  };
+
+  const documentNumber = record('documentNumber', 'Document number',
+    checkAlphanumericField(raw.documentNumber, raw.documentNumberCheck));
+  const birthDigits = record('dateOfBirth', 'Date of birth', checkNumericField(raw.dateOfBirth, raw.dateOfBirthCheck));
+  const expiryDigits = record('expiryDate', 'Expiry date', checkNumericField(raw.expiryDate, raw.expiryDateCheck));
+  let optionalData = raw.optionalData;
+  if (raw.optionalDataCheck !== undefined) {
+    optionalData = record('personalNumber', 'Personal number',
+      checkAlphanumericField(raw.optionalData, raw.optionalDataCheck, { optional: true }));
+  }
+
+  // Composite check over the corrected fields, in their MRZ order
+  const dates = birthDigits + asDigits(raw.dateOfBirthCheck) + expiryDigits + asDigits(raw.expiryDateCheck);
+  let composite;
+  if (format === 'TD1') {
+    const line1Part = raw.longDocumentNumber
+      ? lines[0].slice(5, 14) + raw.line1Tail
+      : documentNumber + raw.line1Tail.replace(/^./, asDigits(raw.documentNumberCheck));
+    composite = line1Part + dates + raw.compositeTail;
+  } else {
+    composite = documentNumber + asDigits(raw.documentNumberCheck) + dates + optionalData +
+      (raw.optionalDataCheck === undefined || raw.optionalDataCheck === '<' ? raw.optionalDataCheck || '' : asDigits(raw.optionalDataCheck));
+  }
+  const compositeValid = checkDigit(composite) === asDigits(raw.compositeCheck);
+  checks.composite = compositeValid ? 'valid' : 'invalid';
+  if (!compositeValid) {
+    errors.push('Composite check digit mismatch');
+  }
+
+  const dateOfBirth = parseDate(birthDigits, 'birth');
+  const expiryDate = parseDate(expiryDigits, 'expiry');
+  if (checks.dateOfBirth !== 'invalid' && !dateOfBirth) {
+    errors.push(`Date of birth ${birthDigits} is not a valid date`);
+    confidence.dateOfBirth = 0;
+  }
+  if (checks.expiryDate !== 'invalid' && !expiryDate) {
+    errors.push(`Expiry date ${expiryDigits} is not a valid date`);
+    confidence.expiryDate = 0;
+  }
+
+  const nationality = asLetters(raw.nationality).replace(/<+$/, '');
+  const issuingState = asLetters(raw.issuingState).replace(/<+$/, '');
+  if (!NATIONALITY_CODES.has(nationality)) {
+    errors.push(`Unknown nationality code ${raw.nationality}`);
+    confidence.nationality = 0;
+  } else {
+    confidence.nationality = nationality === raw.nationality.replace(/<+$/, '') ? CONFIDENCE.valid : CONFIDENCE.corrected;
+  }
+  if (!NATIONALITY_CODES.has(issuingState)) {
+    errors.push(`Unknown issuing state code ${raw.issuingState}`);
+  }
+
+  const sex = asLetters(raw.sex);
+  if (!['M', 'F', 'X', '<'].includes(sex)) {
+    errors.push(`Invalid sex field ${raw.sex}`);
+  }
+  confidence.names = CONFIDENCE.unchecked;
+
+  return {
+    format,
+    valid: errors.length === 0,
+    errors,
+    documentCode: raw.documentCode.replace(/<+$/, ''),
+    issuingState,
+    documentNumber: documentNumber.replace(/<+$/, ''),
+    dateOfBirth,
+    expiryDate,
+    nationality,
+    sex: sex === '<' ? null : sex,
+    ...parseNames(raw.names),
+    optionalData: optionalData.replace(/<+$/, ''),
+    confidence,
+    checks
+  };
+}
+
+/**
+ * Normalize an OCR line for MRZ matching: uppercase, no spaces, '<' look-alikes replaced
+ */
+function normalizeLine(line) {
+  return String(line)
+    .toUpperCase()
+    .replace(/[«‹]/g, '<')
+    .replace(/\s+/g, '')
+    .replace(/[^A-Z0-9<]/g, '');
+}
+
+/**
+ * Fit a line to a format's length, padding dropped trailing fillers
+ * @returns {string|null} The line, or null if its length does not fit
+ */
+function fitLine(line, length) {
+  if (line.length > length || line.length < length - MAX_MISSING_FILLERS) {
+    return null;
+  }
+  return line.padEnd(length, '<');
+}
+
+/**
+ * Find and parse the MRZ in OCR text lines
+ * @param {Array<string>} textLines - OCR lines of the document
+ * @returns {object|null} parseMrz result, or null if no MRZ was found
+ */
+function findMrz(textLines) {
+  const lines = (textLines || []).map(normalizeLine).filter(line => line.includes('<'));
+
+  for (const [format, { lines: count, length, documentCodes }] of Object.entries(FORMATS)) {
+    for (let start = 0; start + count <= lines.length; start++) {
+      const window = lines.slice(start, start + count).map(line => fitLine(line, length));
+      if (window.some(line => !line) || !documentCodes.includes(window[0][0])) {
+        continue;
+      }
+      return parseMrz(window, format);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether a code is a known ICAO 9303 nationality / issuing state code
+ * @param {string} code - Code without filler characters (e.g. 'DEU', 'D')
+ * @returns {boolean}
+ */
+function isNationalityCode(code) {
+  return NATIONALITY_CODES.has(code);
+}
+
+module.exports = {
+  checkDigit,
+  isNationalityCode,
+  parseMrz,
+  findMrz,
+  normalizeLine
+};
@@ -0,0 +1,113 @@
+const { checkDigit, parseMrz, findMrz } = require('./mrz');
+
+// Specimens from ICAO Doc 9303 parts 4-6 (issued by the fictional state of Utopia)
+const TD3 = [
+  'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36UTO7408122F1204159ZE184226B<<<<<10'
+];
+const TD2 = [
+  'I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<',
+  'D231458907UTO7408122F1204159<<<<<<<6'
+];
+const TD1 = [
+  'I<UTOD231458907<<<<<<<<<<<<<<<',
+  '7408122F1204159UTO<<<<<<<<<<<6',
+  'ERIKSSON<<ANNA<MARIA<<<<<<<<<<'
+];
+
+const ALL_CHECKS_VALID = { documentNumber: 'valid', dateOfBirth: 'valid', expiryDate: 'valid', composite: 'valid' };
+const SPECIMEN_HOLDER = {
+  sex: 'F',
+  surname: 'ERIKSSON',
+  givenNames: 'ANNA MARIA',
+  dateOfBirth: '1974-08-12',
+  expiryDate: '2012-04-15'
+};
+
+/**
+ * Specimen lines with Utopia replaced by Germany ('D<<'); neither code is covered by a check digit
+ */
+function asGerman(lines) {
+  return lines.map(line => line.replace(/UTO/g, 'D<<'));
+}
+
+describe('checkDigit', () => {
+  it('computes the ICAO 9303 7-3-1 check digit', () => {
+    expect(checkDigit('L898902C3')).toBe('6');
+    expect(checkDigit('740812')).toBe('2');
+    expect(checkDigit('120415')).toBe('9');
+    expect(checkDigit('ZE184226B<<<<<')).toBe('1');
+  });
+});
+
+describe('parseMrz', () => {
+  it('parses the TD3 passport specimen', () => {
+    const result = parseMrz(TD3, 'TD3');
+
+    expect(result).toMatchObject({
+      ...SPECIMEN_HOLDER,
+      format: 'TD3',
+      documentCode: 'P',
+      documentNumber: 'L898902C3',
+      optionalData: 'ZE184226B',
+      checks: { ...ALL_CHECKS_VALID, personalNumber: 'valid' }
+    });
+    // Utopia is not a real issuing state
+    expect(result.errors).toEqual(['Unknown nationality code UTO', 'Unknown issuing state code UTO']);
+  });
+
+  it('parses the TD2 specimen', () => {
+    const result = parseMrz(TD2, 'TD2');
+
+    expect(result).toMatchObject({ ...SPECIMEN_HOLDER, format: 'TD2', documentCode: 'I', documentNumber: 'D23145890', checks: ALL_CHECKS_VALID });
+    expect(result.errors).toEqual(['Unknown nationality code UTO', 'Unknown issuing state code UTO']);
+  });
+
+  it('parses the TD1 ID card specimen', () => {
+    const result = parseMrz(TD1, 'TD1');
+
+    expect(result).toMatchObject({ ...SPECIMEN_HOLDER, format: 'TD1', documentCode: 'I', documentNumber: 'D23145890', checks: ALL_CHECKS_VALID });
+    expect(result.errors).toEqual(['Unknown nationality code UTO', 'Unknown issuing state code UTO']);
+  });
+
+  it('accepts the specimens issued by a real state', () => {
+    for (const [lines, format] of [[TD3, 'TD3'], [TD2, 'TD2'], [TD1, 'TD1']]) {
+      const result = parseMrz(asGerman(lines), format);
+
+      expect(result).toMatchObject({ valid: true, errors: [], nationality: 'D', issuingState: 'D' });
+    }
+  });
+
+  it('rejects a mistyped check digit', () => {
+    const result = parseMrz(asGerman([TD3[0], TD3[1].replace('7408122', '7408123')]), 'TD3');
+
+    expect(result.valid).toBe(false);
+    expect(result.checks.dateOfBirth).toBe('invalid');
+    expect(result.errors).toContain('Date of birth check digit mismatch');
+  });
+
+  it('rejects a document number that does not match its check digit', () => {
+    const result = parseMrz(asGerman([TD1[0].replace('D23145890', 'D23145891'), TD1[1], TD1[2]]), 'TD1');
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['Document number check digit mismatch', 'Composite check digit mismatch']);
+  });
+});
+
+describe('findMrz', () => {
+  it('finds the MRZ in OCR text and corrects O/0 in numeric fields', () => {
+    const result = findMrz([
+      'PASSPORT',
+      'p<d<<eriksson<<anna<maria<<<<<<<<<<<<<<<<',
+      'L898902C36D<<74O8122F12O4159ZE184226B<<<<<10'
+    ]);
+
+    expect(result).toMatchObject({ format: 'TD3', valid: true, documentNumber: 'L898902C3', dateOfBirth: '1974-08-12' });
+    expect(result.checks).toMatchObject({ dateOfBirth: 'corrected', expiryDate: 'corrected' });
+    expect(result.confidence.dateOfBirth).toBeLessThan(100);
+  });
+
+  it('returns null when no MRZ is present', () => {
+    expect(findMrz(['REPUBLIC OF UTOPIA', 'IDENTITY CARD'])).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+const { shortString } = require('starknet');
+
+/**
+ * Indexed Merkle tree over a set of excluded nationality codes, for the
+ * non-membership check of the idPredicates circuit (contracts/zk/idPredicates.circom).
+ *
+ * Codes are encoded as short string felts ('IRN' -> 0x49524e) and sorted. With the
+ * sentinels 0 and 0xFFFFFF around them, leaf i is Poseidon(value_i, value_i+1), so every
+ * code that is not in the set falls strictly between the two values of exactly one leaf.
+ * Unused leaves are 0. An empty set has root 0, which the circuit reads as "no check".
+ */
+
+const DEPTH = 8;
+const MIN_SENTINEL = 0n;
+const MAX_SENTINEL = 0xFFFFFFn;
+
+/**
+ * Nationality code as the felt the circuit compares (0 for an unknown nationality)
+ * @param {string|null} code - ICAO code without fillers, e.g. 'DEU' or 'D'
+ * @returns {bigint}
+ */
+function encodeNationality(code) {
+  return code ? BigInt(shortString.encodeShortString(code)) : 0n;
+}
+
+/**
+ * Build the tree for a set of codes
+ * @param {Array<string>} codes - Excluded nationality codes
+ * @param {Function} poseidon - circomlibjs Poseidon (from buildPoseidon)
+ * @returns {object} { root, values, layers } - root as a decimal string, '0' for an empty set
+ */
+function buildNationalityTree(codes, poseidon) {
+  const hash = (left, right) => poseidon.F.toObject(poseidon([left, right]));
+  const values = [...new Set(codes.map(encodeNationality))].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+  if (values.length === 0) {
+    return { root: '0', values, layers: null };
+  }
+  if (values.length + 1 > 2 ** DEPTH) {
+    throw new Error(`At most ${2 ** DEPTH - 1} excluded nationalities are supported`);
+  }
+
+  const bounds = [MIN_SENTINEL, ...values, MAX_SENTINEL];
+  const leaves = new Array(2 ** DEPTH).fill(0n);
+  for (let i = 0; i < bounds.length - 1; i++) {
+    leaves[i] = hash(bounds[i], bounds[i + 1]);
+  }
+
+  const layers = [leaves];
+  while (layers[layers.length - 1].length > 1) {
+    const below = layers[layers.length - 1];
+    const layer = [];
+    for (let i = 0; i < below.length; i += 2) {
+      layer.push(hash(below[i], below[i + 1]));
+    }
+    layers.push(layer);
+  }
+
+  return { root: layers[DEPTH][0].toString(), values, layers };
+}
+
+/**
+ * Circuit inputs proving a nationality is not in the tree's set
+ * @param {object} tree - From buildNationalityTree
+ * @param {bigint} nationality - Encoded nationality
+ * @returns {object} { low_value, low_next_value, path_elements, path_indices }
+ * @throws if the nationality is in the set (or unknown, which no leaf can cover)
+ */
+function nonMembershipWitness(tree, nationality) {
+  if (!tree.layers) {
+    return {
+      low_value: '0',
+      low_next_value: '0',
+      path_elements: new Array(DEPTH).fill('0'),
+      path_indices: new Array(DEPTH).fill('0')
+    };
+  }
+
+  const bounds = [MIN_SENTINEL, ...tree.values, MAX_SENTINEL];
+  const index = bounds.findIndex((value, i) => i < bounds.length - 1 && value < nationality && nationality < bounds[i + 1]);
+  if (index === -1) {
+    throw new Error(nationality === 0n ? 'Nationality is unknown' : 'Nationality is in the excluded set');
+  }
+
+  const pathElements = [];
+  const pathIndices = [];
+  let position = index;
+  for (let level = 0; level < DEPTH; level++) {
+    pathElements.push(tree.layers[level][position ^ 1].toString());
+    pathIndices.push((position & 1).toString());
+    position >>= 1;
+  }
+
+  return {
+    low_value: bounds[index].toString(),
+    low_next_value: bounds[index + 1].toString(),
+    path_elements: pathElements,
+    path_indices: pathIndices
+  };
+}
+
+module.exports = {
+  DEPTH,
+  encodeNationality,
+  buildNationalityTree,
+  nonMembershipWitness
+};
@@ -0,0 +1,92 @@
+const { typedData, shortString } = require('starknet');
+
+/**
+ * Helpers for SNIP-12 (revision 1) typed data signed by Starknet wallets.
+ * Signatures are checked by the signer's account contract (SNIP-6 is_valid_signature),
+ * so any account type - Argent, Braavos, multisig - is supported.
+ */
+
+const DOMAIN_NAME = 'Loanzy';
+const DOMAIN_VERSION = '1';
+
+// SNIP-6 accounts return 'VALID'; older accounts return 1 or revert on a bad signature
+const VALID = BigInt(shortString.encodeShortString('VALID'));
+
+/**
+ * Build SNIP-12 revision 1 typed data for the Loanzy domain
+ * @param {string} chainId - Chain id (hex or short string, e.g. SN_SEPOLIA)
+ * @param {string} primaryType - Message type name
+ * @param {Array<object>} fields - [{ name, type }] of the message type
+ * @param {object} message - Message values
+ * @returns {object} Typed data
+ */
+function buildTypedData(chainId, primaryType, fields, message) {
+  return {
+    types: {
+      StarknetDomain: [
+        { name: 'name', type: 'shortstring' },
+        { name: 'version', type: 'shortstring' },
+        { name: 'chainId', type: 'shortstring' },
+        { name: 'revision', type: 'shortstring' }
+      ],
+      [primaryType]: fields
+    },
+    primaryType,
+    domain: {
+      name: DOMAIN_NAME,
+      version: DOMAIN_VERSION,
+      chainId: chainId.startsWith('0x') ? shortString.decodeShortString(chainId) : chainId,
+      revision: '1'
+    },
+    message
+  };
+}
+
+/**
+ * Normalize a wallet signature to an array of felts
+ * (wallets return either an array or { r, s })
+ * @param {Array<string>|object} signature - Signature
+ * @returns {Array<string>} Felts as hex strings
+ */
+function normalizeSignature(signature) {
+  const felts = Array.isArray(signature) ? signature : [signature?.r, signature?.s];
+  if (felts.length === 0 || felts.some(value => value === undefined || value === null)) {
+    throw new Error('Signature must be an array of felts or { r, s }');
+  }
+  return felts.map(value => '0x' + BigInt(value).toString(16));
+}
+
+/**
+ * Check a typed data signature against the signer's account contract
+ * @param {RpcProvider} provider - Starknet provider
+ * @param {string} accountAddress - Signer account address
+ * @param {object} data - Typed data that was signed
+ * @param {Array<string>|object} signature - Wallet signature
+ * @returns {Promise<boolean>} True if the account accepts the signature
+ */
+async function verifyTypedDataSignature(provider, accountAddress, data, signature) {
+  const messageHash = typedData.getMessageHash(data, accountAddress);
+  const felts = normalizeSignature(signature);
+
+  for (const entrypoint of ['is_valid_signature', 'isValidSignature']) {
+    try {
+      const { result } = await provider.callContract({
+        contractAddress: accountAddress,
+        entrypoint,
+        calldata: [messageHash, felts.length.toString(), ...felts]
+      });
+      const value = BigInt(result[0] ?? 0);
+      return value === VALID || value === 1n;
+    } catch (error) {
+      // Entrypoint missing on this account type (try the other one) or signature rejected
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  buildTypedData,
+  normalizeSignature,
+  verifyTypedDataSignature
+};
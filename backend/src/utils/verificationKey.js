@@ -0,0 +1,82 @@
+const { hash, uint256 } = require('starknet');
+
+/**
+ * Helpers for the Groth16 verification key stored in the ActivityVerifier contract.
+ * Layout matches the contract constructor: alpha (G1), beta, gamma, delta (G2),
+ * then IC[0..=nPublic] as G1 points; every coordinate is a u256.
+ */
+
+/**
+ * Flatten a snarkjs verification_key.json into u256 coordinates
+ * @param {object} vkey - Parsed verification_key.json
+ * @returns {object} { nPublic, points: Array<bigint> }
+ */
+function serializeVerificationKey(vkey) {
+  if (vkey.protocol !== 'groth16' || vkey.curve !== 'bn128') {
+    throw new Error(`Unsupported verification key: ${vkey.protocol}/${vkey.curve}`);
+  }
+  if (vkey.IC.length !== vkey.nPublic + 1) {
+    throw new Error(`Expected ${vkey.nPublic + 1} IC points, got ${vkey.IC.length}`);
+  }
+
+  const g1 = (point) => [BigInt(point[0]), BigInt(point[1])];
+  const g2 = (point) => [
+    BigInt(point[0][0]), BigInt(point[0][1]),
+    BigInt(point[1][0]), BigInt(point[1][1])
+  ];
+
+  return {
+    nPublic: vkey.nPublic,
+    points: [
+      ...g1(vkey.vk_alpha_1),
+      ...g2(vkey.vk_beta_2),
+      ...g2(vkey.vk_gamma_2),
+      ...g2(vkey.vk_delta_2),
+      ...vkey.IC.flatMap(g1)
+    ]
+  };
+}
+
+/**
+ * Poseidon commitment to the key, computed exactly like the contract constructor:
+ * Poseidon(nPublic, low_0, high_0, low_1, high_1, ...)
+ * @param {object} vkey - Parsed verification_key.json
+ * @returns {string} vk hash as hex felt
+ */
+function computeVkHash(vkey) {
+  const { nPublic, points } = serializeVerificationKey(vkey);
+  const elements = [BigInt(nPublic)];
+  for (const point of points) {
+    const { low, high } = uint256.bnToUint256(point);
+    elements.push(BigInt(low), BigInt(high));
+  }
+  return '0x' + BigInt(hash.computePoseidonHashOnElements(elements)).toString(16);
+}
+
+/**
+ * Constructor calldata for ActivityVerifier: attester, max_proof_age, n_public, Array<u256>
+ * @param {object} vkey - Parsed verification_key.json
+ * @param {string} attester - Attester account address
+ * @param {number} maxProofAge - Max proof age in seconds
+ * @returns {Array<string>} Calldata as decimal strings
+ */
+function toConstructorCalldata(vkey, attester, maxProofAge) {
+  const { nPublic, points } = serializeVerificationKey(vkey);
+  const calldata = [
+    BigInt(attester).toString(),
+    maxProofAge.toString(),
+    nPublic.toString(),
+    points.length.toString()
+  ];
+  for (const point of points) {
+    const { low, high } = uint256.bnToUint256(point);
+    calldata.push(BigInt(low).toString(), BigInt(high).toString());
+  }
+  return calldata;
+}
+
+module.exports = {
+  serializeVerificationKey,
+  computeVkHash,
+  toConstructorCalldata
+};
@@ -2,7 +2,8 @@ const logger = require('./logger');
 
 /**
  * Helper functions for wallet signature requests
- * NOTE: Actual signing happens client-side; these are utilities for message formatting
+ * NOTE: Actual signing happens client-side; these are utilities for message formatting.
+ * Signed API requests are verified by services/requestAuthService (middleware/auth).
  */
 
 class WalletConnectHelper {
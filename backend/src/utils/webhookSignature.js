@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+/**
+ * Helpers for verifying signed webhook deliveries.
+ * Two schemes are supported:
+ * - HMAC: header "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${rawBody}`>" with a shared secret
+ * - JWT: ES256/RS256 token whose request_body_sha256 claim is the sha256 of the raw body,
+ *   signed with a key published as a JWK (Plaid's Plaid-Verification header)
+ * Both bind the exact body and a signing time, so a captured delivery cannot be
+ * altered or replayed after maxAge seconds.
+ */
+
+const JWT_ALGORITHMS = {
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  RS256: { hash: 'sha256' }
+};
+
+/**
+ * Hex sha256 of a raw body
+ * @param {string} rawBody - Body as received
+ * @returns {string}
+ */
+function sha256Hex(rawBody) {
+  return crypto.createHash('sha256').update(rawBody || '').digest('hex');
+}
+
+/**
+ * Constant-time comparison of two strings
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * Check a signing time against the allowed age (and a small clock skew)
+ */
+function assertFresh(signedAt, maxAge, now) {
+  if (!Number.isInteger(signedAt) || signedAt > now + 60 || now - signedAt > maxAge) {
+    throw new Error('Webhook signature expired or signing time is invalid');
+  }
+}
+
+/**
+ * Verify an HMAC-signed webhook
+ * @param {string} secret - Shared secret
+ * @param {string} header - Signature header "t=...,v1=..."
+ * @param {string} rawBody - Body as received
+ * @param {number} maxAge - Accepted signature age in seconds
+ * @throws {Error} If the signature is missing, stale or does not match
+ */
+function verifyHmacSignature(secret, header, rawBody, maxAge) {
+  if (!header) {
+    throw new Error('Missing webhook signature header');
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map(part => part.trim().split('=')).filter(pair => pair.length === 2)
+  );
+  assertFresh(Number(parts.t), maxAge, Math.floor(Date.now() / 1000));
+
+  const expected = crypto.createHmac('sha256', secret).update(`${parts.t}.${rawBody || ''}`).digest('hex');
+  if (!parts.v1 || !safeEqual(parts.v1.toLowerCase(), expected)) {
+    throw new Error('Webhook signature does not match');
+  }
+}
+
+/**
+ * Decode the header of a JWT without verifying it (to find the signing key)
+ * @param {string} token - Compact JWT
+ * @returns {object} JOSE header
+ */
+function decodeJwtHeader(token) {
+  try {
+    return JSON.parse(Buffer.from(String(token).split('.')[0], 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Malformed webhook JWT');
+  }
+}
+
+/**
+ * Verify a JWT-signed webhook
+ * @param {string} token - Compact JWT from the verification header
+ * @param {object} jwk - Public key as a JWK
+ * @param {string} rawBody - Body as received
+ * @param {number} maxAge - Accepted token age in seconds (from its iat claim)
+ * @returns {object} Verified claims
+ * @throws {Error} If the token is missing, stale, badly signed or for another body
+ */
+function verifyJwtSignature(token, jwk, rawBody, maxAge) {
+  if (!token) {
+    throw new Error('Missing webhook verification token');
+  }
+
+  const [encodedHeader, encodedClaims, encodedSignature] = String(token).split('.');
+  const header = decodeJwtHeader(token);
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm || !encodedClaims || !encodedSignature) {
+    throw new Error(`Unsupported webhook JWT algorithm: ${header.alg}`);
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${encodedHeader}.${encodedClaims}`),
+    { key, ...(algorithm.dsaEncoding && { dsaEncoding: algorithm.dsaEncoding }) },
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) {
+    throw new Error('Webhook JWT signature does not match');
+  }
+
+  const claims = JSON.parse(Buffer.from(encodedClaims, 'base64url').toString('utf8'));
+  assertFresh(claims.iat, maxAge, Math.floor(Date.now() / 1000));
+  if (!claims.request_body_sha256 || !safeEqual(claims.request_body_sha256, sha256Hex(rawBody))) {
+    throw new Error('Webhook body does not match the signed hash');
+  }
+
+  return claims;
+}
+
+module.exports = {
+  sha256Hex,
+  verifyHmacSignature,
+  decodeJwtHeader,
+  verifyJwtSignature
+};
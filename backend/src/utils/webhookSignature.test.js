@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const { sha256Hex, verifyHmacSignature, decodeJwtHeader, verifyJwtSignature } = require('./webhookSignature');
+
+const SECRET = 'whsec_test';
+const BODY = '{"webhook_type":"INCOME","webhook_code":"INCOME_VERIFICATION"}';
+const MAX_AGE = 300;
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function hmacHeader(rawBody, t = now(), secret = SECRET) {
+  const v1 = crypto.createHmac('sha256', secret).update(`${t}.${rawBody}`).digest('hex');
+  return `t=${t},v1=${v1}`;
+}
+
+/**
+ * Sign a compact JWT the way Plaid signs its Plaid-Verification header
+ */
+function signJwt(privateKey, claims, alg = 'ES256') {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const signingInput = `${encode({ alg, kid: 'key-1', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto.sign('sha256', Buffer.from(signingInput), {
+    key: privateKey,
+    ...(alg === 'ES256' && { dsaEncoding: 'ieee-p1363' })
+  });
+  return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+describe('verifyHmacSignature', () => {
+  it('accepts a fresh signature over the exact body', () => {
+    expect(() => verifyHmacSignature(SECRET, hmacHeader(BODY), BODY, MAX_AGE)).not.toThrow();
+    const [t, v1] = hmacHeader(BODY).split(',');
+    expect(() => verifyHmacSignature(SECRET, ` ${t}, v1=${v1.slice(3).toUpperCase()}`, BODY, MAX_AGE))
+      .not.toThrow();
+  });
+
+  it('refuses a missing header, another body or another secret', () => {
+    expect(() => verifyHmacSignature(SECRET, undefined, BODY, MAX_AGE)).toThrow('Missing webhook signature header');
+    expect(() => verifyHmacSignature(SECRET, hmacHeader(BODY), `${BODY} `, MAX_AGE)).toThrow('does not match');
+    expect(() => verifyHmacSignature(SECRET, hmacHeader(BODY, now(), 'other'), BODY, MAX_AGE)).toThrow('does not match');
+    expect(() => verifyHmacSignature(SECRET, `t=${now()}`, BODY, MAX_AGE)).toThrow('does not match');
+  });
+
+  it('refuses a replayed, future-dated or undated delivery', () => {
+    expect(() => verifyHmacSignature(SECRET, hmacHeader(BODY, now() - MAX_AGE - 1), BODY, MAX_AGE)).toThrow('expired');
+    expect(() => verifyHmacSignature(SECRET, hmacHeader(BODY, now() + 3600), BODY, MAX_AGE)).toThrow('expired');
+    expect(() => verifyHmacSignature(SECRET, hmacHeader(BODY, 'abc'), BODY, MAX_AGE)).toThrow('expired');
+  });
+});
+
+describe('verifyJwtSignature', () => {
+  const ecKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const ecJwk = ecKeys.publicKey.export({ format: 'jwk' });
+  const claims = (rawBody = BODY, iat = now()) => ({ iat, request_body_sha256: sha256Hex(rawBody) });
+
+  it('accepts an ES256 token for the exact body and returns its claims', () => {
+    const token = signJwt(ecKeys.privateKey, claims());
+
+    expect(decodeJwtHeader(token)).toEqual({ alg: 'ES256', kid: 'key-1', typ: 'JWT' });
+    expect(verifyJwtSignature(token, ecJwk, BODY, MAX_AGE).request_body_sha256).toBe(sha256Hex(BODY));
+  });
+
+  it('accepts an RS256 token', () => {
+    const rsaKeys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = signJwt(rsaKeys.privateKey, claims(), 'RS256');
+
+    expect(() => verifyJwtSignature(token, rsaKeys.publicKey.export({ format: 'jwk' }), BODY, MAX_AGE)).not.toThrow();
+  });
+
+  it('refuses a token signed by another key or with altered claims', () => {
+    const otherKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const token = signJwt(otherKeys.privateKey, claims());
+    expect(() => verifyJwtSignature(token, ecJwk, BODY, MAX_AGE)).toThrow('JWT signature does not match');
+
+    const [header, , signature] = signJwt(ecKeys.privateKey, claims()).split('.');
+    const forged = Buffer.from(JSON.stringify(claims(`${BODY} `))).toString('base64url');
+    expect(() => verifyJwtSignature(`${header}.${forged}.${signature}`, ecJwk, `${BODY} `, MAX_AGE))
+      .toThrow('JWT signature does not match');
+  });
+
+  it('refuses a token for another body or a stale token', () => {
+    expect(() => verifyJwtSignature(signJwt(ecKeys.privateKey, claims()), ecJwk, `${BODY} `, MAX_AGE))
+      .toThrow('body does not match');
+    expect(() => verifyJwtSignature(signJwt(ecKeys.privateKey, claims(BODY, now() - MAX_AGE - 1)), ecJwk, BODY, MAX_AGE))
+      .toThrow('expired');
+  });
+
+  it('refuses missing, malformed and unsupported tokens', () => {
+    expect(() => verifyJwtSignature(undefined, ecJwk, BODY, MAX_AGE)).toThrow('Missing webhook verification token');
+    expect(() => verifyJwtSignature('not-a-jwt', ecJwk, BODY, MAX_AGE)).toThrow('Malformed webhook JWT');
+
+    const none = `${Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url')}.${Buffer.from(JSON.stringify(claims())).toString('base64url')}.`;
+    expect(() => verifyJwtSignature(none, ecJwk, BODY, MAX_AGE)).toThrow('Unsupported webhook JWT algorithm: none');
+    const hs256 = signJwt(ecKeys.privateKey, claims()).replace(/^[^.]+/, Buffer.from(JSON.stringify({ alg: 'HS256' })).toString('base64url'));
+    expect(() => verifyJwtSignature(hs256, ecJwk, BODY, MAX_AGE)).toThrow('Unsupported webhook JWT algorithm: HS256');
+  });
+});
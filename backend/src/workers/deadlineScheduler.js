@@ -0,0 +1,470 @@
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const { Account, RpcProvider, uint256 } = require('starknet');
+const escrowEventStore = require('../services/escrowEventStore');
+const disputeService = require('../services/disputeService');
+const deadlineApplicationRepository = require('../repositories/deadlineApplicationRepository');
+const db = require('../db');
+const thresholds = require('../config/thresholds');
+const logger = require('../utils/logger');
+
+const LOAN_ESCROW_ZK_ADDRESS = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+const RPC_URL = process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7';
+
+/**
+ * Deadline scheduler for LoanEscrowZK
+ * Replaces per-loan in-memory timers with a polling pass over the escrow event index,
+ * so nothing is lost on restart. Each pass:
+ *   1. marks approved applications past their repayment deadline (chain time) as
+ *      defaulted through LoanEscrowZK.mark_defaulted, from the keeper account
+ *   2. starts the dispute window (thresholds.dispute) at the on-chain default time
+ *   3. once the window has passed, the debt is still open and no borrower dispute
+ *      is open or upheld, enqueues a notify_releasable job on the retry queue so the
+ *      lender knows the identity package can be revealed
+ *
+ * Shares are never collected here, so the backend holds no share between requests: the
+ * lender's reveal (identityEscrowService.revealPackage) collects them, then reconstructs and
+ * decrypts the package in the same request. Trustees serve a share again on every request
+ * their checks allow (shareVault only records the first release time), so a later reveal
+ * collects the shares anew.
+ *
+ * Progress per application is persisted in SQLite (deadlineApplicationRepository), keyed by
+ * contract, loan ID and commitment:
+ *   submitted   mark_defaulted sent, waiting for the transaction
+ *   defaulted   default recorded on-chain, dispute window running
+ *   releasable  dispute window passed, lender notified that the package can be revealed
+ *   settled     repaid before the window passed, nothing collected
+ *
+ * The retry queue (Redis) is only opened once there is a notice to send, and its
+ * worker runs in this process.
+ */
+class DeadlineScheduler {
+  constructor() {
+    this.provider = new RpcProvider({ nodeUrl: RPC_URL });
+    this.contractAddress = LOAN_ESCROW_ZK_ADDRESS;
+    this.contractFelt = escrowEventStore.normalizeFelt(LOAN_ESCROW_ZK_ADDRESS);
+    this.pollInterval = parseInt(process.env.DEADLINE_SCHEDULER_POLL_MS) || 60000;
+    this.keeperAddress = process.env.KEEPER_ACCOUNT_ADDRESS;
+    this.keeperPrivateKey = process.env.KEEPER_PRIVATE_KEY;
+    this.disputeWindowSeconds = thresholds.dispute.windowSeconds;
+    this.account = null;
+    this.retryQueue = null;
+    this.isRunning = false;
+    this.isPolling = false;
+    this.intervalId = null;
+    this.lastError = null;
+    this.lastRunAt = null;
+  }
+
+  /**
+   * Persist a scheduler entry
+   * @param {object} entry - Scheduler entry
+   */
+  saveEntry(entry) {
+    deadlineApplicationRepository.save(this.contractFelt, entry);
+  }
+
+  /**
+   * Check if a keeper account is configured
+   * @returns {boolean} True if mark_defaulted transactions can be sent
+   */
+  isKeeperConfigured() {
+    return !!(this.keeperAddress && this.keeperPrivateKey);
+  }
+
+  /**
+   * Get the keeper account
+   */
+  getAccount() {
+    if (!this.account) {
+      this.account = new Account(this.provider, this.keeperAddress, this.keeperPrivateKey);
+    }
+    return this.account;
+  }
+
+  /**
+   * Retry queue with its worker running in this process
+   */
+  getRetryQueue() {
+    if (!this.retryQueue) {
+      this.retryQueue = require('./retryQueue');
+      this.retryQueue.startProcessing();
+    }
+    return this.retryQueue;
+  }
+
+  /**
+   * Start scheduling
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Deadline scheduler already running');
+      return;
+    }
+
+    const counts = deadlineApplicationRepository.countByStatus(this.contractFelt);
+    this.isRunning = true;
+    logger.info('Deadline scheduler started', {
+      contract: this.contractAddress,
+      tracked: Object.values(counts).reduce((total, count) => total + count, 0),
+      keeper: this.isKeeperConfigured(),
+      disputeWindowSeconds: this.disputeWindowSeconds
+    });
+    if (!this.isKeeperConfigured()) {
+      logger.warn('⚠️ [DEADLINES] Keeper account not configured (KEEPER_ACCOUNT_ADDRESS, KEEPER_PRIVATE_KEY); only defaults marked by others are followed up');
+    }
+
+    // Notices from before a restart still need a worker
+    if (counts.releasable) {
+      this.getRetryQueue();
+    }
+
+    await this.poll();
+
+    this.intervalId = setInterval(() => {
+      this.poll();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Stop scheduling
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    if (this.retryQueue) {
+      this.retryQueue.stop().catch(error => {
+        logger.error('Failed to stop retry queue', { error: error.message });
+      });
+      this.retryQueue = null;
+    }
+
+    this.isRunning = false;
+    logger.info('Deadline scheduler stopped');
+  }
+
+  /**
+   * Run one scheduling pass; overlapping passes are skipped
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      await this.runOnce();
+      this.lastError = null;
+      this.lastRunAt = new Date().toISOString();
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('Deadline scheduler pass failed', { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Current chain time (latest block timestamp)
+   */
+  async getChainTime() {
+    const block = await this.provider.getBlock('latest');
+    return Number(block.timestamp);
+  }
+
+  /**
+   * One pass: resume pending transactions, mark new defaults, follow up dispute windows
+   */
+  async runOnce() {
+    escrowEventStore.load(this.contractAddress);
+    const chainTime = await this.getChainTime();
+
+    for (const entry of deadlineApplicationRepository.findAll(this.contractFelt, 'submitted')) {
+      await this.confirmDefault(entry);
+    }
+
+    if (this.isKeeperConfigured()) {
+      for (const app of escrowEventStore.getOverdueApplications(chainTime)) {
+        if (!deadlineApplicationRepository.find(this.contractFelt, app.loanId, app.commitment)) {
+          await this.markDefaulted(app, chainTime);
+        }
+      }
+    }
+
+    this.trackIndexedDefaults();
+
+    for (const entry of deadlineApplicationRepository.findAll(this.contractFelt, 'defaulted')) {
+      if (chainTime >= entry.disputeEndsAt) {
+        await this.enqueueReleaseNotice(entry);
+      }
+    }
+  }
+
+  /**
+   * Read an application from LoanEscrowZK
+   * @returns {Promise<object>} { status, repaymentDeadline, outstanding }
+   */
+  async getApplication(loanId, commitment) {
+    const { low, high } = uint256.bnToUint256(BigInt(loanId));
+    const { result } = await this.provider.callContract({
+      contractAddress: this.contractAddress,
+      entrypoint: 'get_application',
+      calldata: [low, high, commitment]
+    });
+
+    const totalDue = uint256.uint256ToBN({ low: result[8], high: result[9] });
+    const amountRepaid = uint256.uint256ToBN({ low: result[10], high: result[11] });
+    return {
+      status: Number(result[3]),
+      repaymentDeadline: Number(result[7]),
+      outstanding: totalDue - amountRepaid
+    };
+  }
+
+  /**
+   * Read the on-chain default time of an application (0 = not defaulted)
+   */
+  async getDefaultedAt(loanId, commitment) {
+    const { low, high } = uint256.bnToUint256(BigInt(loanId));
+    const { result } = await this.provider.callContract({
+      contractAddress: this.contractAddress,
+      entrypoint: 'get_defaulted_at',
+      calldata: [low, high, commitment]
+    });
+    return Number(result[0]);
+  }
+
+  /**
+   * Send mark_defaulted for an overdue application, after re-checking it on-chain
+   * (the index may lag behind a last-minute repayment)
+   * @param {object} app - Raw application projection from the event index
+   * @param {number} chainTime - Unix seconds
+   */
+  async markDefaulted(app, chainTime) {
+    const key = `${app.loanId}:${app.commitment}`;
+    const onchain = await this.getApplication(app.loanId, app.commitment);
+    if (onchain.status !== 1 || chainTime <= onchain.repaymentDeadline || onchain.outstanding <= 0n) {
+      logger.debug('[DEADLINES] Index is behind the chain, skipping', { key, status: onchain.status });
+      return;
+    }
+
+    const { low, high } = uint256.bnToUint256(BigInt(app.loanId));
+    let entry;
+    try {
+      const tx = await this.getAccount().execute({
+        contractAddress: this.contractAddress,
+        entrypoint: 'mark_defaulted',
+        calldata: [low, high, app.commitment]
+      });
+
+      entry = {
+        loanId: app.loanId,
+        commitment: app.commitment,
+        borrower: app.borrower,
+        repaymentDeadline: app.repaymentDeadline,
+        status: 'submitted',
+        markTxHash: tx.transaction_hash,
+        defaultedAt: null,
+        disputeEndsAt: null,
+        jobIds: [],
+        updatedAt: new Date().toISOString()
+      };
+      this.saveEntry(entry);
+
+      logger.info('⏰ [DEADLINES] Submitted mark_defaulted', {
+        loanId: app.loanId,
+        commitment: app.commitment.slice(0, 20) + '...',
+        txHash: tx.transaction_hash
+      });
+    } catch (error) {
+      logger.error('❌ [DEADLINES] mark_defaulted failed', { key, error: error.message });
+      return;
+    }
+
+    await this.confirmDefault(entry);
+  }
+
+  /**
+   * Wait for a submitted mark_defaulted and start the dispute window from the
+   * on-chain default time. A reverted transaction drops the entry so the next pass retries.
+   * @param {object} entry - Scheduler entry in 'submitted' state
+   */
+  async confirmDefault(entry) {
+    const key = `${entry.loanId}:${entry.commitment}`;
+    try {
+      await this.provider.waitForTransaction(entry.markTxHash);
+    } catch (error) {
+      logger.warn('⚠️ [DEADLINES] mark_defaulted not accepted, will retry', { key, error: error.message });
+      deadlineApplicationRepository.delete(this.contractFelt, entry.loanId, entry.commitment);
+      return;
+    }
+
+    const defaultedAt = await this.getDefaultedAt(entry.loanId, entry.commitment);
+    if (!defaultedAt) {
+      deadlineApplicationRepository.delete(this.contractFelt, entry.loanId, entry.commitment);
+      return;
+    }
+
+    this.startDisputeWindow(entry, defaultedAt);
+    this.saveEntry(entry);
+  }
+
+  /**
+   * Follow up defaults that were marked by another keeper (seen through the index)
+   */
+  trackIndexedDefaults() {
+    db.transaction(() => {
+      for (const app of escrowEventStore.getEvents({ name: 'LoanDefaulted' })) {
+        if (deadlineApplicationRepository.find(this.contractFelt, app.loanId, app.commitment)) {
+          continue;
+        }
+
+        const entry = {
+          loanId: app.loanId,
+          commitment: app.commitment,
+          borrower: app.borrower,
+          repaymentDeadline: app.repaymentDeadline,
+          markTxHash: app.txHash,
+          jobIds: []
+        };
+        this.startDisputeWindow(entry, app.defaultedAt);
+        this.saveEntry(entry);
+      }
+    });
+  }
+
+  /**
+   * Record the default and when its dispute window ends
+   * @param {object} entry - Scheduler entry
+   * @param {number} defaultedAt - On-chain default time (unix seconds)
+   */
+  startDisputeWindow(entry, defaultedAt) {
+    entry.status = 'defaulted';
+    entry.defaultedAt = defaultedAt;
+    entry.disputeEndsAt = defaultedAt + this.disputeWindowSeconds;
+    entry.updatedAt = new Date().toISOString();
+
+    logger.warn('🚨 [DEADLINES] Loan defaulted, dispute window started', {
+      loanId: entry.loanId,
+      commitment: entry.commitment.slice(0, 20) + '...',
+      disputeEndsAt: new Date(entry.disputeEndsAt * 1000).toISOString()
+    });
+  }
+
+  /**
+   * Notify the lender once the dispute window has passed, unless the borrower settled
+   * the debt in the meantime. The job id is deterministic, so a pass interrupted
+   * between enqueueing and saving never duplicates the notice.
+   * @param {object} entry - Scheduler entry in 'defaulted' state
+   */
+  async enqueueReleaseNotice(entry) {
+    const dispute = await disputeService.getBlockingDispute(entry.loanId, entry.commitment);
+    if (dispute) {
+      logger.debug('[DEADLINES] Release notice blocked by dispute', {
+        loanId: entry.loanId,
+        disputeId: dispute.id,
+        status: dispute.status
+      });
+      return;
+    }
+
+    const onchain = await this.getApplication(entry.loanId, entry.commitment);
+    if (onchain.status === 2 || onchain.outstanding <= 0n) {
+      entry.status = 'settled';
+      entry.updatedAt = new Date().toISOString();
+      this.saveEntry(entry);
+      logger.info('✅ [DEADLINES] Defaulted loan repaid during dispute window, identity stays escrowed', {
+        loanId: entry.loanId
+      });
+      return;
+    }
+
+    const jobId = await this.getRetryQueue().addJob('notify_releasable', {
+      loanId: entry.loanId,
+      commitment: entry.commitment,
+      defaultedAt: entry.defaultedAt,
+      disputeEndsAt: entry.disputeEndsAt
+    }, {
+      jobId: `notify_releasable-${entry.loanId}-${entry.commitment}`,
+      maxAttempts: 5,
+      backoffDelay: 60000
+    });
+
+    entry.status = 'releasable';
+    entry.jobIds = [jobId];
+    entry.updatedAt = new Date().toISOString();
+    this.saveEntry(entry);
+
+    logger.info('📬 [DEADLINES] Dispute window passed, lender notified that the identity can be revealed', {
+      loanId: entry.loanId,
+      commitment: entry.commitment.slice(0, 20) + '...'
+    });
+  }
+
+  /**
+   * Scheduler entry for an application
+   * @param {string} loanId - Loan ID (decimal string)
+   * @param {string} commitment - Commitment (hex or decimal)
+   * @returns {object|null} Entry
+   */
+  getEntry(loanId, commitment) {
+    return deadlineApplicationRepository.find(this.contractFelt, loanId.toString(), escrowEventStore.normalizeFelt(commitment));
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    const counts = deadlineApplicationRepository.countByStatus(this.contractFelt);
+    const count = (status) => counts[status] || 0;
+    return {
+      isRunning: this.isRunning,
+      isPolling: this.isPolling,
+      pollInterval: this.pollInterval,
+      keeperConfigured: this.isKeeperConfigured(),
+      disputeWindowSeconds: this.disputeWindowSeconds,
+      lastRunAt: this.lastRunAt,
+      lastError: this.lastError,
+      submitted: count('submitted'),
+      defaulted: count('defaulted'),
+      releasable: count('releasable'),
+      settled: count('settled')
+    };
+  }
+}
+
+// Create singleton instance
+const deadlineScheduler = new DeadlineScheduler();
+
+// If this file is run directly, start the scheduler
+if (require.main === module) {
+  deadlineScheduler.start().then(() => {
+    logger.info('Deadline scheduler running as standalone process');
+  }).catch(error => {
+    logger.error('Failed to start deadline scheduler', { error: error.message });
+    process.exit(1);
+  });
+
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, stopping deadline scheduler');
+    deadlineScheduler.stop();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received, stopping deadline scheduler');
+    deadlineScheduler.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = deadlineScheduler;
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { uint256 } = require('starknet');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'deadline-scheduler-test-'));
+process.env.DATABASE_FILE = path.join(dataDir, 'test.db');
+process.env.LOG_LEVEL = 'error';
+process.env.LOAN_ESCROW_ZK_ADDRESS = '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+
+const db = require('../db');
+const escrowEventStore = require('../services/escrowEventStore');
+const disputeService = require('../services/disputeService');
+const deadlineScheduler = require('./deadlineScheduler');
+
+const DEADLINE = 1700100000;
+const DEFAULTED_AT = DEADLINE + 50;
+
+let blockNumber = 0;
+
+function index(name, fields) {
+  blockNumber += 1;
+  const event = {
+    id: `0x${blockNumber.toString(16)}:0`,
+    name,
+    blockNumber,
+    blockHash: `0xb${blockNumber}`,
+    timestamp: 1700000000 + blockNumber,
+    txHash: `0x${blockNumber.toString(16)}`,
+    eventIndex: 0,
+    ...fields
+  };
+  escrowEventStore.appendBatch([event], { [blockNumber]: { hash: event.blockHash, timestamp: event.timestamp } }, {
+    blockNumber,
+    blockHash: event.blockHash
+  });
+}
+
+function approve(loanId, commitment) {
+  index('LoanOfferCreated', { loanId, lender: '0x2', amountPerBorrower: '100', totalSlots: 1, minActivityScore: '300' });
+  index('LoanApplicationSubmitted', { loanId, commitment, borrower: '0xb1', proofHash: '0xf1' });
+  index('BorrowerApproved', { loanId, commitment, repaymentDeadline: DEADLINE, amount: '100' });
+}
+
+/**
+ * Stand-in for the RPC provider: chain time, get_application and get_defaulted_at per application
+ */
+function mockChain() {
+  const chain = { time: DEADLINE - 10, applications: {}, reverted: new Set() };
+  deadlineScheduler.provider = {
+    getBlock: jest.fn(async () => ({ timestamp: chain.time })),
+    waitForTransaction: jest.fn(async (txHash) => {
+      if (chain.reverted.has(txHash)) {
+        throw new Error('Transaction reverted');
+      }
+    }),
+    callContract: jest.fn(async ({ entrypoint, calldata }) => {
+      const loanId = uint256.uint256ToBN({ low: calldata[0], high: calldata[1] }).toString();
+      const app = chain.applications[`${loanId}:${calldata[2]}`];
+      if (entrypoint === 'get_defaulted_at') {
+        return { result: [String(app.defaultedAt || 0)] };
+      }
+      const due = uint256.bnToUint256(110n);
+      const repaid = uint256.bnToUint256(app.amountRepaid || 0n);
+      return {
+        result: ['0xb1', calldata[2], '0xf1', String(app.status), '0', '0', '0', String(DEADLINE),
+          due.low.toString(), due.high.toString(), repaid.low.toString(), repaid.high.toString()]
+      };
+    })
+  };
+  return chain;
+}
+
+describe('deadlineScheduler', () => {
+  let chain;
+  let execute;
+  let addJob;
+
+  beforeAll(() => {
+    escrowEventStore.load(process.env.LOAN_ESCROW_ZK_ADDRESS);
+    chain = mockChain();
+  });
+
+  beforeEach(() => {
+    execute = jest.fn(async ({ calldata }) => ({ transaction_hash: `0xdef${calldata[2].slice(2)}` }));
+    addJob = jest.fn(async (type, data, options) => options.jobId);
+    deadlineScheduler.keeperAddress = '0x1';
+    deadlineScheduler.keeperPrivateKey = '0x1';
+    deadlineScheduler.account = { execute };
+    deadlineScheduler.retryQueue = { addJob, stop: jest.fn(async () => {}) };
+    jest.spyOn(disputeService, 'getBlockingDispute').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    disputeService.getBlockingDispute.mockRestore();
+  });
+
+  afterAll(() => {
+    db.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('marks an application defaulted only once its deadline has passed on-chain', async () => {
+    approve('1', '0xc1');
+    chain.applications['1:0xc1'] = { status: 1 };
+
+    await deadlineScheduler.runOnce();
+    expect(execute).not.toHaveBeenCalled();
+
+    chain.time = DEADLINE + 60;
+    chain.applications['1:0xc1'].defaultedAt = DEFAULTED_AT;
+    await deadlineScheduler.runOnce();
+
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(execute.mock.calls[0][0]).toMatchObject({ entrypoint: 'mark_defaulted', calldata: ['0x1', '0x0', '0xc1'] });
+    expect(deadlineScheduler.getEntry('1', '0xc1')).toMatchObject({
+      status: 'defaulted',
+      defaultedAt: DEFAULTED_AT,
+      disputeEndsAt: DEFAULTED_AT + deadlineScheduler.disputeWindowSeconds
+    });
+
+    await deadlineScheduler.runOnce();
+    expect(execute).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips an application the index still shows as approved but was repaid on-chain', async () => {
+    approve('2', '0xc2');
+    chain.applications['2:0xc2'] = { status: 2, amountRepaid: 110n };
+    chain.time = DEADLINE + 60;
+
+    await deadlineScheduler.runOnce();
+
+    expect(execute).not.toHaveBeenCalledWith(expect.objectContaining({ calldata: ['0x2', '0x0', '0xc2'] }));
+    expect(deadlineScheduler.getEntry('2', '0xc2')).toBeNull();
+  });
+
+  it('drops a reverted mark_defaulted so the next pass retries it', async () => {
+    approve('3', '0xc3');
+    chain.applications['3:0xc3'] = { status: 1 };
+    chain.time = DEADLINE + 60;
+    chain.reverted.add('0xdefc3');
+
+    await deadlineScheduler.runOnce();
+    expect(deadlineScheduler.getEntry('3', '0xc3')).toBeNull();
+
+    chain.reverted.clear();
+    chain.applications['3:0xc3'].defaultedAt = DEFAULTED_AT;
+    await deadlineScheduler.runOnce();
+    expect(deadlineScheduler.getEntry('3', '0xc3').status).toBe('defaulted');
+  });
+
+  it('notifies the lender once the dispute window has passed, with a deterministic job id', async () => {
+    chain.applications['1:0xc1'] = { status: 3, defaultedAt: DEFAULTED_AT };
+    chain.applications['3:0xc3'] = { status: 3, defaultedAt: DEFAULTED_AT };
+    chain.applications['2:0xc2'] = { status: 2, amountRepaid: 110n };
+
+    chain.time = DEFAULTED_AT + deadlineScheduler.disputeWindowSeconds - 1;
+    await deadlineScheduler.runOnce();
+    expect(addJob).not.toHaveBeenCalled();
+
+    disputeService.getBlockingDispute.mockImplementation(async (loanId) => (loanId === '3' ? { id: 'd1', status: 'open' } : null));
+    chain.time = DEFAULTED_AT + deadlineScheduler.disputeWindowSeconds;
+    await deadlineScheduler.runOnce();
+
+    expect(addJob).toHaveBeenCalledTimes(1);
+    expect(addJob.mock.calls[0][0]).toBe('notify_releasable');
+    expect(addJob.mock.calls[0][2].jobId).toBe('notify_releasable-1-0xc1');
+    expect(deadlineScheduler.getEntry('1', '0xc1')).toMatchObject({ status: 'releasable', jobIds: ['notify_releasable-1-0xc1'] });
+    expect(deadlineScheduler.getEntry('3', '0xc3').status).toBe('defaulted');
+  });
+
+  it('settles a defaulted loan repaid during the dispute window', async () => {
+    approve('4', '0xc4');
+    index('LoanDefaulted', { loanId: '4', commitment: '0xc4', borrower: '0xb1', repaymentDeadline: DEADLINE, defaultedAt: DEFAULTED_AT });
+    chain.applications['4:0xc4'] = { status: 2, amountRepaid: 110n };
+    chain.time = DEFAULTED_AT + 1;
+
+    await deadlineScheduler.runOnce();
+    expect(execute).not.toHaveBeenCalled();
+    expect(deadlineScheduler.getEntry('4', '0xc4')).toMatchObject({ status: 'defaulted', markTxHash: expect.any(String) });
+
+    chain.time = DEFAULTED_AT + deadlineScheduler.disputeWindowSeconds;
+    await deadlineScheduler.runOnce();
+
+    expect(deadlineScheduler.getEntry('4', '0xc4').status).toBe('settled');
+    expect(addJob).not.toHaveBeenCalledWith('notify_releasable', expect.objectContaining({ loanId: '4' }), expect.anything());
+  });
+});
@@ -0,0 +1,399 @@
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const { RpcProvider, hash, uint256 } = require('starknet');
+const escrowEventStore = require('../services/escrowEventStore');
+const logger = require('../utils/logger');
+
+const LOAN_ESCROW_ZK_ADDRESS = process.env.LOAN_ESCROW_ZK_ADDRESS || '0x06b058a0946bb36fa846e6a954da885fa20809f43a9e47038dc83b4041f7f012';
+const RPC_URL = process.env.STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7';
+
+const INDEXED_EVENTS = [
+  'LoanOfferCreated',
+  'LoanApplicationSubmitted',
+  'BorrowerApproved',
+  'LoanRepaid',
+  'InstalmentPaid',
+  'LoanOfferCancelled',
+  'IdentityRevealed',
+  'LoanPolicyAttached',
+  'LoanDefaulted',
+  'IdentityEscrowAttached'
+];
+
+/**
+ * Indexer for LoanEscrowZK events
+ * Polls the chain, decodes escrow events into the persistent event store,
+ * keeps a block cursor and rolls back when a reorg is detected.
+ */
+class EscrowIndexer {
+  constructor() {
+    this.provider = new RpcProvider({ nodeUrl: RPC_URL });
+    this.contractAddress = LOAN_ESCROW_ZK_ADDRESS;
+    this.pollInterval = parseInt(process.env.ESCROW_INDEXER_POLL_MS) || 15000;
+    this.startBlock = parseInt(process.env.ESCROW_INDEXER_START_BLOCK) || 0;
+    this.blockRange = parseInt(process.env.ESCROW_INDEXER_BLOCK_RANGE) || 5000;
+    this.chunkSize = 1000;
+    this.isRunning = false;
+    this.isPolling = false;
+    this.intervalId = null;
+    this.lastError = null;
+
+    // selector -> event name
+    this.selectors = new Map(
+      INDEXED_EVENTS.map(name => [escrowEventStore.normalizeFelt(hash.getSelectorFromName(name)), name])
+    );
+  }
+
+  /**
+   * Start indexing
+   */
+  async start() {
+    if (this.isRunning) {
+      logger.warn('Escrow indexer already running');
+      return;
+    }
+
+    escrowEventStore.load(this.contractAddress);
+    this.isRunning = true;
+    logger.info('Escrow indexer started', {
+      contract: this.contractAddress,
+      cursor: escrowEventStore.getCursor()
+    });
+
+    await this.poll();
+
+    this.intervalId = setInterval(() => {
+      this.poll();
+    }, this.pollInterval);
+  }
+
+  /**
+   * Stop indexing
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+
+    this.isRunning = false;
+    logger.info('Escrow indexer stopped');
+  }
+
+  /**
+   * Run one indexing pass; overlapping passes are skipped
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      await this.syncOnce();
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+      logger.error('Escrow indexer poll failed', { error: error.message });
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Detect reorgs, then index every block from the cursor up to the chain head
+   */
+  async syncOnce() {
+    escrowEventStore.load(this.contractAddress);
+
+    await this.handleReorg();
+
+    const latestBlock = await this.provider.getBlockNumber();
+    const cursor = escrowEventStore.getCursor();
+    let fromBlock = cursor ? cursor.blockNumber + 1 : this.startBlock;
+
+    while (fromBlock <= latestBlock) {
+      const toBlock = Math.min(fromBlock + this.blockRange - 1, latestBlock);
+      await this.indexRange(fromBlock, toBlock);
+      fromBlock = toBlock + 1;
+    }
+  }
+
+  /**
+   * Compare the cursor block hash with the chain; on mismatch, walk back through
+   * the stored block window to the last common block and roll back above it.
+   */
+  async handleReorg() {
+    const cursor = escrowEventStore.getCursor();
+    if (!cursor || !cursor.blockHash) {
+      return;
+    }
+
+    const canonical = await this.getBlockInfo(cursor.blockNumber);
+    if (canonical.hash === cursor.blockHash) {
+      return;
+    }
+
+    logger.warn('🔄 Reorg detected at indexer cursor', {
+      block: cursor.blockNumber,
+      indexedHash: cursor.blockHash,
+      canonicalHash: canonical.hash
+    });
+
+    const recent = escrowEventStore.getRecentBlockNumbers();
+    for (const blockNumber of recent) {
+      const info = await this.getBlockInfo(blockNumber);
+      if (info.hash === escrowEventStore.getBlockHash(blockNumber)) {
+        escrowEventStore.rollbackTo(blockNumber);
+        return;
+      }
+    }
+
+    // No common block inside the window: re-index from just below it
+    const oldest = recent.length > 0 ? recent[recent.length - 1] : cursor.blockNumber;
+    escrowEventStore.rollbackTo(Math.max(this.startBlock, oldest) - 1);
+  }
+
+  /**
+   * Index one block range, following continuation tokens until exhausted
+   * @param {number} fromBlock - First block (inclusive)
+   * @param {number} toBlock - Last block (inclusive)
+   */
+  async indexRange(fromBlock, toBlock) {
+    const rawEvents = [];
+    let continuationToken;
+
+    do {
+      const page = await this.provider.getEvents({
+        address: this.contractAddress,
+        from_block: { block_number: fromBlock },
+        to_block: { block_number: toBlock },
+        keys: [Array.from(this.selectors.keys())],
+        chunk_size: this.chunkSize,
+        continuation_token: continuationToken
+      });
+
+      rawEvents.push(...(page.events || []));
+      continuationToken = page.continuation_token;
+    } while (continuationToken);
+
+    // Block hashes/timestamps for every block that emitted an event, plus the range end
+    const blockNumbers = new Set(rawEvents.map(e => e.block_number));
+    blockNumbers.add(toBlock);
+    const blocks = {};
+    for (const blockNumber of blockNumbers) {
+      blocks[blockNumber] = await this.getBlockInfo(blockNumber);
+    }
+
+    const decoded = [];
+    const positionInTx = new Map();
+    for (const raw of rawEvents) {
+      // getEvents does not expose the event index, so number events per transaction
+      const position = positionInTx.get(raw.transaction_hash) || 0;
+      positionInTx.set(raw.transaction_hash, position + 1);
+
+      try {
+        const event = this.decodeEvent(raw, position, blocks[raw.block_number]);
+        if (event) {
+          decoded.push(event);
+        }
+      } catch (error) {
+        logger.error('Failed to decode escrow event', {
+          txHash: raw.transaction_hash,
+          error: error.message
+        });
+      }
+    }
+
+    const added = escrowEventStore.appendBatch(decoded, blocks, {
+      blockNumber: toBlock,
+      blockHash: blocks[toBlock].hash
+    });
+
+    if (added > 0) {
+      logger.info('📥 Indexed escrow events', { fromBlock, toBlock, added });
+    } else {
+      logger.debug('Indexed empty block range', { fromBlock, toBlock });
+    }
+  }
+
+  /**
+   * Fetch hash and timestamp for a block
+   * @param {number} blockNumber - Block number
+   * @returns {object} { hash, timestamp }
+   */
+  async getBlockInfo(blockNumber) {
+    const block = await this.provider.getBlockWithTxHashes(blockNumber);
+    return { hash: block.block_hash, timestamp: Number(block.timestamp) };
+  }
+
+  /**
+   * Decode a raw RPC event into a flat record.
+   * #[key] fields are serialized into keys after the selector, the rest into data;
+   * u256 values take two felts (low, high).
+   * @param {object} raw - Raw event from starknet_getEvents
+   * @param {number} position - Position of the event inside its transaction
+   * @param {object} block - { hash, timestamp } of the emitting block
+   * @returns {object|null} Decoded event
+   */
+  decodeEvent(raw, position, block) {
+    const name = this.selectors.get(escrowEventStore.normalizeFelt(raw.keys[0]));
+    if (!name) {
+      return null;
+    }
+
+    const felt = (value) => escrowEventStore.normalizeFelt(value);
+    const u256 = (low, high) => uint256.uint256ToBN({ low, high: high || '0x0' }).toString();
+    const { keys, data } = raw;
+
+    const event = {
+      id: `${raw.transaction_hash}:${position}`,
+      name,
+      loanId: u256(keys[1], keys[2]),
+      blockNumber: raw.block_number,
+      blockHash: block?.hash || raw.block_hash,
+      timestamp: block?.timestamp || null,
+      txHash: raw.transaction_hash,
+      eventIndex: position
+    };
+
+    switch (name) {
+      case 'LoanOfferCreated':
+        return {
+          ...event,
+          lender: felt(data[0]),
+          amountPerBorrower: u256(data[1], data[2]),
+          totalSlots: Number(data[3]),
+          minActivityScore: u256(data[4], data[5])
+        };
+
+      case 'LoanApplicationSubmitted':
+        return {
+          ...event,
+          commitment: felt(keys[3]),
+          borrower: felt(data[0]),
+          proofHash: felt(data[1])
+        };
+
+      case 'BorrowerApproved':
+        return {
+          ...event,
+          commitment: felt(keys[3]),
+          borrower: felt(data[0]),
+          amount: u256(data[1], data[2]),
+          repaymentDeadline: Number(data[3])
+        };
+
+      case 'LoanRepaid':
+        return {
+          ...event,
+          borrower: felt(keys[3]),
+          // Contracts deployed before the commitment key was added emit loan ID and borrower only
+          commitment: keys.length > 4 ? felt(keys[4]) : null,
+          amount: u256(data[0], data[1]),
+          repaidAt: Number(data[2])
+        };
+
+      case 'InstalmentPaid':
+        return {
+          ...event,
+          commitment: felt(keys[3]),
+          borrower: felt(data[0]),
+          amount: u256(data[1], data[2]),
+          amountRepaid: u256(data[3], data[4]),
+          outstanding: u256(data[5], data[6]),
+          paidAt: Number(data[7])
+        };
+
+      case 'LoanOfferCancelled':
+        return {
+          ...event,
+          lender: felt(data[0])
+        };
+
+      case 'IdentityRevealed':
+        return {
+          ...event,
+          commitment: felt(keys[3]),
+          borrower: felt(data[0]),
+          lender: felt(data[1]),
+          amountDue: u256(data[2], data[3]),
+          daysOverdue: Number(data[4])
+        };
+
+      case 'LoanPolicyAttached':
+        return {
+          ...event,
+          policyHash: felt(data[0])
+        };
+
+      case 'LoanDefaulted':
+        return {
+          ...event,
+          commitment: felt(keys[3]),
+          borrower: felt(data[0]),
+          amountDue: u256(data[1], data[2]),
+          repaymentDeadline: Number(data[3]),
+          defaultedAt: Number(data[4])
+        };
+
+      case 'IdentityEscrowAttached':
+        return {
+          ...event,
+          commitment: felt(keys[3]),
+          borrower: felt(data[0]),
+          escrowHash: felt(data[1])
+        };
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get indexer status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isPolling: this.isPolling,
+      pollInterval: this.pollInterval,
+      startBlock: this.startBlock,
+      lastError: this.lastError,
+      ...escrowEventStore.getStats()
+    };
+  }
+}
+
+// Create singleton instance
+const escrowIndexer = new EscrowIndexer();
+
+// If this file is run directly, start the indexer
+if (require.main === module) {
+  escrowIndexer.start().then(() => {
+    logger.info('Escrow indexer running as standalone process');
+  }).catch(error => {
+    logger.error('Failed to start escrow indexer', { error: error.message });
+    process.exit(1);
+  });
+
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, stopping escrow indexer');
+    escrowIndexer.stop();
+    process.exit(0);
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received, stopping escrow indexer');
+    escrowIndexer.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = escrowIndexer;
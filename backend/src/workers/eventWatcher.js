@@ -184,10 +184,8 @@ class EventWatcher {
       loanId: event.data.loanId
     });
 
-    // Start dispute window
-    // Initiate trustee share collection
-    const shareCollector = require('./shareCollector');
-    await shareCollector.collectShares(event.data.loanId);
+    // The dispute window and the lender notice are handled by workers/deadlineScheduler;
+    // shares are only collected by the lender's reveal, which uses them right away
   }
 
   /**
@@ -104,8 +104,8 @@ class RetryQueue {
       case 'distribute_share':
         return await this.handleDistributeShare(data);
 
-      case 'collect_share':
-        return await this.handleCollectShare(data);
+      case 'notify_releasable':
+        return await this.handleNotifyReleasable(data);
 
       case 'submit_transaction':
         return await this.handleSubmitTransaction(data);
@@ -120,40 +120,53 @@ class RetryQueue {
    * Handle share distribution retry
    */
   async handleDistributeShare(data) {
-    const { shareId, trusteeEndpoint, shareData } = data;
-    const axios = require('axios');
+    const { trusteeIndex, shareData } = data;
+    const trusteeClient = require('../services/trusteeClient');
 
-    const response = await axios.post(
-      trusteeEndpoint,
-      shareData,
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 10000
-      }
-    );
+    const response = await trusteeClient.sendShare(trusteeIndex, shareData);
 
-    logger.info('Share distributed successfully', { shareId });
-    return response.data;
+    logger.info('Share distributed successfully', { shareId: trusteeClient.getShareId(trusteeIndex) });
+    return response;
   }
 
   /**
-   * Handle share collection retry
+   * Tell the lender a defaulted application's identity package can be revealed
+   * Shares stay with the trustees: they are collected by the lender's reveal, which
+   * reconstructs and decrypts in the same request, never through a job.
    */
-  async handleCollectShare(data) {
-    const { loanId, trusteeEndpoint } = data;
-    const axios = require('axios');
+  async handleNotifyReleasable(data) {
+    const { loanId, commitment, disputeEndsAt } = data;
+    const disputeService = require('../services/disputeService');
+
+    // A dispute opened after the job was queued still stops the notice
+    const dispute = await disputeService.getBlockingDispute(loanId, commitment);
+    if (dispute) {
+      logger.warn('Release notice skipped, application is disputed', {
+        loanId,
+        disputeId: dispute.id,
+        status: dispute.status
+      });
+      return { skipped: true, disputeId: dispute.id };
+    }
 
-    const response = await axios.post(
-      `${trusteeEndpoint}/request-share`,
-      { loanId, timestamp: Date.now() },
-      {
+    const notice = {
+      event: 'identity_releasable',
+      loanId,
+      commitment,
+      disputeEndedAt: new Date(disputeEndsAt * 1000).toISOString()
+    };
+
+    const webhookUrl = process.env.DEFAULT_NOTICE_WEBHOOK_URL;
+    if (webhookUrl) {
+      const axios = require('axios');
+      await axios.post(webhookUrl, notice, {
         headers: { 'Content-Type': 'application/json' },
         timeout: 30000
-      }
-    );
+      });
+    }
 
-    logger.info('Share collected successfully', { loanId });
-    return response.data;
+    logger.info('Lender notified, identity package can be revealed', { loanId, webhook: !!webhookUrl });
+    return { notified: true };
   }
 
   /**
@@ -1,6 +1,7 @@
-const axios = require('axios');
 const shamirService = require('../services/shamirService');
 const ipfsService = require('../services/ipfsService');
+const trusteeClient = require('../services/trusteeClient');
+const disputeService = require('../services/disputeService');
 const logger = require('../utils/logger');
 
 /**
@@ -15,10 +16,20 @@ class ShareCollector {
 
   /**
    * Collect shares from trustees for a defaulted loan
+   * Refused while a borrower dispute is open or upheld. Each trustee checks the default
+   * and dispute window on-chain before releasing; every returned share is
+   * signature-checked by trusteeClient.
+   * @param {string} loanId - Loan ID
+   * @param {string} commitment - Borrower commitment of the defaulted application
    */
-  async collectShares(loanId) {
+  async collectShares(loanId, commitment) {
     try {
-      logger.info('Starting share collection', { loanId });
+      const dispute = await disputeService.getBlockingDispute(loanId, commitment);
+      if (dispute) {
+        throw new Error(`Share collection blocked: dispute ${dispute.id} is ${dispute.status}`);
+      }
+
+      logger.info('Starting share collection', { loanId, commitment });
 
       const trusteeEndpoints = this.getTrusteeEndpoints();
       const shares = [];
@@ -33,43 +44,37 @@ class ShareCollector {
             continue;
           }
 
-          const response = await axios.post(
-            `${endpoint}/request-share`,
-            {
-              loanId,
-              timestamp: Date.now(),
-              reason: 'default_triggered'
-            },
-            {
-              headers: { 'Content-Type': 'application/json' },
-              timeout: 30000
-            }
-          );
-
-          if (response.data.share) {
-            shares.push(response.data.share);
-            collectionResults.push({
-              trusteeIndex: i,
-              status: 'collected',
-              shareId: `trustee_${i + 1}`
-            });
-
-            logger.info('Share collected from trustee', {
-              loanId,
-              trusteeIndex: i
-            });
-          }
+          const share = await trusteeClient.requestShare(i, {
+            loanId,
+            commitment,
+            reason: 'default_triggered'
+          });
+
+          shares.push(share);
+          collectionResults.push({
+            trusteeIndex: i,
+            status: 'collected',
+            shareId: trusteeClient.getShareId(i)
+          });
+
+          logger.info('Share collected from trustee', {
+            loanId,
+            trusteeIndex: i
+          });
         } catch (error) {
+          // 403 = trustee's own on-chain check refused the release
+          const refusal = error.response?.data;
           logger.error('Failed to collect share from trustee', {
             loanId,
             trusteeIndex: i,
-            error: error.message
+            error: refusal?.reason || refusal?.error || error.message
           });
 
           collectionResults.push({
             trusteeIndex: i,
-            status: 'failed',
-            error: error.message
+            status: error.response?.status === 403 ? 'refused' : 'failed',
+            error: refusal?.reason || refusal?.error || error.message,
+            releasableAt: refusal?.releasableAt
           });
         }
       }
@@ -99,6 +104,9 @@ class ShareCollector {
 
   /**
    * Reconstruct identity after collecting shares
+   * Shares are checked against the VSS commitments stored with the CID; shares that fail
+   * are attributed to their trustee and the remaining ones are used instead.
+   * @returns {Promise<object>} { loanId, identityData, sharesUsed, usedShareIds, faultyTrustees, reconstructedAt }
    */
   async reconstructAndReveal(loanId, shares, cid) {
     try {
@@ -106,32 +114,68 @@ class ShareCollector {
         throw new Error(`Insufficient shares: need ${this.threshold}, got ${shares.length}`);
       }
 
-      logger.info('Reconstructing identity', { loanId, sharesUsed: shares.length });
+      logger.info('Reconstructing identity', { loanId, sharesCollected: shares.length });
 
-      // Reconstruct encryption key
-      const encryptionKey = shamirService.reconstructEncryptionKey(shares);
-
-      // Retrieve and decrypt identity
       const encryptedData = await ipfsService.retrieveFromIPFS(cid);
-      const identityData = ipfsService.decryptData(encryptedData, encryptionKey);
+      if (!encryptedData.vss) {
+        logger.warn('No VSS commitments stored with identity, shares cannot be verified', { loanId, cid });
+      }
+
+      let recovered;
+      try {
+        recovered = shamirService.recover(
+          shares,
+          encryptedData.vss || null,
+          key => ipfsService.decryptData(encryptedData, key)
+        );
+      } catch (error) {
+        if (error.faulty) {
+          error.faultyTrustees = this.describeFaulty(error.faulty);
+        }
+        throw error;
+      }
+
+      const faultyTrustees = this.describeFaulty(recovered.faulty);
+      if (faultyTrustees.length > 0) {
+        logger.warn('Faulty trustee shares detected', { loanId, faultyTrustees });
+      }
 
-      logger.info('Identity reconstructed successfully', { loanId });
+      logger.info('Identity reconstructed successfully', {
+        loanId,
+        sharesUsed: recovered.used.length,
+        attempts: recovered.attempts
+      });
 
       return {
         loanId,
-        identityData,
-        sharesUsed: shares.length,
+        identityData: recovered.data,
+        sharesUsed: recovered.used.length,
+        usedShareIds: recovered.used.map(index => `trustee_${index}`),
+        faultyTrustees,
         reconstructedAt: new Date().toISOString()
       };
     } catch (error) {
       logger.error('Identity reconstruction failed', {
         loanId,
-        error: error.message
+        error: error.message,
+        faultyTrustees: error.faultyTrustees
       });
       throw error;
     }
   }
 
+  /**
+   * Map rejected shares to the trustees that returned them
+   * @param {Array<object>} faulty - [{ index, reason }] from shamirService.recover
+   * @returns {Array<object>} [{ shareId, reason }]
+   */
+  describeFaulty(faulty) {
+    return faulty.map(({ index, reason }) => ({
+      shareId: index ? trusteeClient.getShareId(index - 1) : null,
+      reason
+    }));
+  }
+
   /**
    * Get trustee endpoints from environment
    */
@@ -145,36 +189,22 @@ class ShareCollector {
   }
 
   /**
-   * Request specific share from trustee
+   * Request specific share from trustee (verified, see trusteeClient.requestShare)
    */
-  async requestShareFromTrustee(trusteeIndex, loanId) {
+  async requestShareFromTrustee(trusteeIndex, loanId, commitment) {
     try {
-      const endpoints = this.getTrusteeEndpoints();
-      const endpoint = endpoints[trusteeIndex];
-
-      if (!endpoint) {
-        throw new Error(`Trustee ${trusteeIndex} endpoint not configured`);
-      }
-
-      const response = await axios.post(
-        `${endpoint}/request-share`,
-        {
-          loanId,
-          timestamp: Date.now(),
-          trusteeIndex
-        },
-        {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 30000
-        }
-      );
+      const share = await trusteeClient.requestShare(trusteeIndex, {
+        loanId,
+        commitment,
+        reason: 'manual_request'
+      });
 
       logger.info('Share requested from trustee', {
         loanId,
         trusteeIndex
       });
 
-      return response.data.share;
+      return share;
     } catch (error) {
       logger.error('Failed to request share from trustee', {
         loanId,
@@ -2,23 +2,74 @@ use starknet::ContractAddress;
 
 #[starknet::interface]
 pub trait IActivityVerifier<TContractState> {
+    // Attested, unexpired proof for this commitment, borrower and loan covering the threshold
     fn verify_proof(
         self: @TContractState,
         proof_hash: felt252,
         commitment: felt252,
         threshold: u256,
+        borrower: ContractAddress,
+        loan_id: u256,
     ) -> bool;
-    
-    fn register_proof(
+
+    // Attester records a Groth16 proof it has verified against the stored key
+    fn attest_proof(
         ref self: TContractState,
         proof_hash: felt252,
         commitment: felt252,
-        activity_score: u256,
+        threshold: u256,
+        borrower: ContractAddress,
+        loan_id: u256,
+        issued_at: u64,
+        nullifier: felt252,
+        vk_hash: felt252,
     );
-    
+
     fn get_proof_score(self: @TContractState, proof_hash: felt252) -> u256;
+
+    fn get_proof(self: @TContractState, proof_hash: felt252) -> AttestedProof;
+
+    // Latest proof hash attested for a nullifier (0 if none)
+    fn get_nullifier_proof(self: @TContractState, nullifier: felt252) -> felt252;
+
+    fn get_max_proof_age(self: @TContractState) -> u64;
+
+    fn set_max_proof_age(ref self: TContractState, max_proof_age: u64);
+
+    fn get_vk_hash(self: @TContractState) -> felt252;
+
+    fn get_verification_key(self: @TContractState) -> Array<u256>;
+
+    fn get_attester(self: @TContractState) -> ContractAddress;
+
+    fn set_attester(ref self: TContractState, attester: ContractAddress);
+}
+
+#[derive(Drop, Copy, Serde)]
+pub struct AttestedProof {
+    pub commitment: felt252,
+    pub threshold: u256,
+    pub verified: bool,
+    pub borrower: ContractAddress,
+    pub loan_id: u256,
+    pub issued_at: u64,
+    pub nullifier: felt252,
+    pub registered_at: u64,
 }
 
+/// ActivityVerifier - verify-then-attest registry for activityVerifier.circom proofs
+///
+/// The Groth16 verification key of the circuit is stored at deployment
+/// (see scripts/vk_to_calldata.js) and committed to by a Poseidon hash.
+/// The attester verifies each proof off-chain against that exact key and
+/// records its public signals (commitment, threshold, borrower, loan, issue
+/// time, nullifier). Proofs can no longer be registered with a caller-chosen score.
+///
+/// Replay protection: a proof only verifies for the borrower and loan it was
+/// issued for, and proofs older than max_proof_age are rejected at attestation
+/// and on use. A nullifier (one per wallet and loan) has one live proof at a time:
+/// it can be attested again once its earlier proof has expired. LoanEscrowZK
+/// consumes the nullifier when an application is accepted.
 #[starknet::contract]
 mod ActivityVerifier {
     use starknet::{ContractAddress, get_caller_address};
@@ -26,36 +77,61 @@ mod ActivityVerifier {
         StoragePointerReadAccess, StoragePointerWriteAccess,
         StorageMapReadAccess, StorageMapWriteAccess
     };
+    use core::poseidon::poseidon_hash_span;
+    use super::AttestedProof;
+
+    // alpha (G1) + beta, gamma, delta (G2), as u256 coordinates
+    const VK_FIXED_POINTS_LEN: u32 = 14;
+    // Tolerated drift between the prover's clock and block time
+    const MAX_CLOCK_SKEW: u64 = 300;
 
     #[storage]
     struct Storage {
         proof_scores: starknet::storage::Map<felt252, ProofData>,
         owner: ContractAddress,
+        attester: ContractAddress,
+        vk_points: starknet::storage::Map<u32, u256>,
+        vk_len: u32,
+        vk_hash: felt252,
+        nullifier_proofs: starknet::storage::Map<felt252, felt252>,
+        max_proof_age: u64,
     }
 
     #[derive(Drop, Copy, Serde, starknet::Store)]
     struct ProofData {
         commitment: felt252,
-        activity_score: u256,
+        activity_score: u256, // proven lower bound (public threshold signal)
         verified: bool,
         registered_by: ContractAddress,
         registered_at: u64,
+        borrower: ContractAddress,
+        loan_id: u256,
+        issued_at: u64,
+        nullifier: felt252,
     }
 
     #[event]
     #[derive(Drop, starknet::Event)]
     enum Event {
-        ProofRegistered: ProofRegistered,
+        ProofAttested: ProofAttested,
         ProofVerified: ProofVerified,
+        AttesterUpdated: AttesterUpdated,
+        MaxProofAgeUpdated: MaxProofAgeUpdated,
     }
 
     #[derive(Drop, starknet::Event)]
-    struct ProofRegistered {
+    struct ProofAttested {
         #[key]
         proof_hash: felt252,
         commitment: felt252,
-        activity_score: u256,
-        registered_by: ContractAddress,
+        threshold: u256,
+        borrower: ContractAddress,
+        loan_id: u256,
+        issued_at: u64,
+        #[key]
+        nullifier: felt252,
+        vk_hash: felt252,
+        attester: ContractAddress,
     }
 
     #[derive(Drop, starknet::Event)]
@@ -66,76 +142,221 @@ mod ActivityVerifier {
         success: bool,
     }
 
+    #[derive(Drop, starknet::Event)]
+    struct AttesterUpdated {
+        previous: ContractAddress,
+        attester: ContractAddress,
+    }
+
+    #[derive(Drop, starknet::Event)]
+    struct MaxProofAgeUpdated {
+        previous: u64,
+        max_proof_age: u64,
+    }
+
+    /// verification_key layout (snarkjs verification_key.json):
+    /// alpha.x, alpha.y, beta.x0, beta.x1, beta.y0, beta.y1, gamma (4), delta (4),
+    /// then IC[0..=n_public] as x, y pairs
+    /// max_proof_age is in seconds
     #[constructor]
-    fn constructor(ref self: ContractState) {
+    fn constructor(
+        ref self: ContractState,
+        attester: ContractAddress,
+        max_proof_age: u64,
+        n_public: u32,
+        verification_key: Array<u256>,
+    ) {
+        let expected_len = VK_FIXED_POINTS_LEN + 2 * (n_public + 1);
+        assert(verification_key.len() == expected_len, 'Invalid verification key');
+        assert(max_proof_age > 0, 'Invalid max proof age');
+
         self.owner.write(get_caller_address());
+        self.attester.write(attester);
+        self.max_proof_age.write(max_proof_age);
+
+        // vk_hash = Poseidon(n_public, low_0, high_0, low_1, high_1, ...)
+        let mut hash_input: Array<felt252> = array![n_public.into()];
+        let mut i: u32 = 0;
+        while i < verification_key.len() {
+            let point = *verification_key.at(i);
+            self.vk_points.write(i, point);
+            hash_input.append(point.low.into());
+            hash_input.append(point.high.into());
+            i += 1;
+        };
+
+        self.vk_len.write(verification_key.len());
+        self.vk_hash.write(poseidon_hash_span(hash_input.span()));
     }
 
     #[abi(embed_v0)]
     impl ActivityVerifierImpl of super::IActivityVerifier<ContractState> {
-        /// Verify that a proof meets the threshold
-        /// In production, this would verify the actual ZK proof
-        /// For now, we trust registered proofs from off-chain service
+        /// Verify that an attested proof was made for this commitment, borrower
+        /// and loan, is not expired, with a public threshold at least as high as required
         fn verify_proof(
             self: @ContractState,
             proof_hash: felt252,
             commitment: felt252,
             threshold: u256,
+            borrower: ContractAddress,
+            loan_id: u256,
         ) -> bool {
             let proof_data = self.proof_scores.read(proof_hash);
-            
+
             // Check proof exists and was verified
             if !proof_data.verified {
                 return false;
             }
-            
+
             // Check commitment matches
             if proof_data.commitment != commitment {
                 return false;
             }
-            
-            // Check score meets threshold
+
+            // Check the proof was issued to this borrower for this loan
+            if proof_data.borrower != borrower || proof_data.loan_id != loan_id {
+                return false;
+            }
+
+            // Check the proof has not expired
+            let now = starknet::get_block_timestamp();
+            if now > proof_data.issued_at + self.max_proof_age.read() {
+                return false;
+            }
+
+            // Check the proven threshold covers the required one
             let success = proof_data.activity_score >= threshold;
-            
+
             success
         }
 
-        /// Register a proof with its activity score
-        /// Called by trusted backend service after generating proof
-        fn register_proof(
+        /// Record a proof the attester verified against the stored verification key
+        fn attest_proof(
             ref self: ContractState,
             proof_hash: felt252,
             commitment: felt252,
-            activity_score: u256,
+            threshold: u256,
+            borrower: ContractAddress,
+            loan_id: u256,
+            issued_at: u64,
+            nullifier: felt252,
+            vk_hash: felt252,
         ) {
             let caller = get_caller_address();
             let timestamp = starknet::get_block_timestamp();
-            
-            // In production, add access control here
-            // For now, anyone can register (would use owner or whitelist)
-            
+
+            assert(caller == self.attester.read(), 'Only attester');
+            assert(vk_hash == self.vk_hash.read(), 'Verification key mismatch');
+
+            let existing = self.proof_scores.read(proof_hash);
+            assert(!existing.verified, 'Proof already attested');
+
+            // Freshness: not issued in the future, not older than the max age
+            assert(issued_at <= timestamp + MAX_CLOCK_SKEW, 'Proof issued in future');
+            assert(timestamp <= issued_at + self.max_proof_age.read(), 'Proof expired');
+
+            // Replay: one live proof per nullifier (wallet + loan); a proof that expired
+            // unused can be replaced, LoanEscrowZK refuses a second application either way
+            let previous = self.proof_scores.read(self.nullifier_proofs.read(nullifier));
+            assert(
+                !previous.verified || timestamp > previous.issued_at + self.max_proof_age.read(),
+                'Nullifier has a live proof'
+            );
+
             let proof_data = ProofData {
                 commitment,
-                activity_score,
+                activity_score: threshold,
                 verified: true,
                 registered_by: caller,
                 registered_at: timestamp,
+                borrower,
+                loan_id,
+                issued_at,
+                nullifier,
             };
-            
+
             self.proof_scores.write(proof_hash, proof_data);
-            
-            self.emit(ProofRegistered {
+            self.nullifier_proofs.write(nullifier, proof_hash);
+
+            self.emit(ProofAttested {
                 proof_hash,
                 commitment,
-                activity_score,
-                registered_by: caller,
+                threshold,
+                borrower,
+                loan_id,
+                issued_at,
+                nullifier,
+                vk_hash,
+                attester: caller,
             });
         }
 
-        /// Get the activity score for a registered proof
+        /// Get the proven threshold for an attested proof
         fn get_proof_score(self: @ContractState, proof_hash: felt252) -> u256 {
             let proof_data = self.proof_scores.read(proof_hash);
             proof_data.activity_score
         }
+
+        fn get_proof(self: @ContractState, proof_hash: felt252) -> AttestedProof {
+            let proof_data = self.proof_scores.read(proof_hash);
+            AttestedProof {
+                commitment: proof_data.commitment,
+                threshold: proof_data.activity_score,
+                verified: proof_data.verified,
+                borrower: proof_data.borrower,
+                loan_id: proof_data.loan_id,
+                issued_at: proof_data.issued_at,
+                nullifier: proof_data.nullifier,
+                registered_at: proof_data.registered_at,
+            }
+        }
+
+        fn get_nullifier_proof(self: @ContractState, nullifier: felt252) -> felt252 {
+            self.nullifier_proofs.read(nullifier)
+        }
+
+        fn get_max_proof_age(self: @ContractState) -> u64 {
+            self.max_proof_age.read()
+        }
+
+        /// Change how long attested proofs stay usable (seconds)
+        fn set_max_proof_age(ref self: ContractState, max_proof_age: u64) {
+            assert(get_caller_address() == self.owner.read(), 'Only owner');
+            assert(max_proof_age > 0, 'Invalid max proof age');
+
+            let previous = self.max_proof_age.read();
+            self.max_proof_age.write(max_proof_age);
+
+            self.emit(MaxProofAgeUpdated { previous, max_proof_age });
+        }
+
+        fn get_vk_hash(self: @ContractState) -> felt252 {
+            self.vk_hash.read()
+        }
+
+        fn get_verification_key(self: @ContractState) -> Array<u256> {
+            let mut key: Array<u256> = array![];
+            let len = self.vk_len.read();
+            let mut i: u32 = 0;
+            while i < len {
+                key.append(self.vk_points.read(i));
+                i += 1;
+            };
+            key
+        }
+
+        fn get_attester(self: @ContractState) -> ContractAddress {
+            self.attester.read()
+        }
+
+        /// Rotate the attester key
+        fn set_attester(ref self: ContractState, attester: ContractAddress) {
+            assert(get_caller_address() == self.owner.read(), 'Only owner');
+
+            let previous = self.attester.read();
+            self.attester.write(attester);
+
+            self.emit(AttesterUpdated { previous, attester });
+        }
     }
 }
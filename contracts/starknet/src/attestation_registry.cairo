@@ -0,0 +1,279 @@
+use starknet::ContractAddress;
+
+#[starknet::interface]
+pub trait IAttestationRegistry<TContractState> {
+    // Owner registers a payroll oracle key, or rotates it (scheme 'stark', 'ecdsa' or 'eddsa')
+    fn register_oracle(ref self: TContractState, oracle_id: felt252, scheme: felt252, public_key: felt252);
+
+    // Owner revokes an oracle: none of its attestations are valid any more
+    fn revoke_oracle(ref self: TContractState, oracle_id: felt252);
+
+    fn get_oracle(self: @TContractState, oracle_id: felt252) -> OracleKey;
+
+    // Anchor the hash of a signed attestation given its canonical encoding
+    fn anchor_attestation(
+        ref self: TContractState, fields: Span<felt252>, signature_r: felt252, signature_s: felt252,
+    ) -> felt252;
+
+    // Anchorer or owner revokes an attestation before it expires
+    fn revoke_attestation(ref self: TContractState, attestation_hash: felt252, reason: felt252);
+
+    // Anchored, unrevoked, unexpired and from an active oracle
+    fn is_valid(self: @TContractState, attestation_hash: felt252) -> bool;
+
+    fn get_attestation(self: @TContractState, attestation_hash: felt252) -> AnchoredAttestation;
+
+    fn get_anchorer(self: @TContractState) -> ContractAddress;
+
+    fn set_anchorer(ref self: TContractState, anchorer: ContractAddress);
+}
+
+#[derive(Drop, Copy, Serde, starknet::Store)]
+pub struct OracleKey {
+    pub scheme: felt252,
+    pub public_key: felt252,
+    pub active: bool,
+    pub registered_at: u64,
+}
+
+#[derive(Drop, Copy, Serde, starknet::Store)]
+pub struct AnchoredAttestation {
+    pub oracle_id: felt252,
+    pub subject: felt252,
+    pub issued_at: u64,
+    pub expires_at: u64,
+    pub anchored_at: u64,
+    pub anchored_by: ContractAddress,
+    pub revoked: bool,
+    pub revoked_reason: felt252,
+}
+
+/// AttestationRegistry - on-chain anchor for signed payroll oracle attestations
+///
+/// An attestation is encoded as felts (backend services/payrollOracles.js):
+///   [domain, oracle_id, subject, provider, annual_income, currency, issued_at, expires_at, nonce]
+/// and identified by the Poseidon hash of that encoding, which is what the oracle signs.
+///
+/// Stark-scheme signatures are checked here against the registered key, so anyone
+/// can anchor those attestations. ECDSA (P-256, secp256k1) and EdDSA (BabyJubJub,
+/// signing the BN254 Poseidon hash for the income circuit) attestations are verified
+/// off-chain and can only be anchored by the anchorer account; for them public_key
+/// holds a hash of the key. Revoking an attestation or its oracle invalidates it
+/// before expires_at.
+#[starknet::contract]
+mod AttestationRegistry {
+    use starknet::{ContractAddress, get_caller_address};
+    use starknet::storage::{
+        StoragePointerReadAccess, StoragePointerWriteAccess,
+        StorageMapReadAccess, StorageMapWriteAccess
+    };
+    use core::poseidon::poseidon_hash_span;
+    use core::ecdsa::check_ecdsa_signature;
+    use super::{OracleKey, AnchoredAttestation};
+
+    const DOMAIN: felt252 = 'LOANZY_INCOME_V1';
+    const SCHEME_STARK: felt252 = 'stark';
+    const SCHEME_ECDSA: felt252 = 'ecdsa';
+    const SCHEME_EDDSA: felt252 = 'eddsa';
+    const FIELDS_LEN: u32 = 9;
+    // Tolerated drift between the oracle's clock and block time
+    const MAX_CLOCK_SKEW: u64 = 300;
+
+    #[storage]
+    struct Storage {
+        owner: ContractAddress,
+        anchorer: ContractAddress,
+        oracles: starknet::storage::Map<felt252, OracleKey>,
+        attestations: starknet::storage::Map<felt252, AnchoredAttestation>,
+    }
+
+    #[event]
+    #[derive(Drop, starknet::Event)]
+    enum Event {
+        OracleRegistered: OracleRegistered,
+        OracleRevoked: OracleRevoked,
+        AttestationAnchored: AttestationAnchored,
+        AttestationRevoked: AttestationRevoked,
+        AnchorerUpdated: AnchorerUpdated,
+    }
+
+    #[derive(Drop, starknet::Event)]
+    struct OracleRegistered {
+        #[key]
+        oracle_id: felt252,
+        scheme: felt252,
+        public_key: felt252,
+    }
+
+    #[derive(Drop, starknet::Event)]
+    struct OracleRevoked {
+        #[key]
+        oracle_id: felt252,
+    }
+
+    #[derive(Drop, starknet::Event)]
+    struct AttestationAnchored {
+        #[key]
+        attestation_hash: felt252,
+        #[key]
+        oracle_id: felt252,
+        subject: felt252,
+        issued_at: u64,
+        expires_at: u64,
+        anchored_by: ContractAddress,
+    }
+
+    #[derive(Drop, starknet::Event)]
+    struct AttestationRevoked {
+        #[key]
+        attestation_hash: felt252,
+        reason: felt252,
+        revoked_by: ContractAddress,
+    }
+
+    #[derive(Drop, starknet::Event)]
+    struct AnchorerUpdated {
+        previous: ContractAddress,
+        anchorer: ContractAddress,
+    }
+
+    #[constructor]
+    fn constructor(ref self: ContractState, anchorer: ContractAddress) {
+        self.owner.write(get_caller_address());
+        self.anchorer.write(anchorer);
+    }
+
+    #[abi(embed_v0)]
+    impl AttestationRegistryImpl of super::IAttestationRegistry<ContractState> {
+        /// Register an oracle key; registering again rotates the key and reactivates it
+        fn register_oracle(ref self: ContractState, oracle_id: felt252, scheme: felt252, public_key: felt252) {
+            assert(get_caller_address() == self.owner.read(), 'Only owner');
+            assert(oracle_id != 0 && public_key != 0, 'Invalid oracle');
+            assert(
+                scheme == SCHEME_STARK || scheme == SCHEME_ECDSA || scheme == SCHEME_EDDSA,
+                'Unknown scheme'
+            );
+
+            self.oracles.write(oracle_id, OracleKey {
+                scheme,
+                public_key,
+                active: true,
+                registered_at: starknet::get_block_timestamp(),
+            });
+
+            self.emit(OracleRegistered { oracle_id, scheme, public_key });
+        }
+
+        fn revoke_oracle(ref self: ContractState, oracle_id: felt252) {
+            assert(get_caller_address() == self.owner.read(), 'Only owner');
+
+            let mut oracle = self.oracles.read(oracle_id);
+            assert(oracle.active, 'Oracle not active');
+            oracle.active = false;
+            self.oracles.write(oracle_id, oracle);
+
+            self.emit(OracleRevoked { oracle_id });
+        }
+
+        fn get_oracle(self: @ContractState, oracle_id: felt252) -> OracleKey {
+            self.oracles.read(oracle_id)
+        }
+
+        /// Anchor an attestation from its canonical encoding; returns its hash
+        fn anchor_attestation(
+            ref self: ContractState, fields: Span<felt252>, signature_r: felt252, signature_s: felt252,
+        ) -> felt252 {
+            assert(fields.len() == FIELDS_LEN, 'Invalid attestation encoding');
+            assert(*fields.at(0) == DOMAIN, 'Invalid attestation domain');
+
+            let caller = get_caller_address();
+            let timestamp = starknet::get_block_timestamp();
+            let attestation_hash = poseidon_hash_span(fields);
+            let oracle_id = *fields.at(1);
+            let issued_at: u64 = (*fields.at(6)).try_into().expect('Invalid issued_at');
+            let expires_at: u64 = (*fields.at(7)).try_into().expect('Invalid expires_at');
+
+            let oracle = self.oracles.read(oracle_id);
+            assert(oracle.active, 'Oracle not active');
+            if oracle.scheme == SCHEME_STARK {
+                assert(
+                    check_ecdsa_signature(attestation_hash, oracle.public_key, signature_r, signature_s),
+                    'Invalid oracle signature'
+                );
+            } else {
+                assert(caller == self.anchorer.read(), 'Only anchorer');
+            }
+
+            let existing = self.attestations.read(attestation_hash);
+            assert(existing.anchored_at == 0, 'Attestation already anchored');
+            assert(issued_at <= timestamp + MAX_CLOCK_SKEW, 'Attestation issued in future');
+            assert(expires_at > timestamp, 'Attestation expired');
+
+            let subject = *fields.at(2);
+            self.attestations.write(attestation_hash, AnchoredAttestation {
+                oracle_id,
+                subject,
+                issued_at,
+                expires_at,
+                anchored_at: timestamp,
+                anchored_by: caller,
+                revoked: false,
+                revoked_reason: 0,
+            });
+
+            self.emit(AttestationAnchored {
+                attestation_hash,
+                oracle_id,
+                subject,
+                issued_at,
+                expires_at,
+                anchored_by: caller,
+            });
+
+            attestation_hash
+        }
+
+        fn revoke_attestation(ref self: ContractState, attestation_hash: felt252, reason: felt252) {
+            let caller = get_caller_address();
+            assert(caller == self.anchorer.read() || caller == self.owner.read(), 'Only anchorer or owner');
+
+            let mut attestation = self.attestations.read(attestation_hash);
+            assert(attestation.anchored_at != 0, 'Attestation not anchored');
+            assert(!attestation.revoked, 'Attestation already revoked');
+            attestation.revoked = true;
+            attestation.revoked_reason = reason;
+            self.attestations.write(attestation_hash, attestation);
+
+            self.emit(AttestationRevoked { attestation_hash, reason, revoked_by: caller });
+        }
+
+        fn is_valid(self: @ContractState, attestation_hash: felt252) -> bool {
+            let attestation = self.attestations.read(attestation_hash);
+            if attestation.anchored_at == 0 || attestation.revoked {
+                return false;
+            }
+            if starknet::get_block_timestamp() > attestation.expires_at {
+                return false;
+            }
+            self.oracles.read(attestation.oracle_id).active
+        }
+
+        fn get_attestation(self: @ContractState, attestation_hash: felt252) -> AnchoredAttestation {
+            self.attestations.read(attestation_hash)
+        }
+
+        fn get_anchorer(self: @ContractState) -> ContractAddress {
+            self.anchorer.read()
+        }
+
+        /// Rotate the anchorer account
+        fn set_anchorer(ref self: ContractState, anchorer: ContractAddress) {
+            assert(get_caller_address() == self.owner.read(), 'Only owner');
+
+            let previous = self.anchorer.read();
+            self.anchorer.write(anchorer);
+
+            self.emit(AnchorerUpdated { previous, anchorer });
+        }
+    }
+}
@@ -3,3 +3,4 @@ mod loan_escrow_v2;
 // mod loan_escrow_multi;  // Has compilation errors - excluding
 mod loan_escrow_zk;
 mod activity_verifier;
+mod attestation_registry;
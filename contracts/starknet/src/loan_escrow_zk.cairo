@@ -1,4 +1,5 @@
 use starknet::ContractAddress;
+use crate::activity_verifier::AttestedProof;
 
 #[starknet::interface]
 pub trait IERC20<TContractState> {
@@ -20,14 +21,11 @@ pub trait IActivityVerifier<TContractState> {
         proof_hash: felt252,
         commitment: felt252,
         threshold: u256,
+        borrower: ContractAddress,
+        loan_id: u256,
     ) -> bool;
-    
-    fn register_proof(
-        ref self: TContractState,
-        proof_hash: felt252,
-        commitment: felt252,
-        activity_score: u256,
-    );
+
+    fn get_proof(self: @TContractState, proof_hash: felt252) -> AttestedProof;
 }
 
 #[starknet::interface]
@@ -42,6 +40,17 @@ pub trait ILoanEscrowZK<TContractState> {
         min_activity_score: u256,
     ) -> u256;
     
+    // Lender creates a loan offer with an eligibility policy (hash of the off-chain policy body)
+    fn create_loan_offer_with_policy(
+        ref self: TContractState,
+        amount_per_borrower: u256,
+        total_slots: u8,
+        interest_rate_bps: u256,
+        repayment_period: u64,
+        min_activity_score: u256,
+        policy_hash: felt252,
+    ) -> u256;
+    
     // Borrower applies for loan with ZK proof
     fn apply_for_loan(
         ref self: TContractState,
@@ -57,12 +66,34 @@ pub trait ILoanEscrowZK<TContractState> {
         borrower_commitment: felt252,
     );
     
-    // Borrower repays loan
+    // Borrower repays the full outstanding balance (principal + interest)
     fn repay_loan(ref self: TContractState, loan_id: u256, borrower_commitment: felt252);
     
+    // Borrower pays part of the outstanding balance
+    fn repay_instalment(
+        ref self: TContractState,
+        loan_id: u256,
+        borrower_commitment: felt252,
+        amount: u256,
+    );
+    
+    // Outstanding balance for an approved application
+    fn get_outstanding_balance(self: @TContractState, loan_id: u256, commitment: felt252) -> u256;
+    
     // Lender cancels loan offer
     fn cancel_loan_offer(ref self: TContractState, loan_id: u256);
     
+    // Anyone (normally the backend deadline keeper) marks an overdue application as defaulted
+    fn mark_defaulted(ref self: TContractState, loan_id: u256, borrower_commitment: felt252);
+    
+    // Borrower records the hash of the encrypted identity package escrowed for an application
+    fn attach_identity_escrow(
+        ref self: TContractState,
+        loan_id: u256,
+        commitment: felt252,
+        escrow_hash: felt252,
+    );
+    
     // Lender reveals borrower identity if overdue
     fn reveal_borrower_identity(
         ref self: TContractState,
@@ -78,6 +109,21 @@ pub trait ILoanEscrowZK<TContractState> {
     
     // Get loan count
     fn get_loan_count(self: @TContractState) -> u256;
+    
+    // Whether an attested proof has already been used for an application
+    fn is_proof_used(self: @TContractState, proof_hash: felt252) -> bool;
+    
+    // Whether an application was already accepted for this nullifier (one per wallet and loan)
+    fn is_nullifier_used(self: @TContractState, nullifier: felt252) -> bool;
+    
+    // Eligibility policy hash of a loan offer (0 = no policy)
+    fn get_loan_policy(self: @TContractState, loan_id: u256) -> felt252;
+    
+    // When an application was marked defaulted (0 = not defaulted)
+    fn get_defaulted_at(self: @TContractState, loan_id: u256, commitment: felt252) -> u64;
+    
+    // Identity escrow package hash of an application (0 = none attached)
+    fn get_identity_escrow(self: @TContractState, loan_id: u256, commitment: felt252) -> felt252;
 }
 
 #[derive(Drop, Copy, Serde)]
@@ -98,11 +144,13 @@ pub struct Application {
     pub borrower: ContractAddress,
     pub commitment: felt252,
     pub proof_hash: felt252,
-    pub status: u8, // 0=pending, 1=approved, 2=repaid
+    pub status: u8, // 0=pending, 1=approved, 2=repaid, 3=defaulted
     pub applied_at: u64,
     pub approved_at: u64,
     pub repaid_at: u64,
     pub repayment_deadline: u64,
+    pub total_due: u256, // principal + interest, set on approval
+    pub amount_repaid: u256,
 }
 
 #[starknet::contract]
@@ -127,6 +175,11 @@ mod LoanEscrowZK {
         strk_token: ContractAddress,
         activity_verifier: ContractAddress,
         owner: ContractAddress,
+        used_proofs: starknet::storage::Map<felt252, bool>,
+        used_nullifiers: starknet::storage::Map<felt252, bool>,
+        loan_policies: starknet::storage::Map<u256, felt252>, // loan_id -> policy hash
+        defaulted_at: starknet::storage::Map<(u256, felt252), u64>, // (loan_id, commitment)
+        identity_escrows: starknet::storage::Map<(u256, felt252), felt252>, // (loan_id, commitment) -> package hash
     }
 
     #[derive(Drop, Copy, Serde, starknet::Store)]
@@ -152,6 +205,8 @@ mod LoanEscrowZK {
         approved_at: u64,
         repaid_at: u64,
         repayment_deadline: u64,
+        total_due: u256,
+        amount_repaid: u256,
     }
 
     #[event]
@@ -161,8 +216,12 @@ mod LoanEscrowZK {
         LoanApplicationSubmitted: LoanApplicationSubmitted,
         BorrowerApproved: BorrowerApproved,
         LoanRepaid: LoanRepaid,
+        InstalmentPaid: InstalmentPaid,
         LoanOfferCancelled: LoanOfferCancelled,
         IdentityRevealed: IdentityRevealed,
+        LoanPolicyAttached: LoanPolicyAttached,
+        LoanDefaulted: LoanDefaulted,
+        IdentityEscrowAttached: IdentityEscrowAttached,
     }
 
     #[derive(Drop, starknet::Event)]
@@ -175,6 +234,13 @@ mod LoanEscrowZK {
         min_activity_score: u256,
     }
 
+    #[derive(Drop, starknet::Event)]
+    struct LoanPolicyAttached {
+        #[key]
+        loan_id: u256,
+        policy_hash: felt252,
+    }
+
     #[derive(Drop, starknet::Event)]
     struct LoanApplicationSubmitted {
         #[key]
@@ -202,10 +268,25 @@ mod LoanEscrowZK {
         loan_id: u256,
         #[key]
         borrower: ContractAddress,
+        #[key]
+        commitment: felt252,
         amount: u256,
         repaid_at: u64,
     }
 
+    #[derive(Drop, starknet::Event)]
+    struct InstalmentPaid {
+        #[key]
+        loan_id: u256,
+        #[key]
+        commitment: felt252,
+        borrower: ContractAddress,
+        amount: u256,
+        amount_repaid: u256,
+        outstanding: u256,
+        paid_at: u64,
+    }
+
     #[derive(Drop, starknet::Event)]
     struct LoanOfferCancelled {
         #[key]
@@ -225,6 +306,28 @@ mod LoanEscrowZK {
         days_overdue: u64,
     }
 
+    #[derive(Drop, starknet::Event)]
+    struct LoanDefaulted {
+        #[key]
+        loan_id: u256,
+        #[key]
+        commitment: felt252,
+        borrower: ContractAddress,
+        amount_due: u256,
+        repayment_deadline: u64,
+        defaulted_at: u64,
+    }
+
+    #[derive(Drop, starknet::Event)]
+    struct IdentityEscrowAttached {
+        #[key]
+        loan_id: u256,
+        #[key]
+        commitment: felt252,
+        borrower: ContractAddress,
+        escrow_hash: felt252,
+    }
+
     #[constructor]
     fn constructor(
         ref self: ContractState,
@@ -248,36 +351,29 @@ mod LoanEscrowZK {
             repayment_period: u64,
             min_activity_score: u256,
         ) -> u256 {
-            let caller = get_caller_address();
-            let timestamp = get_block_timestamp();
-            
-            assert(total_slots > 0, 'Must have at least 1 slot');
-            assert(amount_per_borrower > 0, 'Amount must be positive');
-
-            let loan_id = self.loan_counter.read() + 1;
-
-            let loan = Loan {
-                lender: caller,
-                amount_per_borrower,
-                total_slots,
-                filled_slots: 0,
-                interest_rate_bps,
-                repayment_period,
-                min_activity_score,
-                status: 0, // active
-                created_at: timestamp,
-            };
+            self._create_loan_offer(
+                amount_per_borrower, total_slots, interest_rate_bps, repayment_period, min_activity_score
+            )
+        }
 
-            self.loan_offers.write(loan_id, loan);
-            self.loan_counter.write(loan_id);
+        /// Lender creates a loan offer and commits to an eligibility policy.
+        /// Only the hash is stored; the backend evaluates applicants against the policy body.
+        fn create_loan_offer_with_policy(
+            ref self: ContractState,
+            amount_per_borrower: u256,
+            total_slots: u8,
+            interest_rate_bps: u256,
+            repayment_period: u64,
+            min_activity_score: u256,
+            policy_hash: felt252,
+        ) -> u256 {
+            assert(policy_hash != 0, 'Policy hash required');
 
-            self.emit(LoanOfferCreated {
-                loan_id,
-                lender: caller,
-                amount_per_borrower,
-                total_slots,
-                min_activity_score,
-            });
+            let loan_id = self._create_loan_offer(
+                amount_per_borrower, total_slots, interest_rate_bps, repayment_period, min_activity_score
+            );
+            self.loan_policies.write(loan_id, policy_hash);
+            self.emit(LoanPolicyAttached { loan_id, policy_hash });
 
             loan_id
         }
@@ -297,6 +393,8 @@ mod LoanEscrowZK {
             assert(loan.filled_slots < loan.total_slots, 'No slots available');
 
             // **CRITICAL: VERIFY ZK PROOF ON-CHAIN**
+            // Only unexpired proofs attested against the verifier's stored Groth16 key,
+            // issued to this caller for this loan, pass
             let verifier = IActivityVerifierDispatcher {
                 contract_address: self.activity_verifier.read()
             };
@@ -304,11 +402,22 @@ mod LoanEscrowZK {
             let proof_valid = verifier.verify_proof(
                 proof_hash,
                 commitment,
-                loan.min_activity_score
+                loan.min_activity_score,
+                caller,
+                loan_id
             );
             
             assert(proof_valid, 'ZK proof verification failed');
 
+            // Each proof backs a single application, and each nullifier (wallet + loan) too:
+            // it is consumed here rather than at attestation, so a proof that expired unused
+            // does not lock the wallet out of the loan
+            assert(!self.used_proofs.read(proof_hash), 'Proof already used');
+            self.used_proofs.write(proof_hash, true);
+            let nullifier = verifier.get_proof(proof_hash).nullifier;
+            assert(!self.used_nullifiers.read(nullifier), 'Nullifier already used');
+            self.used_nullifiers.write(nullifier, true);
+
             // Check for duplicate application
             let existing_app = self.applications.read((loan_id, commitment));
             assert(existing_app.borrower.is_zero(), 'Already applied');
@@ -322,6 +431,8 @@ mod LoanEscrowZK {
                 approved_at: 0,
                 repaid_at: 0,
                 repayment_deadline: 0,
+                total_due: 0,
+                amount_repaid: 0,
             };
 
             self.applications.write((loan_id, commitment), application);
@@ -360,6 +471,7 @@ mod LoanEscrowZK {
             app.status = 1; // approved
             app.approved_at = timestamp;
             app.repayment_deadline = deadline;
+            app.total_due = repayment_amount;
             self.applications.write((loan_id, borrower_commitment), app);
 
             // Update loan
@@ -387,48 +499,33 @@ mod LoanEscrowZK {
             });
         }
 
-        /// Borrower repays loan
+        /// Borrower repays the full outstanding balance (principal + interest)
         fn repay_loan(ref self: ContractState, loan_id: u256, borrower_commitment: felt252) {
-            let caller = get_caller_address();
-            let timestamp = get_block_timestamp();
-            
-            // Read the loan details
-            let mut loan = self.loan_offers.read(loan_id);
-            assert(loan.status == 0, 'Loan not active');
-            
-            // Read the borrower's application
-            let mut application = self.applications.read((loan_id, borrower_commitment));
-            assert(application.status == 1, 'Application not approved'); // 1 = approved
-            assert(application.borrower == caller, 'Not the borrower');
-            
-            // Transfer repayment amount from borrower to lender
-            let token_dispatcher = IERC20Dispatcher { contract_address: self.strk_token.read() };
-            let repayment_amount = loan.amount_per_borrower; // In real case, might include interest
-            
-            // Transfer tokens from borrower to lender
-            let transfer_success = token_dispatcher.transfer_from(
-                caller,
-                loan.lender,
-                repayment_amount
-            );
-            assert(transfer_success, 'Transfer failed');
-            
-            // Update application status to repaid
-            application.status = 2; // 2 = repaid
-            application.repaid_at = timestamp;
-            self.applications.write((loan_id, borrower_commitment), application);
-            
-            // Update loan filled_slots
-            loan.filled_slots -= 1;
-            self.loan_offers.write(loan_id, loan);
-            
-            // Emit event
-            self.emit(LoanRepaid {
-                loan_id,
-                borrower: caller,
-                amount: repayment_amount,
-                repaid_at: timestamp,
-            });
+            let application = self.applications.read((loan_id, borrower_commitment));
+            // Status first: total_due is only set on approval
+            assert(application.status == 1 || application.status == 3, 'Application not approved');
+            let outstanding = application.total_due - application.amount_repaid;
+            self._record_repayment(loan_id, borrower_commitment, outstanding);
+        }
+
+        /// Borrower pays part of the outstanding balance; the final instalment closes the loan.
+        /// Any amount up to the outstanding balance is accepted at any time: the instalment
+        /// schedule is computed off-chain and is advisory only.
+        fn repay_instalment(
+            ref self: ContractState,
+            loan_id: u256,
+            borrower_commitment: felt252,
+            amount: u256,
+        ) {
+            self._record_repayment(loan_id, borrower_commitment, amount);
+        }
+
+        fn get_outstanding_balance(self: @ContractState, loan_id: u256, commitment: felt252) -> u256 {
+            let app = self.applications.read((loan_id, commitment));
+            if app.status != 1 && app.status != 3 {
+                return 0;
+            }
+            app.total_due - app.amount_repaid
         }
 
         fn cancel_loan_offer(ref self: ContractState, loan_id: u256) {
@@ -448,6 +545,58 @@ mod LoanEscrowZK {
             });
         }
 
+        /// Move an approved application past its repayment deadline to defaulted (status 3).
+        /// Permissionless: the conditions are checked here, so any keeper may submit it.
+        /// The debt stays repayable; a full repayment still moves it to repaid.
+        fn mark_defaulted(ref self: ContractState, loan_id: u256, borrower_commitment: felt252) {
+            let timestamp = get_block_timestamp();
+            let mut app = self.applications.read((loan_id, borrower_commitment));
+
+            assert(app.status == 1, 'Application not approved');
+            assert(timestamp > app.repayment_deadline, 'Loan not overdue yet');
+
+            app.status = 3; // defaulted
+            self.applications.write((loan_id, borrower_commitment), app);
+            self.defaulted_at.write((loan_id, borrower_commitment), timestamp);
+
+            self.emit(LoanDefaulted {
+                loan_id,
+                commitment: borrower_commitment,
+                borrower: app.borrower,
+                amount_due: app.total_due - app.amount_repaid,
+                repayment_deadline: app.repayment_deadline,
+                defaulted_at: timestamp,
+            });
+        }
+
+        /// Borrower attaches the hash of the identity package escrowed with the trustees.
+        /// Write-once and only before the application is approved, so the lender approves
+        /// knowing which package a default reveals.
+        fn attach_identity_escrow(
+            ref self: ContractState,
+            loan_id: u256,
+            commitment: felt252,
+            escrow_hash: felt252,
+        ) {
+            let caller = get_caller_address();
+            let app = self.applications.read((loan_id, commitment));
+
+            assert(!app.borrower.is_zero(), 'Application not found');
+            assert(caller == app.borrower, 'Only borrower can attach');
+            assert(app.status == 0, 'Application not pending');
+            assert(escrow_hash != 0, 'Invalid escrow hash');
+            assert(self.identity_escrows.read((loan_id, commitment)) == 0, 'Escrow already attached');
+
+            self.identity_escrows.write((loan_id, commitment), escrow_hash);
+
+            self.emit(IdentityEscrowAttached {
+                loan_id,
+                commitment,
+                borrower: caller,
+                escrow_hash,
+            });
+        }
+
         /// Lender reveals borrower identity if loan is overdue
         fn reveal_borrower_identity(
             ref self: ContractState,
@@ -462,15 +611,14 @@ mod LoanEscrowZK {
             // Only lender can reveal identity
             assert(caller == loan.lender, 'Only lender can reveal');
             
-            // Application must be approved (status = 1)
-            assert(app.status == 1, 'Loan not approved');
+            // Application must be approved (status = 1) or defaulted (status = 3)
+            assert(app.status == 1 || app.status == 3, 'Loan not approved');
             
             // Check if loan is overdue
             assert(timestamp > app.repayment_deadline, 'Loan not overdue yet');
             
-            // Calculate amount due
-            let interest = (loan.amount_per_borrower * loan.interest_rate_bps) / 10000;
-            let amount_due = loan.amount_per_borrower + interest;
+            // Amount still owed after any instalments
+            let amount_due = app.total_due - app.amount_repaid;
             
             // Calculate days overdue
             let overdue_seconds = timestamp - app.repayment_deadline;
@@ -519,11 +667,140 @@ mod LoanEscrowZK {
                 approved_at: app.approved_at,
                 repaid_at: app.repaid_at,
                 repayment_deadline: app.repayment_deadline,
+                total_due: app.total_due,
+                amount_repaid: app.amount_repaid,
             }
         }
 
         fn get_loan_count(self: @ContractState) -> u256 {
             self.loan_counter.read()
         }
+
+        fn is_proof_used(self: @ContractState, proof_hash: felt252) -> bool {
+            self.used_proofs.read(proof_hash)
+        }
+
+        fn is_nullifier_used(self: @ContractState, nullifier: felt252) -> bool {
+            self.used_nullifiers.read(nullifier)
+        }
+
+        fn get_loan_policy(self: @ContractState, loan_id: u256) -> felt252 {
+            self.loan_policies.read(loan_id)
+        }
+
+        fn get_defaulted_at(self: @ContractState, loan_id: u256, commitment: felt252) -> u64 {
+            self.defaulted_at.read((loan_id, commitment))
+        }
+
+        fn get_identity_escrow(self: @ContractState, loan_id: u256, commitment: felt252) -> felt252 {
+            self.identity_escrows.read((loan_id, commitment))
+        }
+    }
+
+    #[generate_trait]
+    impl InternalImpl of InternalTrait {
+        /// Store a new loan offer from the caller and emit LoanOfferCreated
+        fn _create_loan_offer(
+            ref self: ContractState,
+            amount_per_borrower: u256,
+            total_slots: u8,
+            interest_rate_bps: u256,
+            repayment_period: u64,
+            min_activity_score: u256,
+        ) -> u256 {
+            let caller = get_caller_address();
+            let timestamp = get_block_timestamp();
+            
+            assert(total_slots > 0, 'Must have at least 1 slot');
+            assert(amount_per_borrower > 0, 'Amount must be positive');
+
+            let loan_id = self.loan_counter.read() + 1;
+
+            let loan = Loan {
+                lender: caller,
+                amount_per_borrower,
+                total_slots,
+                filled_slots: 0,
+                interest_rate_bps,
+                repayment_period,
+                min_activity_score,
+                status: 0, // active
+                created_at: timestamp,
+            };
+
+            self.loan_offers.write(loan_id, loan);
+            self.loan_counter.write(loan_id);
+
+            self.emit(LoanOfferCreated {
+                loan_id,
+                lender: caller,
+                amount_per_borrower,
+                total_slots,
+                min_activity_score,
+            });
+
+            loan_id
+        }
+
+        /// Transfer a repayment from borrower to lender and update the application balance
+        fn _record_repayment(
+            ref self: ContractState,
+            loan_id: u256,
+            borrower_commitment: felt252,
+            amount: u256,
+        ) {
+            let caller = get_caller_address();
+            let timestamp = get_block_timestamp();
+            
+            // Loans stay repayable after the offer is fully funded (status 1)
+            let mut loan = self.loan_offers.read(loan_id);
+            assert(loan.status != 2, 'Loan cancelled');
+            
+            let mut application = self.applications.read((loan_id, borrower_commitment));
+            // 1 = approved, 3 = defaulted (a defaulted debt can still be settled)
+            assert(application.status == 1 || application.status == 3, 'Application not approved');
+            assert(application.borrower == caller, 'Not the borrower');
+            
+            let outstanding = application.total_due - application.amount_repaid;
+            assert(amount > 0, 'Amount must be positive');
+            assert(amount <= outstanding, 'Amount exceeds outstanding');
+            
+            // Transfer tokens from borrower to lender
+            let token_dispatcher = IERC20Dispatcher { contract_address: self.strk_token.read() };
+            let transfer_success = token_dispatcher.transfer_from(caller, loan.lender, amount);
+            assert(transfer_success, 'Transfer failed');
+            
+            application.amount_repaid += amount;
+            let remaining = outstanding - amount;
+            
+            self.emit(InstalmentPaid {
+                loan_id,
+                commitment: borrower_commitment,
+                borrower: caller,
+                amount,
+                amount_repaid: application.amount_repaid,
+                outstanding: remaining,
+                paid_at: timestamp,
+            });
+            
+            if remaining == 0 {
+                // Fully repaid
+                application.status = 2; // 2 = repaid
+                application.repaid_at = timestamp;
+                
+                loan.filled_slots -= 1;
+                self.loan_offers.write(loan_id, loan);
+                
+                self.emit(LoanRepaid {
+                    loan_id,
+                    borrower: caller,
+                    commitment: borrower_commitment,
+                    amount: application.amount_repaid,
+                    repaid_at: timestamp,
+                });
+            }
+            
+            self.applications.write((loan_id, borrower_commitment), application);
+        }
     }
 }
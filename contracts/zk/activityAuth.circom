@@ -1,80 +1,148 @@
 pragma circom 2.0.0;
 
-include "../node_modules/circomlib/circuits/poseidon.circom";
-include "../node_modules/circomlib/circuits/comparators.circom";
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+include "node_modules/circomlib/circuits/poseidon.circom";
 
-/**
- * Activity Score Verification Circuit
- * Verifies wallet activity meets minimum threshold
- * No mock data - real transaction-based scoring
+/*
+ * Capped linear score component
+ * points = floor(min(value, SATURATION) * MAX_POINTS / SATURATION)
+ * value must already be range checked to 64 bits.
+ */
+template CappedLinear(SATURATION, MAX_POINTS) {
+    signal input value;
+    signal output points;
+
+    // clamped = value < SATURATION ? value : SATURATION
+    component below = LessThan(64);
+    below.in[0] <== value;
+    below.in[1] <== SATURATION;
+    signal clamped;
+    clamped <== SATURATION + below.out * (value - SATURATION);
+
+    // Integer division: clamped * MAX_POINTS == points * SATURATION + remainder, remainder < SATURATION
+    signal remainder;
+    points <-- (clamped * MAX_POINTS) \ SATURATION;
+    remainder <-- (clamped * MAX_POINTS) % SATURATION;
+    clamped * MAX_POINTS === points * SATURATION + remainder;
+
+    component remainderBound = LessThan(64);
+    remainderBound.in[0] <== remainder;
+    remainderBound.in[1] <== SATURATION;
+    remainderBound.out === 1;
+
+    component pointsBound = LessEqThan(64);
+    pointsBound.in[0] <== points;
+    pointsBound.in[1] <== MAX_POINTS;
+    pointsBound.out === 1;
+}
+
+/*
+ * Activity Score Derivation Circuit
+ * Derives the activity score from committed wallet metrics with the v3-circuit scoring
+ * model (shared/scoring/models/v3-circuit.js) and proves it covers a threshold, so the
+ * score is computed inside the proof rather than supplied by the prover.
+ *
+ * Public Inputs:
+ *   - threshold: minimum required activity score
+ *   - wallet_address: wallet the metrics belong to
+ *
+ * Public Outputs:
+ *   - metrics_commitment: Poseidon(wallet_age_days, unique_counterparties, tx_count,
+ *                                  balance, total_volume, recent_tx_count, salt)
+ *   - score_commitment: Poseidon(activity_score, wallet_address, salt), the same commitment
+ *                       activityVerifier.circom outputs for this score and salt
+ *   - score_verified: 1 when the derived score covers the threshold
+ *
+ * Private Inputs:
+ *   - wallet_age_days, unique_counterparties, tx_count, recent_tx_count: whole units
+ *   - balance, total_volume: whole STRK
+ *   - salt: random value for both commitments
+ *
+ * Score (0-1000), each term floor(min(metric, saturation) * points / saturation):
+ *   wallet_age_days 365 -> 250, unique_counterparties 50 -> 250, tx_count 200 -> 200,
+ *   balance 50 -> 150, total_volume 100 -> 100, recent_tx_count 5 -> 50
+ *
+ * Public signals (snarkjs order): [metrics_commitment, score_commitment, score_verified,
+ *                                  threshold, wallet_address]
  */
 template ActivityAuth() {
-    // Private inputs - transaction metrics
-    signal input total_volume;         // Total STRK transferred
-    signal input tx_count;             // Number of transactions
-    signal input unique_addresses;     // Unique counterparties
-    signal input recent_tx_count;      // Transactions in last 100 blocks
-    signal input salt;                 // Random salt for commitment
-    
     // Public inputs
-    signal input min_score_threshold;  // Minimum required score (e.g., 300)
-    
+    signal input threshold;
+    signal input wallet_address;
+
+    // Private inputs - wallet metrics
+    signal input wallet_age_days;
+    signal input unique_counterparties;
+    signal input tx_count;
+    signal input balance;
+    signal input total_volume;
+    signal input recent_tx_count;
+    signal input salt;
+
     // Public outputs
-    signal output activity_commitment; // Hash of activity data
-    signal output score_verified;      // 1 if score >= threshold, 0 otherwise
-    signal output activity_score;      // Actual calculated score (public)
-    
-    // ====== Score Calculation ======
-    // Weighted scoring algorithm:
-    // Volume (40%) + Frequency (30%) + Diversity (20%) + Recency (10%)
-    
-    // Volume score: (total_volume / 100) * 1000 * 0.40
-    signal volume_normalized;
-    volume_normalized <== total_volume; // Assume already normalized to 0-1000 range
-    signal volume_score;
-    volume_score <== volume_normalized * 400; // 40% weight = 400/1000
-    
-    // Frequency score: (tx_count / 50) * 1000 * 0.30
-    signal freq_normalized;
-    freq_normalized <== tx_count; // Assume already normalized
-    signal freq_score;
-    freq_score <== freq_normalized * 300; // 30% weight = 300/1000
-    
-    // Diversity score: (unique_addresses / 10) * 1000 * 0.20
-    signal diversity_normalized;
-    diversity_normalized <== unique_addresses; // Assume already normalized
-    signal diversity_score;
-    diversity_score <== diversity_normalized * 200; // 20% weight = 200/1000
-    
-    // Recency score: recent_tx_count > 0 ? 100 : 0
-    component recency_check = GreaterThan(32);
-    recency_check.in[0] <== recent_tx_count;
-    recency_check.in[1] <== 0;
-    signal recency_score;
-    recency_score <== recency_check.out * 100; // 10% weight = 100/1000
-    
-    // Total score
-    activity_score <== volume_score + freq_score + diversity_score + recency_score;
-    
-    // ====== Threshold Verification ======
+    signal output metrics_commitment;
+    signal output score_commitment;
+    signal output score_verified;
+
+    // ====== Range checks ======
+    component bits[6];
+    for (var i = 0; i < 6; i++) {
+        bits[i] = Num2Bits(64);
+    }
+    bits[0].in <== wallet_age_days;
+    bits[1].in <== unique_counterparties;
+    bits[2].in <== tx_count;
+    bits[3].in <== balance;
+    bits[4].in <== total_volume;
+    bits[5].in <== recent_tx_count;
+
+    // ====== Score derivation ======
+    component age = CappedLinear(365, 250);
+    age.value <== wallet_age_days;
+
+    component counterparties = CappedLinear(50, 250);
+    counterparties.value <== unique_counterparties;
+
+    component transactions = CappedLinear(200, 200);
+    transactions.value <== tx_count;
+
+    component balanceScore = CappedLinear(50, 150);
+    balanceScore.value <== balance;
+
+    component volume = CappedLinear(100, 100);
+    volume.value <== total_volume;
+
+    component recent = CappedLinear(5, 50);
+    recent.value <== recent_tx_count;
+
+    signal activity_score;
+    activity_score <== age.points + counterparties.points + transactions.points
+        + balanceScore.points + volume.points + recent.points;
+
+    // ====== Threshold verification ======
     component threshold_check = GreaterEqThan(64);
     threshold_check.in[0] <== activity_score;
-    threshold_check.in[1] <== min_score_threshold;
+    threshold_check.in[1] <== threshold;
     score_verified <== threshold_check.out;
-    
-    // Constrain: score_verified must be 1 (true)
     score_verified === 1;
-    
-    // ====== Activity Commitment ======
-    // Create commitment hash for activity data
-    component poseidon = Poseidon(5);
-    poseidon.inputs[0] <== total_volume;
-    poseidon.inputs[1] <== tx_count;
-    poseidon.inputs[2] <== unique_addresses;
-    poseidon.inputs[3] <== recent_tx_count;
-    poseidon.inputs[4] <== salt;
-    
-    activity_commitment <== poseidon.out;
+
+    // ====== Commitments ======
+    component metricsHash = Poseidon(7);
+    metricsHash.inputs[0] <== wallet_age_days;
+    metricsHash.inputs[1] <== unique_counterparties;
+    metricsHash.inputs[2] <== tx_count;
+    metricsHash.inputs[3] <== balance;
+    metricsHash.inputs[4] <== total_volume;
+    metricsHash.inputs[5] <== recent_tx_count;
+    metricsHash.inputs[6] <== salt;
+    metrics_commitment <== metricsHash.out;
+
+    component scoreHash = Poseidon(3);
+    scoreHash.inputs[0] <== activity_score;
+    scoreHash.inputs[1] <== wallet_address;
+    scoreHash.inputs[2] <== salt;
+    score_commitment <== scoreHash.out;
 }
 
-component main {public [min_score_threshold]} = ActivityAuth();
+component main {public [threshold, wallet_address]} = ActivityAuth();
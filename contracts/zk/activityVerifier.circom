@@ -1,60 +1,87 @@
 pragma circom 2.0.0;
 
+include "node_modules/circomlib/circuits/bitify.circom";
 include "node_modules/circomlib/circuits/comparators.circom";
 include "node_modules/circomlib/circuits/poseidon.circom";
 
 /*
  * Activity Score Verifier Circuit
  * Proves that wallet activity_score >= threshold without revealing exact score
- * 
+ *
  * Public Inputs:
  *   - threshold: minimum required activity score (e.g. 500)
+ *   - wallet_address: the wallet that will apply with this proof
+ *   - loan_id: loan the proof is issued for (0 = not bound to a loan, rejected by apply_for_loan)
+ *   - issued_at: unix timestamp (seconds) the proof was generated at, checked against the max proof age
+ *
+ * Public Outputs:
  *   - commitment: hash(activity_score, wallet_address, salt)
- * 
+ *   - isAboveThreshold: 1 when the score covers the threshold
+ *   - nullifier: hash(wallet_address, loan_id), one per wallet and loan whatever score or salt is used
+ *
  * Private Inputs:
  *   - activity_score: wallet activity score 0-1000 (kept private)
- *   - wallet_address: the wallet being analyzed (kept private)
  *   - salt: random value for commitment
- * 
+ *
  * Constraints:
  *   1. commitment == Poseidon(activity_score, wallet_address, salt)
  *   2. activity_score >= threshold
  *   3. activity_score <= 1000 (max score)
+ *   4. nullifier == Poseidon(wallet_address, loan_id)
+ *   5. loan_id fits in 128 bits (u256 low word), issued_at in 64 bits (u64)
+ *
+ * Public signals (snarkjs order): [commitment, isAboveThreshold, nullifier,
+ *                                  threshold, wallet_address, loan_id, issued_at]
  */
 template ActivityVerifier() {
     // Public inputs
     signal input threshold;
+    signal input wallet_address;
+    signal input loan_id;
+    signal input issued_at;
     signal output commitment;
-    
+
     // Private inputs
     signal input activity_score;
-    signal input wallet_address;
     signal input salt;
-    
+
     // Intermediate signals
     signal output isAboveThreshold;
-    
+    signal output nullifier;
+
     // Constraint 1: Verify commitment
     component poseidon = Poseidon(3);
     poseidon.inputs[0] <== activity_score;
     poseidon.inputs[1] <== wallet_address;
     poseidon.inputs[2] <== salt;
     commitment <== poseidon.out;
-    
+
     // Constraint 2: Verify activity_score >= threshold
     component gte = GreaterEqThan(64);
     gte.in[0] <== activity_score;
     gte.in[1] <== threshold;
     gte.out === 1;
-    
+
     // Constraint 3: Verify activity_score <= 1000 (max score)
     component lte = LessEqThan(64);
     lte.in[0] <== activity_score;
-    
+
     lte.in[1] <== 1000;
     lte.out === 1;
-    
+
     isAboveThreshold <== gte.out;
+
+    // Constraint 4: Per-loan nullifier
+    component nullifierHash = Poseidon(2);
+    nullifierHash.inputs[0] <== wallet_address;
+    nullifierHash.inputs[1] <== loan_id;
+    nullifier <== nullifierHash.out;
+
+    // Constraint 5: Range checks, which also tie issued_at and loan_id into the constraint system
+    component loanBits = Num2Bits(128);
+    loanBits.in <== loan_id;
+    component issuedBits = Num2Bits(64);
+    issuedBits.in <== issued_at;
 }
 
-component main {public [threshold]} = ActivityVerifier();
+component main {public [threshold, wallet_address, loan_id, issued_at]} = ActivityVerifier();
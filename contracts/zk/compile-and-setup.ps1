@@ -25,9 +25,24 @@ if (-not $snarkjsInstalled) {
 Write-Host "✅ snarkjs found" -ForegroundColor Green
 Write-Host ""
 
+# A zkey is only valid for the constraint system it was set up for, so the sha256 of
+# build/<circuit>.r1cs is recorded next to it and the setup is redone when it changes
+function Test-SetupCurrent($circuit) {
+    $hashFile = "build/$circuit.r1cs.sha256"
+    if (-not (Test-Path "$($circuit)_final.zkey") -or -not (Test-Path $hashFile)) {
+        return $false
+    }
+    $current = (Get-FileHash "build/$circuit.r1cs" -Algorithm SHA256).Hash
+    return (Get-Content $hashFile -Raw).Trim() -eq $current
+}
+
+function Save-SetupHash($circuit) {
+    (Get-FileHash "build/$circuit.r1cs" -Algorithm SHA256).Hash | Set-Content "build/$circuit.r1cs.sha256"
+}
+
 # Step 1: Compile circuit
 Write-Host "Step 1: Compiling circuit to WASM..." -ForegroundColor Cyan
-circom activityVerifier.circom --wasm --output build/
+circom activityVerifier.circom --r1cs --wasm --output build/
 if ($LASTEXITCODE -ne 0) {
     Write-Host "❌ Circuit compilation failed" -ForegroundColor Red
     exit 1
@@ -35,28 +50,31 @@ if ($LASTEXITCODE -ne 0) {
 Write-Host "✅ Circuit compiled" -ForegroundColor Green
 Write-Host ""
 
-# Step 2: Generate proving keys (if not exists)
-if (-not (Test-Path "activityVerifier_final.zkey")) {
+# Step 2: Generate proving keys (when missing or set up for an older version of the circuit)
+if (-not (Test-SetupCurrent "activityVerifier")) {
     Write-Host "Step 2: Generating proving keys (this takes time)..." -ForegroundColor Cyan
     
-    # Powers of tau
-    Write-Host "  2a. Starting powers of tau ceremony..." -ForegroundColor Yellow
-    snarkjs powersoftau new bn128 12 pot12_0000.ptau -v
-    
-    Write-Host "  2b. Contributing to ceremony..." -ForegroundColor Yellow
-    snarkjs powersoftau contribute pot12_0000.ptau pot12_0001.ptau --name="First contribution" -v
-    
-    Write-Host "  2c. Preparing phase 2..." -ForegroundColor Yellow
-    snarkjs powersoftau prepare phase2 pot12_0001.ptau pot12_final.ptau -v
+    # Powers of tau (independent of the circuit, kept across setups)
+    if (-not (Test-Path "pot12_final.ptau")) {
+        Write-Host "  2a. Starting powers of tau ceremony..." -ForegroundColor Yellow
+        snarkjs powersoftau new bn128 12 pot12_0000.ptau -v
+        
+        Write-Host "  2b. Contributing to ceremony..." -ForegroundColor Yellow
+        snarkjs powersoftau contribute pot12_0000.ptau pot12_0001.ptau --name="First contribution" -v
+        
+        Write-Host "  2c. Preparing phase 2..." -ForegroundColor Yellow
+        snarkjs powersoftau prepare phase2 pot12_0001.ptau pot12_final.ptau -v
+    }
     
     Write-Host "  2d. Generating zkey..." -ForegroundColor Yellow
-    snarkjs groth16 setup build/activityVerifier_js/activityVerifier.wasm pot12_final.ptau activityVerifier_0000.zkey
+    snarkjs groth16 setup build/activityVerifier.r1cs pot12_final.ptau activityVerifier_0000.zkey
     
     Write-Host "  2e. Contributing to phase 2..." -ForegroundColor Yellow
     snarkjs zkey contribute activityVerifier_0000.zkey activityVerifier_final.zkey --name="1st Contributor" -v
     
     Write-Host "  2f. Exporting verification key..." -ForegroundColor Yellow
     snarkjs zkey export verificationkey activityVerifier_final.zkey verification_key.json
+    Save-SetupHash "activityVerifier"
     
     Write-Host "✅ Proving keys generated" -ForegroundColor Green
 } else {
@@ -97,6 +115,93 @@ if (Test-Path $vkeySource) {
     Write-Host "⚠️  verification_key.json not found" -ForegroundColor Yellow
 }
 
+Write-Host ""
+
+# Step 4: activityAuth circuit (score derived from committed metrics)
+Write-Host "Step 4: Compiling activityAuth circuit..." -ForegroundColor Cyan
+circom activityAuth.circom --r1cs --wasm --output build/
+if ($LASTEXITCODE -ne 0) {
+    Write-Host "❌ activityAuth compilation failed" -ForegroundColor Red
+    exit 1
+}
+if (-not (Test-SetupCurrent "activityAuth")) {
+    snarkjs groth16 setup build/activityAuth.r1cs pot12_final.ptau activityAuth_0000.zkey
+    snarkjs zkey contribute activityAuth_0000.zkey activityAuth_final.zkey --name="1st Contributor" -v
+    snarkjs zkey export verificationkey activityAuth_final.zkey verification_key_auth.json
+    Save-SetupHash "activityAuth"
+}
+Copy-Item "build\activityAuth_js\activityAuth.wasm" "..\..\backend\src\zk\activityAuth.wasm" -Force
+Copy-Item "activityAuth_final.zkey" "..\..\backend\src\zk\activityAuth_final.zkey" -Force
+Copy-Item "verification_key_auth.json" "..\..\backend\src\zk\verification_key_auth.json" -Force
+Write-Host "✅ activityAuth files copied to backend" -ForegroundColor Green
+
+Write-Host ""
+
+# Step 5: incomeVerifier circuit (income >= threshold from a signed oracle attestation)
+# EdDSA signature verification needs more constraints than pot12 supports
+Write-Host "Step 5: Compiling incomeVerifier circuit..." -ForegroundColor Cyan
+circom incomeVerifier.circom --r1cs --wasm --output build/
+if ($LASTEXITCODE -ne 0) {
+    Write-Host "❌ incomeVerifier compilation failed" -ForegroundColor Red
+    exit 1
+}
+if (-not (Test-Path "pot14_final.ptau")) {
+    snarkjs powersoftau new bn128 14 pot14_0000.ptau -v
+    snarkjs powersoftau contribute pot14_0000.ptau pot14_0001.ptau --name="First contribution" -v
+    snarkjs powersoftau prepare phase2 pot14_0001.ptau pot14_final.ptau -v
+}
+if (-not (Test-SetupCurrent "incomeVerifier")) {
+    snarkjs groth16 setup build/incomeVerifier.r1cs pot14_final.ptau incomeVerifier_0000.zkey
+    snarkjs zkey contribute incomeVerifier_0000.zkey incomeVerifier_final.zkey --name="1st Contributor" -v
+    snarkjs zkey export verificationkey incomeVerifier_final.zkey verification_key_income.json
+    Save-SetupHash "incomeVerifier"
+}
+Copy-Item "build\incomeVerifier_js\incomeVerifier.wasm" "..\..\backend\src\zk\incomeVerifier.wasm" -Force
+Copy-Item "incomeVerifier_final.zkey" "..\..\backend\src\zk\incomeVerifier_final.zkey" -Force
+Copy-Item "verification_key_income.json" "..\..\backend\src\zk\verification_key_income.json" -Force
+Write-Host "✅ incomeVerifier files copied to backend" -ForegroundColor Green
+
+Write-Host ""
+
+# Step 6: idAuth circuit (age >= 18, document not expired; used by /api/identity/generate-proof)
+Write-Host "Step 6: Compiling idAuth circuit..." -ForegroundColor Cyan
+circom idAuth.circom --r1cs --wasm --output build/
+if ($LASTEXITCODE -ne 0) {
+    Write-Host "❌ idAuth compilation failed" -ForegroundColor Red
+    exit 1
+}
+if (-not (Test-SetupCurrent "idAuth")) {
+    snarkjs groth16 setup build/idAuth.r1cs pot12_final.ptau idAuth_0000.zkey
+    snarkjs zkey contribute idAuth_0000.zkey idAuth_final.zkey --name="1st Contributor" -v
+    snarkjs zkey export verificationkey idAuth_final.zkey verification_key_id.json
+    Save-SetupHash "idAuth"
+}
+Copy-Item "build\idAuth_js\idAuth.wasm" "..\..\backend\src\zk\idAuth.wasm" -Force
+Copy-Item "idAuth_final.zkey" "..\..\backend\src\zk\idAuth_final.zkey" -Force
+Copy-Item "verification_key_id.json" "..\..\backend\src\zk\verification_key_id.json" -Force
+Write-Host "✅ idAuth files copied to backend" -ForegroundColor Green
+
+Write-Host ""
+
+# Step 7: idPredicates circuit (age range, excluded nationalities, document expiry)
+# Reuses pot14 from step 5: the nationality Merkle path does not fit pot12
+Write-Host "Step 7: Compiling idPredicates circuit..." -ForegroundColor Cyan
+circom idPredicates.circom --r1cs --wasm --output build/
+if ($LASTEXITCODE -ne 0) {
+    Write-Host "❌ idPredicates compilation failed" -ForegroundColor Red
+    exit 1
+}
+if (-not (Test-SetupCurrent "idPredicates")) {
+    snarkjs groth16 setup build/idPredicates.r1cs pot14_final.ptau idPredicates_0000.zkey
+    snarkjs zkey contribute idPredicates_0000.zkey idPredicates_final.zkey --name="1st Contributor" -v
+    snarkjs zkey export verificationkey idPredicates_final.zkey verification_key_predicates.json
+    Save-SetupHash "idPredicates"
+}
+Copy-Item "build\idPredicates_js\idPredicates.wasm" "..\..\backend\src\zk\idPredicates.wasm" -Force
+Copy-Item "idPredicates_final.zkey" "..\..\backend\src\zk\idPredicates_final.zkey" -Force
+Copy-Item "verification_key_predicates.json" "..\..\backend\src\zk\verification_key_predicates.json" -Force
+Write-Host "✅ idPredicates files copied to backend" -ForegroundColor Green
+
 Write-Host ""
 Write-Host "✅ Setup complete!" -ForegroundColor Green
 Write-Host ""
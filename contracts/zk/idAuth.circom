@@ -1,5 +1,6 @@
 pragma circom 2.0.0;
 
+include "node_modules/circomlib/circuits/bitify.circom";
 include "node_modules/circomlib/circuits/comparators.circom";
 include "node_modules/circomlib/circuits/poseidon.circom";
 
@@ -13,6 +14,7 @@ template IDAuth() {
     signal input passport_number;      // Hash of passport number
     signal input address_hash;         // Hash of address from document
     signal input dob_timestamp;        // Date of birth as Unix timestamp
+    signal input expiry_timestamp;     // Document expiry (from the MRZ when read) as Unix timestamp
     signal input document_photo_hash;  // Hash of uploaded document photo
     signal input salt;                 // Random salt for commitment
     signal input wallet_address;       // User's wallet address
@@ -21,7 +23,7 @@ template IDAuth() {
     signal input current_timestamp;    // Current time (public for age verification)
     
     // Public outputs
-    signal output identity_commitment; // Poseidon hash of all private data
+    signal output identity_commitment; // Poseidon hash of the document data (expiry included)
     signal output age_verified;        // 1 if age >= 18, 0 otherwise
     signal output wallet_commitment;   // Binds identity to wallet
     
@@ -30,13 +32,22 @@ template IDAuth() {
     signal age_seconds;
     age_seconds <== current_timestamp - dob_timestamp;
     
+    // Range checks, so the comparisons below cannot overflow: times and ages fit in 40 bits
+    // (a date of birth after current_timestamp wraps around the field and fails here)
+    component age_bits = Num2Bits(40);
+    age_bits.in <== age_seconds;
+    component current_bits = Num2Bits(40);
+    current_bits.in <== current_timestamp;
+    component expiry_bits = Num2Bits(40);
+    expiry_bits.in <== expiry_timestamp;
+    
     // Age must be at least 18 years (in seconds)
     // 18 years = 18 * 365.25 * 24 * 60 * 60 = 568,036,800 seconds
     signal minimum_age;
     minimum_age <== 568036800;
     
     // Check if age >= 18
-    component age_check = GreaterEqThan(64);
+    component age_check = GreaterEqThan(40);
     age_check.in[0] <== age_seconds;
     age_check.in[1] <== minimum_age;
     age_verified <== age_check.out;
@@ -44,14 +55,24 @@ template IDAuth() {
     // Constrain: age_verified must be 1 (true)
     age_verified === 1;
     
+    // ====== Document Expiry ======
+    // The document must still be valid at current_timestamp
+    component expiry_check = LessThan(40);
+    expiry_check.in[0] <== current_timestamp;
+    expiry_check.in[1] <== expiry_timestamp;
+    expiry_check.out === 1;
+    
     // ====== Identity Commitment ======
     // Create commitment hash using Poseidon (Starknet-compatible)
-    component identity_hash = Poseidon(5);
+    // The expiry is committed to with the rest of the document, so the proven expiry is the
+    // one behind the stored identity_commitment
+    component identity_hash = Poseidon(6);
     identity_hash.inputs[0] <== passport_number;
     identity_hash.inputs[1] <== address_hash;
     identity_hash.inputs[2] <== dob_timestamp;
-    identity_hash.inputs[3] <== document_photo_hash;
-    identity_hash.inputs[4] <== salt;
+    identity_hash.inputs[3] <== expiry_timestamp;
+    identity_hash.inputs[4] <== document_photo_hash;
+    identity_hash.inputs[5] <== salt;
     
     identity_commitment <== identity_hash.out;
     
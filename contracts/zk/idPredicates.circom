@@ -0,0 +1,182 @@
+pragma circom 2.0.0;
+
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+include "node_modules/circomlib/circuits/poseidon.circom";
+
+/*
+ * Identity Predicates Circuit
+ * Proves the predicates a lender asked for over the same document data as idAuth,
+ * revealing only that they hold
+ *
+ * The nationality check uses an indexed Merkle tree of the excluded nationality codes
+ * (backend/src/utils/nationalityTree.js): each leaf is Poseidon(value, next_value) for
+ * consecutive values of the sorted set, framed by the sentinels 0 and 0xFFFFFF. A code
+ * is absent from the set when some leaf has value < code < next_value.
+ *
+ * Public Inputs:
+ *   - current_timestamp: unix timestamp (seconds) the proof was generated at
+ *   - wallet_address: the wallet the identity was verified for
+ *   - loan_id: loan the proof is issued for
+ *   - min_age_seconds, max_age_seconds: accepted age range
+ *   - expires_after: the document must expire after this time (e.g. the loan deadline)
+ *   - sanctions_root: root of the excluded nationality tree (0 = no nationality check)
+ *
+ * Public Outputs:
+ *   - identity_commitment: same as idAuth, Poseidon(passport, address, dob, expiry, photo, salt)
+ *   - attributes_commitment: Poseidon(identity_commitment, nationality, expiry_timestamp),
+ *     recorded by the backend when it read the document
+ *   - wallet_commitment: same as idAuth, Poseidon(wallet_address, salt)
+ *
+ * Private Inputs:
+ *   - passport_number, address_hash, dob_timestamp, document_photo_hash, salt: as in idAuth
+ *   - nationality: ICAO nationality code as a short string felt (0 if unknown)
+ *   - expiry_timestamp: document expiry
+ *   - low_value, low_next_value, path_elements, path_indices: non-membership witness
+ *
+ * Constraints:
+ *   1. min_age_seconds <= current_timestamp - dob_timestamp <= max_age_seconds
+ *   2. expiry_timestamp > current_timestamp and expiry_timestamp > expires_after
+ *   3. if sanctions_root != 0: Poseidon(low_value, low_next_value) is a leaf of sanctions_root
+ *      and low_value < nationality < low_next_value
+ *   4. times and ages fit in 40 bits, codes in 24 bits, loan_id in 128 bits
+ *
+ * Public signals (snarkjs order): [identity_commitment, attributes_commitment, wallet_commitment,
+ *                                  current_timestamp, wallet_address, loan_id, min_age_seconds,
+ *                                  max_age_seconds, expires_after, sanctions_root]
+ */
+template IDPredicates(depth) {
+    // Public inputs
+    signal input current_timestamp;
+    signal input wallet_address;
+    signal input loan_id;
+    signal input min_age_seconds;
+    signal input max_age_seconds;
+    signal input expires_after;
+    signal input sanctions_root;
+
+    // Private inputs
+    signal input passport_number;
+    signal input address_hash;
+    signal input dob_timestamp;
+    signal input expiry_timestamp;
+    signal input document_photo_hash;
+    signal input salt;
+    signal input nationality;
+    signal input low_value;
+    signal input low_next_value;
+    signal input path_elements[depth];
+    signal input path_indices[depth];
+
+    signal output identity_commitment;
+    signal output attributes_commitment;
+    signal output wallet_commitment;
+
+    // Constraint 4: Range checks, so the comparisons below cannot overflow
+    signal age_seconds;
+    age_seconds <== current_timestamp - dob_timestamp;
+
+    component ageBits = Num2Bits(40);
+    ageBits.in <== age_seconds;
+    component minAgeBits = Num2Bits(40);
+    minAgeBits.in <== min_age_seconds;
+    component maxAgeBits = Num2Bits(40);
+    maxAgeBits.in <== max_age_seconds;
+    component currentBits = Num2Bits(40);
+    currentBits.in <== current_timestamp;
+    component expiryBits = Num2Bits(40);
+    expiryBits.in <== expiry_timestamp;
+    component expiresAfterBits = Num2Bits(40);
+    expiresAfterBits.in <== expires_after;
+    component loanBits = Num2Bits(128);
+    loanBits.in <== loan_id;
+    component nationalityBits = Num2Bits(24);
+    nationalityBits.in <== nationality;
+    component lowBits = Num2Bits(24);
+    lowBits.in <== low_value;
+    component nextBits = Num2Bits(24);
+    nextBits.in <== low_next_value;
+
+    // Constraint 1: Age within range
+    component oldEnough = GreaterEqThan(40);
+    oldEnough.in[0] <== age_seconds;
+    oldEnough.in[1] <== min_age_seconds;
+    oldEnough.out === 1;
+
+    component youngEnough = LessEqThan(40);
+    youngEnough.in[0] <== age_seconds;
+    youngEnough.in[1] <== max_age_seconds;
+    youngEnough.out === 1;
+
+    // Constraint 2: Document valid now and past expires_after
+    component notExpired = LessThan(40);
+    notExpired.in[0] <== current_timestamp;
+    notExpired.in[1] <== expiry_timestamp;
+    notExpired.out === 1;
+
+    component validThrough = LessThan(40);
+    validThrough.in[0] <== expires_after;
+    validThrough.in[1] <== expiry_timestamp;
+    validThrough.out === 1;
+
+    // Constraint 3: Nationality not in the excluded set
+    component noSanctions = IsZero();
+    noSanctions.in <== sanctions_root;
+    signal check_nationality;
+    check_nationality <== 1 - noSanctions.out;
+
+    component aboveLow = LessThan(24);
+    aboveLow.in[0] <== low_value;
+    aboveLow.in[1] <== nationality;
+    check_nationality * (1 - aboveLow.out) === 0;
+
+    component belowNext = LessThan(24);
+    belowNext.in[0] <== nationality;
+    belowNext.in[1] <== low_next_value;
+    check_nationality * (1 - belowNext.out) === 0;
+
+    component leaf = Poseidon(2);
+    leaf.inputs[0] <== low_value;
+    leaf.inputs[1] <== low_next_value;
+
+    component levels[depth];
+    signal current[depth + 1];
+    signal left[depth];
+    signal right[depth];
+    current[0] <== leaf.out;
+    for (var i = 0; i < depth; i++) {
+        path_indices[i] * (1 - path_indices[i]) === 0;
+        left[i] <== current[i] + path_indices[i] * (path_elements[i] - current[i]);
+        right[i] <== path_elements[i] + path_indices[i] * (current[i] - path_elements[i]);
+
+        levels[i] = Poseidon(2);
+        levels[i].inputs[0] <== left[i];
+        levels[i].inputs[1] <== right[i];
+        current[i + 1] <== levels[i].out;
+    }
+    check_nationality * (current[depth] - sanctions_root) === 0;
+
+    // Commitments, matching idAuth
+    component identityHash = Poseidon(6);
+    identityHash.inputs[0] <== passport_number;
+    identityHash.inputs[1] <== address_hash;
+    identityHash.inputs[2] <== dob_timestamp;
+    identityHash.inputs[3] <== expiry_timestamp;
+    identityHash.inputs[4] <== document_photo_hash;
+    identityHash.inputs[5] <== salt;
+    identity_commitment <== identityHash.out;
+
+    component attributesHash = Poseidon(3);
+    attributesHash.inputs[0] <== identityHash.out;
+    attributesHash.inputs[1] <== nationality;
+    attributesHash.inputs[2] <== expiry_timestamp;
+    attributes_commitment <== attributesHash.out;
+
+    component walletHash = Poseidon(2);
+    walletHash.inputs[0] <== wallet_address;
+    walletHash.inputs[1] <== salt;
+    wallet_commitment <== walletHash.out;
+}
+
+// Depth 8: up to 255 excluded nationality codes
+component main {public [current_timestamp, wallet_address, loan_id, min_age_seconds, max_age_seconds, expires_after, sanctions_root]} = IDPredicates(8);
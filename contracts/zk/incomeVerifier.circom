@@ -0,0 +1,144 @@
+pragma circom 2.0.0;
+
+include "node_modules/circomlib/circuits/bitify.circom";
+include "node_modules/circomlib/circuits/comparators.circom";
+include "node_modules/circomlib/circuits/poseidon.circom";
+include "node_modules/circomlib/circuits/eddsaposeidon.circom";
+
+/*
+ * Income Verifier Circuit
+ * Proves that a payroll oracle attested annual_income >= threshold for the wallet,
+ * without revealing the income, the payroll provider or the attestation itself
+ *
+ * The attestation is the canonical encoding used by the backend (services/payrollOracles.js)
+ * and the AttestationRegistry contract:
+ *   [domain, oracle_id, subject, provider, annual_income, currency, attested_at, expires_at, nonce]
+ * signed by an 'eddsa' oracle with EdDSA-Poseidon (BabyJubJub) over its Poseidon hash.
+ *
+ * Public Inputs:
+ *   - threshold: minimum required annual income (whole currency units)
+ *   - currency: currency of the income and threshold (short string felt, e.g. 'USD')
+ *   - wallet_address: the wallet the attestation was issued for (its subject)
+ *   - loan_id: loan the proof is issued for (0 = not bound to a loan)
+ *   - issued_at: unix timestamp (seconds) the proof was generated at
+ *   - oracle_ax, oracle_ay: oracle public key, checked against the registered keys by the verifier
+ *
+ * Public Outputs:
+ *   - income_commitment: hash(annual_income, wallet_address, salt)
+ *   - attestation_id: Poseidon hash of the attestation (what the oracle signed), used to check revocation
+ *
+ * Private Inputs:
+ *   - oracle_id, provider, annual_income, attested_at, expires_at, nonce: attestation fields
+ *   - sig_r8x, sig_r8y, sig_s: oracle signature
+ *   - salt: random value for the commitment
+ *
+ * Constraints:
+ *   1. attestation_id == Poseidon(encoding) and the oracle key signed it
+ *   2. annual_income >= threshold (both fit in 64 bits)
+ *   3. attested_at <= issued_at + max_clock_skew and issued_at - attested_at <= max_age
+ *   4. issued_at < expires_at
+ *   5. income_commitment == Poseidon(annual_income, wallet_address, salt)
+ *   6. loan_id fits in 128 bits (u256 low word), times in 40 bits
+ *
+ * Public signals (snarkjs order): [income_commitment, attestation_id,
+ *                                  threshold, currency, wallet_address, loan_id, issued_at,
+ *                                  oracle_ax, oracle_ay]
+ */
+template IncomeVerifier(max_age, max_clock_skew) {
+    // 'LOANZY_INCOME_V1' as a short string felt
+    var DOMAIN = 101432843695860466453473521189640951345;
+
+    // Public inputs
+    signal input threshold;
+    signal input currency;
+    signal input wallet_address;
+    signal input loan_id;
+    signal input issued_at;
+    signal input oracle_ax;
+    signal input oracle_ay;
+
+    // Private inputs
+    signal input oracle_id;
+    signal input provider;
+    signal input annual_income;
+    signal input attested_at;
+    signal input expires_at;
+    signal input nonce;
+    signal input sig_r8x;
+    signal input sig_r8y;
+    signal input sig_s;
+    signal input salt;
+
+    signal output income_commitment;
+    signal output attestation_id;
+
+    // Constraint 1: Attestation hash and oracle signature
+    component attestationHash = Poseidon(9);
+    attestationHash.inputs[0] <== DOMAIN;
+    attestationHash.inputs[1] <== oracle_id;
+    attestationHash.inputs[2] <== wallet_address;
+    attestationHash.inputs[3] <== provider;
+    attestationHash.inputs[4] <== annual_income;
+    attestationHash.inputs[5] <== currency;
+    attestationHash.inputs[6] <== attested_at;
+    attestationHash.inputs[7] <== expires_at;
+    attestationHash.inputs[8] <== nonce;
+    attestation_id <== attestationHash.out;
+
+    component signature = EdDSAPoseidonVerifier();
+    signature.enabled <== 1;
+    signature.Ax <== oracle_ax;
+    signature.Ay <== oracle_ay;
+    signature.R8x <== sig_r8x;
+    signature.R8y <== sig_r8y;
+    signature.S <== sig_s;
+    signature.M <== attestationHash.out;
+
+    // Constraint 2: annual_income >= threshold
+    component incomeBits = Num2Bits(64);
+    incomeBits.in <== annual_income;
+    component thresholdBits = Num2Bits(64);
+    thresholdBits.in <== threshold;
+
+    component gte = GreaterEqThan(64);
+    gte.in[0] <== annual_income;
+    gte.in[1] <== threshold;
+    gte.out === 1;
+
+    // Constraint 6: Range checks, so the time comparisons below cannot overflow
+    component issuedBits = Num2Bits(40);
+    issuedBits.in <== issued_at;
+    component attestedBits = Num2Bits(40);
+    attestedBits.in <== attested_at;
+    component expiresBits = Num2Bits(40);
+    expiresBits.in <== expires_at;
+    component loanBits = Num2Bits(128);
+    loanBits.in <== loan_id;
+
+    // Constraint 3: Attestation issued before the proof and not older than max_age
+    component notFuture = LessEqThan(41);
+    notFuture.in[0] <== attested_at;
+    notFuture.in[1] <== issued_at + max_clock_skew;
+    notFuture.out === 1;
+
+    component notStale = LessEqThan(41);
+    notStale.in[0] <== issued_at;
+    notStale.in[1] <== attested_at + max_age;
+    notStale.out === 1;
+
+    // Constraint 4: Attestation not expired when the proof was issued
+    component notExpired = LessThan(40);
+    notExpired.in[0] <== issued_at;
+    notExpired.in[1] <== expires_at;
+    notExpired.out === 1;
+
+    // Constraint 5: Income commitment
+    component commitment = Poseidon(3);
+    commitment.inputs[0] <== annual_income;
+    commitment.inputs[1] <== wallet_address;
+    commitment.inputs[2] <== salt;
+    income_commitment <== commitment.out;
+}
+
+// 90 days max attestation age (thresholds.payroll.maxAttestationAge), 5 minutes clock skew
+component main {public [threshold, currency, wallet_address, loan_id, issued_at, oracle_ax, oracle_ay]} = IncomeVerifier(7776000, 300);
@@ -2,14 +2,19 @@ import { CheckCircle, XCircle, Shield } from 'lucide-react'
 import { Card } from '@/components/ui/card'
 import { Badge } from '@/components/ui/badge'
 import { formatAddress } from '@/lib/utils'
+import type { TokenActivity } from '@/lib/services/api'
 import { WalletAnalysis } from '../page'
 
 interface WalletAnalysisSectionProps {
   walletAddress: string
   analysis: WalletAnalysis
+  tokens?: TokenActivity[]
 }
 
-export default function WalletAnalysisSection({ walletAddress, analysis }: WalletAnalysisSectionProps) {
+const formatUsd = (value: number) =>
+  value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 2 })
+
+export default function WalletAnalysisSection({ walletAddress, analysis, tokens = [] }: WalletAnalysisSectionProps) {
   const getScoreColor = (score: number) => {
     if (score >= 80) return 'text-green-400'
     if (score >= 60) return 'text-yellow-400'
@@ -97,6 +102,51 @@ export default function WalletAnalysisSection({ walletAddress, analysis }: Walle
             </div>
           </div>
 
+          {tokens.length > 0 && (
+            <div className="mb-6">
+              <h3 className="text-sm font-semibold text-white/80 mb-3">Activity by Token</h3>
+              <div className="overflow-x-auto rounded-lg border border-white/10">
+                <table className="w-full text-sm">
+                  <thead className="bg-neutral-800/50 text-white/60">
+                    <tr>
+                      <th className="text-left p-3 font-medium">Token</th>
+                      <th className="text-right p-3 font-medium">Balance</th>
+                      <th className="text-right p-3 font-medium">Sent</th>
+                      <th className="text-right p-3 font-medium">Received</th>
+                      <th className="text-right p-3 font-medium">Volume</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tokens.map((token) => (
+                      <tr key={token.address} className="border-t border-white/10">
+                        <td className="p-3">
+                          <p className="font-semibold text-white">{token.symbol}</p>
+                          <p className="text-xs text-white/50">{token.name}</p>
+                        </td>
+                        <td className="p-3 text-right">
+                          <p className="text-white">{token.balanceFormatted}</p>
+                          <p className="text-xs text-white/50">{formatUsd(token.balanceUsd)}</p>
+                        </td>
+                        <td className="p-3 text-right">
+                          <p className="text-white">{token.sent.count} tx</p>
+                          <p className="text-xs text-white/50">{token.sent.totalAmountFormatted}</p>
+                        </td>
+                        <td className="p-3 text-right">
+                          <p className="text-white">{token.received.count} tx</p>
+                          <p className="text-xs text-white/50">{token.received.totalAmountFormatted}</p>
+                        </td>
+                        <td className="p-3 text-right">
+                          <p className="text-white">{formatUsd(token.volumeUsd)}</p>
+                          <p className="text-xs text-white/50">{Math.round(token.shareOfVolume * 100)}% of total</p>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
           {analysis.isEligible ? (
             <div className="p-4 rounded-lg bg-green-500/10 border border-green-500/30">
               <div className="flex items-center gap-2">
@@ -15,7 +15,9 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs'
 import { connectWallet, disconnectWallet } from '@/lib/wallet'
 import { starknetService } from '@/lib/services/starknetService'
 import { activityScoreCalculator } from '@/lib/services/activityScoreCalculator'
-import { zkProofService } from '@/lib/services/zkProofService'
+import { zkProofService, getServerProvingOptIn, setServerProvingOptIn } from '@/lib/services/zkProofService'
+import { disputeApi, identityApi, type Dispute, type DisputeEvidence } from '@/lib/services/api'
+import { signRequest } from '@/lib/services/signedRequest'
 import axios from 'axios'
 import toast, { Toaster } from 'react-hot-toast'
 import { RpcProvider, Contract, uint256, num, CallData } from 'starknet'
@@ -25,30 +27,8 @@ const LOAN_ESCROW_ADDRESS = process.env.NEXT_PUBLIC_LOAN_ESCROW_ZK_ADDRESS || '0
 const ACTIVITY_VERIFIER_ADDRESS = process.env.NEXT_PUBLIC_ACTIVITY_VERIFIER_ADDRESS || '0x071b94eb84b81868b61fb0ec1bbb59df47bb508583bc79325e5fa997ee3eb4be'
 const STRK_TOKEN_ADDRESS = process.env.NEXT_PUBLIC_STRK_TOKEN_ADDRESS || '0x04718f5a0fc34cc1af16a1cdee98ffb20c31f5cd61d6ab07201858f4287c938d'
 const RPC_URL = process.env.NEXT_PUBLIC_STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7'
-
-// ActivityVerifier contract ABI (minimal)
-const ACTIVITY_VERIFIER_ABI = [
-  {
-    "type": "function",
-    "name": "register_proof",
-    "inputs": [
-      {
-        "name": "proof_hash",
-        "type": "core::felt252"
-      },
-      {
-        "name": "commitment",
-        "type": "core::felt252"
-      },
-      {
-        "name": "activity_score",
-        "type": "core::integer::u256"
-      }
-    ],
-    "outputs": [],
-    "state_mutability": "external"
-  }
-]
+// Number of equal instalments suggested on the borrower dashboard
+const REPAYMENT_INSTALMENTS = 4
 
 export default function BorrowersPage() {
   // Wallet state
@@ -60,6 +40,7 @@ export default function BorrowersPage() {
   const [strkBalance, setStrkBalance] = useState<any>(null)
   const [activityMetrics, setActivityMetrics] = useState<any>(null)
   const [activityScore, setActivityScore] = useState<number>(0)
+  const [scoreModel, setScoreModel] = useState<string>('')
   const [isFetchingActivity, setIsFetchingActivity] = useState(false)
 
   // Step 2: Identity verification
@@ -70,12 +51,14 @@ export default function BorrowersPage() {
   const [passportNumber, setPassportNumber] = useState('')
   const [address, setAddress] = useState('')
   const [dateOfBirth, setDateOfBirth] = useState('')
+  const [expiryDate, setExpiryDate] = useState('')
   const [documentPhoto, setDocumentPhoto] = useState<File | null>(null)
   const [photoPreview, setPhotoPreview] = useState<string>('')
 
   // Step 3: Loan application ZK proof
   const [loanZkProof, setLoanZkProof] = useState<any>(null)
   const [isGeneratingLoanProof, setIsGeneratingLoanProof] = useState(false)
+  const [allowServerProving, setAllowServerProving] = useState(false)
 
   // Loan state
   const [availableLoans, setAvailableLoans] = useState<any[]>([])
@@ -91,6 +74,7 @@ export default function BorrowersPage() {
   // Check saved state on mount
   useEffect(() => {
     checkWalletConnection()
+    setAllowServerProving(getServerProvingOptIn())
   }, [])
 
   // Load wallet-specific data when wallet connects
@@ -235,6 +219,7 @@ export default function BorrowersPage() {
       // Calculate score
       const scoreData = activityScoreCalculator.calculateScore(metrics)
       setActivityScore(scoreData.total)
+      setScoreModel(scoreData.model)
 
       toast.success(`Activity analyzed! Score: ${scoreData.total}/1000`, { id: 'analyze' })
       
@@ -289,6 +274,10 @@ export default function BorrowersPage() {
 
   const verifyIdentity = async () => {
     // Validate
+    if (!wallet) {
+      toast.error('Please connect your wallet first')
+      return
+    }
     if (!passportNumber.trim()) {
       toast.error('Passport/ID number required')
       return
@@ -326,6 +315,10 @@ export default function BorrowersPage() {
       formData.append('passportNumber', passportNumber)
       formData.append('address', address)
       formData.append('dateOfBirth', dateOfBirth)
+      // Optional: read from the MRZ when the document has one
+      if (expiryDate) {
+        formData.append('expiryDate', expiryDate)
+      }
       formData.append('walletAddress', walletAddress)
       formData.append('document', documentPhoto) // Note: backend expects 'document' not 'documentPhoto'
 
@@ -346,10 +339,18 @@ export default function BorrowersPage() {
           console.log(`📊 OCR Confidence: ${Math.round(validation.ocrConfidence)}%`)
         }
         
+        if (validation.mrz) {
+          console.log(`🛂 MRZ (${validation.mrz.format}) read, document expires ${validation.mrz.expiryDate}`)
+        }
+        
         if (validation.matches) {
           console.log('✅ Validated fields:', Object.keys(validation.matches))
         }
         
+        if (validation.fieldConfidence) {
+          console.log('📊 Field confidence:', validation.fieldConfidence)
+        }
+        
         if (validation.warnings && validation.warnings.length > 0) {
           console.warn('⚠️ Validation warnings:', validation.warnings)
         }
@@ -363,8 +364,13 @@ export default function BorrowersPage() {
       console.log('🔐 Generating identity ZK proof...')
       toast.loading('Generating zero-knowledge proof...', { id: 'identity' })
 
-      const zkResponse = await axios.post(`${BACKEND_URL}/api/identity/generate-proof`, {
-        identityInputs: uploadResponse.data.zkInputs
+      // Signed by the wallet the identity commitment is stored for
+      const proofBody = JSON.stringify({ identityInputs: uploadResponse.data.zkInputs })
+      const zkResponse = await axios.post(`${BACKEND_URL}/api/identity/generate-proof`, proofBody, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(await signRequest(BACKEND_URL, 'POST', '/api/identity/generate-proof', proofBody, wallet.account))
+        }
       })
 
       console.log('✅ Identity ZK proof generated:', zkResponse.data)
@@ -448,15 +454,20 @@ export default function BorrowersPage() {
 
       console.log('🔐 Generating loan ZK proof for score:', activityScore)
 
-      // Generate proof using zkProofService
+      // Prove the score is above its 100-point bucket: loans with a minimum score
+      // up to that bucket accept the proof, without revealing the exact score
+      const provenThreshold = Math.floor(activityScore / 100) * 100
+
+      // Proved in the browser; the score only reaches the server if the user opted in
       const proof = await zkProofService.generateLenderProof(
         activityScore,
-        100, // minimum threshold
-        walletAddress
+        provenThreshold,
+        walletAddress,
+        scoreModel || undefined,
+        { allowServerFallback: allowServerProving }
       )
 
-      console.log('✅ Proof generated, now registering on-chain...')
-      toast.loading('Registering proof on blockchain...', { id: 'loanProof' })
+      console.log('✅ Proof generated and verified by the backend')
 
       // Check wallet balance first
       try {
@@ -486,129 +497,36 @@ export default function BorrowersPage() {
         // Continue anyway - user might have balance but RPC call failed
       }
 
-      // Register proof on ActivityVerifier contract
-      const provider = new RpcProvider({ nodeUrl: RPC_URL })
-
-      // Clean and truncate hex strings to fit in felt252 (max 252 bits = 63 hex chars)
-      const cleanHex = (hexStr: string) => {
-        if (!hexStr) return '0'
-        const cleaned = hexStr.startsWith('0x') ? hexStr.slice(2) : hexStr
-        return cleaned.slice(0, 63)
-      }
+      // Proofs are attested per loan when applying (bound to the loan and expiring),
+      // this one registers the commitment lenders will see
+      setLoanZkProof(proof)
 
-      const proofHashHex = cleanHex(proof.commitment)
-      const commitmentHex = cleanHex(proof.commitmentHash)
-
-      const proofHashNum = BigInt('0x' + proofHashHex)
-      const commitmentNum = BigInt('0x' + commitmentHex)
-
-      // Convert activity score to u256
-      const activityScoreU256 = uint256.bnToUint256(BigInt(activityScore))
+      // Save to localStorage (wallet-specific)
+      localStorage.setItem(`loanZkProof_${walletAddress}`, JSON.stringify(proof))
+      localStorage.setItem(`zkCommitment_${walletAddress}`, proof.commitmentHash)
+      localStorage.setItem(`zkProofHash_${walletAddress}`, proof.commitment)
+      localStorage.setItem(`activityScore_${walletAddress}`, activityScore.toString())
 
-      // CRITICAL: uint256.bnToUint256 returns hex strings ("0x13b"), not numbers!
-      // We must convert them to decimal strings for the wallet
-      const scoreLowDecimal = BigInt(activityScoreU256.low).toString()
-      const scoreHighDecimal = BigInt(activityScoreU256.high).toString()
+      console.log('✅ Proof data saved for wallet:', walletAddress)
 
-      // Prepare calldata array (all values as decimal strings)
-      const calldata = [
-        proofHashNum.toString(),              // proof_hash (felt252 as decimal string)
-        commitmentNum.toString(),             // commitment (felt252 as decimal string)
-        scoreLowDecimal,                      // activity_score.low (u128 as decimal string)
-        scoreHighDecimal                      // activity_score.high (u128 as decimal string)
-      ]
+      toast.success('Proof verified! You can now apply for loans', { id: 'loanProof', duration: 8000 })
 
-      console.log('📊 Registering proof with params:', {
-        proof_hash: proofHashNum.toString(),
-        commitment: commitmentNum.toString(),
-        activity_score: activityScore,
-        activity_score_u256: {
-          low_hex: activityScoreU256.low,
-          high_hex: activityScoreU256.high,
-          low_decimal: scoreLowDecimal,
-          high_decimal: scoreHighDecimal
-        },
-        calldata: calldata,
-        calldata_types: calldata.map(v => typeof v),
-        contract: ACTIVITY_VERIFIER_ADDRESS
+      console.log('✅ Loan proof generated:', {
+        commitment: proof.commitment,
+        commitmentHash: proof.commitmentHash,
+        provenThreshold
       })
 
-      // Register proof on-chain using raw execute (most compatible with wallets)
-      let registerTx: any = null
-      
-      try {
-        console.log('📤 Preparing transaction with raw execute()...')
-        console.log('📊 Final calldata (all decimal strings):', calldata)
-        console.log('🔢 Calldata validation:', {
-          param1_type: typeof calldata[0],
-          param2_type: typeof calldata[1],
-          param3_type: typeof calldata[2],
-          param4_type: typeof calldata[3],
-          all_are_strings: calldata.every(v => typeof v === 'string'),
-          no_hex_values: !calldata.some(v => String(v).startsWith('0x'))
-        })
-
-        // Show user-friendly message
-        toast.loading(
-          'Opening wallet... Please check your balance and approve the transaction',
-          { id: 'loanProof', duration: 5000 }
-        )
-
-        // Use raw execute for maximum compatibility
-        registerTx = await wallet.account.execute({
-          contractAddress: ACTIVITY_VERIFIER_ADDRESS,
-          entrypoint: 'register_proof',
-          calldata: calldata  // Already prepared as decimal strings
-        })
-
-        console.log('⏳ Waiting for proof registration:', registerTx.transaction_hash)
-        toast.loading('Waiting for confirmation...', { id: 'loanProof' })
-
-        await provider.waitForTransaction(registerTx.transaction_hash)
-
-        console.log('✅ Proof registered on-chain!')
-
-        setLoanZkProof(proof)
-
-        // Save to localStorage (wallet-specific)
-        localStorage.setItem(`loanZkProof_${walletAddress}`, JSON.stringify(proof))
-        localStorage.setItem(`zkCommitment_${walletAddress}`, proof.commitmentHash)
-        localStorage.setItem(`zkProofHash_${walletAddress}`, proof.commitment)
-        localStorage.setItem(`activityScore_${walletAddress}`, activityScore.toString())
-
-        console.log('✅ Proof data saved for wallet:', walletAddress)
-
-        toast.success(
-          `Proof registered! Tx: ${registerTx.transaction_hash.slice(0, 10)}...`,
-          { id: 'loanProof', duration: 8000 }
-        )
-
-        console.log('✅ Loan proof generated and registered:', {
-          commitment: proof.commitment,
-          commitmentHash: proof.commitmentHash,
-          txHash: registerTx.transaction_hash
-        })
-
-        // Auto-fetch available loans and active loans, then go to dashboard
-        setCurrentStep('dashboard')
-        setTimeout(() => {
-          fetchAvailableLoans()
-          fetchMyActiveLoans()
-        }, 500)
-
-      } catch (contractError: any) {
-        console.error('❌ Contract call failed:', contractError)
-        throw contractError
-      }
+      // Auto-fetch available loans and active loans, then go to dashboard
+      setCurrentStep('dashboard')
+      setTimeout(() => {
+        fetchAvailableLoans()
+        fetchMyActiveLoans()
+      }, 500)
 
     } catch (error: any) {
-      console.error('❌ Proof generation/registration failed:', error)
-      
-      if (error.message?.includes('User abort')) {
-        toast.error('Transaction rejected by user', { id: 'loanProof' })
-      } else {
-        toast.error('Failed to register proof: ' + error.message, { id: 'loanProof' })
-      }
+      console.error('❌ Proof generation failed:', error)
+      toast.error('Failed to generate proof: ' + error.message, { id: 'loanProof' })
     } finally {
       setIsGeneratingLoanProof(false)
     }
@@ -797,10 +715,28 @@ export default function BorrowersPage() {
         return cleaned.slice(0, 63)
       }
 
-      // IMPORTANT: Use SAME order as registration in Step 3
-      // Step 3 registered: proof_hash=proof.commitment, commitment=proof.commitmentHash
-      const proofHashHex = cleanHex(loanZkProof.commitment)
-      const commitmentHex = cleanHex(loanZkProof.commitmentHash)
+      // Each application needs a fresh proof bound to this wallet and loan, proving
+      // exactly the loan's minimum score; a wallet can apply once per loan (one nullifier)
+      toast.loading('Generating proof for this loan...', { id: 'apply' })
+      const loanProof = await zkProofService.generateLenderProof(
+        activityScore,
+        Number(loan.minActivityScore),
+        walletAddress,
+        scoreModel || undefined,
+        { allowServerFallback: allowServerProving, loanId: loan.loanId }
+      )
+
+      toast.loading('Verifying proof and attesting on-chain...', { id: 'apply' })
+      const attestation = await zkProofService.attestProof(loanProof)
+
+      // Attested commitment must match the one lenders know from Step 3
+      if (BigInt(attestation.commitment) !== BigInt('0x' + cleanHex(loanProof.commitmentHash))) {
+        throw new Error('Attested proof keys do not match the generated proof')
+      }
+      console.log('✅ Proof attested on-chain!', attestation)
+
+      const proofHashHex = cleanHex(attestation.proofHash)
+      const commitmentHex = cleanHex(attestation.commitment)
 
       const proofHashNum = BigInt('0x' + proofHashHex)
       const commitmentNum = BigInt('0x' + commitmentHex)
@@ -815,7 +751,7 @@ export default function BorrowersPage() {
         proof_hash: proofHashNum.toString(),
         commitment: commitmentNum.toString(),
         contract: LOAN_ESCROW_ADDRESS,
-        note: 'Using SAME values as registered in Step 3'
+        attestationTx: attestation.transactionHash
       })
 
       // Submit transaction to blockchain
@@ -841,6 +777,33 @@ export default function BorrowersPage() {
 
       console.log('✅ Application submitted on blockchain!')
 
+      // Escrow the identity for this application and attach the package hash on-chain, so a
+      // default reveals exactly this package (only possible while the application is pending)
+      if (passportNumber && address && dateOfBirth) {
+        try {
+          toast.loading('Escrowing identity with trustees...', { id: 'apply' })
+          const identityEscrow = await identityApi.escrowIdentity(
+            loan.loanId,
+            '0x' + commitmentHex,
+            walletAddress,
+            { passportNumber, address, dateOfBirth, expiryDate: expiryDate || null, walletAddress, identityCommitment },
+            wallet.account
+          )
+          console.log('🔐 Identity escrowed:', identityEscrow)
+
+          toast.loading('Attaching identity package on-chain...', { id: 'apply' })
+          const anchorTx = await wallet.account.execute(identityEscrow.anchorCall!)
+          await provider.waitForTransaction(anchorTx.transaction_hash)
+          console.log('✅ Identity package hash attached:', identityEscrow.escrowHash)
+        } catch (escrowError: any) {
+          console.error('❌ Identity escrow failed:', escrowError)
+          toast.error('Identity escrow failed: ' + (escrowError.message || 'Unknown error'), { duration: 8000 })
+        }
+      } else {
+        console.warn('⚠️ Identity details not available in this session, no identity package escrowed')
+        toast.error('Identity details not available - re-verify your identity to escrow it for this application', { duration: 8000 })
+      }
+
       const loanAmountStrk = parseFloat(loan.amountPerBorrower) / 1e18
       const interestAmount = (loanAmountStrk * loan.interestRate) / 100
       const repaymentAmount = loanAmountStrk + interestAmount
@@ -869,8 +832,9 @@ export default function BorrowersPage() {
 
   /**
    * Repay Loan - ON-CHAIN IMPLEMENTATION
+   * Pays the full outstanding balance, or a single instalment when amountWei is given
    */
-  const repayLoan = async (loan: any) => {
+  const repayLoan = async (loan: any, amountWei?: bigint) => {
     if (!wallet || !walletAddress) {
       toast.error('Please connect your wallet first')
       return
@@ -894,64 +858,9 @@ export default function BorrowersPage() {
 
       const provider = new RpcProvider({ nodeUrl: RPC_URL })
 
-      // Calculate repayment amount (amount is in wei already from backend)
-      const principalWei = BigInt(loan.amount)
-      const interestRateBps = BigInt(loan.interestRate)
-      const interestWei = (principalWei * interestRateBps) / BigInt(10000)
-      const repaymentWei = principalWei + interestWei
-
-      console.log('💰 Repayment breakdown:')
-      console.log('  Principal:', (Number(principalWei) / 1e18).toFixed(4), 'STRK')
-      console.log('  Interest:', (Number(interestWei) / 1e18).toFixed(4), 'STRK')
-      console.log('  Total:', (Number(repaymentWei) / 1e18).toFixed(4), 'STRK')
-
-      // 1. Approve STRK tokens
-      console.log('📝 Approving STRK spending...')
-      toast.loading('Step 1/2: Approving STRK tokens...', { id: 'repay' })
-
-      const amountUint256 = uint256.bnToUint256(repaymentWei)
-
-      console.log('📤 APPROVE TRANSACTION DETAILS:', {
-        tokenAddress: STRK_TOKEN_ADDRESS,
-        spender: LOAN_ESCROW_ADDRESS,
-        amount_low: amountUint256.low.toString(),
-        amount_high: amountUint256.high.toString()
-      })
-
-      const approveTx = await wallet.account.execute({
-        contractAddress: STRK_TOKEN_ADDRESS,
-        entrypoint: 'approve',
-        calldata: [
-          LOAN_ESCROW_ADDRESS,
-          amountUint256.low.toString(),
-          amountUint256.high.toString()
-        ]
-      })
-
-      console.log('⏳ Waiting for approval tx:', approveTx.transaction_hash)
-      await provider.waitForTransaction(approveTx.transaction_hash)
-      console.log('✅ STRK spending approved!')
-
-      // 2. Call repay_loan on contract
-      console.log('💰 Calling repay_loan on contract...')
-      toast.loading('Step 2/2: Submitting repayment...', { id: 'repay' })
-
-      const loanIdU256 = uint256.bnToUint256(BigInt(loan.loanId))
-
       // IMPORTANT: Use the commitment that was used when applying for the loan
-      // This should come from the loan object returned by the backend
-      console.log('🔍 FULL Loan object for repayment:', JSON.stringify(loan, null, 2))
-      console.log('🔍 Available commitment fields:', {
-        loan_commitment: loan.commitment,
-        loan_borrowerCommitment: loan.borrowerCommitment,
-        loan_identityCommitment: loan.identityCommitment,
-        zkProof_commitment: loanZkProof?.commitment,
-        zkProof_commitmentHash: loanZkProof?.commitmentHash
-      })
-
-      // CRITICAL: The loan object from backend contains the actual commitment used in the contract
-      // This MUST match what was stored when the lender approved the loan
-      let borrowerCommitment = loan.commitment
+      // This comes from the loan object returned by the backend (event index)
+      const borrowerCommitment = loan.commitment
       
       if (!borrowerCommitment) {
         console.error('❌ No commitment found in loan object!')
@@ -959,10 +868,6 @@ export default function BorrowersPage() {
         throw new Error('Commitment not found in loan data. The loan must contain the commitment that was used when applying.')
       }
 
-      console.log('🔑 Using commitment from loan object:', borrowerCommitment.slice(0, 20) + '...')
-      console.log('🔑 Full commitment:', borrowerCommitment)
-      console.log('🔑 Commitment length:', borrowerCommitment.length)
-
       // Clean and truncate commitment to fit felt252 (max 63 hex characters)
       const cleanHex = (hexStr: string) => {
         if (!hexStr) return '0'
@@ -970,38 +875,43 @@ export default function BorrowersPage() {
         return cleaned.slice(0, 63) // Max 63 hex chars for felt252
       }
 
-      const commitmentHex = cleanHex(borrowerCommitment)
-      const commitmentNum = BigInt('0x' + commitmentHex)
+      const commitmentHex = '0x' + cleanHex(borrowerCommitment)
 
-      console.log('📤 REPAY TRANSACTION DETAILS:', {
-        contractAddress: LOAN_ESCROW_ADDRESS,
-        entrypoint: 'repay_loan',
-        calldata: {
-          loanId_low: loanIdU256.low.toString(),
-          loanId_high: loanIdU256.high.toString(),
-          commitment: commitmentNum.toString()
-        }
+      // 1. Ask the backend for the exact on-chain balance and the calls to sign
+      //    (principal + interest, minus instalments already paid)
+      const { data: prepared } = await axios.post(`${BACKEND_URL}/api/loan/repay`, {
+        loanId: loan.loanId,
+        commitment: commitmentHex,
+        amount: amountWei ? amountWei.toString() : undefined
       })
 
-      const repayTx = await wallet.account.execute({
-        contractAddress: LOAN_ESCROW_ADDRESS,
-        entrypoint: 'repay_loan',
-        calldata: [
-          loanIdU256.low.toString(),
-          loanIdU256.high.toString(),
-          commitmentNum.toString()
-        ]
-      })
+      const { amount, outstanding, remainingAfter, isFinal, calls } = prepared.data
+
+      console.log('💰 Repayment breakdown:')
+      console.log('  Outstanding:', (Number(BigInt(outstanding)) / 1e18).toFixed(4), 'STRK')
+      console.log('  Paying now:', (Number(BigInt(amount)) / 1e18).toFixed(4), 'STRK')
+      console.log('  Remaining after:', (Number(BigInt(remainingAfter)) / 1e18).toFixed(4), 'STRK')
+      console.log('📤 REPAY CALLS:', calls)
+
+      // 2. Approve STRK and repay in a single multicall
+      toast.loading(
+        isFinal ? 'Submitting full repayment...' : 'Submitting instalment...',
+        { id: 'repay' }
+      )
+
+      const repayTx = await wallet.account.execute(calls)
 
       console.log('⏳ Waiting for repayment tx:', repayTx.transaction_hash)
       toast.loading('Confirming repayment...', { id: 'repay' })
 
       await provider.waitForTransaction(repayTx.transaction_hash)
 
-      console.log('✅ Loan repaid successfully!')
+      console.log(isFinal ? '✅ Loan repaid successfully!' : '✅ Instalment paid successfully!')
 
       toast.success(
-        `✅ Loan repaid! Tx: ${repayTx.transaction_hash.slice(0, 10)}...`,
+        isFinal
+          ? `✅ Loan repaid! Tx: ${repayTx.transaction_hash.slice(0, 10)}...`
+          : `✅ Instalment paid! ${(Number(BigInt(remainingAfter)) / 1e18).toFixed(2)} STRK left. Tx: ${repayTx.transaction_hash.slice(0, 10)}...`,
         { id: 'repay', duration: 10000 }
       )
 
@@ -1047,6 +957,8 @@ export default function BorrowersPage() {
         } else {
           errorMessage = 'Transaction rejected by user'
         }
+      } else if (error.response?.data?.error) {
+        errorMessage = error.response.data.error
       } else if (error.message) {
         errorMessage = error.message
       }
@@ -1058,6 +970,46 @@ export default function BorrowersPage() {
     }
   }
 
+  /**
+   * Dispute a default during the dispute window
+   * The borrower signs the claim with the wallet that applied; share collection and
+   * identity reveal stay blocked until the lender resolves it.
+   */
+  const openDispute = async (loan: any, reason: string, evidence: DisputeEvidence): Promise<Dispute | null> => {
+    if (!wallet || !walletAddress) {
+      toast.error('Please connect your wallet first')
+      return null
+    }
+
+    try {
+      console.log('⚖️ Opening dispute for loan:', loan.loanId)
+      toast.loading('Preparing dispute...', { id: 'dispute' })
+
+      const commitment = '0x' + loan.commitment.replace(/^0x/, '').slice(0, 63)
+      const { typedData, issuedAt } = await disputeApi.prepare(loan.loanId, commitment, reason, evidence)
+
+      toast.loading('Sign the dispute in your wallet...', { id: 'dispute' })
+      const signature = await wallet.account.signMessage(typedData)
+
+      const dispute = await disputeApi.open({
+        loanId: loan.loanId,
+        commitment,
+        reason,
+        evidence,
+        issuedAt,
+        signature: Array.isArray(signature) ? signature : [signature.r, signature.s].map((value: bigint) => '0x' + value.toString(16))
+      })
+
+      console.log('✅ Dispute opened:', dispute.id)
+      toast.success('⚖️ Dispute opened. The lender cannot reveal your identity until it is resolved.', { id: 'dispute', duration: 10000 })
+      return dispute
+    } catch (error: any) {
+      console.error('❌ Failed to open dispute:', error)
+      toast.error('Dispute failed: ' + (error.response?.data?.error || error.message), { id: 'dispute', duration: 10000 })
+      return null
+    }
+  }
+
   return (
     <main className="bg-gradient-to-br from-neutral-900 via-neutral-950 to-black text-white min-h-screen pt-20">
       <Toaster position="top-right" />
@@ -1186,6 +1138,9 @@ export default function BorrowersPage() {
                             <span className="text-4xl font-bold">{activityScore}</span>
                             <span className="text-white/40">/1000</span>
                           </div>
+                          {scoreModel && (
+                            <p className="text-xs text-white/40 mt-1 font-mono">model: {scoreModel}</p>
+                          )}
                           <Badge className="mt-3 bg-blue-500/20 text-blue-400 border-blue-500/30">
                             {activityScore >= 750
                               ? 'Platinum'
@@ -1327,6 +1282,21 @@ export default function BorrowersPage() {
                           />
                         </div>
 
+                        <div>
+                          <Label htmlFor="expiry" className="text-white font-medium">Document Expiry Date</Label>
+                          <Input
+                            id="expiry"
+                            type="date"
+                            value={expiryDate}
+                            onChange={(e) => setExpiryDate(e.target.value)}
+                            placeholder="dd-mm-yyyy"
+                            className="bg-neutral-800 border-white/10 text-white placeholder:text-white/40"
+                          />
+                          <p className="text-xs text-white/40 mt-1">
+                            Optional if your document has a machine-readable zone (the lines of &lt;&lt;&lt; at the bottom)
+                          </p>
+                        </div>
+
                         <div>
                           <Label htmlFor="document" className="text-white font-medium">Document Photo</Label>
                           <div className="mt-2">
@@ -1466,6 +1436,22 @@ export default function BorrowersPage() {
                             </div>
                           </div>
 
+                          <label className="flex items-start gap-2 text-left text-sm text-white/70 mb-4 max-w-md mx-auto">
+                            <input
+                              type="checkbox"
+                              checked={allowServerProving}
+                              onChange={(e) => {
+                                setAllowServerProving(e.target.checked)
+                                setServerProvingOptIn(e.target.checked)
+                              }}
+                              className="mt-1"
+                            />
+                            <span>
+                              If proving in this browser fails, let the server generate the proof.
+                              This sends your exact activity score to the backend.
+                            </span>
+                          </label>
+
                           <Button
                             onClick={generateLoanProof}
                             disabled={isGeneratingLoanProof}
@@ -1519,7 +1505,7 @@ export default function BorrowersPage() {
                     {myActiveLoans.length > 0 ? (
                       <div className="grid grid-cols-1 gap-4">
                         {myActiveLoans.map((loan) => (
-                          <ActiveLoanCard key={loan.loanId} loan={loan} onRepay={repayLoan} />
+                          <ActiveLoanCard key={loan.loanId} loan={loan} onRepay={repayLoan} onDispute={openDispute} />
                         ))}
                       </div>
                     ) : (
@@ -1701,12 +1687,47 @@ function LoanCard({
 }
 
 // Active Loan Card Component (for approved loans)
-function ActiveLoanCard({ loan, onRepay }: { loan: any; onRepay: (loan: any) => void }) {
+function ActiveLoanCard({ loan, onRepay, onDispute }: {
+  loan: any
+  onRepay: (loan: any, amountWei?: bigint) => void
+  onDispute: (loan: any, reason: string, evidence: DisputeEvidence) => Promise<Dispute | null>
+}) {
+  const [repayment, setRepayment] = useState<any>(null)
+  const [disputes, setDisputes] = useState<Dispute[]>([])
+  const [disputeReason, setDisputeReason] = useState('')
+  const [disputeTxHash, setDisputeTxHash] = useState('')
+  const [disputeNote, setDisputeNote] = useState('')
+  const [submittingDispute, setSubmittingDispute] = useState(false)
+
+  // Outstanding balance and instalment schedule come from the contract via the backend
+  useEffect(() => {
+    const commitment = '0x' + loan.commitment.replace(/^0x/, '').slice(0, 63)
+    axios.get(`${BACKEND_URL}/api/loan/${loan.loanId}/repayment/${commitment}`, {
+      params: { instalments: REPAYMENT_INSTALMENTS }
+    })
+      .then(({ data }) => setRepayment(data))
+      .catch((error) => console.error('❌ Failed to fetch repayment status:', error))
+  }, [loan.loanId, loan.commitment, loan.amountRepaid])
+
+  // Disputes raised against a default on this application
+  useEffect(() => {
+    const commitment = '0x' + loan.commitment.replace(/^0x/, '').slice(0, 63)
+    disputeApi.list({ loanId: loan.loanId, commitment })
+      .then(setDisputes)
+      .catch((error) => console.error('❌ Failed to fetch disputes:', error))
+  }, [loan.loanId, loan.commitment])
+
+  const toStrk = (wei: string | undefined) => (wei ? Number(BigInt(wei)) / 1e18 : 0)
+
   const loanAmountStrk = parseFloat(loan.amount) / 1e18
   const interestRateBps = parseFloat(loan.interestRate)
   const interestRate = interestRateBps / 100 // Convert basis points to percentage
-  const interestAmount = (loanAmountStrk * interestRate) / 100
-  const repaymentAmount = loanAmountStrk + interestAmount
+  const repaymentAmount = toStrk(repayment?.totalDue ?? loan.totalDue)
+  const amountRepaid = toStrk(repayment?.amountRepaid ?? loan.amountRepaid)
+  const outstanding = toStrk(repayment?.outstanding ?? loan.outstanding)
+  const nextInstalment = repayment?.nextInstalment
+  const schedule: any[] = repayment?.schedule || []
+  const payments: any[] = loan.payments || []
 
   const approvedDate = new Date(loan.approvedAt)
   const deadlineDate = new Date(loan.repaymentDeadline)
@@ -1714,6 +1735,21 @@ function ActiveLoanCard({ loan, onRepay }: { loan: any; onRepay: (loan: any) =>
   const timeLeft = deadlineDate.getTime() - now.getTime()
   const daysLeft = Math.ceil(timeLeft / (1000 * 60 * 60 * 24))
   const hoursLeft = Math.ceil(timeLeft / (1000 * 60 * 60))
+  const isOverdue = loan.status === 'defaulted' || timeLeft < 0
+  const activeDispute = disputes.find((dispute) => dispute.status !== 'rejected')
+
+  const submitDispute = async () => {
+    setSubmittingDispute(true)
+    const evidence: DisputeEvidence = {}
+    if (disputeTxHash.trim()) evidence.repaymentTxHash = disputeTxHash.trim()
+    if (disputeNote.trim()) evidence.note = disputeNote.trim()
+
+    const dispute = await onDispute(loan, disputeReason.trim(), evidence)
+    if (dispute) {
+      setDisputes([dispute, ...disputes])
+    }
+    setSubmittingDispute(false)
+  }
 
   return (
     <Card className="bg-neutral-900/80 border-green-500/30 overflow-hidden">
@@ -1743,8 +1779,55 @@ function ActiveLoanCard({ loan, onRepay }: { loan: any; onRepay: (loan: any) =>
             <p className="text-xs text-white/70 mb-1 font-medium">Interest</p>
             <p className="text-2xl font-bold text-blue-400">{interestRate.toFixed(1)}%</p>
           </div>
+          <div className="bg-neutral-800/50 rounded-lg p-4 border border-green-500/20">
+            <p className="text-xs text-white/70 mb-1 font-medium">Repaid So Far</p>
+            <p className="text-2xl font-bold text-green-400">{amountRepaid.toFixed(2)} STRK</p>
+          </div>
+          <div className="bg-neutral-800/50 rounded-lg p-4 border border-orange-500/20">
+            <p className="text-xs text-white/70 mb-1 font-medium">Outstanding</p>
+            <p className="text-2xl font-bold text-orange-400">{outstanding.toFixed(2)} STRK</p>
+          </div>
         </div>
 
+        {schedule.length > 1 && (
+          <Card className="bg-neutral-800/50 border-white/10 p-4 mb-4">
+            <h4 className="text-sm font-semibold mb-3 text-white">📆 Instalment Schedule</h4>
+            <div className="space-y-2">
+              {schedule.map((entry) => (
+                <div key={entry.number} className="flex items-center justify-between text-sm">
+                  <span className="text-white/70">
+                    #{entry.number} · due {new Date(entry.dueAt).toLocaleDateString()} {new Date(entry.dueAt).toLocaleTimeString()}
+                  </span>
+                  <span className={entry.paid ? 'text-green-400 font-bold' : 'text-white font-bold'}>
+                    {toStrk(entry.amount).toFixed(2)} STRK {entry.paid ? '✓' : ''}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+
+        {payments.length > 0 && (
+          <Card className="bg-neutral-800/50 border-white/10 p-4 mb-4">
+            <h4 className="text-sm font-semibold mb-3 text-white">🧾 Repayment History</h4>
+            <div className="space-y-2">
+              {payments.map((payment) => (
+                <div key={payment.transactionHash} className="flex items-center justify-between text-sm">
+                  <a
+                    href={`https://sepolia.voyager.online/tx/${payment.transactionHash}`}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-white/70 hover:text-white"
+                  >
+                    {new Date(payment.paidAt).toLocaleDateString()} {new Date(payment.paidAt).toLocaleTimeString()}
+                  </a>
+                  <span className="text-green-400 font-bold">{toStrk(payment.amount).toFixed(2)} STRK</span>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+
         <Card className={`${daysLeft <= 1 ? 'bg-red-500/10 border-red-500/30' : 'bg-orange-500/10 border-orange-500/30'} p-4 mb-4`}>
           <h4 className="text-sm font-semibold mb-3 flex items-center gap-2 text-white">
             ⏰ Repayment Deadline
@@ -1782,16 +1865,101 @@ function ActiveLoanCard({ loan, onRepay }: { loan: any; onRepay: (loan: any) =>
           </div>
         )}
 
+        {isOverdue && (
+          <Card className="bg-purple-500/10 border-purple-500/30 p-4 mb-4">
+            <h4 className="text-sm font-semibold mb-3 text-white">⚖️ Dispute Default</h4>
+            {activeDispute ? (
+              <div className="space-y-2 text-sm">
+                <div className="flex items-center justify-between">
+                  <span className="text-white/70">Status</span>
+                  <Badge className={activeDispute.status === 'upheld'
+                    ? 'bg-green-500/20 text-green-300 border-green-500/40'
+                    : 'bg-purple-500/20 text-purple-300 border-purple-500/40'}>
+                    {activeDispute.status === 'upheld' ? 'Upheld by lender' : 'Awaiting lender'}
+                  </Badge>
+                </div>
+                <p className="text-white/70">{activeDispute.reason}</p>
+                {activeDispute.resolution?.note && (
+                  <p className="text-white/50 text-xs">Lender: {activeDispute.resolution.note}</p>
+                )}
+                <p className="text-xs text-white/40">
+                  Your identity cannot be revealed while this dispute is {activeDispute.status === 'upheld' ? 'upheld' : 'open'}.
+                </p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {disputes.length > 0 && (
+                  <p className="text-xs text-red-400">Your previous dispute was rejected by the lender.</p>
+                )}
+                <p className="text-xs text-white/60">
+                  Already repaid, or the default is wrong? Open a dispute before the dispute window ends.
+                  It is signed by your wallet and pauses identity reveal until the lender resolves it.
+                </p>
+                <div>
+                  <Label htmlFor={`dispute-reason-${loan.loanId}`} className="text-white/70 text-xs">Reason</Label>
+                  <Input
+                    id={`dispute-reason-${loan.loanId}`}
+                    value={disputeReason}
+                    maxLength={500}
+                    onChange={(e) => setDisputeReason(e.target.value)}
+                    placeholder="e.g. Repaid before the deadline"
+                    className="bg-neutral-800 border-white/10 text-white"
+                  />
+                </div>
+                <div>
+                  <Label htmlFor={`dispute-tx-${loan.loanId}`} className="text-white/70 text-xs">Repayment tx hash (optional)</Label>
+                  <Input
+                    id={`dispute-tx-${loan.loanId}`}
+                    value={disputeTxHash}
+                    onChange={(e) => setDisputeTxHash(e.target.value)}
+                    placeholder="0x..."
+                    className="bg-neutral-800 border-white/10 text-white font-mono"
+                  />
+                </div>
+                <div>
+                  <Label htmlFor={`dispute-note-${loan.loanId}`} className="text-white/70 text-xs">Note (optional)</Label>
+                  <Input
+                    id={`dispute-note-${loan.loanId}`}
+                    value={disputeNote}
+                    maxLength={1000}
+                    onChange={(e) => setDisputeNote(e.target.value)}
+                    className="bg-neutral-800 border-white/10 text-white"
+                  />
+                </div>
+                <Button
+                  variant="outline"
+                  className="w-full border-purple-500/40 text-purple-300 hover:bg-purple-500/10"
+                  disabled={!disputeReason.trim() || submittingDispute}
+                  onClick={submitDispute}
+                >
+                  {submittingDispute ? <Loader2 className="w-4 h-4 animate-spin" /> : 'Sign & Open Dispute'}
+                </Button>
+              </div>
+            )}
+          </Card>
+        )}
+
+        {nextInstalment && schedule.length > 1 && BigInt(nextInstalment.remaining) < BigInt(repayment.outstanding) && (
+          <Button
+            variant="outline"
+            className="w-full mb-3 border-yellow-500/40 text-yellow-300 hover:bg-yellow-500/10"
+            size="lg"
+            onClick={() => onRepay(loan, BigInt(nextInstalment.remaining))}
+          >
+            Pay Instalment #{nextInstalment.number}: {toStrk(nextInstalment.remaining).toFixed(2)} STRK
+          </Button>
+        )}
+
         <Button
           className="w-full bg-gradient-to-r from-yellow-600 to-orange-600 hover:from-yellow-700 hover:to-orange-700"
           size="lg"
           onClick={() => onRepay(loan)}
         >
-          Repay {repaymentAmount.toFixed(2)} STRK
+          Repay {outstanding.toFixed(2)} STRK
         </Button>
 
         <p className="text-xs text-white/40 text-center mt-3">
-          This will approve STRK tokens and repay your loan
+          This will approve STRK tokens and repay your loan (principal + interest)
         </p>
       </div>
     </Card>
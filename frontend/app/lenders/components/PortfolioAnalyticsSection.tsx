@@ -0,0 +1,233 @@
+import { BarChart3, Download, PieChart as PieChartIcon, Clock } from 'lucide-react'
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  PieChart,
+  Pie,
+  Cell
+} from 'recharts'
+import { Card } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import type { LenderPortfolio } from '@/lib/services/api'
+
+interface PortfolioAnalyticsSectionProps {
+  portfolio: LenderPortfolio
+}
+
+const STATUS_COLORS: Record<string, string> = {
+  pending: '#a3a3a3',
+  active: '#3b82f6',
+  overdue: '#f59e0b',
+  defaulted: '#ef4444',
+  repaid: '#22c55e'
+}
+
+const tooltipStyle = {
+  backgroundColor: 'rgba(23, 23, 23, 0.95)',
+  border: '1px solid rgba(255, 255, 255, 0.1)',
+  borderRadius: 8,
+  color: '#fff'
+}
+
+// Wei string -> token units (display only)
+export const toTokenUnits = (wei: string, decimals = 18) => Number(BigInt(wei || '0')) / 10 ** decimals
+
+export const formatPercent = (ratio: number) => `${(ratio * 100).toFixed(1)}%`
+
+/**
+ * Per-loan portfolio rows as CSV (amounts in token units)
+ */
+export function portfolioToCsv(portfolio: LenderPortfolio): string {
+  const { decimals } = portfolio.token
+  const header = [
+    'loanId', 'status', 'amountPerBorrower', 'interestRateBps', 'repaymentPeriodSeconds',
+    'totalSlots', 'fundedApplications', 'slotUtilisation',
+    'pending', 'active', 'overdue', 'defaulted', 'repaid',
+    'capitalCommitted', 'capitalDeployed', 'outstandingPrincipal', 'expectedInterest',
+    'realizedInterest', 'defaultedPrincipal', 'collected', 'createdAt'
+  ]
+  const rows = portfolio.loans.map(loan => [
+    loan.loanId,
+    loan.status,
+    toTokenUnits(loan.amountPerBorrower, decimals),
+    loan.interestRateBps,
+    loan.repaymentPeriod,
+    loan.totalSlots,
+    loan.fundedApplications,
+    loan.slotUtilisation.toFixed(4),
+    loan.applications.pending,
+    loan.applications.active,
+    loan.applications.overdue,
+    loan.applications.defaulted,
+    loan.applications.repaid,
+    toTokenUnits(loan.capitalCommitted, decimals),
+    toTokenUnits(loan.capitalDeployed, decimals),
+    toTokenUnits(loan.outstandingPrincipal, decimals),
+    toTokenUnits(loan.expectedInterest, decimals),
+    toTokenUnits(loan.realizedInterest, decimals),
+    toTokenUnits(loan.defaultedPrincipal, decimals),
+    toTokenUnits(loan.collected, decimals),
+    loan.createdAt || ''
+  ])
+
+  return [header, ...rows]
+    .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+    .join('\n')
+}
+
+function downloadCsv(portfolio: LenderPortfolio) {
+  const blob = new Blob([portfolioToCsv(portfolio)], { type: 'text/csv;charset=utf-8' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = `portfolio-${portfolio.lender.slice(0, 10)}-${portfolio.chainTime.slice(0, 10)}.csv`
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+export default function PortfolioAnalyticsSection({ portfolio }: PortfolioAnalyticsSectionProps) {
+  const { totals, timeToRepay, token } = portfolio
+
+  const capitalByLoan = portfolio.loans.map(loan => ({
+    name: `#${loan.loanId}`,
+    deployed: toTokenUnits(loan.capitalDeployed, token.decimals),
+    outstanding: toTokenUnits(loan.outstandingPrincipal, token.decimals),
+    interest: toTokenUnits(loan.realizedInterest, token.decimals)
+  }))
+
+  const statusBreakdown = Object.entries(totals.applications)
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => ({ name: status, value: count }))
+
+  return (
+    <Card className="bg-neutral-900/80 border-white/10 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold flex items-center gap-2 text-white">
+          <BarChart3 className="w-6 h-6 text-purple-500" />
+          Portfolio Analytics
+        </h2>
+        <Button
+          onClick={() => downloadCsv(portfolio)}
+          disabled={portfolio.loans.length === 0}
+          variant="outline"
+          size="sm"
+          className="border-white/10"
+        >
+          <Download className="w-4 h-4 mr-2" />
+          Export CSV
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <div className="p-4 rounded-lg bg-neutral-800/50 border border-white/10">
+          <p className="text-sm text-white/60 mb-1">Outstanding Principal</p>
+          <p className="text-xl font-bold text-white">
+            {toTokenUnits(totals.outstandingPrincipal, token.decimals).toFixed(2)} {token.symbol}
+          </p>
+        </div>
+        <div className="p-4 rounded-lg bg-neutral-800/50 border border-white/10">
+          <p className="text-sm text-white/60 mb-1">Default Rate</p>
+          <p className="text-xl font-bold text-white">{formatPercent(totals.defaultRate)}</p>
+          <p className="text-xs text-white/50 mt-1">
+            {totals.applications.defaulted} of {totals.applications.defaulted + totals.applications.repaid} closed
+          </p>
+        </div>
+        <div className="p-4 rounded-lg bg-neutral-800/50 border border-white/10">
+          <p className="text-sm text-white/60 mb-1">Slot Utilisation</p>
+          <p className="text-xl font-bold text-white">{formatPercent(totals.slotUtilisation)}</p>
+          <p className="text-xs text-white/50 mt-1">
+            {totals.fundedApplications} / {totals.totalSlots} slots funded
+          </p>
+        </div>
+        <div className="p-4 rounded-lg bg-neutral-800/50 border border-white/10">
+          <p className="text-sm text-white/60 mb-1">Median Time to Repay</p>
+          <p className="text-xl font-bold text-white">
+            {timeToRepay.medianDays !== null ? `${timeToRepay.medianDays} days` : '—'}
+          </p>
+          <p className="text-xs text-white/50 mt-1">{timeToRepay.count} repaid loans</p>
+        </div>
+      </div>
+
+      {portfolio.loans.length === 0 ? (
+        <p className="text-center text-white/60 py-8">No loan offers yet</p>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="p-4 rounded-lg bg-neutral-800/50 border border-white/10 lg:col-span-2">
+            <h3 className="text-sm font-semibold text-white/80 mb-4">Capital by Loan ({token.symbol})</h3>
+            <ResponsiveContainer width="100%" height={260}>
+              <BarChart data={capitalByLoan}>
+                <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                <XAxis dataKey="name" stroke="rgba(255,255,255,0.6)" />
+                <YAxis stroke="rgba(255,255,255,0.6)" />
+                <Tooltip contentStyle={tooltipStyle} formatter={(value: number) => value.toFixed(2)} />
+                <Legend />
+                <Bar dataKey="deployed" name="Deployed" fill="#8b5cf6" />
+                <Bar dataKey="outstanding" name="Outstanding" fill="#3b82f6" />
+                <Bar dataKey="interest" name="Realized interest" fill="#22c55e" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="p-4 rounded-lg bg-neutral-800/50 border border-white/10">
+            <h3 className="text-sm font-semibold text-white/80 mb-4 flex items-center gap-2">
+              <PieChartIcon className="w-4 h-4" />
+              Applications by Status
+            </h3>
+            {statusBreakdown.length === 0 ? (
+              <p className="text-center text-white/60 py-8">No applications yet</p>
+            ) : (
+              <ResponsiveContainer width="100%" height={240}>
+                <PieChart>
+                  <Pie data={statusBreakdown} dataKey="value" nameKey="name" innerRadius={50} outerRadius={90} paddingAngle={2}>
+                    {statusBreakdown.map(entry => (
+                      <Cell key={entry.name} fill={STATUS_COLORS[entry.name]} />
+                    ))}
+                  </Pie>
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <Legend />
+                </PieChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+
+          <div className="p-4 rounded-lg bg-neutral-800/50 border border-white/10">
+            <h3 className="text-sm font-semibold text-white/80 mb-4 flex items-center gap-2">
+              <Clock className="w-4 h-4" />
+              Time to Repay
+            </h3>
+            {timeToRepay.count === 0 ? (
+              <p className="text-center text-white/60 py-8">No repaid loans yet</p>
+            ) : (
+              <>
+                <ResponsiveContainer width="100%" height={200}>
+                  <BarChart data={timeToRepay.buckets}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
+                    <XAxis dataKey="label" stroke="rgba(255,255,255,0.6)" />
+                    <YAxis allowDecimals={false} stroke="rgba(255,255,255,0.6)" />
+                    <Tooltip contentStyle={tooltipStyle} />
+                    <Bar dataKey="count" name="Loans" fill="#06b6d4" />
+                  </BarChart>
+                </ResponsiveContainer>
+                <p className="text-xs text-white/50 mt-2">
+                  Mean {timeToRepay.meanDays} days · p90 {timeToRepay.p90Days} days
+                  {timeToRepay.meanTermUsed !== null && ` · ${formatPercent(timeToRepay.meanTermUsed)} of term used on average`}
+                </p>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      <p className="text-xs text-white/40 mt-4">
+        From on-chain application states at {new Date(portfolio.chainTime).toLocaleString()}.
+        Loans past their deadline count as defaulted once the {Math.round(portfolio.disputeWindowSeconds / 86400)}-day dispute window closes.
+      </p>
+    </Card>
+  )
+}
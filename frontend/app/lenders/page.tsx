@@ -12,7 +12,8 @@ import RevealOnView from '@/components/reveal-on-view'
 import { formatCurrency, formatAddress } from '@/lib/utils'
 import { connectWallet } from '@/lib/wallet'
 import { StarkNetService } from '@/lib/services/starknet'
-import { loanApi } from '@/lib/services/api'
+import { loanApi, reputationApi, disputeApi, type IdentityEscrowReveal, type ApplicationIdentityEscrow, type Dispute, type LenderPortfolio, type LoanPolicy, type ApplicationEligibility, type ApplicationFlag, type BorrowerReputation } from '@/lib/services/api'
+import PortfolioAnalyticsSection, { toTokenUnits } from './components/PortfolioAnalyticsSection'
 import toast, { Toaster } from 'react-hot-toast'
 import axios from 'axios'
 import { RpcProvider, uint256 } from 'starknet'
@@ -47,6 +48,7 @@ export default function LendersPage() {
     upcomingPayments: 0
   })
   const [loadingStats, setLoadingStats] = useState(false)
+  const [portfolio, setPortfolio] = useState<LenderPortfolio | null>(null)
 
   // Form state for creating loan offers
   const [amount, setAmount] = useState('')
@@ -54,6 +56,11 @@ export default function LendersPage() {
   const [duration, setDuration] = useState('')
   const [interestRate, setInterestRate] = useState('')
   const [minActivityScore, setMinActivityScore] = useState('')
+  // Optional eligibility policy (evaluated by the backend, hash committed on-chain)
+  const [requireVerifiedAge, setRequireVerifiedAge] = useState(false)
+  const [minWalletAgeDays, setMinWalletAgeDays] = useState('')
+  const [maxActiveLoans, setMaxActiveLoans] = useState('')
+  const [minAnnualIncome, setMinAnnualIncome] = useState('')
   const [creatingLoan, setCreatingLoan] = useState(false)
 
   // My loans state
@@ -62,6 +69,8 @@ export default function LendersPage() {
   const [selectedLoan, setSelectedLoan] = useState<any>(null)
   const [applications, setApplications] = useState<any[]>([])
   const [loadingApplications, setLoadingApplications] = useState(false)
+  const [reputations, setReputations] = useState<Record<string, BorrowerReputation>>({})
+  const [disputes, setDisputes] = useState<Record<string, Dispute[]>>({})
 
   // Connect wallet
   const handleConnectWallet = async () => {
@@ -195,43 +204,21 @@ export default function LendersPage() {
     }
   }
 
-  // Fetch lender stats
+  // Fetch lender stats (portfolio analytics from on-chain application states)
   const fetchLenderStats = async (address: string) => {
     setLoadingStats(true)
     try {
-      // Fetch all loans from blockchain
-      const allLoans = await loanApi.getAvailableLoans()
-
-      // Filter loans by this lender
-      const lenderLoans = allLoans.filter((loan: any) => 
-        loan.lender.toLowerCase() === address.toLowerCase()
-      )
-
-      // Calculate stats
-      const totalLent = lenderLoans.reduce((sum: number, loan: any) => {
-        const amount = Number.parseFloat(formatStrkAmount(loan.loanAmount))
-        return sum + amount
-      }, 0)
-
-      const activeLoans = lenderLoans.filter((loan: any) => loan.isActive).length
-
-      // Mock earnings for now (would need repayment tracking)
-      const totalEarnings = lenderLoans.reduce((sum: number, loan: any) => {
-        const amount = Number.parseFloat(formatStrkAmount(loan.loanAmount))
-        const interest = (amount * loan.interestRate) / 100
-        return sum + interest
-      }, 0)
-
-      const averageReturn = lenderLoans.length > 0 
-        ? lenderLoans.reduce((sum: number, loan: any) => sum + loan.interestRate, 0) / lenderLoans.length
-        : 0
+      const data = await loanApi.getLenderPortfolio(address)
+      const { totals, token } = data
 
+      setPortfolio(data)
       setStats({
-        totalLent,
-        activeLoans,
-        totalEarnings,
-        averageReturn,
-        upcomingPayments: activeLoans
+        totalLent: toTokenUnits(totals.capitalDeployed, token.decimals),
+        activeLoans: totals.applications.active + totals.applications.overdue,
+        totalEarnings: toTokenUnits(totals.realizedInterest, token.decimals) +
+          toTokenUnits(totals.expectedInterest, token.decimals),
+        averageReturn: totals.realizedYield * 100,
+        upcomingPayments: totals.applications.active
       })
     } catch (error) {
       console.error('Failed to fetch lender stats:', error)
@@ -335,6 +322,21 @@ export default function LendersPage() {
       const starknetService = new StarkNetService()
       const contractAddresses = starknetService.getContractAddresses()
 
+      // Publish the eligibility policy first so the offer can commit to its hash
+      let policyHash: string | undefined
+      if (requireVerifiedAge || minWalletAgeDays || maxActiveLoans || minAnnualIncome) {
+        const policy: LoanPolicy = {
+          minActivityScore: minScore,
+          requireVerifiedAge: requireVerifiedAge || undefined,
+          minWalletAgeDays: minWalletAgeDays ? Number.parseInt(minWalletAgeDays) : undefined,
+          maxActiveLoans: maxActiveLoans ? Number.parseInt(maxActiveLoans) : undefined,
+          minAnnualIncome: minAnnualIncome ? Number.parseFloat(minAnnualIncome) : undefined
+        }
+        const published = await loanApi.publishLoanPolicy(policy)
+        policyHash = published.policyHash
+        console.log('📜 Policy published:', { policyHash, cid: published.cid })
+      }
+
       const approveCall = starknetService.prepareTokenApproval(
         contractAddresses.loanEscrow,
         totalAmountWei  // Approve total amount (amount per borrower * total slots)
@@ -346,7 +348,8 @@ export default function LendersPage() {
         totalSlots,                  // total_slots (u8)
         interestRateBps,             // interest_rate_bps (will be converted to BigInt then Uint256)
         repaymentPeriodSeconds,      // repayment_period (u64) - in seconds
-        minScore                     // min_activity_score (will be converted to BigInt then Uint256)
+        minScore,                    // min_activity_score (will be converted to BigInt then Uint256)
+        policyHash                   // policy_hash (create_loan_offer_with_policy when set)
       )
 
       console.log('🔄 Executing transactions (approve + create loan)...')
@@ -364,6 +367,10 @@ export default function LendersPage() {
       setDuration('')
       setInterestRate('')
       setMinActivityScore('')
+      setRequireVerifiedAge(false)
+      setMinWalletAgeDays('')
+      setMaxActiveLoans('')
+      setMinAnnualIncome('')
 
       // Refresh data
       setTimeout(() => {
@@ -395,6 +402,8 @@ export default function LendersPage() {
       console.log('✅ Loaded', apps.length, 'applications')
 
       setApplications(apps)
+      loadReputations(apps)
+      loadDisputes(loanId)
     } catch (error) {
       console.error('❌ Failed to load applications:', error)
       toast.error('Failed to load applications')
@@ -404,6 +413,76 @@ export default function LendersPage() {
     }
   }
 
+  /**
+   * Load each applicant's repayment history across loans (aggregate counts only)
+   */
+  const loadReputations = async (apps: any[]) => {
+    const commitments = Array.from(new Set(apps.map(app => app.borrowerCommitment).filter(Boolean))) as string[]
+    const results = await Promise.allSettled(commitments.map(commitment => reputationApi.getReputation(commitment)))
+
+    const loaded: Record<string, BorrowerReputation> = {}
+    results.forEach((result, i) => {
+      if (result.status === 'fulfilled') {
+        loaded[commitments[i]] = result.value
+      } else {
+        console.warn('⚠️ Could not load reputation for', commitments[i].slice(0, 20))
+      }
+    })
+    setReputations(loaded)
+  }
+
+  /**
+   * Load disputes raised by this loan's borrowers, keyed by commitment
+   */
+  const loadDisputes = async (loanId: string) => {
+    try {
+      const loaded: Record<string, Dispute[]> = {}
+      for (const dispute of await disputeApi.list({ loanId })) {
+        const key = BigInt(dispute.commitment).toString()
+        loaded[key] = [...(loaded[key] || []), dispute]
+      }
+      setDisputes(loaded)
+    } catch (error) {
+      console.warn('⚠️ Could not load disputes for loan', loanId, error)
+      setDisputes({})
+    }
+  }
+
+  /**
+   * Uphold or reject a borrower's dispute, signed by the lender wallet
+   */
+  const resolveDispute = async (dispute: Dispute, decision: 'upheld' | 'rejected') => {
+    try {
+      const starknet = (globalThis as any).starknet
+      if (!starknet?.account) {
+        toast.error('Please connect your wallet first')
+        return
+      }
+
+      toast.loading('Preparing resolution...', { id: 'dispute' })
+      const { typedData, issuedAt } = await disputeApi.prepareResolution(dispute.id, decision)
+
+      toast.loading('Sign the resolution in your wallet...', { id: 'dispute' })
+      const signature = await starknet.account.signMessage(typedData)
+
+      await disputeApi.resolve(dispute.id, {
+        decision,
+        issuedAt,
+        signature: Array.isArray(signature) ? signature : [signature.r, signature.s].map((value: bigint) => '0x' + value.toString(16))
+      })
+
+      console.log('⚖️ Dispute resolved:', dispute.id, decision)
+      toast.success(
+        decision === 'upheld' ? 'Dispute upheld. The borrower\'s identity stays sealed.' : 'Dispute rejected.',
+        { id: 'dispute' }
+      )
+      await loadDisputes(dispute.loanId)
+    } catch (error: any) {
+      console.error('❌ Failed to resolve dispute:', error)
+      toast.error('Failed to resolve dispute: ' + (error.response?.data?.error || error.message), { id: 'dispute' })
+    }
+  }
+
   /**
    * Approve borrower and transfer funds - ON-CHAIN IMPLEMENTATION
    */
@@ -547,10 +626,10 @@ export default function LendersPage() {
       console.log('📋 Application status from backend:', app.status)
       console.log('📋 Full application data:', app)
 
-      if (app.status !== 'approved') {
-        console.error('❌ Application status is not "approved":', app.status)
+      if (app.status !== 'approved' && app.status !== 'defaulted') {
+        console.error('❌ Application status is not "approved" or "defaulted":', app.status)
         toast.error(
-          `Cannot reveal: Loan status is "${app.status}". Only approved loans can be revealed.`,
+          `Cannot reveal: Loan status is "${app.status}". Only approved or defaulted loans can be revealed.`,
           { id: 'reveal', duration: 7000 }
         )
         return
@@ -576,6 +655,20 @@ export default function LendersPage() {
         return
       }
 
+      // A dispute that is open, or upheld by this lender, blocks the reveal
+      const disputes = await disputeApi.list({ loanId, commitment: borrowerCommitment })
+      const blockingDispute = disputes.find((dispute) => dispute.status !== 'rejected')
+      if (blockingDispute) {
+        toast.error(
+          blockingDispute.status === 'open'
+            ? 'The borrower has disputed this default. Resolve the dispute before revealing.'
+            : 'You upheld the borrower\'s dispute for this loan. Identity cannot be revealed.',
+          { id: 'reveal', duration: 8000 }
+        )
+        console.log('⚖️ Reveal blocked by dispute:', blockingDispute.id, blockingDispute.status)
+        return
+      }
+
       const daysOverdue = Math.floor((now.getTime() - deadline.getTime()) / (1000 * 60 * 60 * 24))
       const hoursOverdue = Math.floor((now.getTime() - deadline.getTime()) / (1000 * 60 * 60))
       const minutesOverdue = Math.floor((now.getTime() - deadline.getTime()) / (1000 * 60))
@@ -675,13 +768,13 @@ export default function LendersPage() {
           }
         }
 
-        const statusNames = ['pending', 'approved', 'repaid', 'overdue']
+        const statusNames = ['pending', 'approved', 'repaid', 'defaulted']
         const statusName = statusNames[onChainStatus] || `unknown(${onChainStatus})`
 
         console.log('🔍 On-chain status:', statusName, '(value:', onChainStatus, 'at index:', statusIndex, ')')
         console.log('🔍 Backend says:', app.status)
 
-        if (onChainStatus !== 1) { // 1 = approved
+        if (onChainStatus !== 1 && onChainStatus !== 3) { // 1 = approved, 3 = defaulted
           toast.error(
             `❌ Cannot reveal: Loan status on blockchain is "${statusName}". Backend says "${app.status}" but they're out of sync!`,
             { id: 'reveal', duration: 10000 }
@@ -771,15 +864,23 @@ export default function LendersPage() {
       await provider.waitForTransaction(revealTx.transaction_hash)
       console.log('✅ Identity revealed on blockchain!')
 
-      // Get the revealed identity from the backend (which reads from contract)
-      const revealResponse = await axios.get(
-        `${process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:3000'}/api/loan/${loanId}/reveal/${borrowerCommitment}`
-      )
+      // Get the revealed identity from the backend (which reads from contract), signed as the
+      // lender; it also collects and decrypts the identity package escrowed for this application
+      toast.loading('Collecting trustee shares for the identity package...', { id: 'reveal' })
+      const revealData = await loanApi.revealBorrower(loanId, borrowerCommitment)
 
       // Show the revealed identity
-      const borrowerIdentity = revealResponse.data.commitment || borrowerCommitment
+      const borrowerIdentity = revealData.commitment || borrowerCommitment
       // Show BOTH commitments to the user
-      const borrowerWallet = revealResponse.data.borrower || app.borrower
+      const borrowerWallet = revealData.borrower || app.borrower
+      const escrow: IdentityEscrowReveal | null = revealData.identityEscrow
+      const escrowText = !escrow
+        ? 'No identity package was escrowed for this application.'
+        : escrow.revealed
+          ? `Escrowed identity (${escrow.package.cid}):\n${JSON.stringify(escrow.identityData, null, 2)}`
+          : `Identity package ${escrow.package.cid} not decrypted yet: ` +
+            escrow.collection.map(result => `trustee_${result.trusteeIndex + 1} ${result.status}`).join(', ')
+      console.log('🔐 Identity package:', escrow)
 
       const overdueText = daysOverdue > 0 
         ? `${daysOverdue} day(s)` 
@@ -821,6 +922,7 @@ export default function LendersPage() {
         `📝 Transaction: ${revealTx.transaction_hash.slice(0, 10)}...\n\n` +
         `⚠️ The borrower failed to repay within the deadline.\n` +
         `✅ Identity revealed on-chain via smart contract.\n\n` +
+        `🔐 ${escrowText}\n\n` +
         `💡 The Identity Commitment is the borrower's permanent identity for reputation tracking.\n` +
         `💡 The Activity Commitment is specific to this loan application.`
       )
@@ -1072,7 +1174,7 @@ export default function LendersPage() {
                         <DollarSign className="w-6 h-6 text-white" />
                       </div>
                       <div>
-                        <p className="text-sm text-white/70">Total Lent</p>
+                        <p className="text-sm text-white/70">Capital Deployed</p>
                         <p className="text-2xl font-bold text-white">
                           {loadingStats ? (
                             <Loader2 className="w-6 h-6 animate-spin" />
@@ -1090,7 +1192,7 @@ export default function LendersPage() {
                         <Users className="w-6 h-6 text-white" />
                       </div>
                       <div>
-                        <p className="text-sm text-white/70">Active Loans</p>
+                        <p className="text-sm text-white/70">Active Borrowers</p>
                         <p className="text-2xl font-bold text-white">
                           {loadingStats ? (
                             <Loader2 className="w-6 h-6 animate-spin" />
@@ -1108,7 +1210,7 @@ export default function LendersPage() {
                         <TrendingUp className="w-6 h-6 text-white" />
                       </div>
                       <div>
-                        <p className="text-sm text-white/70">Potential Earnings</p>
+                        <p className="text-sm text-white/70">Realized + Expected Interest</p>
                         <p className="text-2xl font-bold text-white">
                           {loadingStats ? (
                             <Loader2 className="w-6 h-6 animate-spin" />
@@ -1126,7 +1228,7 @@ export default function LendersPage() {
                         <TrendingUp className="w-6 h-6 text-white" />
                       </div>
                       <div>
-                        <p className="text-sm text-white/70">Avg Interest</p>
+                        <p className="text-sm text-white/70">Realized Yield</p>
                         <p className="text-2xl font-bold text-white">
                           {loadingStats ? (
                             <Loader2 className="w-6 h-6 animate-spin" />
@@ -1157,6 +1259,12 @@ export default function LendersPage() {
                   </Card>
                 </div>
               </RevealOnView>
+
+              {portfolio && (
+                <div className="mt-6">
+                  <PortfolioAnalyticsSection portfolio={portfolio} />
+                </div>
+              )}
             </div>
           </section>
 
@@ -1243,6 +1351,61 @@ export default function LendersPage() {
                     <p className="text-xs text-white/60">Minimum activity score required for borrowers</p>
                   </div>
 
+                  <div className="space-y-4 rounded-lg border border-white/10 bg-black/20 p-4">
+                    <div>
+                      <p className="text-sm font-semibold text-white/90">Eligibility Policy (optional)</p>
+                      <p className="text-xs text-white/60">
+                        Applicants are checked against these criteria and marked eligible or ineligible. The policy is stored on IPFS and its hash is committed with the offer.
+                      </p>
+                    </div>
+
+                    <label className="flex items-center gap-2 text-sm text-white/80">
+                      <input
+                        type="checkbox"
+                        checked={requireVerifiedAge}
+                        onChange={(e) => setRequireVerifiedAge(e.target.checked)}
+                      />
+                      Require an age-verified identity commitment
+                    </label>
+
+                    <div className="grid grid-cols-3 gap-3">
+                      <div className="space-y-2">
+                        <Label htmlFor="minWalletAge" className="text-white/90">Min Wallet Age (days)</Label>
+                        <Input
+                          id="minWalletAge"
+                          type="number"
+                          placeholder="e.g., 90"
+                          value={minWalletAgeDays}
+                          onChange={(e) => setMinWalletAgeDays(e.target.value)}
+                          className="bg-neutral-800 border-white/10 text-white placeholder:text-white/40"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="maxActiveLoans" className="text-white/90">Max Active Loans</Label>
+                        <Input
+                          id="maxActiveLoans"
+                          type="number"
+                          placeholder="e.g., 2"
+                          value={maxActiveLoans}
+                          onChange={(e) => setMaxActiveLoans(e.target.value)}
+                          className="bg-neutral-800 border-white/10 text-white placeholder:text-white/40"
+                        />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="minIncome" className="text-white/90">Min Annual Income</Label>
+                        <Input
+                          id="minIncome"
+                          type="number"
+                          placeholder="e.g., 40000"
+                          value={minAnnualIncome}
+                          onChange={(e) => setMinAnnualIncome(e.target.value)}
+                          className="bg-neutral-800 border-white/10 text-white placeholder:text-white/40"
+                        />
+                      </div>
+                    </div>
+                    <p className="text-xs text-white/60">Income is checked against the borrower's latest payroll attestation (last 90 days)</p>
+                  </div>
+
                   <Button
                     onClick={handleCreateOffer}
                     disabled={creatingLoan}
@@ -1482,9 +1645,10 @@ export default function LendersPage() {
                 ) : (
                   <div className="space-y-4">
                     {applications.map((app, index) => {
-                      const isOverdue = app.status === 'approved' && 
+                      const isOverdue = app.status === 'defaulted' || (
+                                        app.status === 'approved' && 
                                         app.repaymentDeadline && 
-                                        new Date(app.repaymentDeadline) < new Date()
+                                        new Date(app.repaymentDeadline) < new Date())
 
                       return (
                         <div 
@@ -1533,6 +1697,7 @@ export default function LendersPage() {
                             }`}>
                               {app.status === 'pending' && 'PENDING'}
                               {app.status === 'approved' && (isOverdue ? 'OVERDUE' : 'APPROVED')}
+                              {app.status === 'defaulted' && 'DEFAULTED'}
                               {app.status === 'repaid' && 'REPAID'}
                             </Badge>
                           </div>
@@ -1570,6 +1735,76 @@ export default function LendersPage() {
                             </div>
                           </div>
 
+                          {/* Repayment history across loans */}
+                          {reputations[app.borrowerCommitment] && (
+                            <div className="bg-black/30 rounded-lg p-4 mb-4 border border-white/5">
+                              <p className="text-xs text-white/50 mb-2">📒 Borrower History (all loans)</p>
+                              <div className="grid grid-cols-5 gap-2 text-center">
+                                {[
+                                  { label: 'Taken', value: reputations[app.borrowerCommitment].counts.loansTaken, color: 'text-white' },
+                                  { label: 'On time', value: reputations[app.borrowerCommitment].counts.repaidOnTime, color: 'text-green-400' },
+                                  { label: 'Late', value: reputations[app.borrowerCommitment].counts.repaidLate, color: 'text-yellow-400' },
+                                  { label: 'Defaulted', value: reputations[app.borrowerCommitment].counts.defaulted, color: 'text-red-400' },
+                                  { label: 'Revealed', value: reputations[app.borrowerCommitment].counts.revealed, color: 'text-orange-400' }
+                                ].map(item => (
+                                  <div key={item.label}>
+                                    <p className={`text-lg font-bold ${item.color}`}>{item.value}</p>
+                                    <p className="text-xs text-white/50">{item.label}</p>
+                                  </div>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+
+                          {/* Eligibility under the loan's policy */}
+                          {app.eligibility && (
+                            <div className={`rounded-lg p-4 mb-4 border ${
+                              app.eligibility.eligible
+                                ? 'bg-green-500/10 border-green-500/30'
+                                : 'bg-orange-500/10 border-orange-500/30'
+                            }`}>
+                              <div className="flex items-center gap-2 mb-1">
+                                {app.eligibility.eligible
+                                  ? <CheckCircle className="w-4 h-4 text-green-400" />
+                                  : <XCircle className="w-4 h-4 text-orange-400" />}
+                                <p className={`text-sm font-semibold ${app.eligibility.eligible ? 'text-green-400' : 'text-orange-300'}`}>
+                                  {app.eligibility.eligible ? 'Eligible under loan policy' : 'Ineligible under loan policy'}
+                                </p>
+                              </div>
+                              {(app.eligibility as ApplicationEligibility).reasons.map((reason, i) => (
+                                <p key={i} className="text-xs text-white/70">• {reason}</p>
+                              ))}
+                            </div>
+                          )}
+
+                          {/* Income attestation changes reported by the borrower's payroll provider */}
+                          {app.flags?.length > 0 && (
+                            <div className="bg-red-500/10 border border-red-500/30 rounded-lg p-4 mb-4">
+                              <p className="text-sm font-semibold text-red-400 mb-2">🚩 Income attestation changed</p>
+                              {(app.flags as ApplicationFlag[]).map((flag, i) => (
+                                <p key={i} className="text-xs text-white/70">
+                                  • {flag.reason === 'income_decreased'
+                                    ? 'Payroll provider reported a lower income'
+                                    : 'Attestation revoked (employment ended or access withdrawn)'}
+                                  {' '}on {new Date(flag.createdAt).toLocaleDateString()}
+                                </p>
+                              ))}
+                            </div>
+                          )}
+
+                          {/* Identity package escrowed with the trustees, revealed on default */}
+                          <div className={`rounded-lg p-3 mb-4 border text-xs ${
+                            app.identityEscrow?.anchored
+                              ? 'bg-green-500/10 border-green-500/30 text-green-300'
+                              : 'bg-orange-500/10 border-orange-500/30 text-orange-300'
+                          }`}>
+                            {!app.identityEscrow
+                              ? '⚠️ No identity package escrowed - a default only reveals the wallet and commitment'
+                              : (app.identityEscrow as ApplicationIdentityEscrow).anchored
+                                ? `🔐 Identity escrowed (${app.identityEscrow.cid.slice(0, 12)}...), hash attached on-chain`
+                                : `🔐 Identity escrowed (${app.identityEscrow.cid.slice(0, 12)}...), hash not attached on-chain, it cannot be revealed`}
+                          </div>
+
                           {/* Status-specific info */}
                           {app.status === 'approved' && app.approvedAt && (
                             <div className="bg-gradient-to-r from-green-500/10 to-emerald-500/10 border border-green-500/30 rounded-lg p-4 mb-4">
@@ -1600,13 +1835,64 @@ export default function LendersPage() {
                             </div>
                           )}
 
+                          {(disputes[BigInt(app.borrowerCommitment).toString()] || []).map((dispute) => (
+                            <div key={dispute.id} className="bg-purple-500/10 border border-purple-500/30 rounded-lg p-4 mb-4">
+                              <div className="flex items-center justify-between mb-2">
+                                <p className="text-sm font-semibold text-purple-300">⚖️ Borrower Dispute</p>
+                                <Badge className="bg-purple-500/20 text-purple-300 border-purple-500/40">{dispute.status}</Badge>
+                              </div>
+                              <p className="text-sm text-white/80 mb-2">{dispute.reason}</p>
+                              {dispute.evidence.repaymentTxHash && (
+                                <a
+                                  href={`https://sepolia.voyager.online/tx/${dispute.evidence.repaymentTxHash}`}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="block text-xs font-mono text-blue-400 hover:text-blue-300 mb-1"
+                                >
+                                  Repayment tx {dispute.evidence.repaymentTxHash.slice(0, 12)}...
+                                  {dispute.evidence.repaymentTx && ` (${dispute.evidence.repaymentTx.found
+                                    ? `${dispute.evidence.repaymentTx.executionStatus || dispute.evidence.repaymentTx.finalityStatus}`
+                                    : 'not found on-chain'})`}
+                                </a>
+                              )}
+                              {dispute.evidence.note && (
+                                <p className="text-xs text-white/60 mb-1">{dispute.evidence.note}</p>
+                              )}
+                              <p className="text-xs text-white/50 mb-3">
+                                Opened {new Date(dispute.openedAt).toLocaleString()}
+                                {dispute.resolvedAt && ` · resolved ${new Date(dispute.resolvedAt).toLocaleString()}`}
+                              </p>
+                              {dispute.status === 'open' && (
+                                <div className="grid grid-cols-2 gap-2">
+                                  <Button
+                                    onClick={() => resolveDispute(dispute, 'upheld')}
+                                    variant="outline"
+                                    className="border-green-500/40 text-green-300 hover:bg-green-500/10"
+                                    size="sm"
+                                  >
+                                    Uphold
+                                  </Button>
+                                  <Button
+                                    onClick={() => resolveDispute(dispute, 'rejected')}
+                                    variant="outline"
+                                    className="border-red-500/40 text-red-300 hover:bg-red-500/10"
+                                    size="sm"
+                                  >
+                                    Reject
+                                  </Button>
+                                </div>
+                              )}
+                            </div>
+                          ))}
+
                           {isOverdue && (
                             <div className="bg-gradient-to-r from-red-500/20 to-orange-500/20 border border-red-500/50 rounded-lg p-4 mb-4">
                               <p className="text-sm font-bold text-red-300 mb-2">
-                                ⚠️ LOAN OVERDUE
+                                ⚠️ {app.status === 'defaulted' ? 'LOAN DEFAULTED' : 'LOAN OVERDUE'}
                               </p>
                               <p className="text-xs text-white/70 mb-3">
                                 Borrower missed repayment deadline
+                                {app.defaultedAt && ` · marked defaulted ${new Date(app.defaultedAt).toLocaleString()}`}
                               </p>
                               <Button
                                 onClick={() => revealBorrowerIdentity(selectedLoan, app.borrowerCommitment)}
@@ -216,14 +216,19 @@ export function useWalletAndLoans() {
     }
 
     setIsAnalyzing(true)
+    const toastId = toast.loading('Scanning wallet activity...')
     try {
-      const data = await activityApi.getActivityData(wallet.address)
+      const data = await activityApi.streamActivityData(wallet.address, (progress) => {
+        if (progress.stage === 'scan') {
+          toast.loading(`Scanning ${progress.token} blocks ${progress.fromBlock}-${progress.toBlock}...`, { id: toastId })
+        }
+      })
       setActivityData(data)
-      toast.success('Activity analysis complete!')
+      toast.success('Activity analysis complete!', { id: toastId })
       return data
     } catch (error: any) {
       console.error('Activity analysis failed:', error)
-      toast.error('Failed to analyze wallet activity')
+      toast.error('Failed to analyze wallet activity', { id: toastId })
     } finally {
       setIsAnalyzing(false)
     }
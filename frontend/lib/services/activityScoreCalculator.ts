@@ -1,112 +1,47 @@
 /**
  * Activity Score Calculator
  * Calculates wallet activity score (0-1000) based on real transaction data
- * Ported from test frontend - WORKING VERSION
+ * Scoring formulas live in the shared engine (shared/scoring) used by the backend too
  */
 
+import { scoreActivity, listModels, DEFAULT_MODEL } from '../../../shared/scoring'
+
 export class ActivityScoreCalculator {
   /**
    * Calculate comprehensive activity score from wallet metrics
+   * @param metrics - Wallet metrics from starknetService.calculateActivityMetrics
+   * @param modelId - Scoring model id (defaults to the shared default model)
    */
-  calculateScore(metrics: any) {
+  calculateScore(metrics: any, modelId: string = DEFAULT_MODEL) {
     console.log('🎯 Calculating activity score from metrics:', metrics)
 
-    const scores = {
-      balanceScore: this.calculateBalanceScore(metrics.balance),
-      transactionCountScore: this.calculateTransactionCountScore(metrics.txCount),
-      volumeScore: this.calculateVolumeScore(metrics.totalVolume),
-      consistencyScore: this.calculateConsistencyScore(metrics),
-      recentActivityBonus: this.calculateRecentActivityBonus(metrics.recentTxCount),
-      total: 0,
+    const result = scoreActivity(metrics, modelId)
+
+    const scores: any = {
+      ...result.components,
+      total: result.total,
+      model: result.model,
       metrics: {
         balance: metrics.balance,
         txCount: metrics.txCount,
         totalVolume: metrics.totalVolume,
         walletAge: metrics.walletAge,
-        recentTxCount: metrics.recentTxCount
+        recentTxCount: metrics.recentTxCount,
+        uniqueCounterparties: metrics.uniqueCounterparties
       }
     }
 
-    // Calculate total (capped at 1000)
-    scores.total = Math.min(
-      scores.balanceScore +
-      scores.transactionCountScore +
-      scores.volumeScore +
-      scores.consistencyScore +
-      scores.recentActivityBonus,
-      1000
-    )
-
-    console.log('✅ Activity score calculated:', scores.total)
-    console.log('📊 Score breakdown:', {
-      balance: scores.balanceScore,
-      txCount: scores.transactionCountScore,
-      volume: scores.volumeScore,
-      consistency: scores.consistencyScore,
-      bonus: scores.recentActivityBonus
-    })
+    console.log('✅ Activity score calculated:', scores.total, `(${result.model})`)
+    console.log('📊 Score breakdown:', result.components)
 
     return scores
   }
 
   /**
-   * Balance Score (0-300 points)
-   */
-  calculateBalanceScore(balance: number) {
-    if (balance >= 50) return 300
-    if (balance >= 10) return 150 + Math.round((balance - 10) * 2.5)
-    if (balance >= 1) return 50 + Math.round((balance - 1) * 11.11)
-    return Math.round(balance * 50)
-  }
-
-  /**
-   * Transaction Count Score (0-400 points)
-   */
-  calculateTransactionCountScore(txCount: number) {
-    if (txCount === 0) return 0
-    if (txCount <= 10) return txCount * 5
-    if (txCount <= 50) return 50 + ((txCount - 10) * 3)
-    if (txCount <= 100) return 170 + ((txCount - 50) * 2)
-    return Math.min(270 + (txCount - 100), 400)
-  }
-
-  /**
-   * Volume Score (0-200 points)
+   * Available scoring models
    */
-  calculateVolumeScore(totalVolume: number) {
-    if (totalVolume >= 100) return 200
-    if (totalVolume >= 10) return 50 + Math.round((totalVolume - 10) * 1.11)
-    return Math.round(totalVolume * 5)
-  }
-
-  /**
-   * Consistency Score (0-150 points)
-   */
-  calculateConsistencyScore(metrics: any) {
-    const { txCount, walletAge, recentTxCount } = metrics
-
-    if (txCount === 0) return 0
-
-    const walletAgeDays = walletAge / (24 * 60 * 60)
-    const txPerDay = walletAgeDays > 0 ? txCount / walletAgeDays : 0
-
-    let score = 0
-
-    if (txPerDay >= 0.14) score += 50
-    if (txPerDay >= 1) score += 50
-    if (recentTxCount > 0) score += Math.min(recentTxCount * 10, 50)
-
-    return Math.min(score, 150)
-  }
-
-  /**
-   * Recent Activity Bonus (0-50 points)
-   */
-  calculateRecentActivityBonus(recentTxCount: number) {
-    if (recentTxCount >= 11) return 50
-    if (recentTxCount >= 6) return 25
-    if (recentTxCount >= 1) return 10
-    return 0
+  getModels() {
+    return listModels()
   }
 
   /**
@@ -159,24 +94,30 @@ export class ActivityScoreCalculator {
   getImprovementSuggestions(scoreData: any) {
     const suggestions: string[] = []
 
-    if (scoreData.balanceScore < 100) {
+    if (scoreData.balanceScore !== undefined && scoreData.balanceScore < 100) {
       suggestions.push(
         `💰 Increase your STRK balance to improve score (Current: ${scoreData.metrics.balance.toFixed(2)} STRK)`
       )
     }
 
-    if (scoreData.transactionCountScore < 100) {
+    if (scoreData.transactionCountScore !== undefined && scoreData.transactionCountScore < 100) {
       suggestions.push(
         `📊 Make more transactions to demonstrate wallet activity (Current: ${scoreData.metrics.txCount} transactions)`
       )
     }
 
-    if (scoreData.volumeScore < 50) {
+    if (scoreData.volumeScore !== undefined && scoreData.volumeScore < 50) {
       suggestions.push(
         `💸 Increase transaction volume to show financial activity (Current: ${scoreData.metrics.totalVolume.toFixed(2)} STRK total)`
       )
     }
 
+    if (scoreData.counterpartyScore !== undefined && scoreData.counterpartyScore < 100) {
+      suggestions.push(
+        `🤝 Transact with more distinct addresses (Current: ${scoreData.metrics.uniqueCounterparties || 0} counterparties)`
+      )
+    }
+
     if (scoreData.recentActivityBonus === 0) {
       suggestions.push(
         '⏰ Make some recent transactions (last 7 days activity counts more)'
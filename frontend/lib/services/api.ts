@@ -4,6 +4,9 @@
  */
 
 import axios, { AxiosInstance } from 'axios'
+import { zkProofService } from './zkProofService'
+import { signRequest, signedPost, type SigningAccount } from './signedRequest'
+import type { GenerateIncomeProofOptions, IncomeProofData, IncomeProofRecord } from './zkProofService'
 
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3000'
 
@@ -54,6 +57,197 @@ export interface LoanApplication {
   identityRevealed: boolean
 }
 
+export interface LoanPolicy {
+  version?: number
+  minActivityScore?: number
+  requireVerifiedAge?: boolean
+  minWalletAgeDays?: number
+  maxActiveLoans?: number
+  minAnnualIncome?: number
+}
+
+export interface PublishedLoanPolicy {
+  policy: LoanPolicy
+  policyHash: string
+  cid: string
+  gatewayUrl: string | null
+}
+
+export interface PolicyCheck {
+  criterion: keyof LoanPolicy
+  required: number | boolean
+  actual: number | boolean | null
+  passed: boolean
+  reason: string | null
+}
+
+export interface ApplicationEligibility {
+  eligible: boolean
+  reasons: string[]
+  checks: PolicyCheck[]
+}
+
+/** Raised by a payroll webhook when the applicant's income attestation was revoked or lowered */
+export interface ApplicationFlag {
+  loanId: string
+  commitment: string
+  borrower: string
+  reason: 'income_attestation_revoked' | 'income_decreased'
+  attestationId: number | null
+  eventId: string | null
+  createdAt: string
+}
+
+export interface BorrowerReputation {
+  commitment: string
+  counts: {
+    applications: number
+    loansTaken: number
+    active: number
+    repaidOnTime: number
+    repaidLate: number
+    defaulted: number
+    revealed: number
+  }
+  disputeWindowSeconds: number
+  chainTime: string
+  indexedThroughBlock: number | null
+}
+
+export type DisputeStatus = 'open' | 'upheld' | 'rejected'
+
+export interface DisputeEvidence {
+  repaymentTxHash?: string
+  note?: string
+  repaymentTx?: { found: boolean; finalityStatus: string | null; executionStatus: string | null }
+}
+
+export interface DisputeHistoryEntry {
+  action: string
+  actor: string
+  status: DisputeStatus
+  at: string
+  decision?: 'upheld' | 'rejected'
+}
+
+export interface Dispute {
+  id: string
+  loanId: string
+  commitment: string
+  borrower: string
+  lender: string
+  status: DisputeStatus
+  reason: string
+  evidence: DisputeEvidence
+  evidenceHash: string
+  windowEndsAt: string
+  openedAt: string
+  resolvedAt: string | null
+  resolution: { decision: 'upheld' | 'rejected'; note: string | null; resolvedBy: string } | null
+  history: DisputeHistoryEntry[]
+}
+
+// SNIP-12 typed data prepared by the backend for the wallet to sign
+export interface PreparedDisputeMessage {
+  typedData: any
+  issuedAt: number
+  evidenceHash?: string
+}
+
+export interface PortfolioApplicationCounts {
+  pending: number
+  active: number
+  overdue: number
+  defaulted: number
+  repaid: number
+}
+
+// Amounts are wei strings (STRK, 18 decimals); rates are fractions (0.1 = 10%)
+export interface PortfolioLoan {
+  loanId: string
+  status: 'active' | 'funded' | 'cancelled' | 'unknown'
+  amountPerBorrower: string
+  interestRateBps: string
+  repaymentPeriod: number
+  createdAt: string | null
+  totalSlots: number
+  filledSlots: number
+  fundedApplications: number
+  slotUtilisation: number
+  applications: PortfolioApplicationCounts
+  capitalCommitted: string
+  capitalDeployed: string
+  outstandingPrincipal: string
+  expectedInterest: string
+  realizedInterest: string
+  repaidPrincipal: string
+  defaultedPrincipal: string
+  collected: string
+}
+
+export interface PortfolioTotals {
+  loans: number
+  activeOffers: number
+  capitalCommitted: string
+  capitalDeployed: string
+  outstandingPrincipal: string
+  expectedInterest: string
+  realizedInterest: string
+  collected: string
+  defaultedPrincipal: string
+  realizedYield: number
+  defaultRate: number
+  totalSlots: number
+  fundedApplications: number
+  slotUtilisation: number
+  applications: PortfolioApplicationCounts
+}
+
+export interface TimeToRepayDistribution {
+  count: number
+  buckets: { label: string; count: number }[]
+  meanDays: number | null
+  medianDays: number | null
+  p90Days: number | null
+  meanTermUsed: number | null
+}
+
+export interface LenderPortfolio {
+  lender: string
+  chainTime: string
+  disputeWindowSeconds: number
+  indexedThroughBlock: number | null
+  token: { symbol: string; decimals: number }
+  totals: PortfolioTotals
+  timeToRepay: TimeToRepayDistribution
+  loans: PortfolioLoan[]
+}
+
+export interface TokenTransferTotals {
+  count: number
+  totalAmount: string
+  totalAmountFormatted: string
+  totalUsd: number
+}
+
+export interface TokenActivity {
+  symbol: string
+  name: string
+  address: string
+  decimals: number
+  priceUsd: number
+  balance: string
+  balanceFormatted: string
+  balanceUsd: number
+  transferCount: number
+  cachedBlocks: number
+  scannedBlocks: number
+  sent: TokenTransferTotals
+  received: TokenTransferTotals
+  volumeUsd: number
+  shareOfVolume: number
+}
+
 export interface ActivityData {
   walletAddress: string
   totalTransactions: number
@@ -61,10 +255,26 @@ export interface ActivityData {
   receivedTransactions: any[]
   totalVolume: string
   totalVolumeFormatted: string
+  totalVolumeUsd?: number
+  balanceUsd?: number
+  tokens?: TokenActivity[]
   score: number
   averageTransactionValue: string
 }
 
+export interface ActivityProgress {
+  stage: 'start' | 'scan' | 'token' | 'score'
+  token?: string
+  fromBlock?: number
+  toBlock?: number
+  page?: number
+  events?: number
+  transfers?: number
+  cachedBlocks?: number
+  scannedBlocks?: number
+  [key: string]: any
+}
+
 export interface IdentityVerification {
   success: boolean
   commitment: string
@@ -77,6 +287,89 @@ export interface IdentityVerification {
   message: string
 }
 
+/** Predicates a loan asks for, as the public inputs of an idPredicates proof */
+export interface IdentityPredicateRequest {
+  loanId: string
+  minAgeSeconds: number
+  maxAgeSeconds: number
+  expiresAfterOffset: number
+  sanctionsRoot: string
+  excludedNationalities: string[]
+  requirements: {
+    minAge: number
+    maxAge: number
+    excludedNationalities: string[]
+    documentValidThroughDeadline: boolean
+  }
+}
+
+/** Verified identity predicate proof recorded for a wallet and loan */
+export interface IdentityPredicateProofRecord {
+  walletAddress: string
+  loanId: string
+  identityCommitment: string
+  attributesCommitment: string
+  minAgeSeconds: number
+  maxAgeSeconds: number
+  expiresAfter: number
+  sanctionsRoot: string
+  issuedAt: number
+  provenBy: 'browser' | 'server'
+  verifiedAt: string
+}
+
+/** A share delivery of an identity package; delivered shares carry the trustee's signed receipt */
+export interface IdentityEscrowReceipt {
+  shareId: string
+  status: 'delivered' | 'failed' | 'skipped'
+  shareHash: string
+  receivedAt: string | null
+  auditSeq: number | null
+  signature: string | null
+  error: string | null
+}
+
+/** Encrypted identity escrowed for one loan application */
+export interface IdentityEscrowPackage {
+  loanId: string
+  commitment: string
+  borrower: string
+  cid: string
+  gatewayUrl: string
+  threshold: number
+  total: number
+  escrowHash: string
+  delivered: number
+  escrowed: boolean
+  anchored: boolean
+  anchoredHash: string | null
+  receipts: IdentityEscrowReceipt[]
+  createdAt: string
+  revealedAt: string | null
+  /** Returned on creation: the borrower's attach_identity_escrow call */
+  anchorCall?: { contractAddress: string; entrypoint: string; calldata: string[] }
+}
+
+/** Identity package of an application in the lender's applications list */
+export interface ApplicationIdentityEscrow {
+  cid: string
+  escrowHash: string
+  anchored: boolean
+  createdAt: string
+  revealedAt: string | null
+}
+
+/** Outcome of collecting and decrypting an application's identity package */
+export interface IdentityEscrowReveal {
+  package: IdentityEscrowPackage
+  revealed: boolean
+  identityData: any | null
+  sharesUsed?: number
+  usedShareIds?: string[]
+  faultyTrustees: { shareId: string | null; reason: string }[]
+  collection: { trusteeIndex: number; status: 'collected' | 'refused' | 'failed'; shareId?: string; error?: string; releasableAt?: string | null }[]
+}
+
 // ====== PROOF API ======
 
 export const proofApi = {
@@ -89,10 +382,11 @@ export const proofApi = {
   },
 
   /**
-   * Generate ZK proof (server-side generation)
+   * Generate ZK proof (server-side generation, sends the score to the backend)
+   * The backend refuses unless serverProvingConsent is true.
    */
-  generateProof: async (salary: number, threshold: number, salt: string): Promise<ZKProof> => {
-    const response = await api.post('/api/proof/generate', { salary, threshold, salt })
+  generateProof: async (salary: number, threshold: number, salt: string, serverProvingConsent = false): Promise<ZKProof> => {
+    const response = await api.post('/api/proof/generate', { salary, threshold, salt, serverProvingConsent })
     return response.data
   },
 
@@ -104,6 +398,14 @@ export const proofApi = {
     return response.data
   },
 
+  /**
+   * Verify ZK proof and attest it on the ActivityVerifier contract
+   */
+  attestProof: async (proof: any, publicSignals: any[]): Promise<any> => {
+    const response = await api.post('/api/proof/attest', { proof, publicSignals })
+    return response.data
+  },
+
   /**
    * Generate commitment hash
    */
@@ -150,6 +452,27 @@ export const loanApi = {
     return response.data.loans || response.data
   },
 
+  /**
+   * Get portfolio analytics across all of a lender's loan offers
+   */
+  getLenderPortfolio: async (lenderAddress: string): Promise<LenderPortfolio> => {
+    const response = await api.get(`/api/loan/lender/${lenderAddress}/portfolio`)
+    return response.data
+  },
+
+  /**
+   * Publish an eligibility policy (signed by the lender's wallet); pass the returned
+   * policyHash to create_loan_offer_with_policy
+   */
+  publishLoanPolicy: async (policy: LoanPolicy): Promise<PublishedLoanPolicy> => {
+    const response = await signedPost(API_BASE_URL, '/api/loan/policies', { policy })
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Could not publish the loan policy')
+    }
+    return data
+  },
+
   /**
    * Get application details for a specific loan and commitment
    */
@@ -159,22 +482,22 @@ export const loanApi = {
   },
 
   /**
-   * Get all applications for a borrower (by commitment)
+   * Reveal a defaulted borrower (signed by the loan's lender); decrypts the application's
+   * identity package once the trustees release their shares
    */
-  getBorrowerApplications: async (commitment: string): Promise<LoanApplication[]> => {
-    const response = await api.get(`/api/loan/borrower/${commitment}/applications`)
+  revealBorrower: async (loanId: string, commitment: string): Promise<any> => {
+    const path = `/api/loan/${loanId}/reveal/${commitment}`
+    const response = await api.get(path, {
+      headers: await signRequest(API_BASE_URL, 'GET', path, ''),
+    })
     return response.data
   },
 
   /**
-   * Register ZK proof on-chain (returns transaction data for wallet to execute)
+   * Get all applications for a borrower (by commitment)
    */
-  registerProof: async (proofHash: string, commitment: string, activityScore: number): Promise<any> => {
-    const response = await api.post('/api/loan/register-proof', {
-      proofHash,
-      commitment,
-      activityScore,
-    })
+  getBorrowerApplications: async (commitment: string): Promise<LoanApplication[]> => {
+    const response = await api.get(`/api/loan/borrower/${commitment}/applications`)
     return response.data
   },
 
@@ -195,6 +518,82 @@ export const loanApi = {
   },
 }
 
+// ====== REPUTATION API (Borrower History) ======
+
+export const reputationApi = {
+  /**
+   * Get a borrower's repayment history across loans (aggregate counts only)
+   */
+  getReputation: async (commitment: string): Promise<BorrowerReputation> => {
+    const response = await api.get(`/api/reputation/${commitment}`)
+    return response.data
+  },
+}
+
+// ====== DISPUTE API (Default Disputes) ======
+
+export const disputeApi = {
+  /**
+   * Typed data the borrower signs to open a dispute
+   */
+  prepare: async (loanId: string, commitment: string, reason: string, evidence: DisputeEvidence): Promise<PreparedDisputeMessage> => {
+    const response = await api.post('/api/disputes/prepare', { loanId, commitment, reason, evidence })
+    return response.data
+  },
+
+  /**
+   * Open a dispute with the borrower's signature over the prepared typed data
+   */
+  open: async (params: {
+    loanId: string
+    commitment: string
+    reason: string
+    evidence: DisputeEvidence
+    issuedAt: number
+    signature: string[]
+  }): Promise<Dispute> => {
+    const response = await api.post('/api/disputes', params)
+    return response.data.dispute
+  },
+
+  /**
+   * List disputes for a loan or application
+   */
+  list: async (filter: { loanId?: string; commitment?: string; status?: DisputeStatus } = {}): Promise<Dispute[]> => {
+    const response = await api.get('/api/disputes', { params: filter })
+    return response.data.disputes
+  },
+
+  /**
+   * Get a dispute with its history
+   */
+  get: async (disputeId: string): Promise<Dispute> => {
+    const response = await api.get(`/api/disputes/${disputeId}`)
+    return response.data.dispute
+  },
+
+  /**
+   * Typed data the lender signs to resolve a dispute
+   */
+  prepareResolution: async (disputeId: string, decision: 'upheld' | 'rejected', note?: string): Promise<PreparedDisputeMessage> => {
+    const response = await api.post(`/api/disputes/${disputeId}/resolution/prepare`, { decision, note })
+    return response.data
+  },
+
+  /**
+   * Resolve a dispute with the lender's signature over the prepared typed data
+   */
+  resolve: async (disputeId: string, params: {
+    decision: 'upheld' | 'rejected'
+    note?: string
+    issuedAt: number
+    signature: string[]
+  }): Promise<Dispute> => {
+    const response = await api.post(`/api/disputes/${disputeId}/resolve`, params)
+    return response.data.dispute
+  },
+}
+
 // ====== ACTIVITY API (Transaction Analysis) ======
 
 export const activityApi = {
@@ -207,6 +606,35 @@ export const activityApi = {
     return response.data.data
   },
 
+  /**
+   * Get activity data, reporting scan progress as it streams in (Server-Sent Events)
+   */
+  streamActivityData: (
+    walletAddress: string,
+    onProgress: (progress: ActivityProgress) => void,
+    maxBlocks?: number
+  ): Promise<ActivityData> => {
+    const params = new URLSearchParams({ stream: 'true' })
+    if (maxBlocks) params.set('maxBlocks', String(maxBlocks))
+
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`${API_BASE_URL}/api/activity/${walletAddress}?${params}`)
+
+      source.addEventListener('progress', (event) => {
+        onProgress(JSON.parse((event as MessageEvent).data))
+      })
+      source.addEventListener('result', (event) => {
+        source.close()
+        resolve(JSON.parse((event as MessageEvent).data))
+      })
+      source.addEventListener('error', (event) => {
+        source.close()
+        const data = (event as MessageEvent).data
+        reject(new Error(data ? JSON.parse(data).error : 'Activity stream failed'))
+      })
+    })
+  },
+
   /**
    * Get just the activity score (lightweight)
    */
@@ -300,6 +728,65 @@ export const identityApi = {
     })
     return response.data
   },
+
+  /**
+   * Identity predicates a loan asks for (age range, excluded nationalities, document validity)
+   */
+  getPredicateRequest: async (loanId: string): Promise<IdentityPredicateRequest> => {
+    const response = await api.get(`/api/identity/predicates/${loanId}`)
+    return response.data
+  },
+
+  /**
+   * Prove a loan's identity predicates from the zkInputs of verifyDocument
+   */
+  generatePredicateProof: async (identityInputs: any, loanId: string): Promise<any> => {
+    const response = await api.post('/api/identity/predicate-proof/generate', {
+      identityInputs,
+      loanId,
+    })
+    return response.data
+  },
+
+  /**
+   * Identity predicate proofs recorded for a wallet (predicates only, no identity data)
+   */
+  getPredicateProofs: async (walletAddress: string): Promise<IdentityPredicateProofRecord[]> => {
+    const response = await api.get(`/api/identity/predicate-proofs/${walletAddress}`)
+    return response.data.predicateProofs
+  },
+
+  /**
+   * Escrow the borrower's identity for a pending application (signed by the borrower).
+   * Execute the returned anchorCall to attach the package hash on-chain.
+   */
+  escrowIdentity: async (
+    loanId: string,
+    commitment: string,
+    borrowerAddress: string,
+    identityData: Record<string, unknown>,
+    account?: SigningAccount
+  ): Promise<IdentityEscrowPackage> => {
+    const response = await signedPost(API_BASE_URL, '/api/identity/escrow', {
+      loanId,
+      commitment,
+      borrowerAddress,
+      identityData,
+    }, account)
+    const data = await response.json()
+    if (!response.ok) {
+      throw new Error(data.error || 'Identity escrow failed')
+    }
+    return data.identityEscrow
+  },
+
+  /**
+   * Identity package of an application: CID, trustee receipts, on-chain anchor
+   */
+  getIdentityEscrow: async (loanId: string, commitment: string): Promise<IdentityEscrowPackage> => {
+    const response = await api.get(`/api/identity/escrow/${loanId}/${commitment}`)
+    return response.data.identityEscrow
+  },
 }
 
 // ====== PAYROLL API (Income Verification) ======
@@ -325,14 +812,25 @@ export const payrollApi = {
   },
 
   /**
-   * Generate income proof
+   * Prove annual income >= threshold from the wallet's signed payroll attestation
+   * (proven in the browser; the income is never sent)
    */
-  generateIncomeProof: async (connectionId: string, threshold: number): Promise<any> => {
-    const response = await api.post('/api/payroll/generate-proof', {
-      connectionId,
-      threshold,
+  generateIncomeProof: async (
+    walletAddress: string,
+    threshold: number,
+    options: GenerateIncomeProofOptions = {}
+  ): Promise<IncomeProofData> => {
+    return zkProofService.generateIncomeProof(walletAddress, threshold, options)
+  },
+
+  /**
+   * Income proofs recorded for a wallet (thresholds only, no income)
+   */
+  getIncomeProofs: async (walletAddress: string, loanId?: string): Promise<IncomeProofRecord[]> => {
+    const response = await api.get(`/api/payroll/income-proof/${walletAddress}`, {
+      params: loanId !== undefined ? { loanId } : undefined,
     })
-    return response.data
+    return response.data.incomeProofs
   },
 }
 
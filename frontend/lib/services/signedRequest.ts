@@ -0,0 +1,115 @@
+/**
+ * Signed backend requests
+ * Routes that act for a wallet (storing commitments, submitting proofs) require the
+ * request to be signed by that wallet: SNIP-12 typed data binding the method, path,
+ * body and a single-use nonce from POST /api/auth/nonce. See backend middleware/auth.
+ */
+
+import { hash, shortString } from 'starknet'
+
+const REQUEST_TYPES = {
+  StarknetDomain: [
+    { name: 'name', type: 'shortstring' },
+    { name: 'version', type: 'shortstring' },
+    { name: 'chainId', type: 'shortstring' },
+    { name: 'revision', type: 'shortstring' },
+  ],
+  Request: [
+    { name: 'method', type: 'shortstring' },
+    { name: 'path', type: 'string' },
+    { name: 'bodyHash', type: 'felt' },
+    { name: 'nonce', type: 'felt' },
+    { name: 'issuedAt', type: 'timestamp' },
+  ],
+}
+
+export interface SigningAccount {
+  address: string
+  signMessage: (typedData: any) => Promise<any>
+}
+
+/**
+ * Account of the connected Starknet wallet
+ */
+function connectedAccount(): SigningAccount {
+  const account = (globalThis as any).starknet?.account
+  if (!account) {
+    throw new Error('Please connect your wallet first')
+  }
+  return account
+}
+
+/**
+ * Headers authenticating one request
+ * @param baseUrl Backend URL
+ * @param method HTTP method
+ * @param path Path with query string, exactly as requested (e.g. /api/proof/submit)
+ * @param body Body exactly as sent ('' for none)
+ * @param account Signing account (defaults to the connected wallet)
+ */
+export async function signRequest(
+  baseUrl: string,
+  method: string,
+  path: string,
+  body: string,
+  account: SigningAccount = connectedAccount()
+): Promise<Record<string, string>> {
+  const nonceResponse = await fetch(`${baseUrl}/api/auth/nonce`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ walletAddress: account.address }),
+  })
+  const issued = await nonceResponse.json()
+  if (!nonceResponse.ok) {
+    throw new Error(issued.error || 'Could not get a request nonce')
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const typedData = {
+    types: REQUEST_TYPES,
+    primaryType: 'Request',
+    domain: {
+      name: 'Loanzy',
+      version: '1',
+      chainId: issued.chainId.startsWith('0x') ? shortString.decodeShortString(issued.chainId) : issued.chainId,
+      revision: '1',
+    },
+    message: {
+      method: method.toUpperCase(),
+      path,
+      bodyHash: '0x' + hash.starknetKeccak(body).toString(16),
+      nonce: issued.nonce,
+      issuedAt,
+    },
+  }
+
+  const signature = await account.signMessage(typedData)
+  const felts: string[] = (Array.isArray(signature) ? signature : [signature.r, signature.s])
+    .map((value: string | bigint) => '0x' + BigInt(value).toString(16))
+
+  return {
+    'X-Wallet-Address': account.address,
+    'X-Signature': felts.join(','),
+    'X-Nonce': issued.nonce,
+    'X-Issued-At': issuedAt.toString(),
+  }
+}
+
+/**
+ * POST a JSON body signed by the wallet
+ */
+export async function signedPost(
+  baseUrl: string,
+  path: string,
+  payload: unknown,
+  account?: SigningAccount
+): Promise<Response> {
+  const body = JSON.stringify(payload)
+  const authHeaders = await signRequest(baseUrl, 'POST', path, body, account)
+
+  return fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders },
+    body,
+  })
+}
@@ -234,13 +234,15 @@ export class StarkNetService {
   /**
    * Prepare transaction calldata for creating a loan offer
    * Parameters match the contract ABI exactly - SAME AS TEST FRONTEND
+   * With a policy hash (from POST /api/loan/policies) the offer commits to that eligibility policy
    */
   prepareCreateLoanOffer(
     amountPerBorrower: string,
     totalSlots: number,
     interestRateBps: number,
     repaymentPeriod: number,
-    minActivityScore: number
+    minActivityScore: number,
+    policyHash?: string
   ): any {
     // Convert to BigInt and then to Uint256 (exactly like test frontend)
     const amountUint256 = uint256.bnToUint256(BigInt(amountPerBorrower))
@@ -249,13 +251,14 @@ export class StarkNetService {
     
     return {
       contractAddress: LOAN_ESCROW_ZK_ADDRESS,
-      entrypoint: 'create_loan_offer',
+      entrypoint: policyHash ? 'create_loan_offer_with_policy' : 'create_loan_offer',
       calldata: CallData.compile({
         amount_per_borrower: amountUint256,
         total_slots: totalSlots.toString(), // u8 type
         interest_rate_bps: interestRateUint256, // u16 as Uint256 format
         repayment_period: repaymentPeriod.toString(), // u64 type
-        min_activity_score: minScoreUint256
+        min_activity_score: minScoreUint256,
+        ...(policyHash ? { policy_hash: policyHash } : {})
       })
     }
   }
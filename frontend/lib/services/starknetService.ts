@@ -298,6 +298,9 @@ export class StarkNetService {
           const sevenDaysAgo = (Date.now() / 1000) - (7 * 24 * 60 * 60)
           return tx.timestamp > sevenDaysAgo
         }).length,
+        uniqueCounterparties: new Set(
+          transactions.map((tx: any) => (tx.type === 'sent' ? tx.to : tx.from))
+        ).size,
         transactions // Include full transaction list
       }
 
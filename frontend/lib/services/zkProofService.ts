@@ -5,18 +5,99 @@
  */
 
 import { sha256 } from '@noble/hashes/sha2.js';
-import { bytesToHex } from '@noble/hashes/utils.js';
+import { bytesToHex, randomBytes } from '@noble/hashes/utils.js';
+import type { ProverRequest, ProverResponse } from '../workers/activityProver.worker';
+import type { IncomeProverRequest, IncomeProverResponse } from '../workers/incomeProver.worker';
+import { signedPost } from './signedRequest';
+
+// User preference: allow falling back to server-side proving (sends the raw score)
+const SERVER_PROVING_OPT_IN_KEY = 'allowServerProving';
+
+/**
+ * Whether the user opted in to server-side proving when the browser prover fails
+ */
+export function getServerProvingOptIn(): boolean {
+  return typeof window !== 'undefined' && localStorage.getItem(SERVER_PROVING_OPT_IN_KEY) === 'true';
+}
+
+export function setServerProvingOptIn(allowed: boolean): void {
+  localStorage.setItem(SERVER_PROVING_OPT_IN_KEY, allowed ? 'true' : 'false');
+}
 
 export interface ZKProofData {
   proof: any;
+  rawProof?: any; // snarkjs proof (pi_a, pi_b, pi_c) used for verification
   publicSignals: string[];
   commitment: string;
   commitmentHash: string;
   identityCommitment: string;
-  salt: string;
+  salt?: string; // only known locally; never sent for browser-generated proofs
   activityScore: number;
+  scoreModel?: string; // scoring model the activity score was computed with
   threshold: number;
   walletAddress: string;
+  provenBy?: 'browser' | 'server';
+  loanId?: string; // loan the proof is bound to ('0' = none, cannot be attested)
+  issuedAt?: number; // unix seconds; proofs expire after the max proof age
+}
+
+export interface GenerateProofOptions {
+  allowServerFallback?: boolean; // defaults to the stored opt-in preference
+  loanId?: number | string; // bind the proof to a loan (required to apply)
+}
+
+export interface ProofAttestation {
+  proofHash: string;
+  commitment: string;
+  nullifier: string;
+  loanId: string;
+  issuedAt: number;
+  threshold: string;
+  vkHash: string;
+  transactionHash: string | null;
+  alreadyAttested: boolean;
+}
+
+export interface IncomeAttestation {
+  attestationHash: string;
+  oracleId: string;
+  provider: string;
+  annualIncome: number;
+  currency: string;
+  issuedAt: number;
+  expiresAt: number;
+  circuitInputs: Record<string, string>;
+}
+
+export interface IncomeProofRecord {
+  id: number;
+  walletAddress: string;
+  loanId: string;
+  attestationHash: string;
+  oracleId: string;
+  threshold: string;
+  currency: string;
+  incomeCommitment: string;
+  issuedAt: number;
+  provenBy: 'browser' | 'server';
+  verifiedAt: string;
+  attestationExpiresAt: number;
+  valid: boolean;
+}
+
+export interface IncomeProofData {
+  incomeProof: IncomeProofRecord;
+  proof: any;
+  publicSignals: string[];
+  salt?: string; // income commitment salt, only known locally for browser-generated proofs
+  provenBy: 'browser' | 'server';
+}
+
+export interface GenerateIncomeProofOptions {
+  allowServerFallback?: boolean; // defaults to the stored opt-in preference
+  loanId?: number | string; // bind the proof to a loan
+  currency?: string; // only use attestations in this currency
+  attestationHash?: string; // prove from this attestation instead of the newest one that covers the threshold
 }
 
 export class ZKProofService {
@@ -52,20 +133,32 @@ export class ZKProofService {
 
   /**
    * Generate ZK proof for lender
+   * The proof is generated in the browser so the activity score never leaves the client;
+   * the backend only receives the proof and its public signals. Server-side proving is
+   * used as a fallback only when the user opted in.
+   * Proofs are bound to the wallet, to options.loanId and to the current time; only
+   * loan-bound proofs can be attested and used to apply.
    * @param activityScore - Current activity score
    * @param threshold - Minimum threshold (100 for lenders)
    * @param walletAddress - Wallet address
+   * @param scoreModel - Scoring model id the score was computed with
+   * @param options - allowServerFallback overrides the stored opt-in, loanId binds the proof
    * @returns ZK proof data with commitment hash
    */
   async generateLenderProof(
     activityScore: number,
     threshold: number,
-    walletAddress: string
+    walletAddress: string,
+    scoreModel?: string,
+    options: GenerateProofOptions = {}
   ): Promise<ZKProofData> {
+    const allowServerFallback = options.allowServerFallback ?? getServerProvingOptIn();
+    const loanId = (options.loanId ?? 0).toString();
+
     try {
       console.log('🔐 Generating ZK proof for lender...', {
-        activityScore,
         threshold,
+        loanId,
         walletAddress: walletAddress.slice(0, 10) + '...'
       });
 
@@ -78,26 +171,19 @@ export class ZKProofService {
         console.log('⚠️ No identity commitment found - will be generated');
       }
 
-      // Call backend to generate proof
-      const response = await fetch(`${this.apiUrl}/api/proof/generate`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          salary: activityScore,
-          threshold,
-          walletAddress,
-          identityCommitment // Pass existing or null
-        })
-      });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || 'Failed to generate proof');
+      let data: any;
+      let provenBy: 'browser' | 'server' = 'browser';
+      try {
+        data = await this.proveInBrowser(activityScore, threshold, walletAddress, loanId, scoreModel, identityCommitment);
+      } catch (browserError) {
+        if (!allowServerFallback) {
+          throw browserError;
+        }
+        console.warn('⚠️ Browser proving failed, falling back to server (opted in):', browserError);
+        data = await this.proveOnServer(activityScore, threshold, walletAddress, loanId, scoreModel, identityCommitment);
+        provenBy = 'server';
       }
 
-      const data = await response.json();
-      console.log('✅ Backend proof response:', data);
-
       // Save identity commitment on FIRST proof generation
       if (!identityCommitment && data.identityCommitment) {
         identityCommitment = data.identityCommitment;
@@ -117,21 +203,26 @@ export class ZKProofService {
 
       const zkProofData: ZKProofData = {
         proof: data.proof,
+        rawProof: data.rawProof,
         publicSignals: data.publicSignals,
         commitment: validCommitment, // Activity proof commitment (changes with score)
         commitmentHash, // Hash of commitment for on-chain (already validated)
         identityCommitment: validIdentityCommitment, // Permanent identity
         salt: data.salt,
         activityScore,
+        scoreModel: data.scoreModel,
         threshold,
-        walletAddress
+        walletAddress,
+        provenBy,
+        loanId: data.loanId,
+        issuedAt: data.issuedAt
       };
 
       console.log('✅ ZK Proof generated successfully:', {
         commitment: zkProofData.commitment.slice(0, 20) + '...',
         commitmentHash: zkProofData.commitmentHash.slice(0, 20) + '...',
         identityCommitment: zkProofData.identityCommitment.slice(0, 20) + '...',
-        activityScore: zkProofData.activityScore
+        provenBy
       });
 
       return zkProofData;
@@ -141,9 +232,255 @@ export class ZKProofService {
     }
   }
 
+  /**
+   * Prove in a Web Worker and submit only the proof + public signals
+   * @returns Backend submit response (same shape as /generate, minus score and salt)
+   */
+  private async proveInBrowser(
+    activityScore: number,
+    threshold: number,
+    walletAddress: string,
+    loanId: string,
+    scoreModel: string | undefined,
+    identityCommitment: string | null
+  ): Promise<any> {
+    const salt = this.getProofSalt(walletAddress);
+
+    const { proof, publicSignals } = await this.runProver({
+      inputs: {
+        activity_score: activityScore.toString(),
+        threshold: threshold.toString(),
+        wallet_address: BigInt(walletAddress).toString(),
+        salt: BigInt(salt).toString(),
+        loan_id: loanId,
+        issued_at: Math.floor(Date.now() / 1000).toString()
+      },
+      snarkjsUrl: `${this.apiUrl}/api/proof/artifacts/snarkjs.min.js`,
+      wasmUrl: `${this.apiUrl}/api/proof/artifacts/activityVerifier.wasm`,
+      zkeyUrl: `${this.apiUrl}/api/proof/artifacts/activityVerifier.zkey`
+    });
+    console.log('✅ Proof generated in browser, submitting proof and public signals');
+
+    // Signed by the wallet: the backend records the commitment for it
+    const response = await signedPost(this.apiUrl, '/api/proof/submit', {
+      proof,
+      publicSignals,
+      walletAddress,
+      scoreModel,
+      identityCommitment // Pass existing or null
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to submit proof');
+    }
+
+    return { ...(await response.json()), salt };
+  }
+
+  /**
+   * Server-side proving (fallback, only after the user opted in)
+   * Sends the raw activity score to the backend.
+   */
+  private async proveOnServer(
+    activityScore: number,
+    threshold: number,
+    walletAddress: string,
+    loanId: string,
+    scoreModel: string | undefined,
+    identityCommitment: string | null
+  ): Promise<any> {
+    const response = await signedPost(this.apiUrl, '/api/proof/generate', {
+      salary: activityScore,
+      threshold,
+      walletAddress,
+      loanId,
+      scoreModel,
+      identityCommitment, // Pass existing or null
+      serverProvingConsent: true
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to generate proof');
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Run the prover worker once
+   */
+  private runProver(request: ProverRequest): Promise<{ proof: any; publicSignals: string[] }> {
+    if (typeof Worker === 'undefined') {
+      return Promise.reject(new Error('Web Workers are not available in this browser'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../workers/activityProver.worker.ts', import.meta.url));
+
+      worker.onmessage = (event: MessageEvent<ProverResponse>) => {
+        worker.terminate();
+        if ('error' in event.data) {
+          reject(new Error(`Browser proving failed: ${event.data.error}`));
+        } else {
+          resolve(event.data);
+        }
+      };
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(`Browser proving failed: ${event.message}`));
+      };
+
+      worker.postMessage(request);
+    });
+  }
+
+  /**
+   * Prove annual income >= threshold from a signed payroll oracle attestation
+   * The attestation is fetched for the signing wallet and proven in the browser, so the
+   * backend only receives the proof and its public signals (threshold, currency, wallet,
+   * loan and oracle key; not the income or the provider). Server-side proving is used as
+   * a fallback only when the user opted in.
+   * @param walletAddress - Borrower wallet (the attestation's subject)
+   * @param threshold - Minimum annual income, in the attestation's currency
+   * @param options - loanId binds the proof, currency/attestationHash pick the attestation
+   * @returns The verified, recorded income proof
+   */
+  async generateIncomeProof(
+    walletAddress: string,
+    threshold: number,
+    options: GenerateIncomeProofOptions = {}
+  ): Promise<IncomeProofData> {
+    const allowServerFallback = options.allowServerFallback ?? getServerProvingOptIn();
+    const loanId = (options.loanId ?? 0).toString();
+
+    const attestation = await this.selectIncomeAttestation(walletAddress, threshold, options);
+    console.log('💵 Proving income from attestation', {
+      attestationHash: attestation.attestationHash.slice(0, 20) + '...',
+      oracleId: attestation.oracleId,
+      threshold,
+      loanId
+    });
+
+    try {
+      const salt = '0x' + bytesToHex(randomBytes(31));
+      const { proof, publicSignals } = await this.runIncomeProver({
+        inputs: {
+          ...attestation.circuitInputs,
+          threshold: threshold.toString(),
+          loan_id: loanId,
+          issued_at: Math.floor(Date.now() / 1000).toString(),
+          salt: BigInt(salt).toString()
+        },
+        snarkjsUrl: `${this.apiUrl}/api/proof/artifacts/snarkjs.min.js`,
+        wasmUrl: `${this.apiUrl}/api/proof/artifacts/incomeVerifier.wasm`,
+        zkeyUrl: `${this.apiUrl}/api/proof/artifacts/incomeVerifier.zkey`
+      });
+
+      const data = await this.postIncomeProofRequest('/api/payroll/income-proof/submit', {
+        proof,
+        publicSignals,
+        walletAddress
+      });
+      console.log('✅ Income proof generated in browser and verified');
+
+      return { incomeProof: data.incomeProof, proof, publicSignals, salt, provenBy: 'browser' };
+    } catch (browserError) {
+      if (!allowServerFallback) {
+        throw browserError;
+      }
+      console.warn('⚠️ Browser income proving failed, falling back to server (opted in):', browserError);
+
+      const data = await this.postIncomeProofRequest('/api/payroll/income-proof/generate', {
+        walletAddress,
+        attestationHash: attestation.attestationHash,
+        threshold,
+        loanId,
+        serverProvingConsent: true
+      });
+      return { incomeProof: data.incomeProof, proof: data.proof, publicSignals: data.publicSignals, salt: data.salt, provenBy: 'server' };
+    }
+  }
+
+  /**
+   * Newest attestation of the wallet that covers the threshold
+   */
+  private async selectIncomeAttestation(
+    walletAddress: string,
+    threshold: number,
+    options: GenerateIncomeProofOptions
+  ): Promise<IncomeAttestation> {
+    const { attestations } = await this.postIncomeProofRequest('/api/payroll/income-proof/attestations', { walletAddress });
+
+    const attestation = (attestations as IncomeAttestation[]).find(candidate =>
+      candidate.annualIncome >= threshold &&
+      (!options.currency || candidate.currency === options.currency) &&
+      (!options.attestationHash || BigInt(candidate.attestationHash) === BigInt(options.attestationHash))
+    );
+    if (!attestation) {
+      throw new Error('No valid income attestation covers this threshold');
+    }
+    return attestation;
+  }
+
+  /**
+   * Signed POST to an income proof route
+   */
+  private async postIncomeProofRequest(path: string, payload: unknown): Promise<any> {
+    const response = await signedPost(this.apiUrl, path, payload);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Request to ${path} failed`);
+    }
+    return data;
+  }
+
+  /**
+   * Run the income prover worker once
+   */
+  private runIncomeProver(request: IncomeProverRequest): Promise<{ proof: any; publicSignals: string[] }> {
+    if (typeof Worker === 'undefined') {
+      return Promise.reject(new Error('Web Workers are not available in this browser'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../workers/incomeProver.worker.ts', import.meta.url));
+
+      worker.onmessage = (event: MessageEvent<IncomeProverResponse>) => {
+        worker.terminate();
+        if ('error' in event.data) {
+          reject(new Error(`Browser proving failed: ${event.data.error}`));
+        } else {
+          resolve(event.data);
+        }
+      };
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(`Browser proving failed: ${event.message}`));
+      };
+
+      worker.postMessage(request);
+    });
+  }
+
+  /**
+   * Random per-wallet salt for the activity commitment, kept only in this browser
+   * 31 bytes keeps it below the BN254 field size.
+   */
+  private getProofSalt(walletAddress: string): string {
+    const key = `activityProofSalt_${walletAddress}`;
+    let salt = localStorage.getItem(key);
+    if (!salt) {
+      salt = '0x' + bytesToHex(randomBytes(31));
+      localStorage.setItem(key, salt);
+    }
+    return salt;
+  }
+
   /**
    * Generate commitment hash using SHA256
-   * Properly reduces to felt252 range (< PRIME)
+   * Shifted to 250 bits, the same derivation the backend uses for the attested commitment
    */
   private generateCommitmentHash(commitment: string): string {
     // Remove '0x' prefix if present
@@ -153,8 +490,8 @@ export class ZKProofService {
     const hash = sha256(new TextEncoder().encode(cleanCommitment));
     const hashBigInt = BigInt('0x' + bytesToHex(hash));
     
-    // Use helper to reduce to valid felt252 range
-    const validHash = this.toValidFelt252(hashBigInt);
+    // Shift to 250 bits so it is always a valid felt252
+    const validHash = '0x' + (hashBigInt >> BigInt(6)).toString(16);
     
     console.log('🔐 Commitment hash generation:', {
       original: '0x' + bytesToHex(hash),
@@ -168,69 +505,39 @@ export class ZKProofService {
   }
 
   /**
-   * Register proof on-chain (ActivityVerifier contract)
-   * @param proofData - ZK proof data
-   * @param starknetAccount - Connected StarkNet account
+   * Have the backend verify the Groth16 proof and attest it on the ActivityVerifier contract.
+   * Only proofs generated with a loanId can be attested; each wallet gets one per loan.
+   * The request is signed by the connected wallet, which must be the proof's wallet.
+   * The returned proofHash/commitment are the keys apply_for_loan must use.
+   * @param proofData - ZK proof data from generateLenderProof
    */
-  async registerProofOnChain(proofData: ZKProofData, starknetAccount: any): Promise<string> {
+  async attestProof(proofData: ZKProofData): Promise<ProofAttestation> {
     try {
-      console.log('📝 Registering proof on-chain...');
+      console.log('📝 Requesting proof attestation...');
 
-      const { Contract } = await import('starknet');
-      
-      const ACTIVITY_VERIFIER_ADDRESS = process.env.NEXT_PUBLIC_ACTIVITY_VERIFIER_ADDRESS || 
-        '0x071b94eb84b81868b61fb0ec1bbb59df47bb508583bc79325e5fa997ee3eb4be';
-
-      const verifierAbi = [
-        {
-          name: 'register_proof',
-          type: 'function',
-          inputs: [
-            { name: 'proof_hash', type: 'felt252' },
-            { name: 'commitment', type: 'felt252' },
-            { name: 'activity_score', type: 'u256' }
-          ],
-          outputs: [],
-          stateMutability: 'external'
-        }
-      ];
-
-      const verifierContract = new Contract(
-        verifierAbi,
-        ACTIVITY_VERIFIER_ADDRESS,
-        starknetAccount
-      );
-
-      // Clean hex strings for felt252
-      const cleanProofHash = proofData.commitmentHash.slice(0, 65);
-      const cleanCommitment = proofData.commitment.slice(0, 65);
-
-      console.log('📊 Registering proof:', {
-        proofHash: cleanProofHash.slice(0, 20) + '...',
-        commitment: cleanCommitment.slice(0, 20) + '...',
-        activityScore: proofData.activityScore
+      // Signed by the wallet the proof is bound to (public signal 4)
+      const response = await signedPost(this.apiUrl, '/api/proof/attest', {
+        proof: proofData.rawProof || proofData.proof,
+        publicSignals: proofData.publicSignals
       });
 
-      const tx = await verifierContract.register_proof(
-        cleanProofHash,
-        cleanCommitment,
-        BigInt(proofData.activityScore)
-      );
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to attest proof');
+      }
 
-      console.log('⏳ Waiting for transaction:', tx.transaction_hash);
+      const attestation: ProofAttestation = await response.json();
 
-      // Wait for confirmation
-      const { RpcProvider } = await import('starknet');
-      const provider = new RpcProvider({
-        nodeUrl: process.env.NEXT_PUBLIC_STARKNET_RPC || 'https://starknet-sepolia.public.blastapi.io/rpc/v0_7'
+      console.log('✅ Proof attested:', {
+        proofHash: attestation.proofHash.slice(0, 20) + '...',
+        threshold: attestation.threshold,
+        loanId: attestation.loanId,
+        txHash: attestation.transactionHash
       });
 
-      await provider.waitForTransaction(tx.transaction_hash);
-      console.log('✅ Proof registered on-chain');
-
-      return tx.transaction_hash;
+      return attestation;
     } catch (error) {
-      console.error('❌ Failed to register proof on-chain:', error);
+      console.error('❌ Failed to attest proof:', error);
       throw error;
     }
   }
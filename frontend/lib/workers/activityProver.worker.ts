@@ -0,0 +1,43 @@
+/**
+ * Activity proof Web Worker
+ * Runs snarkjs Groth16 proving off the main thread. The circuit inputs (including the
+ * raw activity score and salt) stay inside this worker; only the proof and public
+ * signals are posted back.
+ */
+
+export interface ProverRequest {
+  inputs: {
+    activity_score: string;
+    threshold: string;
+    wallet_address: string;
+    salt: string;
+    loan_id: string;
+    issued_at: string;
+  };
+  snarkjsUrl: string;
+  wasmUrl: string;
+  zkeyUrl: string;
+}
+
+export type ProverResponse =
+  | { proof: any; publicSignals: string[] }
+  | { error: string };
+
+// tsconfig targets the DOM lib, so the worker global is typed loosely
+const ctx: any = self;
+
+ctx.onmessage = async (event: MessageEvent<ProverRequest>) => {
+  const { inputs, snarkjsUrl, wasmUrl, zkeyUrl } = event.data;
+
+  try {
+    // snarkjs browser bundle defines a global `snarkjs`
+    if (!ctx.snarkjs) {
+      ctx.importScripts(snarkjsUrl);
+    }
+
+    const { proof, publicSignals } = await ctx.snarkjs.groth16.fullProve(inputs, wasmUrl, zkeyUrl);
+    ctx.postMessage({ proof, publicSignals } as ProverResponse);
+  } catch (error: any) {
+    ctx.postMessage({ error: error?.message || String(error) } as ProverResponse);
+  }
+};
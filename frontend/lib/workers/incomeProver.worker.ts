@@ -0,0 +1,37 @@
+/**
+ * Income proof Web Worker
+ * Runs snarkjs Groth16 proving of the incomeVerifier circuit off the main thread. The
+ * circuit inputs (the attested income, the oracle signature and the salt) stay inside
+ * this worker; only the proof and public signals are posted back.
+ */
+
+export interface IncomeProverRequest {
+  // Attestation inputs from /api/payroll/income-proof/attestations plus threshold, loan_id, issued_at and salt
+  inputs: Record<string, string>;
+  snarkjsUrl: string;
+  wasmUrl: string;
+  zkeyUrl: string;
+}
+
+export type IncomeProverResponse =
+  | { proof: any; publicSignals: string[] }
+  | { error: string };
+
+// tsconfig targets the DOM lib, so the worker global is typed loosely
+const ctx: any = self;
+
+ctx.onmessage = async (event: MessageEvent<IncomeProverRequest>) => {
+  const { inputs, snarkjsUrl, wasmUrl, zkeyUrl } = event.data;
+
+  try {
+    // snarkjs browser bundle defines a global `snarkjs`
+    if (!ctx.snarkjs) {
+      ctx.importScripts(snarkjsUrl);
+    }
+
+    const { proof, publicSignals } = await ctx.snarkjs.groth16.fullProve(inputs, wasmUrl, zkeyUrl);
+    ctx.postMessage({ proof, publicSignals } as IncomeProverResponse);
+  } catch (error: any) {
+    ctx.postMessage({ error: error?.message || String(error) } as IncomeProverResponse);
+  }
+};
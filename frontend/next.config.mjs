@@ -9,6 +9,10 @@ const nextConfig = {
   images: {
     unoptimized: true,
   },
+  experimental: {
+    // Allow importing the scoring engine shared with the backend (../shared)
+    externalDir: true,
+  },
 }
 
 export default nextConfig
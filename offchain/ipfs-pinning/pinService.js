@@ -1,80 +1,73 @@
-const axios = require('axios');
+const path = require('path');
+const { storageFromEnv } = require('../../shared/ipfsStorage');
 
+/**
+ * Pinning service for encrypted identity data
+ * Works against whichever provider IPFS_PROVIDER selects (pinata, kubo, filesystem);
+ * see shared/ipfsStorage.
+ */
 class PinService {
   constructor() {
-    this.apiKey = process.env.IPFS_API_KEY;
-    this.apiSecret = process.env.IPFS_API_SECRET;
-    this.baseUrl = 'https://api.pinata.cloud';
+    this.storage = null;
+  }
+
+  getStorage() {
+    if (!this.storage) {
+      this.storage = storageFromEnv(process.env, { fsDir: path.join(__dirname, 'data') });
+    }
+    return this.storage;
   }
 
   /**
-   * Test authentication with Pinata
+   * Test connectivity / authentication with the provider
    */
   async testAuthentication() {
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/data/testAuthentication`,
-        {
-          headers: {
-            pinata_api_key: this.apiKey,
-            pinata_secret_api_key: this.apiSecret
-          }
-        }
-      );
+      const result = await this.getStorage().check();
 
-      console.log('✓ Pinata authentication successful');
-      return response.data;
+      console.log(`✓ ${this.getStorage().name} storage reachable`);
+      return result;
     } catch (error) {
-      console.error('✗ Pinata authentication failed:', error.message);
+      console.error('✗ Storage check failed:', error.message);
       throw error;
     }
   }
 
   /**
    * Pin JSON to IPFS
+   * @returns {Promise<string>} CID (computed locally and checked against the provider's)
    */
   async pinJSON(data, name) {
     try {
-      const response = await axios.post(
-        `${this.baseUrl}/pinning/pinJSONToIPFS`,
-        {
-          pinataContent: data,
-          pinataMetadata: { name }
-        },
-        {
-          headers: {
-            pinata_api_key: this.apiKey,
-            pinata_secret_api_key: this.apiSecret,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const cid = await this.getStorage().putJSON(data, { name });
 
-      console.log(`✓ Pinned to IPFS: ${response.data.IpfsHash}`);
-      return response.data.IpfsHash;
+      console.log(`✓ Pinned to IPFS: ${cid}`);
+      return cid;
     } catch (error) {
       console.error('✗ Failed to pin JSON:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Fetch pinned JSON, verifying it against its CID
+   */
+  async getJSON(cid) {
+    try {
+      const { data } = await this.getStorage().getJSON(cid);
+      return data;
+    } catch (error) {
+      console.error('✗ Failed to fetch JSON:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Check pin status
    */
   async getPinList(filters = {}) {
     try {
-      const response = await axios.get(
-        `${this.baseUrl}/data/pinList`,
-        {
-          params: filters,
-          headers: {
-            pinata_api_key: this.apiKey,
-            pinata_secret_api_key: this.apiSecret
-          }
-        }
-      );
-
-      return response.data;
+      return await this.getStorage().listPins(filters);
     } catch (error) {
       console.error('✗ Failed to get pin list:', error.message);
       throw error;
@@ -86,15 +79,7 @@ class PinService {
    */
   async unpin(hash) {
     try {
-      await axios.delete(
-        `${this.baseUrl}/pinning/unpin/${hash}`,
-        {
-          headers: {
-            pinata_api_key: this.apiKey,
-            pinata_secret_api_key: this.apiSecret
-          }
-        }
-      );
+      await this.getStorage().unpin(hash);
 
       console.log(`✓ Unpinned: ${hash}`);
       return true;
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { canonicalJson, signPayload, verifyPayload } = require('../../shared/trusteeProtocol');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Append-only, hash-chained audit log (one JSON entry per line)
+ * Each entry commits to the previous entry's hash and is signed with the trustee key,
+ * so edits, deletions and reordering are detected by verify(), and the chain cannot be
+ * rebuilt without the trustee's private key.
+ */
+class AuditLog {
+  /**
+   * @param {string} filePath - Log file
+   * @param {crypto.KeyObject} signingKey - Trustee Ed25519 private key
+   */
+  constructor(filePath, signingKey) {
+    this.filePath = filePath;
+    this.signingKey = signingKey;
+    this.publicKey = crypto.createPublicKey(signingKey);
+
+    const entries = this.readEntries();
+    const last = entries[entries.length - 1];
+    this.seq = last ? last.seq : 0;
+    this.head = last ? last.hash : GENESIS_HASH;
+  }
+
+  readEntries() {
+    try {
+      return fs.readFileSync(this.filePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read audit log: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Hash of an entry's content and its predecessor
+   */
+  hashEntry({ seq, timestamp, action, data, prevHash }) {
+    return crypto.createHash('sha256')
+      .update(canonicalJson({ seq, timestamp, action, data, prevHash }))
+      .digest('hex');
+  }
+
+  /**
+   * Append an entry
+   * @param {string} action - e.g. 'share_received', 'share_released', 'release_denied'
+   * @param {object} data - Entry details (never share material)
+   * @returns {object} Entry
+   */
+  append(action, data = {}) {
+    const entry = {
+      seq: this.seq + 1,
+      timestamp: new Date().toISOString(),
+      action,
+      data,
+      prevHash: this.head
+    };
+    entry.hash = this.hashEntry(entry);
+    entry.signature = signPayload(this.signingKey, { hash: entry.hash });
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n', { mode: 0o600 });
+
+    this.seq = entry.seq;
+    this.head = entry.hash;
+    return entry;
+  }
+
+  /**
+   * Verify the whole chain
+   * @returns {object} { valid, entries, head, brokenAt?, reason? }
+   */
+  verify() {
+    const entries = this.readEntries();
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const failure = (reason) => ({ valid: false, entries: entries.length, brokenAt: entry.seq, reason });
+
+      if (entry.seq !== i + 1) return failure('Sequence gap');
+      if (entry.prevHash !== prevHash) return failure('Previous hash mismatch');
+      if (this.hashEntry(entry) !== entry.hash) return failure('Entry hash mismatch');
+      if (!verifyPayload(this.publicKey, { hash: entry.hash }, entry.signature)) return failure('Invalid entry signature');
+
+      prevHash = entry.hash;
+    }
+
+    return { valid: true, entries: entries.length, head: prevHash };
+  }
+}
+
+module.exports = AuditLog;
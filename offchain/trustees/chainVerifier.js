@@ -0,0 +1,112 @@
+const { RpcProvider, uint256 } = require('starknet');
+
+const APPLICATION_STATUS = ['pending', 'approved', 'repaid', 'defaulted'];
+
+/**
+ * Independent on-chain checks before a share is released
+ * Reads the application straight from LoanEscrowZK and uses the chain's own clock,
+ * so a compromised platform cannot talk a trustee into releasing early.
+ */
+class ChainVerifier {
+  /**
+   * @param {object} options - { rpcUrl, escrowAddress, disputeWindowSeconds }
+   */
+  constructor({ rpcUrl, escrowAddress, disputeWindowSeconds }) {
+    if (!rpcUrl || !escrowAddress) {
+      throw new Error('STARKNET_RPC and LOAN_ESCROW_ZK_ADDRESS are required');
+    }
+
+    this.provider = new RpcProvider({ nodeUrl: rpcUrl });
+    this.escrowAddress = escrowAddress;
+    this.disputeWindowSeconds = disputeWindowSeconds;
+  }
+
+  /**
+   * Read an application from LoanEscrowZK
+   * @param {string} loanId - Loan ID
+   * @param {string} commitment - Borrower commitment
+   * @returns {Promise<object|null>} Application, or null if none exists
+   */
+  async getApplication(loanId, commitment) {
+    const { low, high } = uint256.bnToUint256(BigInt(loanId));
+    const { result } = await this.provider.callContract({
+      contractAddress: this.escrowAddress,
+      entrypoint: 'get_application',
+      calldata: [low, high, commitment]
+    });
+
+    if (BigInt(result[0]) === 0n) {
+      return null;
+    }
+
+    const application = {
+      borrower: result[0],
+      commitment: result[1],
+      status: APPLICATION_STATUS[Number(result[3])] || `unknown(${Number(result[3])})`,
+      approvedAt: Number(result[5]),
+      repaymentDeadline: Number(result[7]),
+      totalDue: uint256.uint256ToBN({ low: result[8], high: result[9] }).toString(),
+      amountRepaid: uint256.uint256ToBN({ low: result[10], high: result[11] }).toString(),
+      defaultedAt: null
+    };
+
+    if (application.status === 'defaulted') {
+      const defaulted = await this.provider.callContract({
+        contractAddress: this.escrowAddress,
+        entrypoint: 'get_defaulted_at',
+        calldata: [low, high, commitment]
+      });
+      application.defaultedAt = Number(defaulted.result[0]);
+    }
+
+    return application;
+  }
+
+  /**
+   * Current chain time (latest block timestamp)
+   * @returns {Promise<number>} Unix seconds
+   */
+  async getChainTime() {
+    const block = await this.provider.getBlockWithTxHashes('latest');
+    return Number(block.timestamp);
+  }
+
+  /**
+   * Decide whether a share may be released for an application
+   * Requires an approved or defaulted (unrepaid) loan whose repayment deadline and dispute
+   * window have both passed according to the chain. The window runs from the on-chain
+   * default when the application was marked defaulted, otherwise from the deadline.
+   * @returns {Promise<object>} { allowed, reason?, application, chainTime, releasableAt }
+   */
+  async checkRelease(loanId, commitment) {
+    const [application, chainTime] = await Promise.all([
+      this.getApplication(loanId, commitment),
+      this.getChainTime()
+    ]);
+
+    if (!application) {
+      return { allowed: false, reason: 'Application not found on-chain', chainTime };
+    }
+
+    const windowStart = application.defaultedAt || application.repaymentDeadline;
+    const releasableAt = windowStart + this.disputeWindowSeconds;
+    const result = { application, chainTime, releasableAt };
+
+    if (application.status !== 'approved' && application.status !== 'defaulted') {
+      return { ...result, allowed: false, reason: `Application is ${application.status}, not in default` };
+    }
+    if (BigInt(application.amountRepaid) >= BigInt(application.totalDue)) {
+      return { ...result, allowed: false, reason: 'Loan is fully repaid' };
+    }
+    if (chainTime <= application.repaymentDeadline) {
+      return { ...result, allowed: false, reason: 'Repayment deadline has not passed' };
+    }
+    if (chainTime < releasableAt) {
+      return { ...result, allowed: false, reason: 'Dispute window still open' };
+    }
+
+    return { ...result, allowed: true };
+  }
+}
+
+module.exports = ChainVerifier;
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { generateKeyPair } = require('../../shared/trusteeProtocol');
+
+/**
+ * Generate Ed25519 key pairs for the platform and trustees
+ * Usage: node generateKeys.js platform trustee_1 trustee_2 trustee_3
+ * Writes keys/<name>.key.pem and keys/<name>.pub.pem and prints a storage key per trustee.
+ */
+
+const names = process.argv.slice(2);
+if (names.length === 0) {
+  console.error('Usage: node generateKeys.js <name> [name...]');
+  process.exit(1);
+}
+
+const keyDir = path.join(__dirname, 'keys');
+fs.mkdirSync(keyDir, { recursive: true, mode: 0o700 });
+
+for (const name of names) {
+  const { privateKey, publicKey } = generateKeyPair();
+  fs.writeFileSync(path.join(keyDir, `${name}.key.pem`), privateKey, { mode: 0o600 });
+  fs.writeFileSync(path.join(keyDir, `${name}.pub.pem`), publicKey);
+
+  console.log(`✓ ${name}: keys/${name}.key.pem, keys/${name}.pub.pem`);
+  if (name !== 'platform') {
+    console.log(`  TRUSTEE_STORAGE_KEY=${crypto.randomBytes(32).toString('hex')}`);
+  }
+}
@@ -0,0 +1,167 @@
+const http = require('http');
+const { hash, uint256 } = require('starknet');
+
+/**
+ * Local stand-in chain
+ * Minimal Starknet JSON-RPC server for running trustees (and the backend's share
+ * collection) without a network. It answers the calls the trustee makes -
+ * LoanEscrowZK.get_application / get_defaulted_at and latest block timestamps - and the
+ * backend's get_identity_escrow from in-memory state that is set up through a small admin API:
+ *
+ *   POST /admin/application  { loanId, commitment, borrower, status, repaymentDeadline, totalDue, amountRepaid, defaultedAt, escrowHash }
+ *   POST /admin/advance      { seconds }        move chain time forward (one new block)
+ *   GET  /admin/state
+ *
+ * Run: LOCAL_CHAIN_PORT=5050 node localChain.js, then point STARKNET_RPC at
+ * http://localhost:5050. The contract address is not checked.
+ */
+
+const GET_APPLICATION = hash.getSelectorFromName('get_application');
+const GET_DEFAULTED_AT = hash.getSelectorFromName('get_defaulted_at');
+const GET_IDENTITY_ESCROW = hash.getSelectorFromName('get_identity_escrow');
+const STATUS_CODES = { pending: 0, approved: 1, repaid: 2, defaulted: 3 };
+
+function toHex(value) {
+  return '0x' + BigInt(value || 0).toString(16);
+}
+
+/**
+ * Create a stand-in chain server
+ * @param {object} options - { startTime } unix seconds for block 0 (default now)
+ * @returns {object} { server, state }
+ */
+function createLocalChain({ startTime = Math.floor(Date.now() / 1000) } = {}) {
+  const state = {
+    blockNumber: 0,
+    timestamp: startTime,
+    applications: {} // `${loanId}:${commitment}` -> application
+  };
+
+  const applicationKey = (loanId, commitment) => `${BigInt(loanId)}:${BigInt(commitment)}`;
+
+  function currentBlock() {
+    return {
+      status: 'ACCEPTED_ON_L2',
+      block_hash: toHex(BigInt(state.blockNumber) + 0x1000n),
+      parent_hash: toHex(BigInt(state.blockNumber) + 0xfffn),
+      block_number: state.blockNumber,
+      new_root: '0x0',
+      timestamp: state.timestamp,
+      sequencer_address: '0x0',
+      l1_gas_price: { price_in_fri: '0x0', price_in_wei: '0x0' },
+      l1_data_gas_price: { price_in_fri: '0x0', price_in_wei: '0x0' },
+      l1_da_mode: 'BLOB',
+      starknet_version: '0.13.1',
+      transactions: []
+    };
+  }
+
+  function call({ entry_point_selector: selector, calldata }) {
+    const entrypoint = BigInt(selector);
+    if (![GET_APPLICATION, GET_DEFAULTED_AT, GET_IDENTITY_ESCROW].some(known => BigInt(known) === entrypoint)) {
+      throw { code: 40, message: 'Contract error', data: 'Entrypoint not supported by stand-in chain' };
+    }
+
+    const loanId = uint256.uint256ToBN({ low: calldata[0], high: calldata[1] });
+    const app = state.applications[applicationKey(loanId, calldata[2])];
+    if (entrypoint === BigInt(GET_DEFAULTED_AT)) {
+      return [toHex(app?.defaultedAt)];
+    }
+    if (entrypoint === BigInt(GET_IDENTITY_ESCROW)) {
+      return [toHex(app?.escrowHash)];
+    }
+    if (!app) {
+      return new Array(12).fill('0x0');
+    }
+
+    const totalDue = uint256.bnToUint256(BigInt(app.totalDue || 0));
+    const amountRepaid = uint256.bnToUint256(BigInt(app.amountRepaid || 0));
+    return [
+      app.borrower,
+      app.commitment,
+      app.proofHash || '0x0',
+      STATUS_CODES[app.status] ?? app.status,
+      app.appliedAt || 0,
+      app.approvedAt || 0,
+      app.repaidAt || 0,
+      app.repaymentDeadline || 0,
+      totalDue.low,
+      totalDue.high,
+      amountRepaid.low,
+      amountRepaid.high
+    ].map(toHex);
+  }
+
+  const methods = {
+    starknet_specVersion: () => '0.7.1',
+    starknet_chainId: () => '0x534e5f5345504f4c4941', // SN_SEPOLIA
+    starknet_blockNumber: () => state.blockNumber,
+    starknet_getBlockWithTxHashes: () => currentBlock(),
+    starknet_call: (params) => call(params.request || params[0])
+  };
+
+  function handleRpc(body) {
+    const method = methods[body.method];
+    if (!method) {
+      return { jsonrpc: '2.0', id: body.id, error: { code: -32601, message: `Method not found: ${body.method}` } };
+    }
+    try {
+      return { jsonrpc: '2.0', id: body.id, result: method(body.params || {}) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id: body.id, error: error.code ? error : { code: -32603, message: error.message } };
+    }
+  }
+
+  function handleAdmin(req, body) {
+    if (req.method === 'GET' && req.url === '/admin/state') {
+      return state;
+    }
+    if (req.method === 'POST' && req.url === '/admin/application') {
+      if (body.loanId === undefined || !body.commitment || !body.borrower) {
+        throw new Error('loanId, commitment and borrower are required');
+      }
+      state.applications[applicationKey(body.loanId, body.commitment)] = { status: 'approved', ...body };
+      return { success: true };
+    }
+    if (req.method === 'POST' && req.url === '/admin/advance') {
+      state.blockNumber += 1;
+      state.timestamp += parseInt(body.seconds) || 0;
+      return { blockNumber: state.blockNumber, timestamp: state.timestamp };
+    }
+    return null;
+  }
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'application/json');
+      try {
+        const body = raw ? JSON.parse(raw) : {};
+
+        if (req.url.startsWith('/admin/')) {
+          const result = handleAdmin(req, body);
+          res.statusCode = result ? 200 : 404;
+          return res.end(JSON.stringify(result || { error: 'Not found' }));
+        }
+
+        const response = Array.isArray(body) ? body.map(handleRpc) : handleRpc(body);
+        res.end(JSON.stringify(response));
+      } catch (error) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+  });
+
+  return { server, state };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.LOCAL_CHAIN_PORT) || 5050;
+  createLocalChain().server.listen(port, () => {
+    console.log(`✓ Local stand-in chain listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createLocalChain };
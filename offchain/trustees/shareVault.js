@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Encrypted share storage
+ * Each share is sealed with AES-256-GCM under the trustee's storage key. Records are
+ * kept per application (loanId:commitment:shareId); loan, share ID and commitment are
+ * bound as associated data, so a ciphertext copied onto another record fails to
+ * decrypt. The file is written atomically.
+ */
+class ShareVault {
+  /**
+   * @param {string} filePath - Vault file
+   * @param {string} storageKey - 32-byte key, hex encoded
+   */
+  constructor(filePath, storageKey) {
+    if (!/^[0-9a-fA-F]{64}$/.test(storageKey || '')) {
+      throw new Error('TRUSTEE_STORAGE_KEY must be 32 bytes, hex encoded');
+    }
+
+    this.filePath = filePath;
+    this.key = Buffer.from(storageKey, 'hex');
+    this.records = this.load();
+  }
+
+  /**
+   * Load records from disk
+   */
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8')).records || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read share vault: ${error.message}`);
+      }
+      return {};
+    }
+  }
+
+  /**
+   * Persist records atomically
+   */
+  save() {
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(tmpPath, JSON.stringify({ version: 1, records: this.records }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  recordKey(loanId, commitment, shareId) {
+    return `${loanId}:${commitment}:${shareId}`;
+  }
+
+  associatedData(loanId, shareId, commitment) {
+    return Buffer.from(`${loanId}:${shareId}:${commitment}`);
+  }
+
+  /**
+   * Encrypt and store a share
+   * @param {object} share - { loanId, shareId, commitment, borrowerAddress, share }
+   * @returns {object} Stored record metadata
+   */
+  put({ loanId, shareId, commitment, borrowerAddress, share }) {
+    // One share per application; vaults written before per-application keys used loanId:shareId
+    const key = this.recordKey(loanId, commitment, shareId);
+    if (this.findByLoan(loanId, commitment).some(record => record.shareId === shareId)) {
+      throw Object.assign(new Error(`Share ${shareId} already stored for loan ${loanId}, commitment ${commitment}`), { code: 'SHARE_EXISTS' });
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(this.associatedData(loanId, shareId, commitment));
+    const ciphertext = Buffer.concat([cipher.update(share, 'utf8'), cipher.final()]);
+
+    this.records[key] = {
+      loanId,
+      shareId,
+      commitment,
+      borrowerAddress: borrowerAddress || null,
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+      receivedAt: new Date().toISOString(),
+      releasedAt: null
+    };
+    this.save();
+
+    return this.describe(this.records[key]);
+  }
+
+  /**
+   * Decrypt a stored share
+   * @param {object} record - Vault record
+   * @returns {string} Share
+   */
+  open(record) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(record.iv, 'hex'));
+    decipher.setAAD(this.associatedData(record.loanId, record.shareId, record.commitment));
+    decipher.setAuthTag(Buffer.from(record.tag, 'hex'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(record.ciphertext, 'hex')),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Records held for a loan (optionally for one commitment)
+   * @returns {Array<object>} Vault records
+   */
+  findByLoan(loanId, commitment) {
+    return Object.values(this.records).filter(record =>
+      record.loanId === loanId && (!commitment || record.commitment === commitment)
+    );
+  }
+
+  /**
+   * Mark a record as released (first release time is kept)
+   */
+  markReleased(record) {
+    if (!record.releasedAt) {
+      record.releasedAt = new Date().toISOString();
+      this.save();
+    }
+    return record.releasedAt;
+  }
+
+  /**
+   * Public metadata of a record (never the share)
+   */
+  describe(record) {
+    return {
+      loanId: record.loanId,
+      shareId: record.shareId,
+      commitment: record.commitment,
+      receivedAt: record.receivedAt,
+      releasedAt: record.releasedAt
+    };
+  }
+
+  count() {
+    return Object.keys(this.records).length;
+  }
+}
+
+module.exports = ShareVault;
@@ -0,0 +1,264 @@
+require('dotenv').config();
+const express = require('express');
+const helmet = require('helmet');
+const path = require('path');
+const rateLimit = require('express-rate-limit');
+const { loadKey, verifyRequest, signPayload, hashShare, DEFAULT_MAX_SKEW_MS } = require('../../shared/trusteeProtocol');
+const ShareVault = require('./shareVault');
+const AuditLog = require('./auditLog');
+const ChainVerifier = require('./chainVerifier');
+
+/**
+ * Trustee service
+ * Holds one Shamir share per loan application, encrypted at rest, and releases it only
+ * to signed platform requests once LoanEscrowZK shows the loan in default past the
+ * dispute window. Every decision is written to a hash-chained audit log.
+ *
+ * Config (env):
+ *   TRUSTEE_ID               share id this trustee holds (e.g. trustee_1)
+ *   TRUSTEE_PORT             HTTP port (default 4000)
+ *   TRUSTEE_DATA_DIR         vault + audit log directory (default ./data/<TRUSTEE_ID>)
+ *   TRUSTEE_STORAGE_KEY      32-byte hex key for shares at rest
+ *   TRUSTEE_SIGNING_KEY      Ed25519 private key (PEM or path) for responses and audit entries
+ *   PLATFORM_PUBLIC_KEY      Ed25519 public key (PEM or path) of the platform backend
+ *   STARKNET_RPC             RPC endpoint (use localChain.js for local runs)
+ *   LOAN_ESCROW_ZK_ADDRESS   LoanEscrowZK contract
+ *   DISPUTE_WINDOW_SECONDS   same value as the backend's thresholds.dispute.windowSeconds
+ */
+
+/**
+ * Build the trustee app
+ * @param {object} config - See module doc
+ * @returns {object} { app, vault, auditLog, chainVerifier }
+ */
+function createTrusteeApp(config) {
+  const trusteeId = config.trusteeId;
+  const signingKey = loadKey(config.signingKey, 'private');
+  const platformKey = loadKey(config.platformPublicKey, 'public');
+  const vault = new ShareVault(path.join(config.dataDir, 'shares.json'), config.storageKey);
+  const auditLog = new AuditLog(path.join(config.dataDir, 'audit.log'), signingKey);
+  const chainVerifier = config.chainVerifier || new ChainVerifier({
+    rpcUrl: config.rpcUrl,
+    escrowAddress: config.escrowAddress,
+    disputeWindowSeconds: config.disputeWindowSeconds
+  });
+
+  // Nonces seen inside the accepted clock-skew window
+  const seenNonces = new Map();
+
+  const app = express();
+  app.use(helmet());
+  app.use(express.json({
+    limit: '1mb',
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString('utf8');
+    }
+  }));
+
+  /**
+   * Only accept requests signed by the platform, once
+   */
+  function requirePlatformSignature(req, res, next) {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of seenNonces) {
+      if (expiresAt < now) seenNonces.delete(nonce);
+    }
+
+    const check = verifyRequest(platformKey, {
+      method: req.method,
+      path: req.originalUrl,
+      headers: req.headers,
+      rawBody: req.rawBody || ''
+    });
+
+    if (check.valid && seenNonces.has(check.nonce)) {
+      check.valid = false;
+      check.reason = 'Replayed request nonce';
+    }
+
+    if (!check.valid) {
+      auditLog.append('auth_failed', { path: req.originalUrl, reason: check.reason, ip: req.ip });
+      return res.status(401).json({ error: check.reason });
+    }
+
+    seenNonces.set(check.nonce, check.timestamp + DEFAULT_MAX_SKEW_MS);
+    next();
+  }
+
+  /**
+   * Receive and store this trustee's share for a loan application
+   * Returns a signed receipt naming the application and the hash of the share held.
+   */
+  app.post('/api/receive-share', requirePlatformSignature, (req, res) => {
+    try {
+      const { loanId, commitment, borrowerAddress, shareId, share } = req.body;
+
+      if (!loanId || !commitment || !shareId || !share) {
+        return res.status(400).json({
+          error: 'Missing required fields: loanId, commitment, shareId, share'
+        });
+      }
+      if (shareId !== trusteeId) {
+        return res.status(400).json({ error: `This trustee holds ${trusteeId}, not ${shareId}` });
+      }
+
+      const stored = vault.put({ loanId: String(loanId), shareId, commitment, borrowerAddress, share });
+      const shareHash = hashShare(share);
+      const entry = auditLog.append('share_received', { loanId: stored.loanId, shareId, commitment, shareHash });
+
+      console.log(`✓ Share received: ${shareId} for loan ${loanId}`);
+
+      const receipt = {
+        trusteeId,
+        loanId: stored.loanId,
+        commitment,
+        shareId,
+        shareHash,
+        receivedAt: stored.receivedAt
+      };
+      res.json({ success: true, ...receipt, auditSeq: entry.seq, signature: signPayload(signingKey, receipt) });
+    } catch (error) {
+      if (error.code === 'SHARE_EXISTS') {
+        return res.status(409).json({ error: error.message });
+      }
+      console.error('Failed to receive share:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Release the share for a defaulted loan once the dispute window has passed on-chain
+   */
+  app.post('/api/request-share', rateLimit({ windowMs: 60 * 1000, max: 30 }), requirePlatformSignature, async (req, res) => {
+    const { loanId, commitment, reason } = req.body;
+
+    try {
+      if (!loanId) {
+        return res.status(400).json({ error: 'Loan ID required' });
+      }
+
+      const records = vault.findByLoan(String(loanId), commitment);
+      if (records.length === 0) {
+        return res.status(404).json({ error: 'Share not found for loan', loanId });
+      }
+      if (records.length > 1) {
+        return res.status(400).json({ error: 'Several applications on this loan, commitment required', loanId });
+      }
+
+      const record = records[0];
+      // Always check the commitment the share was deposited for, not the requested one
+      const check = await chainVerifier.checkRelease(record.loanId, record.commitment);
+
+      if (!check.allowed) {
+        auditLog.append('release_denied', {
+          loanId: record.loanId,
+          commitment: record.commitment,
+          reason: check.reason,
+          requestReason: reason || null,
+          chainTime: check.chainTime,
+          releasableAt: check.releasableAt || null
+        });
+        return res.status(403).json({
+          error: 'Share release not allowed',
+          reason: check.reason,
+          releasableAt: check.releasableAt || null
+        });
+      }
+
+      const payload = {
+        trusteeId,
+        loanId: record.loanId,
+        commitment: record.commitment,
+        shareId: record.shareId,
+        share: vault.open(record),
+        releasedAt: vault.markReleased(record)
+      };
+
+      const entry = auditLog.append('share_released', {
+        loanId: record.loanId,
+        commitment: record.commitment,
+        shareId: record.shareId,
+        requestReason: reason || null,
+        chainTime: check.chainTime,
+        repaymentDeadline: check.application.repaymentDeadline
+      });
+
+      console.log(`✓ Share released for loan ${record.loanId}, reason: ${reason}`);
+
+      res.json({ ...payload, auditSeq: entry.seq, signature: signPayload(signingKey, payload) });
+    } catch (error) {
+      console.error('Failed to provide share:', error);
+      auditLog.append('release_error', { loanId: loanId || null, error: error.message });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  /**
+   * Share status for a loan (metadata only)
+   */
+  app.get('/api/share-status/:loanId', requirePlatformSignature, (req, res) => {
+    const { loanId } = req.params;
+    const shares = vault.findByLoan(loanId).map(record => vault.describe(record));
+
+    res.json({ loanId, sharesCount: shares.length, shares });
+  });
+
+  /**
+   * Verify the audit log chain
+   */
+  app.get('/api/audit/verify', (req, res) => {
+    res.json({ trusteeId, ...auditLog.verify() });
+  });
+
+  /**
+   * Health check endpoint
+   */
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      trusteeId,
+      timestamp: new Date().toISOString(),
+      sharesStored: vault.count(),
+      auditHead: auditLog.head
+    });
+  });
+
+  return { app, vault, auditLog, chainVerifier };
+}
+
+/**
+ * Read trustee config from the environment
+ */
+function configFromEnv() {
+  const trusteeId = process.env.TRUSTEE_ID || 'trustee_1';
+  return {
+    trusteeId,
+    port: parseInt(process.env.TRUSTEE_PORT) || 4000,
+    dataDir: process.env.TRUSTEE_DATA_DIR || path.join(__dirname, 'data', trusteeId),
+    storageKey: process.env.TRUSTEE_STORAGE_KEY,
+    signingKey: process.env.TRUSTEE_SIGNING_KEY,
+    platformPublicKey: process.env.PLATFORM_PUBLIC_KEY,
+    rpcUrl: process.env.STARKNET_RPC,
+    escrowAddress: process.env.LOAN_ESCROW_ZK_ADDRESS,
+    disputeWindowSeconds: parseInt(process.env.DISPUTE_WINDOW_SECONDS) || 604800 // 7 days
+  };
+}
+
+if (require.main === module) {
+  const config = configFromEnv();
+  const { app, auditLog } = createTrusteeApp(config);
+
+  const integrity = auditLog.verify();
+  if (!integrity.valid) {
+    console.error(`✗ Audit log integrity check failed at entry ${integrity.brokenAt}: ${integrity.reason}`);
+    process.exit(1);
+  }
+
+  app.listen(config.port, () => {
+    console.log(`✓ Trustee ${config.trusteeId} listening on port ${config.port}`);
+    console.log(`  Audit log: ${integrity.entries} entries, head ${integrity.head.slice(0, 16)}...`);
+    console.log(`  Dispute window: ${config.disputeWindowSeconds}s`);
+  });
+}
+
+module.exports = { createTrusteeApp, configFromEnv };
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTrusteeApp } = require('./trusteeService');
+const { createLocalChain } = require('./localChain');
+const ShareVault = require('./shareVault');
+const { generateKeyPair, loadKey, signRequest, verifyPayload } = require('../../shared/trusteeProtocol');
+
+const START_TIME = 1700000000;
+const DEADLINE = START_TIME + 1000;
+const DISPUTE_WINDOW = 3600;
+const LOAN_ID = '7';
+const COMMITMENT = '0xabc123';
+const BORROWER = '0x1234';
+const SHARE = '01deadbeef';
+
+function listen(server) {
+  return new Promise(resolve => {
+    const listening = server.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+}
+
+function close(server) {
+  return new Promise(resolve => server.close(resolve));
+}
+
+describe('trustee service against the local stand-in chain', () => {
+  let dataDir;
+  let chainServer;
+  let chainUrl;
+  let trusteeServer;
+  let trusteeUrl;
+  let trustee;
+  let platformKey;
+  let trusteePublicKey;
+
+  async function admin(route, body) {
+    const response = await fetch(`${chainUrl}/admin/${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.json();
+  }
+
+  function sign(method, route, body) {
+    return signRequest(platformKey, { method, path: route, body });
+  }
+
+  async function send(method, route, signed) {
+    const response = await fetch(`${trusteeUrl}${route}`, {
+      method,
+      headers: { ...signed.headers, 'Content-Type': 'application/json' },
+      body: signed.rawBody || undefined
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  function requestShare() {
+    const body = { loanId: LOAN_ID, commitment: COMMITMENT, reason: 'test' };
+    return send('POST', '/api/request-share', sign('POST', '/api/request-share', body));
+  }
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'trustee-test-'));
+
+    const platform = generateKeyPair();
+    const trusteeKeys = generateKeyPair();
+    platformKey = loadKey(platform.privateKey, 'private');
+    trusteePublicKey = loadKey(trusteeKeys.publicKey, 'public');
+
+    chainServer = await listen(createLocalChain({ startTime: START_TIME }).server);
+    chainUrl = `http://127.0.0.1:${chainServer.address().port}`;
+
+    trustee = createTrusteeApp({
+      trusteeId: 'trustee_1',
+      dataDir,
+      storageKey: crypto.randomBytes(32).toString('hex'),
+      signingKey: trusteeKeys.privateKey,
+      platformPublicKey: platform.publicKey,
+      rpcUrl: `${chainUrl}/rpc`,
+      escrowAddress: '0x1',
+      disputeWindowSeconds: DISPUTE_WINDOW
+    });
+    trusteeServer = await listen(trustee.app);
+    trusteeUrl = `http://127.0.0.1:${trusteeServer.address().port}`;
+
+    await admin('application', {
+      loanId: LOAN_ID,
+      commitment: COMMITMENT,
+      borrower: BORROWER,
+      status: 'approved',
+      repaymentDeadline: DEADLINE,
+      totalDue: '1000',
+      amountRepaid: '0'
+    });
+
+    const body = { loanId: LOAN_ID, commitment: COMMITMENT, borrowerAddress: BORROWER, shareId: 'trustee_1', share: SHARE };
+    const deposit = await send('POST', '/api/receive-share', sign('POST', '/api/receive-share', body));
+    expect(deposit.status).toBe(200);
+  });
+
+  afterAll(async () => {
+    await close(trusteeServer);
+    await close(chainServer);
+    fs.rmSync(dataDir, { recursive: true, force: true });
+    console.log.mockRestore();
+  });
+
+  it('refuses release before the repayment deadline', async () => {
+    const { status, body } = await requestShare();
+
+    expect(status).toBe(403);
+    expect(body.reason).toBe('Repayment deadline has not passed');
+  });
+
+  it('refuses release inside the dispute window after default', async () => {
+    await admin('application', {
+      loanId: LOAN_ID,
+      commitment: COMMITMENT,
+      borrower: BORROWER,
+      status: 'defaulted',
+      repaymentDeadline: DEADLINE,
+      defaultedAt: DEADLINE + 10,
+      totalDue: '1000',
+      amountRepaid: '0'
+    });
+    await admin('advance', { seconds: 1100 });
+
+    const { status, body } = await requestShare();
+
+    expect(status).toBe(403);
+    expect(body.reason).toBe('Dispute window still open');
+    expect(body.releasableAt).toBe(DEADLINE + 10 + DISPUTE_WINDOW);
+  });
+
+  it('releases a signed share once the dispute window has passed', async () => {
+    await admin('advance', { seconds: DISPUTE_WINDOW });
+
+    const { status, body } = await requestShare();
+    const { signature, auditSeq, ...payload } = body;
+
+    expect(status).toBe(200);
+    expect(payload).toMatchObject({ trusteeId: 'trustee_1', loanId: LOAN_ID, commitment: COMMITMENT, share: SHARE });
+    expect(verifyPayload(trusteePublicKey, payload, signature)).toBe(true);
+  });
+
+  it('rejects a replayed request', async () => {
+    const signed = sign('GET', `/api/share-status/${LOAN_ID}`);
+
+    expect((await send('GET', `/api/share-status/${LOAN_ID}`, signed)).status).toBe(200);
+    const replay = await send('GET', `/api/share-status/${LOAN_ID}`, signed);
+
+    expect(replay.status).toBe(401);
+    expect(replay.body.error).toBe('Replayed request nonce');
+  });
+
+  it('rejects an expired request', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now - 10 * 60 * 1000);
+    const signed = sign('GET', `/api/share-status/${LOAN_ID}`);
+    Date.now.mockRestore();
+
+    const { status, body } = await send('GET', `/api/share-status/${LOAN_ID}`, signed);
+
+    expect(status).toBe(401);
+    expect(body.error).toBe('Request timestamp outside accepted window');
+  });
+
+  it('detects a tampered audit log entry', async () => {
+    expect(trustee.auditLog.verify().valid).toBe(true);
+
+    const logPath = path.join(dataDir, 'audit.log');
+    const lines = fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean);
+    const entry = JSON.parse(lines[0]);
+    entry.data.loanId = '8';
+    lines[0] = JSON.stringify(entry);
+    fs.writeFileSync(logPath, lines.join('\n') + '\n');
+
+    const result = trustee.auditLog.verify();
+    expect(result).toMatchObject({ valid: false, brokenAt: 1, reason: 'Entry hash mismatch' });
+
+    const response = await fetch(`${trusteeUrl}/api/audit/verify`);
+    expect((await response.json()).valid).toBe(false);
+  });
+});
+
+describe('ShareVault', () => {
+  it('refuses to decrypt a ciphertext copied onto another record', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-test-'));
+    try {
+      const vault = new ShareVault(path.join(dir, 'shares.json'), crypto.randomBytes(32).toString('hex'));
+      vault.put({ loanId: '1', shareId: 'trustee_1', commitment: '0xa', share: 'share-a' });
+      vault.put({ loanId: '2', shareId: 'trustee_1', commitment: '0xb', share: 'share-b' });
+
+      const [source] = vault.findByLoan('1');
+      const [target] = vault.findByLoan('2');
+      expect(vault.open(source)).toBe('share-a');
+
+      const forged = { ...target, iv: source.iv, tag: source.tag, ciphertext: source.ciphertext };
+      expect(() => vault.open(forged)).toThrow();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
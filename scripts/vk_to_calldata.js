@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Convert a snarkjs verification_key.json into ActivityVerifier constructor calldata
+ *
+ * Usage:
+ *   node scripts/vk_to_calldata.js <attester_address> [verification_key.json] [--out calldata.json] [--max-age seconds]
+ *
+ * Defaults to the activityVerifier key used by the backend (backend/src/zk/verification_key.json)
+ * and to the backend's max proof age (thresholds.proof.maxProofAge).
+ * Prints the calldata (decimal strings) plus the vk hash the contract will compute,
+ * which the backend checks before attesting proofs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  computeVkHash,
+  toConstructorCalldata
+} = require('../backend/src/utils/verificationKey');
+const thresholds = require('../backend/src/config/thresholds');
+
+function main() {
+  const args = process.argv.slice(2);
+  const outIndex = args.indexOf('--out');
+  const outFile = outIndex !== -1 ? args.splice(outIndex, 2)[1] : null;
+  const ageIndex = args.indexOf('--max-age');
+  const maxProofAge = ageIndex !== -1
+    ? parseInt(args.splice(ageIndex, 2)[1])
+    : Math.floor(thresholds.proof.maxProofAge / 1000);
+  const [attester, vkPath = path.join(__dirname, '../backend/src/zk/verification_key.json')] = args;
+
+  if (!attester) {
+    console.error('Usage: node scripts/vk_to_calldata.js <attester_address> [verification_key.json] [--out calldata.json] [--max-age seconds]');
+    process.exit(1);
+  }
+
+  const vkey = JSON.parse(fs.readFileSync(vkPath, 'utf8'));
+  const result = {
+    verificationKey: path.resolve(vkPath),
+    attester,
+    nPublic: vkey.nPublic,
+    maxProofAge,
+    vkHash: computeVkHash(vkey),
+    constructorCalldata: toConstructorCalldata(vkey, attester, maxProofAge)
+  };
+
+  if (outFile) {
+    fs.writeFileSync(outFile, JSON.stringify(result, null, 2));
+    console.log(`✅ Constructor calldata written to ${outFile}`);
+    console.log(`   vk hash: ${result.vkHash}`);
+  } else {
+    console.log(JSON.stringify(result, null, 2));
+  }
+}
+
+main();
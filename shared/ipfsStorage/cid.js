@@ -0,0 +1,159 @@
+/**
+ * Minimal CID support
+ *
+ * Content is stored as a single raw block, so its CID can be computed locally:
+ *   CIDv1 = varint(1) varint(raw 0x55) multihash(sha2-256 0x12, 32 bytes), multibase base32 ('b')
+ * This is the CID Kubo gives `block put --cid-codec=raw` and `add --cid-version=1` for
+ * single-chunk files. Older CIDv0 (Qm...) / dag-pb pins are recognised but cannot be
+ * checked without rebuilding the UnixFS DAG.
+ */
+
+const crypto = require('crypto');
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const HASH_SHA2_256 = 0x12;
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+function encodeVarint(value) {
+  const bytes = [];
+  let n = value;
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  bytes.push(n);
+  return bytes;
+}
+
+function decodeVarint(bytes, offset) {
+  let value = 0;
+  let shift = 0;
+  for (let i = offset; i < bytes.length; i++) {
+    value += (bytes[i] & 0x7f) * 2 ** shift;
+    if ((bytes[i] & 0x80) === 0) {
+      return { value, next: i + 1 };
+    }
+    shift += 7;
+  }
+  throw new Error('Truncated varint');
+}
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let buffer = 0;
+  let out = '';
+  for (const byte of bytes) {
+    buffer = ((buffer << 8) | byte) & 0xfff;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    out += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+  }
+  return out;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let buffer = 0;
+  const out = [];
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    buffer = ((buffer << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((buffer >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Compute the CIDv1 (raw, sha2-256) of some bytes
+ * @param {Buffer|string} content - Content bytes
+ * @returns {string} CID (base32, `bafkrei...`)
+ */
+function computeCid(content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  const bytes = Buffer.from([
+    ...encodeVarint(1),
+    ...encodeVarint(CODEC_RAW),
+    ...encodeVarint(HASH_SHA2_256),
+    ...encodeVarint(digest.length),
+    ...digest
+  ]);
+  return 'b' + base32Encode(bytes);
+}
+
+/**
+ * Parse a CID string
+ * @param {string} cid - CID
+ * @returns {object} { version, codec, hashCode, digest } - digest is null for CIDv0
+ */
+function parseCid(cid) {
+  if (typeof cid !== 'string') {
+    throw new Error('CID must be a string');
+  }
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(cid)) {
+    return { version: 0, codec: CODEC_DAG_PB, hashCode: HASH_SHA2_256, digest: null };
+  }
+  if (!cid.startsWith('b')) {
+    throw new Error(`Unsupported CID encoding: ${cid}`);
+  }
+
+  const bytes = base32Decode(cid.slice(1));
+  const version = decodeVarint(bytes, 0);
+  const codec = decodeVarint(bytes, version.next);
+  const hashCode = decodeVarint(bytes, codec.next);
+  const length = decodeVarint(bytes, hashCode.next);
+  const digest = bytes.subarray(length.next, length.next + length.value);
+
+  if (version.value !== 1 || digest.length !== length.value) {
+    throw new Error(`Malformed CID: ${cid}`);
+  }
+
+  return { version: 1, codec: codec.value, hashCode: hashCode.value, digest };
+}
+
+/**
+ * Check content against its CID
+ * @param {string} cid - Expected CID
+ * @param {Buffer} content - Retrieved bytes
+ * @returns {boolean|null} true/false, or null when the CID type cannot be checked locally
+ */
+function verifyCid(cid, content) {
+  const parsed = parseCid(cid);
+  if (parsed.codec !== CODEC_RAW || parsed.hashCode !== HASH_SHA2_256) {
+    return null;
+  }
+  return crypto.createHash('sha256').update(content).digest().equals(parsed.digest);
+}
+
+/**
+ * Check whether a string looks like a CID this module understands
+ */
+function isCid(value) {
+  try {
+    parseCid(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  CODEC_RAW,
+  CODEC_DAG_PB,
+  computeCid,
+  parseCid,
+  verifyCid,
+  isCid
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { computeCid, parseCid, verifyCid, isCid, CODEC_RAW } = require('./cid');
+const { createStorage, IntegrityError } = require('./index');
+
+// CIDs Kubo reports for `ipfs add --cid-version=1 --raw-leaves` of the same bytes
+const EMPTY_CID = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku';
+const HELLO_WORLD_CID = 'bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e';
+const CIDV0 = 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o';
+
+describe('cid', () => {
+  it('computes the raw CIDv1 of known content', () => {
+    expect(computeCid('')).toBe(EMPTY_CID);
+    expect(computeCid(Buffer.from('hello world'))).toBe(HELLO_WORLD_CID);
+  });
+
+  it('parses a raw CIDv1 back to its sha2-256 digest', () => {
+    const parsed = parseCid(EMPTY_CID);
+
+    expect(parsed).toMatchObject({ version: 1, codec: CODEC_RAW, hashCode: 0x12 });
+    expect(parsed.digest.toString('hex')).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  it('verifies content against its CID', () => {
+    expect(verifyCid(HELLO_WORLD_CID, Buffer.from('hello world'))).toBe(true);
+    expect(verifyCid(HELLO_WORLD_CID, Buffer.from('hello world!'))).toBe(false);
+    expect(verifyCid(CIDV0, Buffer.from('hello world'))).toBeNull();
+  });
+
+  it('recognises only CIDs it can parse', () => {
+    expect(isCid(HELLO_WORLD_CID)).toBe(true);
+    expect(isCid(CIDV0)).toBe(true);
+    expect(isCid('zb2rhe5P4gXftAwvA4eXQ5HJwsER2owDyS9sKaQRRVQPn93bA')).toBe(false);
+    expect(isCid('../etc/passwd')).toBe(false);
+  });
+});
+
+describe('IpfsStorage with the filesystem provider', () => {
+  let dir;
+  let storage;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipfs-test-'));
+    storage = createStorage('filesystem', { dir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores content under its computed CID and reads it back verified', async () => {
+    const cid = await storage.putJSON({ hello: 'world' });
+
+    expect(cid).toBe(computeCid(JSON.stringify({ hello: 'world' })));
+    expect(await storage.getJSON(cid)).toEqual({ data: { hello: 'world' }, verified: true });
+  });
+
+  it('refuses content that does not match the requested CID', async () => {
+    const cid = await storage.put('hello world');
+    fs.writeFileSync(path.join(dir, cid), 'tampered');
+
+    await expect(storage.get(cid)).rejects.toThrow(IntegrityError);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * IPFS storage with pluggable providers
+ *
+ * Providers (IPFS_PROVIDER):
+ *   pinata      Pinata pinning API + gateway (IPFS_JWT or IPFS_API_KEY/IPFS_API_SECRET)
+ *   kubo        local Kubo node HTTP API (IPFS_KUBO_API_URL)
+ *   filesystem  content-addressed directory (IPFS_FS_DIR), no network needed
+ *
+ * Every provider stores content as a single raw block whose CIDv1 is computed here
+ * before upload; the CID a provider reports is checked against it and retrieved bytes
+ * are hashed against the requested CID. Node-only (fs, crypto, global fetch).
+ */
+
+const { computeCid, parseCid, verifyCid, isCid } = require('./cid');
+const PinataProvider = require('./providers/pinata');
+const KuboProvider = require('./providers/kubo');
+const FilesystemProvider = require('./providers/filesystem');
+
+const PROVIDERS = {
+  pinata: PinataProvider,
+  kubo: KuboProvider,
+  filesystem: FilesystemProvider
+};
+
+class IntegrityError extends Error {
+  constructor(message, cid) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.code = 'CID_MISMATCH';
+    this.cid = cid;
+  }
+}
+
+class IpfsStorage {
+  /**
+   * @param {object} provider - Provider instance (put/get/pin/unpin/listPins/check/gatewayUrl)
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.name = provider.name;
+  }
+
+  /**
+   * Store bytes
+   * @param {Buffer|string} content - Content
+   * @param {object} options - { name } label for providers that keep metadata
+   * @returns {Promise<string>} CID
+   */
+  async put(content, options = {}) {
+    const bytes = Buffer.from(content);
+    const expected = computeCid(bytes);
+    const cid = await this.provider.put(bytes, options);
+
+    if (cid !== expected) {
+      throw new IntegrityError(`${this.name} stored content as ${cid}, expected ${expected}`, cid);
+    }
+    return cid;
+  }
+
+  /**
+   * Retrieve bytes and check them against the CID
+   * @param {string} cid - CID
+   * @returns {Promise<object>} { content, verified } - verified is false for legacy CIDv0 content
+   */
+  async get(cid) {
+    parseCid(cid);
+    const content = await this.provider.get(cid);
+    const verified = verifyCid(cid, content);
+
+    if (verified === false) {
+      throw new IntegrityError(`Content returned by ${this.name} does not match ${cid}`, cid);
+    }
+    return { content, verified: verified === true };
+  }
+
+  /**
+   * Store a JSON document
+   * @returns {Promise<string>} CID
+   */
+  async putJSON(data, options = {}) {
+    return this.put(JSON.stringify(data), options);
+  }
+
+  /**
+   * Retrieve a JSON document
+   * @returns {Promise<object>} { data, verified }
+   */
+  async getJSON(cid) {
+    const { content, verified } = await this.get(cid);
+    return { data: JSON.parse(content.toString('utf8')), verified };
+  }
+
+  pin(cid) {
+    return this.provider.pin(cid);
+  }
+
+  unpin(cid) {
+    return this.provider.unpin(cid);
+  }
+
+  listPins(filters) {
+    return this.provider.listPins(filters);
+  }
+
+  check() {
+    return this.provider.check();
+  }
+
+  gatewayUrl(cid) {
+    return this.provider.gatewayUrl(cid);
+  }
+}
+
+/**
+ * Create a storage for a provider
+ * @param {string} providerName - pinata | kubo | filesystem
+ * @param {object} options - Provider options
+ * @returns {IpfsStorage} Storage
+ */
+function createStorage(providerName, options = {}) {
+  const Provider = PROVIDERS[providerName];
+  if (!Provider) {
+    throw new Error(`Unknown IPFS provider "${providerName}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return new IpfsStorage(new Provider(options));
+}
+
+/**
+ * Create the storage configured by environment variables
+ * @param {object} env - Environment (default process.env)
+ * @param {object} defaults - { fsDir } default directory for the filesystem provider
+ * @returns {IpfsStorage} Storage
+ */
+function storageFromEnv(env = process.env, defaults = {}) {
+  const provider = (env.IPFS_PROVIDER || 'pinata').toLowerCase();
+  const timeoutMs = parseInt(env.IPFS_TIMEOUT_MS) || 30000;
+
+  switch (provider) {
+    case 'pinata':
+      return createStorage('pinata', {
+        jwt: env.IPFS_JWT,
+        apiKey: env.IPFS_API_KEY,
+        apiSecret: env.IPFS_API_SECRET,
+        gateway: env.IPFS_GATEWAY || undefined,
+        baseUrl: env.IPFS_API_URL || undefined,
+        timeoutMs
+      });
+    case 'kubo':
+      return createStorage('kubo', {
+        apiUrl: env.IPFS_KUBO_API_URL || undefined,
+        gateway: env.IPFS_GATEWAY || undefined,
+        timeoutMs
+      });
+    case 'filesystem':
+      return createStorage('filesystem', {
+        dir: env.IPFS_FS_DIR || defaults.fsDir,
+        gateway: env.IPFS_GATEWAY || null
+      });
+    default:
+      return createStorage(provider);
+  }
+}
+
+module.exports = {
+  IpfsStorage,
+  IntegrityError,
+  PROVIDERS,
+  createStorage,
+  storageFromEnv,
+  computeCid,
+  parseCid,
+  verifyCid,
+  isCid
+};
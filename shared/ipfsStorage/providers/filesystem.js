@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const { computeCid, parseCid } = require('../cid');
+
+/**
+ * Content-addressed filesystem store
+ * One file per block, named by its CID. Needs no network, so it is meant for
+ * development, offline runs and tests. Every stored block is considered pinned.
+ */
+class FilesystemProvider {
+  /**
+   * @param {object} options - { dir, gateway }
+   */
+  constructor({ dir, gateway = null }) {
+    if (!dir) {
+      throw new Error('Filesystem storage directory is required');
+    }
+    this.name = 'filesystem';
+    this.dir = dir;
+    this.gateway = gateway;
+  }
+
+  blockPath(cid) {
+    parseCid(cid); // reject anything that is not a CID before touching the filesystem
+    return path.join(this.dir, cid);
+  }
+
+  /**
+   * Store a block
+   * @param {Buffer} content - Block bytes
+   * @returns {Promise<string>} CID
+   */
+  async put(content) {
+    const cid = computeCid(content);
+    const file = this.blockPath(cid);
+
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, content);
+      fs.renameSync(tmp, file);
+    }
+
+    return cid;
+  }
+
+  /**
+   * Read a block
+   * @param {string} cid - CID
+   * @returns {Promise<Buffer>} Block bytes
+   */
+  async get(cid) {
+    const file = this.blockPath(cid);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Block not found: ${cid}`);
+    }
+    return fs.readFileSync(file);
+  }
+
+  async pin(cid) {
+    await this.get(cid);
+    return true;
+  }
+
+  async unpin(cid) {
+    const file = this.blockPath(cid);
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+    return true;
+  }
+
+  /**
+   * Stored CIDs
+   * @returns {Promise<Array<object>>} [{ cid, size, storedAt }]
+   */
+  async listPins() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir)
+      .filter(name => !name.endsWith('.tmp'))
+      .map(name => {
+        const stat = fs.statSync(path.join(this.dir, name));
+        return { cid: name, size: stat.size, storedAt: stat.mtime.toISOString() };
+      });
+  }
+
+  async check() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.accessSync(this.dir, fs.constants.W_OK);
+    return { provider: this.name, dir: this.dir };
+  }
+
+  gatewayUrl(cid) {
+    return this.gateway ? `${this.gateway}${cid}` : null;
+  }
+}
+
+module.exports = FilesystemProvider;
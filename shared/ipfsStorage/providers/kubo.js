@@ -0,0 +1,86 @@
+/**
+ * Local Kubo (go-ipfs) node over its HTTP RPC API
+ * Blocks are written with `block/put --cid-codec=raw`, so the node returns the same
+ * CID that computeCid() derives locally.
+ */
+class KuboProvider {
+  /**
+   * @param {object} options - { apiUrl, gateway, timeoutMs }
+   */
+  constructor({ apiUrl = 'http://127.0.0.1:5001', gateway = 'http://127.0.0.1:8080/ipfs/', timeoutMs = 30000 } = {}) {
+    this.name = 'kubo';
+    this.apiUrl = apiUrl.replace(/\/$/, '');
+    this.gateway = gateway;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Call an RPC command (Kubo only accepts POST)
+   */
+  async rpc(command, params = {}, body = undefined) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${this.apiUrl}/api/v0/${command}${query ? `?${query}` : ''}`, {
+      method: 'POST',
+      body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      let message = text;
+      try {
+        message = JSON.parse(text).Message || text;
+      } catch (error) {
+        // plain-text error
+      }
+      throw new Error(`Kubo ${command} failed (${response.status}): ${message}`);
+    }
+    return response;
+  }
+
+  async put(content) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), 'block');
+
+    const response = await this.rpc('block/put', {
+      'cid-codec': 'raw',
+      mhtype: 'sha2-256',
+      pin: 'true'
+    }, form);
+    const { Key } = await response.json();
+    return Key;
+  }
+
+  async get(cid) {
+    const response = await this.rpc('block/get', { arg: cid });
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async pin(cid) {
+    await this.rpc('pin/add', { arg: cid });
+    return true;
+  }
+
+  async unpin(cid) {
+    await this.rpc('pin/rm', { arg: cid });
+    return true;
+  }
+
+  async listPins() {
+    const response = await this.rpc('pin/ls', { type: 'recursive' });
+    const { Keys = {} } = await response.json();
+    return Object.entries(Keys).map(([cid, info]) => ({ cid, type: info.Type }));
+  }
+
+  async check() {
+    const response = await this.rpc('version');
+    const { Version } = await response.json();
+    return { provider: this.name, apiUrl: this.apiUrl, version: Version };
+  }
+
+  gatewayUrl(cid) {
+    return this.gateway ? `${this.gateway}${cid}` : null;
+  }
+}
+
+module.exports = KuboProvider;
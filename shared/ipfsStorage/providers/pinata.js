@@ -0,0 +1,108 @@
+/**
+ * Pinata pinning API
+ * Content is uploaded as a file with CIDv1, which for single-chunk content is the raw
+ * block CID computed locally. Reads go through the configured gateway.
+ */
+class PinataProvider {
+  /**
+   * @param {object} options - { jwt, apiKey, apiSecret, gateway, baseUrl, timeoutMs }
+   */
+  constructor({
+    jwt,
+    apiKey,
+    apiSecret,
+    gateway = 'https://gateway.pinata.cloud/ipfs/',
+    baseUrl = 'https://api.pinata.cloud',
+    timeoutMs = 30000
+  }) {
+    if (!jwt && !(apiKey && apiSecret)) {
+      throw new Error('Pinata needs IPFS_JWT or IPFS_API_KEY and IPFS_API_SECRET');
+    }
+    this.name = 'pinata';
+    this.jwt = jwt;
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.gateway = gateway;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.timeoutMs = timeoutMs;
+  }
+
+  authHeaders() {
+    return this.jwt
+      ? { Authorization: `Bearer ${this.jwt}` }
+      : { pinata_api_key: this.apiKey, pinata_secret_api_key: this.apiSecret };
+  }
+
+  async request(method, route, { body, json } = {}) {
+    const headers = this.authHeaders();
+    if (json !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${this.baseUrl}${route}`, {
+      method,
+      headers,
+      body: json !== undefined ? JSON.stringify(json) : body,
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Pinata ${route} failed (${response.status}): ${await response.text()}`);
+    }
+    return response;
+  }
+
+  async put(content, { name } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([content]), name || 'block');
+    form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }));
+    form.append('pinataMetadata', JSON.stringify({ name: name || `block-${Date.now()}` }));
+
+    const response = await this.request('POST', '/pinning/pinFileToIPFS', { body: form });
+    const { IpfsHash } = await response.json();
+    return IpfsHash;
+  }
+
+  async get(cid) {
+    const response = await fetch(this.gatewayUrl(cid), {
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Gateway returned ${response.status} for ${cid}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async pin(cid) {
+    await this.request('POST', '/pinning/pinByHash', { json: { hashToPin: cid } });
+    return true;
+  }
+
+  async unpin(cid) {
+    await this.request('DELETE', `/pinning/unpin/${cid}`);
+    return true;
+  }
+
+  async listPins(filters = {}) {
+    const query = new URLSearchParams({ status: 'pinned', ...filters }).toString();
+    const response = await this.request('GET', `/data/pinList?${query}`);
+    const { rows = [] } = await response.json();
+    return rows.map(row => ({
+      cid: row.ipfs_pin_hash,
+      size: row.size,
+      name: row.metadata?.name,
+      storedAt: row.date_pinned
+    }));
+  }
+
+  async check() {
+    const response = await this.request('GET', '/data/testAuthentication');
+    return { provider: this.name, ...(await response.json()) };
+  }
+
+  gatewayUrl(cid) {
+    return `${this.gateway}${cid}`;
+  }
+}
+
+module.exports = PinataProvider;
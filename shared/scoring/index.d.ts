@@ -0,0 +1,47 @@
+export interface ActivityMetrics {
+  balance?: number
+  txCount?: number
+  totalVolume?: number
+  walletAge?: number
+  recentTxCount?: number
+  uniqueCounterparties?: number
+  [key: string]: any
+}
+
+export interface NormalizedMetrics {
+  balance: number
+  txCount: number
+  totalVolume: number
+  walletAge: number
+  recentTxCount: number
+  uniqueCounterparties: number
+}
+
+export interface ScoringModel {
+  id: string
+  description: string
+  components: Record<string, number>
+  score(metrics: NormalizedMetrics): Record<string, number>
+}
+
+export interface ActivityScore {
+  model: string
+  total: number
+  components: Record<string, number>
+  metrics: NormalizedMetrics
+}
+
+export const MAX_SCORE: number
+export const DEFAULT_MODEL: string
+
+export function registerModel(model: ScoringModel): void
+export function getModel(modelId?: string): ScoringModel
+export function hasModel(modelId: string): boolean
+export function listModels(): Array<{
+  id: string
+  description: string
+  components: Record<string, number>
+  isDefault: boolean
+}>
+export function normalizeMetrics(metrics?: ActivityMetrics): NormalizedMetrics
+export function scoreActivity(metrics: ActivityMetrics, modelId?: string): ActivityScore
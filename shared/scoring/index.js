@@ -0,0 +1,122 @@
+/**
+ * Activity scoring engine shared by the frontend and backend
+ *
+ * Scores are 0-1000 and always reported together with the model id, so a
+ * commitment or proof can be traced back to the formula it was built on.
+ * Plain CommonJS without dependencies: runs in Node and in the browser bundle.
+ */
+
+const MAX_SCORE = 1000;
+const DEFAULT_MODEL = 'v1-legacy';
+
+const models = new Map();
+
+/**
+ * Register a scoring model
+ * @param {object} model - { id, description, components: { name: maxPoints }, score(metrics) }
+ */
+function registerModel(model) {
+  if (!model || !model.id || typeof model.score !== 'function') {
+    throw new Error('Scoring model needs an id and a score(metrics) function');
+  }
+  if (models.has(model.id)) {
+    throw new Error(`Scoring model already registered: ${model.id}`);
+  }
+  models.set(model.id, model);
+}
+
+/**
+ * Get a registered model
+ * @param {string} modelId - Model id (defaults to DEFAULT_MODEL)
+ * @returns {object} Model
+ */
+function getModel(modelId = DEFAULT_MODEL) {
+  const model = models.get(modelId);
+  if (!model) {
+    throw new Error(`Unknown scoring model: ${modelId}. Available: ${Array.from(models.keys()).join(', ')}`);
+  }
+  return model;
+}
+
+/**
+ * Check whether a model id is registered
+ */
+function hasModel(modelId) {
+  return models.has(modelId);
+}
+
+/**
+ * Describe all registered models
+ * @returns {Array<object>} [{ id, description, components, isDefault }]
+ */
+function listModels() {
+  return Array.from(models.values()).map(model => ({
+    id: model.id,
+    description: model.description,
+    components: model.components,
+    usesRepaymentHistory: !!model.usesRepaymentHistory,
+    isDefault: model.id === DEFAULT_MODEL
+  }));
+}
+
+/**
+ * Fill in missing metrics so every model sees the same shape
+ * @param {object} metrics - Raw wallet metrics
+ * @returns {object} { balance, txCount, totalVolume, walletAge, recentTxCount, uniqueCounterparties,
+ *                    loansRepaidOnTime, loansRepaidLate, loansDefaulted }
+ */
+function normalizeMetrics(metrics = {}) {
+  const number = (value) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+  };
+
+  return {
+    balance: number(metrics.balance), // STRK
+    txCount: number(metrics.txCount),
+    totalVolume: number(metrics.totalVolume), // STRK
+    walletAge: number(metrics.walletAge), // seconds
+    recentTxCount: number(metrics.recentTxCount), // last 7 days
+    uniqueCounterparties: number(metrics.uniqueCounterparties),
+    // Repayment record across loans (only models with usesRepaymentHistory read these)
+    loansRepaidOnTime: number(metrics.loansRepaidOnTime),
+    loansRepaidLate: number(metrics.loansRepaidLate),
+    loansDefaulted: number(metrics.loansDefaulted)
+  };
+}
+
+/**
+ * Score wallet metrics with a model
+ * @param {object} metrics - Wallet metrics (see normalizeMetrics)
+ * @param {string} modelId - Model id (defaults to DEFAULT_MODEL)
+ * @returns {object} { model, total, components, metrics }
+ */
+function scoreActivity(metrics, modelId = DEFAULT_MODEL) {
+  const model = getModel(modelId);
+  const normalized = normalizeMetrics(metrics);
+  const components = model.score(normalized);
+  const sum = Object.values(components).reduce((acc, value) => acc + value, 0);
+
+  return {
+    model: model.id,
+    total: Math.max(0, Math.min(Math.round(sum), MAX_SCORE)),
+    components,
+    metrics: normalized
+  };
+}
+
+registerModel(require('./models/v1-legacy'));
+registerModel(require('./models/v2-age-diversity'));
+registerModel(require('./models/v3-circuit'));
+registerModel(require('./models/v4-repayment-history'));
+
+module.exports = {
+  MAX_SCORE,
+  DEFAULT_MODEL,
+  registerModel,
+  getModel,
+  hasModel,
+  listModels,
+  normalizeMetrics,
+  scoreActivity
+};
@@ -0,0 +1,101 @@
+const { DEFAULT_MODEL, scoreActivity, getModel, normalizeMetrics } = require('./index');
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Score from the borrower dashboard's original ActivityScoreCalculator
+ * (frontend/lib/services/activityScoreCalculator.ts before the shared engine), kept
+ * verbatim as the reference v1-legacy must reproduce
+ */
+function legacyCalculatorScore(metrics) {
+  const balanceScore = (balance) => {
+    if (balance >= 50) return 300;
+    if (balance >= 10) return 150 + Math.round((balance - 10) * 2.5);
+    if (balance >= 1) return 50 + Math.round((balance - 1) * 11.11);
+    return Math.round(balance * 50);
+  };
+  const transactionCountScore = (txCount) => {
+    if (txCount === 0) return 0;
+    if (txCount <= 10) return txCount * 5;
+    if (txCount <= 50) return 50 + ((txCount - 10) * 3);
+    if (txCount <= 100) return 170 + ((txCount - 50) * 2);
+    return Math.min(270 + (txCount - 100), 400);
+  };
+  const volumeScore = (totalVolume) => {
+    if (totalVolume >= 100) return 200;
+    if (totalVolume >= 10) return 50 + Math.round((totalVolume - 10) * 1.11);
+    return Math.round(totalVolume * 5);
+  };
+  const consistencyScore = ({ txCount, walletAge, recentTxCount }) => {
+    if (txCount === 0) return 0;
+    const walletAgeDays = walletAge / (24 * 60 * 60);
+    const txPerDay = walletAgeDays > 0 ? txCount / walletAgeDays : 0;
+    let score = 0;
+    if (txPerDay >= 0.14) score += 50;
+    if (txPerDay >= 1) score += 50;
+    if (recentTxCount > 0) score += Math.min(recentTxCount * 10, 50);
+    return Math.min(score, 150);
+  };
+  const recentActivityBonus = (recentTxCount) => {
+    if (recentTxCount >= 11) return 50;
+    if (recentTxCount >= 6) return 25;
+    if (recentTxCount >= 1) return 10;
+    return 0;
+  };
+
+  return Math.min(
+    balanceScore(metrics.balance) +
+    transactionCountScore(metrics.txCount) +
+    volumeScore(metrics.totalVolume) +
+    consistencyScore(metrics) +
+    recentActivityBonus(metrics.recentTxCount),
+    1000
+  );
+}
+
+describe('v1-legacy', () => {
+  it('is the default model', () => {
+    expect(DEFAULT_MODEL).toBe('v1-legacy');
+    expect(scoreActivity({ balance: 12, txCount: 30 }).model).toBe('v1-legacy');
+  });
+
+  it('matches the original calculator across every bucket boundary', () => {
+    const balances = [0, 0.5, 1, 5.5, 10, 27.3, 50, 500];
+    const txCounts = [0, 1, 10, 11, 50, 51, 100, 101, 250];
+    const volumes = [0, 3.3, 10, 55.5, 100, 1000];
+    const ages = [0, DAY, 30 * DAY, 400 * DAY];
+    const recent = [0, 1, 5, 6, 11, 40];
+
+    for (const balance of balances) {
+      for (const txCount of txCounts) {
+        for (const totalVolume of volumes) {
+          for (const walletAge of ages) {
+            for (const recentTxCount of recent) {
+              const metrics = { balance, txCount, totalVolume, walletAge, recentTxCount };
+              expect([metrics, scoreActivity(metrics, 'v1-legacy').total]).toEqual([metrics, legacyCalculatorScore(metrics)]);
+            }
+          }
+        }
+      }
+    }
+  });
+
+  it('caps the total at 1000', () => {
+    const metrics = { balance: 100, txCount: 500, totalVolume: 500, walletAge: 10 * DAY, recentTxCount: 20 };
+    const result = scoreActivity(metrics, 'v1-legacy');
+
+    expect(Object.values(result.components).reduce((sum, value) => sum + value, 0)).toBe(1100);
+    expect(result.total).toBe(1000);
+  });
+});
+
+describe('normalizeMetrics', () => {
+  it('turns missing, negative and non-numeric metrics into 0', () => {
+    expect(normalizeMetrics({ balance: '12.5', txCount: -3, totalVolume: 'abc' })).toMatchObject({
+      balance: 12.5,
+      txCount: 0,
+      totalVolume: 0,
+      walletAge: 0
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * v1-legacy - original borrower dashboard formula
+ * balance (0-300) + tx count (0-400) + volume (0-200) + consistency (0-150) + recent bonus (0-50),
+ * capped at 1000
+ */
+
+function balanceScore(balance) {
+  if (balance >= 50) return 300;
+  if (balance >= 10) return 150 + Math.round((balance - 10) * 2.5);
+  if (balance >= 1) return 50 + Math.round((balance - 1) * 11.11);
+  return Math.round(balance * 50);
+}
+
+function transactionCountScore(txCount) {
+  if (txCount === 0) return 0;
+  if (txCount <= 10) return txCount * 5;
+  if (txCount <= 50) return 50 + ((txCount - 10) * 3);
+  if (txCount <= 100) return 170 + ((txCount - 50) * 2);
+  return Math.min(270 + (txCount - 100), 400);
+}
+
+function volumeScore(totalVolume) {
+  if (totalVolume >= 100) return 200;
+  if (totalVolume >= 10) return 50 + Math.round((totalVolume - 10) * 1.11);
+  return Math.round(totalVolume * 5);
+}
+
+function consistencyScore({ txCount, walletAge, recentTxCount }) {
+  if (txCount === 0) return 0;
+
+  const walletAgeDays = walletAge / (24 * 60 * 60);
+  const txPerDay = walletAgeDays > 0 ? txCount / walletAgeDays : 0;
+
+  let score = 0;
+  if (txPerDay >= 0.14) score += 50;
+  if (txPerDay >= 1) score += 50;
+  if (recentTxCount > 0) score += Math.min(recentTxCount * 10, 50);
+
+  return Math.min(score, 150);
+}
+
+function recentActivityBonus(recentTxCount) {
+  if (recentTxCount >= 11) return 50;
+  if (recentTxCount >= 6) return 25;
+  if (recentTxCount >= 1) return 10;
+  return 0;
+}
+
+module.exports = {
+  id: 'v1-legacy',
+  description: 'Balance, transaction count, volume, consistency and recent-activity buckets',
+  components: {
+    balanceScore: 300,
+    transactionCountScore: 400,
+    volumeScore: 200,
+    consistencyScore: 150,
+    recentActivityBonus: 50
+  },
+
+  /**
+   * @param {object} metrics - Normalized metrics
+   * @returns {object} Component scores
+   */
+  score(metrics) {
+    return {
+      balanceScore: balanceScore(metrics.balance),
+      transactionCountScore: transactionCountScore(metrics.txCount),
+      volumeScore: volumeScore(metrics.totalVolume),
+      consistencyScore: consistencyScore(metrics),
+      recentActivityBonus: recentActivityBonus(metrics.recentTxCount)
+    };
+  }
+};
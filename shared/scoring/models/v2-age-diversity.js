@@ -0,0 +1,47 @@
+/**
+ * v2-age-diversity - favours long-lived wallets that transact with many counterparties
+ * wallet age (0-250) + counterparty diversity (0-250) + tx count (0-200)
+ * + balance (0-150) + volume (0-100) + recent activity (0-50)
+ */
+
+const DAY = 24 * 60 * 60;
+
+// Logarithmic curve reaching `max` points at `saturation`
+function logScale(value, saturation, max) {
+  if (value <= 0) return 0;
+  return Math.round(max * Math.min(Math.log10(1 + value) / Math.log10(1 + saturation), 1));
+}
+
+// Linear curve reaching `max` points at `saturation`
+function linearScale(value, saturation, max) {
+  if (value <= 0) return 0;
+  return Math.round(max * Math.min(value / saturation, 1));
+}
+
+module.exports = {
+  id: 'v2-age-diversity',
+  description: 'Weights wallet age and counterparty diversity over raw volume',
+  components: {
+    walletAgeScore: 250,
+    counterpartyScore: 250,
+    transactionCountScore: 200,
+    balanceScore: 150,
+    volumeScore: 100,
+    recentActivityBonus: 50
+  },
+
+  /**
+   * @param {object} metrics - Normalized metrics
+   * @returns {object} Component scores
+   */
+  score(metrics) {
+    return {
+      walletAgeScore: linearScale(metrics.walletAge / DAY, 365, 250),
+      counterpartyScore: logScale(metrics.uniqueCounterparties, 50, 250),
+      transactionCountScore: logScale(metrics.txCount, 200, 200),
+      balanceScore: linearScale(metrics.balance, 50, 150),
+      volumeScore: linearScale(metrics.totalVolume, 100, 100),
+      recentActivityBonus: Math.min(metrics.recentTxCount * 10, 50)
+    };
+  }
+};
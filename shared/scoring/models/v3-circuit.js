@@ -0,0 +1,54 @@
+/**
+ * v3-circuit - integer-only formula that contracts/zk/activityAuth.circom enforces in-circuit
+ * Every component is floor(min(metric, saturation) * maxPoints / saturation) over whole-unit
+ * metrics, so the score a proof derives from committed metrics is exactly this model's score.
+ * wallet age (0-250) + counterparty diversity (0-250) + tx count (0-200)
+ * + balance (0-150) + volume (0-100) + recent activity (0-50)
+ */
+
+const DAY = 24 * 60 * 60;
+
+// Circuit input order; must match activityAuth.circom
+const CIRCUIT_COMPONENTS = [
+  { name: 'walletAgeScore', input: 'wallet_age_days', saturation: 365, max: 250 },
+  { name: 'counterpartyScore', input: 'unique_counterparties', saturation: 50, max: 250 },
+  { name: 'transactionCountScore', input: 'tx_count', saturation: 200, max: 200 },
+  { name: 'balanceScore', input: 'balance', saturation: 50, max: 150 },
+  { name: 'volumeScore', input: 'total_volume', saturation: 100, max: 100 },
+  { name: 'recentActivityBonus', input: 'recent_tx_count', saturation: 5, max: 50 }
+];
+
+// Metrics as the non-negative integers the circuit takes (STRK amounts and age floored)
+function toCircuitMetrics(metrics) {
+  return {
+    wallet_age_days: Math.floor(metrics.walletAge / DAY),
+    unique_counterparties: Math.floor(metrics.uniqueCounterparties),
+    tx_count: Math.floor(metrics.txCount),
+    balance: Math.floor(metrics.balance),
+    total_volume: Math.floor(metrics.totalVolume),
+    recent_tx_count: Math.floor(metrics.recentTxCount)
+  };
+}
+
+function cappedLinear(value, saturation, max) {
+  return Math.floor(Math.min(value, saturation) * max / saturation);
+}
+
+module.exports = {
+  id: 'v3-circuit',
+  description: 'Integer-only age, diversity and activity formula enforced inside the activityAuth circuit',
+  components: Object.fromEntries(CIRCUIT_COMPONENTS.map(c => [c.name, c.max])),
+  CIRCUIT_COMPONENTS,
+  toCircuitMetrics,
+
+  /**
+   * @param {object} metrics - Normalized metrics
+   * @returns {object} Component scores
+   */
+  score(metrics) {
+    const inputs = toCircuitMetrics(metrics);
+    return Object.fromEntries(
+      CIRCUIT_COMPONENTS.map(c => [c.name, cappedLinear(inputs[c.input], c.saturation, c.max)])
+    );
+  }
+};
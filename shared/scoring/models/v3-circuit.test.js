@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+const { scoreActivity } = require('../index');
+const { CIRCUIT_COMPONENTS, toCircuitMetrics } = require('./v3-circuit');
+
+const DAY = 24 * 60 * 60;
+const CIRCUIT_FILE = path.join(__dirname, '../../../contracts/zk/activityAuth.circom');
+
+describe('v3-circuit', () => {
+  it('uses the saturations, points and inputs of activityAuth.circom, in circuit order', () => {
+    const source = fs.readFileSync(CIRCUIT_FILE, 'utf8');
+    const circuit = [...source.matchAll(/component (\w+) = CappedLinear\((\d+), (\d+)\);\s*\1\.value <== (\w+);/g)]
+      .map(([, , saturation, max, input]) => ({ input, saturation: Number(saturation), max: Number(max) }));
+
+    expect(circuit).toEqual(CIRCUIT_COMPONENTS.map(({ input, saturation, max }) => ({ input, saturation, max })));
+  });
+
+  it('floors each component as the circuit does', () => {
+    const result = scoreActivity({
+      walletAge: 100 * DAY + 5,
+      uniqueCounterparties: 7,
+      txCount: 33,
+      balance: 12.9,
+      totalVolume: 41.5,
+      recentTxCount: 2
+    }, 'v3-circuit');
+
+    expect(result.components).toEqual({
+      walletAgeScore: 68, // floor(100 * 250 / 365)
+      counterpartyScore: 35, // floor(7 * 250 / 50)
+      transactionCountScore: 33, // floor(33 * 200 / 200)
+      balanceScore: 36, // floor(12 * 150 / 50)
+      volumeScore: 41, // floor(41 * 100 / 100)
+      recentActivityBonus: 20 // floor(2 * 50 / 5)
+    });
+    expect(result.total).toBe(233);
+  });
+
+  it('saturates every component at its maximum', () => {
+    const result = scoreActivity({
+      walletAge: 1000 * DAY,
+      uniqueCounterparties: 500,
+      txCount: 5000,
+      balance: 1e6,
+      totalVolume: 1e6,
+      recentTxCount: 99
+    }, 'v3-circuit');
+
+    expect(result.components).toEqual(Object.fromEntries(CIRCUIT_COMPONENTS.map(c => [c.name, c.max])));
+    expect(result.total).toBe(1000);
+  });
+
+  it('passes whole-unit metrics to the circuit', () => {
+    expect(toCircuitMetrics({
+      walletAge: 2 * DAY - 1,
+      uniqueCounterparties: 3,
+      txCount: 9,
+      balance: 0.99,
+      totalVolume: 10.01,
+      recentTxCount: 1
+    })).toEqual({
+      wallet_age_days: 1,
+      unique_counterparties: 3,
+      tx_count: 9,
+      balance: 0,
+      total_volume: 10,
+      recent_tx_count: 1
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * v4-repayment-history - v2-age-diversity curves rebalanced to make room for the borrower's
+ * repayment record across loans (counts from the backend reputation service)
+ * wallet age (0-200) + counterparty diversity (0-200) + tx count (0-150)
+ * + balance (0-100) + volume (0-100) + recent activity (0-50) + repayment history (0-200)
+ */
+
+const DAY = 24 * 60 * 60;
+
+// Logarithmic curve reaching `max` points at `saturation`
+function logScale(value, saturation, max) {
+  if (value <= 0) return 0;
+  return Math.round(max * Math.min(Math.log10(1 + value) / Math.log10(1 + saturation), 1));
+}
+
+// Linear curve reaching `max` points at `saturation`
+function linearScale(value, saturation, max) {
+  if (value <= 0) return 0;
+  return Math.round(max * Math.min(value / saturation, 1));
+}
+
+// 40 points per on-time repayment (up to 5), minus 40 per late one; any default scores 0
+function repaymentHistoryScore(metrics) {
+  if (metrics.loansDefaulted > 0) return 0;
+  const points = Math.min(metrics.loansRepaidOnTime, 5) * 40 - metrics.loansRepaidLate * 40;
+  return Math.max(0, Math.min(points, 200));
+}
+
+module.exports = {
+  id: 'v4-repayment-history',
+  description: 'Age and diversity formula plus the borrower\'s repayment record across loans',
+  usesRepaymentHistory: true,
+  components: {
+    walletAgeScore: 200,
+    counterpartyScore: 200,
+    transactionCountScore: 150,
+    balanceScore: 100,
+    volumeScore: 100,
+    recentActivityBonus: 50,
+    repaymentHistoryScore: 200
+  },
+
+  /**
+   * @param {object} metrics - Normalized metrics
+   * @returns {object} Component scores
+   */
+  score(metrics) {
+    return {
+      walletAgeScore: linearScale(metrics.walletAge / DAY, 365, 200),
+      counterpartyScore: logScale(metrics.uniqueCounterparties, 50, 200),
+      transactionCountScore: logScale(metrics.txCount, 200, 150),
+      balanceScore: linearScale(metrics.balance, 50, 100),
+      volumeScore: linearScale(metrics.totalVolume, 100, 100),
+      recentActivityBonus: Math.min(metrics.recentTxCount * 10, 50),
+      repaymentHistoryScore: repaymentHistoryScore(metrics)
+    };
+  }
+};
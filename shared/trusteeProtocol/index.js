@@ -0,0 +1,162 @@
+/**
+ * Platform <-> trustee message signing
+ *
+ * The platform signs every request it sends to a trustee with its Ed25519 key:
+ *   METHOD \n path \n timestamp \n nonce \n sha256(raw body)
+ * Trustees sign the payloads they return (share receipts and releases) with their
+ * own Ed25519 key over canonical JSON (sorted keys), so the platform can check who
+ * holds and who released what. Node-only (uses the crypto module).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const HEADERS = {
+  timestamp: 'x-platform-timestamp',
+  nonce: 'x-platform-nonce',
+  signature: 'x-platform-signature'
+};
+
+const DEFAULT_MAX_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Load a key from a PEM string or a path to a PEM file
+ * @param {string} value - PEM contents or file path
+ * @param {string} type - 'private' or 'public'
+ * @returns {crypto.KeyObject} Key
+ */
+function loadKey(value, type) {
+  if (!value) {
+    throw new Error(`Missing ${type} key`);
+  }
+  const pem = value.includes('-----BEGIN') ? value.replace(/\\n/g, '\n') : fs.readFileSync(value, 'utf8');
+  return type === 'private' ? crypto.createPrivateKey(pem) : crypto.createPublicKey(pem);
+}
+
+/**
+ * Generate an Ed25519 key pair
+ * @returns {object} { privateKey, publicKey } as PEM strings
+ */
+function generateKeyPair() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+/**
+ * Canonical JSON: object keys sorted recursively
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * String signed for a platform request
+ */
+function canonicalRequest({ method, path, timestamp, nonce, rawBody }) {
+  const bodyHash = crypto.createHash('sha256').update(rawBody || '').digest('hex');
+  return [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+}
+
+/**
+ * Sign a platform request
+ * @param {crypto.KeyObject} privateKey - Platform Ed25519 key
+ * @param {object} request - { method, path, body }
+ * @returns {object} { headers, rawBody } - send rawBody byte-for-byte as the request body
+ */
+function signRequest(privateKey, { method, path, body }) {
+  const rawBody = body === undefined ? '' : JSON.stringify(body);
+  const timestamp = Date.now().toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const message = canonicalRequest({ method, path, timestamp, nonce, rawBody });
+
+  return {
+    rawBody,
+    headers: {
+      [HEADERS.timestamp]: timestamp,
+      [HEADERS.nonce]: nonce,
+      [HEADERS.signature]: crypto.sign(null, Buffer.from(message), privateKey).toString('base64')
+    }
+  };
+}
+
+/**
+ * Verify a platform request signature and freshness (nonce replay is checked by the caller)
+ * @param {crypto.KeyObject} publicKey - Platform Ed25519 public key
+ * @param {object} request - { method, path, headers, rawBody }
+ * @param {number} maxSkewMs - Accepted clock skew
+ * @returns {object} { valid, reason?, nonce, timestamp }
+ */
+function verifyRequest(publicKey, { method, path, headers, rawBody }, maxSkewMs = DEFAULT_MAX_SKEW_MS) {
+  const timestamp = headers[HEADERS.timestamp];
+  const nonce = headers[HEADERS.nonce];
+  const signature = headers[HEADERS.signature];
+
+  if (!timestamp || !nonce || !signature) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+  if (Math.abs(Date.now() - Number(timestamp)) > maxSkewMs) {
+    return { valid: false, reason: 'Request timestamp outside accepted window' };
+  }
+
+  const message = canonicalRequest({ method, path, timestamp, nonce, rawBody });
+  const valid = crypto.verify(null, Buffer.from(message), publicKey, Buffer.from(signature, 'base64'));
+
+  return valid
+    ? { valid: true, nonce, timestamp: Number(timestamp) }
+    : { valid: false, reason: 'Invalid request signature' };
+}
+
+/**
+ * Sign a response payload
+ * @param {crypto.KeyObject} privateKey - Trustee Ed25519 key
+ * @param {object} payload - JSON payload
+ * @returns {string} Base64 signature
+ */
+function signPayload(privateKey, payload) {
+  return crypto.sign(null, Buffer.from(canonicalJson(payload)), privateKey).toString('base64');
+}
+
+/**
+ * Verify a response payload signature
+ * @param {crypto.KeyObject} publicKey - Trustee Ed25519 public key
+ * @param {object} payload - JSON payload (without the signature)
+ * @param {string} signature - Base64 signature
+ * @returns {boolean} True if valid
+ */
+function verifyPayload(publicKey, payload, signature) {
+  if (!signature) {
+    return false;
+  }
+  return crypto.verify(null, Buffer.from(canonicalJson(payload)), publicKey, Buffer.from(signature, 'base64'));
+}
+
+/**
+ * Hash of a share as quoted in share receipts
+ * @param {string} share - Share as deposited
+ * @returns {string} sha256 hex
+ */
+function hashShare(share) {
+  return crypto.createHash('sha256').update(share).digest('hex');
+}
+
+module.exports = {
+  HEADERS,
+  DEFAULT_MAX_SKEW_MS,
+  loadKey,
+  generateKeyPair,
+  canonicalJson,
+  signRequest,
+  verifyRequest,
+  signPayload,
+  verifyPayload,
+  hashShare
+};